@@ -94,6 +94,39 @@ module.exports = {
         SCHEMA_CACHE_TTL_MS: 60000, // 1 minute
         MAX_APPS: 50,
         MAX_TABLES_PER_APP: 100,
+        // Data import settings
+        IMPORT: {
+            MAX_FILE_SIZE_MB: 50,
+            BATCH_SIZE: 500,
+            MAX_BATCH_SIZE: 5000,
+            PREVIEW_ROWS: 10,
+            MAX_REPORTED_REJECTIONS: 100,
+            MAX_STAGED_IMPORTS: 5
+        },
+        // Row change feed pushed to the renderer
+        CHANGE_FEED: {
+            MAX_EVENTS_PER_FLUSH: 500, // Larger writes are summarized per table
+            HISTORY_SIZE: 1000 // Recent events kept for catching up after a gap
+        },
+        // Before-images of row changes for undo/redo and row history
+        JOURNAL: {
+            RETENTION_DAYS: 30, // 0 turns the journal off
+            MAX_ROW_HISTORY: 200
+        },
+        // Dropped tables and (optionally) deleted rows kept for restore
+        TRASH: {
+            RETENTION_DAYS: 30,
+            KEEP_DELETED_ROWS: false,
+            PURGE_INTERVAL_MS: 60 * 60 * 1000 // 1 hour
+        },
+        // Named layouts of the multi-app runtime
+        WORKSPACES: {
+            MAX_WORKSPACES: 50,
+            MAX_PANELS: 6,
+            MAX_DOCK_DEPTH: 16,
+            DEFAULT_NAME: 'Default',
+            EXPORT_VERSION: 1
+        },
         // Encryption settings
         ENCRYPTION: {
             ENABLED: true,
@@ -111,6 +144,14 @@ module.exports = {
         RETRY_DELAY_MS: 1000
     },
 
+    // Builder sessions shared with teammates on the LAN
+    SHARED_SESSION: {
+        PORT: 3001,
+        MAX_PARTICIPANTS: 10,
+        MIN_PASSWORD_LENGTH: 6,
+        CURSOR_THROTTLE_MS: 100
+    },
+
     // Allowed npm packages for code generation
     ALLOWED_PACKAGES: [
         'lodash',
@@ -144,6 +185,11 @@ module.exports = {
         DEFAULT_WIDTH: 1200,
         DEFAULT_HEIGHT: 800,
         MIN_WIDTH: 800,
-        MIN_HEIGHT: 600
+        MIN_HEIGHT: 600,
+        APP_WINDOW_WIDTH: 800,
+        APP_WINDOW_HEIGHT: 600,
+        APP_WINDOW_MIN_WIDTH: 320,
+        APP_WINDOW_MIN_HEIGHT: 240,
+        APP_WINDOW_MIN_VISIBLE: 100 // Pixels of a restored window that must be on a display
     }
 };
@@ -1,8 +1,6 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, screen } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const Anthropic = require('@anthropic-ai/sdk');
-const fetch = require('node-fetch');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const logger = require('./utils/logger');
@@ -11,6 +9,9 @@ const configManager = require('./utils/configManager');
 const enhancedConfigManager = require('./utils/enhancedConfigManager');
 const securitySandbox = require('./utils/securitySandbox');
 const sessionManager = require('./utils/sessionManager');
+const textDiff = require('./utils/textDiff');
+const codeReferences = require('./utils/codeReferences');
+const usageTracker = require('./utils/usageTracker');
 const codeEnhancer = require('./utils/codeEnhancer');
 const jsonParser = require('./utils/jsonParser');
 const errorRecovery = require('./utils/errorRecovery');
@@ -22,11 +23,22 @@ const performanceMonitor = require('./utils/performanceMonitor');
 const DatabaseManager = require('./utils/databaseManager');
 const AISchemaGenerator = require('./utils/aiSchemaGenerator');
 const SchemaContextBuilder = require('./utils/schemaContextBuilder');
+const MigrationEngine = require('./utils/migrationEngine');
+const DataImporter = require('./utils/dataImporter');
+const DataExporter = require('./utils/dataExporter');
+const AppExporter = require('./utils/appExporter');
+const AppVersionHistory = require('./utils/appVersionHistory');
+const ChangeFeed = require('./utils/changeFeed');
+const SharedSession = require('./utils/sharedSession');
+const WorkspaceManager = require('./utils/workspaceManager');
+const scheduler = require('./utils/scheduler');
 const { autoUpdater } = require('electron-updater');
 const { RateLimiter } = require('./utils/rateLimiter');
 const PerformanceDashboard = require('./modules/PerformanceDashboard');
+const AuditModule = require('./modules/AuditModule');
 const CodeGenerationModule = require('./modules/CodeGenerationModule');
 const CodeExecutionModule = require('./modules/CodeExecutionModule');
+const providerRegistry = require('./providers');
 const requestDeduplicator = require('./utils/requestDeduplicator');
 const CONSTANTS = require('./config/constants');
 
@@ -60,6 +72,7 @@ const CONSTANTS = require('./config/constants');
  *
  * 1. WINDOW MANAGEMENT
  *    - createWindow(): Create and configure main Electron window
+ *    - openAppWindow(): Open a generated app in a window of its own
  *    - setupAutoUpdater(): Configure auto-update functionality
  *
  * 2. IPC COMMUNICATION
@@ -68,7 +81,7 @@ const CONSTANTS = require('./config/constants');
  *
  * 3. AI CODE GENERATION
  *    - generateCode(): Main entry point for AI code generation
- *    - attemptCodeGeneration(): Core generation logic with Anthropic API
+ *    - attemptCodeGeneration(): Core generation logic via the configured AI provider
  *    - handleGenerationError(): Error recovery and retry logic
  *
  * 4. CODE EXECUTION
@@ -96,14 +109,30 @@ class DynamicAppBuilder {
      */
     constructor() {
         this.mainWindow = null;
+        // Generated apps popped out into their own windows: appId -> {window, redock}
+        this.appWindows = new Map();
+        this.appWindowSenders = new Map(); // webContents id -> appId, while the window exists
+        // Active AI provider client (Anthropic-style messages API, see src/providers)
         this.anthropic = null;
         this.tempDir = path.join(__dirname, '..', CONSTANTS.FILESYSTEM.TEMP_DIR_NAME);
         this.allowedPackages = CONSTANTS.ALLOWED_PACKAGES;
         this.activeSessions = new Map();
         this.databaseManager = new DatabaseManager();
         this.schemaContextBuilder = new SchemaContextBuilder(this.databaseManager);
+        this.migrationEngine = new MigrationEngine(this.databaseManager);
+        this.dataImporter = new DataImporter(this.databaseManager);
+        this.dataExporter = new DataExporter(this.databaseManager);
+        this.appExporter = new AppExporter(this.databaseManager);
+        this.appVersionHistory = new AppVersionHistory(this.databaseManager);
+        // Regenerated code waiting for the user to accept or reject it: appId -> {code, previousCode, description}
+        this.pendingRegenerations = new Map();
+        this.changeFeed = new ChangeFeed(this.databaseManager);
+        // Builder session shared with teammates on the LAN, hosted or joined
+        this.sharedSession = new SharedSession(this.changeFeed);
+        this.workspaceManager = new WorkspaceManager(this.databaseManager);
         this.aiSchemaGenerator = null;
         this.performanceDashboard = new PerformanceDashboard();
+        this.auditModule = new AuditModule();
         this.codeGenerationModule = null;
         this.codeExecutionModule = null;
         this.apiKeyRateLimiter = new RateLimiter({
@@ -203,12 +232,34 @@ class DynamicAppBuilder {
 
         // Initialize database manager
         await this.databaseManager.initialize();
+        this.databaseManager.setJournalRetention(configManager.get('database', 'journalRetentionDays') ?? CONSTANTS.DATABASE.JOURNAL.RETENTION_DAYS);
+        this.databaseManager.configureTrash({
+            keepDeletedRows: configManager.get('database', 'keepDeletedRows') ?? CONSTANTS.DATABASE.TRASH.KEEP_DELETED_ROWS,
+            retentionDays: configManager.get('database', 'trashRetentionDays') ?? CONSTANTS.DATABASE.TRASH.RETENTION_DAYS
+        });
+
+        // Purge trash items past the retention period
+        scheduler.addTask('trash-purge', {
+            interval: CONSTANTS.DATABASE.TRASH.PURGE_INTERVAL_MS,
+            task: () => this.databaseManager.purgeExpiredTrash(),
+            description: 'Permanently delete dropped tables and rows older than the trash retention'
+        });
+        scheduler.startTask('trash-purge');
 
         // Initialize shared database with registry tables for multi-app support
         await this.databaseManager.initializeSharedDatabase();
 
-        // Try to restore API key from secure storage
-        await this.restoreApiKeyFromSecureStorage();
+        // Git history of each registered app's code (works without it when git is missing)
+        await this.appVersionHistory.initialize();
+
+        // Record AI token usage in the shared database
+        usageTracker.initialize(this.databaseManager);
+
+        // Audit log (denied app table access, ...), chained with a key kept in secure storage
+        await this.auditModule.initialize({ keyStore: secureStorage });
+
+        // Set up the configured AI provider (restores the API key when it needs one)
+        await this.initializeAIProvider();
 
         // Update config from loaded settings
         const execConfig = configManager.get('execution');
@@ -222,21 +273,45 @@ class DynamicAppBuilder {
         logger.info('Dynamic App Builder initialized successfully', { config: this.config });
     }
 
+    /**
+     * Create the configured AI provider. Providers that need an API key wait
+     * for one from secure storage or the set-api-key handler.
+     * @async
+     * @returns {Promise<void>}
+     */
+    async initializeAIProvider() {
+        const providerName = providerRegistry.getActiveName();
+        if (providerRegistry.requiresApiKey(providerName)) {
+            await this.restoreApiKeyFromSecureStorage();
+            return;
+        }
+
+        try {
+            this.setAIClient(providerRegistry.createFromConfig());
+            logger.info('AI provider initialized', { provider: providerName });
+        } catch (error) {
+            logger.error('Failed to initialize AI provider', error, { provider: providerName });
+        }
+    }
+
+    /**
+     * Make a provider client active and rebuild the modules that use it
+     * @param {Object} client - Provider with an Anthropic-style messages API
+     */
+    setAIClient(client) {
+        const metered = usageTracker.wrapClient(client);
+        this.anthropic = metered;
+        this.aiSchemaGenerator = new AISchemaGenerator(metered);
+        this.codeGenerationModule = new CodeGenerationModule(metered);
+        this.codeExecutionModule = new CodeExecutionModule(this.config);
+    }
+
     async restoreApiKeyFromSecureStorage() {
         try {
             if (await secureStorage.hasApiKey()) {
                 const storedApiKey = await secureStorage.getApiKey();
                 if (storedApiKey) {
-                    // Initialize Anthropic client with stored key
-                    this.anthropic = new Anthropic({
-                        apiKey: storedApiKey,
-                        fetch: fetch,
-                        timeout: 30000,
-                        maxRetries: 0
-                    });
-                    this.aiSchemaGenerator = new AISchemaGenerator(this.anthropic);
-                    this.codeGenerationModule = new CodeGenerationModule(this.anthropic);
-                    this.codeExecutionModule = new CodeExecutionModule(this.config);
+                    this.setAIClient(providerRegistry.createFromConfig({ apiKey: storedApiKey }));
                     logger.info('API key restored from secure storage');
                 }
             }
@@ -326,6 +401,12 @@ class DynamicAppBuilder {
             if (this.mainWindow && this.mainWindow.webContents) {
                 ipcSecurityMiddleware.unregisterSender(this.mainWindow.webContents.id);
             }
+
+            // App windows belong to the main window; the workspace reopens them next time
+            this.appWindows.forEach(entry => {
+                entry.redock = false;
+                entry.window.close();
+            });
         });
 
         // Open DevTools in development
@@ -334,6 +415,170 @@ class DynamicAppBuilder {
         }
     }
 
+    /**
+     * Open a generated app in a window of its own, or focus the window it has.
+     * The window loads renderer/app-window.html with the main window's preload,
+     * so the app gets the same sandboxed panel and database bridge. It opens
+     * where the app's window last was; the main window is told when it closes,
+     * so it can dock the app again.
+     * @param {string} appId - Registered app
+     * @returns {Promise<{success: boolean, windowId?: number, error?: string}>}
+     */
+    async openAppWindow(appId) {
+        const existing = this.appWindows.get(appId);
+        if (existing) {
+            existing.window.focus();
+            return { success: true, windowId: existing.window.id };
+        }
+
+        const info = await this.databaseManager.getAppInfo(appId);
+        if (!info.success) {
+            return info;
+        }
+
+        const saved = await this.workspaceManager.getAppWindowBounds(appId);
+        const bounds = this.restorableBounds(saved.success ? saved.bounds : null);
+
+        const iconPath = this.getIconPath();
+        const appWindow = new BrowserWindow({
+            ...bounds,
+            minWidth: CONSTANTS.WINDOW.APP_WINDOW_MIN_WIDTH,
+            minHeight: CONSTANTS.WINDOW.APP_WINDOW_MIN_HEIGHT,
+            title: info.app.app_name,
+            ...(iconPath ? { icon: iconPath } : {}),
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                preload: path.join(__dirname, 'preload.js'),
+                sandbox: true,
+                webSecurity: true,
+                allowRunningInsecureContent: false,
+                experimentalFeatures: false
+            }
+        });
+
+        if (saved.success && saved.bounds && saved.bounds.maximized) {
+            appWindow.maximize();
+        }
+
+        const entry = { window: appWindow, redock: true };
+        this.appWindows.set(appId, entry);
+
+        // The ids are read now; they are gone once the window has closed
+        const windowId = appWindow.id;
+        const senderId = appWindow.webContents.id;
+        this.appWindowSenders.set(senderId, appId);
+        appWindow.webContents.on('did-finish-load', () => {
+            ipcSecurityMiddleware.registerSender(senderId);
+        });
+        appWindow.on('close', () => {
+            this.workspaceManager.saveAppWindowBounds(appId, {
+                ...appWindow.getNormalBounds(),
+                maximized: appWindow.isMaximized()
+            });
+        });
+        appWindow.on('closed', () => {
+            ipcSecurityMiddleware.unregisterSender(senderId);
+            this.appWindowSenders.delete(senderId);
+            if (this.appWindows.get(appId) === entry) {
+                this.appWindows.delete(appId);
+            }
+            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+                this.mainWindow.webContents.send('app-window-closed', { appId, windowId, redock: entry.redock });
+            }
+        });
+
+        appWindow.loadFile(path.join(__dirname, 'renderer', 'app-window.html'), { query: { appId } });
+        return { success: true, windowId };
+    }
+
+    /**
+     * Saved bounds of an app window, without the position when no display shows
+     * the top of the window any more (e.g. its monitor was unplugged)
+     * @param {Object|null} bounds - {x, y, width, height}
+     * @returns {{x?: number, y?: number, width: number, height: number}}
+     * @private
+     */
+    restorableBounds(bounds) {
+        if (!bounds) {
+            return { width: CONSTANTS.WINDOW.APP_WINDOW_WIDTH, height: CONSTANTS.WINDOW.APP_WINDOW_HEIGHT };
+        }
+
+        // Enough of the title bar to grab the window by
+        const visible = screen.getAllDisplays().some(({ workArea }) => {
+            const overlapWidth = Math.min(bounds.x + bounds.width, workArea.x + workArea.width) - Math.max(bounds.x, workArea.x);
+            const overlapHeight = Math.min(bounds.y + CONSTANTS.WINDOW.APP_WINDOW_MIN_VISIBLE, workArea.y + workArea.height) -
+                Math.max(bounds.y, workArea.y);
+            return overlapWidth >= CONSTANTS.WINDOW.APP_WINDOW_MIN_VISIBLE && overlapHeight > 0;
+        });
+
+        return visible
+            ? { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height }
+            : { width: bounds.width, height: bounds.height };
+    }
+
+    /**
+     * Pass an appBus message on to the windows it is for. A message, call or
+     * return for one app goes to that app's window, or to the main window where
+     * the docked apps run and the app manager answers discovery; broadcasts and
+     * exposed-method lists go to every window but the sender's.
+     * @param {WebContents} sender - Window the message comes from
+     * @param {{type: string, sourceAppId: string, targetAppId?: string}} envelope - Plus the type's own fields (message, callId, method, params, result, error, methods)
+     * @returns {{success: boolean, delivered?: number, error?: string}}
+     */
+    routeAppBusMessage(sender, { type, sourceAppId, targetAppId, ...fields }) {
+        // An app window only speaks for its own app
+        const senderAppId = this.appWindowSenders.get(sender.id);
+        if (senderAppId && senderAppId !== sourceAppId) {
+            return { success: false, error: `The window of app '${senderAppId}' cannot send as '${sourceAppId}'` };
+        }
+        if (['app-bus-message', 'app-bus-call', 'app-bus-return'].includes(type) && !targetAppId) {
+            return { success: false, error: 'A message needs a target app' };
+        }
+
+        const targets = type === 'app-bus-broadcast' || type === 'app-bus-expose'
+            ? [this.mainWindow, ...Array.from(this.appWindows.values(), entry => entry.window)]
+            : [this.appWindows.has(targetAppId) ? this.appWindows.get(targetAppId).window : this.mainWindow];
+
+        let delivered = 0;
+        targets.forEach(target => {
+            if (target && !target.isDestroyed() && target.webContents !== sender) {
+                target.webContents.send('app-bus-message', { ...fields, type, sourceAppId, targetAppId: targetAppId || null });
+                delivered++;
+            }
+        });
+        return { success: true, delivered };
+    }
+
+    /**
+     * Pass a shared session message to the main window, where the shared
+     * documents are edited
+     * @param {Object} message - From CollaborationModule (session-state, document-changed, ...)
+     */
+    deliverSharedSessionMessage(message) {
+        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+            this.mainWindow.webContents.send('shared-session-message', message);
+        }
+    }
+
+    /**
+     * Close an app's window
+     * @param {string} appId
+     * @param {boolean} redock - Whether the main window should dock the app again
+     * @returns {{success: boolean, error?: string}}
+     */
+    closeAppWindow(appId, redock) {
+        const entry = this.appWindows.get(appId);
+        if (!entry) {
+            return { success: false, error: `No window is open for app '${appId}'` };
+        }
+        // The app may be opened again before this window has finished closing
+        this.appWindows.delete(appId);
+        entry.redock = redock;
+        entry.window.close();
+        return { success: true };
+    }
+
     setupIPC() {
         // CSRF token endpoint - renderer should call this on load
         ipcMain.handle('get-csrf-token', async (event) => {
@@ -347,7 +592,9 @@ class DynamicAppBuilder {
             return {
                 success: true,
                 configured: this.anthropic !== null,
-                hasStoredKey: await secureStorage.hasApiKey()
+                hasStoredKey: await secureStorage.hasApiKey(),
+                provider: providerRegistry.getActiveName(),
+                requiresApiKey: providerRegistry.requiresApiKey()
             };
         });
 
@@ -377,26 +624,23 @@ class DynamicAppBuilder {
                     return { success: false, error: 'API key cannot be empty' };
                 }
 
-                // Initialize Anthropic client with Electron-compatible settings
-                // Use node-fetch explicitly for better Electron compatibility
-                this.anthropic = new Anthropic({
-                    apiKey,
-                    fetch: fetch,  // Explicitly use node-fetch for Electron compatibility
-                    // Add timeout and other options for better error handling
-                    timeout: 30000,
-                    maxRetries: 0  // Disable retries for immediate error feedback
-                });
+                // Build the configured provider with this key (the Anthropic provider
+                // uses node-fetch and disables SDK retries for immediate error feedback)
+                const client = providerRegistry.createFromConfig({ apiKey });
+                this.anthropic = usageTracker.wrapClient(client);
 
                 // Test the API key with a minimal request
                 try {
                     logger.info('Testing API key with validation request...');
                     const aiConfig = configManager.get('ai');
                     const testModel = aiConfig.testModel || 'claude-3-haiku-20240307';
-                    const response = await this.anthropic.messages.create({
-                        model: testModel,
-                        max_tokens: 10,
-                        messages: [{ role: 'user', content: 'test' }]
-                    });
+                    const { result: response } = await usageTracker.track({ operation: 'api-key-validation' }, () =>
+                        this.anthropic.messages.create({
+                            model: testModel,
+                            max_tokens: 10,
+                            messages: [{ role: 'user', content: 'test' }]
+                        })
+                    );
                     logger.info('API key validated successfully', { responseId: response.id });
                 } catch (testError) {
                     this.anthropic = null;
@@ -449,9 +693,7 @@ class DynamicAppBuilder {
                     };
                 }
 
-                this.aiSchemaGenerator = new AISchemaGenerator(this.anthropic);
-                this.codeGenerationModule = new CodeGenerationModule(this.anthropic);
-                this.codeExecutionModule = new CodeExecutionModule(this.config);
+                this.setAIClient(client);
 
                 // Store API key securely for future sessions
                 try {
@@ -476,7 +718,133 @@ class DynamicAppBuilder {
                 logger.logSecurityEvent('code_gen_rate_limit_exceeded', { clientId });
                 return { success: false, error: 'Rate limit exceeded. Please wait before generating more code.' };
             }
-            return await this.generateCode(input.prompt);
+            const result = await this.runMetered({ operation: 'generate-code', sessionId: input.sessionId },
+                () => this.generateCode(input.prompt));
+            this.recordCodeVersion(input.sessionId, input.prompt, result);
+            return result;
+        }));
+
+        // Streaming generation - partial output is pushed on the 'generation-stream' channel
+        ipcMain.handle('generate-code-stream', ipcValidator.createValidatedHandler('generate-code-stream', async (event, input) => {
+            const clientId = event.sender.id.toString();
+            const allowed = await this.codeGenRateLimiter.checkLimit(clientId);
+            if (!allowed) {
+                logger.logSecurityEvent('code_gen_rate_limit_exceeded', { clientId });
+                return { success: false, error: 'Rate limit exceeded. Please wait before generating more code.' };
+            }
+            if (!this.codeGenerationModule) {
+                return { success: false, error: 'API key not configured. Please set your Anthropic API key first.' };
+            }
+
+            const enhancedPrompt = await this.buildSchemaAwarePrompt(input.prompt);
+            const result = await this.runMetered({ operation: 'generate-code', sessionId: input.sessionId }, () =>
+                this.codeGenerationModule.generateCodeStream(enhancedPrompt, input.streamId, (payload) => {
+                    if (!event.sender.isDestroyed()) {
+                        event.sender.send('generation-stream', { streamId: input.streamId, ...payload });
+                    }
+                })
+            );
+            this.recordCodeVersion(input.sessionId, input.prompt, result);
+            return result;
+        }));
+
+        ipcMain.handle('cancel-code-generation', ipcValidator.createValidatedHandler('cancel-code-generation', async (event, input) => {
+            if (!this.codeGenerationModule) {
+                return { success: false, error: 'No generation in progress' };
+            }
+            const cancelled = this.codeGenerationModule.cancelStream(input.streamId);
+            return { success: cancelled, error: cancelled ? undefined : 'No generation in progress' };
+        }));
+
+        // Conversational refinement - each turn edits the session's current code
+        ipcMain.handle('refine-code', ipcValidator.createValidatedHandler('refine-code', async (event, input) => {
+            try {
+                const session = sessionManager.getSession(input.sessionId);
+                if (!session || !session.generatedCode) {
+                    return { success: false, error: 'No generated code in this session to refine' };
+                }
+                if (!this.codeGenerationModule) {
+                    return { success: false, error: 'API key not configured. Please set your Anthropic API key first.' };
+                }
+
+                const clientId = event.sender.id.toString();
+                const allowed = await this.codeGenRateLimiter.checkLimit(clientId);
+                if (!allowed) {
+                    logger.logSecurityEvent('code_gen_rate_limit_exceeded', { clientId });
+                    return { success: false, error: 'Rate limit exceeded. Please wait before generating more code.' };
+                }
+
+                const current = sessionManager.getVersion(input.sessionId, session.currentVersion) || {};
+                const previousChangeRequests = current.changeHistory || [];
+
+                const result = await this.runMetered({ operation: 'refine-code', sessionId: input.sessionId }, () =>
+                    this.codeGenerationModule.refineCode({
+                        originalPrompt: session.prompt,
+                        previousCode: session.generatedCode,
+                        previousPackages: session.packages,
+                        previousDescription: current.description,
+                        changeRequest: input.changeRequest,
+                        previousChangeRequests
+                    })
+                );
+
+                if (!result.success) {
+                    return result;
+                }
+
+                const ops = textDiff.diffLines(session.generatedCode, result.data.code);
+                const updated = this.recordCodeVersion(input.sessionId, session.prompt, result, {
+                    source: 'refine',
+                    changeRequest: input.changeRequest,
+                    changeHistory: [...previousChangeRequests, input.changeRequest]
+                });
+
+                return {
+                    ...result,
+                    version: updated ? updated.currentVersion : null,
+                    previousVersion: session.currentVersion || null,
+                    diff: {
+                        summary: textDiff.summarize(ops),
+                        unified: textDiff.toUnified(ops, {
+                            oldLabel: `version ${session.currentVersion || 0}`,
+                            newLabel: `version ${updated ? updated.currentVersion : 'new'}`
+                        })
+                    }
+                };
+            } catch (error) {
+                logger.error('Failed to refine code', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('get-code-versions', ipcValidator.createValidatedHandler('get-code-versions', async (event, input) => {
+            const versions = sessionManager.getVersions(input.sessionId);
+            if (!versions) {
+                return { success: false, error: 'Session not found' };
+            }
+            return { success: true, versions };
+        }));
+
+        ipcMain.handle('restore-code-version', ipcValidator.createValidatedHandler('restore-code-version', async (event, input) => {
+            try {
+                const session = sessionManager.restoreVersion(input.sessionId, input.version);
+                if (!session) {
+                    return { success: false, error: 'Version not found' };
+                }
+                const restored = session.versions[session.versions.length - 1];
+                return {
+                    success: true,
+                    version: session.currentVersion,
+                    data: {
+                        code: restored.code,
+                        packages: restored.packages,
+                        description: restored.description
+                    }
+                };
+            } catch (error) {
+                logger.error('Failed to restore code version', error);
+                return { success: false, error: error.message };
+            }
         }));
 
         ipcMain.handle('execute-code', ipcValidator.createValidatedHandler('execute-code', async (event, input) => {
@@ -534,13 +902,14 @@ class DynamicAppBuilder {
         ipcMain.handle('update-config', async (event, newConfig) => {
             try {
                 // Validate config structure - only allow known configuration sections
-                const allowedSections = ['execution', 'security', 'monitoring', 'ai', 'ui'];
+                const allowedSections = ['execution', 'security', 'monitoring', 'ai', 'ui', 'database'];
                 const allowedKeys = {
                     execution: ['maxConcurrentExecutions', 'executionTimeout', 'maxMemoryMB', 'maxOutputSize', 'maxDiskSpaceMB'],
                     security: ['enableResourceMonitoring', 'logAllExecutions', 'blockSuspiciousPackages', 'maxPromptLength'],
                     monitoring: ['healthCheckInterval', 'maxLogFileSize', 'maxLogFiles', 'enableMetrics'],
                     ai: ['model', 'temperature', 'maxTokens', 'enableCodeValidation'],
-                    ui: ['enableDevTools', 'autoSavePrompts', 'maxHistoryItems']
+                    ui: ['enableDevTools', 'autoSavePrompts', 'maxHistoryItems'],
+                    database: ['journalRetentionDays', 'keepDeletedRows', 'trashRetentionDays']
                 };
 
                 // Validate incoming config
@@ -577,7 +946,8 @@ class DynamicAppBuilder {
 
                         // Type validation for specific keys
                         if (['maxConcurrentExecutions', 'executionTimeout', 'maxMemoryMB', 'maxOutputSize', 'maxDiskSpaceMB',
-                             'maxPromptLength', 'healthCheckInterval', 'maxLogFileSize', 'maxLogFiles', 'maxTokens', 'maxHistoryItems'].includes(key)) {
+                             'maxPromptLength', 'healthCheckInterval', 'maxLogFileSize', 'maxLogFiles', 'maxTokens', 'maxHistoryItems',
+                             'journalRetentionDays', 'trashRetentionDays'].includes(key)) {
                             if (typeof value !== 'number' || value < 0 || value > 1000000000) {
                                 continue;
                             }
@@ -588,7 +958,7 @@ class DynamicAppBuilder {
                         }
 
                         if (['enableResourceMonitoring', 'logAllExecutions', 'blockSuspiciousPackages', 'enableCodeValidation',
-                             'enableDevTools', 'autoSavePrompts', 'enableMetrics'].includes(key)) {
+                             'enableDevTools', 'autoSavePrompts', 'enableMetrics', 'keepDeletedRows'].includes(key)) {
                             if (typeof value !== 'boolean') {
                                 continue;
                             }
@@ -604,6 +974,16 @@ class DynamicAppBuilder {
                 const execConfig = configManager.get('execution');
                 this.config = { ...this.config, ...execConfig };
 
+                if (sanitizedConfig.database && sanitizedConfig.database.journalRetentionDays !== undefined) {
+                    this.databaseManager.setJournalRetention(sanitizedConfig.database.journalRetentionDays);
+                }
+                if (sanitizedConfig.database) {
+                    this.databaseManager.configureTrash({
+                        keepDeletedRows: sanitizedConfig.database.keepDeletedRows,
+                        retentionDays: sanitizedConfig.database.trashRetentionDays
+                    });
+                }
+
                 logger.info('Configuration updated', { config: this.config });
                 return { success: true, config: configManager.getAll() };
             } catch (error) {
@@ -790,7 +1170,7 @@ class DynamicAppBuilder {
                 if (!allowed) {
                     return { success: false, error: 'Rate limit exceeded for database writes.' };
                 }
-                return await this.databaseManager.insertData(input.dbName, input.tableName, input.data);
+                return await this.databaseManager.insertData(input.dbName, input.tableName, input.data, { appId: input.appId });
             } catch (error) {
                 logger.error('Failed to insert data', error);
                 return { success: false, error: error.message };
@@ -806,6 +1186,38 @@ class DynamicAppBuilder {
             }
         }));
 
+        ipcMain.handle('db-transaction', ipcValidator.createValidatedHandler('db-transaction', async (event, input) => {
+            try {
+                const clientId = event.sender.id.toString();
+                const allowed = await this.dbWriteRateLimiter.checkLimit(clientId);
+                if (!allowed) {
+                    return { success: false, error: 'Rate limit exceeded for database writes.' };
+                }
+                return await this.databaseManager.transaction(input.dbName, input.operations, { appId: input.appId });
+            } catch (error) {
+                logger.error('Failed to run transaction', error);
+                return { success: false, error: error.message, operationIndex: error.operationIndex };
+            }
+        }));
+
+        ipcMain.handle('db-search', ipcValidator.createValidatedHandler('db-search', async (event, input) => {
+            try {
+                return await this.databaseManager.search(input.dbName, input.tableName, input.query, input.options);
+            } catch (error) {
+                logger.error('Failed to search data', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('db-aggregate', ipcValidator.createValidatedHandler('db-aggregate', async (event, input) => {
+            try {
+                return await this.databaseManager.aggregate(input.dbName, input.tableName, input.options);
+            } catch (error) {
+                logger.error('Failed to aggregate data', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
         ipcMain.handle('db-update-data', ipcValidator.createValidatedHandler('db-update-data', async (event, input) => {
             try {
                 const clientId = event.sender.id.toString();
@@ -813,7 +1225,7 @@ class DynamicAppBuilder {
                 if (!allowed) {
                     return { success: false, error: 'Rate limit exceeded for database writes.' };
                 }
-                return await this.databaseManager.updateData(input.dbName, input.tableName, input.id, input.data);
+                return await this.databaseManager.updateData(input.dbName, input.tableName, input.id, input.data, { appId: input.appId });
             } catch (error) {
                 logger.error('Failed to update data', error);
                 return { success: false, error: error.message };
@@ -827,7 +1239,7 @@ class DynamicAppBuilder {
                 if (!allowed) {
                     return { success: false, error: 'Rate limit exceeded for database writes.' };
                 }
-                return await this.databaseManager.deleteData(input.dbName, input.tableName, input.id);
+                return await this.databaseManager.deleteData(input.dbName, input.tableName, input.id, { appId: input.appId });
             } catch (error) {
                 logger.error('Failed to delete data', error);
                 return { success: false, error: error.message };
@@ -841,7 +1253,7 @@ class DynamicAppBuilder {
                 if (!allowed) {
                     return { success: false, error: 'Rate limit exceeded for database operations.' };
                 }
-                return await this.databaseManager.executeSQL(input.dbName, input.sql, input.params || []);
+                return await this.databaseManager.executeSQL(input.dbName, input.sql, input.params || [], { appId: input.appId });
             } catch (error) {
                 logger.error('Failed to execute SQL', error);
                 return { success: false, error: error.message };
@@ -850,7 +1262,27 @@ class DynamicAppBuilder {
 
         ipcMain.handle('db-export-database', ipcValidator.createValidatedHandler('db-export-database', async (event, input) => {
             try {
-                return await this.databaseManager.exportDatabase(input.dbName);
+                // Without a format the whole database is returned as one JSON object
+                if (!input.format) {
+                    return await this.databaseManager.exportDatabase(input.dbName);
+                }
+
+                const baseName = input.tableName || input.dbName;
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    defaultPath: `${baseName}.${input.format}`,
+                    filters: [
+                        { name: `${input.format.toUpperCase()} files`, extensions: [input.format] },
+                        { name: 'All files', extensions: ['*'] }
+                    ]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true, error: 'Export canceled' };
+                }
+
+                return await this.dataExporter.exportToFile(input.dbName, result.filePath, {
+                    format: input.format,
+                    table: input.tableName || null
+                });
             } catch (error) {
                 logger.error('Failed to export database', error);
                 return { success: false, error: error.message };
@@ -897,19 +1329,493 @@ class DynamicAppBuilder {
             }
         });
 
+        // ============================================================
+        // Schema Migration IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('db-migrate', ipcValidator.createValidatedHandler('db-migrate', async (event, input) => {
+            try {
+                const options = input.options || {};
+                const result = await this.migrationEngine.migrate(input.dbName, input.migration, {
+                    dryRun: options.dryRun === true,
+                    backup: options.backup !== false
+                });
+                if (result.success && !result.dryRun) {
+                    this.schemaContextBuilder.clearCache();
+                }
+                return result;
+            } catch (error) {
+                logger.error('Failed to apply migration', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('db-rollback-migration', ipcValidator.createValidatedHandler('db-rollback-migration', async (event, input) => {
+            try {
+                const options = input.options || {};
+                const result = await this.migrationEngine.rollback(input.dbName, input.toMigrationId || null, {
+                    dryRun: options.dryRun === true,
+                    backup: options.backup !== false
+                });
+                if (result.success && !result.dryRun) {
+                    this.schemaContextBuilder.clearCache();
+                }
+                return result;
+            } catch (error) {
+                logger.error('Failed to roll back migrations', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('db-list-migrations', ipcValidator.createValidatedHandler('db-list-migrations', async (event, input) => {
+            try {
+                return await this.migrationEngine.listMigrations(input.dbName);
+            } catch (error) {
+                logger.error('Failed to list migrations', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        // ============================================================
+        // Data Import IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('db-import-select-file', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openFile'],
+                    filters: [
+                        { name: 'Data files', extensions: ['csv', 'tsv', 'txt', 'json', 'ndjson', 'jsonl'] },
+                        { name: 'All files', extensions: ['*'] }
+                    ]
+                });
+
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, canceled: true, error: 'No file selected' };
+                }
+
+                const filePath = result.filePaths[0];
+                const stats = await fs.stat(filePath);
+                const maxBytes = CONSTANTS.DATABASE.IMPORT.MAX_FILE_SIZE_MB * 1024 * 1024;
+                if (stats.size > maxBytes) {
+                    return { success: false, error: `File is larger than ${CONSTANTS.DATABASE.IMPORT.MAX_FILE_SIZE_MB} MB` };
+                }
+
+                const content = await fs.readFile(filePath, 'utf8');
+                return this.dataImporter.preview(path.basename(filePath), content);
+            } catch (error) {
+                logger.error('Failed to read import file', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('db-import-data', ipcValidator.createValidatedHandler('db-import-data', async (event, input) => {
+            try {
+                const clientId = event.sender.id.toString();
+                const allowed = await this.dbWriteRateLimiter.checkLimit(clientId);
+                if (!allowed) {
+                    return { success: false, error: 'Rate limit exceeded for database writes.' };
+                }
+
+                const options = input.options || {};
+                const result = await this.dataImporter.importStaged(input.dbName, input.importId, {
+                    table: options.table,
+                    createTable: options.createTable === true,
+                    mapping: options.mapping || null,
+                    types: options.types || {},
+                    batchSize: options.batchSize,
+                    onProgress: (progress) => {
+                        if (!event.sender.isDestroyed()) {
+                            event.sender.send('db-import-progress', { importId: input.importId, ...progress });
+                        }
+                    }
+                });
+                if (result.success && result.created) {
+                    this.schemaContextBuilder.clearCache();
+                }
+                return result;
+            } catch (error) {
+                logger.error('Failed to import data', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('db-import-cancel', ipcValidator.createValidatedHandler('db-import-cancel', async (event, input) => {
+            return this.dataImporter.discard(input.importId);
+        }));
+
+        // Row change feed: events are pushed on 'db-change-feed'
+        ipcMain.handle('db-change-feed-subscribe', ipcValidator.createValidatedHandler('db-change-feed-subscribe', async (event, input) => {
+            return { success: true, ...this.changeFeed.subscribe(event.sender, input.tables) };
+        }));
+
+        ipcMain.handle('db-change-feed-unsubscribe', ipcValidator.createValidatedHandler('db-change-feed-unsubscribe', async (event, input) => {
+            return { success: this.changeFeed.unsubscribe(input.subscriptionId) };
+        }));
+
+        ipcMain.handle('db-changes-since', ipcValidator.createValidatedHandler('db-changes-since', async (event, input) => {
+            return this.changeFeed.changesSince(input.sequence, input.tables);
+        }));
+
+        // Change journal: undo/redo (optionally limited to one app's writes) and row history
+        ipcMain.handle('db-undo', ipcValidator.createValidatedHandler('db-undo', async (event, input) => {
+            const clientId = event.sender.id.toString();
+            const allowed = await this.dbWriteRateLimiter.checkLimit(clientId);
+            if (!allowed) {
+                return { success: false, error: 'Rate limit exceeded for database writes.' };
+            }
+            return await this.databaseManager.undo(input.dbName, { appId: input.appId });
+        }));
+
+        ipcMain.handle('db-redo', ipcValidator.createValidatedHandler('db-redo', async (event, input) => {
+            const clientId = event.sender.id.toString();
+            const allowed = await this.dbWriteRateLimiter.checkLimit(clientId);
+            if (!allowed) {
+                return { success: false, error: 'Rate limit exceeded for database writes.' };
+            }
+            return await this.databaseManager.redo(input.dbName, { appId: input.appId });
+        }));
+
+        ipcMain.handle('db-journal-state', ipcValidator.createValidatedHandler('db-journal-state', async (event, input) => {
+            return await this.databaseManager.getJournalState(input.dbName, { appId: input.appId });
+        }));
+
+        ipcMain.handle('db-row-history', ipcValidator.createValidatedHandler('db-row-history', async (event, input) => {
+            return await this.databaseManager.getRowHistory(input.dbName, input.tableName, input.id, { limit: input.limit });
+        }));
+
+        // ============================================================
+        // Workspace IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('workspace-list', async () => {
+            return await this.workspaceManager.listWorkspaces();
+        });
+
+        ipcMain.handle('workspace-get', ipcValidator.createValidatedHandler('workspace-get', async (event, input) => {
+            return await this.workspaceManager.getWorkspace(input.name);
+        }));
+
+        ipcMain.handle('workspace-get-active', async () => {
+            return await this.workspaceManager.getActiveWorkspace();
+        });
+
+        ipcMain.handle('workspace-save', ipcValidator.createValidatedHandler('workspace-save', async (event, input) => {
+            return await this.workspaceManager.saveWorkspace(input.name, input.state);
+        }));
+
+        ipcMain.handle('workspace-activate', ipcValidator.createValidatedHandler('workspace-activate', async (event, input) => {
+            return await this.workspaceManager.activateWorkspace(input.name);
+        }));
+
+        ipcMain.handle('workspace-duplicate', ipcValidator.createValidatedHandler('workspace-duplicate', async (event, input) => {
+            return await this.workspaceManager.duplicateWorkspace(input.name, input.newName);
+        }));
+
+        ipcMain.handle('workspace-rename', ipcValidator.createValidatedHandler('workspace-rename', async (event, input) => {
+            return await this.workspaceManager.renameWorkspace(input.name, input.newName);
+        }));
+
+        ipcMain.handle('workspace-delete', ipcValidator.createValidatedHandler('workspace-delete', async (event, input) => {
+            return await this.workspaceManager.deleteWorkspace(input.name);
+        }));
+
+        ipcMain.handle('workspace-export', ipcValidator.createValidatedHandler('workspace-export', async (event, input) => {
+            try {
+                const exported = await this.workspaceManager.exportWorkspace(input.name);
+                if (!exported.success) {
+                    return exported;
+                }
+
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    defaultPath: `${input.name}.workspace.json`,
+                    filters: [
+                        { name: 'Workspace files', extensions: ['json'] },
+                        { name: 'All files', extensions: ['*'] }
+                    ]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true, error: 'Export canceled' };
+                }
+
+                await fs.writeFile(result.filePath, JSON.stringify(exported.data, null, 2), 'utf8');
+                return { success: true, filePath: result.filePath };
+            } catch (error) {
+                logger.error('Failed to export workspace', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('workspace-import', async () => {
+            try {
+                const result = await dialog.showOpenDialog(this.mainWindow, {
+                    properties: ['openFile'],
+                    filters: [
+                        { name: 'Workspace files', extensions: ['json'] },
+                        { name: 'All files', extensions: ['*'] }
+                    ]
+                });
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: false, canceled: true, error: 'No file selected' };
+                }
+
+                const stats = await fs.stat(result.filePaths[0]);
+                if (stats.size > 1024 * 1024) {
+                    return { success: false, error: 'File is too large to be a workspace export' };
+                }
+
+                let data;
+                try {
+                    data = JSON.parse(await fs.readFile(result.filePaths[0], 'utf8'));
+                } catch (parseError) {
+                    return { success: false, error: 'Not a workspace export' };
+                }
+                return await this.workspaceManager.importWorkspace(data);
+            } catch (error) {
+                logger.error('Failed to import workspace', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // ============================================================
+        // App Export IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('app-export', ipcValidator.createValidatedHandler('app-export', async (event, input) => {
+            try {
+                const name = AppExporter.packageName(input.appName || input.appId);
+                let targetPath;
+                if (input.format === 'html') {
+                    const result = await dialog.showSaveDialog(this.mainWindow, {
+                        defaultPath: `${name}.html`,
+                        filters: [
+                            { name: 'HTML files', extensions: ['html'] },
+                            { name: 'All files', extensions: ['*'] }
+                        ]
+                    });
+                    if (result.canceled || !result.filePath) {
+                        return { success: false, canceled: true, error: 'Export canceled' };
+                    }
+                    targetPath = result.filePath;
+                } else {
+                    const result = await dialog.showOpenDialog(this.mainWindow, {
+                        title: 'Choose where to create the Electron project',
+                        buttonLabel: 'Export here',
+                        properties: ['openDirectory', 'createDirectory']
+                    });
+                    if (result.canceled || result.filePaths.length === 0) {
+                        return { success: false, canceled: true, error: 'Export canceled' };
+                    }
+                    targetPath = result.filePaths[0];
+                }
+
+                return await this.appExporter.exportApp(input.appId, input.appDocument, { format: input.format, targetPath });
+            } catch (error) {
+                logger.error('Failed to export app', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        // ============================================================
+        // App Window IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('app-window-open', ipcValidator.createValidatedHandler('app-window-open', async (event, input) => {
+            try {
+                return await this.openAppWindow(input.appId);
+            } catch (error) {
+                logger.error('Failed to open app window', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('app-window-close', ipcValidator.createValidatedHandler('app-window-close', async (event, input) => {
+            return this.closeAppWindow(input.appId, input.redock === true);
+        }));
+
+        // appBus messages and calls between apps in different windows
+        ipcMain.handle('app-bus-send', ipcValidator.createValidatedHandler('app-bus-send', async (event, input) => {
+            return this.routeAppBusMessage(event.sender, {
+                ...input.payload,
+                type: input.type,
+                sourceAppId: input.sourceAppId,
+                targetAppId: input.targetAppId
+            });
+        }));
+
+        // ============================================================
+        // Shared Session IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('shared-session-start', ipcValidator.createValidatedHandler('shared-session-start', async (event, input) => {
+            try {
+                return await this.sharedSession.start(input, message => this.deliverSharedSessionMessage(message));
+            } catch (error) {
+                logger.error('Failed to start shared session', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('shared-session-join', ipcValidator.createValidatedHandler('shared-session-join', async (event, input) => {
+            try {
+                return await this.sharedSession.join(input, message => this.deliverSharedSessionMessage(message));
+            } catch (error) {
+                logger.error('Failed to join shared session', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        // Edits, cursors and chat from this window; the host checks the sender's role
+        ipcMain.handle('shared-session-send', ipcValidator.createValidatedHandler('shared-session-send', async (event, input) => {
+            return this.sharedSession.send(input);
+        }));
+
+        ipcMain.handle('shared-session-stop', async () => {
+            return await this.sharedSession.stop();
+        });
+
+        ipcMain.handle('shared-session-status', async () => {
+            return { success: true, ...this.sharedSession.getStatus() };
+        });
+
+        // ============================================================
+        // Trash IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('db-list-trash', ipcValidator.createValidatedHandler('db-list-trash', async (event, input) => {
+            return await this.databaseManager.listTrash(input.dbName);
+        }));
+
+        ipcMain.handle('db-restore-trash', ipcValidator.createValidatedHandler('db-restore-trash', async (event, input) => {
+            const clientId = event.sender.id.toString();
+            const allowed = await this.dbWriteRateLimiter.checkLimit(clientId);
+            if (!allowed) {
+                return { success: false, error: 'Rate limit exceeded for database writes.' };
+            }
+            return await this.databaseManager.restoreFromTrash(input.dbName, input.trashId, { newName: input.newName });
+        }));
+
+        ipcMain.handle('db-purge-trash', ipcValidator.createValidatedHandler('db-purge-trash', async (event, input) => {
+            const clientId = event.sender.id.toString();
+            const allowed = await this.dbWriteRateLimiter.checkLimit(clientId);
+            if (!allowed) {
+                return { success: false, error: 'Rate limit exceeded for database writes.' };
+            }
+            return await this.databaseManager.purgeTrash(input.dbName, input.trashId ?? null);
+        }));
+
+        // ============================================================
+        // App Table Permission IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('app-check-table-access', ipcValidator.createValidatedHandler('app-check-table-access', async (event, input) => {
+            return await this.databaseManager.checkTableAccess(input.appId, input.tableName, input.access);
+        }));
+
+        ipcMain.handle('app-set-table-permission', ipcValidator.createValidatedHandler('app-set-table-permission', async (event, input) => {
+            return await this.databaseManager.setTablePermission(input.appId, input.tableName, {
+                read: input.read,
+                write: input.write,
+                schema: input.schema
+            });
+        }));
+
+        ipcMain.handle('app-clear-table-permission', ipcValidator.createValidatedHandler('app-clear-table-permission', async (event, input) => {
+            return await this.databaseManager.clearTablePermission(input.appId, input.tableName);
+        }));
+
+        ipcMain.handle('app-get-permissions', ipcValidator.createValidatedHandler('app-get-permissions', async (event, input) => {
+            return await this.databaseManager.getAppPermissions(input.appId);
+        }));
+
+        ipcMain.handle('app-claim-table', ipcValidator.createValidatedHandler('app-claim-table', async (event, input) => {
+            return await this.databaseManager.claimTable(input.appId, input.tableName);
+        }));
+
+        ipcMain.handle('app-access-denied', ipcValidator.createValidatedHandler('app-access-denied', async (event, input) => {
+            logger.warn('App table access denied', input);
+            return await this.auditModule.logAccess('table', 'denied', {
+                appId: input.appId,
+                table: input.tableName,
+                access: input.access,
+                method: input.method
+            }, { level: 'warning', userId: input.appId });
+        }));
+
+        // ============================================================
+        // Audit Log IPC Handlers
+        // ============================================================
+
+        ipcMain.handle('audit-verify-log', ipcValidator.createValidatedHandler('audit-verify-log', async (event, input) => {
+            try {
+                // Exported checkpoints kept elsewhere also catch entries cut off the end
+                let checkpointFile;
+                if (input.useExportedCheckpoints) {
+                    const result = await dialog.showOpenDialog(this.mainWindow, {
+                        properties: ['openFile'],
+                        filters: [
+                            { name: 'Audit checkpoints', extensions: ['json'] },
+                            { name: 'All files', extensions: ['*'] }
+                        ]
+                    });
+                    if (result.canceled || result.filePaths.length === 0) {
+                        return { success: false, canceled: true, error: 'No file selected' };
+                    }
+                    checkpointFile = result.filePaths[0];
+                }
+
+                const verification = await this.auditModule.verifyChain({ checkpointFile });
+                if (verification.success) {
+                    await this.auditModule.log('compliance', 'audit_log_verified', {
+                        valid: verification.valid,
+                        verified: verification.verified,
+                        firstProblem: verification.firstProblem
+                    }, { level: verification.valid ? 'info' : 'critical' });
+                }
+                return verification;
+            } catch (error) {
+                logger.error('Failed to verify audit log', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('audit-export-checkpoints', async () => {
+            try {
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    defaultPath: `audit-checkpoints-${new Date().toISOString().slice(0, 10)}.json`,
+                    filters: [
+                        { name: 'Audit checkpoints', extensions: ['json'] },
+                        { name: 'All files', extensions: ['*'] }
+                    ]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true, error: 'Export canceled' };
+                }
+
+                return await this.auditModule.exportCheckpoints(result.filePath);
+            } catch (error) {
+                logger.error('Failed to export audit checkpoints', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         // ============================================================
         // Multi-App Registry IPC Handlers
         // ============================================================
 
         ipcMain.handle('db-register-app', ipcValidator.createValidatedHandler('db-register-app', async (event, input) => {
             try {
-                return await this.databaseManager.registerApp(
+                const result = await this.databaseManager.registerApp(
                     input.appId,
                     input.appName,
                     input.description,
                     input.originalPrompt || null,
                     input.generatedCode || null
                 );
+                if (result.success && input.generatedCode) {
+                    await this.appVersionHistory.recordVersion(input.appId, 'generate');
+                }
+                return result;
             } catch (error) {
                 logger.error('Failed to register app', error);
                 return { success: false, error: error.message };
@@ -991,7 +1897,7 @@ class DynamicAppBuilder {
                 if (!allowed) {
                     return { success: false, error: 'Rate limit exceeded for database writes.' };
                 }
-                return await this.databaseManager.dropTable(input.dbName, input.tableName);
+                return await this.databaseManager.dropTable(input.dbName, input.tableName, { permanent: input.permanent === true });
             } catch (error) {
                 logger.error('Failed to drop table', error);
                 return { success: false, error: error.message };
@@ -1123,7 +2029,11 @@ class DynamicAppBuilder {
 
         ipcMain.handle('db-update-app-code', ipcValidator.createValidatedHandler('db-update-app-code', async (event, input) => {
             try {
-                return await this.databaseManager.updateAppCode(input.appId, input.newCode, input.markActive !== false);
+                const result = await this.databaseManager.updateAppCode(input.appId, input.newCode, input.markActive !== false);
+                if (result.success) {
+                    await this.appVersionHistory.recordVersion(input.appId, 'edit');
+                }
+                return result;
             } catch (error) {
                 logger.error('Failed to update app code', error);
                 return { success: false, error: error.message };
@@ -1170,26 +2080,36 @@ class DynamicAppBuilder {
                 // Regenerate with updated schema context
                 const regenerationPrompt = `${originalPrompt}\n\n[REGENERATION NOTE: This app is being regenerated due to database schema changes. Use the current schema context below.]\n\n${schemaContext.context || ''}`;
 
-                const result = await this.codeGenerationModule.generateCode(regenerationPrompt);
+                const result = await this.runMetered({ operation: 'regenerate-app', appId: input.appId },
+                    () => this.codeGenerationModule.generateCode(regenerationPrompt));
 
                 if (!result.success) {
                     return { success: false, error: result.error || 'Code generation failed' };
                 }
 
-                // Update the app with new code
-                const updateResult = await this.databaseManager.updateAppCode(input.appId, result.code, true);
+                // The new code waits for review; db-accept-regenerated-app makes it active
+                const previousCode = appInfo.app.generated_code || '';
+                this.pendingRegenerations.set(input.appId, {
+                    code: result.code,
+                    previousCode,
+                    description: result.description
+                });
 
-                if (!updateResult.success) {
-                    return { success: false, error: updateResult.error };
-                }
+                const schemas = await this.databaseManager.getAllSchemas();
+                const ops = textDiff.diffLines(previousCode, result.code);
 
-                logger.info('App regenerated successfully', { appId: input.appId, version: updateResult.app.version });
+                logger.info('App regenerated, waiting for review', { appId: input.appId });
 
                 return {
                     success: true,
-                    app: updateResult.app,
+                    app: appInfo.app,
                     code: result.code,
-                    description: result.description
+                    description: result.description,
+                    review: {
+                        summary: textDiff.summarize(ops),
+                        rows: textDiff.toSideBySide(ops),
+                        references: codeReferences.compare(previousCode, result.code, schemas.success ? schemas.schemas : {})
+                    }
                 };
             } catch (error) {
                 logger.error('Failed to regenerate app', error);
@@ -1197,6 +2117,57 @@ class DynamicAppBuilder {
             }
         }));
 
+        ipcMain.handle('db-accept-regenerated-app', ipcValidator.createValidatedHandler('db-accept-regenerated-app', async (event, input) => {
+            try {
+                const pending = this.pendingRegenerations.get(input.appId);
+                if (!pending) {
+                    return { success: false, error: 'No regenerated code is waiting for review' };
+                }
+
+                // Don't replace code that changed after the review was shown
+                const appInfo = await this.databaseManager.getAppInfo(input.appId);
+                if (!appInfo.success) {
+                    return appInfo;
+                }
+                if ((appInfo.app.generated_code || '') !== pending.previousCode) {
+                    this.pendingRegenerations.delete(input.appId);
+                    return { success: false, error: 'The app changed since it was regenerated. Regenerate it again.' };
+                }
+
+                const updateResult = await this.databaseManager.updateAppCode(input.appId, pending.code, true);
+                if (!updateResult.success) {
+                    return updateResult;
+                }
+                this.pendingRegenerations.delete(input.appId);
+                await this.appVersionHistory.recordVersion(input.appId, 'regenerate');
+
+                logger.info('Regenerated app accepted', { appId: input.appId, version: updateResult.app.version });
+                return { success: true, app: updateResult.app };
+            } catch (error) {
+                logger.error('Failed to accept regenerated app', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('db-reject-regenerated-app', ipcValidator.createValidatedHandler('db-reject-regenerated-app', async (event, input) => {
+            const discarded = this.pendingRegenerations.delete(input.appId);
+            logger.info('Regenerated app rejected', { appId: input.appId, discarded });
+            return { success: true, discarded };
+        }));
+
+        // App version history (git repository in the data directory)
+        ipcMain.handle('db-app-history', ipcValidator.createValidatedHandler('db-app-history', async (event, input) => {
+            return await this.appVersionHistory.getHistory(input.appId);
+        }));
+
+        ipcMain.handle('db-app-version-diff', ipcValidator.createValidatedHandler('db-app-version-diff', async (event, input) => {
+            return await this.appVersionHistory.diffVersion(input.appId, input.commit);
+        }));
+
+        ipcMain.handle('db-restore-app-version', ipcValidator.createValidatedHandler('db-restore-app-version', async (event, input) => {
+            return await this.appVersionHistory.restoreVersion(input.appId, input.commit);
+        }));
+
         // AI Schema Generation IPC Handlers
         ipcMain.handle('db-generate-schema', ipcValidator.createValidatedHandler('db-generate-schema', async (event, input) => {
             try {
@@ -1208,7 +2179,8 @@ class DynamicAppBuilder {
                 if (!allowed) {
                     return { success: false, error: 'Rate limit exceeded. Please wait before generating more schemas.' };
                 }
-                return await this.aiSchemaGenerator.generateSchema(input.description);
+                return await this.runMetered({ operation: 'generate-schema' },
+                    () => this.aiSchemaGenerator.generateSchema(input.description));
             } catch (error) {
                 logger.error('Failed to generate schema', error);
                 return { success: false, error: error.message };
@@ -1225,7 +2197,8 @@ class DynamicAppBuilder {
                 if (!allowed) {
                     return { success: false, error: 'Rate limit exceeded. Please wait before generating more scripts.' };
                 }
-                return await this.aiSchemaGenerator.generateDatabaseScript(input.description);
+                return await this.runMetered({ operation: 'generate-database-script' },
+                    () => this.aiSchemaGenerator.generateDatabaseScript(input.description));
             } catch (error) {
                 logger.error('Failed to generate database script', error);
                 return { success: false, error: error.message };
@@ -1237,7 +2210,8 @@ class DynamicAppBuilder {
                 if (!this.aiSchemaGenerator) {
                     return { success: false, error: 'AI schema generator not available. Please set API key first.' };
                 }
-                return await this.aiSchemaGenerator.suggestImprovements(input.schema, input.context);
+                return await this.runMetered({ operation: 'suggest-improvements' },
+                    () => this.aiSchemaGenerator.suggestImprovements(input.schema, input.context));
             } catch (error) {
                 logger.error('Failed to suggest improvements', error);
                 return { success: false, error: error.message };
@@ -1271,7 +2245,8 @@ ${dbContext}
 Please generate code that can interact with this database structure. Use the provided table schemas and sample data as context.`;
                 }
 
-                return await this.generateCode(enhancedPrompt);
+                return await this.runMetered({ operation: 'generate-code-with-data' },
+                    () => this.generateCode(enhancedPrompt));
             } catch (error) {
                 logger.error('Failed to generate code with database context', error);
                 return { success: false, error: error.message };
@@ -1296,6 +2271,24 @@ Please generate code that can interact with this database structure. Use the pro
             }
         });
         
+        ipcMain.handle('get-ai-usage-report', ipcValidator.createValidatedHandler('get-ai-usage-report', async (event, input) => {
+            try {
+                return await this.performanceDashboard.getUsageReport(input.days);
+            } catch (error) {
+                logger.error('Failed to get AI usage report', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
+        ipcMain.handle('set-ai-usage-budget', ipcValidator.createValidatedHandler('set-ai-usage-budget', async (event, input) => {
+            try {
+                return await usageTracker.setBudgets(input);
+            } catch (error) {
+                logger.error('Failed to set AI usage budget', error);
+                return { success: false, error: error.message };
+            }
+        }));
+
         ipcMain.handle('acknowledge-alert', async (event, alertId) => {
             try {
                 this.performanceDashboard.acknowledgeAlert(alertId);
@@ -1480,19 +2473,7 @@ Please generate code that can interact with this database structure. Use the pro
 
         try {
             // Enhance prompt with database schema context for multi-app awareness
-            let enhancedPrompt = prompt;
-            try {
-                const schemaContext = await this.schemaContextBuilder.buildPromptAwareContext(prompt);
-                if (schemaContext) {
-                    enhancedPrompt = `${prompt}\n\n${schemaContext}`;
-                    logger.info('Enhanced prompt with schema context', {
-                        originalLength: prompt.length,
-                        enhancedLength: enhancedPrompt.length
-                    });
-                }
-            } catch (contextError) {
-                logger.warn('Failed to build schema context, proceeding without it', { error: contextError.message });
-            }
+            const enhancedPrompt = await this.buildSchemaAwarePrompt(prompt);
 
             // TEMP: Commented out resource check - too strict for development
             // const resourceCheck = await systemMonitor.checkResourceLimits();
@@ -1515,6 +2496,77 @@ Please generate code that can interact with this database structure. Use the pro
         }
     }
 
+    /**
+     * Append schema context relevant to the prompt so generated apps reuse existing tables
+     * @async
+     * @param {string} prompt - The user's prompt
+     * @returns {Promise<string>} The prompt, enhanced with schema context when available
+     */
+    async buildSchemaAwarePrompt(prompt) {
+        try {
+            const schemaContext = await this.schemaContextBuilder.buildPromptAwareContext(prompt);
+            if (schemaContext) {
+                const enhancedPrompt = `${prompt}\n\n${schemaContext}`;
+                logger.info('Enhanced prompt with schema context', {
+                    originalLength: prompt.length,
+                    enhancedLength: enhancedPrompt.length
+                });
+                return enhancedPrompt;
+            }
+        } catch (contextError) {
+            logger.warn('Failed to build schema context, proceeding without it', { error: contextError.message });
+        }
+        return prompt;
+    }
+
+    /**
+     * Run an AI operation within the daily budget and attach the token usage it caused
+     * @param {Object} context - {operation, sessionId, appId} stored with each usage record
+     * @param {Function} fn - Async work returning a {success, ...} result
+     * @returns {Promise<Object>} The result with `usage` (also copied into `metadata` when present)
+     */
+    async runMetered(context, fn) {
+        const budget = await usageTracker.checkBudget();
+        if (!budget.allowed) {
+            logger.warn('AI request blocked by daily budget', { operation: context.operation, reason: budget.reason });
+            return { success: false, error: budget.reason, budgetExceeded: true };
+        }
+
+        const { result, usage } = await usageTracker.track(context, fn);
+        if (!result || typeof result !== 'object') {
+            return result;
+        }
+        // Copy rather than mutate - results may be shared with the generation cache
+        return {
+            ...result,
+            usage,
+            ...(result.metadata && { metadata: { ...result.metadata, usage } })
+        };
+    }
+
+    /**
+     * Record a successful generation as a new version of a session's code
+     * @param {string} [sessionId] - Session to record into; nothing is recorded when omitted
+     * @param {string} prompt - Original prompt of the app
+     * @param {GenerationResult} result - Generation result
+     * @param {Object} [details] - Version details passed to sessionManager.addCodeGeneration
+     * @returns {Object|null} The updated session, or null when nothing was recorded
+     */
+    recordCodeVersion(sessionId, prompt, result, details = {}) {
+        if (!sessionId || !result || !result.success || !result.data) {
+            return null;
+        }
+
+        if (!sessionManager.getSession(sessionId)) {
+            sessionManager.createSession(sessionId, prompt);
+        }
+
+        return sessionManager.addCodeGeneration(sessionId, prompt, result.data.code, result.data.packages || [], {
+            description: result.data.description,
+            ...details
+        });
+    }
+
     async attemptCodeGeneration(prompt, retryCount, startTime) {
         try {
             const aiConfig = configManager.get('ai');
@@ -1555,9 +2607,14 @@ FORBIDDEN - DO NOT USE:
 DATABASE API - For data persistence, use:
 - await window.electronAPI.createTable(tableName, { columns: ['col1', 'col2'] })
 - await window.electronAPI.insertData(tableName, { col1: 'value1', col2: 'value2' })
-- await window.electronAPI.queryData(tableName) // returns array of objects
+- await window.electronAPI.queryData(tableName, { where, columns, orderBy, limit }) // returns array of objects
+  where supports { col: value }, { col: { $gt, $gte, $lt, $lte, $ne, $like, $in, $nin, $between: [a, b], $null: true } } and { $or: [ {...}, {...} ] }
+- await window.electronAPI.aggregate(tableName, { count: true, sum: 'col', groupBy: 'col2' }) // returns [{ col2, count, sum_col }]
+- await window.electronAPI.search(tableName, 'words', { limit: 20, highlight: true }) // ranked rows with _snippet; needs columns created with searchable: true
 - await window.electronAPI.updateData(tableName, id, { col1: 'newValue' })
 - await window.electronAPI.deleteData(tableName, id)
+- await window.electronAPI.transaction([{ op: 'insert', table, data }, { op: 'update', table, id, data }, { op: 'delete', table, id }]) // all or nothing, use for bulk writes
+- await window.electronAPI.undo() / await window.electronAPI.redo() // revert or re-apply the app's latest write (a whole transaction counts as one); returns { success, tables, error }
 
 DATABASE EXAMPLE:
 (async () => {
@@ -2008,7 +3065,7 @@ ${prompt}`;
         try {
             // Extract table names from database operations in code
             const tablePatterns = [
-                /electronAPI\.(insertData|queryData|updateData|deleteData)\(['"](\w+)['"]/g,
+                /electronAPI\.(insertData|queryData|aggregate|search|updateData|deleteData)\(['"](\w+)['"]/g,
                 /createTable\(['"](\w+)['"]/g
             ];
 
@@ -2020,7 +3077,7 @@ ${prompt}`;
                 const regex = new RegExp(pattern);
                 while ((match = regex.exec(code)) !== null) {
                     const tableName = match[2];
-                    if (match[1] === 'insertData' || match[1] === 'queryData' || match[1] === 'updateData' || match[1] === 'deleteData') {
+                    if (match[1] === 'insertData' || match[1] === 'queryData' || match[1] === 'aggregate' || match[1] === 'search' || match[1] === 'updateData' || match[1] === 'deleteData') {
                         tablesUsed.add(tableName);
                     } else {
                         tablesCreated.add(tableName);
@@ -2394,7 +3451,17 @@ async function performCleanup() {
         );
     }
     
-    // 2. Close all database connections
+    // 2. Leave or end a shared session so teammates are told
+    if (builder.sharedSession) {
+        cleanupTasks.push(
+            builder.sharedSession.stop().catch(error => {
+                logger.error('Failed to close shared session', error);
+            })
+        );
+    }
+
+    // 3. Stop scheduled tasks and close all database connections
+    scheduler.stopAllTasks();
     if (builder.databaseManager) {
         cleanupTasks.push(
             builder.databaseManager.closeAllConnections().catch(error => {
@@ -2403,7 +3470,7 @@ async function performCleanup() {
         );
     }
 
-    // 3. Stop performance monitoring
+    // 4. Stop performance monitoring
     if (builder.performanceDashboard) {
         cleanupTasks.push(
             Promise.resolve(builder.performanceDashboard.cleanup()).catch(error => {
@@ -2412,7 +3479,7 @@ async function performCleanup() {
         );
     }
     
-    // 4. Stop system monitoring  
+    // 5. Stop system monitoring  
     if (systemMonitor) {
         cleanupTasks.push(
             Promise.resolve(systemMonitor.stop()).catch(error => {
@@ -2421,7 +3488,7 @@ async function performCleanup() {
         );
     }
     
-    // 5. Save session history
+    // 6. Save session history
     if (sessionManager) {
         cleanupTasks.push(
             sessionManager.saveHistory().catch(error => {
@@ -2430,7 +3497,16 @@ async function performCleanup() {
         );
     }
     
-    // 6. Flush logger
+    // 7. Sign a final audit checkpoint and close the audit log
+    if (builder.auditModule) {
+        cleanupTasks.push(
+            builder.auditModule.cleanup().catch(error => {
+                logger.error('Failed to close audit log', error);
+            })
+        );
+    }
+
+    // 8. Flush logger
     cleanupTasks.push(
         new Promise(resolve => {
             logger.info('Flushing log buffers...');
@@ -2445,7 +3521,7 @@ async function performCleanup() {
         new Promise(resolve => setTimeout(resolve, 5000)) // 5 second timeout
     ]);
     
-    // 7. Clean up temp directory (after other cleanup)
+    // 9. Clean up temp directory (after other cleanup)
     try {
         const tempDir = path.join(__dirname, '..', 'temp');
         await fs.rm(tempDir, { recursive: true, force: true });
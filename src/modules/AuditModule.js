@@ -6,9 +6,21 @@ const { createWriteStream, createReadStream } = require('fs');
 const readline = require('readline');
 const zlib = require('zlib');
 
+// Name of the chain signing key in the key store (secureStorage)
+const SIGNING_KEY_NAME = 'audit_signing_key';
+const CHECKPOINT_FILE = 'checkpoints.jsonl';
+
 /**
  * AuditModule - Comprehensive audit logging and compliance system
  * Implements secure logging, compliance tracking, and forensic analysis
+ *
+ * With tamperDetection and a signing key in secure storage (config.keyStore)
+ * every record (file headers included) carries a sequence number, the hash of
+ * the record before it and an HMAC over both and its contents, so the chain
+ * runs across rotated and compressed files. Signed checkpoints of the chain
+ * head are appended to checkpoints.jsonl and can be exported, and kept
+ * elsewhere, to catch entries cut off the end. Without secure storage entries
+ * are not signed, and verifyChain says so.
  */
 class AuditModule extends EventEmitter {
     constructor() {
@@ -27,13 +39,25 @@ class AuditModule extends EventEmitter {
             byCategory: {},
             byUser: {}
         };
+        this.keyStore = null;
+        this.signingKey = null;
+        this.unsignedReason = null;
+        this.sequence = 0;
+        this.lastLogHash = null;
+        this.checkpointedSequence = 0;
+        this.timers = [];
     }
 
     /**
      * Initialize audit module
+     * @param {Object} [config]
+     * @param {Object} [config.keyStore] - Holds the chain signing key (secureStorage)
+     * @param {number} [config.checkpointInterval] - Milliseconds between signed checkpoints
      */
     async initialize(config = {}) {
         try {
+            const { keyStore, ...options } = config;
+            this.keyStore = keyStore || null;
             this.config = {
                 logPath: config.logPath || path.join(process.cwd(), 'logs', 'audit'),
                 maxLogSize: config.maxLogSize || 10 * 1024 * 1024, // 10MB
@@ -45,12 +69,21 @@ class AuditModule extends EventEmitter {
                 logLevel: config.logLevel || 'info',
                 includeSystemInfo: config.includeSystemInfo !== false,
                 tamperDetection: config.tamperDetection !== false,
-                ...config
+                checkpointInterval: config.checkpointInterval || 15 * 60 * 1000, // 15 minutes
+                ...options
             };
 
             // Create log directory
             await fs.mkdir(this.config.logPath, { recursive: true });
 
+            // Continue the hash chain where the last run stopped
+            if (this.config.tamperDetection) {
+                this.signingKey = await this.loadSigningKey();
+                if (this.signingKey) {
+                    await this.restoreChainHead();
+                }
+            }
+
             // Initialize log file
             await this.initializeLogFile();
 
@@ -66,6 +99,11 @@ class AuditModule extends EventEmitter {
             // Start retention enforcement
             this.startRetentionEnforcement();
 
+            // Start signed checkpoints
+            if (this.signingKey) {
+                this.startCheckpoints();
+            }
+
             console.log('Audit module initialized');
             this.emit('initialized');
 
@@ -73,6 +111,9 @@ class AuditModule extends EventEmitter {
             await this.log('SYSTEM', 'audit_module_initialized', {
                 config: this.sanitizeConfig(this.config)
             });
+            if (this.config.tamperDetection && !this.signingKey) {
+                await this.logSecurity('audit_chain_disabled', { reason: this.unsignedReason });
+            }
 
             return { success: true };
         } catch (error) {
@@ -220,9 +261,10 @@ class AuditModule extends EventEmitter {
         // Create write stream
         this.logStream = createWriteStream(this.currentLogFile, { flags: 'a' });
         
-        // Write header
+        // Write header (linked into the chain so whole files can't go missing unnoticed)
         const header = {
-            version: '1.0',
+            type: 'header',
+            version: '2.0',
             created: new Date().toISOString(),
             compliance: this.config.complianceMode,
             encrypted: this.config.encryptionEnabled,
@@ -230,7 +272,7 @@ class AuditModule extends EventEmitter {
             pid: process.pid
         };
         
-        await this.writeToLog(header);
+        await this.writeToLog(this.chainRecord(header));
     }
 
     /**
@@ -264,11 +306,7 @@ class AuditModule extends EventEmitter {
             }
 
             // Add integrity hash
-            if (this.config.tamperDetection) {
-                logEntry.hash = this.generateLogHash(logEntry);
-                logEntry.previousHash = this.lastLogHash;
-                this.lastLogHash = logEntry.hash;
-            }
+            this.chainRecord(logEntry);
 
             // Check compliance requirements
             const complianceCheck = this.checkCompliance(logEntry);
@@ -397,53 +435,212 @@ class AuditModule extends EventEmitter {
         return this.config.encryptionKey || 'default-encryption-key';
     }
 
+    /**
+     * Link a record to the end of the hash chain
+     * Written synchronously after this, so records reach the file in chain order
+     */
+    chainRecord(record) {
+        if (!this.signingKey) {
+            return record;
+        }
+
+        record.seq = ++this.sequence;
+        record.previousHash = this.lastLogHash;
+        record.hash = this.generateLogHash(record);
+        this.lastLogHash = record.hash;
+        return record;
+    }
+
     /**
      * Generate log hash for integrity
+     * HMAC over the record as written (sequence and previous hash included)
      */
     generateLogHash(entry) {
-        const content = JSON.stringify({
-            timestamp: entry.timestamp,
-            category: entry.category,
-            event: entry.event,
-            data: entry.data
-        });
+        const { hash, ...content } = entry;
         
-        return crypto.createHash('sha256').update(content).digest('hex');
+        return crypto.createHmac('sha256', this.signingKey).update(JSON.stringify(content)).digest('hex');
+    }
+
+    /**
+     * Load the chain signing key from the key store, creating it on first use
+     * Without secure storage there is no key: one kept next to the logs would
+     * let whoever edits them sign them again, so entries stay unsigned instead
+     * @returns {Promise<string|null>}
+     */
+    async loadSigningKey() {
+        if (!this.keyStore || !this.keyStore.isAvailable) {
+            this.unsignedReason = 'Secure storage is unavailable, so audit entries are not signed';
+            console.warn(this.unsignedReason);
+            return null;
+        }
+
+        const stored = await this.keyStore.retrieve(SIGNING_KEY_NAME);
+        if (stored) {
+            return stored;
+        }
+
+        const key = crypto.randomBytes(32).toString('hex');
+        await this.keyStore.store(SIGNING_KEY_NAME, key);
+        return key;
     }
 
     /**
-     * Verify log integrity
+     * Pick up the sequence and hash of the newest chained record
+     */
+    async restoreChainHead() {
+        const files = await this.getLogFiles();
+
+        for (const file of files.reverse()) {
+            const records = await this.readLogRecords(file);
+            const last = records.reverse().find(record => record.entry && record.entry.seq);
+            if (last) {
+                this.sequence = last.entry.seq;
+                this.lastLogHash = last.entry.hash;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Verify log integrity of a single file
      */
     async verifyLogIntegrity(logFile) {
         try {
-            const entries = await this.readLogFile(logFile);
-            let previousHash = null;
-            let valid = true;
-            const errors = [];
-            
-            for (const entry of entries) {
-                if (entry.hash) {
-                    // Verify hash
-                    const expectedHash = this.generateLogHash(entry);
-                    if (entry.hash !== expectedHash) {
-                        valid = false;
-                        errors.push(`Hash mismatch for log ${entry.id}`);
+            const result = await this.verifyChain({ files: [logFile], checkpoints: [] });
+            const errors = result.firstProblem ? [result.firstProblem.reason] : [];
+            if (result.error) {
+                errors.push(result.error);
+            }
+            return { valid: result.valid, errors };
+        } catch (error) {
+            console.error('Failed to verify log integrity:', error);
+            return { valid: false, errors: [error.message] };
+        }
+    }
+
+    /**
+     * Walk the hash chain across all log files, rotated and compressed ones
+     * included, then compare it with the signed checkpoints
+     * @param {Object} [options]
+     * @param {string[]} [options.files] - Log files to check (default: all)
+     * @param {string} [options.checkpointFile] - Exported checkpoints (default: the local checkpoint file)
+     * @param {Object[]} [options.checkpoints] - Checkpoints to use instead of a file
+     * @returns {Promise<{success: boolean, valid: boolean, signed: boolean, verified: number, legacy: number,
+     *   firstSequence: number|null, lastSequence: number|null, checkpoints: number,
+     *   firstProblem: {type: string, file: string|null, line: number|null, seq: number|null, reason: string}|null, error?: string}>}
+     *   type is 'tampered' or 'missing'; signed is false when entries are written without a signature
+     */
+    async verifyChain(options = {}) {
+        if (!this.signingKey) {
+            return {
+                success: false,
+                valid: false,
+                signed: false,
+                firstProblem: null,
+                error: this.unsignedReason || 'Tamper detection is not enabled'
+            };
+        }
+
+        try {
+            const checkpoints = options.checkpoints
+                || await this.readCheckpoints(options.checkpointFile || path.join(this.config.logPath, CHECKPOINT_FILE));
+            const checkpointSeqs = new Set(checkpoints.map(checkpoint => checkpoint.seq));
+            const hashesAtCheckpoints = new Map();
+
+            // Files are ordered by their first sequence, not by name
+            const files = [];
+            for (const file of options.files || await this.getLogFiles()) {
+                const records = await this.readLogRecords(file);
+                const first = records.find(record => record.entry && record.entry.seq);
+                files.push({ file, records, firstSeq: first ? first.entry.seq : 0 });
+            }
+            files.sort((a, b) => a.firstSeq - b.firstSeq);
+
+            const result = {
+                success: true,
+                valid: true,
+                signed: true,
+                verified: 0,
+                legacy: 0,
+                firstSequence: null,
+                lastSequence: null,
+                checkpoints: checkpoints.length,
+                firstProblem: null
+            };
+            const fail = (problem) => {
+                result.valid = false;
+                result.firstProblem = { file: null, line: null, seq: null, ...problem };
+                return result;
+            };
+
+            let previous = null;
+            for (const { file, records, firstSeq } of files) {
+                const name = path.basename(file);
+                for (const { line, entry } of records) {
+                    if (!entry) {
+                        return fail({ type: 'tampered', file: name, line, seq: previous ? previous.seq + 1 : null, reason: `Line ${line} of ${name} cannot be read` });
                     }
-                    
-                    // Verify chain
-                    if (previousHash && entry.previousHash !== previousHash) {
-                        valid = false;
-                        errors.push(`Chain broken at log ${entry.id}`);
+                    if (!entry.seq || !('previousHash' in entry)) {
+                        // Files written before entries were chained sort first; nothing unchained may follow
+                        if (!previous && !firstSeq) {
+                            result.legacy++;
+                            continue;
+                        }
+                        return fail({ type: 'tampered', file: name, line, seq: previous ? previous.seq + 1 : null, reason: `Line ${line} of ${name} is not part of the chain` });
                     }
-                    
-                    previousHash = entry.hash;
+
+                    const at = { file: name, line, seq: entry.seq };
+                    if (entry.hash !== this.generateLogHash(entry)) {
+                        return fail({ type: 'tampered', ...at, reason: `Entry ${entry.seq} was changed after it was written` });
+                    }
+                    if (previous && entry.seq > previous.seq + 1) {
+                        const missing = entry.seq - previous.seq - 1;
+                        return fail({ type: 'missing', ...at, seq: previous.seq + 1, reason: `${missing} ${missing === 1 ? 'entry is' : 'entries are'} missing before entry ${entry.seq}` });
+                    }
+                    if (previous && (entry.seq <= previous.seq || entry.previousHash !== previous.hash)) {
+                        return fail({ type: 'tampered', ...at, reason: `Entry ${entry.seq} does not follow entry ${previous.seq}` });
+                    }
+
+                    if (result.firstSequence === null) {
+                        result.firstSequence = entry.seq;
+                    }
+                    if (checkpointSeqs.has(entry.seq)) {
+                        hashesAtCheckpoints.set(entry.seq, { hash: entry.hash, ...at });
+                    }
+                    previous = entry;
+                    result.verified++;
                 }
             }
-            
-            return { valid, errors };
+            result.lastSequence = previous ? previous.seq : null;
+
+            // Entries that are gone entirely only show up against a checkpoint
+            const sorted = [...checkpoints].sort((a, b) => a.seq - b.seq);
+            const forged = sorted.find(checkpoint => !this.checkpointSignatureValid(checkpoint));
+            if (forged) {
+                return fail({ type: 'tampered', seq: forged.seq, reason: `The checkpoint at entry ${forged.seq} has an invalid signature` });
+            }
+            if (sorted.length > 0 && result.firstSequence === null) {
+                // Retention never removes the current file, so no entry at all means deleted logs
+                const newest = sorted[sorted.length - 1];
+                return fail({ type: 'missing', reason: `Entries up to ${newest.seq} are missing: no chained entries are left, but the checkpoint of ${newest.timestamp} covers them` });
+            }
+            for (const checkpoint of sorted) {
+                if (checkpoint.seq < result.firstSequence) {
+                    continue; // Older than every retained entry, removed by retention
+                }
+                if (checkpoint.seq > result.lastSequence) {
+                    return fail({ type: 'missing', seq: result.lastSequence + 1, reason: `Entries ${result.lastSequence + 1} to ${checkpoint.seq} are missing (checkpoint of ${checkpoint.timestamp})` });
+                }
+                const recorded = hashesAtCheckpoints.get(checkpoint.seq);
+                if (recorded.hash !== checkpoint.hash) {
+                    return fail({ type: 'tampered', ...recorded, reason: `Entry ${checkpoint.seq} does not match the checkpoint of ${checkpoint.timestamp}` });
+                }
+            }
+
+            return result;
         } catch (error) {
-            console.error('Failed to verify log integrity:', error);
-            return { valid: false, errors: [error.message] };
+            console.error('Failed to verify audit chain:', error);
+            return { success: false, valid: false, firstProblem: null, error: error.message };
         }
     }
 
@@ -451,12 +648,30 @@ class AuditModule extends EventEmitter {
      * Read log file
      */
     async readLogFile(logFile) {
+        const records = await this.readLogRecords(logFile);
+        if (records.some(record => !record.entry)) {
+            console.warn('Skipping malformed log entries');
+        }
+        return records.filter(record => record.entry).map(record => record.entry);
+    }
+
+    /**
+     * Read the records of a log file (gzip compressed when it ends in .gz)
+     * @returns {Promise<Array<{line: number, entry: Object|null}>>} entry is null for unreadable lines
+     */
+    async readLogRecords(logFile) {
         return new Promise((resolve, reject) => {
-            const entries = [];
+            const records = [];
+            let lineNumber = 0;
             const stream = createReadStream(logFile);
-            const rl = readline.createInterface({ input: stream });
+            stream.on('error', reject);
+            const input = logFile.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+            input.on('error', reject);
+            const rl = readline.createInterface({ input, crlfDelay: Infinity });
             
             rl.on('line', (line) => {
+                lineNumber++;
+                if (!line.trim()) return;
                 try {
                     let data = line;
                     
@@ -465,15 +680,13 @@ class AuditModule extends EventEmitter {
                         data = this.decryptLogEntry(data);
                     }
                     
-                    const entry = JSON.parse(data);
-                    entries.push(entry);
+                    records.push({ line: lineNumber, entry: JSON.parse(data) });
                 } catch (error) {
-                    // Skip malformed entries
-                    console.warn('Skipping malformed log entry');
+                    records.push({ line: lineNumber, entry: null });
                 }
             });
             
-            rl.on('close', () => resolve(entries));
+            rl.on('close', () => resolve(records));
             rl.on('error', reject);
         });
     }
@@ -554,7 +767,7 @@ class AuditModule extends EventEmitter {
     async getLogFiles() {
         const files = await fs.readdir(this.config.logPath);
         return files
-            .filter(file => file.startsWith('audit_') && file.endsWith('.log'))
+            .filter(file => file.startsWith('audit_') && (file.endsWith('.log') || file.endsWith('.log.gz')))
             .map(file => path.join(this.config.logPath, file))
             .sort();
     }
@@ -849,13 +1062,13 @@ class AuditModule extends EventEmitter {
      * Start log rotation
      */
     startLogRotation() {
-        setInterval(async () => {
+        this.timers.push(setInterval(async () => {
             const stats = await fs.stat(this.currentLogFile).catch(() => null);
             
             if (stats && stats.size > this.config.maxLogSize) {
                 await this.rotateLog();
             }
-        }, 60000); // Check every minute
+        }, 60000)); // Check every minute
     }
 
     /**
@@ -863,19 +1076,26 @@ class AuditModule extends EventEmitter {
      */
     async rotateLog() {
         try {
-            // Close current stream
-            this.logStream.end();
+            const oldFile = this.currentLogFile;
+            const oldStream = this.logStream;
+
+            // Create new log file first so entries logged meanwhile have somewhere to go
+            await this.initializeLogFile();
+
+            // Close the old stream once everything is written
+            await new Promise(resolve => oldStream.end(resolve));
             
             // Compress if enabled
             if (this.config.compressionEnabled) {
-                await this.compressLog(this.currentLogFile);
+                await this.compressLog(oldFile);
+            }
+
+            if (this.config.tamperDetection) {
+                await this.createCheckpoint();
             }
-            
-            // Create new log file
-            await this.initializeLogFile();
             
             this.emit('log-rotated', {
-                oldFile: this.currentLogFile,
+                oldFile,
                 newFile: this.currentLogFile
             });
         } catch (error) {
@@ -904,13 +1124,120 @@ class AuditModule extends EventEmitter {
         });
     }
 
+    /**
+     * Start signed checkpoints of the chain head
+     */
+    startCheckpoints() {
+        this.timers.push(setInterval(async () => {
+            await this.createCheckpoint();
+        }, this.config.checkpointInterval));
+    }
+
+    /**
+     * Append a signed checkpoint of the chain head to the checkpoint file
+     * @returns {Promise<Object|null>} The checkpoint, or null when nothing was logged since the last one
+     */
+    async createCheckpoint() {
+        try {
+            if (!this.signingKey || this.sequence === this.checkpointedSequence) {
+                return null;
+            }
+
+            const checkpoint = {
+                seq: this.sequence,
+                hash: this.lastLogHash,
+                file: path.basename(this.currentLogFile),
+                timestamp: new Date().toISOString()
+            };
+            checkpoint.signature = this.signCheckpoint(checkpoint);
+
+            await fs.appendFile(path.join(this.config.logPath, CHECKPOINT_FILE), JSON.stringify(checkpoint) + '\n');
+            this.checkpointedSequence = checkpoint.seq;
+            this.emit('checkpoint', checkpoint);
+            return checkpoint;
+        } catch (error) {
+            console.error('Failed to write audit checkpoint:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Sign a checkpoint
+     */
+    signCheckpoint(checkpoint) {
+        const content = JSON.stringify({
+            seq: checkpoint.seq,
+            hash: checkpoint.hash,
+            file: checkpoint.file,
+            timestamp: checkpoint.timestamp
+        });
+
+        return crypto.createHmac('sha256', this.signingKey).update(content).digest('hex');
+    }
+
+    /**
+     * Check a checkpoint's signature
+     */
+    checkpointSignatureValid(checkpoint) {
+        const expected = Buffer.from(this.signCheckpoint(checkpoint));
+        const actual = Buffer.from(String(checkpoint.signature || ''));
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Read checkpoints from the local checkpoint file or an exported one
+     */
+    async readCheckpoints(file) {
+        let content;
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        // Exported files hold one JSON document, the local file one checkpoint per line
+        try {
+            const exported = JSON.parse(content);
+            if (Array.isArray(exported.checkpoints)) {
+                return exported.checkpoints;
+            }
+        } catch (error) {
+            // Several lines
+        }
+        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Export the signed checkpoints, to keep outside the log directory
+     */
+    async exportCheckpoints(filePath) {
+        try {
+            await this.createCheckpoint();
+            const checkpoints = await this.readCheckpoints(path.join(this.config.logPath, CHECKPOINT_FILE));
+
+            await fs.writeFile(filePath, JSON.stringify({
+                version: 1,
+                exported: new Date().toISOString(),
+                host: require('os').hostname(),
+                checkpoints
+            }, null, 2));
+
+            await this.logCompliance('checkpoints_exported', { path: filePath, count: checkpoints.length });
+            return { success: true, filePath, count: checkpoints.length };
+        } catch (error) {
+            console.error('Failed to export audit checkpoints:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Start retention enforcement
      */
     startRetentionEnforcement() {
-        setInterval(async () => {
+        this.timers.push(setInterval(async () => {
             await this.enforceRetention();
-        }, 24 * 60 * 60 * 1000); // Daily
+        }, 24 * 60 * 60 * 1000)); // Daily
     }
 
     /**
@@ -1210,9 +1537,20 @@ class AuditModule extends EventEmitter {
      */
     async cleanup() {
         try {
+            // Stop timers
+            this.timers.forEach(timer => clearInterval(timer));
+            this.timers = [];
+
+            // Sign where the chain ends before closing
+            if (this.config.tamperDetection) {
+                await this.createCheckpoint();
+            }
+
             // Close log stream
             if (this.logStream) {
-                this.logStream.end();
+                const stream = this.logStream;
+                this.logStream = null;
+                await new Promise(resolve => stream.end(resolve));
             }
             
             // Clear data
@@ -6,6 +6,7 @@ const codeEnhancer = require('../utils/codeEnhancer');
 const jsonParser = require('../utils/jsonParser');
 const errorRecovery = require('../utils/errorRecovery');
 const securitySandbox = require('../utils/securitySandbox');
+const StreamingCodeParser = require('../utils/streamingCodeParser');
 
 /**
  * Module responsible for AI code generation functionality
@@ -13,9 +14,17 @@ const securitySandbox = require('../utils/securitySandbox');
 class CodeGenerationModule {
     constructor(anthropic) {
         this.anthropic = anthropic;
+        this.activeStreams = new Map();
     }
 
-    async generateCode(prompt, retryCount = 0) {
+    /**
+     * Generate code from a prompt
+     * @param {string} prompt - The natural language prompt
+     * @param {number} retryCount - Current retry attempt
+     * @param {Array<{role: string, content: string}>} history - Earlier conversation turns (refinement)
+     * @returns {Promise<Object>} Generation result
+     */
+    async generateCode(prompt, retryCount = 0, history = []) {
         if (!this.anthropic) {
             logger.warn('Code generation attempted without API key');
             return { success: false, error: 'Anthropic API key not configured' };
@@ -24,51 +33,11 @@ class CodeGenerationModule {
         const startTime = Date.now();
         logger.info('Starting code generation', { prompt_length: prompt.length, retryCount });
 
-        // Check cache first (only for initial requests, not retries)
-        if (retryCount === 0) {
-            const cachedResult = cacheManager.get(prompt);
-            if (cachedResult && cachedResult.code) {
-                // Re-validate cached results against current security rules
-                let cacheInvalid = false;
-                let invalidReason = '';
-
-                // Check for localStorage/sessionStorage
-                if (cachedResult.code.includes('localStorage') || cachedResult.code.includes('sessionStorage')) {
-                    cacheInvalid = true;
-                    invalidReason = 'localStorage/sessionStorage detected';
-                }
-
-                // Check for fictional APIs (query, run, etc.)
-                const validAPIs = ['createTable', 'insertData', 'queryData', 'updateData', 'deleteData', 'executeQuery', 'listTables'];
-                const apiMatches = cachedResult.code.match(/window\.electronAPI\.(\w+)/g);
-                if (apiMatches) {
-                    const usedAPIs = apiMatches.map(m => m.replace('window.electronAPI.', ''));
-                    const fictionalAPIs = usedAPIs.filter(api => !validAPIs.includes(api));
-                    if (fictionalAPIs.length > 0) {
-                        cacheInvalid = true;
-                        invalidReason = `fictional APIs: ${fictionalAPIs.join(', ')}`;
-                    }
-                }
-
-                if (cacheInvalid) {
-                    logger.warn('Cached code invalid - invalidating cache entry', { reason: invalidReason });
-                    cacheManager.delete(prompt);
-                } else {
-                    logger.info('Cache hit - returning cached result', {
-                        promptLength: prompt.length,
-                        cacheAge: Date.now() - cachedResult.metadata?.processingTime || 0
-                    });
-
-                    return {
-                        ...cachedResult,
-                        fromCache: true,
-                        metadata: {
-                            ...cachedResult.metadata,
-                            cacheHit: true,
-                            totalTime: Date.now() - startTime
-                        }
-                    };
-                }
+        // Check cache first (only for initial requests, not retries or refinements)
+        if (retryCount === 0 && history.length === 0) {
+            const cached = this.getCachedResult(prompt, startTime);
+            if (cached) {
+                return cached;
             }
         }
 
@@ -86,36 +55,280 @@ class CodeGenerationModule {
                 return { success: false, error: 'System resources insufficient for code generation' };
             }
 
-            const result = await this.attemptCodeGeneration(prompt, retryCount, startTime);
+            const result = await this.attemptCodeGeneration(prompt, retryCount, startTime, history);
             
             // Cache successful results (only for initial requests)
-            if (result.success && retryCount === 0) {
+            if (result.success && retryCount === 0 && history.length === 0) {
                 cacheManager.set(prompt, result);
             }
             
             return result;
 
         } catch (error) {
-            return await this.handleGenerationError(error, prompt, retryCount, startTime);
+            return await this.handleGenerationError(error, prompt, retryCount, startTime, history);
+        }
+    }
+
+    /**
+     * Produce a new version of previously generated code from a change request.
+     * The original prompt and the previous version are replayed as earlier
+     * conversation turns so the model edits the existing app instead of
+     * starting over.
+     * @param {Object} request
+     * @param {string} request.originalPrompt - Prompt that produced the first version
+     * @param {string} request.previousCode - Code of the version being refined
+     * @param {string[]} request.previousPackages - Packages of the version being refined
+     * @param {string} request.previousDescription - Description of the version being refined
+     * @param {string} request.changeRequest - What the user wants changed
+     * @param {string[]} request.previousChangeRequests - Change requests already applied, oldest first
+     * @returns {Promise<Object>} Same result shape as generateCode()
+     */
+    async refineCode(request) {
+        const {
+            originalPrompt,
+            previousCode,
+            previousPackages = [],
+            previousDescription = '',
+            changeRequest,
+            previousChangeRequests = []
+        } = request;
+
+        if (!previousCode) {
+            return { success: false, error: 'No previous code to refine' };
+        }
+
+        const history = [
+            { role: 'user', content: originalPrompt || 'Create an app' },
+            {
+                role: 'assistant',
+                content: JSON.stringify({
+                    packages: previousPackages,
+                    code: previousCode,
+                    description: previousDescription || 'Previously generated app'
+                })
+            }
+        ];
+
+        return this.generateCode(this.buildRefinementPrompt(changeRequest, previousChangeRequests), 0, history);
+    }
+
+    /**
+     * Build the user turn for a refinement request
+     * @param {string} changeRequest - What the user wants changed
+     * @param {string[]} previousChangeRequests - Change requests already applied
+     * @returns {string}
+     */
+    buildRefinementPrompt(changeRequest, previousChangeRequests = []) {
+        const applied = previousChangeRequests.length > 0
+            ? `\n\nChanges already applied to this code (keep them):\n${previousChangeRequests.map((c, i) => `${i + 1}. ${c}`).join('\n')}`
+            : '';
+
+        return `Modify the app you generated above.${applied}
+
+Requested change:
+${changeRequest}
+
+Return the COMPLETE updated code in the same JSON format, not just the changed parts.
+Keep existing table names and columns so data the user already saved keeps working.`;
+    }
+
+    /**
+     * Look up a cached generation result, re-validating it against current rules
+     * @param {string} prompt - The prompt used as cache key
+     * @param {number} startTime - Start time of the current request
+     * @returns {Object|null} Cached result decorated with cache metadata, or null
+     */
+    getCachedResult(prompt, startTime) {
+        const cachedResult = cacheManager.get(prompt);
+        if (!cachedResult || !cachedResult.code) {
+            return null;
+        }
+
+        // Re-validate cached results against current security rules
+        let cacheInvalid = false;
+        let invalidReason = '';
+
+        // Check for localStorage/sessionStorage
+        if (cachedResult.code.includes('localStorage') || cachedResult.code.includes('sessionStorage')) {
+            cacheInvalid = true;
+            invalidReason = 'localStorage/sessionStorage detected';
+        }
+
+        // Check for fictional APIs (query, run, etc.)
+        const validAPIs = ['createTable', 'insertData', 'queryData', 'aggregate', 'search', 'updateData', 'deleteData', 'transaction', 'batch', 'executeQuery', 'listTables'];
+        const apiMatches = cachedResult.code.match(/window\.electronAPI\.(\w+)/g);
+        if (apiMatches) {
+            const usedAPIs = apiMatches.map(m => m.replace('window.electronAPI.', ''));
+            const fictionalAPIs = usedAPIs.filter(api => !validAPIs.includes(api));
+            if (fictionalAPIs.length > 0) {
+                cacheInvalid = true;
+                invalidReason = `fictional APIs: ${fictionalAPIs.join(', ')}`;
+            }
+        }
+
+        if (cacheInvalid) {
+            logger.warn('Cached code invalid - invalidating cache entry', { reason: invalidReason });
+            cacheManager.delete(prompt);
+            return null;
         }
+
+        logger.info('Cache hit - returning cached result', {
+            promptLength: prompt.length,
+            cacheAge: Date.now() - cachedResult.metadata?.processingTime || 0
+        });
+
+        return {
+            ...cachedResult,
+            fromCache: true,
+            metadata: {
+                ...cachedResult.metadata,
+                cacheHit: true,
+                totalTime: Date.now() - startTime
+            }
+        };
     }
 
-    async attemptCodeGeneration(prompt, retryCount, startTime) {
+    /**
+     * Generate code while streaming partial output to a listener.
+     * The completed response goes through the same validation, enhancement
+     * and caching path as generateCode(); automatic retries fall back to the
+     * non-streaming path.
+     * @param {string} prompt - The natural language prompt
+     * @param {string} streamId - Identifier used to cancel the stream
+     * @param {Function} [onEvent] - Receives {type: 'start'|'token'|'complete'|'cancelled'|'error', ...}
+     * @returns {Promise<Object>} Same result shape as generateCode()
+     */
+    async generateCodeStream(prompt, streamId, onEvent = () => {}) {
+        if (!this.anthropic) {
+            logger.warn('Code generation attempted without API key');
+            return { success: false, error: 'Anthropic API key not configured' };
+        }
+
+        const emit = (payload) => {
+            try {
+                onEvent(payload);
+            } catch (error) {
+                logger.warn('Stream listener failed', { streamId, error: error.message });
+            }
+        };
+
+        const startTime = Date.now();
+        logger.info('Starting streaming code generation', { prompt_length: prompt.length, streamId });
+
+        const cached = this.getCachedResult(prompt, startTime);
+        if (cached) {
+            emit({ type: 'complete', result: cached });
+            return cached;
+        }
+
+        const securityConfig = configManager.get('security');
+        if (prompt.length > securityConfig.maxPromptLength) {
+            logger.logSecurityEvent('prompt_length_exceeded', { length: prompt.length, limit: securityConfig.maxPromptLength });
+            return { success: false, error: 'Prompt exceeds maximum length limit' };
+        }
+
+        let stream = null;
         try {
-            const aiConfig = configManager.get('ai');
-            const systemPrompt = this.getSystemPrompt();
-
-            const response = await this.anthropic.messages.create({
-                model: aiConfig.model,
-                max_tokens: aiConfig.maxTokens,
-                temperature: aiConfig.temperature,
-                system: systemPrompt,
-                messages: [
-                    { role: "user", content: prompt }
-                ]
+            const resourceCheck = await systemMonitor.checkResourceLimits();
+            if (!resourceCheck.safe) {
+                logger.logSecurityEvent('resource_limit_exceeded', resourceCheck);
+                return { success: false, error: 'System resources insufficient for code generation' };
+            }
+
+            const parser = new StreamingCodeParser();
+            stream = this.anthropic.messages.stream(this.buildRequestParams(prompt));
+            this.activeStreams.set(streamId, stream);
+            emit({ type: 'start' });
+
+            stream.on('text', (textDelta) => {
+                const { delta, complete } = parser.push(textDelta);
+                emit({
+                    type: 'token',
+                    text: textDelta,
+                    codeDelta: delta,
+                    codeComplete: complete,
+                    receivedChars: parser.getBuffer().length
+                });
             });
 
-            const content = response.content[0].text;
+            const message = await stream.finalMessage();
+            const content = message.content[0].text;
+
+            const result = await this.processGeneratedContent(content, prompt, 0, startTime);
+            if (result.success) {
+                cacheManager.set(prompt, result);
+            }
+
+            emit({ type: 'complete', result });
+            return result;
+
+        } catch (error) {
+            if (stream && stream.aborted) {
+                logger.info('Streaming code generation cancelled', { streamId, duration: Date.now() - startTime });
+                const cancelled = { success: false, cancelled: true, error: 'Generation cancelled' };
+                emit({ type: 'cancelled' });
+                return cancelled;
+            }
+
+            const result = await this.handleGenerationError(error, prompt, 0, startTime);
+            emit(result.success ? { type: 'complete', result } : { type: 'error', error: result.error });
+            return result;
+        } finally {
+            this.activeStreams.delete(streamId);
+        }
+    }
+
+    /**
+     * Cancel an in-flight streaming generation
+     * @param {string} streamId - The stream to cancel
+     * @returns {boolean} True if a stream was found and aborted
+     */
+    cancelStream(streamId) {
+        const stream = this.activeStreams.get(streamId);
+        if (!stream) {
+            return false;
+        }
+        stream.abort();
+        return true;
+    }
+
+    /**
+     * Build the Anthropic request parameters for a generation prompt
+     * @param {string} prompt - The user prompt
+     * @param {Array<{role: string, content: string}>} history - Earlier conversation turns
+     * @returns {Object} Parameters for messages.create() / messages.stream()
+     */
+    buildRequestParams(prompt, history = []) {
+        const aiConfig = configManager.get('ai');
+        return {
+            model: aiConfig.model,
+            max_tokens: aiConfig.maxTokens,
+            temperature: aiConfig.temperature,
+            system: this.getSystemPrompt(),
+            messages: [
+                ...history,
+                { role: "user", content: prompt }
+            ]
+        };
+    }
+
+    async attemptCodeGeneration(prompt, retryCount, startTime, history = []) {
+        const response = await this.anthropic.messages.create(this.buildRequestParams(prompt, history));
+        return this.processGeneratedContent(response.content[0].text, prompt, retryCount, startTime, history);
+    }
+
+    /**
+     * Parse, validate and enhance a complete AI response
+     * @param {string} content - Raw response text from the model
+     * @param {string} prompt - The prompt that produced the response
+     * @param {number} retryCount - Current retry attempt
+     * @param {number} startTime - Start time of the request
+     * @param {Array<{role: string, content: string}>} history - Earlier conversation turns
+     * @returns {Promise<Object>} Generation result
+     */
+    async processGeneratedContent(content, prompt, retryCount, startTime, history = []) {
+        try {
+            const aiConfig = configManager.get('ai');
 
             // Debug logging only in development mode
             if (process.env.NODE_ENV === 'development') {
@@ -186,7 +399,7 @@ element.innerHTML = '<div style='padding: 20px;'>Content</div>';
 
 ${prompt}`;
                     logger.info('Auto-retrying with quote formatting emphasis', { retryCount: retryCount + 1 });
-                    return await this.generateCode(modifiedPrompt, retryCount + 1);
+                    return await this.generateCode(modifiedPrompt, retryCount + 1, history);
                 }
 
                 return {
@@ -232,7 +445,7 @@ ${prompt}`;
                 if (retryCount < 2) {
                     const modifiedPrompt = `CRITICAL: DO NOT use Custom Elements (class extends HTMLElement). Use the simple IIFE pattern instead.\n\n${prompt}`;
                     logger.info('Auto-retrying without Custom Elements', { retryCount: retryCount + 1 });
-                    return await this.generateCode(modifiedPrompt, retryCount + 1);
+                    return await this.generateCode(modifiedPrompt, retryCount + 1, history);
                 }
 
                 // If we've already retried, return error
@@ -249,7 +462,7 @@ ${prompt}`;
 
             // Validate that code uses real APIs, not fictional ones
             // CRITICAL: This validation MUST catch any made-up API methods
-            const validAPIs = ['createTable', 'insertData', 'queryData', 'updateData', 'deleteData', 'executeQuery', 'listTables'];
+            const validAPIs = ['createTable', 'insertData', 'queryData', 'aggregate', 'search', 'updateData', 'deleteData', 'transaction', 'batch', 'executeQuery', 'listTables'];
             const electronAPIMatch = result.code.match(/window\.electronAPI\.(\w+)/g);
 
             logger.info('Validating electronAPI usage', {
@@ -382,7 +595,7 @@ ${prompt}`;
         }
     }
 
-    async handleGenerationError(error, originalPrompt, retryCount, startTime) {
+    async handleGenerationError(error, originalPrompt, retryCount, startTime, history = []) {
         const duration = Date.now() - startTime;
 
         logger.error('Code generation failed', error, {
@@ -405,7 +618,7 @@ ${prompt}`;
 
                 await new Promise(resolve => setTimeout(resolve, waitTime));
 
-                return await this.generateCode(originalPrompt, retryCount + 1);
+                return await this.generateCode(originalPrompt, retryCount + 1, history);
             } else {
                 return {
                     success: false,
@@ -449,7 +662,7 @@ ${prompt}`;
 
             try {
                 // Retry with recovered prompt
-                const retryResult = await this.generateCode(recoveryResult.newPrompt, retryCount + 1);
+                const retryResult = await this.generateCode(recoveryResult.newPrompt, retryCount + 1, history);
                 
                 // Restore original config
                 const originalConfig = configManager.get('ai');
@@ -511,9 +724,12 @@ These are the ONLY methods available. Do NOT make up other methods:
 1. createTable - Creates a table (MUST call first, creates if not exists)
 2. insertData - Insert a new row
 3. queryData - Query rows with filters
-4. updateData - Update a row by ID
-5. deleteData - Delete a row by ID
-6. executeQuery - Run raw SQL (for complex queries)
+4. aggregate - Count, sum, average, min or max rows (with grouping)
+5. search - Full-text search over columns marked searchable
+6. updateData - Update a row by ID
+7. deleteData - Delete a row by ID
+8. transaction - Run several inserts/updates/deletes at once, all or nothing
+9. executeQuery - Run raw SQL (only if the methods above cannot express it)
 
 // CREATE TABLE - Call this FIRST in your code, EVERY TIME
 await window.electronAPI.createTable('expenses', {
@@ -527,6 +743,7 @@ await window.electronAPI.createTable('expenses', {
 });
 // Supported types: TEXT, INTEGER, REAL (for decimals)
 // Table automatically gets id, created_at, updated_at columns
+// Add searchable: true to TEXT columns users will search (notes, names, descriptions)
 
 // Insert data - returns {success: true, id: 1} or {success: false, error: '...'}
 const insertResult = await window.electronAPI.insertData('tableName', {
@@ -539,10 +756,38 @@ const result = await window.electronAPI.queryData('tableName', {
   where: {columnName: 'value'},     // optional - filter conditions
   orderBy: 'id DESC',               // optional - sort order
   limit: 10,                        // optional - max records
-  offset: 0                         // optional - skip records (for pagination)
+  offset: 0,                        // optional - skip records (for pagination)
+  columns: ['id', 'columnName']     // optional - only return these columns
 });
 // result.data = [{id: 1, columnName: 'value', ...}, ...]
 
+// where operators: $ne, $gt, $gte, $lt, $lte, $like, $in, $nin, $between, $null
+// Top-level conditions are ANDed; use $or / $and with an array for groups
+const urgent = await window.electronAPI.queryData('tasks', {
+  where: {
+    done: 0,
+    $or: [{priority: {$gte: 3}}, {due: {$between: ['2024-01-01', '2024-01-31']}}],
+    assignee: {$null: false}
+  }
+});
+
+// Aggregate data - returns an array of rows, throws on error
+// count: true -> count, sum/avg/min/max: 'col' or ['col', ...] -> sum_col, avg_col, ...
+const byCategory = await window.electronAPI.aggregate('expenses', {
+  count: true,
+  sum: 'amount',
+  where: {date: {$gte: '2024-01-01'}},
+  groupBy: 'category',
+  having: {sum_amount: {$gt: 100}},
+  orderBy: 'sum_amount DESC'
+});
+// byCategory = [{category: 'Food', count: 12, sum_amount: 340.5}, ...]
+
+// Search - ranked full-text search over searchable columns, returns an array, throws on error
+// Prefer this over $like for search boxes; _snippet is safe HTML with <mark> around matches
+const matches = await window.electronAPI.search('notes', searchInput.value, {limit: 20, highlight: true});
+// matches = [{id: 3, title: '...', body: '...', _rank: -1.2, _snippet: '...<mark>word</mark>...'}, ...]
+
 // Update data - pass the ID directly, not in an object
 await window.electronAPI.updateData('tableName', recordId, {columnName: 'newValue'});
 // Example: await window.electronAPI.updateData('todos', 5, {completed: 1});
@@ -551,6 +796,15 @@ await window.electronAPI.updateData('tableName', recordId, {columnName: 'newValu
 await window.electronAPI.deleteData('tableName', recordId);
 // Example: await window.electronAPI.deleteData('todos', 5);
 
+// Transaction - use for bulk writes and changes that must happen together
+// Returns {success: true, results: [{success, id, changes}, ...]} or
+// {success: false, error: '...', operationIndex: 2}; on failure NOTHING is saved
+const txResult = await window.electronAPI.transaction([
+  {op: 'insert', table: 'orders', data: {customer: 'Ann', total: 30}},
+  {op: 'update', table: 'stock', id: 4, data: {quantity: 9}},
+  {op: 'delete', table: 'cart_items', id: 7}
+]);
+
 === MANDATORY ERROR HANDLING ===
 
 ALWAYS wrap database operations in try-catch:
@@ -869,7 +1123,7 @@ When you receive a schema context showing existing tables:
 
 === REMEMBER ===
 - ALWAYS call createTable() FIRST - it creates the table if it doesn't exist
-- ONLY use: createTable, insertData, queryData, updateData, deleteData, executeQuery
+- ONLY use: createTable, insertData, queryData, aggregate, search, updateData, deleteData, transaction, executeQuery
 - DO NOT invent APIs like getExpenses(), saveTodos(), loadData(), etc - THEY DON'T EXIST
 - localStorage/sessionStorage will be REJECTED
 - Always include try-catch error handling
@@ -911,8 +1165,8 @@ When you receive a schema context showing existing tables:
             tablesCreated.add(match[1].toLowerCase());
         }
 
-        // Find tables used in queryData, insertData, updateData, deleteData
-        const dataOpsRegex = /(queryData|insertData|updateData|deleteData)\s*\(\s*['"]([\w_]+)['"]/g;
+        // Find tables used in queryData, aggregate, search, insertData, updateData, deleteData
+        const dataOpsRegex = /(queryData|aggregate|search|insertData|updateData|deleteData)\s*\(\s*['"]([\w_]+)['"]/g;
         while ((match = dataOpsRegex.exec(code)) !== null) {
             tablesUsed.add(match[2].toLowerCase());
         }
@@ -1,12 +1,22 @@
 const EventEmitter = require('events');
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const os = require('os');
 const path = require('path');
 const fs = require('fs').promises;
+const { TextOperation, OperationClient } = require('../utils/operationalTransform');
 
 /**
  * CollaborationModule - Real-time collaboration features for the application
- * Implements WebSocket-based collaboration with conflict resolution
+ * Implements WebSocket-based collaboration. Shared documents are edited with
+ * operational transformation: the host orders all changes, rebases each one
+ * onto the changes its sender hadn't seen (by the change's version vector)
+ * and acknowledges it; clients transform incoming changes against their own
+ * pending edits (OperationClient), so every copy converges.
+ *
+ * A participant's role follows from the password it joined with: the session
+ * password makes it an editor, the viewer password a viewer, who receives
+ * everything but may not change or lock documents.
  */
 class CollaborationModule extends EventEmitter {
     constructor() {
@@ -24,7 +34,8 @@ class CollaborationModule extends EventEmitter {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.heartbeatInterval = null;
-        this.conflictResolutionStrategy = 'last-write-wins'; // or 'manual', 'merge'
+        this.clients = new Map(); // documentId -> OperationClient, for documents of a joined session
+        this.relay = false; // Joined session whose documents are edited elsewhere (see joinSession)
     }
 
     /**
@@ -33,7 +44,7 @@ class CollaborationModule extends EventEmitter {
     async initialize(config = {}) {
         try {
             this.config = {
-                port: config.port || 3001,
+                port: config.port ?? 3001,
                 maxUsers: config.maxUsers || 10,
                 autoSave: config.autoSave !== false,
                 saveInterval: config.saveInterval || 5000,
@@ -68,6 +79,10 @@ class CollaborationModule extends EventEmitter {
 
     /**
      * Start a collaboration session as host
+     * @param {Object} [sessionConfig]
+     * @param {string} [sessionConfig.name]
+     * @param {string} [sessionConfig.password] - Joining with it makes an editor
+     * @param {string} [sessionConfig.viewerPassword] - Joining with it makes a read-only viewer
      */
     async startSession(sessionConfig = {}) {
         try {
@@ -76,15 +91,17 @@ class CollaborationModule extends EventEmitter {
             }
 
             const sessionId = this.generateSessionId();
+            const { password, viewerPassword, ...config } = sessionConfig;
             const sessionData = {
                 id: sessionId,
                 host: this.userId,
                 name: sessionConfig.name || 'Collaboration Session',
                 created: Date.now(),
-                config: sessionConfig,
+                config,
                 users: [this.userId],
                 documents: [],
-                password: sessionConfig.password || null
+                password: password || null,
+                viewerPassword: viewerPassword || null
             };
 
             this.sessions.set(sessionId, sessionData);
@@ -98,42 +115,63 @@ class CollaborationModule extends EventEmitter {
             });
 
             this.wsServer.on('connection', this.handleConnection.bind(this));
+            await new Promise((resolve, reject) => {
+                this.wsServer.once('listening', resolve);
+                this.wsServer.once('error', reject);
+            });
             this.wsServer.on('error', this.handleServerError.bind(this));
 
             // Start heartbeat
             this.startHeartbeat();
 
             console.log(`Collaboration session started: ${sessionId}`);
-            this.emit('session-started', sessionData);
+            this.emit('session-started', this.publicSession());
 
             return {
                 success: true,
                 sessionId,
                 joinLink: this.generateJoinLink(sessionId),
-                sessionData
+                sessionData: this.publicSession()
             };
         } catch (error) {
             console.error('Failed to start session:', error);
-            return { success: false, error: error.message };
+            if (this.wsServer) {
+                this.wsServer.close();
+                this.wsServer = null;
+            }
+            if (this.currentSession) {
+                this.sessions.delete(this.currentSession.id);
+                this.currentSession = null;
+            }
+            this.isHost = false;
+            return { success: false, error: error.code === 'EADDRINUSE' ? `Port ${this.config.port} is already in use` : error.message };
         }
     }
 
     /**
      * Join an existing collaboration session
+     * @param {string} joinLink - From the host's generateJoinLink
+     * @param {string} [password] - Decides the role the host gives us
+     * @param {Object} [options]
+     * @param {string} [options.name] - Shown to the other participants
+     * @param {boolean} [options.relay] - Don't keep copies of the documents; emit
+     *   every message from the host as 'host-message' for whoever edits them
      */
-    async joinSession(joinLink, password = null) {
+    async joinSession(joinLink, password = null, options = {}) {
         try {
             if (this.wsClient) {
                 throw new Error('Already connected to a session');
             }
 
             const sessionInfo = this.parseJoinLink(joinLink);
+            this.relay = options.relay === true;
             
             // Connect to WebSocket server
             this.wsClient = new WebSocket(`ws://${sessionInfo.host}:${sessionInfo.port}`, {
                 headers: {
                     'x-session-id': sessionInfo.sessionId,
                     'x-user-id': this.userId,
+                    'x-user-name': encodeURIComponent(options.name || ''),
                     'x-password': password || ''
                 }
             });
@@ -173,26 +211,12 @@ class CollaborationModule extends EventEmitter {
             }
 
             const content = await fs.readFile(documentPath, 'utf8');
-            const documentId = this.generateDocumentId();
-            
-            const document = {
-                id: documentId,
+            const document = this.createSharedDocument(content, {
                 path: documentPath,
                 name: path.basename(documentPath),
-                content,
-                version: 1,
-                owner: this.userId,
-                shared: Date.now(),
-                locks: [],
-                cursors: new Map(),
-                selections: new Map(),
-                readOnly: options.readOnly || false
-            };
-
-            this.documents.set(documentId, document);
-            
-            // Initialize change tracking
-            this.changes.set(documentId, []);
+                readOnly: options.readOnly
+            });
+            const documentId = document.id;
 
             // Broadcast document to other users
             this.broadcast({
@@ -209,49 +233,79 @@ class CollaborationModule extends EventEmitter {
         }
     }
 
+    /**
+     * Register a shared document and start its change history
+     */
+    createSharedDocument(content, options = {}) {
+        const document = {
+            id: this.generateDocumentId(),
+            path: options.path || null,
+            name: options.name || 'Untitled',
+            content,
+            version: 1,
+            vector: {}, // userId -> number of that user's changes applied
+            owner: this.userId,
+            shared: Date.now(),
+            locks: [],
+            cursors: new Map(),
+            selections: new Map(),
+            readOnly: options.readOnly || false
+        };
+
+        this.documents.set(document.id, document);
+        this.changes.set(document.id, []);
+        return document;
+    }
+
     /**
      * Apply changes to a shared document
+     * @param {string} documentId
+     * @param {Object} change - {operation} (a TextOperation or its JSON) or a
+     *   position-based {type, position, text, length}; changes from clients
+     *   also carry clientSeq and vector (see OperationClient)
+     * @param {string} [userId] - Sender of a change that arrived from a client
      */
-    async applyDocumentChange(documentId, change) {
+    async applyDocumentChange(documentId, change, userId = this.userId) {
         try {
+            // In a joined session the host orders changes; apply locally and send
+            if (!this.isHost && this.clients.has(documentId)) {
+                return this.applyLocalChange(documentId, change);
+            }
+
             const document = this.documents.get(documentId);
             if (!document) {
                 throw new Error('Document not found');
             }
 
             // Check for locks
-            if (this.isDocumentLocked(documentId, this.userId)) {
+            if (this.isDocumentLocked(documentId, userId)) {
                 throw new Error('Document is locked by another user');
             }
 
-            // Apply operational transformation for conflict resolution
-            const transformedChange = await this.transformChange(documentId, change);
-            
-            // Apply the change
-            document.content = this.applyChange(document.content, transformedChange);
-            document.version++;
-            
-            // Track change history
-            const changeRecord = {
-                id: this.generateChangeId(),
-                userId: this.userId,
-                timestamp: Date.now(),
-                change: transformedChange,
-                version: document.version
-            };
-            
-            this.changes.get(documentId).push(changeRecord);
-            
-            // Broadcast change to other users
-            this.broadcast({
-                type: 'document-changed',
-                documentId,
-                change: changeRecord,
-                userId: this.userId
-            }, this.userId);
+            const changeRecord = this.receiveOperation(document, change, userId);
+
+            // Every participant's OperationClient waits for its acknowledgement
+            if (userId !== this.userId || this.users.has(userId)) {
+                this.sendMessage({
+                    type: 'document-change-ack',
+                    documentId,
+                    clientSeq: changeRecord.clientSeq,
+                    version: changeRecord.version
+                }, userId);
+            }
+
+            if (!changeRecord.duplicate) {
+                // Broadcast change to other users
+                this.broadcast({
+                    type: 'document-changed',
+                    documentId,
+                    change: changeRecord,
+                    userId
+                }, userId);
+
+                this.emit('document-changed', { documentId, change: changeRecord });
+            }
 
-            this.emit('document-changed', { documentId, change: changeRecord });
-            
             return { success: true, version: document.version };
         } catch (error) {
             console.error('Failed to apply document change:', error);
@@ -259,10 +313,129 @@ class CollaborationModule extends EventEmitter {
         }
     }
 
+    /**
+     * Rebase a change onto the changes its sender hadn't applied, then apply it
+     * @param {Object} document - Shared document (host side)
+     * @param {Object} change - See applyDocumentChange
+     * @param {string} clientId - Sender
+     * @returns {Object} History entry; duplicate: true for a change applied before
+     */
+    receiveOperation(document, change, clientId) {
+        const history = this.changes.get(document.id);
+        const applied = document.vector[clientId] || 0;
+        const clientSeq = change.clientSeq ?? applied + 1;
+
+        if (clientSeq <= applied) {
+            // Resent after a reconnect: acknowledge again, don't apply twice
+            const entry = history.find(c => c.clientId === clientId && c.clientSeq === clientSeq);
+            return { ...entry, duplicate: true };
+        }
+        if (clientSeq !== applied + 1) {
+            throw new Error(`Change ${clientSeq} from ${clientId} arrived before change ${applied + 1}`);
+        }
+
+        // Changes made without this one's knowledge. A client has one change in
+        // flight at a time, so they are always the end of the history.
+        const unseen = change.vector
+            ? history.filter(c => c.clientSeq > (change.vector[c.clientId] || 0))
+            : history.filter(c => c.version > (change.baseVersion ?? document.version) && c.clientId !== clientId);
+        const baseLength = unseen.length > 0
+            ? TextOperation.fromJSON(unseen[0].operation).baseLength
+            : document.content.length;
+
+        let operation;
+        if (change.operation instanceof TextOperation) {
+            operation = change.operation;
+        } else if (change.operation) {
+            operation = TextOperation.fromJSON(change.operation);
+        } else {
+            operation = TextOperation.fromChange(change, baseLength);
+        }
+        if (operation.baseLength !== baseLength) {
+            throw new Error('The change was made on a different version of the document');
+        }
+
+        for (const concurrent of unseen) {
+            [operation] = TextOperation.transform(operation, TextOperation.fromJSON(concurrent.operation));
+        }
+
+        document.content = operation.apply(document.content);
+        document.version++;
+        document.vector[clientId] = clientSeq;
+
+        // Track change history
+        const changeRecord = {
+            id: this.generateChangeId(),
+            userId: clientId,
+            clientId,
+            clientSeq,
+            timestamp: Date.now(),
+            operation: operation.toJSON(),
+            version: document.version
+        };
+        history.push(changeRecord);
+        return changeRecord;
+    }
+
+    /**
+     * Edit a document of a joined session; the host acknowledges it later
+     */
+    applyLocalChange(documentId, change) {
+        const client = this.clients.get(documentId);
+        const document = this.documents.get(documentId);
+
+        let operation;
+        if (change instanceof TextOperation) {
+            operation = change;
+        } else if (change.operation) {
+            operation = change.operation instanceof TextOperation ? change.operation : TextOperation.fromJSON(change.operation);
+        } else {
+            operation = TextOperation.fromChange(change, client.content.length);
+        }
+
+        client.applyLocal(operation);
+        document.content = client.content;
+        return { success: true, version: client.version, pending: client.state !== 'synchronized' };
+    }
+
+    /**
+     * Keep copies of the host's documents, edited through OperationClient
+     */
+    trackDocuments(documents) {
+        for (const shared of documents) {
+            this.documents.set(shared.id, {
+                ...shared,
+                cursors: new Map(shared.cursors || []),
+                selections: new Map(shared.selections || [])
+            });
+            this.clients.set(shared.id, new OperationClient({
+                clientId: this.userId,
+                content: shared.content,
+                version: shared.version,
+                vector: shared.vector,
+                send: (change) => this.sendMessage({ type: 'document-change', documentId: shared.id, change })
+            }));
+        }
+    }
+
+    /**
+     * Apply a change the host ordered to the local copy
+     */
+    receiveRemoteChange(documentId, change) {
+        const client = this.clients.get(documentId);
+        const document = this.documents.get(documentId);
+        if (!client || !document) return;
+
+        client.receiveServer(change);
+        document.content = client.content;
+        document.version = client.version;
+        this.emit('document-changed', { documentId, change });
+    }
+
     /**
      * Lock a document for exclusive editing
      */
-    async lockDocument(documentId, duration = 30000) {
+    async lockDocument(documentId, duration = 30000, userId = this.userId) {
         try {
             const document = this.documents.get(documentId);
             if (!document) {
@@ -271,7 +444,7 @@ class CollaborationModule extends EventEmitter {
 
             // Check if already locked
             const existingLock = this.locks.get(documentId);
-            if (existingLock && existingLock.userId !== this.userId) {
+            if (existingLock && existingLock.userId !== userId) {
                 return { 
                     success: false, 
                     error: 'Document locked by another user',
@@ -281,7 +454,7 @@ class CollaborationModule extends EventEmitter {
             }
 
             const lock = {
-                userId: this.userId,
+                userId,
                 timestamp: Date.now(),
                 until: Date.now() + duration
             };
@@ -290,7 +463,7 @@ class CollaborationModule extends EventEmitter {
 
             // Auto-release lock after duration
             setTimeout(() => {
-                this.unlockDocument(documentId);
+                this.unlockDocument(documentId, userId);
             }, duration);
 
             // Broadcast lock status
@@ -310,16 +483,16 @@ class CollaborationModule extends EventEmitter {
     /**
      * Unlock a document
      */
-    async unlockDocument(documentId) {
+    async unlockDocument(documentId, userId = this.userId) {
         try {
             const lock = this.locks.get(documentId);
-            if (lock && lock.userId === this.userId) {
+            if (lock && lock.userId === userId) {
                 this.locks.delete(documentId);
                 
                 this.broadcast({
                     type: 'document-unlocked',
                     documentId,
-                    userId: this.userId
+                    userId
                 });
                 
                 return { success: true };
@@ -335,43 +508,68 @@ class CollaborationModule extends EventEmitter {
     /**
      * Update cursor position for a document
      */
-    updateCursorPosition(documentId, position) {
+    updateCursorPosition(documentId, position, userId = this.userId) {
         const document = this.documents.get(documentId);
         if (!document) return;
 
-        document.cursors.set(this.userId, {
+        const color = this.getUserColor(userId);
+        document.cursors.set(userId, {
             position,
             timestamp: Date.now(),
-            color: this.getUserColor(this.userId)
+            color
         });
 
         this.broadcast({
             type: 'cursor-updated',
             documentId,
-            userId: this.userId,
-            position
-        }, this.userId);
+            userId,
+            position,
+            color
+        }, userId);
     }
 
     /**
      * Update selection for a document
      */
-    updateSelection(documentId, selection) {
+    updateSelection(documentId, selection, userId = this.userId) {
         const document = this.documents.get(documentId);
         if (!document) return;
 
-        document.selections.set(this.userId, {
+        const color = this.getUserColor(userId);
+        document.selections.set(userId, {
             selection,
             timestamp: Date.now(),
-            color: this.getUserColor(this.userId)
+            color
         });
 
         this.broadcast({
             type: 'selection-updated',
             documentId,
-            userId: this.userId,
-            selection
-        }, this.userId);
+            userId,
+            selection,
+            color
+        }, userId);
+    }
+
+    /**
+     * Take part in the hosted session from this process, e.g. the host's own
+     * window. Messages for the participant are passed to send as objects.
+     * @param {Object} options
+     * @param {string} [options.name]
+     * @param {function(Object): void} options.send
+     */
+    addLocalParticipant({ name, send }) {
+        this.users.set(this.userId, {
+            id: this.userId,
+            name: name || 'Host',
+            role: 'editor',
+            local: true,
+            ws: { readyState: WebSocket.OPEN, send: (data) => send(JSON.parse(data)) },
+            connected: Date.now(),
+            lastActivity: Date.now(),
+            sessionId: this.currentSession ? this.currentSession.id : null
+        });
+        this.sendSessionState(this.userId);
     }
 
     /**
@@ -380,9 +578,17 @@ class CollaborationModule extends EventEmitter {
     handleConnection(ws, request) {
         const userId = request.headers['x-user-id'];
         const sessionId = request.headers['x-session-id'];
+
+        // One connection per user, and nobody may speak as the host
+        if (!userId || this.users.has(userId) || userId === this.userId) {
+            ws.close(1008, 'User id in use');
+            return;
+        }
         
         const user = {
             id: userId,
+            name: this.decodeName(request.headers['x-user-name']) || userId,
+            role: this.roleFor(this.sessions.get(sessionId), request.headers['x-password']),
             ws,
             connected: Date.now(),
             lastActivity: Date.now(),
@@ -413,28 +619,60 @@ class CollaborationModule extends EventEmitter {
     handleMessage(data, userId = null) {
         try {
             const message = JSON.parse(data);
+
+            if (!this.isHost && this.relay) {
+                this.emit('host-message', message);
+                return;
+            }
+
+            // Viewers receive changes but don't make them
+            const sender = userId ? this.users.get(userId) : null;
+            if (sender && sender.role !== 'editor' && CollaborationModule.EDIT_MESSAGES.includes(message.type)) {
+                this.sendMessage({
+                    type: 'permission-denied',
+                    action: message.type,
+                    documentId: message.documentId || null,
+                    error: 'Viewers cannot change shared documents'
+                }, userId);
+                return;
+            }
             
             switch (message.type) {
                 case 'join':
-                    this.handleUserJoin(message);
+                    this.handleUserJoin(message, userId);
                     break;
                 case 'document-change':
-                    this.applyDocumentChange(message.documentId, message.change);
+                    this.applyDocumentChange(message.documentId, message.change, userId || message.userId);
+                    break;
+                case 'session-state':
+                    if (!this.isHost) this.trackDocuments(message.documents);
+                    break;
+                case 'document-shared':
+                    if (!this.isHost) this.trackDocuments([message.document]);
+                    break;
+                case 'document-changed':
+                    if (!this.isHost) this.receiveRemoteChange(message.documentId, message.change);
+                    break;
+                case 'document-change-ack':
+                    if (!this.isHost && this.clients.has(message.documentId)) {
+                        this.clients.get(message.documentId).receiveAck(message);
+                        this.documents.get(message.documentId).version = this.clients.get(message.documentId).version;
+                    }
                     break;
                 case 'cursor-update':
-                    this.updateCursorPosition(message.documentId, message.position);
+                    this.updateCursorPosition(message.documentId, message.position, userId || message.userId);
                     break;
                 case 'selection-update':
-                    this.updateSelection(message.documentId, message.selection);
+                    this.updateSelection(message.documentId, message.selection, userId || message.userId);
                     break;
                 case 'document-lock':
-                    this.lockDocument(message.documentId, message.duration);
+                    this.lockDocument(message.documentId, message.duration, userId || message.userId);
                     break;
                 case 'document-unlock':
-                    this.unlockDocument(message.documentId);
+                    this.unlockDocument(message.documentId, userId || message.userId);
                     break;
                 case 'chat-message':
-                    this.handleChatMessage(message);
+                    this.handleChatMessage({ ...message, userId: userId || message.userId });
                     break;
                 case 'heartbeat':
                     this.handleHeartbeat(userId || message.userId);
@@ -482,165 +720,6 @@ class CollaborationModule extends EventEmitter {
         }
     }
 
-    /**
-     * Transform change for operational transformation
-     */
-    async transformChange(documentId, change) {
-        const history = this.changes.get(documentId) || [];
-        
-        // Simple operational transformation
-        // In production, use a proper OT library like ot.js
-        let transformedChange = { ...change };
-        
-        // Get concurrent changes since the change's base version
-        const concurrentChanges = history.filter(c => 
-            c.version > change.baseVersion && 
-            c.userId !== change.userId
-        );
-        
-        // Transform against each concurrent change
-        for (const concurrent of concurrentChanges) {
-            transformedChange = this.transformAgainst(transformedChange, concurrent.change);
-        }
-        
-        return transformedChange;
-    }
-
-    /**
-     * Transform one change against another
-     */
-    transformAgainst(change1, change2) {
-        // Simple transformation logic
-        // In production, implement proper OT algorithms
-        
-        if (change1.type === 'insert' && change2.type === 'insert') {
-            if (change1.position < change2.position) {
-                return change1;
-            } else {
-                return {
-                    ...change1,
-                    position: change1.position + change2.text.length
-                };
-            }
-        } else if (change1.type === 'delete' && change2.type === 'insert') {
-            if (change1.position < change2.position) {
-                return change1;
-            } else {
-                return {
-                    ...change1,
-                    position: change1.position + change2.text.length
-                };
-            }
-        } else if (change1.type === 'insert' && change2.type === 'delete') {
-            if (change1.position <= change2.position) {
-                return change1;
-            } else if (change1.position > change2.position + change2.length) {
-                return {
-                    ...change1,
-                    position: change1.position - change2.length
-                };
-            } else {
-                return {
-                    ...change1,
-                    position: change2.position
-                };
-            }
-        } else if (change1.type === 'delete' && change2.type === 'delete') {
-            if (change1.position < change2.position) {
-                return change1;
-            } else if (change1.position > change2.position + change2.length) {
-                return {
-                    ...change1,
-                    position: change1.position - change2.length
-                };
-            } else {
-                // Overlapping deletes
-                return {
-                    ...change1,
-                    position: Math.min(change1.position, change2.position),
-                    length: Math.max(0, change1.length - change2.length)
-                };
-            }
-        }
-        
-        return change1;
-    }
-
-    /**
-     * Apply a change to document content
-     */
-    applyChange(content, change) {
-        switch (change.type) {
-            case 'insert':
-                return content.slice(0, change.position) + 
-                       change.text + 
-                       content.slice(change.position);
-            
-            case 'delete':
-                return content.slice(0, change.position) + 
-                       content.slice(change.position + change.length);
-            
-            case 'replace':
-                return content.slice(0, change.position) + 
-                       change.text + 
-                       content.slice(change.position + change.length);
-            
-            default:
-                return content;
-        }
-    }
-
-    /**
-     * Resolve conflicts between changes
-     */
-    async resolveConflict(documentId, localChange, remoteChange) {
-        switch (this.conflictResolutionStrategy) {
-            case 'last-write-wins':
-                return remoteChange.timestamp > localChange.timestamp ? 
-                       remoteChange : localChange;
-            
-            case 'merge':
-                return this.mergeChanges(localChange, remoteChange);
-            
-            case 'manual':
-                this.emit('conflict-detected', {
-                    documentId,
-                    localChange,
-                    remoteChange
-                });
-                // Wait for user resolution
-                return new Promise((resolve) => {
-                    this.once(`conflict-resolved-${documentId}`, resolve);
-                });
-            
-            default:
-                return remoteChange;
-        }
-    }
-
-    /**
-     * Merge two changes
-     */
-    mergeChanges(change1, change2) {
-        // Simple merge strategy
-        // In production, use more sophisticated merging
-        
-        if (change1.type === 'insert' && change2.type === 'insert') {
-            // Combine insertions
-            return {
-                type: 'insert',
-                position: Math.min(change1.position, change2.position),
-                text: change1.position < change2.position ? 
-                      change1.text + change2.text : 
-                      change2.text + change1.text,
-                timestamp: Date.now()
-            };
-        }
-        
-        // For other cases, use last-write-wins
-        return change2.timestamp > change1.timestamp ? change2 : change1;
-    }
-
     /**
      * Send current session state to a user
      */
@@ -650,8 +729,10 @@ class CollaborationModule extends EventEmitter {
 
         const state = {
             type: 'session-state',
-            session: this.currentSession,
+            session: this.publicSession(),
             users: Array.from(this.users.keys()),
+            participants: this.listParticipants(),
+            you: { id: userId, role: user.role || 'editor' },
             documents: Array.from(this.documents.values()).map(d => this.serializeDocument(d))
         };
 
@@ -661,18 +742,22 @@ class CollaborationModule extends EventEmitter {
     /**
      * Handle user joining session
      */
-    handleUserJoin(message) {
-        console.log(`User ${message.userId} joined session`);
-        
-        this.currentSession.users.push(message.userId);
+    handleUserJoin(message, userId = message.userId) {
+        console.log(`User ${userId} joined session`);
         
+        this.currentSession.users.push(userId);
+
+        const user = this.users.get(userId) || {};
         this.broadcast({
             type: 'user-joined',
-            userId: message.userId,
+            userId,
+            name: user.name || userId,
+            role: user.role || 'editor',
+            color: this.getUserColor(userId),
             timestamp: Date.now()
-        }, message.userId);
+        }, userId);
         
-        this.emit('user-joined', message.userId);
+        this.emit('user-joined', userId);
     }
 
     /**
@@ -786,7 +871,8 @@ class CollaborationModule extends EventEmitter {
     async saveDocument(documentId) {
         try {
             const document = this.documents.get(documentId);
-            if (!document) return;
+            // Documents created in memory have nowhere to go
+            if (!document || !document.path) return;
 
             await fs.writeFile(document.path, document.content, 'utf8');
             
@@ -803,10 +889,12 @@ class CollaborationModule extends EventEmitter {
      * Handle chat messages
      */
     handleChatMessage(message) {
+        const user = this.users.get(message.userId) || {};
         this.broadcast({
             type: 'chat-message',
             userId: message.userId,
-            text: message.text,
+            name: user.name || message.userId,
+            text: String(message.text || '').slice(0, 2000),
             timestamp: Date.now()
         }, message.userId);
         
@@ -846,7 +934,7 @@ class CollaborationModule extends EventEmitter {
         const session = this.sessions.get(sessionId);
         if (!session) return false;
         
-        if (session.password && session.password !== password) {
+        if (!this.roleFor(session, password)) {
             return false;
         }
         
@@ -857,6 +945,68 @@ class CollaborationModule extends EventEmitter {
         return true;
     }
 
+    /**
+     * Role a password gives in a session: 'editor', 'viewer' or null (no access).
+     * Without any password everyone who has the link edits.
+     */
+    roleFor(session, password = '') {
+        if (!session) return null;
+        if (!session.password && !session.viewerPassword) return 'editor';
+        if (session.password && this.passwordMatches(session.password, password)) return 'editor';
+        if (session.viewerPassword && this.passwordMatches(session.viewerPassword, password)) return 'viewer';
+        return null;
+    }
+
+    /**
+     * Compare in constant time, so the answer's timing says nothing about the password
+     * @private
+     */
+    passwordMatches(expected, given) {
+        const digest = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+        return crypto.timingSafeEqual(digest(expected), digest(given));
+    }
+
+    /**
+     * The session as participants may see it, without passwords
+     */
+    publicSession() {
+        if (!this.currentSession) return null;
+        const { password, viewerPassword, ...session } = this.currentSession;
+        return session;
+    }
+
+    /**
+     * Connected participants with their names, roles and cursor colors
+     */
+    listParticipants() {
+        return Array.from(this.users.values()).map(user => ({
+            id: user.id,
+            name: user.name || user.id,
+            role: user.role || 'editor',
+            color: this.getUserColor(user.id),
+            host: user.id === this.userId
+        }));
+    }
+
+    /**
+     * @private
+     */
+    decodeName(value) {
+        try {
+            return decodeURIComponent(value || '').trim().slice(0, 40);
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Handle WebSocket server errors after the session started
+     */
+    handleServerError(error) {
+        console.error('Collaboration server error:', error);
+        this.emit('server-error', error);
+    }
+
     /**
      * Check if document is locked by another user
      */
@@ -874,6 +1024,7 @@ class CollaborationModule extends EventEmitter {
             name: document.name,
             content: document.content,
             version: document.version,
+            vector: document.vector,
             owner: document.owner,
             shared: document.shared,
             readOnly: document.readOnly,
@@ -914,8 +1065,20 @@ class CollaborationModule extends EventEmitter {
      * Generate join link for session
      */
     generateJoinLink(sessionId) {
-        const host = require('os').hostname();
-        return `collab://${host}:${this.config.port}/${sessionId}`;
+        // Port 0 lets the system pick one
+        const port = this.wsServer && this.wsServer.address() ? this.wsServer.address().port : this.config.port;
+        return `collab://${this.getLanAddress()}:${port}/${sessionId}`;
+    }
+
+    /**
+     * First IPv4 address other machines on the network can reach, or the host name
+     */
+    getLanAddress() {
+        for (const addresses of Object.values(os.networkInterfaces())) {
+            const lan = (addresses || []).find(address => address.family === 'IPv4' && !address.internal);
+            if (lan) return lan.address;
+        }
+        return os.hostname();
     }
 
     /**
@@ -991,11 +1154,17 @@ class CollaborationModule extends EventEmitter {
 
             // Close WebSocket connections
             if (this.wsServer) {
+                this.broadcast({ type: 'session-ended', timestamp: Date.now() }, this.userId);
+                this.users.forEach(user => {
+                    if (!user.local) user.ws.close(1001, 'Session ended');
+                });
                 this.wsServer.close();
                 this.wsServer = null;
             }
 
             if (this.wsClient) {
+                // Leaving on purpose is not a connection to restore
+                this.wsClient.removeAllListeners('close');
                 this.wsClient.close();
                 this.wsClient = null;
             }
@@ -1005,7 +1174,12 @@ class CollaborationModule extends EventEmitter {
             this.users.clear();
             this.documents.clear();
             this.changes.clear();
+            this.clients.clear();
             this.locks.clear();
+            this.currentSession = null;
+            this.isHost = false;
+            this.relay = false;
+            this.reconnectAttempts = 0;
 
             console.log('Collaboration module cleaned up');
             return { success: true };
@@ -1016,4 +1190,7 @@ class CollaborationModule extends EventEmitter {
     }
 }
 
+// Message types only editors may send
+CollaborationModule.EDIT_MESSAGES = ['document-change', 'document-lock', 'document-unlock'];
+
 module.exports = CollaborationModule;
\ No newline at end of file
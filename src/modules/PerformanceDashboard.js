@@ -1,4 +1,5 @@
 const systemMonitor = require('../utils/systemMonitor');
+const usageTracker = require('../utils/usageTracker');
 const logger = require('../utils/logger');
 
 /**
@@ -41,6 +42,7 @@ class PerformanceDashboard {
         };
         
         this.alerts = [];
+        this.budgetAlertDay = null;
         this.thresholds = {
             cpu: 80,
             memory: 85,
@@ -221,6 +223,26 @@ class PerformanceDashboard {
         };
     }
 
+    /**
+     * Get the AI token usage and cost report.
+     * Raises one alert per day once a daily budget is reached.
+     * @param {number} days - Number of days to include
+     */
+    async getUsageReport(days = 30) {
+        const result = await usageTracker.getReport({ days });
+        if (!result.success) {
+            return result;
+        }
+
+        const today = new Date().toDateString();
+        if (result.report.budgetExceeded && this.budgetAlertDay !== today) {
+            this.budgetAlertDay = today;
+            this.addAlert('error', 'AI Budget Reached', `${result.report.budgetReason}. Generation is paused until tomorrow.`);
+        }
+
+        return result;
+    }
+
     /**
      * Generate performance summary
      */
@@ -33,8 +33,13 @@ class VersionControlModule extends EventEmitter {
 
     /**
      * Initialize version control module
+     * @param {string} repoPath - Repository directory
+     * @param {Object} [options]
+     * @param {boolean} [options.standalone] - Create a repository in repoPath even when it lies inside another one
+     * @param {boolean} [options.hooks=true] - Install the default hooks (npm test, commit message format)
+     * @param {{name: string, email: string}} [options.user] - Committer for a new repository
      */
-    async initialize(repoPath) {
+    async initialize(repoPath, options = {}) {
         try {
             this.currentRepo = repoPath;
             this.git = simpleGit(repoPath);
@@ -46,10 +51,13 @@ class VersionControlModule extends EventEmitter {
             }
 
             // Check if current directory is a Git repository
-            const isRepo = await this.isRepository();
+            const isRepo = await this.isRepository({ root: options.standalone });
             if (!isRepo) {
                 // Initialize new repository
-                await this.initRepository();
+                const init = await this.initRepository({ user: options.user });
+                if (!init.success) {
+                    throw new Error(init.error);
+                }
             }
 
             // Get current branch
@@ -60,7 +68,9 @@ class VersionControlModule extends EventEmitter {
             await this.loadRemotes();
 
             // Setup hooks
-            await this.setupHooks();
+            if (options.hooks !== false) {
+                await this.setupHooks();
+            }
 
             console.log(`Version control initialized for: ${repoPath}`);
             this.emit('initialized', { path: repoPath, branch: this.currentBranch });
@@ -85,9 +95,14 @@ class VersionControlModule extends EventEmitter {
 
     /**
      * Check if current directory is a Git repository
+     * @param {Object} [options]
+     * @param {boolean} [options.root] - Only when the directory is the repository's top level
      */
-    async isRepository() {
+    async isRepository(options = {}) {
         try {
+            if (options.root) {
+                return await this.git.checkIsRepo('root');
+            }
             await this.git.status();
             return true;
         } catch {
@@ -105,6 +120,12 @@ class VersionControlModule extends EventEmitter {
             // Set default branch name
             const defaultBranch = options.defaultBranch || 'main';
             await this.git.branch(['-M', defaultBranch]);
+
+            // Commit without relying on a global git identity
+            if (options.user) {
+                await this.git.addConfig('user.name', options.user.name);
+                await this.git.addConfig('user.email', options.user.email);
+            }
             
             // Create initial commit if requested
             if (options.initialCommit !== false) {
@@ -558,9 +579,13 @@ class VersionControlModule extends EventEmitter {
     async getHistory(options = {}) {
         try {
             const logOptions = {
-                maxCount: options.limit || 50,
-                '--oneline': options.oneline || false
+                maxCount: options.limit || 50
             };
+
+            // simple-git passes any '--oneline' key as the flag, even false
+            if (options.oneline) {
+                logOptions['--oneline'] = null;
+            }
             
             if (options.since) {
                 logOptions['--since'] = options.since;
@@ -574,6 +599,11 @@ class VersionControlModule extends EventEmitter {
                 logOptions['--author'] = options.author;
             }
 
+            // Only commits that touch this path
+            if (options.file) {
+                logOptions.file = options.file;
+            }
+
             const log = await this.git.log(logOptions);
             
             return {
@@ -588,6 +618,21 @@ class VersionControlModule extends EventEmitter {
         }
     }
 
+    /**
+     * Read a file as it was at a commit
+     * @param {string} ref - Commit, branch or tag
+     * @param {string} filePath - Path relative to the repository root
+     */
+    async getFileAtCommit(ref, filePath) {
+        try {
+            const content = await this.git.show([`${ref}:${filePath.split(path.sep).join('/')}`]);
+            return { success: true, content };
+        } catch (error) {
+            console.error('Failed to read file at commit:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Show diff of changes
      */
@@ -49,7 +49,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Core functionality
     setApiKey: (apiKey) => ipcRenderer.invoke('set-api-key', apiKey),
     checkApiStatus: () => ipcRenderer.invoke('check-api-status'),
-    generateCode: (prompt) => ipcRenderer.invoke('generate-code', prompt),
+    generateCode: (prompt, sessionId) => ipcRenderer.invoke('generate-code', { prompt, sessionId }),
+    generateCodeStream: (prompt, streamId, sessionId) => ipcRenderer.invoke('generate-code-stream', { prompt, streamId, sessionId }),
+    refineCode: (sessionId, changeRequest) => ipcRenderer.invoke('refine-code', { sessionId, changeRequest }),
+    getCodeVersions: (sessionId) => ipcRenderer.invoke('get-code-versions', { sessionId }),
+    restoreCodeVersion: (sessionId, version) => ipcRenderer.invoke('restore-code-version', { sessionId, version }),
+    cancelCodeGeneration: (streamId) => ipcRenderer.invoke('cancel-code-generation', { streamId }),
+    /**
+     * Subscribe to streaming generation events
+     * @param {Function} callback - Receives {streamId, type, ...} payloads
+     * @returns {Function} Unsubscribe function
+     */
+    onGenerationStream: (callback) => {
+        const listener = (event, payload) => callback(payload);
+        ipcRenderer.on('generation-stream', listener);
+        return () => ipcRenderer.removeListener('generation-stream', listener);
+    },
     executeCode: (data) => ipcRenderer.invoke('execute-code', data),
     executeDOMCode: (data) => ipcRenderer.invoke('execute-dom-code', data),
     cleanupSession: (sessionId) => ipcRenderer.invoke('cleanup-session', sessionId),
@@ -91,7 +106,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     dbUpdateData: (dbName, tableName, id, data) => ipcRenderer.invoke('db-update-data', { dbName, tableName, id, data }),
     dbDeleteData: (dbName, tableName, id) => ipcRenderer.invoke('db-delete-data', { dbName, tableName, id }),
     dbExecuteSQL: (dbName, sql, params) => ipcRenderer.invoke('db-execute-sql', { dbName, sql, params }),
-    dbExportDatabase: (dbName) => ipcRenderer.invoke('db-export-database', dbName),
+    // Export (options: {format: json|csv|ndjson|sql|sqlite, table}); with a format the file is saved via a dialog
+    dbExportDatabase: (dbName, options = {}) => ipcRenderer.invoke('db-export-database', { dbName, format: options.format, tableName: options.table }),
 
     // Database Backup & Restore
     dbBackupDatabase: (dbName, password) => ipcRenderer.invoke('db-backup-database', { dbName, password }),
@@ -99,6 +115,173 @@ contextBridge.exposeInMainWorld('electronAPI', {
     dbListBackups: () => ipcRenderer.invoke('db-list-backups'),
     dbDeleteBackup: (backupPath) => ipcRenderer.invoke('db-delete-backup', { backupPath }),
 
+    // Schema Migrations (options: {dryRun, backup})
+    dbMigrate: (dbName, migration, options) => ipcRenderer.invoke('db-migrate', { dbName, migration, options }),
+    dbRollbackMigration: (dbName, toMigrationId, options) => ipcRenderer.invoke('db-rollback-migration', { dbName, toMigrationId, options }),
+    dbListMigrations: (dbName) => ipcRenderer.invoke('db-list-migrations', dbName),
+
+    // Data Import (options: {table, createTable, mapping, types, batchSize})
+    dbImportSelectFile: () => ipcRenderer.invoke('db-import-select-file'),
+    dbImportData: (dbName, importId, options) => ipcRenderer.invoke('db-import-data', { dbName, importId, options }),
+    dbImportCancel: (importId) => ipcRenderer.invoke('db-import-cancel', importId),
+    /**
+     * Subscribe to import progress events
+     * @param {Function} callback - Receives {importId, processed, total, inserted, rejected}
+     * @returns {Function} Unsubscribe function
+     */
+    onDbImportProgress: (callback) => {
+        const listener = (event, payload) => callback(payload);
+        ipcRenderer.on('db-import-progress', listener);
+        return () => ipcRenderer.removeListener('db-import-progress', listener);
+    },
+    /**
+     * Subscribe to row changes from every database write
+     * @param {Function} callback - Receives {subscriptionId, previousSequence, events}; each event is
+     *   {sequence, database, table, op, id, before, after, timestamp}, or {op: 'bulk', table, count} for large writes
+     * @param {Object} options
+     * @param {string[]} options.tables - Only changes to these tables
+     * @returns {Promise<{subscriptionId: string, sequence: number, unsubscribe: Function}>}
+     */
+    subscribeDbChanges: async (callback, options = {}) => {
+        const result = await ipcRenderer.invoke('db-change-feed-subscribe', { tables: options.tables });
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to subscribe to database changes');
+        }
+        const listener = (event, payload) => {
+            if (payload.subscriptionId === result.subscriptionId) callback(payload);
+        };
+        ipcRenderer.on('db-change-feed', listener);
+        return {
+            subscriptionId: result.subscriptionId,
+            sequence: result.sequence,
+            unsubscribe: () => {
+                ipcRenderer.removeListener('db-change-feed', listener);
+                return ipcRenderer.invoke('db-change-feed-unsubscribe', { subscriptionId: result.subscriptionId });
+            }
+        };
+    },
+    dbChangesSince: (sequence, tables) => ipcRenderer.invoke('db-changes-since', { sequence, tables }),
+
+    // Change journal (options: {appId} limits undo/redo to one app's writes)
+    dbUndo: (dbName, options = {}) => ipcRenderer.invoke('db-undo', { dbName, appId: options.appId }),
+    dbRedo: (dbName, options = {}) => ipcRenderer.invoke('db-redo', { dbName, appId: options.appId }),
+    dbJournalState: (dbName, options = {}) => ipcRenderer.invoke('db-journal-state', { dbName, appId: options.appId }),
+    dbRowHistory: (dbName, tableName, id, options = {}) => ipcRenderer.invoke('db-row-history', { dbName, tableName, id, limit: options.limit }),
+
+    // Named workspaces of the multi-app runtime (state: {layout, activeAppId, panels: [{appId, size, detached}], dock})
+    workspaceList: () => ipcRenderer.invoke('workspace-list'),
+    workspaceGet: (name) => ipcRenderer.invoke('workspace-get', { name }),
+    workspaceGetActive: () => ipcRenderer.invoke('workspace-get-active'),
+    workspaceSave: (name, state) => ipcRenderer.invoke('workspace-save', { name, state }),
+    workspaceActivate: (name) => ipcRenderer.invoke('workspace-activate', { name }),
+    workspaceDuplicate: (name, newName) => ipcRenderer.invoke('workspace-duplicate', { name, newName }),
+    workspaceRename: (name, newName) => ipcRenderer.invoke('workspace-rename', { name, newName }),
+    workspaceDelete: (name) => ipcRenderer.invoke('workspace-delete', { name }),
+    workspaceExport: (name) => ipcRenderer.invoke('workspace-export', { name }),
+    workspaceImport: () => ipcRenderer.invoke('workspace-import'),
+
+    // Generated apps popped out of the dock into their own windows
+    openAppWindow: (appId) => ipcRenderer.invoke('app-window-open', { appId }),
+    /**
+     * @param {string} appId
+     * @param {Object} options
+     * @param {boolean} options.redock - Put the app back into the main window's dock
+     */
+    closeAppWindow: (appId, options = {}) => ipcRenderer.invoke('app-window-close', { appId, redock: options.redock }),
+    /**
+     * @param {Function} callback - Receives {appId, windowId, redock} when an app window closes
+     * @returns {Function} Unsubscribe
+     */
+    onAppWindowClosed: (callback) => {
+        const listener = (event, payload) => callback(payload);
+        ipcRenderer.on('app-window-closed', listener);
+        return () => ipcRenderer.removeListener('app-window-closed', listener);
+    },
+    /**
+     * Export a registered app to run without the builder; asks where to save it
+     * @param {string} appId
+     * @param {string} format - 'html' (one file) or 'electron' (project directory)
+     * @param {Object} options - {appName, appDocument}: the app's iframe document from AppPanel.createSecureDocument
+     * @returns {Promise<{success: boolean, path?: string, tables?: string[], rows?: number, canceled?: boolean, error?: string}>}
+     */
+    exportApp: (appId, format, { appName, appDocument }) => {
+        return ipcRenderer.invoke('app-export', { appId, appName, format, appDocument });
+    },
+    /**
+     * Send an appBus message or call to apps in other windows
+     * @param {Object} envelope - {type: 'app-bus-<message|broadcast|expose|call|return|discover>', sourceAppId, targetAppId, ...fields}
+     */
+    appBusSend: ({ type, sourceAppId, targetAppId, ...payload }) => {
+        return ipcRenderer.invoke('app-bus-send', { type, sourceAppId, targetAppId, payload });
+    },
+    /**
+     * @param {Function} callback - Receives appBus envelopes sent from other windows
+     * @returns {Function} Unsubscribe
+     */
+    onAppBusMessage: (callback) => {
+        const listener = (event, payload) => callback(payload);
+        ipcRenderer.on('app-bus-message', listener);
+        return () => ipcRenderer.removeListener('app-bus-message', listener);
+    },
+
+    // Builder session shared with teammates on the LAN
+    /**
+     * Host a session sharing the prompt and code
+     * @param {Object} options - {password, viewerPassword?, name?, displayName?, prompt?, code?}
+     * @returns {Promise<{success: boolean, sessionId?: string, joinLink?: string, role?: string, error?: string}>}
+     */
+    startSharedSession: (options) => ipcRenderer.invoke('shared-session-start', options),
+    /**
+     * @param {Object} options - {joinLink, password, displayName?}; the password decides editor or viewer access
+     * @returns {Promise<{success: boolean, sessionId?: string, error?: string}>}
+     */
+    joinSharedSession: (options) => ipcRenderer.invoke('shared-session-join', options),
+    leaveSharedSession: () => ipcRenderer.invoke('shared-session-stop'),
+    getSharedSessionStatus: () => ipcRenderer.invoke('shared-session-status'),
+    /**
+     * @param {Object} message - {type: 'document-change'|'cursor-update'|'selection-update'|'chat-message', documentId?, change?, position?, selection?, text?}
+     */
+    sendSharedSessionMessage: (message) => ipcRenderer.invoke('shared-session-send', message),
+    /**
+     * @param {Function} callback - Receives session messages (session-state, document-changed, cursor-updated, database-changed, ...)
+     * @returns {Function} Unsubscribe
+     */
+    onSharedSessionMessage: (callback) => {
+        const listener = (event, payload) => callback(payload);
+        ipcRenderer.on('shared-session-message', listener);
+        return () => ipcRenderer.removeListener('shared-session-message', listener);
+    },
+
+    // Trash (dropped tables, and deleted rows when keepDeletedRows is on)
+    dbListTrash: (dbName) => ipcRenderer.invoke('db-list-trash', { dbName }),
+    dbRestoreFromTrash: (dbName, trashId, options = {}) => ipcRenderer.invoke('db-restore-trash', { dbName, trashId, newName: options.newName }),
+    dbPurgeTrash: (dbName, trashId) => ipcRenderer.invoke('db-purge-trash', { dbName, trashId }),
+    dbEmptyTrash: (dbName) => ipcRenderer.invoke('db-purge-trash', { dbName }),
+
+    // App table permissions (access: 'read', 'write' or 'schema'), enforced by the app panel bridge
+    checkAppTableAccess: (appId, tableName, access) => ipcRenderer.invoke('app-check-table-access', { appId, tableName, access }),
+    setAppTablePermission: (appId, tableName, permissions = {}) => ipcRenderer.invoke('app-set-table-permission', {
+        appId,
+        tableName,
+        read: permissions.read,
+        write: permissions.write,
+        schema: permissions.schema
+    }),
+    clearAppTablePermission: (appId, tableName) => ipcRenderer.invoke('app-clear-table-permission', { appId, tableName }),
+    getAppPermissions: (appId) => ipcRenderer.invoke('app-get-permissions', appId),
+    claimAppTable: (appId, tableName) => ipcRenderer.invoke('app-claim-table', { appId, tableName }),
+    reportAppAccessDenied: (details) => ipcRenderer.invoke('app-access-denied', details),
+
+    // Tamper-evident audit log
+    /**
+     * Check the audit log's hash chain across rotated and compressed files
+     * @param {Object} [options] - {useExportedCheckpoints?: boolean} asks for an exported checkpoint file to check against
+     * @returns {Promise<{success: boolean, valid: boolean, signed: boolean, verified: number, firstProblem: {type: 'tampered'|'missing', file, line, seq, reason}|null, error?: string}>}
+     *   signed is false (with an error) when secure storage is unavailable and entries are not signed
+     */
+    verifyAuditLog: (options = {}) => ipcRenderer.invoke('audit-verify-log', { useExportedCheckpoints: options.useExportedCheckpoints }),
+    exportAuditCheckpoints: () => ipcRenderer.invoke('audit-export-checkpoints'),
+
     // ============================================================
     // SIMPLIFIED DATABASE API (for AI-generated code)
     // Uses default 'app' database and accepts array-based schemas
@@ -130,24 +313,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * Insert data into a table
      * @param {string} tableName - Name of the table
      * @param {Object} data - Data to insert
+     * @param {Object} options - {appId}: app the write is journaled for (set by the app panel bridge)
      * @returns {Promise<{success: boolean, id?: number, error?: string}>}
      */
-    insertData: (tableName, data) => {
+    insertData: (tableName, data, options = {}) => {
         return ipcRenderer.invoke('db-insert-data', {
             dbName: DEFAULT_DB,
             tableName,
-            data
+            data,
+            appId: options.appId
         });
     },
 
     /**
      * Query data from a table
      * @param {string} tableName - Name of the table
-     * @param {Object} options - Query options (where, orderBy, limit, offset)
+     * @param {Object} options - Query options (where, columns, orderBy, limit, offset)
      * @returns {Promise<Array>} - Returns array of rows directly (empty array if no data)
      * @example
      * const todos = await window.electronAPI.queryData('todos', {
-     *   where: {completed: 0},
+     *   where: {completed: 0, $or: [{priority: {$gte: 2}}, {due: {$null: false}}]},
+     *   columns: ['id', 'task'],
      *   orderBy: 'id DESC',
      *   limit: 10
      * });
@@ -167,19 +353,131 @@ contextBridge.exposeInMainWorld('electronAPI', {
         return [];
     },
 
+    /**
+     * Run several writes atomically: either all of them are saved or none are
+     * @param {Array<Object>} operations - {op: 'insert', table, data}, {op: 'update', table, id, data}
+     *   or {op: 'delete', table, id}
+     * @returns {Promise<{success: boolean, results?: Array, changes?: Array, error?: string, operationIndex?: number}>}
+     * @example
+     * const result = await window.electronAPI.transaction([
+     *   {op: 'insert', table: 'orders', data: {customer: 'Ann', total: 30}},
+     *   {op: 'update', table: 'stock', id: 4, data: {quantity: 9}}
+     * ]);
+     * // result.results: [{success: true, id: 12, changes: 1}, {success: true, id: 4, changes: 1}]
+     */
+    transaction: (operations, options = {}) => {
+        return ipcRenderer.invoke('db-transaction', {
+            dbName: DEFAULT_DB,
+            operations,
+            appId: options.appId
+        });
+    },
+
+    /**
+     * Alias of transaction() for bulk writes
+     * @param {Array<Object>} operations - Same as transaction()
+     * @returns {Promise<Object>}
+     */
+    batch: (operations, options = {}) => {
+        return ipcRenderer.invoke('db-transaction', {
+            dbName: DEFAULT_DB,
+            operations,
+            appId: options.appId
+        });
+    },
+
+    /**
+     * Revert the latest write (one insert, update, delete or whole transaction)
+     * @param {Object} options - {appId}: only this app's writes
+     * @returns {Promise<{success: boolean, tables?: string[], changes?: Array, error?: string}>}
+     */
+    undo: (options = {}) => {
+        return ipcRenderer.invoke('db-undo', {
+            dbName: DEFAULT_DB,
+            appId: options.appId
+        });
+    },
+
+    /**
+     * Re-apply the most recently undone write
+     * @param {Object} options - {appId}: only this app's writes
+     * @returns {Promise<{success: boolean, tables?: string[], changes?: Array, error?: string}>}
+     */
+    redo: (options = {}) => {
+        return ipcRenderer.invoke('db-redo', {
+            dbName: DEFAULT_DB,
+            appId: options.appId
+        });
+    },
+
+    /**
+     * Full-text search over the columns created with `searchable: true`
+     * @param {string} tableName - Name of the table
+     * @param {string} query - Plain search text; the last word also matches as a prefix
+     * @param {Object} options - {limit, offset, highlight}
+     * @returns {Promise<Array>} - Best matches first; each row has `_rank`, and `_snippet`
+     *   (HTML-escaped, matches wrapped in <mark>) when highlight is true
+     * @example
+     * await window.electronAPI.createTable('notes', {
+     *   columns: [{name: 'title', type: 'TEXT', searchable: true}, {name: 'body', type: 'TEXT', searchable: true}]
+     * });
+     * const results = await window.electronAPI.search('notes', 'meeting agenda', {highlight: true});
+     */
+    search: async (tableName, query, options = {}) => {
+        const result = await ipcRenderer.invoke('db-search', {
+            dbName: DEFAULT_DB,
+            tableName,
+            query,
+            options
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'Search failed');
+        }
+        return result.data;
+    },
+
+    /**
+     * Count, sum, average, min or max rows of a table
+     * @param {string} tableName - Name of the table
+     * @param {Object} options - count/sum/avg/min/max, where, groupBy, having, orderBy, limit
+     * @returns {Promise<Array>} - Returns the result rows directly
+     * @example
+     * const totals = await window.electronAPI.aggregate('expenses', {
+     *   count: true,
+     *   sum: 'amount',
+     *   groupBy: 'category',
+     *   having: {sum_amount: {$gt: 100}},
+     *   orderBy: 'sum_amount DESC'
+     * });
+     * // totals: [{category: 'Food', count: 12, sum_amount: 340.5}, ...]
+     */
+    aggregate: async (tableName, options = {}) => {
+        const result = await ipcRenderer.invoke('db-aggregate', {
+            dbName: DEFAULT_DB,
+            tableName,
+            options
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'Aggregate query failed');
+        }
+        return result.data;
+    },
+
     /**
      * Update data in a table
      * @param {string} tableName - Name of the table
      * @param {number} id - ID of the record to update
      * @param {Object} data - Fields to update
+     * @param {Object} options - {appId}: app the write is journaled for (set by the app panel bridge)
      * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
      */
-    updateData: (tableName, id, data) => {
+    updateData: (tableName, id, data, options = {}) => {
         return ipcRenderer.invoke('db-update-data', {
             dbName: DEFAULT_DB,
             tableName,
             id,
-            data
+            data,
+            appId: options.appId
         });
     },
 
@@ -187,13 +485,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * Delete data from a table
      * @param {string} tableName - Name of the table
      * @param {number} id - ID of the record to delete
+     * @param {Object} options - {appId}: app the write is journaled for (set by the app panel bridge)
      * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
      */
-    deleteData: (tableName, id) => {
+    deleteData: (tableName, id, options = {}) => {
         return ipcRenderer.invoke('db-delete-data', {
             dbName: DEFAULT_DB,
             tableName,
-            id
+            id,
+            appId: options.appId
         });
     },
 
@@ -206,14 +506,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
     },
 
     /**
-     * Drop (delete) a table from the default database
+     * Drop (delete) a table from the default database. The table goes to the
+     * trash unless options.permanent is set.
      * @param {string} tableName - Name of the table to drop
-     * @returns {Promise<{success: boolean, table?: string, error?: string}>}
+     * @param {Object} options - {permanent}
+     * @returns {Promise<{success: boolean, table?: string, trashId?: number, error?: string}>}
      */
-    dropTable: (tableName) => {
+    dropTable: (tableName, options = {}) => {
         return ipcRenderer.invoke('db-drop-table', {
             dbName: DEFAULT_DB,
-            tableName
+            tableName,
+            permanent: options.permanent
         });
     },
 
@@ -221,6 +524,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * Execute raw SQL query on the default database
      * @param {string} sql - SQL query to execute
      * @param {Array} params - Optional parameters for prepared statement
+     * @param {Object} options - {appId}: app the write is journaled for (set by the app panel bridge)
      * @returns {Promise<Array|{changes: number}>} - Query results or changes count
      * @example
      * // SELECT query
@@ -228,11 +532,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * // INSERT/UPDATE/DELETE
      * await window.electronAPI.executeQuery('INSERT INTO users (name) VALUES (?)', ['John']);
      */
-    executeQuery: async (sql, params = []) => {
+    executeQuery: async (sql, params = [], options = {}) => {
         const result = await ipcRenderer.invoke('db-execute-sql', {
             dbName: DEFAULT_DB,
             sql,
-            params
+            params,
+            appId: options.appId
         });
         // Return the data directly for easier use
         if (result.success) {
@@ -270,7 +575,36 @@ contextBridge.exposeInMainWorld('electronAPI', {
      * @returns {Promise<{success: boolean, app?: Object, error?: string}>}
      */
     getAppInfo: (appId) => {
-        return ipcRenderer.invoke('db-get-app-info', appId);
+        return ipcRenderer.invoke('db-get-app-info', { appId });
+    },
+
+    /**
+     * Versions of a registered app's code, newest first
+     * @param {string} appId - The app's unique identifier
+     * @returns {Promise<{success: boolean, versions?: Array, error?: string}>}
+     */
+    getAppHistory: (appId) => {
+        return ipcRenderer.invoke('db-app-history', { appId });
+    },
+
+    /**
+     * What one version of an app changed compared with the version before it
+     * @param {string} appId - The app's unique identifier
+     * @param {string} commit - Version from getAppHistory
+     * @returns {Promise<{success: boolean, files?: Array<{file: string, summary: Object, unified: string}>, error?: string}>}
+     */
+    getAppVersionDiff: (appId, commit) => {
+        return ipcRenderer.invoke('db-app-version-diff', { appId, commit });
+    },
+
+    /**
+     * Make an earlier version's code the app's active code
+     * @param {string} appId - The app's unique identifier
+     * @param {string} commit - Version from getAppHistory
+     * @returns {Promise<{success: boolean, app?: Object, code?: string, error?: string}>}
+     */
+    restoreAppVersion: (appId, commit) => {
+        return ipcRenderer.invoke('db-restore-app-version', { appId, commit });
     },
 
     /**
@@ -492,14 +826,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
     },
 
     /**
-     * Regenerate an app using its original prompt and current schema
+     * Regenerate an app using its original prompt and current schema. The new
+     * code isn't saved until acceptRegeneratedApp.
      * @param {string} appId - The app to regenerate
-     * @returns {Promise<{success: boolean, app?: Object, code?: string, error?: string}>}
+     * @returns {Promise<{success: boolean, app?: Object, code?: string, review?: {summary: Object, rows: Array, references: Object}, error?: string}>}
      */
     regenerateApp: (appId) => {
         return ipcRenderer.invoke('db-regenerate-app', { appId });
     },
 
+    /**
+     * Make an app's reviewed regenerated code its active code
+     * @param {string} appId - The regenerated app
+     * @returns {Promise<{success: boolean, app?: Object, error?: string}>}
+     */
+    acceptRegeneratedApp: (appId) => {
+        return ipcRenderer.invoke('db-accept-regenerated-app', { appId });
+    },
+
+    /**
+     * Discard an app's regenerated code; the app keeps its current code
+     * @param {string} appId - The regenerated app
+     * @returns {Promise<{success: boolean, discarded?: boolean, error?: string}>}
+     */
+    rejectRegeneratedApp: (appId) => {
+        return ipcRenderer.invoke('db-reject-regenerated-app', { appId });
+    },
+
     // Database-driven Code Generation
     dbGenerateCodeWithData: (prompt, dbName, includeData) => ipcRenderer.invoke('db-generate-code-with-data', { prompt, dbName, includeData }),
     
@@ -511,6 +864,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     acknowledgeAlert: (alertId) => ipcRenderer.invoke('acknowledge-alert', alertId),
     exportPerformanceData: (format) => ipcRenderer.invoke('export-performance-data', format),
     openPerformanceDashboard: () => ipcRenderer.invoke('open-performance-dashboard'),
+    getAIUsageReport: (days) => ipcRenderer.invoke('get-ai-usage-report', { days }),
+    setAIUsageBudget: (budgets) => ipcRenderer.invoke('set-ai-usage-budget', budgets),
 
     // App Password Protection (Optional)
     checkAppPasswordStatus: () => ipcRenderer.invoke('check-app-password-status'),
@@ -0,0 +1,43 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const fetch = require('node-fetch');
+const BaseProvider = require('./BaseProvider');
+
+/**
+ * Anthropic Claude provider - thin wrapper around the official SDK
+ */
+class AnthropicProvider extends BaseProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - Anthropic API key
+     * @param {number} options.timeout - Request timeout in ms
+     * @param {Object} options.client - Pre-built SDK client (tests)
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.client && !options.apiKey) {
+            throw new Error('Anthropic provider requires an API key');
+        }
+
+        // Use node-fetch explicitly for Electron compatibility
+        this.client = options.client || new Anthropic({
+            apiKey: options.apiKey,
+            fetch,
+            timeout: options.timeout || 30000,
+            maxRetries: 0
+        });
+    }
+
+    get name() {
+        return 'anthropic';
+    }
+
+    async createMessage(params) {
+        return this.client.messages.create(params);
+    }
+
+    streamMessage(params) {
+        return this.client.messages.stream(params);
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+
+/**
+ * Streaming handle returned by provider.messages.stream().
+ * Mirrors the parts of the Anthropic SDK MessageStream the app relies on:
+ * on('text'), finalMessage(), abort() and the aborted flag.
+ */
+class MessageStream extends EventEmitter {
+    /**
+     * @param {Function} producer - async (stream, signal) => message; calls stream.emitText() for each delta
+     */
+    constructor(producer) {
+        super();
+        this.controller = new AbortController();
+        this.aborted = false;
+
+        this.finalPromise = Promise.resolve()
+            .then(() => producer(this, this.controller.signal))
+            .then((message) => {
+                if (this.aborted) {
+                    throw MessageStream.abortError();
+                }
+                this.emit('end', message);
+                return message;
+            });
+
+        // Consumers that never call finalMessage() must not trigger unhandled rejections
+        this.finalPromise.catch(() => {});
+    }
+
+    emitText(text) {
+        if (!this.aborted && text) {
+            this.emit('text', text);
+        }
+    }
+
+    finalMessage() {
+        return this.finalPromise;
+    }
+
+    abort() {
+        this.aborted = true;
+        this.controller.abort();
+    }
+
+    static abortError() {
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+/**
+ * Base class for AI providers.
+ * Providers expose an Anthropic-style `messages` API so CodeGenerationModule,
+ * AISchemaGenerator and the main process can use any provider unchanged.
+ * Responses use the Anthropic message shape:
+ *   { id, model, content: [{ type: 'text', text }], stop_reason, usage: { input_tokens, output_tokens } }
+ */
+class BaseProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.messages = {
+            create: (params) => this.createMessage(params),
+            stream: (params) => this.streamMessage(params)
+        };
+    }
+
+    /**
+     * Provider identifier used in the registry
+     * @returns {string}
+     */
+    get name() {
+        return 'base';
+    }
+
+    /**
+     * Create a complete message
+     * @param {Object} params - Anthropic-style request ({model, system, messages, max_tokens, temperature})
+     * @returns {Promise<Object>} Anthropic-style message
+     */
+    async createMessage(params) {
+        throw new Error(`Provider '${this.name}' does not implement createMessage`);
+    }
+
+    /**
+     * Stream a message. Providers without native streaming emit the whole
+     * response as a single text delta.
+     * @param {Object} params - Anthropic-style request
+     * @returns {MessageStream}
+     */
+    streamMessage(params) {
+        return new MessageStream(async (stream) => {
+            const message = await this.createMessage(params);
+            stream.emitText(BaseProvider.textOf(message));
+            return message;
+        });
+    }
+
+    /**
+     * Build an Anthropic-style message from plain text
+     * @param {string} text - Response text
+     * @param {Object} extra - model, stop_reason and usage overrides
+     * @returns {Object}
+     */
+    static toMessage(text, extra = {}) {
+        return {
+            id: extra.id || `msg_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`,
+            type: 'message',
+            role: 'assistant',
+            model: extra.model || 'unknown',
+            content: [{ type: 'text', text }],
+            stop_reason: extra.stop_reason || 'end_turn',
+            usage: {
+                input_tokens: extra.usage?.input_tokens || 0,
+                output_tokens: extra.usage?.output_tokens || 0
+            }
+        };
+    }
+
+    /**
+     * Concatenate the text blocks of a message
+     * @param {Object} message - Anthropic-style message
+     * @returns {string}
+     */
+    static textOf(message) {
+        return (message.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+
+    /**
+     * Flatten Anthropic message content (string or block array) to text
+     * @param {string|Array} content
+     * @returns {string}
+     */
+    static contentToText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        if (Array.isArray(content)) {
+            return content
+                .filter(block => block && block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        }
+        return '';
+    }
+}
+
+module.exports = BaseProvider;
+module.exports.MessageStream = MessageStream;
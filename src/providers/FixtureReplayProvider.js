@@ -0,0 +1,183 @@
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseProvider = require('./BaseProvider');
+const { MessageStream } = BaseProvider;
+
+/**
+ * Deterministic provider that replays canned responses from fixture files.
+ * Lets CI and the e2e suite run the real generation pipeline offline.
+ *
+ * Each *.json file in the fixture directory holds one fixture or an array of them:
+ * {
+ *   "name": "todo-app",
+ *   "match": { "contains": ["todo"], "regex": "...", "prompt": "exact prompt" },
+ *   "response": { "packages": [], "code": "...", "description": "..." },   // or a raw string
+ *   "responses": [ ... ],              // optional sequence, one per call; the last one repeats
+ *   "error": { "status": 529, "message": "Overloaded" },                   // optional simulated failure
+ *   "usage": { "input_tokens": 100, "output_tokens": 50 }
+ * }
+ * Matching runs against the last user message. Fixtures without `match`
+ * are defaults, used only when nothing else matches.
+ */
+class FixtureReplayProvider extends BaseProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - Directory containing fixture files
+     * @param {Array} options.fixtures - Inline fixtures (used in addition to files)
+     * @param {number} options.chunkSize - Characters per streamed text delta
+     */
+    constructor(options = {}) {
+        super(options);
+        this.chunkSize = options.chunkSize || 64;
+        this.fixtures = [
+            ...(options.path ? FixtureReplayProvider.loadFixtures(options.path) : []),
+            ...(options.fixtures || [])
+        ].map((fixture, index) => ({ name: fixture.name || `fixture_${index}`, ...fixture }));
+        this.callCounts = new Map();
+    }
+
+    get name() {
+        return 'fixture';
+    }
+
+    /**
+     * Read all fixture files in a directory, sorted by file name
+     * @param {string} directory
+     * @returns {Array}
+     */
+    static loadFixtures(directory) {
+        const resolved = path.resolve(directory);
+        if (!fsSync.existsSync(resolved)) {
+            throw new Error(`Fixture directory not found: ${resolved}`);
+        }
+
+        return fsSync.readdirSync(resolved)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .flatMap(file => {
+                const content = JSON.parse(fsSync.readFileSync(path.join(resolved, file), 'utf8'));
+                return (Array.isArray(content) ? content : [content])
+                    .map(fixture => ({ name: path.basename(file, '.json'), ...fixture }));
+            });
+    }
+
+    /**
+     * Stable key for a request, shown when no fixture matches so one can be added
+     * @param {Object} params - Anthropic-style request
+     * @returns {string}
+     */
+    static requestKey(params) {
+        const lastUser = FixtureReplayProvider.lastUserMessage(params);
+        return crypto.createHash('sha256').update(lastUser).digest('hex').substring(0, 16);
+    }
+
+    static lastUserMessage(params) {
+        const userMessages = (params.messages || []).filter(m => m.role === 'user');
+        const last = userMessages[userMessages.length - 1];
+        return last ? BaseProvider.contentToText(last.content) : '';
+    }
+
+    /**
+     * Check a fixture's match rules against the prompt
+     * @param {Object} match
+     * @param {string} prompt
+     * @returns {boolean}
+     */
+    static matches(match, prompt) {
+        if (match.prompt !== undefined && match.prompt !== prompt) {
+            return false;
+        }
+        if (match.contains !== undefined) {
+            const needles = Array.isArray(match.contains) ? match.contains : [match.contains];
+            const haystack = prompt.toLowerCase();
+            if (!needles.every(needle => haystack.includes(String(needle).toLowerCase()))) {
+                return false;
+            }
+        }
+        if (match.regex !== undefined && !new RegExp(match.regex, 'i').test(prompt)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Find the fixture for a request
+     * @param {Object} params - Anthropic-style request
+     * @returns {Object} Fixture
+     */
+    findFixture(params) {
+        const prompt = FixtureReplayProvider.lastUserMessage(params);
+        const fixture = this.fixtures.find(f => f.match && FixtureReplayProvider.matches(f.match, prompt)) ||
+            this.fixtures.find(f => !f.match);
+
+        if (!fixture) {
+            const error = new Error(`No AI fixture matches request ${FixtureReplayProvider.requestKey(params)}: "${prompt.substring(0, 80)}"`);
+            error.code = 'FIXTURE_NOT_FOUND';
+            throw error;
+        }
+        return fixture;
+    }
+
+    /**
+     * Resolve the fixture for a request into an Anthropic-style message
+     * @private
+     */
+    replay(params) {
+        const fixture = this.findFixture(params);
+        const calls = this.callCounts.get(fixture.name) || 0;
+        this.callCounts.set(fixture.name, calls + 1);
+
+        if (fixture.error) {
+            const error = new Error(fixture.error.message || 'Simulated provider error');
+            error.status = fixture.error.status;
+            if (fixture.error.type) {
+                error.error = { type: fixture.error.type };
+            }
+            throw error;
+        }
+
+        const response = Array.isArray(fixture.responses) && fixture.responses.length > 0
+            ? fixture.responses[Math.min(calls, fixture.responses.length - 1)]
+            : fixture.response;
+        const text = typeof response === 'string' ? response : JSON.stringify(response);
+        const promptText = FixtureReplayProvider.lastUserMessage(params);
+
+        return BaseProvider.toMessage(text, {
+            id: `msg_fixture_${FixtureReplayProvider.requestKey(params)}_${calls}`,
+            model: `fixture:${fixture.name}`,
+            usage: {
+                // Rough but deterministic estimate when the fixture does not specify usage
+                input_tokens: fixture.usage?.input_tokens ?? Math.ceil(promptText.length / 4),
+                output_tokens: fixture.usage?.output_tokens ?? Math.ceil(text.length / 4)
+            }
+        });
+    }
+
+    async createMessage(params) {
+        return this.replay(params);
+    }
+
+    streamMessage(params) {
+        return new MessageStream(async (stream) => {
+            const message = this.replay(params);
+            const text = BaseProvider.textOf(message);
+            for (let i = 0; i < text.length; i += this.chunkSize) {
+                if (stream.aborted) break;
+                stream.emitText(text.slice(i, i + this.chunkSize));
+                // Yield so listeners and cancellation run between chunks
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            return message;
+        });
+    }
+
+    /**
+     * Forget per-fixture call counts so `responses` sequences restart
+     */
+    reset() {
+        this.callCounts.clear();
+    }
+}
+
+module.exports = FixtureReplayProvider;
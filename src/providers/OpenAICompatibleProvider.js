@@ -0,0 +1,206 @@
+const fetch = require('node-fetch');
+const BaseProvider = require('./BaseProvider');
+const { MessageStream } = BaseProvider;
+
+/**
+ * Provider for servers implementing the OpenAI chat completions API
+ * (OpenAI, llama.cpp server, Ollama, LM Studio, vLLM, ...)
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - Base URL including the API version, e.g. http://localhost:11434/v1
+     * @param {string} options.model - Model name; replaces the Claude model requested by callers
+     * @param {string} options.apiKey - Optional bearer token
+     * @param {number} options.maxTokens - Optional cap on max_tokens (local models have small contexts)
+     * @param {number} options.timeout - Request timeout in ms
+     * @param {Function} options.fetch - fetch implementation (tests)
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.endpoint) {
+            throw new Error('OpenAI-compatible provider requires an endpoint');
+        }
+        this.endpoint = options.endpoint.replace(/\/+$/, '');
+        this.model = options.model || null;
+        this.apiKey = options.apiKey || null;
+        this.maxTokens = options.maxTokens || null;
+        this.timeout = options.timeout || 120000;
+        this.fetch = options.fetch || fetch;
+    }
+
+    get name() {
+        return 'openai';
+    }
+
+    /**
+     * Translate an Anthropic-style request into a chat completions body
+     * @param {Object} params - Anthropic-style request
+     * @param {boolean} stream - Whether to request server-sent events
+     * @returns {Object}
+     */
+    buildBody(params, stream) {
+        const messages = [];
+        if (params.system) {
+            messages.push({ role: 'system', content: BaseProvider.contentToText(params.system) });
+        }
+        for (const message of params.messages || []) {
+            messages.push({ role: message.role, content: BaseProvider.contentToText(message.content) });
+        }
+
+        const body = {
+            model: this.model || params.model,
+            messages,
+            stream
+        };
+        if (params.max_tokens) {
+            body.max_tokens = this.maxTokens ? Math.min(params.max_tokens, this.maxTokens) : params.max_tokens;
+        }
+        if (params.temperature !== undefined) {
+            body.temperature = params.temperature;
+        }
+        return body;
+    }
+
+    /**
+     * POST to the chat completions endpoint
+     * @private
+     */
+    async request(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const onAbort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            const response = await this.fetch(`${this.endpoint}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                const error = new Error(`Provider request failed with status ${response.status}: ${text.substring(0, 500)}`);
+                // Same fields the Anthropic SDK sets, so error recovery treats both alike
+                error.status = response.status;
+                throw error;
+            }
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+                const timeoutError = new Error(`Provider request timed out after ${this.timeout}ms`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    async createMessage(params) {
+        const body = this.buildBody(params, false);
+        const response = await this.request(body);
+        const data = await response.json();
+        const choice = (data.choices && data.choices[0]) || {};
+
+        return BaseProvider.toMessage((choice.message && choice.message.content) || '', {
+            id: data.id,
+            model: data.model || body.model,
+            stop_reason: OpenAICompatibleProvider.mapFinishReason(choice.finish_reason),
+            usage: {
+                input_tokens: data.usage?.prompt_tokens,
+                output_tokens: data.usage?.completion_tokens
+            }
+        });
+    }
+
+    streamMessage(params) {
+        return new MessageStream(async (stream, signal) => {
+            const body = this.buildBody(params, true);
+            // Ask servers that support it to report token usage in the final chunk
+            body.stream_options = { include_usage: true };
+
+            const response = await this.request(body, signal);
+            let text = '';
+            let id;
+            let model = body.model;
+            let finishReason = null;
+            let usage = {};
+            let pending = '';
+
+            const handleLine = (line) => {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) return;
+                const payload = trimmed.slice(5).trim();
+                if (!payload || payload === '[DONE]') return;
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(payload);
+                } catch {
+                    return;
+                }
+                id = chunk.id || id;
+                model = chunk.model || model;
+                if (chunk.usage) {
+                    usage = {
+                        input_tokens: chunk.usage.prompt_tokens,
+                        output_tokens: chunk.usage.completion_tokens
+                    };
+                }
+                const choice = chunk.choices && chunk.choices[0];
+                if (!choice) return;
+                if (choice.finish_reason) {
+                    finishReason = choice.finish_reason;
+                }
+                const delta = choice.delta && choice.delta.content;
+                if (delta) {
+                    text += delta;
+                    stream.emitText(delta);
+                }
+            };
+
+            for await (const part of response.body) {
+                if (stream.aborted) break;
+                pending += part.toString('utf8');
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                lines.forEach(handleLine);
+            }
+            if (pending) {
+                handleLine(pending);
+            }
+
+            return BaseProvider.toMessage(text, {
+                id,
+                model,
+                stop_reason: OpenAICompatibleProvider.mapFinishReason(finishReason),
+                usage
+            });
+        });
+    }
+
+    /**
+     * Map OpenAI finish reasons onto Anthropic stop reasons
+     * @param {string} reason
+     * @returns {string}
+     */
+    static mapFinishReason(reason) {
+        return reason === 'length' ? 'max_tokens' : 'end_turn';
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,117 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const enhancedConfigManager = require('../utils/enhancedConfigManager');
+const BaseProvider = require('./BaseProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const FixtureReplayProvider = require('./FixtureReplayProvider');
+
+const APP_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * AI Provider Registry
+ * Maps provider names to factories and builds the active provider from
+ * enhancedConfigManager's `ai` section:
+ *   ai.provider             - name of the active provider
+ *   ai.providers.<name>     - options passed to that provider's factory
+ */
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+
+        this.register('anthropic', (options) => new AnthropicProvider(options), { requiresApiKey: true });
+        this.register('openai', (options) => new OpenAICompatibleProvider(options));
+        this.register('fixture', (options) => new FixtureReplayProvider({
+            ...options,
+            path: options.path && !path.isAbsolute(options.path) ? path.join(APP_ROOT, options.path) : options.path
+        }));
+    }
+
+    /**
+     * Register a provider factory
+     * @param {string} name - Provider name used in configuration
+     * @param {Function} factory - (options) => BaseProvider
+     * @param {Object} meta
+     * @param {boolean} meta.requiresApiKey - Whether the user must enter an API key first
+     */
+    register(name, factory, meta = {}) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Provider factory for '${name}' must be a function`);
+        }
+        this.providers.set(name, { factory, requiresApiKey: !!meta.requiresApiKey });
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    list() {
+        return Array.from(this.providers.entries()).map(([name, meta]) => ({
+            name,
+            requiresApiKey: meta.requiresApiKey
+        }));
+    }
+
+    requiresApiKey(name = this.getActiveName()) {
+        const entry = this.providers.get(name);
+        return entry ? entry.requiresApiKey : false;
+    }
+
+    /**
+     * Name of the provider selected in configuration
+     * @returns {string}
+     */
+    getActiveName() {
+        return enhancedConfigManager.get('ai.provider') || 'anthropic';
+    }
+
+    /**
+     * Options configured for a provider
+     * @param {string} name
+     * @returns {Object}
+     */
+    getProviderConfig(name) {
+        return enhancedConfigManager.get(`ai.providers.${name}`) || {};
+    }
+
+    /**
+     * Build a provider instance
+     * @param {string} name - Registered provider name
+     * @param {Object} options - Provider options
+     * @returns {BaseProvider}
+     */
+    create(name, options = {}) {
+        const entry = this.providers.get(name);
+        if (!entry) {
+            throw new Error(`Unknown AI provider '${name}'. Available: ${Array.from(this.providers.keys()).join(', ')}`);
+        }
+        return entry.factory(options);
+    }
+
+    /**
+     * Build the configured provider
+     * @param {Object} overrides - Options that take precedence over configuration (e.g. apiKey)
+     * @returns {BaseProvider}
+     */
+    createFromConfig(overrides = {}) {
+        const name = this.getActiveName();
+        const options = { ...this.getProviderConfig(name) };
+        for (const [key, value] of Object.entries(overrides)) {
+            if (value !== undefined && value !== null) {
+                options[key] = value;
+            }
+        }
+
+        logger.info('Creating AI provider', { provider: name });
+        return this.create(name, options);
+    }
+}
+
+// Export both instance and class for testability
+const instance = new ProviderRegistry();
+module.exports = instance;
+module.exports.ProviderRegistry = ProviderRegistry;
+module.exports.BaseProvider = BaseProvider;
+module.exports.AnthropicProvider = AnthropicProvider;
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
+module.exports.FixtureReplayProvider = FixtureReplayProvider;
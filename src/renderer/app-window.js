@@ -0,0 +1,118 @@
+// Hosts one generated app in a window of its own (opened by main.js openAppWindow)
+// Note: AppPanel, AppPermissionGuard, TablePermissionPrompt and DataChangeBroadcaster are loaded via script tags
+
+/**
+ * AppWindow - A generated app popped out of the main window's dock
+ * The app id comes from the ?appId= query and its code from the app registry.
+ * It runs in the same AppPanel sandbox as in the dock, and its appBus messages
+ * go through the main process to apps in other windows. The panel's dock button
+ * and the window's own close button give the app back to the main window; the
+ * panel's close button closes the app.
+ */
+class AppWindow {
+    constructor() {
+        this.appId = new URLSearchParams(window.location.search).get('appId');
+        this.panel = null;
+        this.dataChangeBroadcaster = null;
+        this.tablePermissionPrompt = null;
+    }
+
+    /**
+     * Load the app and run it
+     */
+    async initialize() {
+        const root = document.getElementById('appWindowRoot');
+
+        try {
+            if (!this.appId) {
+                throw new Error('No app was given');
+            }
+            const result = await window.electronAPI.getAppInfo(this.appId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (!result.app.generated_code) {
+                throw new Error('No code is stored for this app');
+            }
+            document.title = result.app.app_name;
+
+            this.dataChangeBroadcaster = new DataChangeBroadcaster();
+            this.tablePermissionPrompt = TablePermissionPrompt.fromDocument(document);
+            this.panel = new AppPanel({
+                appId: this.appId,
+                appName: result.app.app_name,
+                description: result.app.description,
+                permissionGuard: new AppPermissionGuard(window.electronAPI, {
+                    prompt: (request) => this.tablePermissionPrompt.prompt(request)
+                }),
+                onDataChange: (change) => this.dataChangeBroadcaster.broadcast(change),
+                onMessage: (msg) => this.sendAppMessage(msg),
+                onDock: () => window.electronAPI.closeAppWindow(this.appId, { redock: true }),
+                onClose: () => window.electronAPI.closeAppWindow(this.appId, { redock: false })
+            });
+            this.panel.render(root);
+            window.electronAPI.onAppBusMessage((msg) => this.receiveAppMessage(msg));
+
+            // Writes made in other windows reach this app through the change feed
+            this.dataChangeBroadcaster.subscribeToAll((change) => {
+                if (change.source === 'database') {
+                    this.panel.notifyDataChange(change);
+                }
+            });
+            await this.dataChangeBroadcaster.connectChangeFeed(window.electronAPI);
+
+            await this.panel.execute(result.app.generated_code);
+        } catch (error) {
+            window.rendererLogger.error('Failed to open app window:', error);
+            root.classList.add('app-window-error');
+            root.textContent = `Failed to open app: ${error.message}`;
+        }
+    }
+
+    /**
+     * Send a message or call from the app to apps in other windows
+     * @param {Object} msg - {type, sourceAppId, targetAppId, message} or a call, return, discovery or exposed-method list from the panel
+     */
+    async sendAppMessage(msg) {
+        try {
+            const result = await window.electronAPI.appBusSend({ ...msg, sourceAppId: this.appId });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            window.rendererLogger.warn('Failed to send app message:', error);
+        }
+    }
+
+    /**
+     * Deliver a message, call or call result from another window if it is for this app
+     * @param {Object} msg - {type, sourceAppId, targetAppId, message} or a call or return
+     */
+    receiveAppMessage(msg) {
+        if (!this.panel) {
+            return;
+        }
+
+        // The main window answers discovery and failed calls on the app's behalf
+        if (msg.type === 'app-bus-return') {
+            if (msg.targetAppId === this.appId) {
+                this.panel.deliverResult({ callId: msg.callId, result: msg.result, error: msg.error });
+            }
+            return;
+        }
+        if (msg.sourceAppId === this.appId) {
+            return;
+        }
+
+        if (msg.type === 'app-bus-call' && msg.targetAppId === this.appId) {
+            this.panel.deliverCall(msg);
+        } else if (msg.type === 'app-bus-broadcast' || (msg.type === 'app-bus-message' && msg.targetAppId === this.appId)) {
+            this.panel.sendMessage({ sourceAppId: msg.sourceAppId, message: msg.message });
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.appWindow = new AppWindow();
+    window.appWindow.initialize();
+});
@@ -1,13 +1,27 @@
 /**
  * AppManager - Multi-panel lifecycle management
- * Handles creation, layout, and coordination of multiple AppPanels
+ * Handles creation, layout, and coordination of multiple AppPanels. The open
+ * apps and their layout are saved to the active workspace in the main process.
+ *
+ * In the dock layout, panels are placed by a DockLayout split tree: they are
+ * resized with the splitters between them and dragged by their header onto
+ * another panel's edge. Docked panels can pop out into a window of their own
+ * and come back when that window closes; appBus messages reach them there
+ * through the main process.
+ *
+ * Apps expose named methods on the appBus and call each other's with
+ * appBus.call; calls go through handlePanelMessage, which checks that the
+ * target runs and exposes the method and passes the result back to the caller.
  */
 
+// localStorage key used before workspaces; read once to migrate
+const LEGACY_STATE_KEY = 'appManager_state';
+
 class AppManager {
     constructor(options = {}) {
         this.panels = new Map();
         this.container = null;
-        this.layout = options.layout || 'grid'; // grid, stack, tabs
+        this.layout = options.layout || 'grid'; // grid, stack, tabs, dock
         this.maxPanels = options.maxPanels || 6;
         this.activeTabId = null;
 
@@ -16,13 +30,36 @@ class AppManager {
         this.onPanelClosed = options.onPanelClosed || (() => {});
         this.onLayoutChange = options.onLayoutChange || (() => {});
         this.onDataChange = options.onDataChange || (() => {});
+        this.onWorkspaceChange = options.onWorkspaceChange || (() => {});
 
-        // Message bus and broadcaster (set externally)
+        // Message bus, broadcaster, permission guard and workspace store (set externally)
         this.messageBus = null;
         this.dataChangeBroadcaster = null;
+        this.permissionGuard = null;
+        this.workspaceStore = null; // workspaceSave/workspaceGet/workspaceGetActive/workspaceActivate
+
+        // Workspace the state is saved to
+        this.workspaceName = null;
+        this.saveDelay = options.saveDelay ?? 500;
+        this.saveTimer = null;
+        this.lastSavedState = null;
+        this.restoring = false;
+
+        // Split tree of the dock layout; kept up to date in every layout
+        this.dock = new DockLayout();
+        this.dockGap = options.dockGap ?? 6;
+        this.dockRects = {}; // appId -> panel rectangle of the last dock layout
+        this.splitterElements = [];
+        this.dropIndicator = null;
+        this.resizeObserver = null;
+
+        // Apps popped out into their own windows: appId -> {appId, appName, description, code, windowId, methods}
+        this.detachedApps = new Map();
+        this.windowHost = null; // openAppWindow/closeAppWindow/appBusSend and their events (set externally)
+        this.windowSubscriptions = [];
 
-        // Load state from localStorage
-        this.loadState();
+        // appBus calls waiting for the called app: callId -> {sourceAppId, targetAppId, timer}
+        this.pendingCalls = new Map();
     }
 
     /**
@@ -39,8 +76,21 @@ class AppManager {
         this.tabsBar.style.display = this.layout === 'tabs' ? 'flex' : 'none';
         this.container.parentNode.insertBefore(this.tabsBar, this.container);
 
-        // Restore panels from saved state
-        this.restorePanels();
+        // Panels are resized with their CSS resize handle; save the new sizes
+        this.container.addEventListener('mouseup', () => this.saveState());
+
+        // The dock layout is computed in pixels, so it follows the container's size
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.applyDockLayout());
+            this.resizeObserver.observe(this.container);
+        }
+
+        if (this.windowHost) {
+            this.windowSubscriptions.push(
+                this.windowHost.onAppWindowClosed(event => this.handleAppWindowClosed(event)),
+                this.windowHost.onAppBusMessage(msg => this.handleAppWindowMessage(msg))
+            );
+        }
     }
 
     /**
@@ -49,21 +99,30 @@ class AppManager {
      * @returns {AppPanel} - The created panel
      */
     createPanel(options = {}) {
-        if (this.panels.size >= this.maxPanels) {
+        // Popped-out apps still belong to the workspace
+        if (this.panels.size + this.detachedApps.size >= this.maxPanels) {
             throw new Error(`Maximum number of panels (${this.maxPanels}) reached`);
         }
 
+        const { size, ...panelOptions } = options;
         const panel = new AppPanel({
-            ...options,
+            ...panelOptions,
             onStatusChange: (status, panel) => this.handlePanelStatusChange(status, panel),
+            permissionGuard: this.permissionGuard,
             onDataChange: (change) => this.handleDataChange(change),
             onMessage: (msg) => this.handlePanelMessage(msg),
             onClose: (panel) => this.handlePanelClose(panel),
-            onError: (error) => this.handlePanelError(error, panel)
+            onError: (error) => this.handlePanelError(error, panel),
+            onPopOut: this.windowHost ? (panel) => this.popOutPanel(panel.id) : null
         });
 
         this.panels.set(panel.id, panel);
         panel.render(this.container);
+        if (size) {
+            panel.setSize(size);
+        }
+        this.dock.addPanel(panel.appId);
+        this.enableDockDrag(panel);
 
         // Add tab if in tabs layout
         if (this.layout === 'tabs') {
@@ -110,6 +169,7 @@ class AppManager {
      * @param {string} panelId - Panel ID to activate
      */
     setActiveTab(panelId) {
+        const changed = this.activeTabId !== panelId;
         this.activeTabId = panelId;
 
         // Update tab styles
@@ -118,11 +178,17 @@ class AppManager {
         });
 
         // Show/hide panels
-        this.panels.forEach((panel, id) => {
-            if (panel.container) {
-                panel.container.style.display = id === panelId ? 'flex' : 'none';
-            }
-        });
+        if (this.layout === 'tabs') {
+            this.panels.forEach((panel, id) => {
+                if (panel.container) {
+                    panel.container.style.display = id === panelId ? 'flex' : 'none';
+                }
+            });
+        }
+
+        if (changed) {
+            this.saveState();
+        }
     }
 
     /**
@@ -159,6 +225,8 @@ class AppManager {
      */
     handlePanelClose(panel) {
         this.panels.delete(panel.id);
+        this.dock.removePanel(panel.appId);
+        this.failPendingCalls(panel.appId);
 
         // Remove tab if exists
         const tab = this.tabsBar.querySelector(`[data-panel-id="${panel.id}"]`);
@@ -214,11 +282,56 @@ class AppManager {
         this.onDataChange(change);
     }
 
+    /**
+     * Forward a change from the database change feed to every panel. Unlike
+     * handleDataChange there is no source panel to skip.
+     * @param {Object} change - Change with source 'database'
+     */
+    handleFeedChange(change) {
+        this.panels.forEach(panel => panel.notifyDataChange(change));
+    }
+
     /**
      * Handle message from a panel
      * @param {Object} msg - Message data
      */
     handlePanelMessage(msg) {
+        this.deliverAppMessage(msg);
+
+        // Apps in their own windows are reached through the main process
+        // (calls and their results are passed on by routeCall and replyToCall)
+        const forWindows = msg.type === 'app-bus-broadcast'
+            ? this.detachedApps.size > 0
+            : msg.type === 'app-bus-message' && this.detachedApps.has(msg.targetAppId);
+        if (this.windowHost && forWindows) {
+            this.windowHost.appBusSend(msg).catch(error => {
+                console.warn('Failed to send app message to other windows:', error);
+            });
+        }
+
+        // Also route through message bus if available
+        if (this.messageBus) {
+            this.messageBus.emit('app-message', msg);
+        }
+    }
+
+    /**
+     * Handle a message an app in its own window sent to the apps here
+     * @param {Object} msg - Message data, as from a panel
+     */
+    handleAppWindowMessage(msg) {
+        this.deliverAppMessage(msg);
+        if (this.messageBus) {
+            this.messageBus.emit('app-message', msg);
+        }
+    }
+
+    /**
+     * Deliver an appBus message to the panels it is for, or route a call
+     * @param {Object} msg - {type, sourceAppId, targetAppId, message} or a call, return, discovery or exposed-method list
+     * @private
+     */
+    deliverAppMessage(msg) {
         if (msg.type === 'app-bus-message' && msg.targetAppId) {
             // Direct message to specific app
             const targetPanel = Array.from(this.panels.values())
@@ -239,14 +352,146 @@ class AppManager {
                     });
                 }
             });
+        } else if (msg.type === 'app-bus-expose') {
+            // Docked panels keep their own list; apps in windows announce theirs here
+            const app = this.detachedApps.get(msg.sourceAppId);
+            if (app) {
+                app.methods = Array.isArray(msg.methods) ? msg.methods : [];
+            }
+        } else if (msg.type === 'app-bus-call') {
+            this.routeCall(msg);
+        } else if (msg.type === 'app-bus-return') {
+            this.routeReturn(msg);
+        } else if (msg.type === 'app-bus-discover') {
+            this.replyToCall(msg, { result: this.discoverApps(msg.sourceAppId) });
+        }
+    }
+
+    /**
+     * Pass a call on to the app it is for, or fail it when that app is not
+     * running or does not expose the method
+     * @param {Object} msg - {sourceAppId, targetAppId, callId, method, params, timeout}
+     * @private
+     */
+    routeCall(msg) {
+        const targetPanel = this.findPanelsByAppId(msg.targetAppId)[0];
+        const detached = this.detachedApps.get(msg.targetAppId);
+        const methods = targetPanel ? targetPanel.exposedMethods : detached ? detached.methods || [] : null;
+
+        if (!msg.callId || this.pendingCalls.has(msg.callId)) {
+            return;
+        }
+        if (!methods) {
+            this.replyToCall(msg, { error: `App '${msg.targetAppId}' is not running` });
+            return;
+        }
+        if (!methods.includes(msg.method)) {
+            this.replyToCall(msg, { error: `App '${msg.targetAppId}' does not expose '${msg.method}'` });
+            return;
         }
 
-        // Also route through message bus if available
-        if (this.messageBus) {
-            this.messageBus.emit('app-message', msg);
+        // The caller gives up after its timeout; forget the call then too
+        const timeout = Math.min(Number(msg.timeout) || AppPanel.CALL_TIMEOUT_MS, AppPanel.MAX_CALL_TIMEOUT_MS);
+        this.pendingCalls.set(msg.callId, {
+            sourceAppId: msg.sourceAppId,
+            targetAppId: msg.targetAppId,
+            timer: setTimeout(() => this.pendingCalls.delete(msg.callId), timeout)
+        });
+
+        const call = { callId: msg.callId, sourceAppId: msg.sourceAppId, method: msg.method, params: msg.params };
+        if (targetPanel) {
+            targetPanel.deliverCall(call);
+        } else if (this.windowHost) {
+            this.windowHost.appBusSend({ ...call, type: 'app-bus-call', targetAppId: msg.targetAppId, timeout }).catch(error => {
+                this.settleCall(msg.callId, { error: `Failed to reach app '${msg.targetAppId}': ${error.message}` });
+            });
         }
     }
 
+    /**
+     * Pass a called app's result back to the caller
+     * @param {Object} msg - {sourceAppId, callId, result, error}
+     * @private
+     */
+    routeReturn(msg) {
+        // Only the called app answers, and only once
+        const pending = this.pendingCalls.get(msg.callId);
+        if (!pending || pending.targetAppId !== msg.sourceAppId) {
+            return;
+        }
+        this.settleCall(msg.callId, msg.error ? { error: String(msg.error) } : { result: msg.result });
+    }
+
+    /**
+     * End a pending call with a result or an error
+     * @param {string} callId
+     * @param {{result?: *, error?: string}} outcome
+     * @private
+     */
+    settleCall(callId, outcome) {
+        const pending = this.pendingCalls.get(callId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pendingCalls.delete(callId);
+            this.replyToCall({ callId, sourceAppId: pending.sourceAppId, targetAppId: pending.targetAppId }, outcome);
+        }
+    }
+
+    /**
+     * Fail the calls waiting for an app that closed
+     * @param {string} appId
+     * @private
+     */
+    failPendingCalls(appId) {
+        Array.from(this.pendingCalls.entries())
+            .filter(([, pending]) => pending.targetAppId === appId)
+            .forEach(([callId]) => this.settleCall(callId, { error: `App '${appId}' closed before answering` }));
+    }
+
+    /**
+     * Send the outcome of a call to the app that made it
+     * @param {{callId: string, sourceAppId: string, targetAppId?: string}} call
+     * @param {{result?: *, error?: string}} outcome
+     * @private
+     */
+    replyToCall(call, outcome) {
+        const callerPanel = this.findPanelsByAppId(call.sourceAppId)[0];
+        if (callerPanel) {
+            callerPanel.deliverResult({ callId: call.callId, ...outcome });
+        } else if (this.windowHost && this.detachedApps.has(call.sourceAppId)) {
+            this.windowHost.appBusSend({
+                ...outcome,
+                type: 'app-bus-return',
+                sourceAppId: call.targetAppId || call.sourceAppId,
+                targetAppId: call.sourceAppId,
+                callId: call.callId
+            }).catch(error => {
+                console.warn('Failed to return an app call to its window:', error);
+            });
+        }
+    }
+
+    /**
+     * Running apps and the methods they expose, for appBus.discover
+     * @param {string|null} exceptAppId - The asking app, left out
+     * @returns {Array<{appId: string, appName: string, methods: string[], detached: boolean}>}
+     */
+    discoverApps(exceptAppId = null) {
+        const docked = Array.from(this.panels.values(), panel => ({
+            appId: panel.appId,
+            appName: panel.appName,
+            methods: [...panel.exposedMethods],
+            detached: false
+        }));
+        const detached = Array.from(this.detachedApps.values(), app => ({
+            appId: app.appId,
+            appName: app.appName,
+            methods: [...(app.methods || [])],
+            detached: true
+        }));
+        return [...docked, ...detached].filter(app => app.appId !== exceptAppId);
+    }
+
     /**
      * Handle panel error
      * @param {Error} error - Error object
@@ -258,7 +503,7 @@ class AppManager {
 
     /**
      * Set layout mode
-     * @param {string} layout - Layout mode (grid, stack, tabs)
+     * @param {string} layout - Layout mode (grid, stack, tabs, dock)
      */
     setLayout(layout) {
         this.layout = layout;
@@ -303,72 +548,514 @@ class AppManager {
             columns = Math.min(columns, 3); // Max 3 columns
             this.container.style.setProperty('--grid-columns', columns);
         }
+
+        this.applyDockLayout();
+    }
+
+    /**
+     * Place the panels and splitters of the dock layout. Panels keep their place
+     * in the DOM and are positioned with CSS variables: moving an iframe would
+     * reload the app, and the sizes given in other layouts stay in place.
+     */
+    applyDockLayout() {
+        this.splitterElements.forEach(element => element.remove());
+        this.splitterElements = [];
+        if (this.layout !== 'dock' || !this.container) {
+            return;
+        }
+
+        const bounds = { x: 0, y: 0, width: this.container.clientWidth, height: this.container.clientHeight };
+        const { panels, splitters } = this.dock.computeRects(bounds, this.dockGap);
+        this.dockRects = panels;
+
+        this.panels.forEach(panel => {
+            const rect = panels[panel.appId];
+            if (panel.container && rect) {
+                panel.container.style.setProperty('--dock-x', `${rect.x}px`);
+                panel.container.style.setProperty('--dock-y', `${rect.y}px`);
+                panel.container.style.setProperty('--dock-width', `${rect.width}px`);
+                panel.container.style.setProperty('--dock-height', `${rect.height}px`);
+            }
+        });
+
+        splitters.forEach(splitter => {
+            const element = document.createElement('div');
+            element.className = `dock-splitter dock-splitter-${splitter.direction}`;
+            element.style.left = `${splitter.x}px`;
+            element.style.top = `${splitter.y}px`;
+            element.style.width = `${splitter.width}px`;
+            element.style.height = `${splitter.height}px`;
+            element.addEventListener('pointerdown', (e) => this.startSplitterDrag(e, splitter));
+            this.container.appendChild(element);
+            this.splitterElements.push(element);
+        });
+    }
+
+    /**
+     * Move a splitter with the pointer
+     * @param {PointerEvent} event - pointerdown on the splitter
+     * @param {Object} splitter - As DockLayout.computeRects returns it
+     */
+    startSplitterDrag(event, splitter) {
+        event.preventDefault();
+        const horizontal = splitter.direction === 'row';
+        let last = horizontal ? event.clientX : event.clientY;
+
+        // Iframes would swallow the pointer events while it is over them
+        this.container.classList.add('dock-dragging', `dock-resizing-${splitter.direction}`);
+
+        const move = (e) => {
+            const position = horizontal ? e.clientX : e.clientY;
+            if (splitter.span > 0) {
+                last += this.dock.resize(splitter.path, splitter.index, (position - last) / splitter.span) * splitter.span;
+                this.applyDockLayout();
+            }
+        };
+        const end = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', end);
+            this.container.classList.remove('dock-dragging', `dock-resizing-${splitter.direction}`);
+            this.saveState();
+        };
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', end);
+    }
+
+    /**
+     * Let a panel be dragged by its header onto another panel in the dock layout
+     * @param {AppPanel} panel
+     */
+    enableDockDrag(panel) {
+        const header = panel.container && panel.container.querySelector('.app-panel-header');
+        if (!header) {
+            return;
+        }
+
+        header.addEventListener('pointerdown', (event) => {
+            if (this.layout === 'dock' && event.button === 0 && !event.target.closest('button')) {
+                this.startPanelDrag(event, panel);
+            }
+        });
+    }
+
+    /**
+     * Drag a panel; dropping it on another panel docks it at that panel's nearest edge
+     * @param {PointerEvent} event - pointerdown on the panel header
+     * @param {AppPanel} panel
+     */
+    startPanelDrag(event, panel) {
+        const startX = event.clientX;
+        const startY = event.clientY;
+        let dragging = false;
+        let drop = null;
+
+        const move = (e) => {
+            // A click on the header is not a drag
+            if (!dragging && Math.abs(e.clientX - startX) + Math.abs(e.clientY - startY) < 5) {
+                return;
+            }
+            dragging = true;
+            this.container.classList.add('dock-dragging');
+            drop = this.findDropTarget(e.clientX, e.clientY, panel.appId);
+            this.showDropIndicator(drop);
+        };
+        const end = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', end);
+            this.container.classList.remove('dock-dragging');
+            this.showDropIndicator(null);
+
+            if (drop && this.dock.movePanel(panel.appId, drop.appId, drop.edge)) {
+                this.applyDockLayout();
+                this.saveState();
+            }
+        };
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', end);
+    }
+
+    /**
+     * Docked panel under the pointer and the edge the dragged panel would go to
+     * @param {number} clientX
+     * @param {number} clientY
+     * @param {string} appId - App being dragged
+     * @returns {{appId: string, edge: string, rect: Object}|null}
+     */
+    findDropTarget(clientX, clientY, appId) {
+        const bounds = this.container.getBoundingClientRect();
+        const x = clientX - bounds.left;
+        const y = clientY - bounds.top;
+
+        for (const [targetAppId, rect] of Object.entries(this.dockRects)) {
+            if (targetAppId !== appId && x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height) {
+                return { appId: targetAppId, edge: DockLayout.edgeAt(rect, x, y), rect };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Highlight the half of the drop target the dragged panel would take
+     * @param {{edge: string, rect: Object}|null} drop - Nothing to highlight when null
+     */
+    showDropIndicator(drop) {
+        if (!this.dropIndicator) {
+            this.dropIndicator = document.createElement('div');
+            this.dropIndicator.className = 'dock-drop-indicator';
+            this.container.appendChild(this.dropIndicator);
+        }
+        if (!drop) {
+            this.dropIndicator.style.display = 'none';
+            return;
+        }
+
+        const { rect, edge } = drop;
+        const halfWidth = Math.round(rect.width / 2);
+        const halfHeight = Math.round(rect.height / 2);
+        const area = {
+            left: { x: rect.x, y: rect.y, width: halfWidth, height: rect.height },
+            right: { x: rect.x + rect.width - halfWidth, y: rect.y, width: halfWidth, height: rect.height },
+            top: { x: rect.x, y: rect.y, width: rect.width, height: halfHeight },
+            bottom: { x: rect.x, y: rect.y + rect.height - halfHeight, width: rect.width, height: halfHeight }
+        }[edge];
+
+        this.dropIndicator.style.display = 'block';
+        this.dropIndicator.style.left = `${area.x}px`;
+        this.dropIndicator.style.top = `${area.y}px`;
+        this.dropIndicator.style.width = `${area.width}px`;
+        this.dropIndicator.style.height = `${area.height}px`;
+    }
+
+    /**
+     * Move a docked app into a window of its own
+     * @param {string} panelId - Panel ID
+     * @returns {Promise<boolean>} - Whether the window opened
+     */
+    async popOutPanel(panelId) {
+        const panel = this.panels.get(panelId);
+        if (!panel || !this.windowHost) {
+            return false;
+        }
+
+        try {
+            const result = await this.windowHost.openAppWindow(panel.appId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.detachedApps.set(panel.appId, {
+                appId: panel.appId,
+                appName: panel.appName,
+                description: panel.description,
+                code: panel.code,
+                windowId: result.windowId
+            });
+        } catch (error) {
+            panel.updateStatusText(`Could not open a window: ${error.message}`);
+            this.handlePanelError(error, panel);
+            return false;
+        }
+
+        panel.close();
+        return true;
+    }
+
+    /**
+     * Run an app that has no panel in a window of its own
+     * @param {Object} app - {appId, appName, description, code}
+     * @param {Object} options
+     * @param {boolean} options.dockOnFailure - Dock the app when no window can be
+     *   opened instead of throwing (used when restoring a workspace)
+     * @returns {Promise<void>}
+     */
+    async detachApp(app, { dockOnFailure = false } = {}) {
+        if (this.detachedApps.has(app.appId)) {
+            // Brings the window to the front
+            await this.windowHost.openAppWindow(app.appId);
+            return;
+        }
+        if (this.panels.size + this.detachedApps.size >= this.maxPanels) {
+            throw new Error(`Maximum number of panels (${this.maxPanels}) reached`);
+        }
+
+        const entry = { appId: app.appId, appName: app.appName, description: app.description, code: app.code, windowId: null };
+        this.detachedApps.set(app.appId, entry);
+
+        try {
+            const result = await this.windowHost.openAppWindow(app.appId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            entry.windowId = result.windowId;
+            this.saveState();
+        } catch (error) {
+            if (this.detachedApps.get(app.appId) === entry) {
+                this.detachedApps.delete(app.appId);
+            }
+            if (!dockOnFailure) {
+                throw error;
+            }
+            console.warn(`Failed to open a window for ${app.appName}:`, error);
+            this.dockApp(entry);
+        }
     }
 
     /**
-     * Save state to localStorage
+     * An app window closed: dock the app again, or drop it when it was closed for good
+     * @param {{appId: string, windowId: number, redock: boolean}} event
+     */
+    handleAppWindowClosed({ appId, windowId, redock }) {
+        const app = this.detachedApps.get(appId);
+
+        // Windows of an earlier workspace may close after the app was detached again
+        if (!app || (app.windowId && app.windowId !== windowId)) {
+            return;
+        }
+
+        this.detachedApps.delete(appId);
+        this.failPendingCalls(appId);
+        if (redock) {
+            this.dockApp(app);
+        } else {
+            this.saveState();
+        }
+    }
+
+    /**
+     * Open a popped-out app in a panel again
+     * @param {Object} app - {appId, appName, description, code}
+     * @returns {AppPanel|null}
+     * @private
+     */
+    dockApp(app) {
+        try {
+            const panel = this.createPanel({ appId: app.appId, appName: app.appName, description: app.description });
+            if (app.code) {
+                panel.execute(app.code).catch(err => {
+                    console.warn(`Failed to dock ${app.appName}:`, err);
+                });
+            }
+            return panel;
+        } catch (error) {
+            console.warn(`Failed to dock app ${app.appId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Close the windows of popped-out apps without docking them
+     * @private
+     */
+    closeAppWindows() {
+        const appIds = Array.from(this.detachedApps.keys());
+        this.detachedApps.clear();
+        appIds.forEach(appId => {
+            this.windowHost.closeAppWindow(appId, { redock: false }).catch(() => {});
+        });
+    }
+
+    /**
+     * Layout of the open apps as a workspace stores it. Panels reference their
+     * app_id; the code stays in the app registry.
+     * @returns {{layout: string, activeAppId: string|null, panels: Array<{appId: string, size: Object|null, detached?: boolean}>, dock: Object|null}}
+     */
+    getWorkspaceState() {
+        const activePanel = this.activeTabId ? this.panels.get(this.activeTabId) : null;
+        return {
+            layout: this.layout,
+            activeAppId: activePanel ? activePanel.appId : null,
+            panels: [
+                ...Array.from(this.panels.values()).map(panel => ({
+                    appId: panel.appId,
+                    size: panel.getSize()
+                })),
+                ...Array.from(this.detachedApps.keys()).map(appId => ({ appId, size: null, detached: true }))
+            ],
+            dock: this.dock.toJSON()
+        };
+    }
+
+    /**
+     * Save the layout to the current workspace, shortly after the last change
      */
     saveState() {
+        if (!this.workspaceStore || !this.workspaceName || this.restoring) {
+            return;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flushState();
+        }, this.saveDelay);
+    }
+
+    /**
+     * Save the layout right away if it changed since the last save
+     * @returns {Promise<void>}
+     */
+    async flushState() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.workspaceStore || !this.workspaceName || this.restoring) {
+            return;
+        }
+
+        const state = this.getWorkspaceState();
+        const json = JSON.stringify(state);
+        if (json === this.lastSavedState) {
+            return;
+        }
+
         try {
-            const state = {
-                layout: this.layout,
-                activeTabId: this.activeTabId,
-                panels: Array.from(this.panels.values()).map(panel => panel.getState())
-            };
-            localStorage.setItem('appManager_state', JSON.stringify(state));
+            const result = await this.workspaceStore.workspaceSave(this.workspaceName, state);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.lastSavedState = json;
         } catch (error) {
-            console.warn('Failed to save AppManager state:', error);
+            console.warn('Failed to save workspace:', error);
         }
     }
 
     /**
-     * Load state from localStorage
+     * Open the active workspace on startup. Panels saved in localStorage by
+     * earlier versions are moved into it the first time.
+     * @returns {Promise<Object|null>} The workspace, or null when it could not be loaded
      */
-    loadState() {
+    async restoreWorkspace() {
+        const legacyAppIds = this.readLegacyState();
+
+        const result = await this.workspaceStore.workspaceGetActive();
+        if (!result.success) {
+            console.warn('Failed to load workspace:', result.error);
+            return null;
+        }
+
+        let workspace = result.workspace;
+        if (legacyAppIds.length > 0 && workspace.panels.length === 0 && workspace.missing.length === 0) {
+            const saved = await this.workspaceStore.workspaceSave(workspace.name, {
+                layout: this.layout,
+                panels: legacyAppIds.map(appId => ({ appId }))
+            });
+            if (!saved.success) {
+                // Keep the legacy state so the next start can try again
+                console.warn('Failed to move saved AppManager state into the workspace:', saved.error);
+            } else {
+                localStorage.removeItem(LEGACY_STATE_KEY);
+                const reloaded = await this.workspaceStore.workspaceGet(workspace.name);
+                workspace = reloaded.success ? reloaded.workspace : workspace;
+            }
+        } else {
+            // Nothing to move, or the workspace already has its own apps
+            localStorage.removeItem(LEGACY_STATE_KEY);
+        }
+
+        this.openWorkspace(workspace);
+        return workspace;
+    }
+
+    /**
+     * Read the state earlier versions kept in localStorage. restoreWorkspace removes
+     * it once the workspace holds the apps.
+     * @returns {string[]} App ids of the saved panels
+     * @private
+     */
+    readLegacyState() {
         try {
-            const stateJson = localStorage.getItem('appManager_state');
-            if (stateJson) {
-                const state = JSON.parse(stateJson);
-                this.layout = state.layout || 'grid';
-                this.activeTabId = state.activeTabId;
-                this._savedPanels = state.panels || [];
+            const stateJson = localStorage.getItem(LEGACY_STATE_KEY);
+            if (!stateJson) {
+                return [];
+            }
+
+            const state = JSON.parse(stateJson);
+            if (state.layout) {
+                this.layout = state.layout;
             }
+            const appIds = (state.panels || []).map(panel => panel.appId).filter(Boolean);
+            return [...new Set(appIds)];
         } catch (error) {
-            console.warn('Failed to load AppManager state:', error);
+            // Unreadable state can never be moved into a workspace
+            console.warn('Failed to read saved AppManager state:', error);
+            localStorage.removeItem(LEGACY_STATE_KEY);
+            return [];
         }
     }
 
     /**
-     * Restore panels from saved state
+     * Save the current workspace, then replace the open apps with another one
+     * @param {string} name - Workspace name
+     * @returns {Promise<Object>} The workspace
      */
-    restorePanels() {
-        if (this._savedPanels && this._savedPanels.length > 0) {
-            for (const panelState of this._savedPanels) {
+    async switchWorkspace(name) {
+        await this.flushState();
+
+        const result = await this.workspaceStore.workspaceGet(name);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        await this.workspaceStore.workspaceActivate(name);
+
+        this.openWorkspace(result.workspace);
+        return result.workspace;
+    }
+
+    /**
+     * Replace the open apps with a workspace's apps and layout
+     * @param {Object} workspace - As workspaceGet returns it
+     */
+    openWorkspace(workspace) {
+        this.restoring = true;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            this.clearAllPanels();
+            if (this.windowHost) {
+                this.closeAppWindows();
+            }
+            this.workspaceName = workspace.name;
+            this.activeTabId = null;
+            this.setLayout(workspace.layout || 'grid');
+
+            for (const panelState of workspace.panels) {
+                if (panelState.detached && this.windowHost) {
+                    this.detachApp(panelState, { dockOnFailure: true });
+                    continue;
+                }
+
                 try {
                     const panel = this.createPanel({
-                        id: panelState.id,
                         appId: panelState.appId,
                         appName: panelState.appName,
                         description: panelState.description,
-                        code: panelState.code
+                        size: panelState.size
                     });
 
-                    // Execute the code to restore the app
                     if (panelState.code) {
                         panel.execute(panelState.code).catch(err => {
                             console.warn(`Failed to restore panel ${panelState.appName}:`, err);
                         });
                     }
+                    if (panelState.appId === workspace.activeAppId) {
+                        this.activeTabId = panel.id;
+                    }
                 } catch (error) {
-                    console.warn(`Failed to restore panel ${panelState.id}:`, error);
+                    console.warn(`Failed to restore app ${panelState.appId}:`, error);
                 }
             }
 
-            // Restore active tab
-            if (this.activeTabId && this.panels.has(this.activeTabId)) {
+            if (this.layout === 'tabs' && this.activeTabId) {
                 this.setActiveTab(this.activeTabId);
             }
+
+            this.dock = DockLayout.fromJSON(workspace.dock, this.getAllPanels().map(panel => panel.appId));
+            this.updateLayout();
+        } finally {
+            this.restoring = false;
         }
+
+        this.lastSavedState = JSON.stringify(this.getWorkspaceState());
+        this.onWorkspaceChange(workspace);
     }
 
     /**
@@ -406,6 +1093,7 @@ class AppManager {
             totalPanels: panels.length,
             runningPanels: panels.filter(p => p.status === 'running').length,
             errorPanels: panels.filter(p => p.status === 'error').length,
+            detachedApps: this.detachedApps.size,
             layout: this.layout
         };
     }
@@ -425,7 +1113,15 @@ class AppManager {
      * Cleanup resources
      */
     destroy() {
+        // Closing the panels here is not a change to the workspace
+        clearTimeout(this.saveTimer);
+        this.workspaceName = null;
         this.clearAllPanels();
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.windowSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.windowSubscriptions = [];
         if (this.tabsBar && this.tabsBar.parentNode) {
             this.tabsBar.parentNode.removeChild(this.tabsBar);
         }
@@ -23,8 +23,28 @@ class AppPanel {
         this.onClose = options.onClose || (() => {});
         this.onError = options.onError || (() => {});
 
+        // Pop-out and dock buttons are shown when these are given (docked panel / app window)
+        this.onPopOut = options.onPopOut || null;
+        this.onDock = options.onDock || null;
+
+        // Checks the app's table permissions before database requests (AppPermissionGuard)
+        this.permissionGuard = options.permissionGuard || null;
+
+        // Names of the methods the app exposes with appBus.expose
+        this.exposedMethods = [];
+
         // Message listener reference for cleanup
         this._messageListener = null;
+
+        // Live queries registered by the app with electronAPI.watchQuery
+        this.queryWatcher = new QueryWatcher({
+            query: (tableName, queryOptions) => window.electronAPI.queryData(tableName, queryOptions),
+            deliver: (watchId, update) => {
+                if (this.iframe?.contentWindow) {
+                    this.iframe.contentWindow.postMessage({ type: 'query-update', watchId, ...update }, '*');
+                }
+            }
+        });
     }
 
     /**
@@ -57,6 +77,20 @@ class AppPanel {
                             <rect x="14" y="4" width="4" height="16"/>
                         </svg>
                     </button>
+                    ${this.onPopOut ? `<button class="app-panel-btn popout-btn" title="Open in its own window">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6"/>
+                            <polyline points="15 3 21 3 21 9"/>
+                            <line x1="10" y1="14" x2="21" y2="3"/>
+                        </svg>
+                    </button>` : ''}
+                    ${this.onDock ? `<button class="app-panel-btn dock-btn" title="Back to the main window">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+                            <polyline points="14 10 10 14 14 14"/>
+                            <line x1="10" y1="14" x2="17" y2="7"/>
+                        </svg>
+                    </button>` : ''}
                     <button class="app-panel-btn maximize-btn" title="Maximize">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
@@ -84,6 +118,12 @@ class AppPanel {
         this.container.querySelector('.pause-btn').addEventListener('click', () => this.togglePause());
         this.container.querySelector('.maximize-btn').addEventListener('click', () => this.toggleMaximize());
         this.container.querySelector('.close-btn').addEventListener('click', () => this.close());
+        if (this.onPopOut) {
+            this.container.querySelector('.popout-btn').addEventListener('click', () => this.onPopOut(this));
+        }
+        if (this.onDock) {
+            this.container.querySelector('.dock-btn').addEventListener('click', () => this.onDock(this));
+        }
 
         parentElement.appendChild(this.container);
         return this.container;
@@ -155,10 +195,12 @@ class AppPanel {
     /**
      * Create secure HTML document for iframe execution
      * @param {string} code - Code to execute
+     * @param {Object} options - {targetOrigin}: origin the app posts its requests to
+     *   (defaults to this window's; '*' for exported apps, whose host page has no fixed origin)
      * @returns {string} - HTML document string
      */
-    createSecureDocument(code) {
-        const parentOrigin = window.location.origin;
+    createSecureDocument(code, options = {}) {
+        const parentOrigin = options.targetOrigin || window.location.origin;
 
         return `<!DOCTYPE html>
 <html>
@@ -201,6 +243,15 @@ class AppPanel {
             const pendingRequests = new Map();
             let messageId = 0;
 
+            // Live query callbacks by watch id
+            const queryWatchers = new Map();
+            let watchCounter = 0;
+
+            // Methods this app exposes on the appBus, and its calls waiting for a result
+            const exposedMethods = new Map();
+            const pendingCalls = new Map();
+            let callCounter = 0;
+
             // Send request to parent and wait for response
             function sendRequest(type, data) {
                 return new Promise((resolve, reject) => {
@@ -225,6 +276,54 @@ class AppPanel {
                 });
             }
 
+            // Tell the app manager which methods other apps may call
+            function announceMethods() {
+                parent.postMessage({
+                    type: 'app-bus-expose',
+                    appId,
+                    methods: Array.from(exposedMethods.keys())
+                }, targetOrigin);
+            }
+
+            // Call through the app manager and wait for the result
+            function startCall(type, targetAppId, method, params, timeout) {
+                return new Promise((resolve, reject) => {
+                    const callId = appId + ':' + (++callCounter);
+                    const timer = setTimeout(() => {
+                        if (pendingCalls.delete(callId)) {
+                            reject(new Error('appBus call timed out' + (method ? ': ' + method : '')));
+                        }
+                    }, timeout);
+                    pendingCalls.set(callId, { resolve, reject, timer });
+
+                    try {
+                        parent.postMessage({ type, appId, targetAppId, callId, method, params, timeout }, targetOrigin);
+                    } catch (error) {
+                        // params that cannot be copied to another app
+                        clearTimeout(timer);
+                        pendingCalls.delete(callId);
+                        reject(error);
+                    }
+                });
+            }
+
+            // Run an exposed method for another app and send back its result
+            async function answerCall(request) {
+                const reply = { type: 'app-bus-return', appId, targetAppId: request.sourceAppId, callId: request.callId };
+                try {
+                    const method = exposedMethods.get(request.method);
+                    if (!method) {
+                        throw new Error('This app does not expose ' + request.method);
+                    }
+                    reply.result = await method(request.params, { sourceAppId: request.sourceAppId });
+                    parent.postMessage(reply, targetOrigin);
+                } catch (error) {
+                    delete reply.result;
+                    reply.error = error && error.message ? error.message : String(error);
+                    parent.postMessage(reply, targetOrigin);
+                }
+            }
+
             // Listen for responses from parent
             window.addEventListener('message', (event) => {
                 if (event.data.type === 'db-response' && event.data.id) {
@@ -239,6 +338,16 @@ class AppPanel {
                     }
                 }
 
+                // Handle live query updates
+                if (event.data.type === 'query-update' && queryWatchers.has(event.data.watchId)) {
+                    const callback = queryWatchers.get(event.data.watchId);
+                    if (event.data.error) {
+                        callback(null, new Error(event.data.error));
+                    } else {
+                        callback(event.data.diff, null);
+                    }
+                }
+
                 // Handle data change notifications
                 if (event.data.type === 'data-changed') {
                     window.dispatchEvent(new CustomEvent('data-changed', {
@@ -252,6 +361,21 @@ class AppPanel {
                         detail: event.data.detail
                     }));
                 }
+
+                // Handle calls from other apps and the results of this app's calls
+                if (event.data.type === 'app-bus-call') {
+                    answerCall(event.data);
+                }
+                if (event.data.type === 'app-bus-result' && pendingCalls.has(event.data.callId)) {
+                    const call = pendingCalls.get(event.data.callId);
+                    pendingCalls.delete(event.data.callId);
+                    clearTimeout(call.timer);
+                    if (event.data.error) {
+                        call.reject(new Error(event.data.error));
+                    } else {
+                        call.resolve(event.data.result);
+                    }
+                }
             });
 
             // Proxy the electronAPI to use message passing
@@ -259,14 +383,42 @@ class AppPanel {
                 createTable: (tableName, schema) => sendRequest('createTable', { tableName, schema }),
                 insertData: (tableName, data) => sendRequest('insertData', { tableName, data }),
                 queryData: (tableName, options) => sendRequest('queryData', { tableName, options }),
+                aggregate: (tableName, options) => sendRequest('aggregate', { tableName, options }),
+                search: (tableName, query, options) => sendRequest('search', { tableName, query, options }),
                 updateData: (tableName, id, data) => sendRequest('updateData', { tableName, id, data }),
                 deleteData: (tableName, id) => sendRequest('deleteData', { tableName, id }),
+                transaction: (operations) => sendRequest('transaction', { operations }),
+                batch: (operations) => sendRequest('transaction', { operations }),
+                // Revert or re-apply this app's latest write
+                undo: () => sendRequest('undo', {}),
+                redo: () => sendRequest('redo', {}),
                 executeQuery: (sql, params) => sendRequest('executeQuery', { sql, params }),
                 listTables: () => sendRequest('listTables', {}),
                 getAllSchemas: () => sendRequest('getAllSchemas', {}),
                 getSchemaContext: () => sendRequest('getSchemaContext', {}),
                 getRelatedTables: (tableName) => sendRequest('getRelatedTables', { tableName }),
 
+                // Live query: callback(diff, error) receives {added, updated, removed, order, count, initial}
+                // now and whenever the result changes. Returns a function that stops watching.
+                watchQuery: (tableName, options, callback) => {
+                    if (typeof options === 'function') {
+                        callback = options;
+                        options = {};
+                    }
+                    const watchId = appId + '_watch_' + (++watchCounter);
+                    queryWatchers.set(watchId, callback);
+                    sendRequest('watchQuery', { watchId, tableName, options: options || {} }).catch(error => {
+                        if (queryWatchers.delete(watchId)) {
+                            callback(null, error);
+                        }
+                    });
+                    return () => {
+                        if (queryWatchers.delete(watchId)) {
+                            sendRequest('unwatchQuery', { watchId }).catch(() => {});
+                        }
+                    };
+                },
+
                 // Multi-app specific APIs
                 registerApp: (appId, appName, description) => sendRequest('registerApp', { appId, appName, description }),
                 getAppInfo: (appId) => sendRequest('getAppInfo', { appId }),
@@ -296,7 +448,28 @@ class AppPanel {
                 },
                 onMessage: (callback) => {
                     window.addEventListener('app-message', (e) => callback(e.detail));
-                }
+                },
+                // Let other apps call fn(params, {sourceAppId}); returns a function that withdraws it
+                expose: (name, fn) => {
+                    if (typeof name !== 'string' || !name || typeof fn !== 'function') {
+                        throw new Error('appBus.expose needs a method name and a function');
+                    }
+                    exposedMethods.set(name, fn);
+                    announceMethods();
+                    return () => {
+                        if (exposedMethods.get(name) === fn) {
+                            exposedMethods.delete(name);
+                            announceMethods();
+                        }
+                    };
+                },
+                // Call a method another app exposes; options.timeout in ms
+                call: (targetAppId, method, params, options) => {
+                    const timeout = Math.min(Math.max(Number(options && options.timeout) || ${AppPanel.CALL_TIMEOUT_MS}, 1), ${AppPanel.MAX_CALL_TIMEOUT_MS});
+                    return startCall('app-bus-call', targetAppId, method, params, timeout);
+                },
+                // Running apps and the methods they expose: [{appId, appName, methods, detached}]
+                discover: () => startCall('app-bus-discover', null, null, null, ${AppPanel.CALL_TIMEOUT_MS})
             };
 
             // Console capture
@@ -381,29 +554,77 @@ class AppPanel {
         // Handle database requests
         if (type === 'db-request') {
             try {
+                if (this.permissionGuard) {
+                    await this.permissionGuard.authorize(this, method, data);
+                }
+
                 let result;
                 switch (method) {
                     case 'createTable':
                         result = await window.electronAPI.createTable(data.tableName, data.schema);
+                        // Only a table this call created becomes the app's; CREATE TABLE IF NOT EXISTS also succeeds on existing ones
+                        if (result && result.success && result.created && this.permissionGuard) {
+                            await this.permissionGuard.claim(this.appId, data.tableName);
+                        }
                         break;
                     case 'insertData':
-                        result = await window.electronAPI.insertData(data.tableName, data.data);
+                        result = await window.electronAPI.insertData(data.tableName, data.data, { appId: this.appId });
                         // Notify data change
-                        this.onDataChange({ table: data.tableName, action: 'insert', appId: this.appId });
+                        this.reportDataChange({ table: data.tableName, action: 'insert', id: result && result.id, appId: this.appId });
                         break;
                     case 'queryData':
                         result = await window.electronAPI.queryData(data.tableName, data.options);
                         break;
+                    case 'aggregate':
+                        result = await window.electronAPI.aggregate(data.tableName, data.options);
+                        break;
+                    case 'search':
+                        result = await window.electronAPI.search(data.tableName, data.query, data.options);
+                        break;
                     case 'updateData':
-                        result = await window.electronAPI.updateData(data.tableName, data.id, data.data);
-                        this.onDataChange({ table: data.tableName, action: 'update', id: data.id, appId: this.appId });
+                        result = await window.electronAPI.updateData(data.tableName, data.id, data.data, { appId: this.appId });
+                        this.reportDataChange({ table: data.tableName, action: 'update', id: data.id, appId: this.appId });
                         break;
                     case 'deleteData':
-                        result = await window.electronAPI.deleteData(data.tableName, data.id);
-                        this.onDataChange({ table: data.tableName, action: 'delete', id: data.id, appId: this.appId });
+                        result = await window.electronAPI.deleteData(data.tableName, data.id, { appId: this.appId });
+                        this.reportDataChange({ table: data.tableName, action: 'delete', id: data.id, appId: this.appId });
+                        break;
+                    case 'transaction':
+                        result = await window.electronAPI.transaction(data.operations, { appId: this.appId });
+                        if (result && result.success) {
+                            // One coalesced notification for the whole transaction
+                            const tables = [...new Set(result.changes.map(change => change.table))];
+                            this.reportDataChange({
+                                table: tables.length === 1 ? tables[0] : null,
+                                tables,
+                                action: 'batch',
+                                changes: result.changes,
+                                appId: this.appId
+                            });
+                        }
                         break;
                     case 'executeQuery':
-                        result = await window.electronAPI.executeQuery(data.sql, data.params);
+                        result = await window.electronAPI.executeQuery(data.sql, data.params, { appId: this.appId });
+                        break;
+                    case 'undo':
+                    case 'redo':
+                        // Only the app's own writes
+                        result = await window.electronAPI[method]({ appId: this.appId });
+                        if (result && result.success) {
+                            this.reportDataChange({
+                                table: result.tables.length === 1 ? result.tables[0] : null,
+                                tables: result.tables,
+                                action: 'batch',
+                                changes: result.changes,
+                                appId: this.appId
+                            });
+                        }
+                        break;
+                    case 'watchQuery':
+                        result = await this.queryWatcher.watch(data.watchId, data.tableName, data.options);
+                        break;
+                    case 'unwatchQuery':
+                        result = { success: this.queryWatcher.unwatch(data.watchId) };
                         break;
                     case 'listTables':
                         result = await window.electronAPI.listTables();
@@ -427,8 +648,9 @@ class AppPanel {
                         result = await window.electronAPI.listApps();
                         break;
                     case 'createTableWithOwner':
+                        // The owner is always the calling app
                         result = await window.electronAPI.createTableWithOwner(
-                            data.tableName, data.schema, data.appId, data.description
+                            data.tableName, data.schema, this.appId, data.description
                         );
                         break;
                     case 'recordTableRelationship':
@@ -479,6 +701,18 @@ class AppPanel {
             this.updateStatusText('Error: ' + event.data.error);
         }
 
+        // Handle appBus calls; the app manager routes them by target app
+        if (type === 'app-bus-expose') {
+            this.exposedMethods = Array.isArray(event.data.methods)
+                ? event.data.methods.filter(name => typeof name === 'string')
+                : [];
+            this.onMessage({ type, sourceAppId: this.appId, methods: this.exposedMethods });
+        }
+        if (type === 'app-bus-call' || type === 'app-bus-discover' || type === 'app-bus-return') {
+            const { targetAppId, callId, method: calledMethod, params, timeout, result, error } = event.data;
+            this.onMessage({ type, sourceAppId: this.appId, targetAppId, callId, method: calledMethod, params, timeout, result, error });
+        }
+
         // Handle inter-app messages
         if (type === 'app-bus-message' || type === 'app-bus-broadcast') {
             this.onMessage({
@@ -503,11 +737,43 @@ class AppPanel {
         }
     }
 
+    /**
+     * Deliver another app's call to a method this app exposes
+     * @param {{callId: string, sourceAppId: string, method: string, params: *}} call
+     */
+    deliverCall({ callId, sourceAppId, method, params }) {
+        if (this.iframe?.contentWindow) {
+            this.iframe.contentWindow.postMessage({ type: 'app-bus-call', callId, sourceAppId, method, params }, '*');
+        }
+    }
+
+    /**
+     * Deliver the outcome of one of this app's calls
+     * @param {{callId: string, result?: *, error?: string}} outcome
+     */
+    deliverResult({ callId, result, error }) {
+        if (this.iframe?.contentWindow) {
+            this.iframe.contentWindow.postMessage({ type: 'app-bus-result', callId, result, error }, '*');
+        }
+    }
+
+    /**
+     * Report a write made by this app: other panels are notified through
+     * onDataChange, this app's own live queries directly
+     * @param {Object} change - Change information
+     */
+    reportDataChange(change) {
+        this.onDataChange(change);
+        this.queryWatcher.handleChange(change);
+    }
+
     /**
      * Notify this panel of a data change
      * @param {Object} change - Change information
      */
     notifyDataChange(change) {
+        this.queryWatcher.handleChange(change);
+
         if (this.iframe?.contentWindow) {
             this.iframe.contentWindow.postMessage({
                 type: 'data-changed',
@@ -560,6 +826,10 @@ class AppPanel {
      * Destroy the iframe and cleanup
      */
     destroyIframe() {
+        // The app's live queries and exposed methods end with its document
+        this.queryWatcher.clear();
+        this.exposedMethods = [];
+
         if (this._messageListener) {
             window.removeEventListener('message', this._messageListener);
             this._messageListener = null;
@@ -612,6 +882,31 @@ class AppPanel {
         return div.innerHTML;
     }
 
+    /**
+     * Size the user gave the panel with its resize handle
+     * @returns {{width: number|null, height: number|null}|null} - Pixels, or null for the layout's default
+     */
+    getSize() {
+        if (!this.container) {
+            return null;
+        }
+        const width = parseFloat(this.container.style.width) || null;
+        const height = parseFloat(this.container.style.height) || null;
+        return width || height ? { width, height } : null;
+    }
+
+    /**
+     * Apply a saved size
+     * @param {{width: number|null, height: number|null}} size - Pixels
+     */
+    setSize(size) {
+        if (!this.container || !size) {
+            return;
+        }
+        this.container.style.width = size.width ? `${size.width}px` : '';
+        this.container.style.height = size.height ? `${size.height}px` : '';
+    }
+
     /**
      * Get panel state for serialization
      * @returns {Object} - Panel state
@@ -630,6 +925,10 @@ class AppPanel {
     }
 }
 
+// appBus.call timeouts (ms)
+AppPanel.CALL_TIMEOUT_MS = 5000;
+AppPanel.MAX_CALL_TIMEOUT_MS = 60000;
+
 // Export for use in renderer
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AppPanel;
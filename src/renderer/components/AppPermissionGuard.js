@@ -0,0 +1,399 @@
+/**
+ * AppPermissionGuard - Per-app table permissions for the app panel bridge
+ * Works out which tables a database request touches and how (read, write or
+ * schema change), checks them against the app's permission manifest in the
+ * main process and asks the user the first time an app touches a table owned
+ * by another app. Denied requests are reported for the audit log.
+ */
+
+// Bridge methods and the access they need on their table
+const METHOD_ACCESS = {
+    queryData: 'read',
+    aggregate: 'read',
+    search: 'read',
+    watchQuery: 'read',
+    insertData: 'write',
+    updateData: 'write',
+    deleteData: 'write',
+    createTable: 'schema',
+    createTableWithOwner: 'schema'
+};
+
+// Words that end a FROM clause at its own nesting level
+const CLAUSE_END = new Set(['WHERE', 'GROUP', 'HAVING', 'WINDOW', 'ORDER', 'LIMIT', 'UNION', 'EXCEPT', 'INTERSECT', 'RETURNING']);
+
+// Words that can't stand unquoted where a table name is expected
+const RESERVED = new Set([
+    ...CLAUSE_END, 'SELECT', 'WITH', 'VALUES', 'SET', 'FROM', 'JOIN', 'ON', 'USING', 'AS', 'AND', 'OR', 'NOT',
+    'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'DEFAULT', 'WHEN', 'THEN', 'BEGIN', 'END',
+    'INSERT', 'UPDATE', 'DELETE', 'CONFLICT'
+]);
+
+class AppPermissionGuard {
+    /**
+     * @param {Object} api - checkAppTableAccess, setAppTablePermission, claimAppTable and
+     *   reportAppAccessDenied (window.electronAPI)
+     * @param {Object} options
+     * @param {Function} options.prompt - async ({appId, appName, tableName, owner, access}) =>
+     *   {read, write, schema} to remember, or null to deny
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.prompt = options.prompt || (async () => null);
+        this.allowed = new Set(); // appId:table:access granted this session
+        this.pendingPrompts = new Map(); // appId:table -> Promise
+    }
+
+    /**
+     * Table accesses a bridge request needs
+     * @param {string} method - Bridge method
+     * @param {Object} data - Request data
+     * @returns {Array<{table: string, access: string}>|null} null for SQL whose tables can't be determined
+     */
+    static requiredAccess(method, data = {}) {
+        if (METHOD_ACCESS[method]) {
+            return data.tableName ? [{ table: data.tableName, access: METHOD_ACCESS[method] }] : [];
+        }
+        if (method === 'transaction') {
+            return (Array.isArray(data.operations) ? data.operations : [])
+                .filter(operation => operation && operation.table)
+                .map(operation => ({ table: operation.table, access: 'write' }));
+        }
+        if (method === 'executeQuery') {
+            return AppPermissionGuard.sqlAccess(data.sql);
+        }
+        return [];
+    }
+
+    /**
+     * Tables a SQL statement touches: every table of a FROM list (comma joins and
+     * parenthesized joins included), JOIN, INTO, UPDATE, TABLE and, for DDL, the
+     * ON of an index or trigger. Subqueries are read like the outer statement.
+     * @param {string} sql - Statement
+     * @returns {Array<{table: string, access: string}>|null} null when the tables
+     *   can't all be told apart, e.g. a FROM not followed by a table name
+     */
+    static sqlAccess(sql) {
+        if (typeof sql !== 'string') {
+            return [];
+        }
+
+        const tokens = AppPermissionGuard.tokenize(sql);
+        if (!tokens) {
+            return null;
+        }
+
+        const statement = AppPermissionGuard.statementType(tokens);
+        const ddl = ['CREATE', 'ALTER', 'DROP'].includes(statement);
+
+        const accesses = [];
+        let target = null;
+        let depth = 0;
+        const add = (table, keyword) => {
+            let access = 'read';
+            if (ddl) {
+                access = 'schema';
+            } else if (!target && depth === 0 && (
+                (statement === 'INSERT' || statement === 'REPLACE') && keyword === 'INTO' ||
+                statement === 'UPDATE' && keyword === 'UPDATE' ||
+                statement === 'DELETE' && keyword === 'FROM'
+            )) {
+                // The first matching clause outside subqueries and CTEs names the table being written
+                target = table;
+                access = 'write';
+            }
+            accesses.push({ table, access });
+        };
+
+        let selectSeen = false;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.value === '(') depth++;
+            if (token.value === ')') depth--;
+            if (token.type !== 'word') continue;
+
+            let tables = [];
+            switch (token.upper) {
+                case 'SELECT':
+                    selectSeen = true;
+                    continue;
+                case 'FROM':
+                    tables = AppPermissionGuard.fromList(tokens, i + 1);
+                    break;
+                case 'UPDATE': {
+                    // ON CONFLICT ... DO UPDATE and trigger events (UPDATE OF/ON) name no table here
+                    const previous = tokens[i - 1];
+                    const next = tokens[i + 1];
+                    if (previous && previous.upper === 'DO' || next && (next.upper === 'ON' || next.upper === 'OF')) continue;
+                    tables = AppPermissionGuard.tableAt(tokens, i + 1);
+                    break;
+                }
+                case 'JOIN':
+                case 'INTO':
+                    tables = AppPermissionGuard.tableAt(tokens, i + 1);
+                    break;
+                case 'TABLE': {
+                    let next = i + 1;
+                    while (tokens[next] && ['IF', 'NOT', 'EXISTS'].includes(tokens[next].upper)) next++;
+                    tables = AppPermissionGuard.tableAt(tokens, next);
+                    break;
+                }
+                case 'ON':
+                    // In DDL before any SELECT: CREATE INDEX ... ON t, CREATE TRIGGER ... ON t
+                    if (!ddl || selectSeen) continue;
+                    tables = AppPermissionGuard.tableAt(tokens, i + 1) || [];
+                    break;
+                default:
+                    continue;
+            }
+
+            if (!tables) {
+                return null;
+            }
+            tables.forEach(table => add(table, token.upper));
+        }
+        return accesses;
+    }
+
+    /**
+     * Split SQL into words, quoted names, strings and single characters
+     * @private
+     * @returns {Array<{type: string, value: string, upper?: string}>|null} null for an unterminated quote or comment
+     */
+    static tokenize(sql) {
+        const tokens = [];
+        const closing = { '"': '"', '`': '`', '[': ']', "'": "'" };
+        let i = 0;
+        while (i < sql.length) {
+            const char = sql[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (sql.startsWith('--', i)) {
+                const end = sql.indexOf('\n', i);
+                i = end === -1 ? sql.length : end + 1;
+            } else if (sql.startsWith('/*', i)) {
+                const end = sql.indexOf('*/', i + 2);
+                if (end === -1) return null;
+                i = end + 2;
+            } else if (closing[char]) {
+                // Quotes are escaped by doubling them
+                let value = '';
+                let j = i + 1;
+                for (;;) {
+                    const end = sql.indexOf(closing[char], j);
+                    if (end === -1) return null;
+                    value += sql.slice(j, end);
+                    if (closing[char] !== ']' && sql[end + 1] === closing[char]) {
+                        value += closing[char];
+                        j = end + 2;
+                        continue;
+                    }
+                    i = end + 1;
+                    break;
+                }
+                tokens.push({ type: char === "'" ? 'string' : 'name', value });
+            } else {
+                const word = /^[\p{L}_][\p{L}\p{N}_$]*/u.exec(sql.slice(i, i + 200));
+                if (word) {
+                    tokens.push({ type: 'word', value: word[0], upper: word[0].toUpperCase() });
+                    i += word[0].length;
+                } else {
+                    tokens.push({ type: 'punct', value: char });
+                    i++;
+                }
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Statement type, looking past a WITH clause
+     * @private
+     */
+    static statementType(tokens) {
+        const first = tokens.find(token => token.type === 'word');
+        if (!first || first.upper !== 'WITH') {
+            return first ? first.upper : '';
+        }
+
+        let depth = 0;
+        for (const token of tokens) {
+            if (token.value === '(') depth++;
+            else if (token.value === ')') depth--;
+            else if (depth === 0 && ['SELECT', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE'].includes(token.upper)) return token.upper;
+        }
+        return 'WITH';
+    }
+
+    /**
+     * Tables of a FROM clause: the first item and every item after a comma on
+     * the clause's own nesting level (JOINs are read on their own)
+     * @private
+     * @returns {string[]|null}
+     */
+    static fromList(tokens, start) {
+        const tables = [];
+        let depth = 0;
+        for (let i = start - 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (i === start - 1 || depth === 0 && token.value === ',') {
+                const item = AppPermissionGuard.tableAt(tokens, i + 1);
+                if (!item) return null;
+                tables.push(...item);
+                continue;
+            }
+            if (token.value === '(') depth++;
+            else if (token.value === ')' && --depth < 0) break;
+            else if (depth === 0 && (token.value === ';' || CLAUSE_END.has(token.upper))) break;
+        }
+        return tables;
+    }
+
+    /**
+     * The table named at a position: a name, schema.name, a subquery (its tables
+     * are read with the rest of the statement) or a parenthesized join list
+     * @private
+     * @returns {string[]|null}
+     */
+    static tableAt(tokens, index) {
+        const token = tokens[index];
+        if (!token) {
+            return null;
+        }
+
+        if (token.value === '(') {
+            const next = tokens[index + 1];
+            if (next && ['SELECT', 'WITH', 'VALUES'].includes(next.upper)) {
+                return [];
+            }
+            return AppPermissionGuard.fromList(tokens, index + 1);
+        }
+
+        const isName = t => t && (t.type === 'name' || t.type === 'word' && !RESERVED.has(t.upper));
+        if (!isName(token)) {
+            return null;
+        }
+        if (tokens[index + 1] && tokens[index + 1].value === '.') {
+            return isName(tokens[index + 2]) ? [tokens[index + 2].value] : null;
+        }
+        return [token.value];
+    }
+
+    /**
+     * Check every table a request touches. Throws when one is not allowed.
+     * @param {{appId: string, appName: string}} app - App making the request
+     * @param {string} method - Bridge method
+     * @param {Object} data - Request data
+     */
+    async authorize(app, method, data) {
+        const required = AppPermissionGuard.requiredAccess(method, data);
+        if (!required) {
+            throw new Error(`Permission denied: could not tell which tables the query of app '${app.appName || app.appId}' uses`);
+        }
+
+        const seen = new Set();
+        for (const { table, access } of required) {
+            const key = `${table}:${access}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            if (!(await this.isAllowed(app, table, access))) {
+                this.api.reportAppAccessDenied({ appId: app.appId, tableName: table, access, method }).catch(() => {});
+                throw new Error(`Permission denied: app '${app.appName || app.appId}' may not ${this.describeAccess(access)} table '${table}'`);
+            }
+        }
+    }
+
+    /**
+     * @param {{appId: string, appName: string}} app
+     * @param {string} table
+     * @param {string} access - 'read', 'write' or 'schema'
+     * @returns {Promise<boolean>}
+     */
+    async isAllowed(app, table, access) {
+        // Internal tables hold the registry and these permissions; apps may only read them
+        if (/^(_|sqlite_)/i.test(table)) {
+            return access === 'read';
+        }
+
+        const key = `${app.appId}:${table}:${access}`;
+        if (this.allowed.has(key)) {
+            return true;
+        }
+
+        let result = await this.api.checkAppTableAccess(app.appId, table, access);
+        if (result && result.success && result.prompt) {
+            await this.askUser(app, table, access, result.owner);
+            result = await this.api.checkAppTableAccess(app.appId, table, access);
+        }
+
+        const allowed = Boolean(result && result.success && result.allowed);
+        if (allowed) {
+            this.allowed.add(key);
+        }
+        return allowed;
+    }
+
+    /**
+     * Ask the user once per app and table, even if several requests wait for it
+     * @private
+     */
+    askUser(app, table, access, owner) {
+        const key = `${app.appId}:${table}`;
+        if (!this.pendingPrompts.has(key)) {
+            const pending = (async () => {
+                try {
+                    const decision = await this.prompt({ appId: app.appId, appName: app.appName, tableName: table, owner, access });
+                    await this.api.setAppTablePermission(app.appId, table, {
+                        read: Boolean(decision && decision.read),
+                        write: Boolean(decision && decision.write),
+                        schema: Boolean(decision && decision.schema)
+                    });
+                } finally {
+                    this.pendingPrompts.delete(key);
+                }
+            })();
+            this.pendingPrompts.set(key, pending);
+        }
+        return this.pendingPrompts.get(key);
+    }
+
+    /**
+     * Record the app as owner of a table it just created
+     * @param {string} appId
+     * @param {string} tableName
+     */
+    async claim(appId, tableName) {
+        await this.api.claimAppTable(appId, tableName);
+    }
+
+    /**
+     * Forget the session cache, e.g. after permissions were edited
+     * @param {string} appId - Only this app, or every app
+     */
+    reset(appId = null) {
+        if (!appId) {
+            this.allowed.clear();
+            return;
+        }
+        this.allowed.forEach(key => {
+            if (key.startsWith(`${appId}:`)) {
+                this.allowed.delete(key);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    describeAccess(access) {
+        return { read: 'read', write: 'write to', schema: 'change the schema of' }[access] || access;
+    }
+}
+
+// Export for use in renderer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppPermissionGuard;
+} else if (typeof window !== 'undefined') {
+    window.AppPermissionGuard = AppPermissionGuard;
+}
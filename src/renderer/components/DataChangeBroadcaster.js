@@ -13,6 +13,9 @@ class DataChangeBroadcaster {
         this.batchDelay = 50; // ms to wait before broadcasting to batch rapid changes
         this.batchTimer = null;
         this.debug = false;
+        this.changeFeed = null; // Main process change feed connection
+        this.recentLocalChanges = new Map(); // table:action:id -> expiry, see isEchoOfLocalChange
+        this.localChangeTtl = 5000;
     }
 
     /**
@@ -82,8 +85,19 @@ class DataChangeBroadcaster {
      *   - id: number (optional, record ID)
      *   - data: object (optional, changed data)
      *   - appId: string (source app ID)
+     *
+     * A transaction is broadcast as one coalesced change with action 'batch',
+     * `tables` listing every table it touched and `changes` holding the
+     * individual {table, action, id} writes.
+     *
+     * Changes from the database change feed have source 'database' and also
+     * carry `before`/`after` row data, `database` and `sequence`.
      */
     broadcast(change) {
+        if (change.appId && change.source !== 'database') {
+            this.rememberLocalChange(change);
+        }
+
         const enrichedChange = {
             ...change,
             timestamp: Date.now(),
@@ -145,7 +159,10 @@ class DataChangeBroadcaster {
         const changeMap = new Map();
 
         for (const change of changes) {
-            const key = `${change.table}:${change.id || 'no-id'}:${change.action}`;
+            // Batches are already coalesced and are never merged with each other
+            const key = change.action === 'batch'
+                ? change.changeId
+                : `${change.table}:${change.id || 'no-id'}:${change.action}`;
 
             // Keep the most recent change for each key
             if (!changeMap.has(key) || change.timestamp > changeMap.get(key).timestamp) {
@@ -165,17 +182,24 @@ class DataChangeBroadcaster {
             console.log(`[DataChangeBroadcaster] Broadcasting change:`, change);
         }
 
-        // Notify table-specific subscribers
-        const tableSubscribers = this.subscribers.get(change.table);
-        if (tableSubscribers) {
-            tableSubscribers.forEach(callback => {
-                try {
-                    callback(change);
-                } catch (error) {
-                    console.error(`[DataChangeBroadcaster] Error in table subscriber:`, error);
-                }
-            });
-        }
+        const tables = this.getChangedTables(change);
+
+        // Notify table-specific subscribers, once per callback even if a batch
+        // touched several of its tables
+        const tableCallbacks = new Set();
+        tables.forEach(table => {
+            const tableSubscribers = this.subscribers.get(table);
+            if (tableSubscribers) {
+                tableSubscribers.forEach(callback => tableCallbacks.add(callback));
+            }
+        });
+        tableCallbacks.forEach(callback => {
+            try {
+                callback(change);
+            } catch (error) {
+                console.error(`[DataChangeBroadcaster] Error in table subscriber:`, error);
+            }
+        });
 
         // Notify global subscribers
         this.globalSubscribers.forEach(callback => {
@@ -192,13 +216,181 @@ class DataChangeBroadcaster {
                 sourceAppId: change.appId
             });
 
-            // Also publish to table-specific channel
-            this.messageBus.publish(`data-change:${change.table}`, change, {
-                sourceAppId: change.appId
+            // Also publish to table-specific channels
+            tables.forEach(table => {
+                this.messageBus.publish(`data-change:${table}`, change, {
+                    sourceAppId: change.appId
+                });
             });
         }
     }
 
+    /**
+     * Tables affected by a change
+     * @param {Object} change - Single or batch change
+     * @returns {string[]}
+     */
+    getChangedTables(change) {
+        if (Array.isArray(change.tables)) {
+            return change.tables;
+        }
+        return change.table ? [change.table] : [];
+    }
+
+    // ============================================================
+    // DATABASE CHANGE FEED
+    // ============================================================
+
+    /**
+     * Receive row changes for every database write from the main process
+     * (grid edits, SQL console, restores, scheduled tasks...) and broadcast them.
+     *
+     * Sequence numbers are checked on every message. Missed events are fetched
+     * with dbChangesSince; if they are no longer available a 'resync' change is
+     * broadcast so subscribers reload their data.
+     *
+     * @param {Object} api - Provides subscribeDbChanges and dbChangesSince (window.electronAPI)
+     * @param {Object} options
+     * @param {string[]} options.tables - Only changes to these tables
+     * @returns {Promise<Function>} - Disconnect function
+     */
+    async connectChangeFeed(api, { tables = null } = {}) {
+        this.disconnectChangeFeed();
+
+        const feed = { api, tables, lastSequence: 0, subscription: null, queue: null };
+        this.changeFeed = feed;
+
+        // Messages are handled one at a time, after the subscription is known
+        const subscribed = api.subscribeDbChanges((message) => {
+            feed.queue = feed.queue.then(() => this.handleFeedMessage(feed, message));
+        }, { tables });
+        feed.queue = subscribed.then((subscription) => {
+            feed.subscription = subscription;
+            feed.lastSequence = subscription.sequence;
+        });
+        await feed.queue;
+
+        return () => this.disconnectChangeFeed();
+    }
+
+    /**
+     * Stop receiving the database change feed
+     */
+    disconnectChangeFeed() {
+        const feed = this.changeFeed;
+        this.changeFeed = null;
+        if (feed && feed.subscription) {
+            feed.subscription.unsubscribe();
+        }
+    }
+
+    /**
+     * Handle one change feed message: {previousSequence, events}
+     * @param {Object} feed - Connection the message belongs to
+     * @param {Object} message - Message from the main process
+     */
+    async handleFeedMessage(feed, { previousSequence, events }) {
+        if (feed !== this.changeFeed) {
+            return;
+        }
+
+        try {
+            let incoming = events;
+
+            // The main process sent events this connection never received
+            if (previousSequence > feed.lastSequence) {
+                const missed = await feed.api.dbChangesSince(feed.lastSequence, feed.tables);
+                if (feed !== this.changeFeed) {
+                    return;
+                }
+                if (!missed || !missed.success || missed.reset) {
+                    const last = events.length > 0 ? events[events.length - 1].sequence : previousSequence;
+                    feed.lastSequence = Math.max(last, missed?.sequence || 0);
+                    this.broadcast({
+                        table: null,
+                        tables: feed.tables || this.getWatchedTables(),
+                        action: 'resync',
+                        source: 'database'
+                    });
+                    return;
+                }
+                incoming = missed.events;
+            }
+
+            for (const event of incoming) {
+                // Already delivered, e.g. by an earlier catch-up
+                if (event.sequence <= feed.lastSequence) {
+                    continue;
+                }
+                feed.lastSequence = event.sequence;
+
+                const change = this.changeFromFeedEvent(event);
+                if (!this.isEchoOfLocalChange(change)) {
+                    this.broadcast(change);
+                }
+            }
+        } catch (error) {
+            console.error('[DataChangeBroadcaster] Error handling change feed message:', error);
+        }
+    }
+
+    /**
+     * Convert a change feed event into a broadcast change
+     * @param {Object} event - {sequence, database, table, op, id, before, after} or {op: 'bulk', count}
+     * @returns {Object}
+     */
+    changeFromFeedEvent(event) {
+        const change = {
+            table: event.table,
+            action: event.op,
+            database: event.database,
+            sequence: event.sequence,
+            source: 'database'
+        };
+
+        if (event.op === 'bulk') {
+            change.count = event.count;
+        } else {
+            change.id = event.id;
+            change.before = event.before;
+            change.after = event.after;
+        }
+        return change;
+    }
+
+    /**
+     * Remember writes apps reported themselves, so the same write arriving
+     * through the change feed is not delivered twice
+     * @param {Object} change - Single or batch change
+     */
+    rememberLocalChange(change) {
+        const expires = Date.now() + this.localChangeTtl;
+        const writes = change.action === 'batch' && Array.isArray(change.changes) ? change.changes : [change];
+
+        writes.forEach(write => {
+            if (write.table && write.id) {
+                this.recentLocalChanges.set(`${write.table}:${write.action}:${write.id}`, expires);
+            }
+        });
+    }
+
+    /**
+     * Check (and forget) whether a feed change was already reported by an app
+     * @param {Object} change - Change built from a feed event
+     * @returns {boolean}
+     */
+    isEchoOfLocalChange(change) {
+        const now = Date.now();
+        this.recentLocalChanges.forEach((expires, key) => {
+            if (expires < now) {
+                this.recentLocalChanges.delete(key);
+            }
+        });
+
+        const key = `${change.table}:${change.action}:${change.id}`;
+        return this.recentLocalChanges.delete(key);
+    }
+
     /**
      * Broadcast immediate (skip batching)
      * Use for critical changes that need immediate propagation
@@ -307,7 +499,8 @@ class DataChangeBroadcaster {
             tableSubscribers,
             globalSubscribers: this.globalSubscribers.size,
             pendingChanges: this.changeQueue.length,
-            batchDelay: this.batchDelay
+            batchDelay: this.batchDelay,
+            changeFeedSequence: this.changeFeed ? this.changeFeed.lastSequence : null
         };
     }
 
@@ -318,8 +511,10 @@ class DataChangeBroadcaster {
         if (this.batchTimer) {
             clearTimeout(this.batchTimer);
         }
+        this.disconnectChangeFeed();
         this.clearSubscribers();
         this.changeQueue = [];
+        this.recentLocalChanges.clear();
     }
 }
 
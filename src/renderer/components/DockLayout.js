@@ -0,0 +1,378 @@
+/**
+ * DockLayout - Split-pane layout tree for AppManager's dock layout
+ * Every node is either a panel or a split:
+ *
+ *   { type: 'panel', appId }
+ *   { type: 'split', direction: 'row'|'column', sizes: [fractions], children: [nodes] }
+ *
+ * A row split places its children side by side, a column split stacks them;
+ * sizes are the children's shares of the split and add up to 1. The tree only
+ * holds app ids. AppManager positions the panel elements from computeRects()
+ * instead of nesting them, because moving an iframe in the DOM reloads the app.
+ */
+
+const DOCK_EDGES = ['left', 'right', 'top', 'bottom'];
+const MIN_SIZE = 0.05;
+const MAX_DEPTH = 16;
+
+class DockLayout {
+    /**
+     * @param {Object|null} root - Root node, or null when no panel is docked
+     */
+    constructor(root = null) {
+        this.root = root;
+    }
+
+    /**
+     * Build a layout from a saved tree, dropping nodes that are not valid.
+     * With appIds, panels for other apps are dropped and apps the tree does not
+     * place are docked on the right.
+     * @param {Object|null} json - Saved tree
+     * @param {string[]|null} appIds - Apps that are open
+     * @returns {DockLayout}
+     */
+    static fromJSON(json, appIds = null) {
+        const allowed = appIds ? new Set(appIds) : null;
+        const seen = new Set();
+        const layout = new DockLayout(DockLayout.normalizeNode(json, allowed, seen, 0));
+
+        if (appIds) {
+            appIds.filter(appId => !seen.has(appId)).forEach(appId => layout.addPanel(appId));
+        }
+        return layout;
+    }
+
+    /**
+     * @private
+     */
+    static normalizeNode(node, allowed, seen, depth) {
+        if (!node || typeof node !== 'object' || depth > MAX_DEPTH) {
+            return null;
+        }
+
+        if (node.type === 'panel') {
+            if (typeof node.appId !== 'string' || seen.has(node.appId) || (allowed && !allowed.has(node.appId))) {
+                return null;
+            }
+            seen.add(node.appId);
+            return { type: 'panel', appId: node.appId };
+        }
+
+        if (node.type !== 'split' || !Array.isArray(node.children)) {
+            return null;
+        }
+
+        const children = [];
+        const sizes = [];
+        node.children.forEach((child, index) => {
+            const normalized = DockLayout.normalizeNode(child, allowed, seen, depth + 1);
+            if (normalized) {
+                children.push(normalized);
+                sizes.push(Array.isArray(node.sizes) ? node.sizes[index] : null);
+            }
+        });
+
+        if (children.length <= 1) {
+            return children[0] || null;
+        }
+        return {
+            type: 'split',
+            direction: node.direction === 'column' ? 'column' : 'row',
+            sizes: DockLayout.normalizeSizes(sizes),
+            children
+        };
+    }
+
+    /**
+     * Scale sizes so they add up to 1; missing or invalid sizes get an equal share
+     * @param {Array<number|null>} sizes
+     * @returns {number[]}
+     */
+    static normalizeSizes(sizes) {
+        const share = 1 / sizes.length;
+        const valid = sizes.map(size => (Number.isFinite(size) && size > 0 ? size : share));
+        const total = valid.reduce((sum, size) => sum + size, 0);
+        return valid.map(size => size / total);
+    }
+
+    /**
+     * Edge of a rectangle nearest to a point, to decide where a dropped panel goes
+     * @param {{x: number, y: number, width: number, height: number}} rect
+     * @param {number} x
+     * @param {number} y
+     * @returns {string} 'left', 'right', 'top' or 'bottom'
+     */
+    static edgeAt(rect, x, y) {
+        const relativeX = rect.width > 0 ? (x - rect.x) / rect.width : 0.5;
+        const relativeY = rect.height > 0 ? (y - rect.y) / rect.height : 0.5;
+        const distances = {
+            left: relativeX,
+            right: 1 - relativeX,
+            top: relativeY,
+            bottom: 1 - relativeY
+        };
+        return DOCK_EDGES.reduce((nearest, edge) => (distances[edge] < distances[nearest] ? edge : nearest));
+    }
+
+    /**
+     * Copy of the tree for saving
+     * @returns {Object|null}
+     */
+    toJSON() {
+        return this.root ? JSON.parse(JSON.stringify(this.root)) : null;
+    }
+
+    /**
+     * Docked apps, left to right and top to bottom
+     * @returns {string[]}
+     */
+    appIds() {
+        const appIds = [];
+        const walk = (node) => {
+            if (node.type === 'panel') {
+                appIds.push(node.appId);
+            } else {
+                node.children.forEach(walk);
+            }
+        };
+        if (this.root) {
+            walk(this.root);
+        }
+        return appIds;
+    }
+
+    /**
+     * @param {string} appId
+     * @returns {boolean}
+     */
+    has(appId) {
+        return this.locate(node => node.type === 'panel' && node.appId === appId) !== null;
+    }
+
+    /**
+     * Dock an app next to another one, or along an edge of the whole layout
+     * @param {string} appId - App to dock
+     * @param {string|null} targetAppId - Panel to split; null for the whole layout
+     * @param {string} edge - Side of the target the app goes to
+     * @returns {boolean} - False when the app is already docked
+     */
+    addPanel(appId, targetAppId = null, edge = 'right') {
+        if (!DOCK_EDGES.includes(edge)) {
+            throw new Error(`Unknown dock edge '${edge}'`);
+        }
+        if (this.has(appId)) {
+            return false;
+        }
+
+        const panel = { type: 'panel', appId };
+        if (!this.root) {
+            this.root = panel;
+            return true;
+        }
+
+        const direction = edge === 'left' || edge === 'right' ? 'row' : 'column';
+        const before = edge === 'left' || edge === 'top';
+        const target = (targetAppId && this.locate(node => node.type === 'panel' && node.appId === targetAppId)) ||
+            { node: this.root, parent: null, index: 0 };
+        const { node, parent, index } = target;
+
+        if (parent && parent.direction === direction) {
+            // Share the target's space within its split
+            const half = parent.sizes[index] / 2;
+            const position = before ? index : index + 1;
+            parent.sizes[index] = half;
+            parent.children.splice(position, 0, panel);
+            parent.sizes.splice(position, 0, half);
+        } else if (!parent && node.type === 'split' && node.direction === direction) {
+            // Another column (or row) of the whole layout, as wide as the others on average
+            const count = node.children.length;
+            node.sizes = node.sizes.map(size => size * count / (count + 1));
+            node.children.splice(before ? 0 : count, 0, panel);
+            node.sizes.splice(before ? 0 : count, 0, 1 / (count + 1));
+        } else {
+            this.replace(node, parent, index, {
+                type: 'split',
+                direction,
+                sizes: [0.5, 0.5],
+                children: before ? [panel, node] : [node, panel]
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Undock an app; its space goes to the other children of its split
+     * @param {string} appId
+     * @returns {boolean} - Whether the app was docked
+     */
+    removePanel(appId) {
+        const location = this.locate(node => node.type === 'panel' && node.appId === appId);
+        if (!location) {
+            return false;
+        }
+
+        const { parent, index } = location;
+        if (!parent) {
+            this.root = null;
+            return true;
+        }
+
+        parent.children.splice(index, 1);
+        parent.sizes.splice(index, 1);
+        parent.sizes = DockLayout.normalizeSizes(parent.sizes);
+
+        if (parent.children.length === 1) {
+            const parentLocation = this.locate(node => node === parent);
+            this.replace(parent, parentLocation.parent, parentLocation.index, parent.children[0]);
+        }
+        return true;
+    }
+
+    /**
+     * Move a docked app to a side of another docked app
+     * @param {string} appId - App being moved
+     * @param {string} targetAppId - App it is dropped on
+     * @param {string} edge - 'left', 'right', 'top' or 'bottom'
+     * @returns {boolean} - Whether the layout changed
+     */
+    movePanel(appId, targetAppId, edge) {
+        if (appId === targetAppId || !this.has(appId) || !this.has(targetAppId)) {
+            return false;
+        }
+        this.removePanel(appId);
+        return this.addPanel(appId, targetAppId, edge);
+    }
+
+    /**
+     * Move the splitter between two children of a split
+     * @param {number[]} path - Child indexes from the root to the split
+     * @param {number} index - Splitter after this child
+     * @param {number} delta - Fraction of the split to move it by
+     * @returns {number} - Fraction it actually moved, after keeping both children at their minimum size
+     */
+    resize(path, index, delta) {
+        const split = this.nodeAt(path);
+        if (!split || split.type !== 'split' || index < 0 || index >= split.children.length - 1) {
+            return 0;
+        }
+
+        const applied = Math.max(MIN_SIZE - split.sizes[index], Math.min(split.sizes[index + 1] - MIN_SIZE, delta));
+        split.sizes[index] += applied;
+        split.sizes[index + 1] -= applied;
+        return applied;
+    }
+
+    /**
+     * Pixel rectangles of the panels and of the splitters between them
+     * @param {{x: number, y: number, width: number, height: number}} bounds - Area of the layout
+     * @param {number} gap - Splitter thickness
+     * @returns {{panels: Object<string, Object>, splitters: Object[]}} panels by app id; each splitter
+     *   has path, index, direction and span (pixels its split divides) besides its rectangle
+     */
+    computeRects(bounds, gap = 6) {
+        const panels = {};
+        const splitters = [];
+
+        const place = (node, rect, path) => {
+            if (node.type === 'panel') {
+                panels[node.appId] = rect;
+                return;
+            }
+
+            const row = node.direction === 'row';
+            const length = row ? rect.width : rect.height;
+            const span = Math.max(0, length - gap * (node.children.length - 1));
+            const end = (row ? rect.x : rect.y) + length;
+            let position = row ? rect.x : rect.y;
+
+            node.children.forEach((child, index) => {
+                const last = index === node.children.length - 1;
+                const size = last ? Math.max(0, end - position) : Math.round(span * node.sizes[index]);
+                place(child, row
+                    ? { x: position, y: rect.y, width: size, height: rect.height }
+                    : { x: rect.x, y: position, width: rect.width, height: size }, [...path, index]);
+                position += size;
+
+                if (!last) {
+                    splitters.push({
+                        path,
+                        index,
+                        direction: node.direction,
+                        span,
+                        ...(row
+                            ? { x: position, y: rect.y, width: gap, height: rect.height }
+                            : { x: rect.x, y: position, width: rect.width, height: gap })
+                    });
+                    position += gap;
+                }
+            });
+        };
+
+        if (this.root) {
+            place(this.root, { ...bounds }, []);
+        }
+        return { panels, splitters };
+    }
+
+    /**
+     * Node at a path of child indexes
+     * @private
+     */
+    nodeAt(path) {
+        let node = this.root;
+        for (const index of path) {
+            if (!node || node.type !== 'split') {
+                return null;
+            }
+            node = node.children[index];
+        }
+        return node || null;
+    }
+
+    /**
+     * First node matching a predicate, with its parent split and index there
+     * @private
+     */
+    locate(predicate) {
+        const search = (node, parent, index) => {
+            if (predicate(node)) {
+                return { node, parent, index };
+            }
+            if (node.type === 'split') {
+                for (let i = 0; i < node.children.length; i++) {
+                    const found = search(node.children[i], node, i);
+                    if (found) return found;
+                }
+            }
+            return null;
+        };
+        return this.root ? search(this.root, null, 0) : null;
+    }
+
+    /**
+     * Put a node in another node's place. A split that ends up inside a split
+     * of the same direction is merged into it.
+     * @private
+     */
+    replace(node, parent, index, replacement) {
+        if (!parent) {
+            this.root = replacement;
+            return;
+        }
+
+        if (replacement.type === 'split' && replacement.direction === parent.direction) {
+            const share = parent.sizes[index];
+            parent.children.splice(index, 1, ...replacement.children);
+            parent.sizes.splice(index, 1, ...replacement.sizes.map(size => size * share));
+        } else {
+            parent.children[index] = replacement;
+        }
+    }
+}
+
+// Export for use in renderer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DockLayout;
+} else if (typeof window !== 'undefined') {
+    window.DockLayout = DockLayout;
+}
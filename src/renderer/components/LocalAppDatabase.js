@@ -0,0 +1,771 @@
+/**
+ * LocalAppDatabase - The database of an exported app
+ * Answers a generated app's electronAPI calls from tables kept in the page, so
+ * an app exported from the builder (see AppExporter) runs without it. The
+ * tables start from the rows exported with the app and are saved to a storage
+ * (IndexedDB in the exported page) after every write. Values are stored the
+ * way the builder's SQLite tables store them: booleans as 0/1, json as text.
+ *
+ * SQL queries (executeQuery) and undo/redo need the builder's database and
+ * report that they are not available.
+ */
+
+// Methods that only work against the builder's database
+const BUILDER_ONLY_METHODS = ['executeQuery', 'undo', 'redo'];
+
+class LocalAppDatabase {
+    /**
+     * @param {Object} options
+     * @param {Object} options.snapshot - {app, tables: {name: {schema, rows}}} as AppExporter exports it
+     * @param {Object} [options.storage] - {load(): Promise<Object|null>, save(tables): Promise} for the tables
+     * @param {Function} [options.onChange] - (change) => void after each write, shaped like AppPanel's data changes
+     */
+    constructor(options = {}) {
+        const snapshot = options.snapshot || {};
+        this.app = snapshot.app || null;
+        this.seed = snapshot.tables || {};
+        this.storage = options.storage || null;
+        this.onChange = options.onChange || (() => {});
+        this.tables = {}; // name -> {schema, rows, nextId}
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Load the saved tables, or the exported ones on first use
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const stored = this.storage ? await this.storage.load() : null;
+        const tables = stored || this.seed;
+
+        this.tables = {};
+        Object.entries(tables).forEach(([name, table]) => {
+            const rows = (table.rows || []).map(row => ({ ...row }));
+            this.tables[name] = {
+                schema: LocalAppDatabase.normalizeSchema(table.schema),
+                rows,
+                nextId: table.nextId || rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1
+            };
+        });
+    }
+
+    /**
+     * Run one of the app's database requests
+     * @param {string} method - electronAPI method name, as the app harness sends it
+     * @param {Object} data - The request's arguments
+     * @returns {Promise<*>} What the builder's electronAPI returns for the method
+     */
+    async handle(method, data = {}) {
+        if (BUILDER_ONLY_METHODS.includes(method)) {
+            throw new Error(`${method} is not available in an exported app`);
+        }
+
+        switch (method) {
+            case 'createTable':
+            case 'createTableWithOwner':
+                return this.createTable(data.tableName, data.schema);
+            case 'insertData':
+                return this.insertData(data.tableName, data.data);
+            case 'queryData':
+                return this.queryData(data.tableName, data.options);
+            case 'aggregate':
+                return this.aggregate(data.tableName, data.options);
+            case 'search':
+                return this.search(data.tableName, data.query, data.options);
+            case 'updateData':
+                return this.updateData(data.tableName, data.id, data.data);
+            case 'deleteData':
+                return this.deleteData(data.tableName, data.id);
+            case 'transaction':
+                return this.transaction(data.operations);
+            case 'listTables':
+                return { success: true, tables: Object.keys(this.tables).sort(), count: Object.keys(this.tables).length };
+            case 'getAllSchemas':
+                return { success: true, schemas: this.getAllSchemas() };
+            case 'getSchemaContext':
+                return { success: true, context: this.getSchemaContext() };
+            case 'getRelatedTables':
+                return { success: true, related: [] };
+            case 'registerApp':
+            case 'recordTableRelationship':
+                return { success: true };
+            case 'getAppInfo':
+                return this.app && data.appId === this.app.app_id
+                    ? { success: true, app: { ...this.app, tables: Object.keys(this.tables).map(name => ({ table_name: name })) } }
+                    : { success: false, error: 'App not found' };
+            case 'listApps':
+                return { success: true, apps: this.app ? [this.app] : [] };
+            default:
+                throw new Error(`Unknown method: ${method}`);
+        }
+    }
+
+    /**
+     * Create a table unless it exists
+     * @param {string} tableName
+     * @param {Object} schema - {columns} as an object or an array of {name, type, ...}
+     * @returns {Promise<{success: boolean, table?: string, error?: string}>}
+     */
+    async createTable(tableName, schema) {
+        try {
+            if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(tableName || '')) {
+                throw new Error('Invalid table name. Must start with letter and contain only letters, numbers, and underscores.');
+            }
+            if (!this.tables[tableName]) {
+                this.tables[tableName] = { schema: LocalAppDatabase.normalizeSchema(schema), rows: [], nextId: 1 };
+                this.commit({ table: tableName, action: 'create' });
+            }
+            return { success: true, table: tableName };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @returns {Promise<{success: boolean, id?: number, data?: Object, error?: string}>}
+     */
+    async insertData(tableName, data) {
+        try {
+            const result = this.applyInsert(tableName, data);
+            this.commit({ table: tableName, action: 'insert', id: result.id });
+            return { success: true, id: result.id, data: result.data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @returns {Promise<{success: boolean, id?: number, changes?: number, error?: string}>}
+     */
+    async updateData(tableName, id, data) {
+        try {
+            const changes = this.applyUpdate(tableName, id, data);
+            this.commit({ table: tableName, action: 'update', id });
+            return { success: true, id, changes };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @returns {Promise<{success: boolean, id?: number, changes?: number, error?: string}>}
+     */
+    async deleteData(tableName, id) {
+        try {
+            const changes = this.applyDelete(tableName, id);
+            this.commit({ table: tableName, action: 'delete', id });
+            return { success: true, id, changes };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Run writes all-or-nothing, like the builder's transaction()
+     * @param {Object[]} operations - {op: 'insert'|'update'|'delete', table, id, data}
+     * @returns {Promise<{success: boolean, results?: Object[], changes?: Object[], error?: string, operationIndex?: number}>}
+     */
+    async transaction(operations) {
+        if (!Array.isArray(operations) || operations.length === 0) {
+            return { success: false, error: 'transaction requires a non-empty array of operations' };
+        }
+
+        const before = this.copyTables();
+        const results = [];
+        const changes = [];
+        for (let index = 0; index < operations.length; index++) {
+            const operation = operations[index] || {};
+            try {
+                if (operation.op === 'insert') {
+                    const { id } = this.applyInsert(operation.table, operation.data);
+                    results.push({ success: true, id, changes: 1 });
+                    changes.push({ table: operation.table, action: 'insert', id });
+                } else if (operation.op === 'update' || operation.op === 'delete') {
+                    const count = operation.op === 'update'
+                        ? this.applyUpdate(operation.table, operation.id, operation.data)
+                        : this.applyDelete(operation.table, operation.id);
+                    results.push({ success: true, id: operation.id, changes: count });
+                    changes.push({ table: operation.table, action: operation.op, id: operation.id });
+                } else {
+                    throw new Error(`Unknown operation: ${operation.op}`);
+                }
+            } catch (error) {
+                this.tables = before;
+                return { success: false, error: `Operation ${index} failed: ${error.message}`, operationIndex: index };
+            }
+        }
+
+        const tables = [...new Set(changes.map(change => change.table))];
+        this.commit({ table: tables.length === 1 ? tables[0] : null, tables, action: 'batch', changes });
+        return { success: true, results, changes };
+    }
+
+    /**
+     * Rows of a table, like electronAPI.queryData (an empty array on errors)
+     * @param {string} tableName
+     * @param {Object} options - where, columns, orderBy, order, limit, offset
+     * @returns {Promise<Object[]>}
+     */
+    async queryData(tableName, options = {}) {
+        try {
+            const table = this.table(tableName);
+            let rows = this.filter(table.rows, options.where);
+
+            if (options.orderBy) {
+                rows = this.sort(rows, options.orderBy, options.order);
+            }
+            rows = this.page(rows, options.limit, options.offset);
+
+            const columns = options.columns ? [].concat(options.columns) : null;
+            return rows.map(row => {
+                const result = this.readRow(row, table.schema);
+                return columns ? Object.fromEntries(columns.map(column => [column, result[column]])) : result;
+            });
+        } catch (error) {
+            console.warn(`Failed to query ${tableName}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Count, sum, average, min or max rows, like electronAPI.aggregate
+     * @param {string} tableName
+     * @param {Object} options - count/sum/avg/min/max, where, groupBy, having, orderBy, limit
+     * @returns {Promise<Object[]>}
+     */
+    async aggregate(tableName, options = {}) {
+        const table = this.table(tableName);
+        const groupBy = options.groupBy ? [].concat(options.groupBy) : [];
+        const groups = new Map();
+
+        this.filter(table.rows, options.where).forEach(row => {
+            const key = JSON.stringify(groupBy.map(column => row[column]));
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(row);
+        });
+        if (groups.size === 0 && groupBy.length === 0) {
+            groups.set('[]', []);
+        }
+
+        let results = Array.from(groups.values(), rows => {
+            const result = {};
+            groupBy.forEach(column => {
+                result[column] = rows[0][column];
+            });
+            if (options.count) {
+                result.count = rows.length;
+            }
+            ['sum', 'avg', 'min', 'max'].forEach(fn => {
+                if (!options[fn]) {
+                    return;
+                }
+                [].concat(options[fn]).forEach(column => {
+                    const values = rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+                    result[`${fn}_${column}`] = LocalAppDatabase.aggregateValues(fn, values);
+                });
+            });
+            return result;
+        });
+
+        if (options.having) {
+            results = this.filter(results, options.having);
+        }
+        if (options.orderBy) {
+            results = this.sort(results, options.orderBy);
+        }
+        return this.page(results, options.limit, options.offset);
+    }
+
+    /**
+     * Word search over the columns created with searchable: true, like electronAPI.search
+     * @param {string} tableName
+     * @param {string} query - Plain text; the last word also matches as a prefix
+     * @param {Object} options - {limit, offset, highlight}
+     * @returns {Promise<Object[]>} Best matches first, with `_rank` (lower is better) and `_snippet`
+     */
+    async search(tableName, query, options = {}) {
+        const table = this.table(tableName);
+        const columns = Object.entries(table.schema.columns)
+            .filter(([, config]) => config && config.searchable)
+            .map(([name]) => name);
+        if (columns.length === 0) {
+            throw new Error(`Table '${tableName}' has no searchable columns. Mark columns with searchable: true in createTable.`);
+        }
+
+        const terms = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const matchesTerm = (word, index) => (index === terms.length - 1 ? word.startsWith(terms[index]) : word === terms[index]);
+        const ranked = [];
+        table.rows.forEach(row => {
+            const text = columns.map(column => (row[column] === null || row[column] === undefined ? '' : String(row[column]))).join(' … ');
+            const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+            const hits = terms.map((term, index) => words.filter(word => matchesTerm(word, index)).length);
+            if (hits.every(count => count > 0)) {
+                ranked.push({ row, text, score: hits.reduce((sum, count) => sum + count, 0) });
+            }
+        });
+
+        ranked.sort((a, b) => b.score - a.score || a.row.id - b.row.id);
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+        const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+        return ranked.slice(offset, offset + limit).map(({ row, text, score }) => {
+            const result = { ...this.readRow(row, table.schema), _rank: -score };
+            if (options.highlight) {
+                result._snippet = LocalAppDatabase.highlight(text, (word) => terms.some((term, index) => matchesTerm(word.toLowerCase(), index)));
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Table schemas in the shape of electronAPI.getAllSchemas
+     * @returns {Object} name -> {columns, owner, relationships}
+     */
+    getAllSchemas() {
+        const owner = this.app ? { appId: this.app.app_id, appName: this.app.app_name, description: this.app.description } : null;
+        return Object.fromEntries(Object.entries(this.tables).map(([name, table]) => [
+            name,
+            { ...table.schema, owner, relationships: [] }
+        ]));
+    }
+
+    /**
+     * Short text description of the tables
+     * @returns {string}
+     */
+    getSchemaContext() {
+        return Object.entries(this.tables).map(([name, table]) => {
+            const columns = Object.entries(table.schema.columns).map(([column, config]) => `${column} (${config.type || 'string'})`);
+            return `Table ${name}: id, ${columns.join(', ')}, created_at, updated_at — ${table.rows.length} rows`;
+        }).join('\n');
+    }
+
+    /**
+     * @param {string} tableName
+     * @returns {{schema: Object, rows: Object[], nextId: number}}
+     * @private
+     */
+    table(tableName) {
+        const table = Object.prototype.hasOwnProperty.call(this.tables, tableName) ? this.tables[tableName] : null;
+        if (!table) {
+            throw new Error(`no such table: ${tableName}`);
+        }
+        return table;
+    }
+
+    /**
+     * @private
+     */
+    applyInsert(tableName, data) {
+        const table = this.table(tableName);
+        const values = this.writeValues(data || {}, table.schema);
+
+        Object.entries(table.schema.columns).forEach(([column, config]) => {
+            if (values[column] === undefined && config.default !== undefined && config.default !== null) {
+                values[column] = config.default;
+            }
+            if ((values[column] === undefined || values[column] === null) && config.required) {
+                throw new Error(`NOT NULL constraint failed: ${tableName}.${column}`);
+            }
+        });
+
+        const now = LocalAppDatabase.timestamp();
+        const id = table.nextId++;
+        table.rows.push({ id, ...values, created_at: now, updated_at: now });
+        return { id, data: values };
+    }
+
+    /**
+     * @returns {number} Rows changed
+     * @private
+     */
+    applyUpdate(tableName, id, data) {
+        const table = this.table(tableName);
+        const values = this.writeValues(data || {}, table.schema);
+        const row = table.rows.find(candidate => String(candidate.id) === String(id));
+        if (!row) {
+            return 0;
+        }
+        Object.entries(values).forEach(([column, value]) => {
+            if ((value === null || value === undefined) && table.schema.columns[column].required) {
+                throw new Error(`NOT NULL constraint failed: ${tableName}.${column}`);
+            }
+        });
+        Object.assign(row, values, { updated_at: LocalAppDatabase.timestamp() });
+        return 1;
+    }
+
+    /**
+     * @returns {number} Rows deleted
+     * @private
+     */
+    applyDelete(tableName, id) {
+        const table = this.table(tableName);
+        const index = table.rows.findIndex(row => String(row.id) === String(id));
+        if (index === -1) {
+            return 0;
+        }
+        table.rows.splice(index, 1);
+        return 1;
+    }
+
+    /**
+     * Keep the schema's columns and convert values the way the builder stores them
+     * @private
+     */
+    writeValues(data, schema) {
+        const values = {};
+        Object.entries(data).forEach(([column, value]) => {
+            const config = schema.columns[column];
+            if (!config) {
+                return;
+            }
+            if (value === null || value === undefined) {
+                values[column] = null;
+            } else if (config.type === 'boolean') {
+                values[column] = value ? 1 : 0;
+            } else if (config.type === 'json') {
+                values[column] = typeof value === 'string' ? value : JSON.stringify(value);
+            } else if (config.type === 'integer') {
+                values[column] = parseInt(value, 10);
+            } else if (config.type === 'number') {
+                values[column] = parseFloat(value);
+            } else {
+                values[column] = value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * A stored row as the app reads it
+     * @private
+     */
+    readRow(row, schema) {
+        const result = { ...row };
+        Object.entries(schema.columns).forEach(([column, config]) => {
+            if (row[column] === null || row[column] === undefined) {
+                return;
+            }
+            if (config.type === 'boolean') {
+                result[column] = row[column] === 1;
+            } else if (config.type === 'json') {
+                try {
+                    result[column] = JSON.parse(row[column]);
+                } catch (error) {
+                    result[column] = row[column];
+                }
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Rows matching query conditions ({column: value | {$op: value}}, $and, $or)
+     * @private
+     */
+    filter(rows, where) {
+        if (!where) {
+            return rows.slice();
+        }
+        return rows.filter(row => this.matches(row, where));
+    }
+
+    /**
+     * @private
+     */
+    matches(row, conditions) {
+        if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+            throw new Error('Query conditions must be an object');
+        }
+
+        return Object.entries(conditions).every(([key, value]) => {
+            if (key === '$and' || key === '$or') {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new Error(`${key} requires a non-empty array of conditions`);
+                }
+                return key === '$and'
+                    ? value.every(group => this.matches(row, group))
+                    : value.some(group => this.matches(row, group));
+            }
+
+            const actual = row[key] === undefined ? null : row[key];
+            if (value === null) {
+                return actual === null;
+            }
+            if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+                return Object.entries(value).every(([op, operand]) => LocalAppDatabase.compareOperator(actual, op, operand));
+            }
+            return actual !== null && LocalAppDatabase.compare(actual, LocalAppDatabase.toStored(value)) === 0;
+        });
+    }
+
+    /**
+     * Sort by an ORDER BY string such as 'priority DESC, title'
+     * @private
+     */
+    sort(rows, orderBy, order) {
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*(?:\s+(?:ASC|DESC))?(?:\s*,\s*[a-zA-Z_][a-zA-Z0-9_]*(?:\s+(?:ASC|DESC))?)*$/i.test(String(orderBy).trim())) {
+            return rows;
+        }
+
+        const keys = String(orderBy).split(',').map(part => {
+            const [column, direction] = part.trim().split(/\s+/);
+            return { column, descending: direction ? direction.toUpperCase() === 'DESC' : false };
+        });
+        if (order && String(order).toLowerCase() === 'desc' && !/desc/i.test(orderBy)) {
+            keys[keys.length - 1].descending = true;
+        }
+
+        return rows.slice().sort((a, b) => {
+            for (const { column, descending } of keys) {
+                const result = LocalAppDatabase.compare(a[column], b[column]);
+                if (result !== 0) {
+                    return descending ? -result : result;
+                }
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * @private
+     */
+    page(rows, limit, offset) {
+        const count = parseInt(limit, 10);
+        if (isNaN(count) || count <= 0) {
+            return rows;
+        }
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+        return rows.slice(start, start + count);
+    }
+
+    /**
+     * Record a write: tell the page and save the tables
+     * @private
+     */
+    commit(change) {
+        this.onChange(change);
+        if (this.storage) {
+            const tables = this.copyTables();
+            this.saving = this.saving
+                .then(() => this.storage.save(tables))
+                .catch(error => console.warn('Failed to save the app data:', error));
+        }
+    }
+
+    /**
+     * @private
+     */
+    copyTables() {
+        return Object.fromEntries(Object.entries(this.tables).map(([name, table]) => [
+            name,
+            { schema: table.schema, rows: table.rows.map(row => ({ ...row })), nextId: table.nextId }
+        ]));
+    }
+
+    /**
+     * Schema with columns as an object, as the builder stores it
+     * @param {Object} schema - {columns} as an object or an array of names / {name, type, ...}
+     * @returns {{columns: Object}}
+     */
+    static normalizeSchema(schema) {
+        if (!schema || !schema.columns) {
+            return { ...(schema || {}), columns: {} };
+        }
+        if (!Array.isArray(schema.columns)) {
+            return schema;
+        }
+
+        const columns = {};
+        schema.columns.forEach(column => {
+            if (typeof column === 'string') {
+                columns[column] = { type: 'string' };
+            } else if (column && column.name) {
+                const { name, ...config } = column;
+                config.type = config.type ? String(config.type).toLowerCase() : 'string';
+                columns[name] = config;
+            }
+        });
+        return { ...schema, columns };
+    }
+
+    /**
+     * SQLite's ordering: NULL, then numbers, then text
+     * @returns {number}
+     */
+    static compare(a, b) {
+        const rank = (value) => (value === null || value === undefined ? 0 : typeof value === 'number' ? 1 : 2);
+        if (rank(a) !== rank(b)) {
+            return rank(a) - rank(b);
+        }
+        if (rank(a) === 0) {
+            return 0;
+        }
+        if (rank(a) === 1) {
+            return a - b;
+        }
+        const left = String(a);
+        const right = String(b);
+        return left < right ? -1 : left > right ? 1 : 0;
+    }
+
+    /**
+     * @private
+     */
+    static compareOperator(actual, op, operand) {
+        const value = LocalAppDatabase.toStored(operand);
+        switch (op) {
+            case '$eq':
+                return value === null ? actual === null : actual !== null && LocalAppDatabase.compare(actual, value) === 0;
+            case '$ne':
+                return value === null ? actual !== null : actual === null || LocalAppDatabase.compare(actual, value) !== 0;
+            case '$gt':
+                return actual !== null && value !== null && LocalAppDatabase.compare(actual, value) > 0;
+            case '$lt':
+                return actual !== null && value !== null && LocalAppDatabase.compare(actual, value) < 0;
+            case '$gte':
+                return actual !== null && value !== null && LocalAppDatabase.compare(actual, value) >= 0;
+            case '$lte':
+                return actual !== null && value !== null && LocalAppDatabase.compare(actual, value) <= 0;
+            case '$like':
+                return actual !== null && LocalAppDatabase.likePattern(String(operand)).test(String(actual));
+            case '$in':
+            case '$nin': {
+                if (!Array.isArray(operand)) {
+                    throw new Error(`${op} requires an array`);
+                }
+                const found = actual !== null && operand.some(item => LocalAppDatabase.compare(actual, LocalAppDatabase.toStored(item)) === 0);
+                return op === '$in' ? found : !found && actual !== null;
+            }
+            case '$between':
+                if (!Array.isArray(operand) || operand.length !== 2) {
+                    throw new Error('$between requires an array of two values');
+                }
+                return actual !== null
+                    && LocalAppDatabase.compare(actual, LocalAppDatabase.toStored(operand[0])) >= 0
+                    && LocalAppDatabase.compare(actual, LocalAppDatabase.toStored(operand[1])) <= 0;
+            case '$null':
+                return operand ? actual === null : actual !== null;
+            default:
+                throw new Error(`Unsupported query operator: ${op}`);
+        }
+    }
+
+    /**
+     * A query value as SQLite compares it
+     * @private
+     */
+    static toStored(value) {
+        if (value === undefined) {
+            return null;
+        }
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        return value;
+    }
+
+    /**
+     * LIKE pattern (% and _, case-insensitive) as a regular expression
+     * @private
+     */
+    static likePattern(pattern) {
+        const source = pattern
+            .split('')
+            .map(char => (char === '%' ? '.*' : char === '_' ? '.' : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+            .join('');
+        return new RegExp(`^${source}$`, 'is');
+    }
+
+    /**
+     * @private
+     */
+    static aggregateValues(fn, values) {
+        if (values.length === 0) {
+            return null;
+        }
+        const numbers = values.map(Number);
+        switch (fn) {
+            case 'sum':
+                return numbers.reduce((sum, value) => sum + value, 0);
+            case 'avg':
+                return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+            case 'min':
+                return values.reduce((min, value) => (LocalAppDatabase.compare(value, min) < 0 ? value : min));
+            default:
+                return values.reduce((max, value) => (LocalAppDatabase.compare(value, max) > 0 ? value : max));
+        }
+    }
+
+    /**
+     * HTML-escaped text with the matching words in <mark>
+     * @private
+     */
+    static highlight(text, isMatch) {
+        const escape = (value) => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+        return text.split(/([\p{L}\p{N}]+)/u)
+            .map((part, index) => (index % 2 === 1 && isMatch(part) ? `<mark>${escape(part)}</mark>` : escape(part)))
+            .join('');
+    }
+
+    /**
+     * CURRENT_TIMESTAMP format: 'YYYY-MM-DD HH:MM:SS' in UTC
+     * @private
+     */
+    static timestamp() {
+        return new Date().toISOString().slice(0, 19).replace('T', ' ');
+    }
+
+    /**
+     * Storage that keeps the tables in the page's IndexedDB
+     * @param {string} name - Database name, one per exported app
+     * @returns {{load(): Promise<Object|null>, save(tables: Object): Promise}}
+     */
+    static indexedDbStorage(name) {
+        const openDb = () => new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('state');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        const run = async (mode, action) => {
+            const db = await openDb();
+            try {
+                return await new Promise((resolve, reject) => {
+                    const request = action(db.transaction('state', mode).objectStore('state'));
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            } finally {
+                db.close();
+            }
+        };
+
+        return {
+            load: async () => (await run('readonly', store => store.get('tables'))) || null,
+            save: (tables) => run('readwrite', store => store.put(tables, 'tables'))
+        };
+    }
+}
+
+// Export for use in exported apps
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalAppDatabase;
+} else if (typeof window !== 'undefined') {
+    window.LocalAppDatabase = LocalAppDatabase;
+}
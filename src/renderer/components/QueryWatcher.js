@@ -0,0 +1,199 @@
+/**
+ * QueryWatcher - Live queries for an app panel
+ * Re-runs watched queryData calls when their tables change and delivers the
+ * difference to the previous result instead of the full result set
+ */
+
+class QueryWatcher {
+    /**
+     * @param {Object} options
+     * @param {Function} options.query - async (tableName, options) => rows, like electronAPI.queryData
+     * @param {Function} options.deliver - (watchId, {diff} | {error}) => void
+     * @param {number} options.debounce - ms to wait so rapid changes cause one re-query
+     */
+    constructor(options = {}) {
+        this.query = options.query;
+        this.deliver = options.deliver || (() => {});
+        this.debounce = options.debounce ?? 50;
+        this.watches = new Map(); // watchId -> watch state
+    }
+
+    /**
+     * Start watching a query. The first delivery lists every row as added.
+     * @param {string} watchId - Caller-chosen id
+     * @param {string} tableName - Table to query
+     * @param {Object} options - queryData options (where, orderBy, limit...)
+     * @returns {Promise<{success: boolean, watchId: string, count: number}>}
+     */
+    async watch(watchId, tableName, options = {}) {
+        if (!watchId || !tableName) {
+            throw new Error('watchQuery requires a table name');
+        }
+        this.unwatch(watchId);
+
+        // Rows are matched by id, so a column projection must include it
+        const queryOptions = { ...options };
+        if (queryOptions.columns) {
+            const columns = [].concat(queryOptions.columns);
+            queryOptions.columns = columns.includes('id') ? columns : ['id', ...columns];
+        }
+
+        const watch = {
+            watchId,
+            tableName,
+            options: queryOptions,
+            rows: new Map(), // id -> {row, json}
+            timer: null,
+            running: null,
+            stale: false
+        };
+        this.watches.set(watchId, watch);
+
+        await this.refresh(watch, true);
+        return { success: true, watchId, count: watch.rows.size };
+    }
+
+    /**
+     * Stop watching
+     * @param {string} watchId
+     * @returns {boolean} - Whether the watch existed
+     */
+    unwatch(watchId) {
+        const watch = this.watches.get(watchId);
+        if (!watch) {
+            return false;
+        }
+        clearTimeout(watch.timer);
+        this.watches.delete(watchId);
+        return true;
+    }
+
+    /**
+     * Schedule a re-query of the watches a data change may affect
+     * @param {Object} change - Change as DataChangeBroadcaster delivers it
+     */
+    handleChange(change) {
+        const tables = Array.isArray(change.tables) ? change.tables : (change.table ? [change.table] : []);
+
+        this.watches.forEach(watch => {
+            // A resync without tables means anything may have changed
+            const relevant = tables.includes(watch.tableName) || (change.action === 'resync' && tables.length === 0);
+            if (!relevant) {
+                return;
+            }
+
+            clearTimeout(watch.timer);
+            watch.timer = setTimeout(() => {
+                watch.timer = null;
+                this.refresh(watch);
+            }, this.debounce);
+        });
+    }
+
+    /**
+     * Re-run a watch's query and deliver the diff, if there is one
+     * @param {Object} watch - Watch state
+     * @param {boolean} initial - First run: deliver even when empty
+     */
+    async refresh(watch, initial = false) {
+        // One query at a time per watch; changes that arrive meanwhile re-run it once more
+        if (watch.running) {
+            watch.stale = true;
+            return watch.running;
+        }
+
+        watch.running = (async () => {
+            try {
+                const rows = await this.query(watch.tableName, watch.options);
+                if (!Array.isArray(rows)) {
+                    throw new Error('Query did not return rows');
+                }
+                if (this.watches.get(watch.watchId) !== watch) {
+                    return;
+                }
+
+                const diff = this.diff(watch.rows, rows);
+                watch.rows = diff.rows;
+                delete diff.rows;
+
+                if (initial || diff.added.length > 0 || diff.updated.length > 0 || diff.removed.length > 0) {
+                    this.deliver(watch.watchId, { diff: { ...diff, initial, count: watch.rows.size } });
+                }
+            } catch (error) {
+                if (initial) {
+                    this.watches.delete(watch.watchId);
+                    throw error;
+                }
+                this.deliver(watch.watchId, { error: error.message });
+            }
+        })();
+
+        try {
+            await watch.running;
+        } finally {
+            watch.running = null;
+        }
+
+        if (watch.stale && this.watches.get(watch.watchId) === watch) {
+            watch.stale = false;
+            await this.refresh(watch);
+        }
+    }
+
+    /**
+     * Compare a new result with the previous one
+     * @param {Map} previous - id -> {row, json}
+     * @param {Object[]} rows - New result
+     * @returns {{added: Object[], updated: Object[], removed: Object[], order: Array, rows: Map}}
+     *   order lists the ids in result order
+     */
+    diff(previous, rows) {
+        const next = new Map();
+        const added = [];
+        const updated = [];
+
+        rows.forEach(row => {
+            const json = JSON.stringify(row);
+            const before = previous.get(row.id);
+            next.set(row.id, { row, json });
+
+            if (!before) {
+                added.push(row);
+            } else if (before.json !== json) {
+                updated.push(row);
+            }
+        });
+
+        const removed = [];
+        previous.forEach((entry, id) => {
+            if (!next.has(id)) {
+                removed.push(entry.row);
+            }
+        });
+
+        return { added, updated, removed, order: rows.map(row => row.id), rows: next };
+    }
+
+    /**
+     * Stop every watch (e.g. when the app's iframe goes away)
+     */
+    clear() {
+        this.watches.forEach(watch => clearTimeout(watch.timer));
+        this.watches.clear();
+    }
+
+    /**
+     * Number of active watches
+     * @returns {number}
+     */
+    get size() {
+        return this.watches.size;
+    }
+}
+
+// Export for use in renderer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueryWatcher;
+} else if (typeof window !== 'undefined') {
+    window.QueryWatcher = QueryWatcher;
+}
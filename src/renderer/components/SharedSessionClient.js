@@ -0,0 +1,412 @@
+/**
+ * SharedSessionClient - The window's side of a shared builder session
+ * Keeps the prompt and code editors in step with the session's shared
+ * documents. Each document is edited through an OperationClient: input in the
+ * editor becomes an operation for the host, and the host's changes are
+ * applied to the editor with the caret moved past them. Other participants'
+ * cursors are drawn over the editors in their colors.
+ */
+
+// Styles the caret measurement copies from the editor
+const MIRROR_PROPERTIES = [
+    'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+    'tabSize', 'textIndent', 'textTransform', 'wordSpacing'
+];
+
+class SharedSessionClient {
+    /**
+     * @param {Object} options
+     * @param {Object<string, HTMLTextAreaElement>} options.editors - Editor of each shared document by name (prompt, code)
+     * @param {Function} options.send - (message) => Promise, like electronAPI.sendSharedSessionMessage
+     * @param {Function} [options.onChange] - (name, content) => void after a document changed
+     * @param {Function} [options.onEvent] - (message) => void for session, participant, chat and database messages
+     * @param {Object} [options.operations] - {TextOperation, OperationClient}; the window's globals by default
+     * @param {number} [options.cursorThrottle] - ms between cursor updates sent
+     * @param {number} [options.syncInterval] - ms between checks for editor values set by code
+     */
+    constructor(options = {}) {
+        const operations = options.operations || (typeof window !== 'undefined' ? window : {});
+        this.TextOperation = operations.TextOperation;
+        this.OperationClient = operations.OperationClient;
+        this.editors = options.editors || {};
+        this.send = options.send;
+        this.onChange = options.onChange || (() => {});
+        this.onEvent = options.onEvent || (() => {});
+        this.cursorThrottle = options.cursorThrottle ?? 100;
+        this.syncInterval = options.syncInterval ?? 500;
+
+        this.documents = new Map(); // documentId -> {id, name, editor, client, cursors: Map(userId -> {start, end, color}), overlay}
+        this.participants = new Map(); // userId -> {id, name, role, color, host}
+        this.self = null; // {id, role}
+        this.listeners = [];
+        this.cursorTimer = null;
+        this.pendingCursor = null;
+        this.syncTimer = null;
+        this.mirror = null;
+    }
+
+    /**
+     * 'editor', 'viewer', or null before the session state arrived
+     * @returns {string|null}
+     */
+    get role() {
+        return this.self ? this.self.role : null;
+    }
+
+    /**
+     * Handle a message from electronAPI.onSharedSessionMessage
+     * @param {Object} message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'session-state':
+                this.setState(message);
+                break;
+            case 'document-changed':
+                this.applyRemoteChange(message.documentId, message.change);
+                break;
+            case 'document-change-ack': {
+                const doc = this.documents.get(message.documentId);
+                if (doc) doc.client.receiveAck(message);
+                break;
+            }
+            case 'cursor-updated':
+                this.moveCursor(message.documentId, message.userId, message.position, message.color);
+                this.onEvent(message);
+                break;
+            case 'user-joined':
+                this.participants.set(message.userId, {
+                    id: message.userId,
+                    name: message.name || message.userId,
+                    role: message.role || 'editor',
+                    color: message.color,
+                    host: false
+                });
+                this.onEvent(message);
+                break;
+            case 'user-left': {
+                const participant = this.participants.get(message.userId);
+                this.participants.delete(message.userId);
+                this.documents.forEach(doc => {
+                    if (doc.cursors.delete(message.userId)) this.renderCursors(doc);
+                });
+                this.onEvent({ ...message, name: participant ? participant.name : message.userId });
+                break;
+            }
+            default:
+                // chat-message, database-changed, permission-denied, session-ended...
+                this.onEvent(message);
+        }
+    }
+
+    /**
+     * Start editing the documents of the session state the host sent
+     * @private
+     */
+    setState(message) {
+        this.detach();
+        this.self = message.you || null;
+        this.participants = new Map((message.participants || []).map(participant => [participant.id, participant]));
+
+        for (const shared of message.documents || []) {
+            const editor = this.editors[shared.name];
+            if (!editor || !this.self) continue;
+
+            const doc = {
+                id: shared.id,
+                name: shared.name,
+                editor,
+                cursors: new Map(),
+                overlay: null,
+                client: new this.OperationClient({
+                    clientId: this.self.id,
+                    content: shared.content,
+                    version: shared.version,
+                    vector: shared.vector,
+                    send: (change) => this.send({ type: 'document-change', documentId: shared.id, change })
+                })
+            };
+            for (const [userId, cursor] of shared.cursors || []) {
+                if (userId !== this.self.id && cursor && cursor.position) {
+                    doc.cursors.set(userId, { ...this.clampRange(cursor.position, shared.content.length), color: cursor.color });
+                }
+            }
+            this.documents.set(shared.id, doc);
+
+            editor.value = shared.content;
+            editor.readOnly = this.role !== 'editor';
+            this.listen(editor, 'input', () => this.syncDocument(doc));
+            for (const type of ['select', 'keyup', 'click', 'focus']) {
+                this.listen(editor, type, () => this.reportCursor(doc));
+            }
+            this.listen(editor, 'scroll', () => this.renderCursors(doc));
+
+            this.onChange(shared.name, shared.content);
+            this.renderCursors(doc);
+        }
+
+        // Editor values set by code fire no input event
+        if (this.syncInterval > 0) {
+            this.syncTimer = setInterval(() => this.sync(), this.syncInterval);
+        }
+        this.onEvent(message);
+    }
+
+    /**
+     * Replace a document's text, e.g. with newly generated code
+     * @param {string} name - Document name (prompt, code)
+     * @param {string} text
+     * @returns {boolean} Whether the document is shared and may be edited
+     */
+    replace(name, text) {
+        const doc = this.findDocument(name);
+        if (!doc || this.role !== 'editor') return false;
+        doc.editor.value = text;
+        this.syncDocument(doc);
+        return true;
+    }
+
+    /**
+     * Send whatever the editors hold that the documents don't
+     */
+    sync() {
+        this.documents.forEach(doc => this.syncDocument(doc));
+    }
+
+    /**
+     * @private
+     */
+    syncDocument(doc) {
+        const { editor, client } = doc;
+        if (editor.value === client.content) return;
+
+        // A viewer's editor only shows the session's text
+        if (this.role !== 'editor') {
+            editor.value = client.content;
+            return;
+        }
+
+        const operation = this.TextOperation.fromDiff(client.content, editor.value);
+        client.applyLocal(operation);
+        this.shiftCursors(doc, operation);
+        this.onChange(doc.name, client.content);
+        this.reportCursor(doc);
+    }
+
+    /**
+     * @private
+     */
+    applyRemoteChange(documentId, change) {
+        const doc = this.documents.get(documentId);
+        if (!doc) return;
+        // Local input the host doesn't know of yet goes first
+        this.syncDocument(doc);
+
+        const { editor, client } = doc;
+        const { selectionStart, selectionEnd, scrollTop } = editor;
+        const operation = client.receiveServer(change);
+
+        editor.value = client.content;
+        editor.setSelectionRange(operation.transformIndex(selectionStart), operation.transformIndex(selectionEnd));
+        editor.scrollTop = scrollTop;
+
+        this.shiftCursors(doc, operation);
+        this.onChange(doc.name, client.content);
+    }
+
+    /**
+     * @private
+     */
+    moveCursor(documentId, userId, position, color) {
+        const doc = this.documents.get(documentId);
+        if (!doc || !position || (this.self && userId === this.self.id)) return;
+
+        // A participant's cursor is in one document at a time
+        this.documents.forEach(other => {
+            if (other !== doc && other.cursors.delete(userId)) this.renderCursors(other);
+        });
+        doc.cursors.set(userId, { ...this.clampRange(position, doc.client.content.length), color });
+        this.renderCursors(doc);
+    }
+
+    /**
+     * Move other participants' cursors past a change
+     * @private
+     */
+    shiftCursors(doc, operation) {
+        doc.cursors.forEach(cursor => {
+            cursor.start = operation.transformIndex(cursor.start);
+            cursor.end = operation.transformIndex(cursor.end);
+        });
+        this.renderCursors(doc);
+    }
+
+    /**
+     * Send our caret, at most once per cursorThrottle
+     * @private
+     */
+    reportCursor(doc) {
+        if (this.cursorTimer) {
+            this.pendingCursor = doc;
+            return;
+        }
+        this.send({
+            type: 'cursor-update',
+            documentId: doc.id,
+            position: { start: doc.editor.selectionStart, end: doc.editor.selectionEnd }
+        });
+        this.cursorTimer = setTimeout(() => {
+            this.cursorTimer = null;
+            const pending = this.pendingCursor;
+            this.pendingCursor = null;
+            if (pending && this.documents.has(pending.id)) this.reportCursor(pending);
+        }, this.cursorThrottle);
+    }
+
+    /**
+     * Where a participant is, for the participant list
+     * @param {string} userId
+     * @returns {{document: string, line: number, column: number}|null}
+     */
+    locate(userId) {
+        for (const doc of this.documents.values()) {
+            const cursor = doc.cursors.get(userId);
+            if (cursor) {
+                const before = doc.client.content.slice(0, cursor.end).split('\n');
+                return { document: doc.name, line: before.length, column: before[before.length - 1].length + 1 };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Draw other participants' carets over the editor
+     * @private
+     */
+    renderCursors(doc) {
+        const { editor } = doc;
+        if (!editor.ownerDocument || !editor.parentNode) return;
+
+        if (!doc.overlay) {
+            doc.overlay = editor.ownerDocument.createElement('div');
+            doc.overlay.className = 'shared-cursor-overlay';
+            editor.parentNode.insertBefore(doc.overlay, editor.nextSibling);
+        }
+        const overlay = doc.overlay;
+        overlay.style.top = `${editor.offsetTop}px`;
+        overlay.style.left = `${editor.offsetLeft}px`;
+        overlay.style.width = `${editor.offsetWidth}px`;
+        overlay.style.height = `${editor.offsetHeight}px`;
+        overlay.textContent = '';
+
+        doc.cursors.forEach((cursor, userId) => {
+            const point = this.caretPoint(editor, cursor.end);
+            const participant = this.participants.get(userId);
+            const caret = editor.ownerDocument.createElement('div');
+            caret.className = 'shared-cursor';
+            caret.style.top = `${point.top}px`;
+            caret.style.left = `${point.left}px`;
+            caret.style.height = `${point.height}px`;
+            caret.style.borderColor = cursor.color || '#888';
+
+            const label = editor.ownerDocument.createElement('span');
+            label.className = 'shared-cursor-label';
+            label.textContent = participant ? participant.name : userId;
+            label.style.background = cursor.color || '#888';
+            caret.appendChild(label);
+            overlay.appendChild(caret);
+        });
+    }
+
+    /**
+     * Position of a character in the editor's box, measured with a hidden
+     * copy of the editor
+     * @private
+     */
+    caretPoint(editor, index) {
+        const ownerDocument = editor.ownerDocument;
+        const style = ownerDocument.defaultView.getComputedStyle(editor);
+        if (!this.mirror) {
+            this.mirror = ownerDocument.createElement('div');
+            this.mirror.setAttribute('aria-hidden', 'true');
+            ownerDocument.body.appendChild(this.mirror);
+        }
+        const mirror = this.mirror;
+        MIRROR_PROPERTIES.forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        Object.assign(mirror.style, {
+            position: 'absolute', visibility: 'hidden', top: '0', left: '-9999px',
+            whiteSpace: 'pre-wrap', overflowWrap: 'break-word', overflow: 'hidden', borderStyle: 'solid'
+        });
+
+        mirror.textContent = editor.value.slice(0, index);
+        const marker = ownerDocument.createElement('span');
+        marker.textContent = editor.value.slice(index, index + 1) || '.';
+        mirror.appendChild(marker);
+
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+        return {
+            top: marker.offsetTop - editor.scrollTop,
+            left: marker.offsetLeft - editor.scrollLeft,
+            height: lineHeight
+        };
+    }
+
+    /**
+     * @private
+     */
+    clampRange(position, length) {
+        const clamp = (value) => Math.max(0, Math.min(length, Number.isInteger(value) ? value : 0));
+        return { start: clamp(position.start), end: clamp(position.end ?? position.start) };
+    }
+
+    /**
+     * @private
+     */
+    findDocument(name) {
+        for (const doc of this.documents.values()) {
+            if (doc.name === name) return doc;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    /**
+     * Stop editing the shared documents; the editors keep their text
+     */
+    detach() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        clearInterval(this.syncTimer);
+        clearTimeout(this.cursorTimer);
+        this.syncTimer = null;
+        this.cursorTimer = null;
+        this.pendingCursor = null;
+        this.documents.forEach(doc => {
+            doc.editor.readOnly = false;
+            if (doc.overlay) doc.overlay.remove();
+        });
+        if (this.mirror) {
+            this.mirror.remove();
+            this.mirror = null;
+        }
+        this.documents.clear();
+    }
+}
+
+// Export for use in renderer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedSessionClient;
+} else if (typeof window !== 'undefined') {
+    window.SharedSessionClient = SharedSessionClient;
+}
@@ -0,0 +1,101 @@
+/**
+ * TablePermissionPrompt - Asks whether an app may use a table owned by another app
+ * Shared by the main window and detached app windows so both show the same
+ * modal (#tablePermissionModal) and grant the same access. Prompts are shown
+ * one at a time; "Allow" grants only what the app asked for, "Read Only" is
+ * offered when it asked for more.
+ */
+
+const TABLE_ACTIONS = { read: 'read', write: 'change data in', schema: 'change the structure of' };
+
+class TablePermissionPrompt {
+    /**
+     * @param {Object} elements
+     * @param {HTMLElement} elements.modal
+     * @param {HTMLElement} elements.message
+     * @param {HTMLElement} elements.allowButton
+     * @param {HTMLElement} elements.readButton
+     * @param {HTMLElement} elements.denyButton
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.queue = Promise.resolve();
+        this.pending = null;
+
+        elements.allowButton.addEventListener('click', () => this.answer('allow'));
+        elements.readButton.addEventListener('click', () => this.answer('read'));
+        elements.denyButton.addEventListener('click', () => this.answer('deny'));
+    }
+
+    /**
+     * The prompt over the modal of a page (index.html, app-window.html)
+     * @param {Document} doc
+     * @returns {TablePermissionPrompt}
+     */
+    static fromDocument(doc) {
+        return new TablePermissionPrompt({
+            modal: doc.getElementById('tablePermissionModal'),
+            message: doc.getElementById('tablePermissionMessage'),
+            allowButton: doc.getElementById('allowTableAccessBtn'),
+            readButton: doc.getElementById('allowTableReadBtn'),
+            denyButton: doc.getElementById('denyTableAccessBtn')
+        });
+    }
+
+    /**
+     * Permissions to store for a choice
+     * @param {Object} request - {access}
+     * @param {string} choice - 'allow', 'read' or 'deny'
+     * @returns {{read: boolean, write: boolean, schema: boolean}|null} null when denied
+     */
+    static grantFor(request, choice) {
+        if (choice === 'deny') {
+            return null;
+        }
+        if (choice === 'read') {
+            return { read: true, write: false, schema: false };
+        }
+        // Only the access the app asked for (write and schema changes include reading)
+        return { read: true, write: request.access !== 'read', schema: request.access === 'schema' };
+    }
+
+    /**
+     * Ask the user, after any prompt already showing
+     * @param {Object} request - {appId, appName, tableName, owner, access}
+     * @returns {Promise<{read: boolean, write: boolean, schema: boolean}|null>} null when denied
+     */
+    prompt(request) {
+        const ask = () => new Promise(resolve => {
+            const { modal, message, readButton } = this.elements;
+            message.textContent =
+                `"${request.appName || request.appId}" wants to ${TABLE_ACTIONS[request.access]} the table "${request.tableName}", which belongs to app "${request.owner}".`;
+            readButton.style.display = request.access === 'read' ? 'none' : '';
+            this.pending = { request, resolve };
+            modal.style.display = 'flex';
+        });
+
+        const answer = this.queue.then(ask);
+        this.queue = answer.catch(() => {});
+        return answer;
+    }
+
+    /**
+     * Close the prompt with the user's choice
+     * @param {string} choice - 'allow', 'read' or 'deny'
+     */
+    answer(choice) {
+        const pending = this.pending;
+        this.pending = null;
+        this.elements.modal.style.display = 'none';
+        if (pending) {
+            pending.resolve(TablePermissionPrompt.grantFor(pending.request, choice));
+        }
+    }
+}
+
+// Export for use in renderer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TablePermissionPrompt;
+} else if (typeof window !== 'undefined') {
+    window.TablePermissionPrompt = TablePermissionPrompt;
+}
@@ -6,6 +6,7 @@ class DynamicAppRenderer {
     constructor() {
         this.currentSession = null;
         this.currentCode = null;
+        this.activeStreamId = null;
         this.currentPackages = [];
         this.isApiConfigured = false;
         this.secureDOMExecutor = null;
@@ -20,6 +21,11 @@ class DynamicAppRenderer {
         // Security manager for password protection and session timeout
         this.securityManager = null;
 
+        // Builder session shared with teammates ('host' or 'guest' while active)
+        this.sharedSessionClient = null;
+        this.sharedSessionMode = null;
+        this.sharedSessionName = null;
+
         // Performance optimization
         if (window.UIPerformanceMonitor) {
             this.performanceMonitor = window.UIPerformanceMonitor;
@@ -32,6 +38,7 @@ class DynamicAppRenderer {
         this.initializeSecureExecution();
         this.initializeTheme();
         this.initializeMultiAppRuntime();
+        this.initializeSharedSession();
         this.initializeSecurity();
         this.initializeApiKey();
     }
@@ -102,11 +109,23 @@ class DynamicAppRenderer {
         this.tablesList = document.getElementById('tablesList');
         this.createTableBtn = document.getElementById('createTableBtn');
         this.exportDatabaseBtn = document.getElementById('exportDatabaseBtn');
+        this.importDataBtn = document.getElementById('importDataBtn');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportTableBtn = document.getElementById('exportTableBtn');
         this.dataPanel = document.getElementById('dataPanel');
         this.currentTableName = document.getElementById('currentTableName');
         this.addRecordBtn = document.getElementById('addRecordBtn');
         this.refreshDataBtn = document.getElementById('refreshDataBtn');
         this.queryBuilderBtn = document.getElementById('queryBuilderBtn');
+        this.undoDataBtn = document.getElementById('undoDataBtn');
+        this.redoDataBtn = document.getElementById('redoDataBtn');
+        this.rowHistoryModal = document.getElementById('rowHistoryModal');
+        this.rowHistoryTitle = document.getElementById('rowHistoryTitle');
+        this.rowHistoryBody = document.getElementById('rowHistoryBody');
+        this.trashBtn = document.getElementById('trashBtn');
+        this.trashModal = document.getElementById('trashModal');
+        this.trashList = document.getElementById('trashList');
+        this.keepDeletedRowsCheckbox = document.getElementById('keepDeletedRowsCheckbox');
         this.dataTable = document.getElementById('dataTable');
         this.dataPagination = document.getElementById('dataPagination');
 
@@ -132,6 +151,14 @@ class DynamicAppRenderer {
         this.dataForm = document.getElementById('dataForm');
         this.closeFormBtn = document.getElementById('closeFormBtn');
         this.cancelFormBtn = document.getElementById('cancelFormBtn');
+
+        // Import Wizard Modal
+        this.importWizardModal = document.getElementById('importWizardModal');
+        this.importWizardTitle = document.getElementById('importWizardTitle');
+        this.importWizardBody = document.getElementById('importWizardBody');
+        this.importProgress = document.getElementById('importProgress');
+        this.runImportBtn = document.getElementById('runImportBtn');
+        this.currentImport = null;
         
         // Database state
         this.currentDatabase = null;
@@ -146,6 +173,14 @@ class DynamicAppRenderer {
         this.clearAllAppsBtn = document.getElementById('clearAllAppsBtn');
         this.runningAppsCount = document.getElementById('runningAppsCount');
         this.sharedDbName = document.getElementById('sharedDbName');
+        this.workspaceSelect = document.getElementById('workspaceSelect');
+        this.workspaceNameModal = document.getElementById('workspaceNameModal');
+        this.workspaceNameTitle = document.getElementById('workspaceNameTitle');
+        this.workspaceNameInput = document.getElementById('workspaceNameInput');
+        this.pendingWorkspaceName = null;
+
+        // Table permission prompt (same modal in detached app windows)
+        this.tablePermissionPrompt = TablePermissionPrompt.fromDocument(document);
 
         // App Registry elements
         this.appRegistrySection = document.getElementById('appRegistrySection');
@@ -166,6 +201,26 @@ class DynamicAppRenderer {
         this.regenerationModal = document.getElementById('regenerationModal');
         this.regenerationStatus = document.getElementById('regenerationStatus');
         this.regenerationProgress = document.getElementById('regenerationProgress');
+        this.regenerationReviewModal = document.getElementById('regenerationReviewModal');
+        this.regenerationReviewTitle = document.getElementById('regenerationReviewTitle');
+        this.regenerationReviewSummary = document.getElementById('regenerationReviewSummary');
+        this.regenerationReviewReferences = document.getElementById('regenerationReviewReferences');
+        this.regenerationReviewDiff = document.getElementById('regenerationReviewDiff');
+        this.pendingRegenerationReview = null;
+        this.appDetailsModal = document.getElementById('appDetailsModal');
+        this.appDetailsTitle = document.getElementById('appDetailsTitle');
+        this.appDetailsInfo = document.getElementById('appDetailsInfo');
+        this.appHistoryList = document.getElementById('appHistoryList');
+
+        // Shared session
+        this.sharedSessionModal = document.getElementById('sharedSessionModal');
+        this.sharedSessionBar = document.getElementById('sharedSessionBar');
+        this.sharedSessionStatus = document.getElementById('sharedSessionStatus');
+        this.sharedSessionLink = document.getElementById('sharedSessionLink');
+        this.sharedSessionParticipants = document.getElementById('sharedSessionParticipants');
+        this.sharedSessionActivity = document.getElementById('sharedSessionActivity');
+        this.sharedSessionChatInput = document.getElementById('sharedSessionChatInput');
+        this.sharedCodeEditor = document.getElementById('sharedCodeEditor');
     }
 
     setupEventListeners() {
@@ -249,9 +304,18 @@ class DynamicAppRenderer {
         this.refreshDatabasesBtn.addEventListener('click', () => this.loadDatabases());
         this.createTableBtn.addEventListener('click', () => this.showCreateTableDialog());
         this.exportDatabaseBtn.addEventListener('click', () => this.handleExportDatabase());
+        this.importDataBtn.addEventListener('click', () => this.showImportWizard());
+        this.exportTableBtn.addEventListener('click', () => this.handleExportDatabase(this.currentTable));
         this.addRecordBtn.addEventListener('click', () => this.showAddRecordForm());
         this.refreshDataBtn.addEventListener('click', () => this.loadTableData());
         this.queryBuilderBtn.addEventListener('click', () => this.showQueryBuilder());
+        this.undoDataBtn.addEventListener('click', () => this.replayDataChange('undo'));
+        this.redoDataBtn.addEventListener('click', () => this.replayDataChange('redo'));
+        document.getElementById('closeRowHistoryBtn').addEventListener('click', () => this.hideRowHistory());
+        this.trashBtn.addEventListener('click', () => this.showTrash());
+        document.getElementById('closeTrashBtn').addEventListener('click', () => this.hideTrash());
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => this.emptyTrash());
+        this.keepDeletedRowsCheckbox.addEventListener('change', () => this.setKeepDeletedRows(this.keepDeletedRowsCheckbox.checked));
         
         // Schema Generator
         this.generateSchemaBtn.addEventListener('click', () => this.handleGenerateSchema());
@@ -268,6 +332,9 @@ class DynamicAppRenderer {
         this.closeFormBtn.addEventListener('click', () => this.hideDataForm());
         this.cancelFormBtn.addEventListener('click', () => this.hideDataForm());
         this.dataForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        document.getElementById('closeImportWizardBtn').addEventListener('click', () => this.hideImportWizard());
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.hideImportWizard());
+        this.runImportBtn.addEventListener('click', () => this.runImport());
         
         // Tab switching for schema output
         document.addEventListener('click', (e) => {
@@ -280,6 +347,19 @@ class DynamicAppRenderer {
         if (this.clearAllAppsBtn) {
             this.clearAllAppsBtn.addEventListener('click', () => this.clearAllApps());
         }
+        this.workspaceSelect.addEventListener('change', () => this.switchWorkspace(this.workspaceSelect.value));
+        document.getElementById('newWorkspaceBtn').addEventListener('click', () => this.createWorkspace());
+        document.getElementById('duplicateWorkspaceBtn').addEventListener('click', () => this.duplicateWorkspace());
+        document.getElementById('renameWorkspaceBtn').addEventListener('click', () => this.renameWorkspace());
+        document.getElementById('deleteWorkspaceBtn').addEventListener('click', () => this.deleteWorkspace());
+        document.getElementById('exportWorkspaceBtn').addEventListener('click', () => this.exportWorkspace());
+        document.getElementById('importWorkspaceBtn').addEventListener('click', () => this.importWorkspace());
+        document.getElementById('confirmWorkspaceNameBtn').addEventListener('click', () => this.answerWorkspaceName(true));
+        document.getElementById('cancelWorkspaceNameBtn').addEventListener('click', () => this.answerWorkspaceName(false));
+        this.workspaceNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.answerWorkspaceName(true);
+            if (e.key === 'Escape') this.answerWorkspaceName(false);
+        });
 
         // Layout control buttons
         document.querySelectorAll('.layout-btn').forEach(btn => {
@@ -320,6 +400,30 @@ class DynamicAppRenderer {
         if (this.regenerateAllBtn) {
             this.regenerateAllBtn.addEventListener('click', () => this.regenerateAllDeprecatedApps());
         }
+        document.getElementById('closeAppDetailsBtn').addEventListener('click', () => this.hideAppDetails());
+        document.getElementById('acceptRegenerationBtn').addEventListener('click', () => this.answerRegenerationReview(true));
+        document.getElementById('rejectRegenerationBtn').addEventListener('click', () => this.answerRegenerationReview(false));
+
+        // Shared session
+        document.getElementById('sharedSessionBtn').addEventListener('click', () => this.showSharedSessionModal());
+        document.getElementById('closeSharedSessionModalBtn').addEventListener('click', () => this.hideSharedSessionModal());
+        document.getElementById('hostSharedSessionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startSharedSession();
+        });
+        document.getElementById('joinSharedSessionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.joinSharedSession();
+        });
+        document.getElementById('leaveSharedSessionBtn').addEventListener('click', () => this.leaveSharedSession());
+        document.getElementById('copySharedSessionLinkBtn').addEventListener('click', async () => {
+            await navigator.clipboard.writeText(this.sharedSessionLink.textContent);
+            this.showNotification('Join link copied', 'success');
+        });
+        document.getElementById('sendSharedSessionChatBtn').addEventListener('click', () => this.sendSharedSessionChat());
+        this.sharedSessionChatInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.sendSharedSessionChat();
+        });
 
         // Registry tab switching
         document.querySelectorAll('.registry-tab').forEach(tab => {
@@ -485,41 +589,16 @@ class DynamicAppRenderer {
         this.showProgressiveFeedback('Analyzing your request...');
 
         try {
-            const result = await window.electronAPI.generateCode(prompt);
-            
-            if (result.success) {
-                const { packages, code, description } = result.data;
-                
-                this.currentCode = code;
-                this.currentPackages = packages;
-                
-                this.codeDescription.textContent = description || 'No description provided';
-                this.codePackages.textContent = packages.length > 0 ? packages.join(', ') : 'None';
-                this.generatedCode.textContent = code;
-
-                // Update line count and reset code visibility
-                this.updateCodeLinesCount(code);
-                const codeContainer = document.getElementById('codeContainer');
-                const toggleBtn = document.getElementById('toggleCodeBtn');
-                if (codeContainer) codeContainer.style.display = 'none';
-                if (toggleBtn) {
-                    toggleBtn.classList.remove('expanded');
-                    const toggleText = toggleBtn.querySelector('.toggle-text');
-                    if (toggleText) toggleText.textContent = 'Show Code';
-                }
+            const result = await this.requestCodeGeneration(prompt);
 
-                // Show metadata if available
-                if (result.metadata) {
-                    this.showGenerationMetadata(result.metadata);
-                }
-                
-                this.codeDisplay.style.display = 'block';
+            if (result.cancelled) {
+                this.hideProgressiveFeedback();
+                this.showNotification('Generation cancelled', 'info');
+            } else if (result.success) {
+                this.showGeneratedCode(result);
+                this.hideRefinementDiff();
                 this.hideProgressiveFeedback();
                 this.showNotification('Code generated successfully!', 'success');
-                
-                // Add feedback options
-                this.addFeedbackOptions();
-                
             } else {
                 this.hideProgressiveFeedback();
                 this.showEnhancedError(result);
@@ -532,6 +611,151 @@ class DynamicAppRenderer {
         }
     }
 
+    /**
+     * Display a generation result in the code panel
+     * @param {Object} result - Successful generation, refinement or restore result
+     */
+    showGeneratedCode(result) {
+        const { packages, code, description } = result.data;
+        
+        this.currentCode = code;
+        this.currentPackages = packages;
+        // Teammates in a shared session see the new code
+        if (this.sharedSessionClient) {
+            this.sharedSessionClient.replace('code', code);
+        }
+        
+        this.codeDescription.textContent = description || 'No description provided';
+        this.codePackages.textContent = packages.length > 0 ? packages.join(', ') : 'None';
+        this.generatedCode.textContent = code;
+
+        // Update line count and reset code visibility
+        this.updateCodeLinesCount(code);
+        const codeContainer = document.getElementById('codeContainer');
+        const toggleBtn = document.getElementById('toggleCodeBtn');
+        if (codeContainer) codeContainer.style.display = 'none';
+        if (toggleBtn) {
+            toggleBtn.classList.remove('expanded');
+            const toggleText = toggleBtn.querySelector('.toggle-text');
+            if (toggleText) toggleText.textContent = 'Show Code';
+        }
+
+        // Show metadata if available
+        if (result.metadata) {
+            this.showGenerationMetadata(result.metadata);
+        }
+        
+        this.codeDisplay.style.display = 'block';
+        
+        // Add feedback options
+        this.addFeedbackOptions();
+    }
+
+    /**
+     * Generate code, streaming partial output into a live preview when supported
+     * @param {string} prompt - The user's prompt
+     * @returns {Promise<Object>} The final generation result
+     */
+    async requestCodeGeneration(prompt) {
+        if (typeof window.electronAPI.generateCodeStream !== 'function') {
+            return window.electronAPI.generateCode(prompt, this.currentSession);
+        }
+
+        const streamId = `stream_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+        this.activeStreamId = streamId;
+        this.showStreamingPreview(streamId);
+
+        const unsubscribe = window.electronAPI.onGenerationStream((payload) => {
+            if (payload.streamId !== streamId) return;
+            if (payload.type === 'start') {
+                this.showProgressiveFeedback('Writing code...');
+            } else if (payload.type === 'token') {
+                this.updateStreamingPreview(payload);
+            }
+        });
+
+        try {
+            return await window.electronAPI.generateCodeStream(prompt, streamId, this.currentSession);
+        } finally {
+            unsubscribe();
+            this.activeStreamId = null;
+            this.hideStreamingPreview();
+        }
+    }
+
+    /**
+     * Add a live code preview and cancel button to the progress indicator
+     * @param {string} streamId - The stream being previewed
+     */
+    showStreamingPreview(streamId) {
+        this.showProgressiveFeedback('Analyzing your request...');
+        const progressDiv = document.getElementById('generation-progress');
+        if (!progressDiv) return;
+
+        let preview = progressDiv.querySelector('.stream-preview');
+        if (!preview) {
+            preview = document.createElement('pre');
+            preview.className = 'stream-preview';
+            progressDiv.appendChild(preview);
+        }
+        preview.textContent = '';
+        preview.style.display = 'none';
+
+        let cancelBtn = progressDiv.querySelector('.stream-cancel-btn');
+        if (!cancelBtn) {
+            cancelBtn = document.createElement('button');
+            cancelBtn.className = 'btn btn-sm btn-secondary stream-cancel-btn';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', () => this.cancelCodeGeneration());
+            progressDiv.querySelector('.progress-content').appendChild(cancelBtn);
+        }
+        cancelBtn.dataset.streamId = streamId;
+        cancelBtn.disabled = false;
+        cancelBtn.style.display = '';
+    }
+
+    /**
+     * Append newly decoded code to the live preview
+     * @param {Object} payload - Token event from the generation stream
+     */
+    updateStreamingPreview(payload) {
+        const progressDiv = document.getElementById('generation-progress');
+        const preview = progressDiv && progressDiv.querySelector('.stream-preview');
+        if (!preview) return;
+
+        if (payload.codeDelta) {
+            preview.style.display = 'block';
+            preview.textContent += payload.codeDelta;
+            preview.scrollTop = preview.scrollHeight;
+        }
+
+        const lines = preview.textContent ? preview.textContent.split('\n').length : 0;
+        const message = payload.codeComplete
+            ? 'Validating generated code...'
+            : `Writing code... (${lines} lines, ${payload.receivedChars} chars received)`;
+        progressDiv.querySelector('.progress-message').textContent = message;
+    }
+
+    hideStreamingPreview() {
+        const progressDiv = document.getElementById('generation-progress');
+        if (!progressDiv) return;
+        const preview = progressDiv.querySelector('.stream-preview');
+        if (preview) preview.style.display = 'none';
+        const cancelBtn = progressDiv.querySelector('.stream-cancel-btn');
+        if (cancelBtn) cancelBtn.style.display = 'none';
+    }
+
+    async cancelCodeGeneration() {
+        if (!this.activeStreamId) return;
+        const cancelBtn = document.querySelector('#generation-progress .stream-cancel-btn');
+        if (cancelBtn) cancelBtn.disabled = true;
+        try {
+            await window.electronAPI.cancelCodeGeneration(this.activeStreamId);
+        } catch (error) {
+            window.rendererLogger.warn('Failed to cancel generation:', error);
+        }
+    }
+
     showProgressiveFeedback(message) {
         // Create or update progress indicator
         let progressDiv = document.getElementById('generation-progress');
@@ -587,6 +811,20 @@ class DynamicAppRenderer {
             metadataDiv.appendChild(retryDiv);
         }
         
+        if (metadata.usage && metadata.usage.calls > 0) {
+            const usage = metadata.usage;
+            const usageDiv = document.createElement('div');
+            usageDiv.className = 'metadata-item';
+            const usageStrong = document.createElement('strong');
+            usageStrong.textContent = 'Tokens: ';
+            usageDiv.appendChild(usageStrong);
+            usageDiv.appendChild(document.createTextNode(
+                `${usage.inputTokens.toLocaleString()} in / ${usage.outputTokens.toLocaleString()} out` +
+                ` (~$${usage.costUsd.toFixed(4)})`
+            ));
+            metadataDiv.appendChild(usageDiv);
+        }
+
         if (metadata.enhanced) {
             const enhancedDiv = document.createElement('div');
             enhancedDiv.className = 'metadata-item';
@@ -705,6 +943,15 @@ class DynamicAppRenderer {
         improveBtn.addEventListener('click', () => this.improveFeedback());
         feedbackDiv.appendChild(improveBtn);
 
+        if (this.currentSession) {
+            const versionsBtn = document.createElement('button');
+            versionsBtn.className = 'btn btn-outline';
+            versionsBtn.title = 'Browse and restore earlier versions';
+            versionsBtn.textContent = '🕘 Versions';
+            versionsBtn.addEventListener('click', () => this.showVersionHistory());
+            feedbackDiv.appendChild(versionsBtn);
+        }
+
         const goodBtn = document.createElement('button');
         goodBtn.className = 'btn btn-outline';
         goodBtn.title = 'Good result';
@@ -738,64 +985,7 @@ class DynamicAppRenderer {
             </div>
         `;
 
-        // Add modal styles if not already present
-        if (!document.getElementById('improvement-modal-styles')) {
-            const styles = document.createElement('style');
-            styles.id = 'improvement-modal-styles';
-            styles.textContent = `
-                .improvement-modal {
-                    position: fixed;
-                    top: 0;
-                    left: 0;
-                    right: 0;
-                    bottom: 0;
-                    background: rgba(0, 0, 0, 0.5);
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    z-index: 10000;
-                }
-                .improvement-dialog {
-                    background: var(--card-bg, #fff);
-                    padding: 24px;
-                    border-radius: 12px;
-                    max-width: 500px;
-                    width: 90%;
-                    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-                }
-                .improvement-dialog h3 {
-                    margin: 0 0 12px 0;
-                    color: var(--text-primary, #333);
-                }
-                .improvement-dialog p {
-                    margin: 0 0 16px 0;
-                    color: var(--text-secondary, #666);
-                }
-                .improvement-dialog textarea {
-                    width: 100%;
-                    padding: 12px;
-                    border: 1px solid var(--border-color, #ddd);
-                    border-radius: 8px;
-                    resize: vertical;
-                    font-family: inherit;
-                    font-size: 14px;
-                    background: var(--input-bg, #fff);
-                    color: var(--text-primary, #333);
-                }
-                .improvement-dialog textarea:focus {
-                    outline: none;
-                    border-color: var(--accent-color, #4f46e5);
-                }
-                .improvement-actions {
-                    display: flex;
-                    gap: 12px;
-                    justify-content: flex-end;
-                    margin-top: 16px;
-                }
-            `;
-            document.head.appendChild(styles);
-        }
-
+        this.ensureImprovementModalStyles();
         document.body.appendChild(modal);
 
         const input = modal.querySelector('#improvement-input');
@@ -814,7 +1004,10 @@ class DynamicAppRenderer {
             modal.querySelector('#submit-improvement').addEventListener('click', async () => {
                 const improvement = input.value.trim();
                 cleanup();
-                if (improvement) {
+                if (improvement && this.currentSession && this.currentCode &&
+                    typeof window.electronAPI.refineCode === 'function') {
+                    await this.handleRefineCode(improvement);
+                } else if (improvement) {
                     const improvedPrompt = `${this.promptInput.value}\n\nIMPROVEMENT REQUEST: ${improvement}`;
                     this.promptInput.value = improvedPrompt;
                     await this.handleGenerateCode();
@@ -844,6 +1037,256 @@ class DynamicAppRenderer {
         });
     }
 
+    /**
+     * Inject the dialog styles shared by the improve and version history modals
+     */
+    ensureImprovementModalStyles() {
+        if (document.getElementById('improvement-modal-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'improvement-modal-styles';
+        styles.textContent = `
+            .improvement-modal {
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            }
+            .improvement-dialog {
+                background: var(--card-bg, #fff);
+                padding: 24px;
+                border-radius: 12px;
+                max-width: 500px;
+                width: 90%;
+                box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+            }
+            .improvement-dialog h3 {
+                margin: 0 0 12px 0;
+                color: var(--text-primary, #333);
+            }
+            .improvement-dialog p {
+                margin: 0 0 16px 0;
+                color: var(--text-secondary, #666);
+            }
+            .improvement-dialog textarea {
+                width: 100%;
+                padding: 12px;
+                border: 1px solid var(--border-color, #ddd);
+                border-radius: 8px;
+                resize: vertical;
+                font-family: inherit;
+                font-size: 14px;
+                background: var(--input-bg, #fff);
+                color: var(--text-primary, #333);
+            }
+            .improvement-dialog textarea:focus {
+                outline: none;
+                border-color: var(--accent-color, #4f46e5);
+            }
+            .improvement-actions {
+                display: flex;
+                gap: 12px;
+                justify-content: flex-end;
+                margin-top: 16px;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+
+    /**
+     * Apply a change request to the current session's code as a new version
+     * @param {string} changeRequest - What the user wants changed
+     */
+    async handleRefineCode(changeRequest) {
+        this.setGenerateButtonLoading(true);
+        this.showProgressiveFeedback('Applying your changes...');
+
+        try {
+            const result = await window.electronAPI.refineCode(this.currentSession, changeRequest);
+            this.hideProgressiveFeedback();
+
+            if (result.success) {
+                this.showGeneratedCode(result);
+                this.showRefinementDiff(result);
+                const { added, removed } = result.diff.summary;
+                this.showNotification(`Version ${result.version} ready (+${added} / -${removed} lines)`, 'success');
+            } else {
+                this.showEnhancedError(result);
+            }
+        } catch (error) {
+            this.hideProgressiveFeedback();
+            this.showNotification(`Error: ${error.message}`, 'error');
+        } finally {
+            this.setGenerateButtonLoading(false);
+        }
+    }
+
+    /**
+     * Show the diff between the refined version and the one it replaced
+     * @param {Object} result - Result of refineCode()
+     */
+    showRefinementDiff(result) {
+        this.hideRefinementDiff();
+        if (!result.diff || !result.diff.unified) return;
+
+        const panel = document.createElement('details');
+        panel.className = 'refine-diff-panel';
+
+        const summary = document.createElement('summary');
+        const { added, removed } = result.diff.summary;
+        summary.textContent = `Changes from version ${result.previousVersion} to ${result.version} (+${added} / -${removed})`;
+        panel.appendChild(summary);
+
+        panel.appendChild(this.createDiffView(result.diff.unified));
+
+        const codeInfo = document.querySelector('.code-info');
+        if (codeInfo) codeInfo.after(panel);
+    }
+
+    hideRefinementDiff() {
+        const existing = document.querySelector('.refine-diff-panel');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Colored view of a unified diff (textDiff.toUnified)
+     * @param {string} unified
+     * @returns {HTMLPreElement}
+     */
+    createDiffView(unified) {
+        const pre = document.createElement('pre');
+        pre.className = 'refine-diff';
+        unified.split('\n').forEach(line => {
+            const span = document.createElement('span');
+            if (line.startsWith('@@')) span.className = 'diff-hunk';
+            else if (line.startsWith('+') && !line.startsWith('+++')) span.className = 'diff-add';
+            else if (line.startsWith('-') && !line.startsWith('---')) span.className = 'diff-remove';
+            span.textContent = line + '\n';
+            pre.appendChild(span);
+        });
+        return pre;
+    }
+
+    /**
+     * List the session's code versions and let the user restore one
+     */
+    async showVersionHistory() {
+        if (!this.currentSession) return;
+
+        const result = await window.electronAPI.getCodeVersions(this.currentSession);
+        if (!result.success) {
+            this.showNotification(result.error || 'Failed to load versions', 'error');
+            return;
+        }
+
+        this.ensureImprovementModalStyles();
+
+        const modal = document.createElement('div');
+        modal.className = 'improvement-modal';
+        const dialog = document.createElement('div');
+        dialog.className = 'improvement-dialog';
+
+        const title = document.createElement('h3');
+        title.textContent = '🕘 Versions';
+        dialog.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'version-list';
+        if (result.versions.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No versions recorded for this session yet.';
+            list.appendChild(empty);
+        }
+
+        // Newest first
+        [...result.versions].reverse().forEach(version => {
+            const item = document.createElement('li');
+            item.className = 'version-item' + (version.current ? ' current' : '');
+
+            const label = document.createElement('div');
+            label.className = 'version-label';
+            const name = document.createElement('strong');
+            name.textContent = `v${version.version}`;
+            label.appendChild(name);
+
+            const detail = document.createElement('span');
+            if (version.source === 'refine') {
+                detail.textContent = version.changeRequest;
+            } else if (version.source === 'restore') {
+                detail.textContent = `Restored from v${version.restoredFrom}`;
+            } else {
+                detail.textContent = version.description || 'Generated from prompt';
+            }
+            label.appendChild(detail);
+
+            const time = document.createElement('small');
+            time.textContent = new Date(version.timestamp).toLocaleString();
+            label.appendChild(time);
+            item.appendChild(label);
+
+            if (version.current) {
+                const badge = document.createElement('span');
+                badge.className = 'version-current-badge';
+                badge.textContent = 'Current';
+                item.appendChild(badge);
+            } else {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'btn btn-sm btn-outline';
+                restoreBtn.textContent = 'Restore';
+                restoreBtn.addEventListener('click', async () => {
+                    modal.remove();
+                    await this.restoreCodeVersion(version.version);
+                });
+                item.appendChild(restoreBtn);
+            }
+
+            list.appendChild(item);
+        });
+        dialog.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'improvement-actions';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn btn-secondary';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => modal.remove());
+        actions.appendChild(closeBtn);
+        dialog.appendChild(actions);
+
+        modal.appendChild(dialog);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Make an earlier version the session's current code
+     * @param {number} version - Version number to restore
+     */
+    async restoreCodeVersion(version) {
+        try {
+            const result = await window.electronAPI.restoreCodeVersion(this.currentSession, version);
+            if (result.success) {
+                this.showGeneratedCode(result);
+                this.hideRefinementDiff();
+                this.showNotification(`Restored v${version} as v${result.version}`, 'success');
+            } else {
+                this.showNotification(result.error || 'Failed to restore version', 'error');
+            }
+        } catch (error) {
+            this.showNotification(`Error: ${error.message}`, 'error');
+        }
+    }
+
     async rateFeedback(rating) {
         try {
             // Send feedback to main process for logging
@@ -984,6 +1427,7 @@ class DynamicAppRenderer {
         this.promptInput.value = '';
         this.currentCode = null;
         this.currentPackages = [];
+        this.hideRefinementDiff();
         this.codeDisplay.style.display = 'none';
         this.executionResults.style.display = 'none';
         this.showNotification('Cleared successfully', 'info');
@@ -1928,10 +2372,14 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
         if (this.currentDatabase) {
             this.createTableBtn.disabled = false;
             this.exportDatabaseBtn.disabled = false;
+            this.importDataBtn.disabled = false;
+            this.trashBtn.disabled = false;
             await this.loadTables();
         } else {
             this.createTableBtn.disabled = true;
             this.exportDatabaseBtn.disabled = true;
+            this.importDataBtn.disabled = true;
+            this.trashBtn.disabled = true;
             this.tablesList.innerHTML = '<p class="no-data">Select a database to view tables</p>';
             this.hideDataPanel();
         }
@@ -2066,7 +2514,7 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
         // Show confirmation dialog
         const confirmed = await this.showConfirmDialog(
             `Delete Table "${tableName}"?`,
-            `This will permanently delete the table "${tableName}" and all its data. This action cannot be undone.`
+            `The table "${tableName}" and all its data will be moved to the Trash, where it can be restored until the trash is emptied.`
         );
 
         if (!confirmed) {
@@ -2077,7 +2525,7 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
             const result = await window.electronAPI.dropTable(tableName);
 
             if (result.success) {
-                this.showNotification(`Table "${tableName}" deleted successfully`, 'success');
+                this.showNotification(`Table "${tableName}" moved to the Trash`, 'success');
 
                 // Hide data panel if current table was deleted
                 if (this.currentTable === tableName) {
@@ -2200,6 +2648,7 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
         this.addRecordBtn.disabled = false;
         this.refreshDataBtn.disabled = false;
         this.queryBuilderBtn.disabled = false;
+        this.exportTableBtn.disabled = false;
     }
 
     /**
@@ -2210,6 +2659,9 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
         this.addRecordBtn.disabled = true;
         this.refreshDataBtn.disabled = true;
         this.queryBuilderBtn.disabled = true;
+        this.exportTableBtn.disabled = true;
+        this.undoDataBtn.disabled = true;
+        this.redoDataBtn.disabled = true;
     }
 
     /**
@@ -2226,6 +2678,7 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
             if (result.success) {
                 this.renderDataTable(result.data);
                 this.renderPagination(result.count, page, pageSize);
+                this.updateUndoButtons();
             } else {
                 this.showNotification(`Failed to load data: ${result.error}`, 'error');
             }
@@ -2317,6 +2770,12 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
             deleteBtn.addEventListener('click', () => this.deleteRecord(row.id));
             actionsTd.appendChild(deleteBtn);
 
+            const historyBtn = document.createElement('button');
+            historyBtn.className = 'btn btn-sm';
+            historyBtn.textContent = 'History';
+            historyBtn.addEventListener('click', () => this.showRowHistory(row.id));
+            actionsTd.appendChild(historyBtn);
+
             tr.appendChild(actionsTd);
             tbody.appendChild(tr);
         });
@@ -2372,103 +2831,721 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
         this.dataPagination.appendChild(paginationControls);
     }
 
-    // Schema Generation Methods
-    async handleGenerateSchema() {
-        const description = this.schemaDescription.value.trim();
-        
-        if (!description) {
-            this.showNotification('Please enter a description of your database needs', 'error');
+    /**
+     * Export the current database, or one table, in the format picked next to the export button
+     * @param {string|null} tableName - Table to export; the whole database when omitted
+     */
+    async handleExportDatabase(tableName = null) {
+        if (!this.currentDatabase) {
+            this.showNotification('No database selected', 'error');
             return;
         }
 
-        this.setSchemaButtonLoading(true);
+        const format = this.exportFormat.value;
+        if (format === 'csv' && !tableName) {
+            this.showNotification('CSV exports one table. Open a table and use Export Table.', 'error');
+            return;
+        }
 
         try {
-            const result = await window.electronAPI.dbGenerateSchema(description);
-            
+            const result = await window.electronAPI.dbExportDatabase(this.currentDatabase, { format, table: tableName });
+
             if (result.success) {
-                this.generatedSchema = result.schema;
-                this.displaySchemaOutput(result.schema, result.raw_response);
-                this.showNotification('Schema generated successfully!', 'success');
-            } else {
-                this.showNotification(`Schema generation failed: ${result.error}`, 'error');
+                this.showNotification(`Exported ${result.rows} rows to ${result.filePath}`, 'success');
+            } else if (!result.canceled) {
+                this.showNotification(`Export failed: ${result.error}`, 'error');
             }
         } catch (error) {
-            this.showNotification(`Error generating schema: ${error.message}`, 'error');
-        } finally {
-            this.setSchemaButtonLoading(false);
+            this.showNotification(`Error exporting data: ${error.message}`, 'error');
         }
     }
 
-    displaySchemaOutput(schema) {
-        this.schemaOutput.style.display = 'block';
-        document.getElementById('schemaJson').textContent = JSON.stringify(schema, null, 2);
-        this.switchSchemaTab('json');
-    }
-
-    switchSchemaTab(tabName) {
-        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-        
-        document.querySelectorAll('.tab-pane').forEach(pane => pane.classList.remove('active'));
-        document.getElementById(tabName === 'visual' ? 'visualSchema' : 
-                              tabName === 'json' ? 'jsonSchema' : 'sqlScript').classList.add('active');
-    }
-
-    setSchemaButtonLoading(loading) {
-        const btn = this.generateSchemaBtn;
-        const text = btn.querySelector('.btn-text');
-        const spinner = btn.querySelector('.spinner');
-        
-        if (loading) {
-            btn.disabled = true;
-            text.textContent = 'Generating...';
-            spinner.style.display = 'block';
-        } else {
-            btn.disabled = false;
-            text.textContent = 'Generate Schema';
-            spinner.style.display = 'none';
-        }
-    }
+    // Data Import Methods
 
     /**
-     * Initialize theme system
+     * Pick a CSV/TSV/JSON/NDJSON file and show its preview and column mapping
      */
-    initializeTheme() {
-        // Load saved theme preference
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        this.setTheme(savedTheme);
-    }
+    async showImportWizard() {
+        if (!this.currentDatabase) {
+            this.showNotification('No database selected', 'error');
+            return;
+        }
 
-    /**
-     * Initialize security manager for password protection and session timeout
-     */
-    initializeSecurity() {
         try {
-            if (typeof SecurityManager !== 'undefined') {
-                this.securityManager = new SecurityManager();
-                this.securityManager.initialize();
-
-                // Set up lock/unlock callbacks
-                this.securityManager.onLock(() => {
-                    window.rendererLogger.debug('App locked');
-                });
+            const preview = await window.electronAPI.dbImportSelectFile();
+            if (!preview.success) {
+                if (!preview.canceled) {
+                    this.showNotification(`Failed to read file: ${preview.error}`, 'error');
+                }
+                return;
+            }
 
-                this.securityManager.onUnlock(() => {
-                    window.rendererLogger.debug('App unlocked');
-                });
+            const tablesResult = await window.electronAPI.dbListTables(this.currentDatabase);
+            const tables = tablesResult.success ? tablesResult.tables.filter(name => name !== '_init_table') : [];
+            const suggestedTable = preview.fileName.replace(/\.[^.]+$/, '').toLowerCase()
+                .replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '') || 'imported_data';
 
-                window.rendererLogger.debug('SecurityManager initialized');
-            } else {
-                window.rendererLogger.warn('SecurityManager not available');
-            }
+            this.currentImport = { preview, tables, suggestedTable, done: false };
+            this.renderImportWizard();
+            this.importWizardModal.style.display = 'flex';
         } catch (error) {
-            window.rendererLogger.error('Failed to initialize SecurityManager:', error);
+            this.showNotification(`Error starting import: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Initialize API key from secure storage
+     * Render the import target, column mapping and sample rows using DOM methods
+     */
+    renderImportWizard() {
+        const { preview, tables, suggestedTable } = this.currentImport;
+        const body = this.importWizardBody;
+        body.innerHTML = '';
+
+        this.importWizardTitle.textContent = `Import ${preview.fileName}`;
+        this.importProgress.textContent = '';
+        this.runImportBtn.style.display = '';
+        this.runImportBtn.disabled = false;
+
+        const summary = document.createElement('p');
+        summary.className = 'import-summary';
+        summary.textContent = `${preview.rowCount} rows, ${preview.columns.length} columns (${preview.format.toUpperCase()})`;
+        if (preview.rejected.length > 0) {
+            summary.textContent += ` - ${preview.rejected.length} unreadable rows will be skipped`;
+        }
+        body.appendChild(summary);
+
+        // Target table
+        const target = document.createElement('div');
+        target.className = 'import-target';
+
+        const modeSelect = document.createElement('select');
+        modeSelect.id = 'importMode';
+        [['new', 'Create new table'], ['existing', 'Append to existing table']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.disabled = value === 'existing' && tables.length === 0;
+            modeSelect.appendChild(option);
+        });
+
+        const tableInput = document.createElement('input');
+        tableInput.type = 'text';
+        tableInput.id = 'importTableName';
+        tableInput.value = suggestedTable;
+
+        const tableSelect = document.createElement('select');
+        tableSelect.id = 'importTableSelect';
+        tableSelect.style.display = 'none';
+        tables.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            tableSelect.appendChild(option);
+        });
+        if (tables.includes(this.currentTable)) {
+            tableSelect.value = this.currentTable;
+        }
+
+        modeSelect.addEventListener('change', () => {
+            const isNew = modeSelect.value === 'new';
+            tableInput.style.display = isNew ? '' : 'none';
+            tableSelect.style.display = isNew ? 'none' : '';
+            body.querySelectorAll('.import-column-type').forEach(select => {
+                select.disabled = !isNew;
+            });
+        });
+
+        target.append(modeSelect, tableInput, tableSelect);
+        body.appendChild(target);
+
+        // Column mapping
+        const mapping = document.createElement('table');
+        mapping.className = 'data-table import-mapping';
+        const mappingHead = document.createElement('tr');
+        ['Source column', 'Target column', 'Type'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            mappingHead.appendChild(th);
+        });
+        mapping.appendChild(mappingHead);
+
+        preview.columns.forEach(column => {
+            const tr = document.createElement('tr');
+            tr.dataset.source = column.name;
+
+            const sourceTd = document.createElement('td');
+            sourceTd.textContent = column.name;
+
+            const targetTd = document.createElement('td');
+            const targetInput = document.createElement('input');
+            targetInput.type = 'text';
+            targetInput.className = 'import-column-target';
+            targetInput.placeholder = 'skip';
+            targetInput.value = column.target || '';
+            targetTd.appendChild(targetInput);
+
+            const typeTd = document.createElement('td');
+            const typeSelect = document.createElement('select');
+            typeSelect.className = 'import-column-type';
+            ['string', 'integer', 'number', 'boolean', 'date', 'json'].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = type;
+                typeSelect.appendChild(option);
+            });
+            typeSelect.value = column.type;
+            typeTd.appendChild(typeSelect);
+
+            tr.append(sourceTd, targetTd, typeTd);
+            mapping.appendChild(tr);
+        });
+        body.appendChild(mapping);
+
+        // Sample rows
+        if (preview.sample.length > 0) {
+            const heading = document.createElement('h4');
+            heading.textContent = `First ${preview.sample.length} rows`;
+            body.appendChild(heading);
+
+            const sample = document.createElement('table');
+            sample.className = 'data-table import-sample';
+            const headRow = document.createElement('tr');
+            preview.columns.forEach(column => {
+                const th = document.createElement('th');
+                th.textContent = column.name;
+                headRow.appendChild(th);
+            });
+            sample.appendChild(headRow);
+
+            preview.sample.forEach(row => {
+                const tr = document.createElement('tr');
+                preview.columns.forEach(column => {
+                    const td = document.createElement('td');
+                    const value = row[column.name];
+                    td.textContent = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+                    tr.appendChild(td);
+                });
+                sample.appendChild(tr);
+            });
+            body.appendChild(sample);
+        }
+    }
+
+    /**
+     * Run the import with the mapping from the wizard and report rejected rows
+     */
+    async runImport() {
+        if (!this.currentImport || this.currentImport.done) {
+            return;
+        }
+
+        const { preview } = this.currentImport;
+        const body = this.importWizardBody;
+        const createTable = body.querySelector('#importMode').value === 'new';
+        const table = createTable
+            ? body.querySelector('#importTableName').value.trim()
+            : body.querySelector('#importTableSelect').value;
+
+        const mapping = {};
+        const types = {};
+        body.querySelectorAll('.import-mapping tr[data-source]').forEach(row => {
+            const target = row.querySelector('.import-column-target').value.trim();
+            mapping[row.dataset.source] = target || null;
+            if (target) {
+                types[target] = row.querySelector('.import-column-type').value;
+            }
+        });
+
+        this.runImportBtn.disabled = true;
+        this.importProgress.textContent = 'Importing...';
+        const unsubscribe = window.electronAPI.onDbImportProgress((progress) => {
+            if (progress.importId === preview.importId) {
+                this.importProgress.textContent = `${progress.processed} / ${progress.total} rows processed`;
+            }
+        });
+
+        try {
+            const result = await window.electronAPI.dbImportData(this.currentDatabase, preview.importId, {
+                table,
+                createTable,
+                mapping,
+                types: createTable ? types : {}
+            });
+
+            if (!result.success) {
+                this.importProgress.textContent = '';
+                this.runImportBtn.disabled = false;
+                this.showNotification(`Import failed: ${result.error}`, 'error');
+                return;
+            }
+
+            this.currentImport.done = true;
+            this.renderImportResult(result);
+            this.showNotification(`Imported ${result.inserted} rows into "${result.table}"`, result.rejectedCount > 0 ? 'warning' : 'success');
+
+            await this.loadTables();
+            if (this.currentTable === result.table) {
+                await this.loadTableData();
+            }
+        } catch (error) {
+            this.runImportBtn.disabled = false;
+            this.showNotification(`Error importing data: ${error.message}`, 'error');
+        } finally {
+            unsubscribe();
+        }
+    }
+
+    /**
+     * Show the import totals and the rejected rows
+     */
+    renderImportResult(result) {
+        const body = this.importWizardBody;
+        body.innerHTML = '';
+        this.importProgress.textContent = '';
+        this.runImportBtn.style.display = 'none';
+
+        const summary = document.createElement('p');
+        summary.className = 'import-summary';
+        summary.textContent = `Imported ${result.inserted} of ${result.total} rows into "${result.table}". ${result.rejectedCount} rows rejected.`;
+        body.appendChild(summary);
+
+        if (result.rejected.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'import-rejected';
+            result.rejected.forEach(({ row, error }) => {
+                const item = document.createElement('li');
+                item.textContent = `Row ${row}: ${error}`;
+                list.appendChild(item);
+            });
+            body.appendChild(list);
+
+            if (result.rejectedCount > result.rejected.length) {
+                const more = document.createElement('p');
+                more.className = 'no-data';
+                more.textContent = `...and ${result.rejectedCount - result.rejected.length} more`;
+                body.appendChild(more);
+            }
+        }
+    }
+
+    /**
+     * Close the import wizard, discarding a staged file that was not imported
+     */
+    hideImportWizard() {
+        if (this.currentImport && !this.currentImport.done) {
+            window.electronAPI.dbImportCancel(this.currentImport.preview.importId).catch(() => {});
+        }
+        this.currentImport = null;
+        this.importWizardModal.style.display = 'none';
+        this.importWizardBody.innerHTML = '';
+    }
+
+    // Change Journal Methods
+
+    /**
+     * Enable Undo/Redo when the journal has something to apply, naming it in the tooltip
+     */
+    async updateUndoButtons() {
+        if (!this.currentDatabase) {
+            return;
+        }
+
+        try {
+            const state = await window.electronAPI.dbJournalState(this.currentDatabase);
+            const describe = (batch) => {
+                const source = batch.appId ? ` by ${batch.appId}` : '';
+                return `${batch.entries === 1 ? 'change' : 'changes'} to ${batch.tables.join(', ')}${source}`;
+            };
+
+            this.undoDataBtn.disabled = !(state.success && state.undo);
+            this.undoDataBtn.title = state.success && state.undo ? `Undo ${describe(state.undo)}` : 'Nothing to undo';
+            this.redoDataBtn.disabled = !(state.success && state.redo);
+            this.redoDataBtn.title = state.success && state.redo ? `Redo ${describe(state.redo)}` : 'Nothing to redo';
+        } catch (error) {
+            window.rendererLogger.warn('Failed to read change journal state:', error);
+        }
+    }
+
+    /**
+     * Undo or redo the latest change in the current database, whichever app made it
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    async replayDataChange(direction) {
+        try {
+            const result = direction === 'undo'
+                ? await window.electronAPI.dbUndo(this.currentDatabase)
+                : await window.electronAPI.dbRedo(this.currentDatabase);
+
+            if (result.success) {
+                const rows = result.changes.length;
+                this.showNotification(`${direction === 'undo' ? 'Undid' : 'Redid'} ${rows} row ${rows === 1 ? 'change' : 'changes'} in ${result.tables.join(', ')}`, 'success');
+            } else {
+                this.showNotification(result.error, result.conflict ? 'error' : 'info');
+            }
+        } catch (error) {
+            this.showNotification(`Error during ${direction}: ${error.message}`, 'error');
+        }
+
+        if (this.currentTable) {
+            await this.loadTableData();
+        } else {
+            await this.updateUndoButtons();
+        }
+    }
+
+    /**
+     * Show the journaled changes of one row of the current table
+     * @param {number} rowId - Row id
+     */
+    async showRowHistory(rowId) {
+        try {
+            const result = await window.electronAPI.dbRowHistory(this.currentDatabase, this.currentTable, rowId);
+            if (!result.success) {
+                this.showNotification(`Failed to load history: ${result.error}`, 'error');
+                return;
+            }
+
+            this.rowHistoryTitle.textContent = `History of ${this.currentTable} #${rowId}`;
+            this.renderRowHistory(result.history);
+            this.rowHistoryModal.style.display = 'flex';
+        } catch (error) {
+            this.showNotification(`Error loading history: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render row history entries, newest first, using DOM methods
+     * @param {Array<Object>} history - Entries from dbRowHistory
+     */
+    renderRowHistory(history) {
+        this.rowHistoryBody.innerHTML = '';
+
+        if (history.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'no-data';
+            empty.textContent = 'No recorded changes for this row';
+            this.rowHistoryBody.appendChild(empty);
+            return;
+        }
+
+        const format = (value) => value === null || value === undefined
+            ? 'null'
+            : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        const labels = { insert: 'Created', update: 'Updated', delete: 'Deleted' };
+
+        history.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `row-history-entry${entry.undone ? ' undone' : ''}`;
+
+            const header = document.createElement('div');
+            header.className = 'row-history-header';
+            header.textContent = `${labels[entry.op] || entry.op} ${new Date(entry.timestamp).toLocaleString()}` +
+                ` by ${entry.appId || 'the data panel or a script'}${entry.undone ? ' (undone)' : ''}`;
+            item.appendChild(header);
+
+            // Updates list the columns that changed; inserts and deletes the whole row
+            const image = entry.after || entry.before || {};
+            const list = document.createElement('ul');
+            list.className = 'row-history-values';
+            Object.keys(image).forEach(column => {
+                if (column === 'updated_at') {
+                    return;
+                }
+                const before = entry.before ? entry.before[column] : undefined;
+                const after = entry.after ? entry.after[column] : undefined;
+                if (entry.op === 'update' && format(before) === format(after)) {
+                    return;
+                }
+
+                const value = document.createElement('li');
+                value.textContent = entry.op === 'update'
+                    ? `${column}: ${format(before)} → ${format(after)}`
+                    : `${column}: ${format(image[column])}`;
+                list.appendChild(value);
+            });
+            item.appendChild(list);
+
+            this.rowHistoryBody.appendChild(item);
+        });
+    }
+
+    hideRowHistory() {
+        this.rowHistoryModal.style.display = 'none';
+        this.rowHistoryBody.innerHTML = '';
+    }
+
+    // Trash Methods
+
+    /**
+     * Show the trash of the current database
+     */
+    async showTrash() {
+        try {
+            const config = await window.electronAPI.getConfig();
+            this.keepDeletedRowsCheckbox.checked = Boolean(config.success && config.config.database && config.config.database.keepDeletedRows);
+        } catch (error) {
+            window.rendererLogger.warn('Failed to read trash settings:', error);
+        }
+
+        this.trashModal.style.display = 'flex';
+        await this.loadTrash();
+    }
+
+    hideTrash() {
+        this.trashModal.style.display = 'none';
+        this.trashList.innerHTML = '';
+    }
+
+    async loadTrash() {
+        try {
+            const result = await window.electronAPI.dbListTrash(this.currentDatabase);
+            if (!result.success) {
+                this.showNotification(`Failed to load trash: ${result.error}`, 'error');
+                return;
+            }
+            this.renderTrash(result.items);
+        } catch (error) {
+            this.showNotification(`Error loading trash: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render trash items using DOM methods
+     * @param {Array<Object>} items - Items from dbListTrash
+     */
+    renderTrash(items) {
+        this.trashList.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'no-data';
+            empty.textContent = 'The trash is empty';
+            this.trashList.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const entry = document.createElement('div');
+            entry.className = 'trash-item';
+
+            const info = document.createElement('div');
+            info.className = 'trash-item-info';
+            const name = document.createElement('div');
+            name.className = 'trash-item-name';
+            name.textContent = item.kind === 'table'
+                ? `Table ${item.tableName} (${item.rowCount} ${item.rowCount === 1 ? 'row' : 'rows'})`
+                : `Row ${item.tableName} #${item.rowId}`;
+            const details = document.createElement('div');
+            details.className = 'trash-item-details';
+            details.textContent = `Deleted ${new Date(item.deletedAt).toLocaleString()}${item.appId ? ` by ${item.appId}` : ''}`;
+            info.appendChild(name);
+            info.appendChild(details);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-secondary btn-sm';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => this.restoreTrashItem(item));
+
+            const purgeBtn = document.createElement('button');
+            purgeBtn.className = 'btn btn-danger btn-sm';
+            purgeBtn.textContent = 'Delete Forever';
+            purgeBtn.addEventListener('click', () => this.purgeTrashItem(item));
+
+            entry.appendChild(info);
+            entry.appendChild(restoreBtn);
+            entry.appendChild(purgeBtn);
+            this.trashList.appendChild(entry);
+        });
+    }
+
+    /**
+     * Restore a trash item. A table whose name has been reused is restored as <name>_restored.
+     * @param {Object} item - Trash item
+     */
+    async restoreTrashItem(item) {
+        try {
+            let result = await window.electronAPI.dbRestoreFromTrash(this.currentDatabase, item.id);
+
+            if (!result.success && item.kind === 'table' && /already exists/.test(result.error)) {
+                result = await window.electronAPI.dbRestoreFromTrash(this.currentDatabase, item.id, { newName: `${item.tableName}_restored` });
+            }
+
+            if (result.success) {
+                this.showNotification(item.kind === 'table'
+                    ? `Table "${result.table}" restored`
+                    : `Row #${result.id} restored to ${result.table}`, 'success');
+                await this.loadTables();
+                if (this.currentTable === result.table) {
+                    await this.loadTableData();
+                }
+            } else {
+                this.showNotification(`Failed to restore: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showNotification(`Error restoring: ${error.message}`, 'error');
+        }
+
+        await this.loadTrash();
+    }
+
+    async purgeTrashItem(item) {
+        const label = item.kind === 'table' ? `table "${item.tableName}"` : `row #${item.rowId} of ${item.tableName}`;
+        const confirmed = await this.showConfirmDialog(
+            'Delete Forever?',
+            `This will permanently delete ${label}. This action cannot be undone.`
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.dbPurgeTrash(this.currentDatabase, item.id);
+            if (!result.success) {
+                this.showNotification(`Failed to delete: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showNotification(`Error deleting: ${error.message}`, 'error');
+        }
+
+        await this.loadTrash();
+    }
+
+    async emptyTrash() {
+        const confirmed = await this.showConfirmDialog(
+            'Empty Trash?',
+            'This will permanently delete every table and row in the trash. This action cannot be undone.'
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.dbEmptyTrash(this.currentDatabase);
+            if (result.success) {
+                this.showNotification(`Deleted ${result.purged} ${result.purged === 1 ? 'item' : 'items'} from the trash`, 'success');
+            } else {
+                this.showNotification(`Failed to empty trash: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showNotification(`Error emptying trash: ${error.message}`, 'error');
+        }
+
+        await this.loadTrash();
+    }
+
+    /**
+     * Turn row tombstones on or off for every database
+     * @param {boolean} keep
+     */
+    async setKeepDeletedRows(keep) {
+        try {
+            const result = await window.electronAPI.updateConfig({ database: { keepDeletedRows: keep } });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            this.keepDeletedRowsCheckbox.checked = !keep;
+            this.showNotification(`Failed to update trash settings: ${error.message}`, 'error');
+        }
+    }
+
+    // Schema Generation Methods
+    async handleGenerateSchema() {
+        const description = this.schemaDescription.value.trim();
+        
+        if (!description) {
+            this.showNotification('Please enter a description of your database needs', 'error');
+            return;
+        }
+
+        this.setSchemaButtonLoading(true);
+
+        try {
+            const result = await window.electronAPI.dbGenerateSchema(description);
+            
+            if (result.success) {
+                this.generatedSchema = result.schema;
+                this.displaySchemaOutput(result.schema, result.raw_response);
+                this.showNotification('Schema generated successfully!', 'success');
+            } else {
+                this.showNotification(`Schema generation failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showNotification(`Error generating schema: ${error.message}`, 'error');
+        } finally {
+            this.setSchemaButtonLoading(false);
+        }
+    }
+
+    displaySchemaOutput(schema) {
+        this.schemaOutput.style.display = 'block';
+        document.getElementById('schemaJson').textContent = JSON.stringify(schema, null, 2);
+        this.switchSchemaTab('json');
+    }
+
+    switchSchemaTab(tabName) {
+        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+        
+        document.querySelectorAll('.tab-pane').forEach(pane => pane.classList.remove('active'));
+        document.getElementById(tabName === 'visual' ? 'visualSchema' : 
+                              tabName === 'json' ? 'jsonSchema' : 'sqlScript').classList.add('active');
+    }
+
+    setSchemaButtonLoading(loading) {
+        const btn = this.generateSchemaBtn;
+        const text = btn.querySelector('.btn-text');
+        const spinner = btn.querySelector('.spinner');
+        
+        if (loading) {
+            btn.disabled = true;
+            text.textContent = 'Generating...';
+            spinner.style.display = 'block';
+        } else {
+            btn.disabled = false;
+            text.textContent = 'Generate Schema';
+            spinner.style.display = 'none';
+        }
+    }
+
+    /**
+     * Initialize theme system
+     */
+    initializeTheme() {
+        // Load saved theme preference
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+    }
+
+    /**
+     * Initialize security manager for password protection and session timeout
+     */
+    initializeSecurity() {
+        try {
+            if (typeof SecurityManager !== 'undefined') {
+                this.securityManager = new SecurityManager();
+                this.securityManager.initialize();
+
+                // Set up lock/unlock callbacks
+                this.securityManager.onLock(() => {
+                    window.rendererLogger.debug('App locked');
+                });
+
+                this.securityManager.onUnlock(() => {
+                    window.rendererLogger.debug('App unlocked');
+                });
+
+                window.rendererLogger.debug('SecurityManager initialized');
+            } else {
+                window.rendererLogger.warn('SecurityManager not available');
+            }
+        } catch (error) {
+            window.rendererLogger.error('Failed to initialize SecurityManager:', error);
+        }
+    }
+
+    /**
+     * Initialize API key from secure storage
      * Checks if an API key is already stored and restores the session
      */
     async initializeApiKey() {
@@ -2478,8 +3555,13 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
                 this.isApiConfigured = true;
                 this.updateUI();
                 this.handleNewSession();
-                window.rendererLogger.debug('API key restored from secure storage');
-                this.showNotification('API key restored from previous session', 'success');
+                if (status.requiresApiKey === false) {
+                    window.rendererLogger.debug(`Using AI provider: ${status.provider}`);
+                    this.showNotification(`Using AI provider: ${status.provider}`, 'info');
+                } else {
+                    window.rendererLogger.debug('API key restored from secure storage');
+                    this.showNotification('API key restored from previous session', 'success');
+                }
             }
         } catch (error) {
             window.rendererLogger.error('Failed to check API status:', error);
@@ -2511,12 +3593,20 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
                     onPanelCreated: (panel) => this.handlePanelCreated(panel),
                     onPanelClosed: (panel) => this.handlePanelClosed(panel),
                     onLayoutChange: (layout) => this.handleLayoutChange(layout),
-                    onDataChange: (change) => this.handleAppDataChange(change)
+                    onDataChange: (change) => this.handleAppDataChange(change),
+                    onWorkspaceChange: () => this.loadWorkspaceList()
                 });
 
-                // Set message bus and broadcaster
+                // Set message bus, broadcaster, permission guard, workspace store and app window host
                 this.appManager.messageBus = this.messageBus;
                 this.appManager.dataChangeBroadcaster = this.dataChangeBroadcaster;
+                this.appManager.workspaceStore = window.electronAPI;
+                this.appManager.windowHost = window.electronAPI;
+                if (typeof AppPermissionGuard !== 'undefined') {
+                    this.appManager.permissionGuard = new AppPermissionGuard(window.electronAPI, {
+                        prompt: (request) => this.promptTablePermission(request)
+                    });
+                }
 
                 // Initialize with container
                 this.appManager.initialize(this.appPanelsContainer);
@@ -2524,9 +3614,27 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
                 window.rendererLogger.debug('AppManager initialized');
             }
 
-            // Check if there are restored panels
-            if (this.appManager && this.appManager.panels.size > 0) {
-                this.showMultiAppRuntime();
+            // Row changes from every database write, not only the ones apps make
+            if (this.dataChangeBroadcaster && window.electronAPI.subscribeDbChanges) {
+                this.dataChangeBroadcaster.subscribeToAll((change) => {
+                    if (change.source === 'database' && this.appManager) {
+                        this.appManager.handleFeedChange(change);
+                    }
+                });
+                this.dataChangeBroadcaster.connectChangeFeed(window.electronAPI).catch(error => {
+                    window.rendererLogger.error('Failed to connect database change feed:', error);
+                });
+            }
+
+            // Reopen the apps of the active workspace
+            if (this.appManager) {
+                this.appManager.restoreWorkspace().then(() => {
+                    if (this.appManager.panels.size > 0) {
+                        this.showMultiAppRuntime();
+                    }
+                }).catch(error => {
+                    window.rendererLogger.error('Failed to restore workspace:', error);
+                });
             }
 
         } catch (error) {
@@ -2538,6 +3646,8 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
      * Handle panel created event
      */
     handlePanelCreated(panel) {
+        // Apps coming back from their own window may find the runtime hidden
+        this.showMultiAppRuntime();
         this.updateMultiAppStats();
         window.rendererLogger.debug(`Panel created: ${panel.appName}`);
     }
@@ -2573,6 +3683,18 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
         window.rendererLogger.debug(`Layout changed to: ${layout}`);
     }
 
+    // App Permission Methods
+
+    /**
+     * Ask the user whether an app may use a table owned by another app.
+     * Prompts are shown one at a time.
+     * @param {Object} request - {appId, appName, tableName, owner, access}
+     * @returns {Promise<{read: boolean, write: boolean, schema: boolean}|null>} null when denied
+     */
+    promptTablePermission(request) {
+        return this.tablePermissionPrompt.prompt(request);
+    }
+
     /**
      * Handle app data change event
      */
@@ -2637,53 +3759,353 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
     /**
      * Create a new app panel from generated code
      */
-    async createAppPanel(appName, description, code, originalPrompt = null) {
+    async createAppPanel(appName, description, code, originalPrompt = null) {
+        if (!this.appManager) {
+            window.rendererLogger.warn('AppManager not initialized');
+            return null;
+        }
+
+        try {
+            // Generate unique app ID
+            const appId = `app_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+            // Create panel
+            const panel = this.appManager.createPanel({
+                appId,
+                appName: appName || 'Generated App',
+                description: description || 'AI-generated application'
+            });
+
+            // Show multi-app runtime
+            this.showMultiAppRuntime();
+
+            // Register app in database with original prompt and code for regeneration.
+            // This happens first so the tables the app creates are recorded as its own.
+            try {
+                await window.electronAPI.registerApp(appId, appName, description, originalPrompt, code);
+            } catch (regError) {
+                window.rendererLogger.warn('Failed to register app:', regError);
+            }
+
+            // Execute code in panel
+            await panel.execute(code);
+
+            return panel;
+        } catch (error) {
+            window.rendererLogger.error('Failed to create app panel:', error);
+            this.showNotification(`Failed to create app: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Execute code in multi-app mode (creates a new panel)
+     */
+    async executeInMultiAppMode(code, appName, description, originalPrompt = null) {
+        const panel = await this.createAppPanel(appName, description, code, originalPrompt);
+        if (panel) {
+            this.showNotification(`App "${appName}" launched!`, 'success');
+        }
+        return panel;
+    }
+
+    // ============================================================
+    // WORKSPACE METHODS
+    // ============================================================
+
+    /**
+     * Fill the workspace selector, selecting the open workspace
+     */
+    async loadWorkspaceList() {
+        try {
+            const result = await window.electronAPI.workspaceList();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.workspaceSelect.innerHTML = '';
+            result.workspaces.forEach(workspace => {
+                const option = document.createElement('option');
+                option.value = workspace.name;
+                option.textContent = `${workspace.name} (${workspace.appIds.length})`;
+                this.workspaceSelect.appendChild(option);
+            });
+            this.workspaceSelect.value = this.appManager.workspaceName || '';
+        } catch (error) {
+            window.rendererLogger.error('Failed to load workspaces:', error);
+        }
+    }
+
+    /**
+     * Open another workspace in place of the running apps
+     * @param {string} name - Workspace name
+     */
+    async switchWorkspace(name) {
+        if (!this.appManager || !name || name === this.appManager.workspaceName) {
+            return;
+        }
+
+        try {
+            const workspace = await this.appManager.switchWorkspace(name);
+            this.showMultiAppRuntime();
+            if (workspace.missing.length > 0) {
+                this.showNotification(`${workspace.missing.length} app(s) in "${name}" are no longer registered`, 'warning');
+            }
+        } catch (error) {
+            this.showNotification(`Failed to open workspace: ${error.message}`, 'error');
+            await this.loadWorkspaceList();
+        }
+    }
+
+    /**
+     * Create an empty workspace and switch to it
+     */
+    async createWorkspace() {
+        const name = await this.promptWorkspaceName('New Workspace', '');
+        if (!name) {
+            return;
+        }
+
+        const result = await window.electronAPI.workspaceSave(name, { layout: 'grid', panels: [] });
+        if (!result.success) {
+            this.showNotification(`Failed to create workspace: ${result.error}`, 'error');
+            return;
+        }
+        await this.switchWorkspace(result.workspace.name);
+    }
+
+    /**
+     * Copy the open workspace (with its current layout) and switch to the copy
+     */
+    async duplicateWorkspace() {
+        const current = this.appManager.workspaceName;
+        const name = await this.promptWorkspaceName('Duplicate Workspace', `${current} copy`);
+        if (!name) {
+            return;
+        }
+
+        await this.appManager.flushState();
+        const result = await window.electronAPI.workspaceDuplicate(current, name);
+        if (!result.success) {
+            this.showNotification(`Failed to duplicate workspace: ${result.error}`, 'error');
+            return;
+        }
+        await this.switchWorkspace(result.workspace.name);
+    }
+
+    async renameWorkspace() {
+        const current = this.appManager.workspaceName;
+        const name = await this.promptWorkspaceName('Rename Workspace', current);
+        if (!name || name === current) {
+            return;
+        }
+
+        await this.appManager.flushState();
+        const result = await window.electronAPI.workspaceRename(current, name);
+        if (!result.success) {
+            this.showNotification(`Failed to rename workspace: ${result.error}`, 'error');
+            return;
+        }
+        this.appManager.workspaceName = result.name;
+        await this.loadWorkspaceList();
+    }
+
+    /**
+     * Delete the open workspace and open another one. Its apps stay registered.
+     */
+    async deleteWorkspace() {
+        const current = this.appManager.workspaceName;
+        const confirmed = await this.showConfirmDialog(
+            `Delete Workspace "${current}"?`,
+            'The workspace layout will be deleted. Its apps stay in the App Registry.'
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        const result = await window.electronAPI.workspaceDelete(current);
+        if (!result.success) {
+            this.showNotification(`Failed to delete workspace: ${result.error}`, 'error');
+            return;
+        }
+
+        // Nothing is left to save the closing apps to
+        this.appManager.workspaceName = null;
+        const workspace = await this.appManager.restoreWorkspace();
+        if (workspace && workspace.panels.length > 0) {
+            this.showMultiAppRuntime();
+        }
+    }
+
+    async exportWorkspace() {
+        await this.appManager.flushState();
+        const result = await window.electronAPI.workspaceExport(this.appManager.workspaceName);
+        if (result.success) {
+            this.showNotification(`Workspace exported to ${result.filePath}`, 'success');
+        } else if (!result.canceled) {
+            this.showNotification(`Failed to export workspace: ${result.error}`, 'error');
+        }
+    }
+
+    async importWorkspace() {
+        const result = await window.electronAPI.workspaceImport();
+        if (!result.success) {
+            if (!result.canceled) {
+                this.showNotification(`Failed to import workspace: ${result.error}`, 'error');
+            }
+            return;
+        }
+
+        if (result.missing.length > 0) {
+            this.showNotification(`Imported "${result.workspace.name}"; ${result.missing.length} of its app(s) are not registered here`, 'warning');
+        } else {
+            this.showNotification(`Imported workspace "${result.workspace.name}"`, 'success');
+        }
+        await this.switchWorkspace(result.workspace.name);
+    }
+
+    /**
+     * Ask for a workspace name (prompt() is not available in Electron)
+     * @param {string} title - Dialog title
+     * @param {string} defaultValue - Initial value
+     * @returns {Promise<string|null>} The trimmed name, or null when canceled
+     */
+    promptWorkspaceName(title, defaultValue) {
+        if (this.pendingWorkspaceName) {
+            this.pendingWorkspaceName(null);
+        }
+
+        return new Promise(resolve => {
+            this.workspaceNameTitle.textContent = title;
+            this.workspaceNameInput.value = defaultValue;
+            this.pendingWorkspaceName = resolve;
+            this.workspaceNameModal.style.display = 'flex';
+            this.workspaceNameInput.focus();
+            this.workspaceNameInput.select();
+        });
+    }
+
+    /**
+     * @param {boolean} confirmed - OK rather than Cancel
+     */
+    answerWorkspaceName(confirmed) {
+        const resolve = this.pendingWorkspaceName;
+        this.pendingWorkspaceName = null;
+        this.workspaceNameModal.style.display = 'none';
+        if (resolve) {
+            resolve(confirmed ? this.workspaceNameInput.value.trim() || null : null);
+        }
+    }
+
+    /**
+     * Open a registered app in the current workspace with its stored code
+     * @param {string} appId - App to open
+     */
+    async openRegisteredApp(appId) {
         if (!this.appManager) {
-            window.rendererLogger.warn('AppManager not initialized');
-            return null;
+            return;
+        }
+
+        const existing = this.appManager.findPanelsByAppId(appId)[0];
+        if (existing) {
+            this.showMultiAppRuntime();
+            this.appManager.setActiveTab(existing.id);
+            return;
+        }
+        if (this.appManager.detachedApps.has(appId)) {
+            // Bring its window to the front
+            await window.electronAPI.openAppWindow(appId);
+            return;
         }
 
         try {
-            // Generate unique app ID
-            const appId = `app_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const result = await window.electronAPI.getAppInfo(appId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (!result.app.generated_code) {
+                throw new Error('No code is stored for this app');
+            }
 
-            // Create panel
             const panel = this.appManager.createPanel({
                 appId,
-                appName: appName || 'Generated App',
-                description: description || 'AI-generated application'
+                appName: result.app.app_name,
+                description: result.app.description
             });
-
-            // Show multi-app runtime
             this.showMultiAppRuntime();
+            await panel.execute(result.app.generated_code);
+        } catch (error) {
+            this.showNotification(`Failed to open app: ${error.message}`, 'error');
+        }
+    }
 
-            // Execute code in panel
-            await panel.execute(code);
+    /**
+     * Open a registered app in a window of its own. A docked app pops out of
+     * its panel; an app that already has a window is brought to the front.
+     * @param {string} appId - App id
+     */
+    async detachRegisteredApp(appId) {
+        if (!this.appManager) {
+            return;
+        }
 
-            // Register app in database with original prompt and code for regeneration
-            try {
-                await window.electronAPI.registerApp(appId, appName, description, originalPrompt, code);
-            } catch (regError) {
-                window.rendererLogger.warn('Failed to register app:', regError);
+        try {
+            const existing = this.appManager.findPanelsByAppId(appId)[0];
+            if (existing) {
+                await this.appManager.popOutPanel(existing.id);
+                return;
             }
 
-            return panel;
+            const result = await window.electronAPI.getAppInfo(appId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (!result.app.generated_code) {
+                throw new Error('No code is stored for this app');
+            }
+
+            await this.appManager.detachApp({
+                appId,
+                appName: result.app.app_name,
+                description: result.app.description,
+                code: result.app.generated_code
+            });
         } catch (error) {
-            window.rendererLogger.error('Failed to create app panel:', error);
-            this.showNotification(`Failed to create app: ${error.message}`, 'error');
-            return null;
+            this.showNotification(`Failed to open app window: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Execute code in multi-app mode (creates a new panel)
+     * Export a registered app with its data so it runs without the builder
+     * @param {string} appId - App id
+     * @param {string} format - 'html' (one file) or 'electron' (project directory)
      */
-    async executeInMultiAppMode(code, appName, description, originalPrompt = null) {
-        const panel = await this.createAppPanel(appName, description, code, originalPrompt);
-        if (panel) {
-            this.showNotification(`App "${appName}" launched!`, 'success');
+    async exportRegisteredApp(appId, format) {
+        try {
+            const result = await window.electronAPI.getAppInfo(appId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (!result.app.generated_code) {
+                throw new Error('No code is stored for this app');
+            }
+
+            // The same harness the app runs in here, posting to whatever page hosts it
+            const harness = new AppPanel({ appId, appName: result.app.app_name });
+            const appDocument = harness.createSecureDocument(result.app.generated_code, { targetOrigin: '*' });
+
+            const exported = await window.electronAPI.exportApp(appId, format, { appName: result.app.app_name, appDocument });
+            if (exported.canceled) {
+                return;
+            }
+            if (!exported.success) {
+                throw new Error(exported.error);
+            }
+            const rows = exported.tables.length > 0 ? ` with ${exported.rows} rows from ${exported.tables.length} table(s)` : '';
+            this.showNotification(`Exported ${result.app.app_name}${rows} to ${exported.path}`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to export app: ${error.message}`, 'error');
         }
-        return panel;
     }
 
     // ============================================================
@@ -2775,6 +4197,12 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
                     ${app.status === 'deprecated' && app.original_prompt ?
                         `<button class="btn btn-primary btn-sm" onclick="window.app.regenerateApp('${app.app_id}')">🔄 Regenerate</button>` :
                         ''}
+                    ${app.generated_code ?
+                        `<button class="btn btn-outline btn-sm" onclick="window.app.openRegisteredApp('${app.app_id}')">▶ Open</button>
+                        <button class="btn btn-outline btn-sm" onclick="window.app.detachRegisteredApp('${app.app_id}')" title="Open in its own window">⧉ Window</button>
+                        <button class="btn btn-outline btn-sm" onclick="window.app.exportRegisteredApp('${app.app_id}', 'html')" title="Save as one HTML file that runs in a browser">⇩ HTML</button>
+                        <button class="btn btn-outline btn-sm" onclick="window.app.exportRegisteredApp('${app.app_id}', 'electron')" title="Save as an Electron project">⇩ Electron</button>` :
+                        ''}
                     <button class="btn btn-outline btn-sm" onclick="window.app.showAppDetails('${app.app_id}')">📋 Details</button>
                 </div>
             `;
@@ -3025,21 +4453,18 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
 
         try {
             const result = await window.electronAPI.regenerateApp(appId);
+            if (!result.success) {
+                throw new Error(result.error || 'Regeneration failed');
+            }
 
-            if (result.success) {
-                this.regenerationStatus.textContent = 'Regeneration complete!';
-                this.regenerationProgress.textContent = result.description || 'App has been updated.';
-
+            this.regenerationModal.style.display = 'none';
+            const outcome = await this.reviewAndSettleRegeneration(result);
+            if (outcome === 'accepted') {
                 this.showNotification(`App "${appId}" regenerated successfully!`, 'success');
-
-                // Refresh the registry after a short delay
-                setTimeout(() => {
-                    this.regenerationModal.style.display = 'none';
-                    this.loadAppRegistry();
-                }, 2000);
-            } else {
-                throw new Error(result.error || 'Regeneration failed');
+            } else if (outcome === 'rejected') {
+                this.showNotification(`Kept the current code of "${appId}"`, 'info');
             }
+            this.loadAppRegistry();
         } catch (error) {
             window.rendererLogger.error('Failed to regenerate app:', error);
             this.regenerationStatus.textContent = 'Regeneration failed';
@@ -3052,6 +4477,150 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
         }
     }
 
+    /**
+     * Show regenerated code next to the current code and apply the user's decision
+     * @param {Object} result - Result of regenerateApp()
+     * @returns {Promise<'accepted'|'rejected'|'failed'>}
+     */
+    async reviewAndSettleRegeneration(result) {
+        const appId = result.app.app_id;
+        const accepted = await this.reviewRegeneration(result);
+
+        if (!accepted) {
+            await window.electronAPI.rejectRegeneratedApp(appId);
+            return 'rejected';
+        }
+
+        const saved = await window.electronAPI.acceptRegeneratedApp(appId);
+        if (!saved.success) {
+            this.showNotification(`Failed to save regenerated code: ${saved.error}`, 'error');
+            return 'failed';
+        }
+        return 'accepted';
+    }
+
+    /**
+     * Side-by-side review of regenerated code
+     * @param {Object} result - Result of regenerateApp(), with review.rows and review.references
+     * @returns {Promise<boolean>} Accepted rather than rejected
+     */
+    reviewRegeneration(result) {
+        if (this.pendingRegenerationReview) {
+            this.pendingRegenerationReview(false);
+        }
+
+        const { app, review } = result;
+        this.regenerationReviewTitle.textContent = `Review ${app.app_name || app.app_id}`;
+        this.regenerationReviewSummary.textContent = `+${review.summary.added} / -${review.summary.removed} lines` +
+            (result.description ? ` · ${result.description}` : '');
+        this.renderReferenceChanges(review.references);
+        this.renderSideBySideDiff(review.rows);
+
+        return new Promise(resolve => {
+            this.pendingRegenerationReview = resolve;
+            this.regenerationReviewModal.style.display = 'flex';
+        });
+    }
+
+    /**
+     * @param {boolean} accepted - Accept rather than Reject
+     */
+    answerRegenerationReview(accepted) {
+        const resolve = this.pendingRegenerationReview;
+        this.pendingRegenerationReview = null;
+        this.regenerationReviewModal.style.display = 'none';
+        this.regenerationReviewDiff.innerHTML = '';
+        if (resolve) {
+            resolve(accepted);
+        }
+    }
+
+    /**
+     * List the electronAPI methods, tables and columns the new code starts or stops using
+     * @param {Object} references - codeReferences.compare() output
+     */
+    renderReferenceChanges(references) {
+        this.regenerationReviewReferences.innerHTML = '';
+        const groups = [
+            ['apiCalls', 'electronAPI calls'],
+            ['tables', 'Tables'],
+            ['columns', 'Columns']
+        ];
+
+        let changed = false;
+        groups.forEach(([kind, label]) => {
+            const { added, removed } = references[kind];
+            if (added.length === 0 && removed.length === 0) {
+                return;
+            }
+            changed = true;
+
+            const row = document.createElement('div');
+            row.className = 'reference-change';
+            const name = document.createElement('strong');
+            name.textContent = `${label}:`;
+            row.appendChild(name);
+            added.forEach(item => {
+                const tag = document.createElement('span');
+                tag.className = 'reference-tag added';
+                tag.textContent = `+ ${item}`;
+                row.appendChild(tag);
+            });
+            removed.forEach(item => {
+                const tag = document.createElement('span');
+                tag.className = 'reference-tag removed';
+                tag.textContent = `− ${item}`;
+                row.appendChild(tag);
+            });
+            this.regenerationReviewReferences.appendChild(row);
+        });
+
+        if (!changed) {
+            const none = document.createElement('p');
+            none.className = 'no-data';
+            none.textContent = 'Uses the same electronAPI calls, tables and columns as the current code';
+            this.regenerationReviewReferences.appendChild(none);
+        }
+    }
+
+    /**
+     * Current code on the left, regenerated code on the right
+     * @param {Array<Object>} rows - textDiff.toSideBySide() output
+     */
+    renderSideBySideDiff(rows) {
+        this.regenerationReviewDiff.innerHTML = '';
+        const table = document.createElement('table');
+
+        const head = table.createTHead().insertRow();
+        ['', 'Current', '', 'Regenerated'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            tr.className = `diff-row ${row.type}`;
+            if (row.type === 'skip') {
+                const cell = tr.insertCell();
+                cell.colSpan = 4;
+                cell.textContent = `⋯ ${row.count} unchanged lines`;
+                return;
+            }
+            [row.left, row.right].forEach(side => {
+                const number = tr.insertCell();
+                number.className = 'diff-line-number';
+                number.textContent = side ? side.number : '';
+                const text = tr.insertCell();
+                text.className = 'diff-line-text';
+                text.textContent = side ? side.text : '';
+            });
+        });
+
+        this.regenerationReviewDiff.appendChild(table);
+    }
+
     /**
      * Regenerate all deprecated apps
      */
@@ -3065,33 +4634,34 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
             }
 
             const apps = result.apps;
-            let successCount = 0;
-            let failCount = 0;
-
-            this.regenerationModal.style.display = 'flex';
+            const counts = { accepted: 0, rejected: 0, failed: 0 };
 
             for (let i = 0; i < apps.length; i++) {
                 const app = apps[i];
+                this.regenerationModal.style.display = 'flex';
                 this.regenerationStatus.textContent = `Regenerating ${app.app_name || app.app_id}...`;
                 this.regenerationProgress.textContent = `Progress: ${i + 1} / ${apps.length}`;
 
                 try {
                     const regenResult = await window.electronAPI.regenerateApp(app.app_id);
                     if (regenResult.success) {
-                        successCount++;
+                        // Each app is reviewed on its own before the next one is regenerated
+                        this.regenerationModal.style.display = 'none';
+                        counts[await this.reviewAndSettleRegeneration(regenResult)]++;
                     } else {
-                        failCount++;
+                        counts.failed++;
                     }
                 } catch (e) {
-                    failCount++;
+                    counts.failed++;
                     window.rendererLogger.error(`Failed to regenerate ${app.app_id}:`, e);
                 }
             }
 
+            this.regenerationModal.style.display = 'flex';
             this.regenerationStatus.textContent = 'Regeneration complete!';
-            this.regenerationProgress.textContent = `${successCount} succeeded, ${failCount} failed`;
+            this.regenerationProgress.textContent = `${counts.accepted} accepted, ${counts.rejected} rejected, ${counts.failed} failed`;
 
-            this.showNotification(`Regenerated ${successCount} apps`, successCount > 0 ? 'success' : 'warning');
+            this.showNotification(`Regenerated ${counts.accepted} apps`, counts.accepted > 0 ? 'success' : 'warning');
 
             setTimeout(() => {
                 this.regenerationModal.style.display = 'none';
@@ -3105,25 +4675,38 @@ ${columns.map(col => `    { name: '${col.name}', type: '${col.type}'${col.requir
     }
 
     /**
-     * Show app details (placeholder for now)
+     * Show an app's registry details and version history
      */
     async showAppDetails(appId) {
         try {
-            const result = await window.electronAPI.getAppInfo(appId);
+            const [result, history] = await Promise.all([
+                window.electronAPI.getAppInfo(appId),
+                window.electronAPI.getAppHistory(appId)
+            ]);
 
             if (result.success && result.app) {
                 const app = result.app;
-                const details = `
-App: ${app.app_name || app.app_id}
-Status: ${app.status}
-Description: ${app.description || 'N/A'}
-Created: ${app.created_at || 'Unknown'}
-Version: ${app.version || 1}
-${app.deprecation_reason ? `Deprecation Reason: ${app.deprecation_reason}` : ''}
-${app.original_prompt ? `Has Original Prompt: Yes` : `Has Original Prompt: No`}
-                `.trim();
-
-                alert(details);
+                this.appDetailsTitle.textContent = app.app_name || app.app_id;
+
+                const fields = [
+                    ['Status', app.status],
+                    ['Description', app.description || 'N/A'],
+                    ['Created', app.created_at || 'Unknown'],
+                    ['Version', app.version || 1],
+                    ['Deprecation Reason', app.deprecation_reason],
+                    ['Original Prompt', app.original_prompt ? 'Stored' : 'Not stored']
+                ];
+                this.appDetailsInfo.innerHTML = '';
+                fields.filter(([, value]) => value).forEach(([label, value]) => {
+                    const term = document.createElement('dt');
+                    term.textContent = label;
+                    const detail = document.createElement('dd');
+                    detail.textContent = value;
+                    this.appDetailsInfo.append(term, detail);
+                });
+
+                this.renderAppHistory(appId, history);
+                this.appDetailsModal.style.display = 'flex';
             } else {
                 this.showNotification('Could not load app details', 'error');
             }
@@ -3133,6 +4716,392 @@ ${app.original_prompt ? `Has Original Prompt: Yes` : `Has Original Prompt: No`}
         }
     }
 
+    /**
+     * Render an app's code versions, newest first, each with its changes and a restore button
+     * @param {string} appId
+     * @param {Object} history - Result of getAppHistory
+     */
+    renderAppHistory(appId, history) {
+        this.appHistoryList.innerHTML = '';
+
+        if (!history.success || history.versions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'no-data';
+            empty.textContent = history.success ? 'No versions recorded yet' : `Version history unavailable: ${history.error}`;
+            this.appHistoryList.appendChild(empty);
+            return;
+        }
+
+        const labels = {
+            generate: 'Generated',
+            regenerate: 'Regenerated',
+            edit: 'Edited',
+            restore: 'Restored',
+            import: 'First recorded'
+        };
+
+        history.versions.forEach(version => {
+            const item = document.createElement('div');
+            item.className = `app-history-entry${version.current ? ' current' : ''}`;
+
+            const header = document.createElement('div');
+            header.className = 'app-history-header';
+            const title = document.createElement('strong');
+            title.textContent = `${version.version ? `v${version.version} ` : ''}${labels[version.reason] || version.reason}` +
+                (version.restoredFrom ? ` from ${version.restoredFrom.slice(0, 7)}` : '');
+            const time = document.createElement('small');
+            time.textContent = `${new Date(version.date).toLocaleString()} · ${version.commit.slice(0, 7)}`;
+            header.append(title, time);
+
+            if (version.current) {
+                const badge = document.createElement('span');
+                badge.className = 'version-current-badge';
+                badge.textContent = 'Current';
+                header.appendChild(badge);
+            }
+            item.appendChild(header);
+
+            const changes = document.createElement('details');
+            changes.className = 'app-history-changes';
+            const summary = document.createElement('summary');
+            summary.textContent = 'Changes';
+            changes.appendChild(summary);
+            changes.addEventListener('toggle', () => {
+                if (changes.open && !changes.dataset.loaded) {
+                    changes.dataset.loaded = 'true';
+                    this.loadAppVersionDiff(appId, version.commit, changes);
+                }
+            });
+            item.appendChild(changes);
+
+            if (!version.current) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'btn btn-sm btn-outline';
+                restoreBtn.textContent = 'Restore';
+                restoreBtn.addEventListener('click', () => this.restoreAppVersion(appId, version));
+                item.appendChild(restoreBtn);
+            }
+
+            this.appHistoryList.appendChild(item);
+        });
+    }
+
+    /**
+     * Show what a version changed inside its history entry
+     * @param {string} appId
+     * @param {string} commit
+     * @param {HTMLElement} container
+     */
+    async loadAppVersionDiff(appId, commit, container) {
+        const result = await window.electronAPI.getAppVersionDiff(appId, commit);
+        if (!result.success) {
+            const error = document.createElement('p');
+            error.className = 'no-data';
+            error.textContent = `Failed to load changes: ${result.error}`;
+            container.appendChild(error);
+            return;
+        }
+        if (result.files.length === 0) {
+            const none = document.createElement('p');
+            none.className = 'no-data';
+            none.textContent = 'No changes to the code, prompt or schema';
+            container.appendChild(none);
+        }
+        result.files.forEach(file => {
+            const label = document.createElement('div');
+            label.className = 'app-history-file';
+            label.textContent = `${file.file} (+${file.summary.added} / -${file.summary.removed})`;
+            container.append(label, this.createDiffView(file.unified));
+        });
+    }
+
+    /**
+     * Make an earlier version the app's active code
+     * @param {string} appId
+     * @param {Object} version - Entry from getAppHistory
+     */
+    async restoreAppVersion(appId, version) {
+        const label = version.version ? `v${version.version}` : version.commit.slice(0, 7);
+        if (!confirm(`Restore ${label} as the active code of this app? The current code stays in the history.`)) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.restoreAppVersion(appId, version.commit);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.showNotification(`Restored ${label} (now v${result.app.version})`, 'success');
+            await this.showAppDetails(appId);
+            this.loadAppRegistry();
+        } catch (error) {
+            window.rendererLogger.error('Failed to restore app version:', error);
+            this.showNotification(`Failed to restore version: ${error.message}`, 'error');
+        }
+    }
+
+    hideAppDetails() {
+        this.appDetailsModal.style.display = 'none';
+        this.appHistoryList.innerHTML = '';
+    }
+
+    // ========================================
+    // Shared Session
+    // ========================================
+
+    /**
+     * Edit the prompt and code together with the participants of a shared session
+     */
+    initializeSharedSession() {
+        if (typeof SharedSessionClient === 'undefined' || typeof window.electronAPI.onSharedSessionMessage !== 'function') {
+            return;
+        }
+        this.sharedSessionClient = new SharedSessionClient({
+            editors: { prompt: this.promptInput, code: this.sharedCodeEditor },
+            send: (message) => window.electronAPI.sendSharedSessionMessage(message),
+            onChange: (name, content) => {
+                if (name === 'code') this.showSharedCode(content);
+            },
+            onEvent: (message) => this.handleSharedSessionEvent(message)
+        });
+        window.electronAPI.onSharedSessionMessage((message) => this.sharedSessionClient.handleMessage(message));
+    }
+
+    showSharedSessionModal() {
+        if (this.sharedSessionMode) {
+            this.showNotification('Leave the current shared session first', 'info');
+            return;
+        }
+        this.sharedSessionModal.style.display = 'flex';
+    }
+
+    hideSharedSessionModal() {
+        this.sharedSessionModal.style.display = 'none';
+        ['hostEditorPassword', 'hostViewerPassword', 'joinSessionPassword'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    }
+
+    /**
+     * Host a session with the current prompt and code
+     */
+    async startSharedSession() {
+        const password = document.getElementById('hostEditorPassword').value;
+        const viewerPassword = document.getElementById('hostViewerPassword').value;
+        if (viewerPassword && viewerPassword === password) {
+            this.showNotification('Use a different password for viewers', 'error');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.startSharedSession({
+                password,
+                viewerPassword: viewerPassword || undefined,
+                displayName: document.getElementById('hostDisplayName').value || undefined,
+                prompt: this.promptInput.value,
+                code: this.currentCode || ''
+            });
+            if (!result.success) {
+                this.showNotification(`Failed to start sharing: ${result.error}`, 'error');
+                return;
+            }
+            this.hideSharedSessionModal();
+            this.enterSharedSession('host', result.joinLink);
+            this.showNotification('Session shared. Send the join link and a password to your teammates.', 'success');
+        } catch (error) {
+            window.rendererLogger.error('Failed to start shared session:', error);
+            this.showNotification(`Failed to start sharing: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Join a teammate's session
+     */
+    async joinSharedSession() {
+        try {
+            const result = await window.electronAPI.joinSharedSession({
+                joinLink: document.getElementById('joinSessionLink').value.trim(),
+                password: document.getElementById('joinSessionPassword').value,
+                displayName: document.getElementById('joinDisplayName').value || undefined
+            });
+            if (!result.success) {
+                this.showNotification(`Failed to join: ${result.error}`, 'error');
+                return;
+            }
+            this.hideSharedSessionModal();
+            this.enterSharedSession('guest', null);
+        } catch (error) {
+            window.rendererLogger.error('Failed to join shared session:', error);
+            this.showNotification(`Failed to join: ${error.message}`, 'error');
+        }
+    }
+
+    async leaveSharedSession() {
+        const message = this.sharedSessionMode === 'host'
+            ? 'End the shared session for everyone?'
+            : 'Leave the shared session?';
+        if (!confirm(message)) return;
+
+        try {
+            await window.electronAPI.leaveSharedSession();
+        } catch (error) {
+            window.rendererLogger.error('Failed to leave shared session:', error);
+        }
+        this.exitSharedSession();
+    }
+
+    /**
+     * Show the session bar and make the code editable in place
+     * @param {string} mode - 'host' or 'guest'
+     * @param {string|null} joinLink - Shown to the host
+     */
+    enterSharedSession(mode, joinLink) {
+        this.sharedSessionMode = mode;
+        this.updateSharedSessionStatus();
+        this.sharedSessionLink.textContent = joinLink || '';
+        document.getElementById('sharedSessionLinkGroup').style.display = joinLink ? '' : 'none';
+        this.sharedSessionActivity.innerHTML = '';
+        this.sharedSessionBar.style.display = 'block';
+
+        // Guests see the builder even without an API key of their own
+        this.codeGeneration.style.display = 'block';
+        this.generatedCode.parentElement.style.display = 'none';
+        this.sharedCodeEditor.style.display = 'block';
+    }
+
+    /**
+     * The session state may arrive before or after the join call returns
+     */
+    updateSharedSessionStatus() {
+        const role = this.sharedSessionClient.role;
+        if (this.sharedSessionMode === 'host') {
+            this.sharedSessionStatus.textContent = '👥 Hosting a shared session';
+        } else if (!role) {
+            this.sharedSessionStatus.textContent = '👥 Joining...';
+        } else {
+            const as = role === 'editor' ? 'an editor' : 'a viewer (read-only)';
+            this.sharedSessionStatus.textContent = `👥 Joined "${this.sharedSessionName}" as ${as}`;
+        }
+    }
+
+    /**
+     * Back to working alone; the prompt and code stay as the session left them
+     */
+    exitSharedSession() {
+        if (!this.sharedSessionMode) return;
+        this.sharedSessionMode = null;
+        this.sharedSessionClient.detach();
+        this.sharedSessionBar.style.display = 'none';
+        this.sharedSessionParticipants.innerHTML = '';
+        this.generatedCode.parentElement.style.display = '';
+        this.sharedCodeEditor.style.display = 'none';
+        this.updateUI();
+        if (this.currentCode) {
+            this.codeDisplay.style.display = 'block';
+        }
+    }
+
+    /**
+     * The shared code changed, here or elsewhere
+     */
+    showSharedCode(code) {
+        this.currentCode = code;
+        this.generatedCode.textContent = code;
+        this.updateCodeLinesCount(code);
+        if (code) {
+            this.codeDisplay.style.display = 'block';
+            document.getElementById('codeContainer').style.display = 'block';
+        }
+    }
+
+    /**
+     * Session, participant, chat and database messages
+     * @param {Object} message - From SharedSessionClient
+     */
+    handleSharedSessionEvent(message) {
+        const client = this.sharedSessionClient;
+        switch (message.type) {
+            case 'session-state':
+                this.sharedSessionName = message.session ? message.session.name : 'session';
+                this.updateSharedSessionStatus();
+                this.renderSharedSessionParticipants();
+                break;
+            case 'user-joined':
+                this.addSharedSessionActivity(`${message.name} joined as ${message.role === 'viewer' ? 'a viewer' : 'an editor'}`);
+                this.renderSharedSessionParticipants();
+                break;
+            case 'user-left':
+                this.addSharedSessionActivity(`${message.name} left`);
+                this.renderSharedSessionParticipants();
+                break;
+            case 'cursor-updated':
+                this.renderSharedSessionParticipants();
+                break;
+            case 'chat-message':
+                this.addSharedSessionActivity(`${message.name}: ${message.text}`, 'chat');
+                break;
+            case 'database-changed':
+                message.events.forEach(event => {
+                    const what = event.op === 'bulk' ? `${event.count} changes` : `${event.op} row ${event.id}`;
+                    this.addSharedSessionActivity(`🗄️ ${event.table}: ${what}`, 'database');
+                });
+                break;
+            case 'permission-denied':
+                this.showNotification(message.error, 'error');
+                break;
+            case 'session-ended':
+                this.exitSharedSession();
+                this.showNotification(message.reason || 'The host ended the shared session', 'info');
+                break;
+        }
+    }
+
+    renderSharedSessionParticipants() {
+        const client = this.sharedSessionClient;
+        this.sharedSessionParticipants.innerHTML = '';
+        client.participants.forEach(participant => {
+            const item = document.createElement('li');
+            const dot = document.createElement('span');
+            dot.className = 'participant-color';
+            dot.style.background = participant.color || '#888';
+            item.appendChild(dot);
+
+            const you = client.self && participant.id === client.self.id ? ' (you)' : '';
+            const role = participant.host ? 'host' : participant.role;
+            item.appendChild(document.createTextNode(`${participant.name}${you} · ${role}`));
+
+            const location = client.locate(participant.id);
+            if (location) {
+                const where = document.createElement('span');
+                where.className = 'participant-location';
+                where.textContent = `${location.document}, line ${location.line}`;
+                item.appendChild(where);
+            }
+            this.sharedSessionParticipants.appendChild(item);
+        });
+    }
+
+    addSharedSessionActivity(text, kind = 'info') {
+        const item = document.createElement('li');
+        item.className = `activity-${kind}`;
+        item.textContent = `${new Date().toLocaleTimeString()} ${text}`;
+        this.sharedSessionActivity.prepend(item);
+        // Keep the list short
+        while (this.sharedSessionActivity.children.length > 100) {
+            this.sharedSessionActivity.lastChild.remove();
+        }
+    }
+
+    async sendSharedSessionChat() {
+        const text = this.sharedSessionChatInput.value.trim();
+        if (!text || !this.sharedSessionMode) return;
+        const result = await window.electronAPI.sendSharedSessionMessage({ type: 'chat-message', text });
+        if (result.success) {
+            this.sharedSessionChatInput.value = '';
+            this.addSharedSessionActivity(`You: ${text}`, 'chat');
+        }
+    }
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -3,7 +3,13 @@
 export interface ElectronAPI {
   // Core functionality
   setApiKey(apiKey: string): Promise<APIResponse<void>>;
-  generateCode(prompt: string): Promise<CodeGenerationResponse>;
+  generateCode(prompt: string, sessionId?: string): Promise<CodeGenerationResponse>;
+  generateCodeStream(prompt: string, streamId: string, sessionId?: string): Promise<CodeGenerationResponse>;
+  refineCode(sessionId: string, changeRequest: string): Promise<RefineCodeResponse>;
+  getCodeVersions(sessionId: string): Promise<APIResponse<void> & { versions?: CodeVersionSummary[] }>;
+  restoreCodeVersion(sessionId: string, version: number): Promise<CodeGenerationResponse & { version?: number }>;
+  cancelCodeGeneration(streamId: string): Promise<APIResponse<void>>;
+  onGenerationStream(callback: (event: GenerationStreamEvent) => void): () => void;
   executeCode(params: CodeExecutionParams): Promise<ExecutionResponse>;
   executeDOMCode(params: DOMExecutionParams): Promise<ExecutionResponse>;
   cleanupSession(sessionId: string): Promise<APIResponse<void>>;
@@ -32,6 +38,10 @@ export interface ElectronAPI {
   clearCache(): Promise<APIResponse<void>>;
   updateCacheConfig(config: CacheConfig): Promise<APIResponse<CacheConfig>>;
   
+  // AI usage accounting
+  getAIUsageReport(days?: number): Promise<APIResponse<void> & { report?: AIUsageReport }>;
+  setAIUsageBudget(budgets: { dailyCostUsd?: number; dailyTokens?: number }): Promise<APIResponse<void> & { budgets?: AIUsageBudgets }>;
+  
   // Updates and feedback
   checkForUpdates(): Promise<APIResponse<UpdateInfo>>;
   submitFeedback(feedback: UserFeedback): Promise<APIResponse<void>>;
@@ -48,6 +58,9 @@ export interface APIResponse<T> {
 }
 
 export interface CodeGenerationResponse extends APIResponse<CodeGenerationData> {
+  cancelled?: boolean;
+  budgetExceeded?: boolean;
+  usage?: AIUsageTotals;
   metadata?: {
     processingTime: number;
     retryCount: number;
@@ -55,9 +68,74 @@ export interface CodeGenerationResponse extends APIResponse<CodeGenerationData>
     fromCache?: boolean;
     cacheHit?: boolean;
     totalTime?: number;
+    usage?: AIUsageTotals;
   };
 }
 
+export interface AIUsageTotals {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  costUsd: number;
+}
+
+export interface AIUsageBudgets {
+  dailyCostUsd: number | null;
+  dailyTokens: number | null;
+}
+
+export interface AIUsageReport {
+  days: number;
+  totals: AIUsageTotals;
+  today: AIUsageTotals;
+  budgets: AIUsageBudgets;
+  budgetExceeded: boolean;
+  budgetReason: string | null;
+  byDay: Array<AIUsageTotals & { day: string }>;
+  byOperation: Array<AIUsageTotals & { operation: string }>;
+  byModel: Array<AIUsageTotals & { model: string | null }>;
+  byApp: Array<AIUsageTotals & { appId: string; appName: string | null }>;
+  bySession: Array<AIUsageTotals & { sessionId: string }>;
+}
+
+export interface GenerationStreamEvent {
+  streamId: string;
+  type: 'start' | 'token' | 'complete' | 'cancelled' | 'error';
+  text?: string;
+  codeDelta?: string;
+  codeComplete?: boolean;
+  receivedChars?: number;
+  result?: CodeGenerationResponse;
+  error?: string;
+}
+
+export interface RefineCodeResponse extends CodeGenerationResponse {
+  version?: number | null;
+  previousVersion?: number | null;
+  diff?: {
+    summary: { added: number; removed: number; unchanged: number };
+    unified: string;
+  };
+}
+
+export interface CodeVersion {
+  version: number;
+  prompt: string;
+  changeRequest: string | null;
+  changeHistory: string[];
+  code: string;
+  packages: string[];
+  description: string;
+  source: 'generate' | 'refine' | 'restore';
+  restoredFrom: number | null;
+  timestamp: string;
+}
+
+export interface CodeVersionSummary extends Omit<CodeVersion, 'code'> {
+  codeLength: number;
+  current: boolean;
+}
+
 export interface CodeGenerationData {
   packages: string[];
   code: string;
@@ -97,6 +175,8 @@ export interface SessionObject {
   generatedCode?: string;
   packages: string[];
   executionHistory: ExecutionHistoryEntry[];
+  versions?: CodeVersion[];
+  currentVersion?: number;
   config: Record<string, any>;
   status: 'created' | 'code_generated' | 'executing' | 'executed_success' | 'executed_failed';
   metadata: SessionMetadata;
@@ -0,0 +1,337 @@
+/**
+ * AppExporter
+ * Packages a registered app so it runs without the builder.
+ *
+ * The renderer passes the app's document as AppPanel.createSecureDocument
+ * builds it (the generated code inside the app harness). The export wraps it
+ * in a host page that answers the harness's database requests with
+ * LocalAppDatabase, seeded with the tables the app owns or uses and saved to
+ * the page's IndexedDB, and runs live queries with QueryWatcher.
+ *
+ * Formats:
+ *   html      one self-contained HTML file
+ *   electron  a minimal Electron project directory (package.json, main.js,
+ *             index.html, README.md) around the same page
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { DATABASE } = require('../config/constants');
+const builderPackage = require('../../package.json');
+
+const FORMATS = ['html', 'electron'];
+const COMPONENTS_DIR = path.join(__dirname, '..', 'renderer', 'components');
+const HOST_SCRIPTS = ['QueryWatcher.js', 'LocalAppDatabase.js'];
+
+// Text placed inside <script> must not close the element early
+const scriptSafe = (text) => String(text).replace(/<\/script/gi, '<\\/script');
+const jsonForScript = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+class AppExporter {
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+    }
+
+    /**
+     * Export an app
+     * @param {string} appId - Registered app
+     * @param {string} appDocument - The app's iframe document (AppPanel.createSecureDocument)
+     * @param {Object} options
+     * @param {string} options.format - 'html' or 'electron'
+     * @param {string} options.targetPath - HTML file, or the directory the Electron project is created in
+     * @returns {Promise<{success: boolean, path?: string, format?: string, tables?: string[], rows?: number, error?: string}>}
+     */
+    async exportApp(appId, appDocument, { format, targetPath }) {
+        try {
+            if (!FORMATS.includes(format)) {
+                throw new Error(`Unsupported export format: ${format}`);
+            }
+            if (!appDocument) {
+                throw new Error('The app document is missing');
+            }
+
+            const snapshot = await this.collectSnapshot(appId);
+            const page = await this.buildStandaloneHtml(snapshot, appDocument);
+            const tables = Object.keys(snapshot.tables);
+            const rows = tables.reduce((count, name) => count + snapshot.tables[name].rows.length, 0);
+
+            let exportedPath = targetPath;
+            if (format === 'html') {
+                await fs.writeFile(targetPath, page, 'utf8');
+            } else {
+                exportedPath = await this.writeElectronProject(targetPath, snapshot.app, page);
+            }
+
+            logger.info('App exported', { appId, format, path: exportedPath, tables: tables.length, rows });
+            return { success: true, path: exportedPath, format, tables, rows };
+        } catch (error) {
+            logger.error('Failed to export app', { appId, format, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The app's registry entry and the tables it owns or uses, with their rows
+     * as stored (booleans as 0/1, json as text)
+     * @param {string} appId
+     * @returns {Promise<{app: Object, exportedAt: string, tables: Object<string, {schema: Object, rows: Object[]}>}>}
+     */
+    async collectSnapshot(appId) {
+        const info = await this.databaseManager.getAppInfo(appId);
+        if (!info.success) {
+            throw new Error(info.error);
+        }
+
+        const usage = await this.databaseManager.getAppTableUsage(appId);
+        const tableNames = new Set([
+            ...(info.app.tables || []).map(table => table.table_name),
+            ...(usage.success ? usage.tables.map(table => table.table_name) : [])
+        ]);
+        const existing = new Set((await this.databaseManager.listTables(DATABASE.SHARED_DB_NAME)).tables);
+
+        const tables = {};
+        const db = await this.databaseManager.openReadOnlyConnection(DATABASE.SHARED_DB_NAME);
+        try {
+            for (const name of [...tableNames].filter(table => existing.has(table)).sort()) {
+                this.databaseManager.validateTableName(name);
+                tables[name] = {
+                    schema: await this.databaseManager.getTableSchema(db, name),
+                    rows: db.prepare(`SELECT * FROM "${name}" ORDER BY id`).all()
+                };
+            }
+        } finally {
+            db.close();
+        }
+
+        // The registry entry without the code, which the app document carries
+        const app = {
+            app_id: info.app.app_id,
+            app_name: info.app.app_name,
+            description: info.app.description || '',
+            version: info.app.version || null
+        };
+        return { app, exportedAt: new Date().toISOString(), tables };
+    }
+
+    /**
+     * The host page: the app document in a sandboxed frame, and the local
+     * database answering its requests
+     * @param {Object} snapshot - From collectSnapshot
+     * @param {string} appDocument - The app's iframe document
+     * @returns {Promise<string>}
+     */
+    async buildStandaloneHtml(snapshot, appDocument) {
+        const sources = await Promise.all(HOST_SCRIPTS.map(file => fs.readFile(path.join(COMPONENTS_DIR, file), 'utf8')));
+        const title = escapeHtml(snapshot.app.app_name || snapshot.app.app_id);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'self' data:; script-src 'unsafe-inline'; style-src 'unsafe-inline'; frame-src 'self' about:;">
+    <meta name="generator" content="Dynamic App Builder">
+    <title>${title}</title>
+    <style>
+        html, body { margin: 0; height: 100%; }
+        #app-frame { display: block; width: 100%; height: 100%; border: 0; }
+    </style>
+</head>
+<body>
+    <iframe id="app-frame" title="${title}" sandbox="allow-scripts allow-same-origin allow-forms"></iframe>
+
+    <!-- Exported ${escapeHtml(snapshot.exportedAt)}: the app's code and the data it had then -->
+    <script type="application/json" id="app-snapshot">${jsonForScript(snapshot)}</script>
+    <script type="application/json" id="app-document">${jsonForScript(appDocument)}</script>
+
+${sources.map(source => `    <script>\n${scriptSafe(source)}\n    </script>`).join('\n')}
+
+    <script>
+${scriptSafe(HOST_SCRIPT)}
+    </script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Write an Electron project that opens the page in a window
+     * @param {string} parentDir - Directory the project directory is created in
+     * @param {Object} app - Registry entry from the snapshot
+     * @param {string} page - The standalone HTML
+     * @returns {Promise<string>} The project directory
+     */
+    async writeElectronProject(parentDir, app, page) {
+        const name = AppExporter.packageName(app.app_name || app.app_id);
+        const projectDir = path.join(parentDir, name);
+        try {
+            await fs.mkdir(projectDir);
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                throw new Error(`${projectDir} already exists`);
+            }
+            throw error;
+        }
+
+        const packageJson = {
+            name,
+            productName: app.app_name || app.app_id,
+            version: '1.0.0',
+            description: app.description || '',
+            private: true,
+            main: 'main.js',
+            scripts: { start: 'electron .' },
+            devDependencies: { electron: builderPackage.devDependencies.electron }
+        };
+
+        await fs.writeFile(path.join(projectDir, 'package.json'), JSON.stringify(packageJson, null, 2) + '\n', 'utf8');
+        await fs.writeFile(path.join(projectDir, 'main.js'), ELECTRON_MAIN, 'utf8');
+        await fs.writeFile(path.join(projectDir, 'index.html'), page, 'utf8');
+        await fs.writeFile(path.join(projectDir, 'README.md'), AppExporter.readme(app), 'utf8');
+        return projectDir;
+    }
+
+    /**
+     * npm package name for an app
+     * @param {string} appName
+     * @returns {string}
+     */
+    static packageName(appName) {
+        const slug = String(appName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+        return slug || 'exported-app';
+    }
+
+    /**
+     * @private
+     */
+    static readme(app) {
+        return `# ${app.app_name || app.app_id}
+
+${app.description || ''}
+
+Exported from Dynamic App Builder.
+
+## Run
+
+    npm install
+    npm start
+
+\`index.html\` also opens on its own in a browser. The app keeps its data in
+the page's IndexedDB; it starts from the rows the app had when it was exported.
+SQL queries (\`executeQuery\`) and undo/redo are not available outside the builder.
+`;
+    }
+}
+
+// Runs in the exported page after QueryWatcher and LocalAppDatabase
+const HOST_SCRIPT = `(async function() {
+    const snapshot = JSON.parse(document.getElementById('app-snapshot').textContent);
+    const appDocument = JSON.parse(document.getElementById('app-document').textContent);
+    const frame = document.getElementById('app-frame');
+    const post = (message) => frame.contentWindow && frame.contentWindow.postMessage(message, '*');
+
+    const watcher = new QueryWatcher({
+        query: (tableName, options) => database.queryData(tableName, options),
+        deliver: (watchId, update) => post({ type: 'query-update', watchId, ...update })
+    });
+    const database = new LocalAppDatabase({
+        snapshot,
+        storage: window.indexedDB ? LocalAppDatabase.indexedDbStorage('exported-app-' + snapshot.app.app_id) : null,
+        onChange: (change) => watcher.handleChange({ ...change, appId: snapshot.app.app_id })
+    });
+
+    try {
+        await database.open();
+    } catch (error) {
+        // Without saved data the app still runs on the exported rows
+        console.warn('Failed to load the saved app data:', error);
+        database.storage = null;
+        await database.open();
+    }
+
+    window.addEventListener('message', async (event) => {
+        if (event.source !== frame.contentWindow || !event.data) {
+            return;
+        }
+        const { type, id, method, data, callId } = event.data;
+
+        if (type === 'db-request') {
+            try {
+                let result;
+                if (method === 'watchQuery') {
+                    result = await watcher.watch(data.watchId, data.tableName, data.options);
+                } else if (method === 'unwatchQuery') {
+                    result = { success: watcher.unwatch(data.watchId) };
+                } else {
+                    result = await database.handle(method, data);
+                }
+                post({ type: 'db-response', id, result });
+            } catch (error) {
+                post({ type: 'db-response', id, error: error.message });
+            }
+        }
+
+        // The app runs alone here: no other app answers appBus calls
+        if (type === 'app-bus-discover') {
+            post({ type: 'app-bus-result', callId, result: [] });
+        }
+        if (type === 'app-bus-call') {
+            post({ type: 'app-bus-result', callId, error: "App '" + event.data.targetAppId + "' is not running" });
+        }
+    });
+
+    frame.srcdoc = appDocument;
+})();`;
+
+const ELECTRON_MAIN = `// Opens the exported app (index.html) in a window
+const { app, BrowserWindow, shell } = require('electron');
+const path = require('path');
+
+function createWindow() {
+    const window = new BrowserWindow({
+        width: 1000,
+        height: 720,
+        webPreferences: {
+            contextIsolation: true,
+            nodeIntegration: false,
+            sandbox: true
+        }
+    });
+
+    // The app stays on its page; links open in the browser
+    window.webContents.setWindowOpenHandler(({ url }) => {
+        if (/^https?:/.test(url)) {
+            shell.openExternal(url);
+        }
+        return { action: 'deny' };
+    });
+    window.webContents.on('will-navigate', (event) => event.preventDefault());
+
+    window.loadFile(path.join(__dirname, 'index.html'));
+}
+
+app.whenReady().then(() => {
+    createWindow();
+    app.on('activate', () => {
+        if (BrowserWindow.getAllWindows().length === 0) {
+            createWindow();
+        }
+    });
+});
+
+app.on('window-all-closed', () => {
+    if (process.platform !== 'darwin') {
+        app.quit();
+    }
+});
+`;
+
+AppExporter.FORMATS = FORMATS;
+
+module.exports = AppExporter;
@@ -0,0 +1,371 @@
+/**
+ * AppVersionHistory
+ * Keeps every version of the registered apps in a local git repository, so
+ * code that a regeneration or an edit replaced can be compared and restored.
+ *
+ * Each app has a directory in the repository:
+ *   apps/<appId>/app.js       the generated code
+ *   apps/<appId>/prompt.md    the original prompt
+ *   apps/<appId>/schema.json  schemas of the tables the app owns
+ *   apps/<appId>/app.json     name, description, status and registry version
+ *
+ * A version is a commit that changes the app's directory. The commit message
+ * carries the app id, registry version and reason (generate, regenerate,
+ * edit, restore, import) as trailers, which getHistory reads back.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const textDiff = require('./textDiff');
+const VersionControlModule = require('../modules/VersionControlModule');
+const { DATABASE } = require('../config/constants');
+
+const REPOSITORY_DIR = 'app-history';
+const COMMITTER = { name: 'Dynamic App Builder', email: 'app-history@localhost' };
+const REASONS = ['generate', 'regenerate', 'edit', 'restore', 'import'];
+const FILES = ['app.js', 'prompt.md', 'schema.json', 'app.json'];
+
+class AppVersionHistory {
+    /**
+     * @param {DatabaseManager} databaseManager
+     * @param {VersionControlModule} [versionControl]
+     */
+    constructor(databaseManager, versionControl = new VersionControlModule()) {
+        this.databaseManager = databaseManager;
+        this.versionControl = versionControl;
+        this.repoPath = null;
+        this.available = false;
+        // Git commands on one repository must not overlap
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Open (or create) the history repository and record apps it doesn't have yet
+     * @param {string} [repoPath] - Defaults to app-history in the data directory
+     * @returns {Promise<{success: boolean, imported?: number, error?: string}>}
+     */
+    async initialize(repoPath = path.join(this.databaseManager.dataPath, REPOSITORY_DIR)) {
+        try {
+            this.repoPath = repoPath;
+            await fs.mkdir(repoPath, { recursive: true });
+
+            const result = await this.versionControl.initialize(repoPath, { standalone: true, hooks: false, user: COMMITTER });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.available = true;
+
+            // Apps registered before the history existed start from their current code
+            let imported = 0;
+            const { apps = [] } = await this.databaseManager.listApps();
+            for (const app of apps) {
+                if (!app.generated_code || await this.exists(this.appDir(app.app_id))) {
+                    continue;
+                }
+                const recorded = await this.recordVersion(app.app_id, 'import');
+                if (recorded.commit) {
+                    imported++;
+                }
+            }
+
+            logger.info('App version history ready', { repoPath, imported });
+            return { success: true, imported };
+        } catch (error) {
+            this.available = false;
+            logger.warn('App version history unavailable', { repoPath, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Commit the app's current code, prompt and schema
+     * @param {string} appId
+     * @param {string} reason - One of generate, regenerate, edit, restore, import
+     * @param {Object} [details]
+     * @param {string} [details.restoredFrom] - Commit a restore brought back
+     * @returns {Promise<{success: boolean, commit?: string|null, error?: string}>} commit is null when nothing changed
+     */
+    async recordVersion(appId, reason, details = {}) {
+        if (!REASONS.includes(reason)) {
+            return { success: false, error: `Unknown version reason: ${reason}` };
+        }
+        return this.enqueue(async () => {
+            try {
+                this.assertAvailable();
+                const snapshot = await this.snapshot(appId);
+                const dir = this.appDir(appId);
+
+                await fs.mkdir(path.join(this.repoPath, dir), { recursive: true });
+                for (const file of FILES) {
+                    await fs.writeFile(path.join(this.repoPath, dir, file), snapshot[file], 'utf8');
+                }
+
+                const added = await this.versionControl.stageFiles([dir]);
+                if (!added.success) {
+                    throw new Error(added.error);
+                }
+                const staged = await this.versionControl.getDiff({ staged: true, nameOnly: true });
+                if (!staged.success) {
+                    throw new Error(staged.error);
+                }
+                if (!staged.diff.split('\n').some(file => file.startsWith(`${dir}/`))) {
+                    return { success: true, commit: null };
+                }
+
+                const trailers = [`App-Id: ${appId}`, `App-Version: ${snapshot.version}`, `Reason: ${reason}`];
+                if (details.restoredFrom) {
+                    trailers.push(`Restored-From: ${details.restoredFrom}`);
+                }
+                const result = await this.versionControl.commit([`${snapshot.name} v${snapshot.version}: ${reason}`, trailers.join('\n')]);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+
+                logger.info('App version recorded', { appId, reason, commit: result.commit });
+                return { success: true, commit: result.commit };
+            } catch (error) {
+                logger.error('Failed to record app version', { appId, reason, error });
+                return { success: false, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * The app's versions, newest first
+     * @param {string} appId
+     * @param {Object} [options]
+     * @param {number} [options.limit=100]
+     * @returns {Promise<{success: boolean, versions?: Array<{commit: string, date: string, reason: string, version: number|null, restoredFrom: string|null, current: boolean}>, error?: string}>}
+     */
+    async getHistory(appId, options = {}) {
+        try {
+            this.assertAvailable();
+            const log = await this.enqueue(() => this.versionControl.getHistory({ file: this.appDir(appId), limit: options.limit || 100 }));
+            if (!log.success) {
+                throw new Error(log.error);
+            }
+
+            const versions = log.commits.map((entry, index) => {
+                const trailers = AppVersionHistory.parseTrailers(entry.body);
+                return {
+                    commit: entry.hash,
+                    date: entry.date,
+                    reason: trailers.Reason || 'edit',
+                    version: trailers['App-Version'] ? Number(trailers['App-Version']) : null,
+                    restoredFrom: trailers['Restored-From'] || null,
+                    current: index === 0
+                };
+            });
+            return { success: true, versions };
+        } catch (error) {
+            logger.error('Failed to load app history', { appId, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The app's files as a version left them
+     * @param {string} appId
+     * @param {string} commit
+     * @returns {Promise<{success: boolean, version?: {commit: string, code: string, prompt: string, schema: Object, app: Object}, error?: string}>}
+     */
+    async getVersion(appId, commit) {
+        try {
+            this.assertAvailable();
+            const files = await this.readFiles(appId, commit);
+            if (files['app.js'] === null) {
+                throw new Error(`Version ${commit} has no code for this app`);
+            }
+            return {
+                success: true,
+                version: {
+                    commit,
+                    code: files['app.js'],
+                    prompt: files['prompt.md'] || '',
+                    schema: JSON.parse(files['schema.json'] || '{}'),
+                    app: JSON.parse(files['app.json'] || '{}')
+                }
+            };
+        } catch (error) {
+            logger.error('Failed to read app version', { appId, commit, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * What a version changed compared with the one before it
+     * @param {string} appId
+     * @param {string} commit
+     * @returns {Promise<{success: boolean, files?: Array<{file: string, summary: Object, unified: string}>, error?: string}>} Only files that changed
+     */
+    async diffVersion(appId, commit) {
+        try {
+            this.assertAvailable();
+            const after = await this.readFiles(appId, commit);
+            // The parent commit holds the previous state of every app's files
+            const before = await this.readFiles(appId, `${commit}~1`);
+
+            const files = [];
+            for (const file of FILES) {
+                const oldText = before[file] || '';
+                const newText = after[file] || '';
+                if (oldText === newText) {
+                    continue;
+                }
+                const ops = textDiff.diffLines(oldText, newText);
+                files.push({
+                    file,
+                    summary: textDiff.summarize(ops),
+                    unified: textDiff.toUnified(ops, { oldLabel: `${file} before`, newLabel: `${file} at ${commit}` })
+                });
+            }
+            return { success: true, files };
+        } catch (error) {
+            logger.error('Failed to diff app version', { appId, commit, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Make a version's code the app's active code, as a new version
+     * @param {string} appId
+     * @param {string} commit
+     * @returns {Promise<{success: boolean, app?: Object, code?: string, commit?: string|null, error?: string}>}
+     */
+    async restoreVersion(appId, commit) {
+        const version = await this.getVersion(appId, commit);
+        if (!version.success) {
+            return version;
+        }
+
+        const updated = await this.databaseManager.updateAppCode(appId, version.version.code, true);
+        if (!updated.success) {
+            return updated;
+        }
+
+        const recorded = await this.recordVersion(appId, 'restore', { restoredFrom: commit });
+        logger.info('App version restored', { appId, from: commit, version: updated.app.version });
+        return { success: true, app: updated.app, code: version.version.code, commit: recorded.commit || null };
+    }
+
+    /**
+     * The files recordVersion writes for the app's current state
+     * @private
+     */
+    async snapshot(appId) {
+        const info = await this.databaseManager.getAppInfo(appId);
+        if (!info.success) {
+            throw new Error(info.error);
+        }
+        const app = info.app;
+
+        const schema = {};
+        const owned = (app.tables || []).map(table => table.table_name).sort();
+        if (owned.length > 0) {
+            const existing = new Set((await this.databaseManager.listTables(DATABASE.SHARED_DB_NAME)).tables);
+            const db = await this.databaseManager.openReadOnlyConnection(DATABASE.SHARED_DB_NAME);
+            try {
+                for (const name of owned.filter(table => existing.has(table))) {
+                    schema[name] = await this.databaseManager.getTableSchema(db, name);
+                }
+            } finally {
+                db.close();
+            }
+        }
+
+        const meta = {
+            app_id: app.app_id,
+            app_name: app.app_name,
+            description: app.description || '',
+            status: app.status,
+            version: app.version
+        };
+
+        return {
+            name: app.app_name || app.app_id,
+            version: app.version,
+            'app.js': app.generated_code || '',
+            'prompt.md': app.original_prompt || '',
+            'schema.json': JSON.stringify(schema, null, 2) + '\n',
+            'app.json': JSON.stringify(meta, null, 2) + '\n'
+        };
+    }
+
+    /**
+     * The app's files at a commit; null for files that didn't exist
+     * @private
+     */
+    async readFiles(appId, ref) {
+        if (!/^[0-9a-f]{7,40}(~1)?$/.test(ref)) {
+            throw new Error(`Invalid version: ${ref}`);
+        }
+        const files = {};
+        for (const file of FILES) {
+            const result = await this.enqueue(() => this.versionControl.getFileAtCommit(ref, `${this.appDir(appId)}/${file}`));
+            files[file] = result.success ? result.content : null;
+        }
+        return files;
+    }
+
+    /**
+     * @private
+     */
+    appDir(appId) {
+        if (!/^[a-zA-Z0-9_-]+$/.test(appId)) {
+            throw new Error(`Invalid app id: ${appId}`);
+        }
+        return `apps/${appId}`;
+    }
+
+    /**
+     * @private
+     */
+    async exists(dir) {
+        try {
+            await fs.access(path.join(this.repoPath, dir));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    assertAvailable() {
+        if (!this.available) {
+            throw new Error('Version history is not available');
+        }
+    }
+
+    /**
+     * Run git work after the work already queued
+     * @private
+     */
+    enqueue(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * "Key: value" lines of a commit message body
+     * @param {string} body
+     * @returns {Object<string, string>}
+     */
+    static parseTrailers(body = '') {
+        const trailers = {};
+        for (const line of String(body).split('\n')) {
+            const match = line.match(/^([A-Za-z-]+):\s*(.+)$/);
+            if (match) {
+                trailers[match[1]] = match[2].trim();
+            }
+        }
+        return trailers;
+    }
+}
+
+AppVersionHistory.REASONS = REASONS;
+
+module.exports = AppVersionHistory;
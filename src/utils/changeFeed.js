@@ -0,0 +1,186 @@
+/**
+ * ChangeFeed
+ * Forwards DatabaseManager 'changes' events to renderer subscriptions.
+ *
+ * Each subscription belongs to one webContents and may be limited to a set of
+ * tables. Events are collected for one tick and sent as a single message per
+ * subscription:
+ *
+ *   { subscriptionId, previousSequence, events }
+ *
+ * previousSequence is the last sequence number sent to that subscription, so a
+ * subscriber that does not hold it knows it missed events and can catch up with
+ * changesSince(). Messages that would carry more than
+ * CHANGE_FEED.MAX_EVENTS_PER_FLUSH events are summarized as one {op: 'bulk'}
+ * event per table.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { DATABASE } = require('../config/constants');
+
+const CHANGE_FEED = DATABASE.CHANGE_FEED;
+
+class ChangeFeed {
+    /**
+     * @param {DatabaseManager} databaseManager - Source of 'changes' events
+     * @param {string} channel - IPC channel the messages are sent on
+     */
+    constructor(databaseManager, channel = 'db-change-feed') {
+        this.databaseManager = databaseManager;
+        this.channel = channel;
+        this.subscriptions = new Map(); // subscriptionId -> {sender, tables, lastSequence}
+        this.history = []; // Recent events, oldest first
+        this.pending = [];
+        this.flushScheduled = false;
+
+        this.onChanges = (events) => this.enqueue(events);
+        this.databaseManager.on('changes', this.onChanges);
+    }
+
+    /**
+     * Last sequence number the database manager has emitted
+     */
+    get sequence() {
+        return this.databaseManager.changeSequence;
+    }
+
+    /**
+     * Subscribe a webContents to the feed
+     * @param {WebContents} sender - Receives the messages
+     * @param {string[]|null} tables - Only these tables, or all tables
+     * @returns {{subscriptionId: string, sequence: number}}
+     */
+    subscribe(sender, tables = null) {
+        const subscriptionId = `feed_${crypto.randomBytes(8).toString('hex')}`;
+        this.subscriptions.set(subscriptionId, {
+            sender,
+            tables: Array.isArray(tables) && tables.length > 0 ? new Set(tables) : null,
+            lastSequence: this.sequence
+        });
+
+        // Drop the window's subscriptions when it goes away
+        if (typeof sender.once === 'function') {
+            sender.once('destroyed', () => {
+                for (const [id, subscription] of this.subscriptions) {
+                    if (subscription.sender === sender) this.subscriptions.delete(id);
+                }
+            });
+        }
+
+        return { subscriptionId, sequence: this.sequence };
+    }
+
+    /**
+     * @param {string} subscriptionId
+     * @returns {boolean} Whether the subscription existed
+     */
+    unsubscribe(subscriptionId) {
+        return this.subscriptions.delete(subscriptionId);
+    }
+
+    /**
+     * Events after a sequence number, for subscribers that detected a gap
+     * @param {number} sequence - Last sequence number the caller holds
+     * @param {string[]|null} tables - Only these tables
+     * @returns {{success: boolean, events: Object[], sequence: number, reset?: boolean}}
+     *   reset is true when the events are no longer kept; the caller should reload
+     */
+    changesSince(sequence, tables = null) {
+        const oldest = this.history.length > 0 ? this.history[0].sequence : this.sequence + 1;
+        if (sequence + 1 < oldest) {
+            return { success: true, reset: true, events: [], sequence: this.sequence };
+        }
+
+        const filter = Array.isArray(tables) && tables.length > 0 ? new Set(tables) : null;
+        const events = this.history.filter(event =>
+            event.sequence > sequence && this.matches(event, filter)
+        );
+        return { success: true, events, sequence: this.sequence };
+    }
+
+    /**
+     * @private
+     */
+    matches(event, tables) {
+        return !tables || tables.has(event.table);
+    }
+
+    /**
+     * Keep events for changesSince and send them on the next tick
+     * @private
+     */
+    enqueue(events) {
+        this.history.push(...events);
+        if (this.history.length > CHANGE_FEED.HISTORY_SIZE) {
+            this.history.splice(0, this.history.length - CHANGE_FEED.HISTORY_SIZE);
+        }
+
+        this.pending.push(...events);
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+    }
+
+    /**
+     * Send pending events to every subscription
+     */
+    flush() {
+        this.flushScheduled = false;
+        const pending = this.pending;
+        this.pending = [];
+        if (pending.length === 0) return;
+
+        for (const [subscriptionId, subscription] of this.subscriptions) {
+            const events = pending.filter(event => this.matches(event, subscription.tables));
+            if (events.length === 0) continue;
+
+            const message = {
+                subscriptionId,
+                previousSequence: subscription.lastSequence,
+                events: events.length > CHANGE_FEED.MAX_EVENTS_PER_FLUSH ? this.summarize(events) : events
+            };
+            subscription.lastSequence = events[events.length - 1].sequence;
+
+            try {
+                if (subscription.sender.isDestroyed && subscription.sender.isDestroyed()) {
+                    this.subscriptions.delete(subscriptionId);
+                    continue;
+                }
+                subscription.sender.send(this.channel, message);
+            } catch (error) {
+                logger.warn('Failed to send change feed message', { subscriptionId, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * One bulk event per database and table, carrying the last sequence number
+     * @private
+     */
+    summarize(events) {
+        const summaries = new Map();
+        for (const event of events) {
+            const key = `${event.database}:${event.table}`;
+            const summary = summaries.get(key) || { database: event.database, table: event.table, op: 'bulk', count: 0 };
+            summary.count += event.op === 'bulk' ? event.count : 1;
+            summary.sequence = event.sequence;
+            summary.timestamp = event.timestamp;
+            summaries.set(key, summary);
+        }
+        return [...summaries.values()];
+    }
+
+    /**
+     * Stop listening and drop all subscriptions
+     */
+    destroy() {
+        this.databaseManager.off('changes', this.onChanges);
+        this.subscriptions.clear();
+        this.pending = [];
+        this.history = [];
+    }
+}
+
+module.exports = ChangeFeed;
@@ -0,0 +1,97 @@
+/**
+ * Code references
+ * Finds what generated app code depends on: the electronAPI methods it calls
+ * and the shared tables and columns it names. Comparing two versions shows
+ * what a regeneration changed beyond the text.
+ */
+
+// Methods whose first argument is a table name
+const TABLE_METHODS = [
+    'createTable', 'insertData', 'queryData', 'updateData', 'deleteData',
+    'aggregate', 'search', 'watchQuery', 'getTableSchema'
+];
+
+class CodeReferences {
+    /**
+     * The methods, tables and columns a piece of code refers to
+     * @param {string} code - App code
+     * @param {Object<string, {columns: Object}>} schemas - Shared tables by name (getAllSchemas)
+     * @returns {{apiCalls: string[], tables: string[], columns: string[]}} Sorted; columns as "table.column"
+     */
+    extract(code, schemas = {}) {
+        const text = String(code || '');
+        const apiCalls = new Set();
+        const tables = new Set();
+
+        const callPattern = /\belectronAPI\s*\.\s*(\w+)\s*\(\s*(?:(['"`])(\w+)\2)?/g;
+        let match;
+        while ((match = callPattern.exec(text)) !== null) {
+            apiCalls.add(match[1]);
+            if (match[3] && TABLE_METHODS.includes(match[1])) {
+                tables.add(match[3]);
+            }
+        }
+
+        // Table names also reach the API through variables and SQL strings
+        for (const tableName of Object.keys(schemas)) {
+            if (this.mentions(text, tableName)) {
+                tables.add(tableName);
+            }
+        }
+
+        const columns = new Set();
+        for (const tableName of tables) {
+            const schema = schemas[tableName];
+            if (!schema || !schema.columns) {
+                continue;
+            }
+            for (const column of Object.keys(schema.columns)) {
+                if (this.mentions(text, column)) {
+                    columns.add(`${tableName}.${column}`);
+                }
+            }
+        }
+
+        return {
+            apiCalls: [...apiCalls].sort(),
+            tables: [...tables].sort(),
+            columns: [...columns].sort()
+        };
+    }
+
+    /**
+     * What the new code refers to that the old code didn't, and the reverse
+     * @param {string} oldCode
+     * @param {string} newCode
+     * @param {Object<string, {columns: Object}>} schemas - Shared tables by name (getAllSchemas)
+     * @returns {{apiCalls: {added: string[], removed: string[]}, tables: {added: string[], removed: string[]}, columns: {added: string[], removed: string[]}}}
+     */
+    compare(oldCode, newCode, schemas = {}) {
+        const before = this.extract(oldCode, schemas);
+        const after = this.extract(newCode, schemas);
+
+        const changes = {};
+        for (const kind of ['apiCalls', 'tables', 'columns']) {
+            changes[kind] = {
+                added: after[kind].filter(name => !before[kind].includes(name)),
+                removed: before[kind].filter(name => !after[kind].includes(name))
+            };
+        }
+        return changes;
+    }
+
+    /**
+     * Whether a name appears as a whole word
+     * @private
+     */
+    mentions(text, name) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^\\w$])${escaped}(?![\\w$])`).test(text);
+    }
+}
+
+// Export both instance and class for testability
+const instance = new CodeReferences();
+module.exports = instance;
+module.exports.CodeReferences = CodeReferences;
+module.exports.TABLE_METHODS = TABLE_METHODS;
@@ -0,0 +1,332 @@
+/**
+ * DataExporter
+ * Streams a table or a whole database to a file without loading every row into
+ * memory. Rows are read through a separate read-only connection
+ * (DatabaseManager.openReadOnlyConnection) so the export sees one consistent
+ * snapshot and the shared connection stays free for other queries.
+ *
+ * Formats:
+ *   json    {database, exported_at, tables: {name: {schema, data}}}, as exportDatabase returns
+ *   csv     one table, header row + RFC 4180 quoting
+ *   ndjson  one row per line; whole-database exports add a `_table` field
+ *   sql     portable dump (CREATE TABLE + INSERT, then indexes and triggers)
+ *   sqlite  standalone, unencrypted SQLite file with the same tables
+ *
+ * Output is written to `<filePath>.part` and renamed when complete, so a failed
+ * export never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const Database = require('better-sqlite3-multiple-ciphers');
+const logger = require('./logger');
+
+const FORMATS = ['json', 'csv', 'ndjson', 'sql', 'sqlite'];
+const SQLITE_COPY_CHUNK = 1000;
+
+const quote = (identifier) => `"${String(identifier).replace(/"/g, '""')}"`;
+
+class DataExporter {
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+    }
+
+    /**
+     * Export a table or the whole database to a file
+     * @param {string} dbName - Database name
+     * @param {string} filePath - Destination file
+     * @param {Object} options
+     * @param {string} options.format - 'json', 'csv', 'ndjson', 'sql' or 'sqlite'
+     * @param {string} options.table - Export only this table (required for csv)
+     * @returns {Promise<{success: boolean, filePath?: string, format?: string, tables?: string[], rows?: number, error?: string}>}
+     */
+    async exportToFile(dbName, filePath, { format = 'json', table = null } = {}) {
+        const partPath = `${filePath}.part`;
+        let db = null;
+
+        try {
+            if (!FORMATS.includes(format)) {
+                throw new Error(`Unsupported export format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+            }
+            if (format === 'csv' && !table) {
+                throw new Error('CSV export needs a table');
+            }
+
+            db = await this.databaseManager.openReadOnlyConnection(dbName);
+            // One read transaction for the whole export; the snapshot starts at the first read
+            db.exec('BEGIN');
+            const tables = this.resolveTables(db, table);
+
+            await fs.promises.rm(partPath, { force: true });
+            const rows = format === 'sqlite'
+                ? await this.writeSQLiteCopy(db, tables, partPath)
+                : await this.writeStream(partPath, (write) => this.writeFormat(format, db, dbName, tables, write));
+
+            await fs.promises.rename(partPath, filePath);
+
+            logger.info('Database exported', { database: dbName, format, tables: tables.length, rows, filePath });
+            return { success: true, filePath, format, tables, rows };
+        } catch (error) {
+            await fs.promises.rm(partPath, { force: true }).catch(() => {});
+            logger.error('Failed to export database', { database: dbName, format, table, error: error.message });
+            return { success: false, error: error.message };
+        } finally {
+            if (db) {
+                if (db.inTransaction) db.exec('COMMIT');
+                db.close();
+            }
+        }
+    }
+
+    /**
+     * Tables to export: the requested one, or every app table
+     */
+    resolveTables(db, table) {
+        if (table) {
+            this.databaseManager.validateTableName(table);
+            const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+            if (!exists) {
+                throw new Error(`Table '${table}' does not exist`);
+            }
+            return [table];
+        }
+
+        // Same filter as DatabaseManager.listTables: internal tables start with an underscore
+        return db.prepare(`
+            SELECT name FROM sqlite_master
+            WHERE type = 'table'
+              AND name NOT LIKE '!_%' ESCAPE '!'
+              AND name NOT LIKE 'sqlite!_%' ESCAPE '!'
+            ORDER BY name
+        `).all().map(row => row.name);
+    }
+
+    /**
+     * Open a write stream, hand the writer a backpressure-aware `write` and close it
+     * @returns {Promise<number>} Whatever the writer returns (row count)
+     */
+    async writeStream(filePath, writer) {
+        const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+        const failed = new Promise((resolve, reject) => stream.once('error', reject));
+
+        const write = (chunk) => stream.write(chunk)
+            ? Promise.resolve()
+            : Promise.race([new Promise(resolve => stream.once('drain', resolve)), failed]);
+
+        try {
+            const result = await Promise.race([writer(write), failed]);
+            await Promise.race([new Promise(resolve => stream.end(resolve)), failed]);
+            return result;
+        } catch (error) {
+            stream.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Iterate a table's rows; values are converted for the column types when a schema is given
+     */
+    * rows(db, table, schema = null) {
+        const statement = db.prepare(`SELECT * FROM ${quote(table)} ORDER BY rowid`);
+        for (const row of statement.iterate()) {
+            yield schema ? this.databaseManager.transformRowData(row, schema) : row;
+        }
+    }
+
+    /**
+     * Schema of a table as DatabaseManager stores it in _metadata, if available
+     */
+    async tableSchema(db, table) {
+        const hasMetadata = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = '_metadata'").get();
+        if (hasMetadata) {
+            const stored = db.prepare('SELECT schema_json FROM _metadata WHERE table_name = ?').get(table);
+            if (stored) return JSON.parse(stored.schema_json);
+        }
+        return this.databaseManager.analyzeTableStructure(db, table);
+    }
+
+    /**
+     * CREATE statements for a table, split so indexes and triggers can follow the data.
+     * Triggers maintaining internal tables (e.g. the full-text index) are left out.
+     */
+    schemaStatements(db, table) {
+        const objects = db.prepare(`
+            SELECT type, name, sql FROM sqlite_master
+            WHERE tbl_name = ? AND sql IS NOT NULL
+              AND name NOT LIKE '!_%' ESCAPE '!'
+            ORDER BY type = 'table' DESC, name
+        `).all(table);
+
+        return {
+            table: objects.filter(object => object.type === 'table').map(object => `${object.sql};`),
+            after: objects.filter(object => object.type !== 'table').map(object => `${object.sql};`)
+        };
+    }
+
+    /**
+     * SQL literal for a stored value
+     */
+    sqlLiteral(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+        if (typeof value === 'bigint') return value.toString();
+        if (Buffer.isBuffer(value)) return `X'${value.toString('hex')}'`;
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * CSV field, quoted when needed
+     */
+    csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Stream the tables in a text format through `write`
+     * @returns {Promise<number>} Rows written
+     */
+    writeFormat(format, db, dbName, tables, write) {
+        switch (format) {
+            case 'json':
+                return this.writeJSON(db, dbName, tables, write);
+            case 'csv':
+                return this.writeCSV(db, dbName, tables, write);
+            case 'ndjson':
+                return this.writeNDJSON(db, dbName, tables, write);
+            default:
+                return this.writeSQL(db, dbName, tables, write);
+        }
+    }
+
+    /**
+     * Copy the tables into a new unencrypted SQLite file
+     * @returns {Promise<number>} Rows copied
+     */
+    async writeSQLiteCopy(db, tables, filePath) {
+        const target = new Database(filePath);
+        let count = 0;
+
+        try {
+            const after = [];
+            for (const table of tables) {
+                const statements = this.schemaStatements(db, table);
+                statements.table.forEach(sql => target.exec(sql));
+                after.push(...statements.after);
+
+                const columns = db.prepare(`PRAGMA table_info(${quote(table)})`).all().map(column => column.name);
+                const insert = target.prepare(`INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+                const insertChunk = target.transaction((chunk) => chunk.forEach(row => insert.run(row)));
+
+                let chunk = [];
+                for (const row of db.prepare(`SELECT ${columns.map(quote).join(', ')} FROM ${quote(table)} ORDER BY rowid`).raw().iterate()) {
+                    chunk.push(row);
+                    if (chunk.length === SQLITE_COPY_CHUNK) {
+                        insertChunk(chunk);
+                        count += chunk.length;
+                        chunk = [];
+                        // Let other work run between chunks of a large table
+                        await new Promise(resolve => setImmediate(resolve));
+                    }
+                }
+                insertChunk(chunk);
+                count += chunk.length;
+            }
+            after.forEach(sql => target.exec(sql));
+        } finally {
+            target.close();
+        }
+
+        return count;
+    }
+
+    /**
+     * JSON document in the shape exportDatabase returns
+     * @returns {Promise<number>} Rows written
+     */
+    async writeJSON(db, dbName, tables, write) {
+        let count = 0;
+        await write(`{"database":${JSON.stringify(dbName)},"exported_at":${JSON.stringify(new Date().toISOString())},"tables":{`);
+
+        for (const [index, table] of tables.entries()) {
+            const schema = await this.tableSchema(db, table);
+            await write(`${index > 0 ? ',' : ''}${JSON.stringify(table)}:{"schema":${JSON.stringify(schema)},"data":[`);
+            let first = true;
+            for (const row of this.rows(db, table, schema)) {
+                await write(`${first ? '' : ','}${JSON.stringify(row)}`);
+                first = false;
+                count++;
+            }
+            await write(']}');
+        }
+
+        await write('}}\n');
+        return count;
+    }
+
+    /**
+     * One table as CSV with a header row
+     * @returns {Promise<number>} Rows written
+     */
+    async writeCSV(db, dbName, tables, write) {
+        const [table] = tables;
+        const schema = await this.tableSchema(db, table);
+        const columns = db.prepare(`PRAGMA table_info(${quote(table)})`).all().map(column => column.name);
+        let count = 0;
+
+        await write(`${columns.map(column => this.csvField(column)).join(',')}\r\n`);
+        for (const row of this.rows(db, table, schema)) {
+            await write(`${columns.map(column => this.csvField(row[column])).join(',')}\r\n`);
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * One JSON object per line
+     * @returns {Promise<number>} Rows written
+     */
+    async writeNDJSON(db, dbName, tables, write) {
+        let count = 0;
+        for (const table of tables) {
+            const schema = await this.tableSchema(db, table);
+            for (const row of this.rows(db, table, schema)) {
+                await write(`${JSON.stringify(tables.length > 1 ? { _table: table, ...row } : row)}\n`);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Portable SQL dump
+     * @returns {Promise<number>} Rows written
+     */
+    async writeSQL(db, dbName, tables, write) {
+        let count = 0;
+        const after = [];
+
+        await write(`-- Export of database '${dbName}' (${new Date().toISOString()})\n`);
+        await write('PRAGMA foreign_keys=OFF;\nBEGIN TRANSACTION;\n');
+
+        for (const table of tables) {
+            const statements = this.schemaStatements(db, table);
+            await write(`\n${statements.table.join('\n')}\n`);
+            after.push(...statements.after);
+
+            for (const row of this.rows(db, table)) {
+                const columns = Object.keys(row);
+                await write(`INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(column => this.sqlLiteral(row[column])).join(', ')});\n`);
+                count++;
+            }
+        }
+
+        if (after.length > 0) {
+            await write(`\n${after.join('\n')}\n`);
+        }
+        await write('COMMIT;\n');
+        return count;
+    }
+}
+
+module.exports = DataExporter;
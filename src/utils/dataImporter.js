@@ -0,0 +1,573 @@
+/**
+ * DataImporter
+ * Parses CSV, TSV, JSON and NDJSON files, infers column types and imports the
+ * rows into a new or existing table in batches.
+ *
+ * The import runs in two steps so the user can review it in between:
+ *   1. preview(fileName, content) parses the file, stages the rows under an
+ *      importId and returns the inferred columns plus the first rows.
+ *   2. importStaged(dbName, importId, options) maps the columns onto a table and
+ *      inserts the rows, reporting the rows that were rejected.
+ *
+ * Inferred types are the DatabaseManager column types ('string', 'integer',
+ * 'number', 'boolean', 'date', 'json'), so the SQLite type of each column is the
+ * one DatabaseManager.getSQLiteType picks when the table is created.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { DATABASE } = require('../config/constants');
+
+const IMPORT = DATABASE.IMPORT;
+const FORMATS = ['csv', 'tsv', 'json', 'ndjson'];
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'json'];
+const SYSTEM_COLUMNS = ['id', 'created_at', 'updated_at'];
+const IDENTIFIER_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+const INTEGER_PATTERN = /^-?(0|[1-9]\d{0,14})$/;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false, y: true, n: false, 1: true, 0: false };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+class DataImporter {
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+        this.staged = new Map(); // importId -> {fileName, format, columns, rows, rejected}
+    }
+
+    /**
+     * Detect the file format from its extension
+     * @param {string} fileName
+     * @returns {string|null} 'csv', 'tsv', 'json', 'ndjson' or null
+     */
+    static detectFormat(fileName) {
+        const extension = String(fileName || '').toLowerCase().split('.').pop();
+        if (extension === 'jsonl') return 'ndjson';
+        if (extension === 'txt') return 'tsv';
+        return FORMATS.includes(extension) ? extension : null;
+    }
+
+    /**
+     * Parse file content into rows keyed by column name
+     * @param {string} content - File content
+     * @param {string} format - 'csv', 'tsv', 'json' or 'ndjson'
+     * @returns {{columns: string[], rows: Array<{row: number, values: Object}>, rejected: Array<{row: number, error: string}>}}
+     *   `row` is the line number (CSV, TSV, NDJSON) or 1-based item index (JSON) in the file
+     */
+    parse(content, format) {
+        const text = String(content).replace(/^\uFEFF/, '');
+
+        switch (format) {
+            case 'csv':
+                return this.parseDelimited(text, ',');
+            case 'tsv':
+                return this.parseDelimited(text, '\t');
+            case 'json':
+                return this.parseJSON(text);
+            case 'ndjson':
+                return this.parseNDJSON(text);
+            default:
+                throw new Error(`Unsupported import format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Parse delimited text (RFC 4180 quoting) with a header row
+     */
+    parseDelimited(text, delimiter) {
+        const records = this.splitRecords(text, delimiter);
+        if (records.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        const columns = this.uniqueColumnNames(records[0].fields);
+        const rows = [];
+        const rejected = [];
+
+        records.slice(1).forEach(({ line, fields }) => {
+            if (fields.length === 1 && fields[0] === '') {
+                return; // Blank line
+            }
+            if (fields.length !== columns.length) {
+                rejected.push({ row: line, error: `Expected ${columns.length} fields, found ${fields.length}` });
+                return;
+            }
+            const values = {};
+            columns.forEach((column, index) => {
+                values[column] = fields[index];
+            });
+            rows.push({ row: line, values });
+        });
+
+        return { columns, rows, rejected };
+    }
+
+    /**
+     * Split delimited text into records, tracking the line each record starts on
+     */
+    splitRecords(text, delimiter) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                fields.push(field);
+                records.push({ line: recordLine, fields });
+                fields = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+        }
+        if (field !== '' || fields.length > 0) {
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+        }
+
+        return records;
+    }
+
+    /**
+     * Parse a JSON array of objects
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('JSON imports must contain an array of objects');
+        }
+
+        return this.collectObjects(data.map((item, index) => ({ row: index + 1, item })));
+    }
+
+    /**
+     * Parse newline-delimited JSON, one object per line
+     */
+    parseNDJSON(text) {
+        const items = [];
+        const rejected = [];
+
+        text.split(/\r?\n/).forEach((lineText, index) => {
+            if (lineText.trim() === '') return;
+            try {
+                items.push({ row: index + 1, item: JSON.parse(lineText) });
+            } catch (error) {
+                rejected.push({ row: index + 1, error: `Invalid JSON: ${error.message}` });
+            }
+        });
+
+        const result = this.collectObjects(items);
+        result.rejected = [...rejected, ...result.rejected].sort((a, b) => a.row - b.row);
+        return result;
+    }
+
+    /**
+     * Turn parsed JSON items into rows; columns are the union of keys in first-seen order
+     */
+    collectObjects(items) {
+        const columns = [];
+        const rows = [];
+        const rejected = [];
+
+        items.forEach(({ row, item }) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                rejected.push({ row, error: 'Expected an object' });
+                return;
+            }
+            Object.keys(item).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+            rows.push({ row, values: item });
+        });
+
+        return { columns, rows, rejected };
+    }
+
+    /**
+     * Give every header a non-empty, unique name
+     */
+    uniqueColumnNames(headers) {
+        const seen = new Map();
+        return headers.map((header, index) => {
+            const base = header.trim() || `column_${index + 1}`;
+            const count = (seen.get(base) || 0) + 1;
+            seen.set(base, count);
+            return count === 1 ? base : `${base}_${count}`;
+        });
+    }
+
+    /**
+     * Infer the column type that fits every non-empty value
+     * @param {Array} values - Column values
+     * @returns {string} DatabaseManager column type
+     */
+    inferType(values) {
+        const present = values.filter(value => !isEmpty(value));
+        if (present.length === 0) {
+            return 'string';
+        }
+
+        const all = (test) => present.every(test);
+        const text = (value) => typeof value === 'string' ? value.trim() : null;
+
+        if (all(value => typeof value === 'boolean' || /^(true|false)$/i.test(text(value)))) {
+            return 'boolean';
+        }
+        if (all(value => Number.isInteger(value) || INTEGER_PATTERN.test(text(value)))) {
+            return 'integer';
+        }
+        if (all(value => (typeof value === 'number' && Number.isFinite(value)) || NUMBER_PATTERN.test(text(value)))) {
+            return 'number';
+        }
+        if (all(value => DATE_PATTERN.test(text(value)) && !Number.isNaN(Date.parse(text(value))))) {
+            return 'date';
+        }
+        if (all(value => typeof value === 'object')) {
+            return 'json';
+        }
+        return 'string';
+    }
+
+    /**
+     * Suggest a column name for a source header
+     * @param {string} header
+     * @returns {string|null} Identifier, or null for columns the database manages
+     */
+    suggestColumnName(header) {
+        let name = String(header).trim()
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+
+        if (!name) return null;
+        if (!/^[a-z]/.test(name)) name = `col_${name}`;
+        return SYSTEM_COLUMNS.includes(name) ? null : name.slice(0, 64);
+    }
+
+    /**
+     * Convert a value to the target column type
+     * @returns {*} Converted value, or null when empty
+     * @throws {Error} When the value does not fit the type
+     */
+    coerceValue(value, type) {
+        if (isEmpty(value)) {
+            return null;
+        }
+        const text = typeof value === 'string' ? value.trim() : value;
+
+        switch (type) {
+            case 'integer':
+                if (Number.isInteger(text) || INTEGER_PATTERN.test(text)) return Number(text);
+                throw new Error(`${JSON.stringify(value)} is not an integer`);
+            case 'number':
+                if ((typeof text === 'number' && Number.isFinite(text)) || NUMBER_PATTERN.test(text)) return Number(text);
+                throw new Error(`${JSON.stringify(value)} is not a number`);
+            case 'boolean': {
+                if (typeof text === 'boolean') return text;
+                const key = String(text).toLowerCase();
+                if (Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key)) return BOOLEAN_VALUES[key];
+                throw new Error(`${JSON.stringify(value)} is not a boolean`);
+            }
+            case 'date':
+                if (typeof text === 'string' && !Number.isNaN(Date.parse(text))) return text;
+                throw new Error(`${JSON.stringify(value)} is not a date`);
+            case 'json':
+                if (typeof value === 'object') return value;
+                try {
+                    return JSON.parse(text);
+                } catch (error) {
+                    throw new Error(`${JSON.stringify(value)} is not valid JSON`);
+                }
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    /**
+     * Parse a file, stage its rows and return a preview
+     * @param {string} fileName - Original file name, used to detect the format
+     * @param {string} content - File content
+     * @param {Object} options
+     * @param {string} options.format - Overrides the detected format
+     * @returns {{success: boolean, importId?: string, fileName?: string, format?: string, rowCount?: number,
+     *   columns?: Array<{name: string, target: string|null, type: string, sqliteType: string}>,
+     *   sample?: Object[], rejected?: Object[], error?: string}}
+     */
+    preview(fileName, content, { format = null } = {}) {
+        try {
+            const resolvedFormat = format || DataImporter.detectFormat(fileName);
+            if (!resolvedFormat) {
+                throw new Error(`Cannot detect the format of '${fileName}'. Use one of: ${FORMATS.join(', ')}`);
+            }
+
+            const parsed = this.parse(content, resolvedFormat);
+            if (parsed.columns.length === 0) {
+                throw new Error('No columns found in the file');
+            }
+
+            const columns = parsed.columns.map(name => {
+                const type = this.inferType(parsed.rows.map(({ values }) => values[name]));
+                return {
+                    name,
+                    target: this.suggestColumnName(name),
+                    type,
+                    sqliteType: this.databaseManager.getSQLiteType(type)
+                };
+            });
+
+            const importId = `import_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+            this.stage(importId, { fileName, format: resolvedFormat, columns, rows: parsed.rows, rejected: parsed.rejected });
+
+            return {
+                success: true,
+                importId,
+                fileName,
+                format: resolvedFormat,
+                rowCount: parsed.rows.length,
+                columns,
+                sample: parsed.rows.slice(0, IMPORT.PREVIEW_ROWS).map(({ values }) => values),
+                rejected: parsed.rejected.slice(0, IMPORT.MAX_REPORTED_REJECTIONS)
+            };
+        } catch (error) {
+            logger.error('Failed to preview import', { fileName, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Keep a parsed file until it is imported or discarded, evicting the oldest
+     */
+    stage(importId, data) {
+        while (this.staged.size >= IMPORT.MAX_STAGED_IMPORTS) {
+            this.staged.delete(this.staged.keys().next().value);
+        }
+        this.staged.set(importId, data);
+    }
+
+    /**
+     * Drop a staged import
+     * @param {string} importId
+     * @returns {{success: boolean}}
+     */
+    discard(importId) {
+        this.staged.delete(importId);
+        return { success: true };
+    }
+
+    /**
+     * Import a staged file into a table
+     * @param {string} dbName - Database name
+     * @param {string} importId - Id returned by preview()
+     * @param {Object} options
+     * @param {string} options.table - Target table
+     * @param {boolean} options.createTable - Create the table instead of appending to an existing one
+     * @param {Object} options.mapping - Source column -> target column (null skips it); defaults to the suggested targets
+     * @param {Object} options.types - Target column -> type for a new table; defaults to the inferred types
+     * @param {number} options.batchSize - Rows per transaction
+     * @param {Function} options.onProgress - Called with {processed, total, inserted, rejected} after each batch
+     * @returns {Promise<{success: boolean, table?: string, created?: boolean, total?: number, inserted?: number,
+     *   rejectedCount?: number, rejected?: Array<{row: number, error: string}>, error?: string}>}
+     */
+    async importStaged(dbName, importId, options = {}) {
+        const staged = this.staged.get(importId);
+        if (!staged) {
+            return { success: false, error: 'Import not found or expired. Select the file again.' };
+        }
+
+        try {
+            const result = await this.importRows(dbName, staged, options);
+            this.staged.delete(importId);
+            return result;
+        } catch (error) {
+            logger.error('Failed to import data', { database: dbName, table: options.table, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Map, convert and insert staged rows
+     */
+    async importRows(dbName, staged, { table, createTable = false, mapping = null, types = {}, batchSize = IMPORT.BATCH_SIZE, onProgress = null }) {
+        if (!IDENTIFIER_PATTERN.test(table || '')) {
+            throw new Error('Invalid table name. Must start with letter and contain only letters, numbers, and underscores.');
+        }
+
+        const targets = this.resolveMapping(staged.columns, mapping);
+        const db = await this.databaseManager.connectDatabase(dbName);
+        const exists = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+
+        if (createTable) {
+            if (exists) {
+                throw new Error(`Table '${table}' already exists`);
+            }
+            const columns = {};
+            targets.forEach(({ source, target }) => {
+                const type = types[target] || staged.columns.find(column => column.name === source).type;
+                if (!COLUMN_TYPES.includes(type)) {
+                    throw new Error(`Unknown column type '${type}' for '${target}'`);
+                }
+                columns[target] = { type };
+            });
+            await this.databaseManager.createTable(dbName, table, { columns });
+        } else if (!exists) {
+            throw new Error(`Table '${table}' does not exist`);
+        }
+
+        const schema = await this.databaseManager.getTableSchema(db, table);
+        const unknown = targets.filter(({ target }) => !schema.columns[target]).map(({ target }) => target);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown column(s) in table '${table}': ${unknown.join(', ')}`);
+        }
+
+        const rejected = [...staged.rejected];
+        const valid = [];
+        staged.rows.forEach(({ row, values }) => {
+            try {
+                valid.push({ row, data: this.convertRow(values, targets, schema) });
+            } catch (error) {
+                rejected.push({ row, error: error.message });
+            }
+        });
+
+        const size = Math.min(Math.max(parseInt(batchSize) || IMPORT.BATCH_SIZE, 1), IMPORT.MAX_BATCH_SIZE);
+        const total = staged.rows.length;
+        let inserted = 0;
+        let processed = total - valid.length;
+
+        for (let start = 0; start < valid.length; start += size) {
+            const batch = valid.slice(start, start + size);
+            const result = await this.databaseManager.insertRows(dbName, table, batch.map(({ data }) => data));
+
+            inserted += result.inserted;
+            result.rejected.forEach(({ index, error }) => rejected.push({ row: batch[index].row, error }));
+            processed += batch.length;
+
+            if (onProgress) {
+                onProgress({ processed, total, inserted, rejected: rejected.length });
+            }
+        }
+
+        rejected.sort((a, b) => a.row - b.row);
+
+        logger.info('Data imported', {
+            database: dbName,
+            table,
+            format: staged.format,
+            created: createTable,
+            inserted,
+            rejected: rejected.length
+        });
+
+        return {
+            success: true,
+            table,
+            created: createTable,
+            total,
+            inserted,
+            rejectedCount: rejected.length,
+            rejected: rejected.slice(0, IMPORT.MAX_REPORTED_REJECTIONS)
+        };
+    }
+
+    /**
+     * Resolve the source -> target column mapping and validate the targets
+     * @returns {Array<{source: string, target: string}>}
+     */
+    resolveMapping(columns, mapping) {
+        const targets = columns
+            .map(column => ({
+                source: column.name,
+                target: mapping && Object.prototype.hasOwnProperty.call(mapping, column.name) ? mapping[column.name] : column.target
+            }))
+            .filter(({ target }) => target);
+
+        if (targets.length === 0) {
+            throw new Error('Map at least one column to import');
+        }
+
+        const seen = new Set();
+        targets.forEach(({ target }) => {
+            if (!IDENTIFIER_PATTERN.test(target)) {
+                throw new Error(`Invalid column name '${target}'`);
+            }
+            if (SYSTEM_COLUMNS.includes(target)) {
+                throw new Error(`Column '${target}' is managed by the database`);
+            }
+            if (seen.has(target)) {
+                throw new Error(`Column '${target}' is mapped more than once`);
+            }
+            seen.add(target);
+        });
+
+        return targets;
+    }
+
+    /**
+     * Convert one source row to the target columns. Empty values are left out so
+     * column defaults apply.
+     * @throws {Error} Naming the first column that does not fit
+     */
+    convertRow(values, targets, schema) {
+        const data = {};
+
+        targets.forEach(({ source, target }) => {
+            const column = schema.columns[target];
+            let value;
+            try {
+                value = this.coerceValue(values[source], column.type);
+            } catch (error) {
+                throw new Error(`Column '${target}': ${error.message}`);
+            }
+
+            if (value === null) {
+                if (column.required && (column.default === undefined || column.default === null)) {
+                    throw new Error(`Column '${target}' is required`);
+                }
+                return;
+            }
+            data[target] = value;
+        });
+
+        if (Object.keys(data).length === 0) {
+            throw new Error('Row has no values');
+        }
+        return data;
+    }
+}
+
+module.exports = DataImporter;
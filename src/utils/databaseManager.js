@@ -1,4 +1,5 @@
 const Database = require('better-sqlite3-multiple-ciphers');
+const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
@@ -17,8 +18,22 @@ const ENCRYPTION_CONFIG = DATABASE.ENCRYPTION || {
     PAGE_SIZE: 4096
 };
 
-class DatabaseManager {
+// Column list shared by the AI usage queries
+const AI_USAGE_AGGREGATES = `
+    COUNT(*) AS calls,
+    COALESCE(SUM(input_tokens), 0) AS inputTokens,
+    COALESCE(SUM(output_tokens), 0) AS outputTokens,
+    COALESCE(SUM(cost_usd), 0) AS costUsd`;
+
+// Kinds of table access an app can be granted
+const TABLE_ACCESS_TYPES = ['read', 'write', 'schema'];
+
+// Booleans are stored as INTEGER 0/1, so compare them the same way
+const toQueryParam = (value) => typeof value === 'boolean' ? (value ? 1 : 0) : value;
+
+class DatabaseManager extends EventEmitter {
     constructor(dataPath = null, options = {}) {
+        super();
         this.dataPath = dataPath || path.join(__dirname, '..', '..', 'data');
         this.connections = new Map(); // Multiple database connections
         this.connectionTimestamps = new Map(); // Track connection creation times
@@ -27,6 +42,17 @@ class DatabaseManager {
         this.schemas = new Map(); // Track schemas for each database
         this.migrations = new Map(); // Track migrations
 
+        // Row change feed: schema version the capture triggers were built for, per connection
+        this.changeCaptureVersions = new WeakMap();
+        this.changeSequence = 0;
+
+        // Change journal: days undo history and row history are kept (0 turns it off)
+        this.journalRetentionDays = options.journalRetentionDays ?? DATABASE.JOURNAL.RETENTION_DAYS;
+
+        // Trash: whether deleted rows are kept as tombstones, and days before trash is purged
+        this.keepDeletedRows = options.keepDeletedRows ?? DATABASE.TRASH.KEEP_DELETED_ROWS;
+        this.trashRetentionDays = options.trashRetentionDays ?? DATABASE.TRASH.RETENTION_DAYS;
+
         // Encryption settings
         this.encryptionEnabled = options.encryptionEnabled ?? ENCRYPTION_CONFIG.ENABLED;
         this.encryptionKey = null; // Will be set during initialization
@@ -305,6 +331,7 @@ class DatabaseManager {
         this.maintenanceInterval = setInterval(() => {
             this.cleanupIdleConnections();
             this.pruneConnectionPools();
+            this.pruneJournals();
         }, 300000); // 5 minutes
 
         // Run statistics collection every minute
@@ -645,6 +672,23 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Open a separate read-only connection, e.g. for long-running exports that
+     * must not keep the shared connection busy. The caller closes it.
+     * @param {string} dbName - Database name
+     * @returns {Promise<Database>}
+     */
+    async openReadOnlyConnection(dbName) {
+        // Make sure the database file exists and the encryption key is loaded
+        await this.connectDatabase(dbName);
+
+        const db = new Database(path.join(this.dataPath, `${dbName}.db`), { readonly: true, fileMustExist: true });
+        if (this.encryptionEnabled) {
+            this.applyEncryption(db);
+        }
+        return db;
+    }
+
     /**
      * Get connection from pool or create new one
      */
@@ -980,6 +1024,7 @@ class DatabaseManager {
 
     /**
      * Dynamically create a table from schema definition
+     * @returns {Promise<{success: boolean, table: string, created: boolean}>} created is false when the table already existed
      */
     async createTable(dbName, tableName, schema) {
         try {
@@ -1004,18 +1049,19 @@ class DatabaseManager {
                 )
             `;
 
+            const existed = Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(tableName));
             db.exec(createTableSQL);
 
             // Create update trigger for updated_at
-            const triggerSQL = `
-                CREATE TRIGGER IF NOT EXISTS update_${tableName}_updated_at 
-                AFTER UPDATE ON ${tableName}
-                FOR EACH ROW
-                BEGIN
-                    UPDATE ${tableName} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-                END
-            `;
-            db.exec(triggerSQL);
+            this.createUpdatedAtTrigger(db, tableName);
+
+            // Keep the full-text index in step with columns marked searchable
+            const searchableColumns = Object.entries(schema.columns)
+                .filter(([, config]) => config && config.searchable)
+                .map(([name]) => name);
+            if (searchableColumns.length > 0) {
+                this.syncSearchIndex(db, tableName, searchableColumns);
+            }
 
             // Save schema metadata
             await this.saveTableSchema(db, tableName, schema);
@@ -1026,13 +1072,30 @@ class DatabaseManager {
                 columns: Object.keys(schema.columns).length 
             });
 
-            return { success: true, table: tableName };
+            return { success: true, table: tableName, created: !existed };
         } catch (error) {
             logger.error('Failed to create table', { database: dbName, table: tableName, error });
             throw error;
         }
     }
 
+    /**
+     * Keep a table's updated_at column current
+     * @param {Object} db - Database connection
+     * @param {string} tableName - Table name
+     */
+    createUpdatedAtTrigger(db, tableName) {
+        const triggerSQL = `
+            CREATE TRIGGER IF NOT EXISTS update_${tableName}_updated_at 
+            AFTER UPDATE ON ${tableName}
+            FOR EACH ROW
+            BEGIN
+                UPDATE ${tableName} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `;
+        db.exec(triggerSQL);
+    }
+
     /**
      * Build column definitions from schema
      */
@@ -1113,12 +1176,14 @@ class DatabaseManager {
     }
 
     /**
-     * Drop a table from the database
+     * Drop a table from the database. Unless permanent is set, the table is
+     * moved to the trash and can be restored until the trash is purged.
      * @param {string} dbName - Database name
      * @param {string} tableName - Table name to drop
-     * @returns {Object} - Result with success status
+     * @param {Object} options - {permanent}: drop the table right away
+     * @returns {Object} - Result with success status, and trashId when moved to the trash
      */
-    async dropTable(dbName, tableName) {
+    async dropTable(dbName, tableName, { permanent = false } = {}) {
         try {
             const db = await this.connectDatabase(dbName);
 
@@ -1142,20 +1207,17 @@ class DatabaseManager {
                 return { success: false, error: 'Table does not exist' };
             }
 
-            // Drop the table
-            db.exec(`DROP TABLE IF EXISTS "${tableName}"`);
-
-            // Remove from metadata
-            db.prepare('DELETE FROM _metadata WHERE table_name = ?').run(tableName);
-
-            // Remove from table registry if exists
-            try {
-                db.prepare('DELETE FROM _table_registry WHERE table_name = ?').run(tableName);
-                db.prepare('DELETE FROM _table_relationships WHERE source_table = ? OR target_table = ?').run(tableName, tableName);
-            } catch (e) {
-                // Registry tables might not exist in older databases
+            if (!permanent) {
+                const trashId = this.trashTable(db, tableName);
+                logger.info('Table moved to trash', { database: dbName, table: tableName, trashId });
+                return { success: true, table: tableName, trashId };
             }
 
+            // Drop the table and its full-text index
+            db.exec(`DROP TABLE IF EXISTS "${tableName}"`);
+            this.dropSearchIndex(db, tableName);
+            this.removeTableMetadata(db, tableName);
+
             logger.info('Table dropped successfully', { database: dbName, table: tableName });
 
             return { success: true, table: tableName };
@@ -1165,12 +1227,36 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Remove a dropped table's schema metadata, registry entries and journal
+     * @param {Object} db - Database connection
+     * @param {string} tableName - Table name
+     * @private
+     */
+    removeTableMetadata(db, tableName) {
+        db.prepare('DELETE FROM _metadata WHERE table_name = ?').run(tableName);
+
+        // Journal entries cannot be undone once the table is gone
+        if (this.tableExists(db, '_change_journal')) {
+            db.prepare('DELETE FROM _change_journal WHERE table_name = ?').run(tableName);
+        }
+
+        // Remove from table registry if exists
+        try {
+            db.prepare('DELETE FROM _table_registry WHERE table_name = ?').run(tableName);
+            db.prepare('DELETE FROM _table_relationships WHERE source_table = ? OR target_table = ?').run(tableName, tableName);
+        } catch (e) {
+            // Registry tables might not exist in older databases
+        }
+    }
+
     /**
      * Insert data into table
+     * @param {Object} options - {appId}: app making the write, recorded in the change journal
      */
-    async insertData(dbName, tableName, data) {
+    async insertData(dbName, tableName, data, options = {}) {
         try {
-            const db = await this.connectDatabase(dbName);
+            const db = await this.connectForWrite(dbName);
             
             // Get table schema to validate data
             const schema = await this.getTableSchema(db, tableName);
@@ -1180,6 +1266,7 @@ class DatabaseManager {
             const safeQuery = sqlValidator.buildSafeInsert(tableName, validatedData);
             const stmt = db.prepare(safeQuery.sql);
             const result = stmt.run(...safeQuery.params);
+            await this.publishChanges(dbName, db, options);
             
             logger.info('Data inserted successfully', { 
                 database: dbName, 
@@ -1236,6 +1323,14 @@ class DatabaseManager {
     async queryData(dbName, tableName, options = {}) {
         try {
             const db = await this.connectDatabase(dbName);
+            const columns = this.getTableColumns(db, tableName);
+
+            // Column projection
+            let selectColumns = ['*'];
+            if (options.columns) {
+                selectColumns = [].concat(options.columns);
+                this.validateColumns(selectColumns, columns, tableName);
+            }
 
             // Use safe query builder for basic select
             let whereClause = null;
@@ -1243,13 +1338,13 @@ class DatabaseManager {
 
             // Add WHERE clause
             if (options.where) {
-                const where = this.buildWhereClause(options.where);
-                whereClause = where.sql;
+                const where = this.buildWhereClause(options.where, columns);
+                whereClause = where.sql || null;
                 whereParams = where.params;
             }
 
             // Build base query using sqlValidator
-            const safeQuery = sqlValidator.buildSafeSelect(tableName, ['*'], whereClause, whereParams);
+            const safeQuery = sqlValidator.buildSafeSelect(tableName, selectColumns, whereClause, whereParams);
             let sql = safeQuery.sql;
             const params = [...safeQuery.params];
 
@@ -1257,6 +1352,7 @@ class DatabaseManager {
             if (options.orderBy) {
                 const sanitizedOrderBy = this.sanitizeOrderBy(options.orderBy);
                 if (sanitizedOrderBy) {
+                    this.validateColumns(this.orderByColumns(sanitizedOrderBy), columns, tableName);
                     sql += ` ORDER BY ${sanitizedOrderBy}`;
                     // Only add DESC if not already in orderBy and explicitly requested
                     if (options.order && options.order.toLowerCase() === 'desc' && !sanitizedOrderBy.toLowerCase().includes('desc')) {
@@ -1301,10 +1397,11 @@ class DatabaseManager {
 
     /**
      * Update data in table
+     * @param {Object} options - {appId}: app making the write, recorded in the change journal
      */
-    async updateData(dbName, tableName, id, data) {
+    async updateData(dbName, tableName, id, data, options = {}) {
         try {
-            const db = await this.connectDatabase(dbName);
+            const db = await this.connectForWrite(dbName);
 
             const schema = await this.getTableSchema(db, tableName);
             const validatedData = this.validateAndTransformData(data, schema);
@@ -1313,6 +1410,7 @@ class DatabaseManager {
             const safeQuery = sqlValidator.buildSafeUpdate(tableName, validatedData, 'id = ?', [id]);
             const stmt = db.prepare(safeQuery.sql);
             const result = stmt.run(...safeQuery.params);
+            await this.publishChanges(dbName, db, options);
 
             logger.info('Data updated successfully', {
                 database: dbName,
@@ -1330,15 +1428,17 @@ class DatabaseManager {
 
     /**
      * Delete data from table
+     * @param {Object} options - {appId}: app making the write, recorded in the change journal
      */
-    async deleteData(dbName, tableName, id) {
+    async deleteData(dbName, tableName, id, options = {}) {
         try {
-            const db = await this.connectDatabase(dbName);
+            const db = await this.connectForWrite(dbName);
 
             // Use safe query builder for delete
             const safeQuery = sqlValidator.buildSafeDelete(tableName, 'id = ?', [id]);
             const stmt = db.prepare(safeQuery.sql);
             const result = stmt.run(...safeQuery.params);
+            await this.publishChanges(dbName, db, options);
 
             logger.info('Data deleted successfully', {
                 database: dbName,
@@ -1354,6 +1454,185 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Run a list of writes atomically in one transaction
+     *
+     * Operations:
+     *   { op: 'insert', table, data }
+     *   { op: 'update', table, id, data }
+     *   { op: 'delete', table, id }
+     *
+     * Every operation is validated before anything is written. If any operation
+     * fails, the whole transaction is rolled back and the error names the index
+     * of the failing operation (also available as `error.operationIndex`).
+     *
+     * @param {string} dbName - Database name
+     * @param {Object[]} operations - Operations to run in order
+     * @param {Object} options - {appId}: app making the writes, recorded in the change journal
+     * @returns {Promise<{success: boolean, results: Object[], changes: Object[]}>}
+     *   results holds one {success, id, changes} entry per operation; changes lists
+     *   the {table, action, id} rows that were written
+     */
+    async transaction(dbName, operations, options = {}) {
+        if (!Array.isArray(operations) || operations.length === 0) {
+            throw new Error('transaction requires a non-empty array of operations');
+        }
+
+        try {
+            const db = await this.connectForWrite(dbName);
+
+            // Prepare every statement first so invalid operations fail before any write
+            const schemas = new Map();
+            const prepared = [];
+            for (const [index, operation] of operations.entries()) {
+                try {
+                    prepared.push(await this.prepareWriteOperation(db, operation, schemas));
+                } catch (error) {
+                    error.operationIndex = index;
+                    error.message = `Operation ${index} (${this.describeOperation(operation)}) failed: ${error.message}`;
+                    throw error;
+                }
+            }
+
+            const run = db.transaction(() => prepared.map((statement, index) => {
+                try {
+                    const result = db.prepare(statement.sql).run(...statement.params);
+                    const id = statement.action === 'insert' ? result.lastInsertRowid : statement.id;
+                    return { success: true, id, changes: result.changes };
+                } catch (error) {
+                    error.operationIndex = index;
+                    error.message = `Operation ${index} (${this.describeOperation(operations[index])}) failed: ${error.message}`;
+                    throw error;
+                }
+            }));
+            const results = run();
+            await this.publishChanges(dbName, db, options);
+
+            const changes = results.map((result, index) => ({
+                table: prepared[index].table,
+                action: prepared[index].action,
+                id: result.id
+            }));
+
+            logger.info('Transaction committed', {
+                database: dbName,
+                operations: operations.length,
+                tables: [...new Set(changes.map(change => change.table))]
+            });
+
+            return { success: true, results, changes };
+        } catch (error) {
+            logger.error('Transaction rolled back', { database: dbName, operations: operations.length, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Validate one transaction operation and build its statement
+     * @private
+     */
+    async prepareWriteOperation(db, operation, schemas) {
+        if (!operation || typeof operation !== 'object') {
+            throw new Error('Operation must be an object');
+        }
+
+        const { op, table, id, data } = operation;
+        this.validateTableName(table);
+
+        if ((op === 'update' || op === 'delete') && !(Number.isInteger(id) && id > 0)) {
+            throw new Error(`${op} requires a positive integer id`);
+        }
+        if ((op === 'insert' || op === 'update') && (!data || typeof data !== 'object')) {
+            throw new Error(`${op} requires a data object`);
+        }
+
+        if (op !== 'delete' && !schemas.has(table)) {
+            schemas.set(table, await this.getTableSchema(db, table));
+        }
+
+        let safeQuery;
+        switch (op) {
+            case 'insert':
+                safeQuery = sqlValidator.buildSafeInsert(table, this.validateAndTransformData(data, schemas.get(table)));
+                break;
+            case 'update':
+                safeQuery = sqlValidator.buildSafeUpdate(table, this.validateAndTransformData(data, schemas.get(table)), 'id = ?', [id]);
+                break;
+            case 'delete':
+                safeQuery = sqlValidator.buildSafeDelete(table, 'id = ?', [id]);
+                break;
+            default:
+                throw new Error(`Unsupported operation: ${op}`);
+        }
+
+        return { action: op, table, id: id || null, sql: safeQuery.sql, params: safeQuery.params };
+    }
+
+    /**
+     * Short description of an operation for error messages
+     * @private
+     */
+    describeOperation(operation) {
+        if (!operation || typeof operation !== 'object') {
+            return 'invalid';
+        }
+        return [operation.op, operation.table, operation.id].filter(part => part !== undefined && part !== null).join(' ');
+    }
+
+    /**
+     * Insert many rows in one transaction, keeping the rows that succeed.
+     *
+     * Unlike transaction(), a row that fails (e.g. a constraint violation) is
+     * reported and skipped instead of rolling back the batch.
+     *
+     * @param {string} dbName - Database name
+     * @param {string} tableName - Table name
+     * @param {Object[]} rows - Rows to insert
+     * @returns {Promise<{success: boolean, inserted: number, ids: number[], rejected: Array<{index: number, error: string}>}>}
+     */
+    async insertRows(dbName, tableName, rows) {
+        try {
+            const db = await this.connectForWrite(dbName);
+            this.validateTableName(tableName);
+            const schema = await this.getTableSchema(db, tableName);
+            const statements = new Map();
+
+            const insertAll = db.transaction(() => {
+                const ids = [];
+                const rejected = [];
+
+                rows.forEach((row, index) => {
+                    try {
+                        const validatedData = this.validateAndTransformData(row, schema);
+                        const safeQuery = sqlValidator.buildSafeInsert(tableName, validatedData);
+                        if (!statements.has(safeQuery.sql)) {
+                            statements.set(safeQuery.sql, db.prepare(safeQuery.sql));
+                        }
+                        ids.push(statements.get(safeQuery.sql).run(...safeQuery.params).lastInsertRowid);
+                    } catch (error) {
+                        rejected.push({ index, error: error.message });
+                    }
+                });
+
+                return { ids, rejected };
+            });
+            const { ids, rejected } = insertAll();
+            await this.publishChanges(dbName, db);
+
+            logger.info('Rows inserted', {
+                database: dbName,
+                table: tableName,
+                inserted: ids.length,
+                rejected: rejected.length
+            });
+
+            return { success: true, inserted: ids.length, ids, rejected };
+        } catch (error) {
+            logger.error('Failed to insert rows', { database: dbName, table: tableName, error });
+            throw error;
+        }
+    }
+
     /**
      * Get table schema from metadata
      */
@@ -1464,183 +1743,1536 @@ class DatabaseManager {
 
     /**
      * Build WHERE clause from conditions
+     *
+     * Conditions map columns to a value (equality, or IS NULL for null) or to an
+     * operator object. Top-level keys are joined with AND; $and / $or take arrays
+     * of nested condition objects.
+     *   { status: 'open', priority: { $gte: 2 } }
+     *   { $or: [{ status: 'open' }, { assignee: { $null: true } }] }
+     * Operators: $eq, $ne, $gt, $gte, $lt, $lte, $like, $in, $nin, $between, $null
+     *
+     * @param {Object} conditions - Condition object
+     * @param {string[]|Function} [columns] - Allowed column names, or a function mapping a
+     *   name to a SQL expression (throwing for unknown names). Without it any valid
+     *   identifier is accepted.
+     * @returns {{sql: string, params: Array}}
      */
-    buildWhereClause(conditions) {
-        const clauses = [];
+    buildWhereClause(conditions, columns = null) {
+        const resolve = typeof columns === 'function'
+            ? columns
+            : (name) => {
+                if (columns && !columns.includes(name)) {
+                    throw new Error(`Unknown column in query: ${name}`);
+                }
+                return sqlValidator.escapeIdentifier(name);
+            };
+
         const params = [];
-        
+        const sql = this.buildConditionGroup(conditions, resolve, params, 'AND');
+        return { sql, params };
+    }
+
+    /**
+     * Build a group of conditions joined with AND / OR
+     * @private
+     */
+    buildConditionGroup(conditions, resolve, params, joiner) {
+        if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+            throw new Error('Query conditions must be an object');
+        }
+
+        const clauses = [];
+
         Object.entries(conditions).forEach(([key, value]) => {
-            if (typeof value === 'object' && value !== null) {
+            if (key === '$and' || key === '$or') {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new Error(`${key} requires a non-empty array of conditions`);
+                }
+                const groupJoiner = key === '$and' ? 'AND' : 'OR';
+                const parts = value
+                    .map(group => this.buildConditionGroup(group, resolve, params, 'AND'))
+                    .filter(Boolean)
+                    .map(part => `(${part})`);
+                if (parts.length > 0) {
+                    clauses.push(parts.length === 1 ? parts[0] : `(${parts.join(` ${groupJoiner} `)})`);
+                }
+                return;
+            }
+
+            const column = resolve(key);
+
+            if (value === null) {
+                clauses.push(`${column} IS NULL`);
+            } else if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
                 // Handle operators like { $gt: 10 }, { $like: '%test%' }
                 Object.entries(value).forEach(([op, val]) => {
-                    switch (op) {
-                        case '$gt':
-                            clauses.push(`${key} > ?`);
-                            params.push(val);
-                            break;
-                        case '$lt':
-                            clauses.push(`${key} < ?`);
-                            params.push(val);
-                            break;
-                        case '$gte':
-                            clauses.push(`${key} >= ?`);
-                            params.push(val);
-                            break;
-                        case '$lte':
-                            clauses.push(`${key} <= ?`);
-                            params.push(val);
-                            break;
-                        case '$like':
-                            clauses.push(`${key} LIKE ?`);
-                            params.push(val);
-                            break;
-                        case '$in':
-                            clauses.push(`${key} IN (${val.map(() => '?').join(', ')})`);
-                            params.push(...val);
-                            break;
-                    }
+                    clauses.push(this.buildOperatorClause(column, op, val, params));
                 });
             } else {
-                clauses.push(`${key} = ?`);
-                params.push(value);
+                clauses.push(`${column} = ?`);
+                params.push(toQueryParam(value));
             }
         });
-        
-        return {
-            sql: clauses.join(' AND '),
-            params: params
-        };
+
+        return clauses.join(` ${joiner} `);
     }
 
     /**
-     * List all tables in a database
+     * Build the SQL for a single column operator
+     * @private
      */
-    async listTables(dbName) {
-        try {
-            const db = await this.connectDatabase(dbName);
-
-            // Note: underscore must be escaped in LIKE pattern since it's a wildcard
-            // Also exclude sqlite_sequence which is auto-created for AUTOINCREMENT
-            const stmt = db.prepare(`
-                SELECT name FROM sqlite_master
-                WHERE type='table'
-                  AND name NOT LIKE '!_%' ESCAPE '!'
-                  AND name != 'sqlite_sequence'
-                ORDER BY name
-            `);
-            
-            const tables = stmt.all();
-            
-            return {
-                success: true,
-                tables: tables.map(t => t.name),
-                count: tables.length
-            };
-        } catch (error) {
-            logger.error('Failed to list tables', { database: dbName, error });
-            throw error;
+    buildOperatorClause(column, op, val, params) {
+        switch (op) {
+            case '$eq':
+                if (val === null) return `${column} IS NULL`;
+                params.push(toQueryParam(val));
+                return `${column} = ?`;
+            case '$ne':
+                if (val === null) return `${column} IS NOT NULL`;
+                params.push(toQueryParam(val));
+                return `${column} IS NOT ?`;
+            case '$gt':
+                params.push(toQueryParam(val));
+                return `${column} > ?`;
+            case '$lt':
+                params.push(toQueryParam(val));
+                return `${column} < ?`;
+            case '$gte':
+                params.push(toQueryParam(val));
+                return `${column} >= ?`;
+            case '$lte':
+                params.push(toQueryParam(val));
+                return `${column} <= ?`;
+            case '$like':
+                params.push(toQueryParam(val));
+                return `${column} LIKE ?`;
+            case '$in':
+            case '$nin': {
+                if (!Array.isArray(val)) {
+                    throw new Error(`${op} requires an array`);
+                }
+                if (val.length === 0) {
+                    // Nothing is in an empty list
+                    return op === '$in' ? '0 = 1' : '1 = 1';
+                }
+                params.push(...val.map(toQueryParam));
+                return `${column} ${op === '$in' ? 'IN' : 'NOT IN'} (${val.map(() => '?').join(', ')})`;
+            }
+            case '$between':
+                if (!Array.isArray(val) || val.length !== 2) {
+                    throw new Error('$between requires an array of two values');
+                }
+                params.push(toQueryParam(val[0]), toQueryParam(val[1]));
+                return `${column} BETWEEN ? AND ?`;
+            case '$null':
+                return `${column} ${val ? 'IS NULL' : 'IS NOT NULL'}`;
+            default:
+                throw new Error(`Unsupported query operator: ${op}`);
         }
     }
 
     /**
-     * List all databases
+     * Get the column names of a table, including id and timestamp columns
+     * @param {Object} db - Database connection
+     * @param {string} tableName - Table name
+     * @returns {string[]}
      */
-    async listDatabases() {
-        try {
-            const files = await fs.readdir(this.dataPath);
-            const databases = files
-                .filter(file => file.endsWith('.db'))
-                .map(file => file.replace('.db', ''));
-                
-            return {
-                success: true,
-                databases: databases,
-                count: databases.length
-            };
-        } catch (error) {
-            logger.error('Failed to list databases', error);
-            throw error;
+    getTableColumns(db, tableName) {
+        this.validateTableName(tableName);
+        const columns = db.prepare(`PRAGMA table_info(${tableName})`).all().map(col => col.name);
+        if (columns.length === 0) {
+            throw new Error(`Table '${tableName}' does not exist`);
         }
+        return columns;
     }
 
     /**
-     * Execute custom SQL query
+     * Check that every column exists in the table
+     * @param {string[]} names - Column names to check
+     * @param {string[]} columns - Columns of the table
+     * @param {string} tableName - Table name (for the error message)
      */
-    async executeSQL(dbName, sql, params = []) {
-        try {
-            const db = await this.connectDatabase(dbName);
-            
-            // Validate and sanitize SQL query
-            const safeQuery = sqlValidator.prepareSafeQuery(sql, params);
-            
-            const stmt = db.prepare(safeQuery.sql);
-            
-            if (sql.trim().toUpperCase().startsWith('SELECT')) {
-                const result = stmt.all(...safeQuery.params);
-                return { success: true, data: result, type: 'select' };
-            } else {
-                const result = stmt.run(...safeQuery.params);
-                return { 
-                    success: true, 
-                    changes: result.changes,
-                    lastInsertRowid: result.lastInsertRowid,
-                    type: 'modify'
-                };
-            }
-        } catch (error) {
-            logger.error('Failed to execute SQL', { database: dbName, sql, error });
-            throw error;
+    validateColumns(names, columns, tableName) {
+        const unknown = names.filter(name => !columns.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''} in table '${tableName}': ${unknown.join(', ')}`);
         }
     }
 
     /**
-     * Basic SQL injection protection
+     * Column names referenced by a sanitized ORDER BY clause
+     * @private
      */
-    containsDangerousSQL(sql) {
-        const dangerous = [
-            'DROP TABLE',
-            'DROP DATABASE',
-            'TRUNCATE',
-            'DELETE FROM sqlite_master',
-            'PRAGMA',
-            'ATTACH',
-            'DETACH'
-        ];
-        
-        const upperSQL = sql.toUpperCase();
-        return dangerous.some(danger => upperSQL.includes(danger));
+    orderByColumns(orderBy) {
+        return orderBy.split(',').map(part => part.trim().split(/\s+/)[0]);
     }
 
     /**
-     * Export database to JSON
+     * Aggregate rows of a table
+     *
+     * Each aggregate names its column(s); results use `<fn>_<column>` aliases
+     * (and `count` for COUNT(*)):
+     *   aggregate(db, 'orders', {
+     *     count: true, sum: 'total', avg: ['total', 'items'],
+     *     where: { status: 'paid' },
+     *     groupBy: 'customer_id',
+     *     having: { sum_total: { $gt: 100 } },
+     *     orderBy: 'sum_total DESC', limit: 10
+     *   })
+     *   // => [{ customer_id: 3, count: 4, sum_total: 250, avg_total: 62.5, avg_items: 2 }, ...]
+     *
+     * @param {string} dbName - Database name
+     * @param {string} tableName - Table name
+     * @param {Object} options - count/sum/avg/min/max, where, groupBy, having, orderBy, limit
+     * @returns {Promise<{success: boolean, data: Array, count: number}>}
      */
-    async exportDatabase(dbName) {
+    async aggregate(dbName, tableName, options = {}) {
         try {
             const db = await this.connectDatabase(dbName);
-            const tablesResult = await this.listTables(dbName);
-            
-            const exportData = {
-                database: dbName,
-                exported_at: new Date().toISOString(),
-                tables: {}
-            };
-            
-            for (const tableName of tablesResult.tables) {
-                const data = await this.queryData(dbName, tableName);
-                const schema = await this.getTableSchema(db, tableName);
-                
-                exportData.tables[tableName] = {
-                    schema: schema,
-                    data: data.data
-                };
+            const columns = this.getTableColumns(db, tableName);
+
+            // alias -> SQL expression
+            const selected = new Map();
+
+            const groupBy = options.groupBy ? [].concat(options.groupBy) : [];
+            this.validateColumns(groupBy, columns, tableName);
+            groupBy.forEach(column => selected.set(column, sqlValidator.escapeIdentifier(column)));
+
+            if (options.count) {
+                if (options.count === true || options.count === '*') {
+                    selected.set('count', 'COUNT(*)');
+                } else {
+                    const countColumns = [].concat(options.count);
+                    this.validateColumns(countColumns, columns, tableName);
+                    countColumns.forEach(column => {
+                        selected.set(`count_${column}`, `COUNT(${sqlValidator.escapeIdentifier(column)})`);
+                    });
+                }
             }
-            
-            return { success: true, export: exportData };
-        } catch (error) {
-            logger.error('Failed to export database', { database: dbName, error });
-            throw error;
-        }
-    }
+
+            for (const fn of ['sum', 'avg', 'min', 'max']) {
+                if (!options[fn]) continue;
+                const fnColumns = [].concat(options[fn]);
+                this.validateColumns(fnColumns, columns, tableName);
+                fnColumns.forEach(column => {
+                    selected.set(`${fn}_${column}`, `${fn.toUpperCase()}(${sqlValidator.escapeIdentifier(column)})`);
+                });
+            }
+
+            if (selected.size === groupBy.length) {
+                throw new Error('aggregate requires at least one of count, sum, avg, min or max');
+            }
+
+            const selectList = Array.from(selected.entries())
+                .map(([alias, expression]) => `${expression} AS ${sqlValidator.escapeIdentifier(alias)}`)
+                .join(', ');
+            let sql = `SELECT ${selectList} FROM ${sqlValidator.escapeIdentifier(tableName)}`;
+            const params = [];
+
+            if (options.where) {
+                const where = this.buildWhereClause(options.where, columns);
+                if (where.sql) {
+                    sql += ` WHERE ${where.sql}`;
+                    params.push(...where.params);
+                }
+            }
+
+            if (groupBy.length > 0) {
+                sql += ` GROUP BY ${groupBy.map(column => sqlValidator.escapeIdentifier(column)).join(', ')}`;
+            }
+
+            if (options.having) {
+                const having = this.buildWhereClause(options.having, (name) => {
+                    if (!selected.has(name)) {
+                        throw new Error(`having can only use grouped columns or aggregates: ${name}`);
+                    }
+                    return selected.get(name);
+                });
+                if (having.sql) {
+                    sql += ` HAVING ${having.sql}`;
+                    params.push(...having.params);
+                }
+            }
+
+            if (options.orderBy) {
+                const sanitizedOrderBy = this.sanitizeOrderBy(options.orderBy);
+                if (!sanitizedOrderBy) {
+                    throw new Error('Invalid orderBy');
+                }
+                const unknown = this.orderByColumns(sanitizedOrderBy).filter(name => !selected.has(name));
+                if (unknown.length > 0) {
+                    throw new Error(`orderBy can only use grouped columns or aggregates: ${unknown.join(', ')}`);
+                }
+                sql += ` ORDER BY ${sanitizedOrderBy}`;
+            }
+
+            if (options.limit) {
+                const limit = parseInt(options.limit, 10);
+                if (!isNaN(limit) && limit > 0) {
+                    sql += ` LIMIT ${limit}`;
+                }
+            }
+
+            const safeQuery = sqlValidator.prepareSafeQuery(sql, params);
+            const rows = db.prepare(safeQuery.sql).all(...safeQuery.params);
+
+            logger.info('Data aggregated successfully', {
+                database: dbName,
+                table: tableName,
+                groups: rows.length
+            });
+
+            return { success: true, data: rows, count: rows.length };
+        } catch (error) {
+            logger.error('Failed to aggregate data', { database: dbName, table: tableName, error });
+            throw error;
+        }
+    }
+
+    // ============================================================
+    // CHANGE FEED
+    // ============================================================
+
+    /**
+     * Connect for a write: like connectDatabase, but also makes sure row changes
+     * are captured for the change feed
+     */
+    async connectForWrite(dbName) {
+        const db = await this.connectDatabase(dbName);
+        this.ensureChangeCapture(db);
+        return db;
+    }
+
+    /**
+     * Install TEMP triggers that record every insert, update and delete on the
+     * app tables in temp._change_log. TEMP objects belong to this connection and
+     * are never written to the database file. The triggers are rebuilt whenever
+     * the schema version changes, so new tables and columns are covered.
+     * @param {Object} db - Database connection
+     */
+    ensureChangeCapture(db) {
+        this.ensureJournal(db);
+        const version = db.pragma('schema_version', { simple: true });
+        if (this.changeCaptureVersions.get(db) === version) {
+            return;
+        }
+
+        this.dropChangeCapture(db);
+        db.exec(`
+            CREATE TEMP TABLE IF NOT EXISTS _change_log (
+                seq INTEGER PRIMARY KEY,
+                table_name TEXT NOT NULL,
+                op TEXT NOT NULL,
+                row_id INTEGER,
+                before_json TEXT,
+                after_json TEXT
+            )
+        `);
+
+        const tables = db.prepare(`
+            SELECT name FROM main.sqlite_master
+            WHERE type = 'table'
+              AND name NOT LIKE '!_%' ESCAPE '!'
+              AND name NOT LIKE 'sqlite!_%' ESCAPE '!'
+        `).all().map(row => row.name);
+
+        for (const table of tables) {
+            try {
+                const safeTable = sqlValidator.escapeIdentifier(table);
+                const columns = db.prepare(`PRAGMA main.table_info(${safeTable})`).all().map(column => column.name);
+                const safeColumns = columns.map(column => sqlValidator.escapeIdentifier(column));
+                // BLOBs cannot be stored in JSON, so they are logged as hex
+                const rowJson = (alias) => `json_object(${columns.map((column, index) =>
+                    `'${column}', CASE typeof(${alias}.${safeColumns[index]}) WHEN 'blob' THEN hex(${alias}.${safeColumns[index]}) ELSE ${alias}.${safeColumns[index]} END`
+                ).join(', ')})`;
+                const rowId = (alias) => columns.includes('id') ? `${alias}."id"` : 'NULL';
+
+                db.exec(`
+                    CREATE TEMP TRIGGER "_cc_${table}_insert" AFTER INSERT ON main.${safeTable} BEGIN
+                        INSERT INTO temp._change_log (table_name, op, row_id, after_json)
+                        VALUES ('${table}', 'insert', ${rowId('NEW')}, ${rowJson('NEW')});
+                    END;
+
+                    CREATE TEMP TRIGGER "_cc_${table}_update" AFTER UPDATE ON main.${safeTable} BEGIN
+                        INSERT INTO temp._change_log (table_name, op, row_id, before_json, after_json)
+                        VALUES ('${table}', 'update', ${rowId('NEW')}, ${rowJson('OLD')}, ${rowJson('NEW')});
+                    END;
+
+                    CREATE TEMP TRIGGER "_cc_${table}_delete" AFTER DELETE ON main.${safeTable} BEGIN
+                        INSERT INTO temp._change_log (table_name, op, row_id, before_json)
+                        VALUES ('${table}', 'delete', ${rowId('OLD')}, ${rowJson('OLD')});
+                    END;
+                `);
+            } catch (error) {
+                logger.warn('Changes to table will not be captured', { table, error: error.message });
+            }
+        }
+
+        this.changeCaptureVersions.set(db, version);
+    }
+
+    /**
+     * Remove the change capture triggers, e.g. before DDL that would trip over them
+     * (ALTER TABLE ... DROP COLUMN fails while a trigger uses the column)
+     * @param {Object} db - Database connection
+     */
+    dropChangeCapture(db) {
+        db.prepare("SELECT name FROM temp.sqlite_master WHERE type = 'trigger' AND name LIKE '!_cc!_%' ESCAPE '!'")
+            .all()
+            .forEach(({ name }) => db.exec(`DROP TRIGGER temp."${name}"`));
+        this.changeCaptureVersions.delete(db);
+    }
+
+    /**
+     * Drain temp._change_log and emit its rows as one 'changes' event:
+     *   [{sequence, database, table, op: 'insert'|'update'|'delete', id, before, after, timestamp}]
+     * Sequence numbers increase by one per event across all databases, so a
+     * listener can tell when it missed events. Writes larger than
+     * CHANGE_FEED.MAX_EVENTS_PER_FLUSH are summarized as one
+     * {op: 'bulk', table, count} event per table.
+     *
+     * Does nothing while a transaction is open: its rows are published after the
+     * commit, and a rollback discards them together with the writes.
+     *
+     * The rows are also written to the change journal as one undo batch, and
+     * deleted rows to the trash when keepDeletedRows is on.
+     *
+     * @param {string} dbName - Database name
+     * @param {Object} db - Database connection
+     * @param {Object} options
+     * @param {string} options.appId - App that made the writes (journal scope for undo)
+     * @param {boolean} options.journal - false for writes that must not be journaled or
+     *   tombstoned (undo/redo)
+     * @returns {Promise<Object[]>} The emitted events
+     */
+    async publishChanges(dbName, db, options = {}) {
+        if (db.inTransaction || !this.changeCaptureVersions.has(db)) {
+            return [];
+        }
+
+        const { count } = db.prepare('SELECT COUNT(*) AS count FROM temp._change_log').get();
+        if (count === 0) {
+            return [];
+        }
+
+        if (options.journal !== false && this.journalRetentionDays > 0) {
+            this.recordJournal(db, options.appId || null);
+        }
+        if (options.journal !== false && this.keepDeletedRows) {
+            this.recordTombstones(db, options.appId || null);
+        }
+
+        const rows = count > DATABASE.CHANGE_FEED.MAX_EVENTS_PER_FLUSH
+            ? db.prepare(`
+                SELECT table_name, 'bulk' AS op, COUNT(*) AS count FROM temp._change_log
+                GROUP BY table_name ORDER BY MIN(seq)
+            `).all()
+            : db.prepare('SELECT * FROM temp._change_log ORDER BY seq').all();
+        db.prepare('DELETE FROM temp._change_log').run();
+
+        const schemas = new Map();
+        for (const table of new Set(rows.map(row => row.table_name))) {
+            schemas.set(table, await this.getTableSchema(db, table));
+        }
+
+        const timestamp = Date.now();
+        const events = this.mergeChangeRows(rows, schemas).map(change => ({
+            sequence: ++this.changeSequence,
+            database: dbName,
+            ...change,
+            timestamp
+        }));
+
+        this.emit('changes', events);
+        return events;
+    }
+
+    /**
+     * Turn change log rows into events. The updated_at trigger updates a row a
+     * second time right after the app's update; both are folded into one event.
+     * @private
+     */
+    mergeChangeRows(rows, schemas) {
+        const parse = (json, table) => json === null || json === undefined
+            ? null
+            : this.transformRowData(JSON.parse(json), schemas.get(table));
+
+        const events = [];
+        for (const row of rows) {
+            if (row.op === 'bulk') {
+                events.push({ table: row.table_name, op: 'bulk', count: row.count });
+                continue;
+            }
+
+            const previous = events[events.length - 1];
+            if (row.op === 'update' && previous && previous.op === 'update' &&
+                previous.table === row.table_name && previous.id === row.row_id) {
+                previous.after = parse(row.after_json, row.table_name);
+                continue;
+            }
+
+            events.push({
+                table: row.table_name,
+                op: row.op,
+                id: row.row_id,
+                before: parse(row.before_json, row.table_name),
+                after: parse(row.after_json, row.table_name)
+            });
+        }
+        return events;
+    }
+
+    // ============================================================
+    // CHANGE JOURNAL
+    // Before- and after-images of captured row changes, for undo/redo
+    // and row history. The writes of one call (an insert, a transaction,
+    // an import...) form one batch, which is the unit of undo.
+    // ============================================================
+
+    /**
+     * Create the journal table. undone is 0 for applied batches; undone batches
+     * get increasing numbers so redo can take the most recently undone one.
+     * @param {Object} db - Database connection
+     */
+    ensureJournal(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS _change_journal (
+                id INTEGER PRIMARY KEY,
+                batch_id INTEGER NOT NULL,
+                table_name TEXT NOT NULL,
+                op TEXT NOT NULL,
+                row_id INTEGER,
+                before_json TEXT,
+                after_json TEXT,
+                app_id TEXT,
+                undone INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_change_journal_row ON _change_journal(table_name, row_id);
+            CREATE INDEX IF NOT EXISTS idx_change_journal_batch ON _change_journal(batch_id);
+        `);
+    }
+
+    /**
+     * @param {Object} db - Database connection
+     * @param {string} tableName - Table name
+     * @returns {boolean} Whether the table exists
+     */
+    tableExists(db, tableName) {
+        return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(tableName));
+    }
+
+    /**
+     * Copy temp._change_log into the journal as a new batch. A new write ends
+     * the redo history of whoever made it: an app's own undone batches, or all
+     * undone batches for writes made outside an app.
+     * @private
+     */
+    recordJournal(db, appId) {
+        const { batchId } = db.prepare('SELECT COALESCE(MAX(batch_id), 0) + 1 AS batchId FROM _change_journal').get();
+        db.prepare(`
+            INSERT INTO _change_journal (batch_id, table_name, op, row_id, before_json, after_json, app_id, created_at)
+            SELECT ?, table_name, op, row_id, before_json, after_json, ?, ? FROM temp._change_log ORDER BY seq
+        `).run(batchId, appId, Date.now());
+
+        if (appId) {
+            db.prepare('DELETE FROM _change_journal WHERE undone > 0 AND app_id = ?').run(appId);
+        } else {
+            db.prepare('DELETE FROM _change_journal WHERE undone > 0').run();
+        }
+    }
+
+    /**
+     * Change how long the journal is kept, pruning older entries right away
+     * @param {number} days - Retention in days; 0 turns the journal off and clears it
+     */
+    setJournalRetention(days) {
+        if (!(Number.isFinite(days) && days >= 0)) {
+            throw new Error('Journal retention must be a number of days');
+        }
+        this.journalRetentionDays = days;
+        this.pruneJournals();
+    }
+
+    /**
+     * Drop journal entries older than the retention period from open databases
+     * @returns {number} Entries removed
+     */
+    pruneJournals() {
+        const cutoff = Date.now() - this.journalRetentionDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+
+        for (const [dbName, db] of this.connections) {
+            try {
+                if (this.tableExists(db, '_change_journal')) {
+                    removed += db.prepare('DELETE FROM _change_journal WHERE created_at <= ?').run(cutoff).changes;
+                }
+            } catch (error) {
+                logger.warn('Failed to prune change journal', { database: dbName, error: error.message });
+            }
+        }
+
+        if (removed > 0) {
+            logger.info('Change journal pruned', { removed, retentionDays: this.journalRetentionDays });
+        }
+        return removed;
+    }
+
+    /**
+     * Undo the latest batch of writes that is not undone yet
+     * @param {string} dbName - Database name
+     * @param {Object} options
+     * @param {string} options.appId - Only this app's writes; any writes when omitted
+     * @returns {Promise<{success: boolean, batchId?: number, tables?: string[], changes?: Object[],
+     *   error?: string, conflict?: {table: string, id: number}}>}
+     *   changes lists the {table, action, id} rows that were written
+     */
+    async undo(dbName, { appId = null } = {}) {
+        return this.replayJournal(dbName, 'undo', appId);
+    }
+
+    /**
+     * Redo the most recently undone batch
+     * @param {string} dbName - Database name
+     * @param {Object} options
+     * @param {string} options.appId - Only this app's writes; any writes when omitted
+     * @returns {Promise<Object>} Same as undo()
+     */
+    async redo(dbName, { appId = null } = {}) {
+        return this.replayJournal(dbName, 'redo', appId);
+    }
+
+    /**
+     * Apply a batch's before-images (undo) or after-images (redo).
+     * Refuses when a row no longer looks the way the batch left it (undo) or
+     * found it (redo), e.g. because another app changed it since.
+     * @private
+     */
+    async replayJournal(dbName, direction, appId) {
+        try {
+            const db = await this.connectForWrite(dbName);
+            // Writes that bypassed publishChanges go into the journal first
+            await this.publishChanges(dbName, db);
+
+            const batch = this.findJournalBatch(db, direction, appId);
+            if (!batch) {
+                return { success: false, error: direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo' };
+            }
+
+            const entries = db.prepare('SELECT * FROM _change_journal WHERE batch_id = ? ORDER BY id').all(batch.batchId);
+            const conflict = this.findJournalConflict(db, entries, direction);
+            if (conflict) {
+                return {
+                    success: false,
+                    error: `Cannot ${direction}: row ${conflict.id} of '${conflict.table}' has changed since`,
+                    conflict
+                };
+            }
+
+            const apply = db.transaction(() => {
+                const ordered = direction === 'undo' ? [...entries].reverse() : entries;
+                const changes = ordered.map(entry => this.applyJournalEntry(db, entry, direction));
+
+                const undone = direction === 'undo'
+                    ? db.prepare('SELECT COALESCE(MAX(undone), 0) + 1 AS next FROM _change_journal').get().next
+                    : 0;
+                db.prepare('UPDATE _change_journal SET undone = ? WHERE batch_id = ?').run(undone, batch.batchId);
+                return changes;
+            });
+            const changes = apply();
+            await this.publishChanges(dbName, db, { journal: false });
+
+            // The updated_at trigger makes two entries for one update; report the row once
+            const seen = new Set();
+            const rowChanges = changes.filter(change => {
+                const key = `${change.table}:${change.id}`;
+                return !seen.has(key) && seen.add(key);
+            });
+
+            logger.info(direction === 'undo' ? 'Changes undone' : 'Changes redone', {
+                database: dbName,
+                batchId: batch.batchId,
+                appId,
+                rows: rowChanges.length
+            });
+
+            return {
+                success: true,
+                batchId: batch.batchId,
+                tables: [...new Set(rowChanges.map(change => change.table))],
+                changes: rowChanges
+            };
+        } catch (error) {
+            logger.error(`Failed to ${direction} changes`, { database: dbName, appId, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Batch the next undo or redo would apply
+     * @private
+     */
+    findJournalBatch(db, direction, appId) {
+        const scope = appId ? 'AND app_id = ?' : '';
+        const order = direction === 'undo' ? 'batch_id DESC' : 'undone DESC';
+        const row = db.prepare(`
+            SELECT batch_id, app_id, created_at, COUNT(*) AS entries, GROUP_CONCAT(DISTINCT table_name) AS tables
+            FROM _change_journal
+            WHERE undone ${direction === 'undo' ? '= 0' : '> 0'} ${scope}
+            GROUP BY batch_id
+            ORDER BY ${order}
+            LIMIT 1
+        `).get(...(appId ? [appId] : []));
+
+        return row ? {
+            batchId: row.batch_id,
+            appId: row.app_id,
+            tables: row.tables.split(','),
+            entries: row.entries,
+            timestamp: row.created_at
+        } : null;
+    }
+
+    /**
+     * First row whose current state differs from the one the batch expects
+     * @private
+     */
+    findJournalConflict(db, entries, direction) {
+        const expected = new Map();
+        for (const entry of entries) {
+            if (entry.row_id === null) {
+                throw new Error(`Changes to '${entry.table_name}' cannot be undone because it has no id column`);
+            }
+            const key = `${entry.table_name}:${entry.row_id}`;
+            if (direction === 'undo') {
+                // Undo expects the state after the batch's last change to the row
+                expected.set(key, entry);
+            } else if (!expected.has(key)) {
+                // Redo expects the state before the batch's first change to it
+                expected.set(key, entry);
+            }
+        }
+
+        for (const entry of expected.values()) {
+            const json = direction === 'undo' ? entry.after_json : entry.before_json;
+            const safeTable = sqlValidator.escapeIdentifier(entry.table_name);
+            this.getTableColumns(db, entry.table_name);
+            const current = db.prepare(`SELECT * FROM ${safeTable} WHERE id = ?`).get(entry.row_id);
+
+            if (!this.journalRowMatches(current, json === null ? null : JSON.parse(json))) {
+                return { table: entry.table_name, id: entry.row_id };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Compare a row with a journal image. updated_at is ignored because the
+     * database sets it on every update, undo and redo included; columns dropped
+     * since the change are ignored too.
+     * @private
+     */
+    journalRowMatches(current, image) {
+        if (!current || !image) {
+            return !current && !image;
+        }
+        return Object.entries(image).every(([column, value]) => {
+            if (column === 'updated_at' || !(column in current)) {
+                return true;
+            }
+            const actual = Buffer.isBuffer(current[column]) ? current[column].toString('hex').toUpperCase() : current[column];
+            return actual === value;
+        });
+    }
+
+    /**
+     * Write one journal entry's before-image (undo) or after-image (redo)
+     * @private
+     * @returns {{table: string, action: string, id: number}}
+     */
+    applyJournalEntry(db, entry, direction) {
+        // Undoing an insert deletes the row, redoing it inserts it again; deletes the other way round
+        const image = JSON.parse((direction === 'undo' ? entry.before_json : entry.after_json) || 'null');
+        let action = entry.op;
+        if (direction === 'undo' && entry.op !== 'update') {
+            action = entry.op === 'insert' ? 'delete' : 'insert';
+        }
+
+        this.writeRowImage(db, entry.table_name, action, entry.row_id, image);
+        return { table: entry.table_name, action, id: entry.row_id };
+    }
+
+    /**
+     * Insert, update or delete a row from a change log image (a row as
+     * json_object() recorded it). Columns the table no longer has are skipped
+     * and BLOBs, which were logged as hex, are turned back into buffers.
+     * @param {Object} db - Database connection
+     * @param {string} table - Table name
+     * @param {string} action - 'insert', 'update' or 'delete'
+     * @param {number} rowId - Row id
+     * @param {Object|null} image - Column values (not needed for delete)
+     * @private
+     */
+    writeRowImage(db, table, action, rowId, image) {
+        const safeTable = sqlValidator.escapeIdentifier(table);
+
+        if (action === 'delete') {
+            db.prepare(`DELETE FROM ${safeTable} WHERE id = ?`).run(rowId);
+            return;
+        }
+
+        const columnTypes = new Map(db.prepare(`PRAGMA main.table_info(${safeTable})`).all()
+            .map(column => [column.name, (column.type || '').toUpperCase()]));
+        const values = Object.entries(image)
+            .filter(([column]) => columnTypes.has(column) && !(action === 'update' && column === 'id'))
+            .map(([column, value]) => [
+                sqlValidator.escapeIdentifier(column),
+                columnTypes.get(column) === 'BLOB' && typeof value === 'string' ? Buffer.from(value, 'hex') : value
+            ]);
+
+        if (action === 'insert') {
+            db.prepare(`INSERT INTO ${safeTable} (${values.map(([column]) => column).join(', ')}) VALUES (${values.map(() => '?').join(', ')})`)
+                .run(...values.map(([, value]) => value));
+        } else {
+            db.prepare(`UPDATE ${safeTable} SET ${values.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`)
+                .run(...values.map(([, value]) => value), rowId);
+        }
+    }
+
+    /**
+     * What undo and redo would apply next, for enabling buttons
+     * @param {string} dbName - Database name
+     * @param {Object} options
+     * @param {string} options.appId - Only this app's writes
+     * @returns {Promise<{success: boolean, undo: Object|null, redo: Object|null}>}
+     *   undo and redo are {batchId, appId, tables, entries, timestamp}
+     */
+    async getJournalState(dbName, { appId = null } = {}) {
+        try {
+            const db = await this.connectForWrite(dbName);
+            return {
+                success: true,
+                undo: this.findJournalBatch(db, 'undo', appId),
+                redo: this.findJournalBatch(db, 'redo', appId)
+            };
+        } catch (error) {
+            logger.error('Failed to read change journal state', { database: dbName, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Journaled changes of one row, newest first
+     * @param {string} dbName - Database name
+     * @param {string} tableName - Table name
+     * @param {number} rowId - Row id
+     * @param {Object} options - {limit}
+     * @returns {Promise<{success: boolean, history: Array<{batchId: number, op: string, before: Object|null,
+     *   after: Object|null, appId: string|null, undone: boolean, timestamp: number}>}>}
+     */
+    async getRowHistory(dbName, tableName, rowId, { limit = DATABASE.JOURNAL.MAX_ROW_HISTORY } = {}) {
+        try {
+            this.validateTableName(tableName);
+            const db = await this.connectForWrite(dbName);
+            await this.publishChanges(dbName, db);
+
+            const rows = db.prepare(`
+                SELECT * FROM _change_journal WHERE table_name = ? AND row_id = ? ORDER BY id
+            `).all(tableName, rowId);
+            const schema = await this.getTableSchema(db, tableName);
+            const parse = (json) => json === null ? null : this.transformRowData(JSON.parse(json), schema);
+
+            const history = [];
+            for (const row of rows) {
+                // Fold the updated_at trigger's follow-up update into the app's update
+                const previous = history[history.length - 1];
+                if (row.op === 'update' && previous && previous.op === 'update' && previous.batchId === row.batch_id) {
+                    previous.after = parse(row.after_json);
+                    continue;
+                }
+                history.push({
+                    batchId: row.batch_id,
+                    op: row.op,
+                    before: parse(row.before_json),
+                    after: parse(row.after_json),
+                    appId: row.app_id,
+                    undone: row.undone > 0,
+                    timestamp: row.created_at
+                });
+            }
+
+            return { success: true, history: history.reverse().slice(0, Math.min(limit, DATABASE.JOURNAL.MAX_ROW_HISTORY)) };
+        } catch (error) {
+            logger.error('Failed to read row history', { database: dbName, table: tableName, id: rowId, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ============================================================
+    // TRASH
+    // Dropped tables are renamed to _trash_<id>_<name> and, when
+    // keepDeletedRows is on, deleted rows are kept as tombstones.
+    // Both can be restored until they are purged.
+    // ============================================================
+
+    /**
+     * Create the trash table. data_json holds a row image for rows and the
+     * schema, registry entry and relationships for tables.
+     * @param {Object} db - Database connection
+     */
+    ensureTrash(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS _trash (
+                id INTEGER PRIMARY KEY,
+                kind TEXT NOT NULL,
+                table_name TEXT NOT NULL,
+                trash_table TEXT,
+                row_id INTEGER,
+                data_json TEXT,
+                app_id TEXT,
+                deleted_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_trash_deleted ON _trash(deleted_at);
+        `);
+    }
+
+    /**
+     * Change what goes into the trash and how long it stays there
+     * @param {Object} options
+     * @param {boolean} options.keepDeletedRows - Keep deleted rows as tombstones
+     * @param {number} options.retentionDays - Age at which purgeExpiredTrash removes items
+     */
+    configureTrash({ keepDeletedRows, retentionDays } = {}) {
+        if (keepDeletedRows !== undefined) {
+            this.keepDeletedRows = Boolean(keepDeletedRows);
+        }
+        if (retentionDays !== undefined) {
+            if (!(Number.isFinite(retentionDays) && retentionDays >= 0)) {
+                throw new Error('Trash retention must be a number of days');
+            }
+            this.trashRetentionDays = retentionDays;
+        }
+    }
+
+    /**
+     * Copy the rows deleted by the current write from temp._change_log into the trash
+     * @private
+     */
+    recordTombstones(db, appId) {
+        const { count } = db.prepare("SELECT COUNT(*) AS count FROM temp._change_log WHERE op = 'delete' AND row_id IS NOT NULL").get();
+        if (count === 0) {
+            return;
+        }
+
+        this.ensureTrash(db);
+        db.prepare(`
+            INSERT INTO _trash (kind, table_name, row_id, data_json, app_id, deleted_at)
+            SELECT 'row', table_name, row_id, before_json, ?, ? FROM temp._change_log
+            WHERE op = 'delete' AND row_id IS NOT NULL
+            ORDER BY seq
+        `).run(appId, Date.now());
+    }
+
+    /**
+     * Move a table to the trash: rename it, keep its schema, registry entry and
+     * relationships with the trash item and remove them from the live tables.
+     * The updated_at trigger and full-text index are rebuilt on restore.
+     * @param {Object} db - Database connection
+     * @param {string} tableName - Table name
+     * @returns {number} Trash item id
+     * @private
+     */
+    trashTable(db, tableName) {
+        this.ensureTrash(db);
+        const safeTable = sqlValidator.escapeIdentifier(tableName);
+
+        const metadata = db.prepare('SELECT schema_json FROM _metadata WHERE table_name = ?').get(tableName);
+        const registry = this.tableExists(db, '_table_registry')
+            ? db.prepare('SELECT * FROM _table_registry WHERE table_name = ?').get(tableName) || null
+            : null;
+        const relationships = this.tableExists(db, '_table_relationships')
+            ? db.prepare('SELECT * FROM _table_relationships WHERE source_table = ? OR target_table = ?').all(tableName, tableName)
+            : [];
+        const { count } = db.prepare(`SELECT COUNT(*) AS count FROM ${safeTable}`).get();
+
+        // Rename fails on the capture triggers' references; they are rebuilt on the next write
+        this.dropChangeCapture(db);
+
+        const move = db.transaction(() => {
+            // Dropped with the rename, so a failed move keeps the table searchable
+            this.dropSearchIndex(db, tableName);
+
+            const trashId = Number(db.prepare(`
+                INSERT INTO _trash (kind, table_name, data_json, app_id, deleted_at) VALUES ('table', ?, ?, ?, ?)
+            `).run(
+                tableName,
+                JSON.stringify({ schema: metadata ? JSON.parse(metadata.schema_json) : null, registry, relationships, rowCount: count }),
+                registry ? registry.app_id : null,
+                Date.now()
+            ).lastInsertRowid);
+
+            const trashTable = `_trash_${trashId}_${tableName}`;
+            db.exec(`DROP TRIGGER IF EXISTS "update_${tableName}_updated_at"`);
+            db.exec(`ALTER TABLE ${safeTable} RENAME TO "${trashTable}"`);
+            db.prepare('UPDATE _trash SET trash_table = ? WHERE id = ?').run(trashTable, trashId);
+
+            this.removeTableMetadata(db, tableName);
+            return trashId;
+        });
+        return move();
+    }
+
+    /**
+     * Items in the trash, newest first
+     * @param {string} dbName - Database name
+     * @returns {Promise<{success: boolean, items: Array<{id: number, kind: string, tableName: string,
+     *   rowId: number|null, appId: string|null, deletedAt: number, rowCount?: number, row?: Object}>}>}
+     */
+    async listTrash(dbName) {
+        try {
+            const db = await this.connectDatabase(dbName);
+            if (!this.tableExists(db, '_trash')) {
+                return { success: true, items: [] };
+            }
+
+            const items = db.prepare('SELECT * FROM _trash ORDER BY deleted_at DESC, id DESC').all().map(item => {
+                const data = item.data_json ? JSON.parse(item.data_json) : {};
+                return {
+                    id: item.id,
+                    kind: item.kind,
+                    tableName: item.table_name,
+                    rowId: item.row_id,
+                    appId: item.app_id,
+                    deletedAt: item.deleted_at,
+                    ...(item.kind === 'table' ? { rowCount: data.rowCount } : { row: data })
+                };
+            });
+            return { success: true, items };
+        } catch (error) {
+            logger.error('Failed to list trash', { database: dbName, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Restore a trashed table or row
+     * @param {string} dbName - Database name
+     * @param {number} trashId - Trash item id
+     * @param {Object} options - {newName}: restore a table under another name
+     * @returns {Promise<{success: boolean, kind?: string, table?: string, id?: number, error?: string}>}
+     */
+    async restoreFromTrash(dbName, trashId, { newName = null } = {}) {
+        try {
+            const db = await this.connectDatabase(dbName);
+            const item = this.tableExists(db, '_trash') ? db.prepare('SELECT * FROM _trash WHERE id = ?').get(trashId) : null;
+            if (!item) {
+                return { success: false, error: 'Item not found in trash' };
+            }
+
+            const result = item.kind === 'table'
+                ? this.restoreTrashedTable(db, item, newName || item.table_name)
+                : await this.restoreTrashedRow(dbName, item);
+
+            if (result.success) {
+                logger.info('Restored from trash', { database: dbName, trashId, kind: item.kind, table: result.table });
+            }
+            return result;
+        } catch (error) {
+            logger.error('Failed to restore from trash', { database: dbName, trashId, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @private
+     */
+    restoreTrashedTable(db, item, tableName) {
+        if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(tableName)) {
+            return { success: false, error: 'Invalid table name' };
+        }
+        if (this.tableExists(db, tableName)) {
+            return { success: false, error: `A table named '${tableName}' already exists` };
+        }
+
+        const { schema, registry, relationships } = JSON.parse(item.data_json);
+        const rename = (name) => name === item.table_name ? tableName : name;
+        const insertRow = (table, row) => {
+            const columns = Object.keys(row).filter(column => column !== 'id');
+            db.prepare(`INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+                .run(...columns.map(column => row[column]));
+        };
+
+        this.dropChangeCapture(db);
+        db.transaction(() => {
+            db.exec(`ALTER TABLE "${item.trash_table}" RENAME TO ${sqlValidator.escapeIdentifier(tableName)}`);
+            if (this.getTableColumns(db, tableName).includes('updated_at')) {
+                this.createUpdatedAtTrigger(db, tableName);
+            }
+
+            if (schema) {
+                db.prepare('INSERT OR REPLACE INTO _metadata (table_name, schema_json, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)')
+                    .run(tableName, JSON.stringify(schema));
+            }
+            if (registry && this.tableExists(db, '_table_registry')) {
+                // The owning app may have been removed in the meantime
+                const ownerExists = registry.app_id && this.tableExists(db, '_app_registry') &&
+                    db.prepare('SELECT 1 FROM _app_registry WHERE app_id = ?').get(registry.app_id);
+                insertRow('_table_registry', { ...registry, table_name: tableName, app_id: ownerExists ? registry.app_id : null });
+            }
+            if (this.tableExists(db, '_table_relationships')) {
+                relationships.forEach(relationship => insertRow('_table_relationships', {
+                    ...relationship,
+                    source_table: rename(relationship.source_table),
+                    target_table: rename(relationship.target_table)
+                }));
+            }
+
+            db.prepare('DELETE FROM _trash WHERE id = ?').run(item.id);
+        })();
+
+        const searchable = schema && schema.columns
+            ? Object.entries(schema.columns).filter(([, config]) => config && config.searchable).map(([name]) => name)
+            : [];
+        if (searchable.length > 0) {
+            this.syncSearchIndex(db, tableName, searchable);
+        }
+
+        return { success: true, kind: 'table', table: tableName };
+    }
+
+    /**
+     * Put a tombstoned row back under its old id. The write is journaled, so it can be undone.
+     * @private
+     */
+    async restoreTrashedRow(dbName, item) {
+        const db = await this.connectForWrite(dbName);
+        if (!this.tableExists(db, item.table_name)) {
+            return { success: false, error: `Table '${item.table_name}' no longer exists` };
+        }
+        const safeTable = sqlValidator.escapeIdentifier(item.table_name);
+        if (db.prepare(`SELECT 1 FROM ${safeTable} WHERE id = ?`).get(item.row_id)) {
+            return { success: false, error: `Row ${item.row_id} already exists in '${item.table_name}'` };
+        }
+
+        db.transaction(() => {
+            this.writeRowImage(db, item.table_name, 'insert', item.row_id, JSON.parse(item.data_json));
+            db.prepare('DELETE FROM _trash WHERE id = ?').run(item.id);
+        })();
+        await this.publishChanges(dbName, db);
+
+        return { success: true, kind: 'row', table: item.table_name, id: item.row_id };
+    }
+
+    /**
+     * Permanently delete trash items
+     * @param {string} dbName - Database name
+     * @param {number|null} trashId - Item to delete; the whole trash when null
+     * @returns {Promise<{success: boolean, purged: number}>}
+     */
+    async purgeTrash(dbName, trashId = null) {
+        try {
+            const db = await this.connectDatabase(dbName);
+            if (!this.tableExists(db, '_trash')) {
+                return { success: true, purged: 0 };
+            }
+
+            const items = trashId === null
+                ? db.prepare('SELECT id, kind, trash_table FROM _trash').all()
+                : db.prepare('SELECT id, kind, trash_table FROM _trash WHERE id = ?').all(trashId);
+            if (trashId !== null && items.length === 0) {
+                return { success: false, error: 'Item not found in trash' };
+            }
+
+            this.purgeTrashItems(db, items);
+            logger.info('Trash purged', { database: dbName, trashId, purged: items.length });
+            return { success: true, purged: items.length };
+        } catch (error) {
+            logger.error('Failed to purge trash', { database: dbName, trashId, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @private
+     */
+    purgeTrashItems(db, items) {
+        db.transaction(() => {
+            for (const item of items) {
+                if (item.kind === 'table' && item.trash_table) {
+                    db.exec(`DROP TABLE IF EXISTS "${item.trash_table}"`);
+                }
+                db.prepare('DELETE FROM _trash WHERE id = ?').run(item.id);
+            }
+        })();
+    }
+
+    /**
+     * Purge trash items older than the retention period in every database.
+     * Run by the scheduler's trash-purge task.
+     * @param {number} retentionDays - Defaults to the configured trash retention
+     * @returns {Promise<{success: boolean, purged: number}>}
+     */
+    async purgeExpiredTrash(retentionDays = this.trashRetentionDays) {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const { databases } = await this.listDatabases();
+        let purged = 0;
+
+        for (const dbName of databases) {
+            try {
+                const db = await this.connectDatabase(dbName);
+                if (!this.tableExists(db, '_trash')) {
+                    continue;
+                }
+                const items = db.prepare('SELECT id, kind, trash_table FROM _trash WHERE deleted_at < ?').all(cutoff);
+                if (items.length > 0) {
+                    this.purgeTrashItems(db, items);
+                    purged += items.length;
+                }
+            } catch (error) {
+                logger.warn('Failed to purge expired trash', { database: dbName, error: error.message });
+            }
+        }
+
+        if (purged > 0) {
+            logger.info('Expired trash purged', { purged, retentionDays });
+        }
+        return { success: true, purged };
+    }
+
+    // ============================================================
+    // FULL-TEXT SEARCH
+    // ============================================================
+
+    /**
+     * Name of the FTS5 index table for a table. The leading underscore keeps it
+     * (and the FTS5 shadow tables) out of listTables.
+     */
+    getSearchTableName(tableName) {
+        return `_fts_${tableName}`;
+    }
+
+    /**
+     * Create or update the FTS5 index over a table's searchable columns.
+     * The index uses the table as external content and is kept in sync by
+     * insert/update/delete triggers.
+     * @param {Object} db - Database connection
+     * @param {string} tableName - Table name
+     * @param {string[]} columns - Columns to index
+     * @returns {string[]} The indexed columns
+     */
+    syncSearchIndex(db, tableName, columns) {
+        this.validateTableName(tableName);
+        const existingColumns = this.getTableColumns(db, tableName);
+        const indexed = columns.filter(column => existingColumns.includes(column) && column !== 'id');
+        const missing = columns.filter(column => !indexed.includes(column));
+        if (missing.length > 0) {
+            logger.warn('Searchable columns not found in table', { table: tableName, columns: missing });
+        }
+
+        const ftsTable = this.getSearchTableName(tableName);
+        const current = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(ftsTable)
+            ? db.prepare(`PRAGMA table_info("${ftsTable}")`).all().map(col => col.name)
+            : [];
+
+        if (current.length > 0 && current.join(',') === indexed.join(',')) {
+            return indexed;
+        }
+
+        const quoted = indexed.map(column => sqlValidator.escapeIdentifier(column));
+        const newValues = indexed.map(column => `new.${sqlValidator.escapeIdentifier(column)}`).join(', ');
+        const oldValues = indexed.map(column => `old.${sqlValidator.escapeIdentifier(column)}`).join(', ');
+
+        db.transaction(() => {
+            this.dropSearchIndex(db, tableName);
+            if (indexed.length === 0) {
+                return;
+            }
+
+            db.exec(`
+                CREATE VIRTUAL TABLE "${ftsTable}" USING fts5(
+                    ${quoted.join(', ')},
+                    content='${tableName}',
+                    content_rowid='id',
+                    tokenize='unicode61 remove_diacritics 2'
+                );
+
+                CREATE TRIGGER "${ftsTable}_ai" AFTER INSERT ON "${tableName}" BEGIN
+                    INSERT INTO "${ftsTable}" (rowid, ${quoted.join(', ')}) VALUES (new.id, ${newValues});
+                END;
+
+                CREATE TRIGGER "${ftsTable}_ad" AFTER DELETE ON "${tableName}" BEGIN
+                    INSERT INTO "${ftsTable}" ("${ftsTable}", rowid, ${quoted.join(', ')}) VALUES ('delete', old.id, ${oldValues});
+                END;
+
+                CREATE TRIGGER "${ftsTable}_au" AFTER UPDATE ON "${tableName}" BEGIN
+                    INSERT INTO "${ftsTable}" ("${ftsTable}", rowid, ${quoted.join(', ')}) VALUES ('delete', old.id, ${oldValues});
+                    INSERT INTO "${ftsTable}" (rowid, ${quoted.join(', ')}) VALUES (new.id, ${newValues});
+                END;
+
+                INSERT INTO "${ftsTable}" ("${ftsTable}") VALUES ('rebuild');
+            `);
+        })();
+
+        logger.info('Search index updated', { table: tableName, columns: indexed });
+        return indexed;
+    }
+
+    /**
+     * Remove a table's full-text index and its triggers
+     * @param {Object} db - Database connection
+     * @param {string} tableName - Table name
+     */
+    dropSearchIndex(db, tableName) {
+        const ftsTable = this.getSearchTableName(tableName);
+        db.exec(`
+            DROP TRIGGER IF EXISTS "${ftsTable}_ai";
+            DROP TRIGGER IF EXISTS "${ftsTable}_ad";
+            DROP TRIGGER IF EXISTS "${ftsTable}_au";
+            DROP TABLE IF EXISTS "${ftsTable}";
+        `);
+    }
+
+    /**
+     * Turn plain search text into an FTS5 query: every word must match and the
+     * last word also matches as a prefix, so results update while typing.
+     * FTS5 operators in the text are treated as words.
+     * @param {string} text - Search text
+     * @returns {string|null} FTS5 query, or null when there is nothing to search for
+     */
+    buildSearchQuery(text) {
+        const terms = String(text || '')
+            .split(/\s+/)
+            .map(term => term.replace(/"/g, '""'))
+            .filter(term => term.replace(/[^\p{L}\p{N}]/gu, '').length > 0);
+
+        if (terms.length === 0) {
+            return null;
+        }
+
+        return terms.map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`).join(' ');
+    }
+
+    /**
+     * Full-text search over a table's searchable columns, best matches first
+     *
+     *   search(db, 'notes', 'meeting agenda', { limit: 10, highlight: true })
+     *   // => [{ id: 3, title: '...', body: '...', _rank: -2.1, _snippet: '... <mark>meeting</mark> ...' }]
+     *
+     * @param {string} dbName - Database name
+     * @param {string} tableName - Table with searchable columns
+     * @param {string} query - Plain search text
+     * @param {Object} options
+     * @param {number} options.limit - Max rows (default 20, max 100)
+     * @param {number} options.offset - Rows to skip
+     * @param {boolean} options.highlight - Add an HTML-escaped `_snippet` with <mark> around matches
+     * @returns {Promise<{success: boolean, data: Array, count: number}>}
+     */
+    async search(dbName, tableName, query, options = {}) {
+        try {
+            const db = await this.connectDatabase(dbName);
+            this.validateTableName(tableName);
+
+            const ftsTable = this.getSearchTableName(tableName);
+            const indexed = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(ftsTable);
+            if (!indexed) {
+                throw new Error(`Table '${tableName}' has no searchable columns. Mark columns with searchable: true in createTable.`);
+            }
+
+            const match = this.buildSearchQuery(query);
+            if (!match) {
+                return { success: true, data: [], count: 0 };
+            }
+
+            const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+            const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+            // Control characters mark matches so the snippet can be escaped before adding <mark>
+            const snippet = options.highlight
+                ? `, snippet("${ftsTable}", -1, char(2), char(3), '…', 12) AS _snippet`
+                : '';
+
+            const rows = db.prepare(`
+                SELECT "${tableName}".*, bm25("${ftsTable}") AS _rank${snippet}
+                FROM "${ftsTable}"
+                JOIN "${tableName}" ON "${tableName}".id = "${ftsTable}".rowid
+                WHERE "${ftsTable}" MATCH ?
+                ORDER BY _rank
+                LIMIT ${limit} OFFSET ${offset}
+            `).all(match);
+
+            const schema = await this.getTableSchema(db, tableName);
+            const data = rows.map(row => {
+                const result = this.transformRowData(row, schema);
+                if (options.highlight) {
+                    result._snippet = this.escapeSnippet(row._snippet);
+                }
+                return result;
+            });
+
+            logger.info('Search completed', { database: dbName, table: tableName, results: data.length });
+            return { success: true, data, count: data.length };
+        } catch (error) {
+            logger.error('Failed to search table', { database: dbName, table: tableName, error });
+            throw error;
+        }
+    }
+
+    /**
+     * HTML-escape a snippet and turn its match markers into <mark> tags
+     * @private
+     */
+    escapeSnippet(snippet) {
+        if (typeof snippet !== 'string') {
+            return '';
+        }
+        return snippet
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/\u0002/g, '<mark>')
+            .replace(/\u0003/g, '</mark>');
+    }
+
+    /**
+     * List all tables in a database
+     */
+    async listTables(dbName) {
+        try {
+            const db = await this.connectDatabase(dbName);
+
+            // Note: underscore must be escaped in LIKE pattern since it's a wildcard
+            // Also exclude sqlite_sequence which is auto-created for AUTOINCREMENT
+            const stmt = db.prepare(`
+                SELECT name FROM sqlite_master
+                WHERE type='table'
+                  AND name NOT LIKE '!_%' ESCAPE '!'
+                  AND name != 'sqlite_sequence'
+                ORDER BY name
+            `);
+            
+            const tables = stmt.all();
+            
+            return {
+                success: true,
+                tables: tables.map(t => t.name),
+                count: tables.length
+            };
+        } catch (error) {
+            logger.error('Failed to list tables', { database: dbName, error });
+            throw error;
+        }
+    }
+
+    /**
+     * List all databases
+     */
+    async listDatabases() {
+        try {
+            const files = await fs.readdir(this.dataPath);
+            const databases = files
+                .filter(file => file.endsWith('.db'))
+                .map(file => file.replace('.db', ''));
+                
+            return {
+                success: true,
+                databases: databases,
+                count: databases.length
+            };
+        } catch (error) {
+            logger.error('Failed to list databases', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Execute custom SQL query
+     * @param {Object} options - {appId}: app making the write, recorded in the change journal
+     */
+    async executeSQL(dbName, sql, params = [], options = {}) {
+        try {
+            const db = await this.connectDatabase(dbName);
+            
+            // Validate and sanitize SQL query
+            const safeQuery = sqlValidator.prepareSafeQuery(sql, params);
+            
+            const statementType = sql.trim().toUpperCase();
+            if (statementType.startsWith('SELECT')) {
+                const result = db.prepare(safeQuery.sql).all(...safeQuery.params);
+                return { success: true, data: result, type: 'select' };
+            } else {
+                // Row changes are captured for data statements; schema statements run
+                // without the capture triggers, which are rebuilt on the next write
+                if (/^(INSERT|UPDATE|DELETE|REPLACE|WITH)\b/.test(statementType)) {
+                    this.ensureChangeCapture(db);
+                } else {
+                    this.dropChangeCapture(db);
+                }
+                const result = db.prepare(safeQuery.sql).run(...safeQuery.params);
+                await this.publishChanges(dbName, db, options);
+                return { 
+                    success: true, 
+                    changes: result.changes,
+                    lastInsertRowid: result.lastInsertRowid,
+                    type: 'modify'
+                };
+            }
+        } catch (error) {
+            logger.error('Failed to execute SQL', { database: dbName, sql, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Basic SQL injection protection
+     */
+    containsDangerousSQL(sql) {
+        const dangerous = [
+            'DROP TABLE',
+            'DROP DATABASE',
+            'TRUNCATE',
+            'DELETE FROM sqlite_master',
+            'PRAGMA',
+            'ATTACH',
+            'DETACH'
+        ];
+        
+        const upperSQL = sql.toUpperCase();
+        return dangerous.some(danger => upperSQL.includes(danger));
+    }
+
+    /**
+     * Export database to a JSON object held in memory.
+     * DataExporter streams large databases to a file instead.
+     */
+    async exportDatabase(dbName) {
+        try {
+            const db = await this.connectDatabase(dbName);
+            const tablesResult = await this.listTables(dbName);
+            
+            const exportData = {
+                database: dbName,
+                exported_at: new Date().toISOString(),
+                tables: {}
+            };
+            
+            for (const tableName of tablesResult.tables) {
+                const data = await this.queryData(dbName, tableName);
+                const schema = await this.getTableSchema(db, tableName);
+                
+                exportData.tables[tableName] = {
+                    schema: schema,
+                    data: data.data
+                };
+            }
+            
+            return { success: true, export: exportData };
+        } catch (error) {
+            logger.error('Failed to export database', { database: dbName, error });
+            throw error;
+        }
+    }
 
     /**
      * Close oldest connection to make room
@@ -1789,8 +3421,41 @@ class DatabaseManager {
                 )
             `);
 
+            // Create per-app table permissions (the user's decisions for tables of other apps)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS _app_permissions (
+                    app_id TEXT NOT NULL,
+                    table_name TEXT NOT NULL,
+                    can_read INTEGER NOT NULL DEFAULT 0,
+                    can_write INTEGER NOT NULL DEFAULT 0,
+                    can_schema INTEGER NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (app_id, table_name)
+                )
+            `);
+
+            // Create AI usage ledger (one row per model call)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS _ai_usage (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    operation TEXT NOT NULL,
+                    provider TEXT,
+                    model TEXT,
+                    input_tokens INTEGER NOT NULL DEFAULT 0,
+                    output_tokens INTEGER NOT NULL DEFAULT 0,
+                    cost_usd REAL NOT NULL DEFAULT 0,
+                    session_id TEXT,
+                    app_id TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
             // Create indexes for faster lookups
             db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON _ai_usage(created_at);
+                CREATE INDEX IF NOT EXISTS idx_ai_usage_app ON _ai_usage(app_id);
+                CREATE INDEX IF NOT EXISTS idx_ai_usage_session ON _ai_usage(session_id);
                 CREATE INDEX IF NOT EXISTS idx_table_registry_app_id ON _table_registry(app_id);
                 CREATE INDEX IF NOT EXISTS idx_table_relationships_source ON _table_relationships(source_table);
                 CREATE INDEX IF NOT EXISTS idx_table_relationships_target ON _table_relationships(target_table);
@@ -2799,6 +4464,285 @@ class DatabaseManager {
         }
     }
 
+    // ============================================================
+    // APP TABLE PERMISSIONS
+    // Enforced by the app panel bridge; see AppPermissionGuard
+    // ============================================================
+
+    /**
+     * Check whether an app may access a table of the shared database.
+     *
+     * The app that owns a table (per _table_registry) may do anything with it.
+     * Otherwise a decision stored with setTablePermission applies. Tables without
+     * an owner are open to every app unless a decision says otherwise. For a table
+     * owned by another app without a decision, `prompt` is true: the user has to
+     * decide.
+     *
+     * @param {string} appId - App making the call
+     * @param {string} tableName - Table being accessed
+     * @param {string} access - 'read', 'write' or 'schema'
+     * @returns {Promise<{success: boolean, allowed?: boolean, prompt?: boolean, owner?: string|null, error?: string}>}
+     */
+    async checkTableAccess(appId, tableName, access) {
+        try {
+            if (!TABLE_ACCESS_TYPES.includes(access)) {
+                throw new Error(`Unknown access type: ${access}`);
+            }
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+
+            const owner = db.prepare('SELECT app_id FROM _table_registry WHERE table_name = ?').get(tableName)?.app_id || null;
+            if (owner === appId) {
+                return { success: true, allowed: true, owner };
+            }
+
+            const decision = db.prepare(`
+                SELECT can_read, can_write, can_schema FROM _app_permissions WHERE app_id = ? AND table_name = ?
+            `).get(appId, tableName);
+            if (decision) {
+                return { success: true, allowed: decision[`can_${access}`] === 1, owner };
+            }
+
+            return owner
+                ? { success: true, allowed: false, prompt: true, owner }
+                : { success: true, allowed: true, owner };
+        } catch (error) {
+            logger.error('Failed to check table access', { appId, tableName, access, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Store the user's decision about an app's access to a table
+     * @param {string} appId - App the decision is for
+     * @param {string} tableName - Table
+     * @param {{read: boolean, write: boolean, schema: boolean}} permissions
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async setTablePermission(appId, tableName, { read = false, write = false, schema = false } = {}) {
+        try {
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+
+            db.prepare(`
+                INSERT INTO _app_permissions (app_id, table_name, can_read, can_write, can_schema)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(app_id, table_name) DO UPDATE SET
+                    can_read = excluded.can_read,
+                    can_write = excluded.can_write,
+                    can_schema = excluded.can_schema,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(appId, tableName, read ? 1 : 0, write ? 1 : 0, schema ? 1 : 0);
+
+            logger.info('Table permission set', { appId, tableName, read, write, schema });
+            return { success: true };
+        } catch (error) {
+            logger.error('Failed to set table permission', { appId, tableName, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Forget a stored decision, so the user is asked again
+     * @param {string} appId - App
+     * @param {string} tableName - Table
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async clearTablePermission(appId, tableName) {
+        try {
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+
+            db.prepare('DELETE FROM _app_permissions WHERE app_id = ? AND table_name = ?').run(appId, tableName);
+            return { success: true };
+        } catch (error) {
+            logger.error('Failed to clear table permission', { appId, tableName, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Permission manifest of an app: its own tables and every stored decision
+     * @param {string} appId - App
+     * @returns {Promise<{success: boolean, manifest?: {appId: string, tables: Object}, error?: string}>}
+     *   tables maps a table name to {read, write, schema, owner}
+     */
+    async getAppPermissions(appId) {
+        try {
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+
+            const tables = {};
+            db.prepare('SELECT table_name FROM _table_registry WHERE app_id = ? ORDER BY table_name').all(appId).forEach(row => {
+                tables[row.table_name] = { read: true, write: true, schema: true, owner: true };
+            });
+            db.prepare('SELECT * FROM _app_permissions WHERE app_id = ? ORDER BY table_name').all(appId).forEach(row => {
+                if (!tables[row.table_name]) {
+                    tables[row.table_name] = {
+                        read: row.can_read === 1,
+                        write: row.can_write === 1,
+                        schema: row.can_schema === 1,
+                        owner: false
+                    };
+                }
+            });
+
+            return { success: true, manifest: { appId, tables } };
+        } catch (error) {
+            logger.error('Failed to get app permissions', { appId, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Record an app as the owner of a table it created, unless the table has an owner already
+     * @param {string} appId - App that created the table
+     * @param {string} tableName - Table
+     * @returns {Promise<{success: boolean, owner?: string, error?: string}>}
+     */
+    async claimTable(appId, tableName) {
+        try {
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+            this.validateTableName(tableName);
+
+            const schema = await this.getTableSchema(db, tableName);
+            db.prepare(`
+                INSERT INTO _table_registry (table_name, app_id, schema_json)
+                VALUES (?, ?, ?)
+                ON CONFLICT(table_name) DO UPDATE SET
+                    app_id = excluded.app_id,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE _table_registry.app_id IS NULL
+            `).run(tableName, appId, JSON.stringify(schema));
+
+            const owner = db.prepare('SELECT app_id FROM _table_registry WHERE table_name = ?').get(tableName).app_id;
+            return { success: true, owner };
+        } catch (error) {
+            logger.error('Failed to claim table', { appId, tableName, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ============================================================
+    // AI USAGE ACCOUNTING
+    // ============================================================
+
+    /**
+     * Record the token usage of one model call
+     * @param {Object} entry
+     * @param {string} entry.operation - What the call was for (generate-code, generate-schema, ...)
+     * @param {string} entry.provider - Provider name
+     * @param {string} entry.model - Model reported by the provider
+     * @param {number} entry.inputTokens - Prompt tokens
+     * @param {number} entry.outputTokens - Completion tokens
+     * @param {number} entry.costUsd - Estimated cost
+     * @param {string} entry.sessionId - Session the call belongs to (optional)
+     * @param {string} entry.appId - App the call belongs to (optional)
+     * @returns {Promise<{success: boolean, id?: number, error?: string}>}
+     */
+    async recordAIUsage(entry) {
+        try {
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+
+            const info = db.prepare(`
+                INSERT INTO _ai_usage (operation, provider, model, input_tokens, output_tokens, cost_usd, session_id, app_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                entry.operation,
+                entry.provider || null,
+                entry.model || null,
+                entry.inputTokens || 0,
+                entry.outputTokens || 0,
+                entry.costUsd || 0,
+                entry.sessionId || null,
+                entry.appId || null
+            );
+
+            return { success: true, id: Number(info.lastInsertRowid) };
+        } catch (error) {
+            logger.error('Failed to record AI usage', { operation: entry.operation, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get AI usage totals for the current local day
+     * @returns {Promise<{success: boolean, totals?: Object, error?: string}>}
+     */
+    async getAIUsageTotals() {
+        try {
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+
+            const totals = db.prepare(`
+                SELECT ${AI_USAGE_AGGREGATES}
+                FROM _ai_usage
+                WHERE date(created_at, 'localtime') = date('now', 'localtime')
+            `).get();
+
+            return { success: true, totals };
+        } catch (error) {
+            logger.error('Failed to get AI usage totals', { error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get an AI usage report grouped by day, app, session, operation and model
+     * @param {Object} options
+     * @param {number} options.days - Number of days to include, counting today
+     * @param {number} options.limit - Maximum rows in the app and session breakdowns
+     * @returns {Promise<{success: boolean, report?: Object, error?: string}>}
+     */
+    async getAIUsageReport({ days = 30, limit = 20 } = {}) {
+        try {
+            const db = await this.connectDatabase(DATABASE.SHARED_DB_NAME);
+            await this.initializeSharedDatabase();
+
+            const since = `-${Math.max(1, Math.floor(days)) - 1} days`;
+            const where = `date(created_at, 'localtime') >= date('now', 'localtime', ?)`;
+            const grouped = (column, extra = '') => db.prepare(`
+                SELECT ${column}, ${AI_USAGE_AGGREGATES}
+                FROM _ai_usage
+                WHERE ${where} ${extra}
+                GROUP BY 1
+                ORDER BY costUsd DESC, calls DESC
+            `);
+
+            const report = {
+                days,
+                totals: db.prepare(`SELECT ${AI_USAGE_AGGREGATES} FROM _ai_usage WHERE ${where}`).get(since),
+                byDay: db.prepare(`
+                    SELECT date(created_at, 'localtime') AS day, ${AI_USAGE_AGGREGATES}
+                    FROM _ai_usage
+                    WHERE ${where}
+                    GROUP BY day
+                    ORDER BY day
+                `).all(since),
+                byOperation: grouped('operation').all(since),
+                byModel: grouped('model').all(since),
+                byApp: db.prepare(`
+                    SELECT app_id AS appId,
+                        (SELECT app_name FROM _app_registry r WHERE r.app_id = _ai_usage.app_id) AS appName,
+                        ${AI_USAGE_AGGREGATES}
+                    FROM _ai_usage
+                    WHERE ${where} AND app_id IS NOT NULL
+                    GROUP BY app_id
+                    ORDER BY costUsd DESC, calls DESC
+                    LIMIT ?
+                `).all(since, limit),
+                bySession: grouped('session_id AS sessionId', 'AND session_id IS NOT NULL').all(since).slice(0, limit)
+            };
+
+            return { success: true, report };
+        } catch (error) {
+            logger.error('Failed to get AI usage report', { days, error });
+            return { success: false, error: error.message };
+        }
+    }
+
     // ============================================================
     // DATABASE BACKUP & RESTORE (with encryption)
     // ============================================================
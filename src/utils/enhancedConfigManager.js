@@ -149,6 +149,41 @@ class EnhancedConfigurationManager extends EventEmitter {
                 }
             },
             
+            ai: {
+                // Active provider - one of the names registered in src/providers
+                provider: 'anthropic',
+                providers: {
+                    anthropic: {
+                        timeout: 30000
+                    },
+                    openai: {
+                        endpoint: 'http://localhost:11434/v1',
+                        model: 'llama3.1',
+                        apiKey: null,
+                        maxTokens: 8192,
+                        timeout: 120000
+                    },
+                    fixture: {
+                        path: 'tests/fixtures/ai',
+                        chunkSize: 64
+                    }
+                },
+                // USD per million tokens, matched by longest model-name prefix.
+                // Models without a matching entry (local models, fixtures) cost nothing.
+                pricing: {
+                    'claude': { input: 3, output: 15 },
+                    'claude-3-haiku': { input: 0.25, output: 1.25 },
+                    'claude-3-5-haiku': { input: 0.8, output: 4 },
+                    'claude-3-opus': { input: 15, output: 75 },
+                    'claude-opus-4': { input: 15, output: 75 }
+                },
+                // Daily limits (local time); null disables the limit
+                budgets: {
+                    dailyCostUsd: null,
+                    dailyTokens: null
+                }
+            },
+            
             security: {
                 encryption: {
                     enabled: true,
@@ -400,6 +435,35 @@ class EnhancedConfigurationManager extends EventEmitter {
             })
         }));
 
+        // AI provider configuration schema
+        this.schemas.set('ai', Joi.object({
+            provider: Joi.string().pattern(/^[a-z][a-z0-9_-]*$/),
+            providers: Joi.object({
+                anthropic: Joi.object({
+                    timeout: Joi.number().positive()
+                }),
+                openai: Joi.object({
+                    endpoint: Joi.string().uri({ scheme: ['http', 'https'] }),
+                    model: Joi.string().allow(null),
+                    apiKey: Joi.string().allow(null),
+                    maxTokens: Joi.number().positive().allow(null),
+                    timeout: Joi.number().positive()
+                }),
+                fixture: Joi.object({
+                    path: Joi.string(),
+                    chunkSize: Joi.number().positive()
+                })
+            }).unknown(true),
+            pricing: Joi.object().pattern(Joi.string(), Joi.object({
+                input: Joi.number().min(0).required(),
+                output: Joi.number().min(0).required()
+            })),
+            budgets: Joi.object({
+                dailyCostUsd: Joi.number().positive().allow(null),
+                dailyTokens: Joi.number().integer().positive().allow(null)
+            })
+        }));
+
         // Security configuration schema
         this.schemas.set('security', Joi.object({
             encryption: Joi.object({
@@ -914,6 +978,7 @@ class EnhancedConfigurationManager extends EventEmitter {
         // List of sensitive paths to remove
         const sensitivePaths = [
             'api.anthropic.apiKey',
+            'ai.providers.openai.apiKey',
             'api.github.token',
             'security.encryption.key',
             'security.authentication.secret',
@@ -91,7 +91,27 @@ class IPCValidator {
 
             // Code Generation & Execution
             'generate-code': {
-                prompt: { type: 'string', minLength: 1, maxLength: 10000 }
+                prompt: { type: 'string', minLength: 1, maxLength: 10000 },
+                sessionId: { type: 'string', pattern: /^session_\d+_[a-z0-9]+$/, optional: true }
+            },
+            'generate-code-stream': {
+                prompt: { type: 'string', minLength: 1, maxLength: 10000 },
+                streamId: { type: 'string', pattern: /^stream_\d+_[a-z0-9]+$/ },
+                sessionId: { type: 'string', pattern: /^session_\d+_[a-z0-9]+$/, optional: true }
+            },
+            'refine-code': {
+                sessionId: { type: 'string', pattern: /^session_\d+_[a-z0-9]+$/ },
+                changeRequest: { type: 'string', minLength: 1, maxLength: 10000 }
+            },
+            'get-code-versions': {
+                sessionId: { type: 'string', pattern: /^session_\d+_[a-z0-9]+$/ }
+            },
+            'restore-code-version': {
+                sessionId: { type: 'string', pattern: /^session_\d+_[a-z0-9]+$/ },
+                version: { type: 'number', min: 1 }
+            },
+            'cancel-code-generation': {
+                streamId: { type: 'string', pattern: /^stream_\d+_[a-z0-9]+$/ }
             },
             'execute-code': {
                 code: { type: 'string', minLength: 1, maxLength: 100000 },
@@ -149,49 +169,260 @@ class IPCValidator {
             'db-insert-data': {
                 dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
                 tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
-                data: { type: 'object', required: [] }
+                data: { type: 'object', required: [] },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
             },
             'db-query-data': {
                 dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
                 tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
                 options: { type: 'object', optional: true }
             },
+            'db-transaction': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                operations: { type: 'array', minLength: 1, maxLength: 1000 },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
+            },
+            'db-search': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
+                query: { type: 'string', maxLength: 500 },
+                options: { type: 'object', optional: true }
+            },
+            'db-aggregate': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
+                options: { type: 'object' }
+            },
             'db-update-data': {
                 dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
                 tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
                 id: { type: 'number', min: 1 },
-                data: { type: 'object', required: [] }
+                data: { type: 'object', required: [] },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
             },
             'db-delete-data': {
                 dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
                 tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
-                id: { type: 'number', min: 1 }
+                id: { type: 'number', min: 1 },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
             },
             'db-execute-sql': {
                 dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
                 sql: { type: 'string', minLength: 1, maxLength: 10000 },
-                params: { type: 'array', maxLength: 100, optional: true }
+                params: { type: 'array', maxLength: 100, optional: true },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
             },
             'db-export-database': {
-                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                format: { type: 'string', pattern: /^(json|csv|ndjson|sql|sqlite)$/, optional: true },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/, optional: true }
             },
             'db-drop-table': {
                 dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
-                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ }
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
+                permanent: { type: 'boolean', optional: true }
+            },
+
+            // Workspaces
+            'workspace-get': {
+                name: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ }
+            },
+            'workspace-save': {
+                name: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ },
+                state: { type: 'object', required: ['panels'] }
+            },
+            'workspace-activate': {
+                name: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ }
+            },
+            'workspace-duplicate': {
+                name: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ },
+                newName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ }
+            },
+            'workspace-rename': {
+                name: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ },
+                newName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ }
+            },
+            'workspace-delete': {
+                name: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ }
+            },
+            'workspace-export': {
+                name: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9 _.()-]+$/ }
+            },
+
+            // App export
+            'app-export': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                appName: { type: 'string', maxLength: 200, optional: true },
+                format: { type: 'string', pattern: /^(html|electron)$/ },
+                appDocument: { type: 'string', minLength: 1, maxLength: 500000 }
+            },
+
+            // App windows
+            'app-window-open': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
+            },
+            'app-window-close': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                redock: { type: 'boolean', optional: true }
+            },
+            'app-bus-send': {
+                type: { type: 'string', pattern: /^app-bus-(message|broadcast|expose|call|return|discover)$/ },
+                sourceAppId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                targetAppId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/, optional: true },
+                payload: { type: 'object' }
+            },
+
+            // Builder session shared on the LAN
+            'shared-session-start': {
+                password: { type: 'string', minLength: 6, maxLength: 200 },
+                viewerPassword: { type: 'string', minLength: 6, maxLength: 200, optional: true },
+                name: { type: 'string', maxLength: 100, optional: true },
+                displayName: { type: 'string', maxLength: 40, optional: true },
+                prompt: { type: 'string', maxLength: 10000, optional: true },
+                code: { type: 'string', maxLength: 100000, optional: true }
+            },
+            'shared-session-join': {
+                joinLink: { type: 'string', maxLength: 300, pattern: /^collab:\/\/[^:/\s]+:\d{1,5}\/session_[0-9a-f]{16}$/ },
+                password: { type: 'string', minLength: 1, maxLength: 200 },
+                displayName: { type: 'string', maxLength: 40, optional: true }
+            },
+            'shared-session-send': {
+                type: { type: 'string', pattern: /^(document-change|cursor-update|selection-update|chat-message)$/ },
+                documentId: { type: 'string', pattern: /^doc_[0-9a-f]{16}$/, optional: true },
+                change: { type: 'object', required: ['operation', 'clientSeq'], optional: true },
+                position: { type: 'object', optional: true },
+                selection: { type: 'object', optional: true },
+                text: { type: 'string', minLength: 1, maxLength: 2000, optional: true }
+            },
+
+            // Trash
+            'db-list-trash': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
+            },
+            'db-restore-trash': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                trashId: { type: 'number', min: 1 },
+                newName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z][a-zA-Z0-9_]*$/, optional: true }
+            },
+            'db-purge-trash': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                trashId: { type: 'number', min: 1, optional: true }
             },
 
             // Multi-app Registry
             'db-register-app': {
                 appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
                 appName: { type: 'string', minLength: 1, maxLength: 200 },
-                description: { type: 'string', maxLength: 1000, optional: true }
+                description: { type: 'string', maxLength: 1000, optional: true },
+                originalPrompt: { type: 'string', maxLength: 10000, optional: true },
+                generatedCode: { type: 'string', maxLength: 100000, optional: true }
             },
             'db-get-app-info': {
                 appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
             },
+            'db-accept-regenerated-app': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
+            },
+            'db-reject-regenerated-app': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
+            },
+            'db-app-history': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
+            },
+            'db-app-version-diff': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                commit: { type: 'string', pattern: /^[0-9a-f]{7,40}$/ }
+            },
+            'db-restore-app-version': {
+                appId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                commit: { type: 'string', pattern: /^[0-9a-f]{7,40}$/ }
+            },
             'db-get-related-tables': {
                 tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ }
             },
+            'db-migrate': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                migration: { type: 'object' },
+                options: { type: 'object', optional: true }
+            },
+            'db-rollback-migration': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                toMigrationId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_.-]+$/, optional: true },
+                options: { type: 'object', optional: true }
+            },
+            'db-list-migrations': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ }
+            },
+            'db-import-data': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                importId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^import_[a-zA-Z0-9_]+$/ },
+                options: { type: 'object' }
+            },
+            'db-import-cancel': {
+                importId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^import_[a-zA-Z0-9_]+$/ }
+            },
+            'app-check-table-access': {
+                appId: { type: 'string', minLength: 1, maxLength: 100 },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
+                access: { type: 'string', pattern: /^(read|write|schema)$/ }
+            },
+            'app-set-table-permission': {
+                appId: { type: 'string', minLength: 1, maxLength: 100 },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
+                read: { type: 'boolean', optional: true },
+                write: { type: 'boolean', optional: true },
+                schema: { type: 'boolean', optional: true }
+            },
+            'app-clear-table-permission': {
+                appId: { type: 'string', minLength: 1, maxLength: 100 },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ }
+            },
+            'app-get-permissions': {
+                appId: { type: 'string', minLength: 1, maxLength: 100 }
+            },
+            'app-claim-table': {
+                appId: { type: 'string', minLength: 1, maxLength: 100 },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ }
+            },
+            'app-access-denied': {
+                appId: { type: 'string', minLength: 1, maxLength: 100 },
+                tableName: { type: 'string', minLength: 1, maxLength: 100 },
+                access: { type: 'string', pattern: /^(read|write|schema)$/ },
+                method: { type: 'string', maxLength: 100, optional: true }
+            },
+
+            // Audit log
+            'audit-verify-log': {
+                useExportedCheckpoints: { type: 'boolean', optional: true }
+            },
+            'db-change-feed-subscribe': {
+                tables: { type: 'array', maxLength: 200, optional: true }
+            },
+            'db-change-feed-unsubscribe': {
+                subscriptionId: { type: 'string', minLength: 1, maxLength: 100, pattern: /^feed_[a-f0-9]+$/ }
+            },
+            'db-changes-since': {
+                sequence: { type: 'number', min: 0 },
+                tables: { type: 'array', maxLength: 200, optional: true }
+            },
+            'db-undo': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
+            },
+            'db-redo': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
+            },
+            'db-journal-state': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                appId: { type: 'string', minLength: 1, maxLength: 100, optional: true }
+            },
+            'db-row-history': {
+                dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
+                tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
+                id: { type: 'number', min: 1 },
+                limit: { type: 'number', min: 1, max: 1000, optional: true }
+            },
             'db-create-table-with-owner': {
                 dbName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z0-9_-]+$/ },
                 tableName: { type: 'string', minLength: 1, maxLength: 100, pattern: /^[a-zA-Z_][a-zA-Z0-9_]*$/ },
@@ -230,6 +461,14 @@ class IPCValidator {
             'export-performance-data': {
                 format: { type: 'string', pattern: /^(json|csv|html)$/, optional: true }
             },
+            'get-ai-usage-report': {
+                days: { type: 'number', min: 1, max: 365, optional: true }
+            },
+            'set-ai-usage-budget': {
+                // 0 removes the limit
+                dailyCostUsd: { type: 'number', min: 0, max: 100000, optional: true },
+                dailyTokens: { type: 'number', min: 0, max: 1000000000, optional: true }
+            },
 
             // App Password
             'set-app-password': {
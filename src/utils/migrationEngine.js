@@ -0,0 +1,784 @@
+/**
+ * MigrationEngine
+ * Applies ordered, reversible schema migrations to app tables and records them
+ * in the `_migrations` table created by DatabaseManager.createMetadataTable.
+ *
+ * A migration is a list of steps:
+ *   {
+ *     id: '2024_06_add_priority',
+ *     name: 'Add priority to tasks',
+ *     up: [
+ *       { type: 'addColumn', table: 'tasks', column: 'priority', definition: { type: 'integer', default: 0 } },
+ *       { type: 'createIndex', table: 'tasks', columns: ['priority'] }
+ *     ],
+ *     down: [...] // optional, derived from `up` when omitted
+ *   }
+ *
+ * Steps:
+ *   { type: 'addColumn', table, column, definition }   definition as in createTable
+ *   { type: 'renameColumn', table, from, to }
+ *   { type: 'dropColumn', table, column }               table rebuild
+ *   { type: 'changeColumnType', table, column, newType } table rebuild
+ *   { type: 'createIndex', table, columns, name?, unique? }
+ *   { type: 'dropIndex', table, name }
+ *
+ * The `sql_up` / `sql_down` columns of `_migrations` hold the JSON step lists so a
+ * rollback can be compiled against the schema it undoes.
+ */
+
+const logger = require('./logger');
+const { DATABASE } = require('../config/constants');
+
+const IDENTIFIER_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const MIGRATION_ID_PATTERN = /^[a-zA-Z0-9_.-]{1,100}$/;
+const SYSTEM_COLUMNS = ['id', 'created_at', 'updated_at'];
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'json', 'blob'];
+const REBUILD_SUFFIX = '__migrating';
+
+const quote = (identifier) => `"${identifier}"`;
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class MigrationEngine {
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+    }
+
+    /**
+     * Plan a migration without changing anything
+     * @param {string} dbName - Database name
+     * @param {Object} migration - Migration definition
+     * @returns {Promise<{success: boolean, plan?: Object, error?: string}>}
+     *   plan: {id, name, steps: [{step, sql}], down, tables, warnings}
+     */
+    async plan(dbName, migration) {
+        try {
+            const db = await this.databaseManager.connectDatabase(dbName);
+            return { success: true, plan: await this.buildPlan(db, migration) };
+        } catch (error) {
+            logger.error('Failed to plan migration', { database: dbName, migration: migration?.id, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Apply a migration. A backup is taken through DatabaseManager.backupDatabase first
+     * and the schema change runs in a single transaction.
+     * @param {string} dbName - Database name
+     * @param {Object} migration - Migration definition
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Only return the plan
+     * @param {boolean} options.backup - Back up before applying (default true)
+     * @returns {Promise<{success: boolean, plan?: Object, backupPath?: string, dryRun?: boolean, error?: string}>}
+     */
+    async migrate(dbName, migration, { dryRun = false, backup = true } = {}) {
+        try {
+            const db = await this.databaseManager.connectDatabase(dbName);
+            const plan = await this.buildPlan(db, migration);
+
+            if (dryRun) {
+                return { success: true, dryRun: true, plan };
+            }
+
+            const backupPath = backup ? await this.backup(dbName) : null;
+
+            this.execute(db, plan, () => {
+                db.prepare(`
+                    INSERT INTO _migrations (migration_id, migration_name, sql_up, sql_down)
+                    VALUES (?, ?, ?, ?)
+                `).run(plan.id, plan.name, JSON.stringify(plan.up), JSON.stringify(plan.down));
+            });
+
+            await this.recordSchemaChanges(dbName, plan, 'migration');
+
+            logger.info('Migration applied', { database: dbName, migration: plan.id, tables: plan.tables, backupPath });
+            return { success: true, plan, backupPath };
+        } catch (error) {
+            logger.error('Failed to apply migration', { database: dbName, migration: migration?.id, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Roll back to a recorded migration, undoing every migration applied after it
+     * (newest first). Without a target every recorded migration is rolled back.
+     * @param {string} dbName - Database name
+     * @param {string|null} toMigrationId - Migration to roll back to (it stays applied)
+     * @param {Object} options - {dryRun, backup}
+     * @returns {Promise<{success: boolean, rolledBack?: string[], plans?: Object[], backupPath?: string, error?: string}>}
+     */
+    async rollback(dbName, toMigrationId = null, { dryRun = false, backup = true } = {}) {
+        try {
+            const db = await this.databaseManager.connectDatabase(dbName);
+            const applied = this.getAppliedRows(db);
+
+            let keep = 0;
+            if (toMigrationId) {
+                keep = applied.findIndex(row => row.migration_id === toMigrationId) + 1;
+                if (keep === 0) {
+                    throw new Error(`Migration '${toMigrationId}' has not been applied`);
+                }
+            }
+
+            const toRevert = applied.slice(keep).reverse();
+            if (toRevert.length === 0) {
+                return { success: true, rolledBack: [], plans: [] };
+            }
+
+            const plans = [];
+            if (dryRun) {
+                // Later reverts depend on earlier ones, so simulate them on one shared state
+                const state = new Map();
+                for (const row of toRevert) {
+                    plans.push(await this.buildRevertPlan(db, row, state));
+                }
+                return { success: true, dryRun: true, rolledBack: toRevert.map(row => row.migration_id), plans };
+            }
+
+            const backupPath = backup ? await this.backup(dbName) : null;
+
+            for (const row of toRevert) {
+                const plan = await this.buildRevertPlan(db, row);
+                this.execute(db, plan, () => {
+                    db.prepare('DELETE FROM _migrations WHERE migration_id = ?').run(row.migration_id);
+                });
+                await this.recordSchemaChanges(dbName, plan, 'rollback');
+                plans.push(plan);
+            }
+
+            logger.info('Migrations rolled back', {
+                database: dbName,
+                to: toMigrationId,
+                rolledBack: toRevert.map(row => row.migration_id),
+                backupPath
+            });
+            return { success: true, rolledBack: toRevert.map(row => row.migration_id), plans, backupPath };
+        } catch (error) {
+            logger.error('Failed to roll back migrations', { database: dbName, to: toMigrationId, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * List applied migrations, oldest first
+     * @param {string} dbName - Database name
+     * @returns {Promise<{success: boolean, migrations?: Array, error?: string}>}
+     */
+    async listMigrations(dbName) {
+        try {
+            const db = await this.databaseManager.connectDatabase(dbName);
+            const migrations = this.getAppliedRows(db).map(row => ({
+                id: row.migration_id,
+                name: row.migration_name,
+                up: JSON.parse(row.sql_up),
+                down: JSON.parse(row.sql_down),
+                appliedAt: row.applied_at
+            }));
+            return { success: true, migrations };
+        } catch (error) {
+            logger.error('Failed to list migrations', { database: dbName, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Applied migration rows in the order they were applied
+     * @private
+     */
+    getAppliedRows(db) {
+        return db.prepare('SELECT * FROM _migrations ORDER BY id').all();
+    }
+
+    /**
+     * Back up the database, failing the migration if the backup fails
+     * @private
+     */
+    async backup(dbName) {
+        const result = await this.databaseManager.backupDatabase(dbName);
+        if (!result.success) {
+            throw new Error(`Backup before migration failed: ${result.error}`);
+        }
+        return result.backupPath;
+    }
+
+    // ============================================================
+    // PLANNING
+    // ============================================================
+
+    /**
+     * Validate a migration and compile its up and down steps
+     * @private
+     */
+    async buildPlan(db, migration) {
+        this.validateMigration(migration);
+
+        const exists = db.prepare('SELECT 1 FROM _migrations WHERE migration_id = ?').get(migration.id);
+        if (exists) {
+            throw new Error(`Migration '${migration.id}' has already been applied`);
+        }
+
+        const state = new Map();
+        const up = await this.compileSteps(db, state, migration.up);
+
+        let down;
+        if (migration.down) {
+            // Compile the explicit down steps against the post-up schema to catch mistakes now
+            await this.compileSteps(db, new Map(Array.from(state, ([table, tableState]) => [table, clone(tableState)])), migration.down);
+            down = migration.down;
+        } else {
+            down = up.inverse.reverse();
+        }
+
+        return {
+            id: migration.id,
+            name: migration.name || migration.id,
+            up: migration.up,
+            down,
+            steps: up.steps,
+            statements: up.statements,
+            tables: up.tables,
+            schemas: up.schemas,
+            previousSchemas: up.previousSchemas,
+            warnings: up.warnings
+        };
+    }
+
+    /**
+     * Compile the down steps of an applied migration
+     * @private
+     */
+    async buildRevertPlan(db, row, state = new Map()) {
+        const down = JSON.parse(row.sql_down);
+        const compiled = await this.compileSteps(db, state, down);
+        return {
+            id: row.migration_id,
+            name: row.migration_name,
+            steps: compiled.steps,
+            statements: compiled.statements,
+            tables: compiled.tables,
+            schemas: compiled.schemas,
+            previousSchemas: compiled.previousSchemas,
+            warnings: compiled.warnings
+        };
+    }
+
+    /**
+     * Check the shape of a migration definition
+     * @private
+     */
+    validateMigration(migration) {
+        if (!migration || typeof migration !== 'object') {
+            throw new Error('Migration must be an object');
+        }
+        if (typeof migration.id !== 'string' || !MIGRATION_ID_PATTERN.test(migration.id)) {
+            throw new Error('Migration id must be 1-100 letters, numbers, dots, dashes or underscores');
+        }
+        if (!Array.isArray(migration.up) || migration.up.length === 0) {
+            throw new Error('Migration requires a non-empty up array');
+        }
+        if (migration.down !== undefined && !Array.isArray(migration.down)) {
+            throw new Error('Migration down must be an array');
+        }
+    }
+
+    /**
+     * Compile steps to SQL against a simulated schema, collecting the inverse steps
+     * @private
+     */
+    async compileSteps(db, state, steps) {
+        const compiled = {
+            steps: [],
+            statements: [],
+            inverse: [],
+            tables: [],
+            schemas: {},
+            previousSchemas: {},
+            warnings: []
+        };
+
+        for (const [index, step] of steps.entries()) {
+            try {
+                const tableState = await this.loadTable(db, state, step && step.table);
+                if (!compiled.tables.includes(tableState.name)) {
+                    compiled.tables.push(tableState.name);
+                    compiled.previousSchemas[tableState.name] = clone(tableState.schema);
+                }
+
+                const { sql, inverse, warnings = [] } = this.compileStep(tableState, step);
+                compiled.steps.push({ step, sql });
+                compiled.statements.push(...sql);
+                compiled.inverse.push(inverse);
+                compiled.warnings.push(...warnings);
+            } catch (error) {
+                throw new Error(`Step ${index} (${step && step.type}) failed: ${error.message}`);
+            }
+        }
+
+        compiled.tables.forEach(table => {
+            compiled.schemas[table] = clone(state.get(table).schema);
+        });
+        return compiled;
+    }
+
+    /**
+     * Load the current structure of a table into the simulation state
+     * @private
+     */
+    async loadTable(db, state, table) {
+        if (typeof table !== 'string' || !IDENTIFIER_PATTERN.test(table)) {
+            throw new Error('Step requires a valid table name');
+        }
+        if (state.has(table)) {
+            return state.get(table);
+        }
+
+        const master = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+        if (!master) {
+            throw new Error(`Table '${table}' does not exist`);
+        }
+
+        const columns = db.prepare(`PRAGMA table_info(${quote(table)})`).all().map(col => ({
+            name: col.name,
+            sqlType: col.type,
+            notNull: col.notnull === 1,
+            defaultValue: col.dflt_value,
+            primaryKey: col.pk > 0
+        }));
+
+        const indexes = [];
+        const uniques = [];
+        db.prepare(`PRAGMA index_list(${quote(table)})`).all().forEach(index => {
+            const indexColumns = db.prepare(`PRAGMA index_info(${quote(index.name)})`).all()
+                .sort((a, b) => a.seqno - b.seqno)
+                .map(col => col.name);
+            if (index.origin === 'c') {
+                indexes.push({ name: index.name, columns: indexColumns, unique: index.unique === 1 });
+            } else if (index.origin === 'u') {
+                uniques.push(indexColumns);
+            }
+        });
+
+        const foreignKeys = db.prepare(`PRAGMA foreign_key_list(${quote(table)})`).all().map(fk => ({
+            from: fk.from,
+            table: fk.table,
+            to: fk.to,
+            onUpdate: fk.on_update,
+            onDelete: fk.on_delete
+        }));
+
+        const triggers = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'trigger' AND tbl_name = ? AND sql IS NOT NULL")
+            .all(table)
+            .map(row => row.sql);
+
+        const tableState = {
+            name: table,
+            autoIncrement: /AUTOINCREMENT/i.test(master.sql),
+            hasCheck: /\bCHECK\s*\(/i.test(master.sql),
+            columns,
+            indexes,
+            uniques,
+            foreignKeys,
+            triggers,
+            schema: this.normalizeSchema(await this.databaseManager.getTableSchema(db, table))
+        };
+        state.set(table, tableState);
+        return tableState;
+    }
+
+    /**
+     * Metadata schemas may list columns as an array; use the {name: definition} form
+     * @private
+     */
+    normalizeSchema(schema) {
+        const normalized = clone(schema || { columns: {} });
+        if (Array.isArray(normalized.columns)) {
+            normalized.columns = normalized.columns.reduce((columns, column) => {
+                const { name, ...definition } = column;
+                columns[name] = definition;
+                return columns;
+            }, {});
+        }
+        normalized.columns = normalized.columns || {};
+        return normalized;
+    }
+
+    /**
+     * Compile one step and update the simulated table
+     * @private
+     */
+    compileStep(tableState, step) {
+        switch (step.type) {
+            case 'addColumn':
+                return this.compileAddColumn(tableState, step);
+            case 'renameColumn':
+                return this.compileRenameColumn(tableState, step);
+            case 'dropColumn':
+                return this.compileDropColumn(tableState, step);
+            case 'changeColumnType':
+                return this.compileChangeColumnType(tableState, step);
+            case 'createIndex':
+                return this.compileCreateIndex(tableState, step);
+            case 'dropIndex':
+                return this.compileDropIndex(tableState, step);
+            default:
+                throw new Error(`Unsupported migration step type: ${step.type}`);
+        }
+    }
+
+    compileAddColumn(tableState, { table, column, definition = {} }) {
+        this.validateIdentifier(column, 'column');
+        if (this.findColumn(tableState, column)) {
+            throw new Error(`Column '${column}' already exists in '${table}'`);
+        }
+        this.validateColumnType(definition.type || 'string');
+        if (definition.unique) {
+            throw new Error('SQLite cannot add a UNIQUE column; add it and then use createIndex with unique: true');
+        }
+        if (definition.required && definition.default === undefined) {
+            throw new Error(`Required column '${column}' needs a default value for existing rows`);
+        }
+
+        const columnDefinition = { type: 'string', ...definition };
+        const added = {
+            name: column,
+            sqlType: this.databaseManager.getSQLiteType(columnDefinition.type),
+            notNull: !!columnDefinition.required,
+            defaultValue: columnDefinition.default !== undefined && columnDefinition.default !== null
+                ? this.sqlDefault(columnDefinition.default, columnDefinition.type)
+                : null,
+            primaryKey: false
+        };
+        tableState.columns.push(added);
+        tableState.schema.columns[column] = columnDefinition;
+
+        return {
+            sql: [`ALTER TABLE ${quote(table)} ADD COLUMN ${this.columnDefinition(added)}`],
+            inverse: { type: 'dropColumn', table, column }
+        };
+    }
+
+    compileRenameColumn(tableState, { table, from, to }) {
+        this.validateIdentifier(to, 'column');
+        this.requireUserColumn(tableState, from);
+        if (this.findColumn(tableState, to)) {
+            throw new Error(`Column '${to}' already exists in '${table}'`);
+        }
+
+        this.findColumn(tableState, from).name = to;
+        tableState.indexes.forEach(index => {
+            index.columns = index.columns.map(name => name === from ? to : name);
+        });
+        tableState.uniques = tableState.uniques.map(columns => columns.map(name => name === from ? to : name));
+        tableState.foreignKeys.forEach(fk => {
+            if (fk.from === from) fk.from = to;
+        });
+        tableState.schema.columns = this.renameKey(tableState.schema.columns, from, to);
+
+        return {
+            sql: [`ALTER TABLE ${quote(table)} RENAME COLUMN ${quote(from)} TO ${quote(to)}`],
+            inverse: { type: 'renameColumn', table, from: to, to: from }
+        };
+    }
+
+    compileDropColumn(tableState, { table, column }) {
+        const existing = this.requireUserColumn(tableState, column);
+        if (tableState.foreignKeys.some(fk => fk.from === column)) {
+            throw new Error(`Column '${column}' is a foreign key and cannot be dropped`);
+        }
+
+        const warnings = [`Rolling back will re-create '${table}.${column}' empty; its data is only kept in the backup`];
+        const droppedIndexes = tableState.indexes.filter(index => index.columns.includes(column));
+        droppedIndexes.forEach(index => {
+            warnings.push(`Index '${index.name}' uses '${column}' and will be dropped`);
+        });
+
+        const definition = this.describeColumn(tableState, existing);
+        const before = tableState.columns.map(col => col.name);
+
+        tableState.columns = tableState.columns.filter(col => col.name !== column);
+        tableState.indexes = tableState.indexes.filter(index => !index.columns.includes(column));
+        tableState.uniques = tableState.uniques.filter(columns => !columns.includes(column));
+        delete tableState.schema.columns[column];
+
+        const copy = before.filter(name => name !== column).map(name => ({ name, expression: quote(name) }));
+
+        return {
+            sql: this.rebuildStatements(tableState, copy, warnings, column),
+            inverse: { type: 'addColumn', table, column, definition },
+            warnings
+        };
+    }
+
+    compileChangeColumnType(tableState, { table, column, newType }) {
+        const existing = this.requireUserColumn(tableState, column);
+        this.validateColumnType(newType);
+
+        const oldType = (tableState.schema.columns[column] && tableState.schema.columns[column].type)
+            || this.databaseManager.mapSQLiteTypeToJS(existing.sqlType);
+        const sqlType = this.databaseManager.getSQLiteType(newType);
+
+        existing.sqlType = sqlType;
+        tableState.schema.columns[column] = { ...(tableState.schema.columns[column] || {}), type: newType };
+
+        const warnings = [];
+        const copy = tableState.columns.map(col => ({
+            name: col.name,
+            expression: col.name === column ? `CAST(${quote(col.name)} AS ${sqlType})` : quote(col.name)
+        }));
+
+        return {
+            sql: this.rebuildStatements(tableState, copy, warnings),
+            inverse: { type: 'changeColumnType', table, column, newType: oldType },
+            warnings
+        };
+    }
+
+    compileCreateIndex(tableState, { table, name, columns, unique = false }) {
+        if (!Array.isArray(columns) || columns.length === 0) {
+            throw new Error('createIndex requires a non-empty columns array');
+        }
+        columns.forEach(column => {
+            if (!this.findColumn(tableState, column)) {
+                throw new Error(`Unknown column '${column}' in '${table}'`);
+            }
+        });
+
+        const indexName = name || `idx_${table}_${columns.join('_')}`;
+        this.validateIdentifier(indexName, 'index');
+        if (tableState.indexes.some(index => index.name === indexName)) {
+            throw new Error(`Index '${indexName}' already exists`);
+        }
+
+        const index = { name: indexName, columns: [...columns], unique: !!unique };
+        tableState.indexes.push(index);
+
+        return {
+            sql: [this.createIndexStatement(table, index)],
+            inverse: { type: 'dropIndex', table, name: indexName }
+        };
+    }
+
+    compileDropIndex(tableState, { table, name }) {
+        const index = tableState.indexes.find(existing => existing.name === name);
+        if (!index) {
+            throw new Error(`Index '${name}' does not exist on '${table}'`);
+        }
+
+        tableState.indexes = tableState.indexes.filter(existing => existing !== index);
+
+        return {
+            sql: [`DROP INDEX ${quote(name)}`],
+            inverse: { type: 'createIndex', table, name, columns: index.columns, unique: index.unique }
+        };
+    }
+
+    /**
+     * Statements that rebuild a table from the simulated structure, following
+     * SQLite's create-copy-drop-rename procedure
+     * @private
+     */
+    rebuildStatements(tableState, copy, warnings, droppedColumn = null) {
+        const table = tableState.name;
+        const temporary = `${table}${REBUILD_SUFFIX}`;
+
+        if (tableState.hasCheck) {
+            warnings.push(`CHECK constraints on '${table}' are not preserved by the rebuild`);
+        }
+
+        const definitions = tableState.columns.map(col => {
+            if (col.primaryKey && col.name === 'id') {
+                return `"id" INTEGER PRIMARY KEY${tableState.autoIncrement ? ' AUTOINCREMENT' : ''}`;
+            }
+            return this.columnDefinition(col);
+        });
+        tableState.uniques.forEach(columns => {
+            definitions.push(`UNIQUE (${columns.map(quote).join(', ')})`);
+        });
+        tableState.foreignKeys.forEach(fk => {
+            let definition = `FOREIGN KEY (${quote(fk.from)}) REFERENCES ${quote(fk.table)}(${quote(fk.to)})`;
+            if (fk.onUpdate && fk.onUpdate !== 'NO ACTION') definition += ` ON UPDATE ${fk.onUpdate}`;
+            if (fk.onDelete && fk.onDelete !== 'NO ACTION') definition += ` ON DELETE ${fk.onDelete}`;
+            definitions.push(definition);
+        });
+
+        const triggers = tableState.triggers.filter(sql => {
+            if (droppedColumn && new RegExp(`\\b${droppedColumn}\\b`).test(sql)) {
+                warnings.push(`A trigger on '${table}' uses '${droppedColumn}' and will be dropped`);
+                return false;
+            }
+            return true;
+        });
+        tableState.triggers = triggers;
+
+        return [
+            `CREATE TABLE ${quote(temporary)} (${definitions.join(', ')})`,
+            `INSERT INTO ${quote(temporary)} (${copy.map(col => quote(col.name)).join(', ')}) ` +
+                `SELECT ${copy.map(col => col.expression).join(', ')} FROM ${quote(table)}`,
+            `DROP TABLE ${quote(table)}`,
+            `ALTER TABLE ${quote(temporary)} RENAME TO ${quote(table)}`,
+            ...tableState.indexes.map(index => this.createIndexStatement(table, index)),
+            ...triggers
+        ];
+    }
+
+    /**
+     * Column definition SQL; defaultValue is already an SQL literal
+     * @private
+     */
+    columnDefinition(col) {
+        let definition = `${quote(col.name)} ${col.sqlType || ''}`.trim();
+        if (col.notNull) definition += ' NOT NULL';
+        if (col.defaultValue !== null && col.defaultValue !== undefined) definition += ` DEFAULT ${col.defaultValue}`;
+        return definition;
+    }
+
+    /**
+     * SQL literal for a column default
+     * @private
+     */
+    sqlDefault(value, type) {
+        if (type === 'boolean') {
+            return value ? '1' : '0';
+        }
+        if (type === 'number' || type === 'integer') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`Invalid default for ${type} column: ${value}`);
+            }
+            return String(number);
+        }
+        const text = type === 'json' ? JSON.stringify(value) : String(value);
+        return `'${text.replace(/'/g, "''")}'`;
+    }
+
+    createIndexStatement(table, index) {
+        return `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${quote(index.name)} ON ${quote(table)} (${index.columns.map(quote).join(', ')})`;
+    }
+
+    /**
+     * Schema definition for an existing column, used to re-create it on rollback
+     * @private
+     */
+    describeColumn(tableState, column) {
+        const known = tableState.schema.columns[column.name];
+        const definition = known
+            ? { ...known }
+            : { type: this.databaseManager.mapSQLiteTypeToJS(column.sqlType) };
+        delete definition.unique;
+
+        if (definition.default === undefined && column.defaultValue !== null) {
+            definition.default = column.defaultValue.replace(/^'(.*)'$/s, '$1').replace(/''/g, "'");
+        }
+        if (definition.default === undefined || definition.default === null) {
+            // Existing rows would have no value, so the column cannot come back as NOT NULL
+            delete definition.default;
+            delete definition.required;
+        }
+        return definition;
+    }
+
+    findColumn(tableState, name) {
+        return tableState.columns.find(col => col.name === name);
+    }
+
+    requireUserColumn(tableState, name) {
+        if (SYSTEM_COLUMNS.includes(name)) {
+            throw new Error(`Column '${name}' is managed by the database and cannot be changed`);
+        }
+        const column = this.findColumn(tableState, name);
+        if (!column) {
+            throw new Error(`Unknown column '${name}' in '${tableState.name}'`);
+        }
+        return column;
+    }
+
+    validateIdentifier(name, kind) {
+        if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+            throw new Error(`Invalid ${kind} name: ${name}`);
+        }
+    }
+
+    validateColumnType(type) {
+        if (!COLUMN_TYPES.includes(type)) {
+            throw new Error(`Unsupported column type '${type}'. Use one of: ${COLUMN_TYPES.join(', ')}`);
+        }
+    }
+
+    renameKey(object, from, to) {
+        return Object.fromEntries(Object.entries(object).map(([key, value]) => [key === from ? to : key, value]));
+    }
+
+    // ============================================================
+    // EXECUTION
+    // ============================================================
+
+    /**
+     * Run a compiled plan in one transaction with foreign key enforcement paused,
+     * then update the stored schemas
+     * @private
+     */
+    execute(db, plan, record) {
+        const foreignKeys = db.pragma('foreign_keys', { simple: true });
+        if (foreignKeys) {
+            // Dropping a rebuilt table must not cascade to referencing rows
+            db.pragma('foreign_keys = OFF');
+        }
+
+        try {
+            db.transaction(() => {
+                plan.statements.forEach(sql => db.exec(sql));
+
+                const violations = db.pragma('foreign_key_check');
+                if (violations.length > 0) {
+                    throw new Error(`Migration would break ${violations.length} foreign key reference(s) in '${violations[0].table}'`);
+                }
+
+                plan.tables.forEach(table => this.saveSchema(db, table, plan.schemas[table]));
+                record();
+            })();
+        } finally {
+            if (foreignKeys) {
+                db.pragma('foreign_keys = ON');
+            }
+        }
+    }
+
+    /**
+     * Store the migrated schema in _metadata and, for shared tables, _table_registry
+     * @private
+     */
+    saveSchema(db, table, schema) {
+        db.prepare('DELETE FROM _metadata WHERE table_name = ?').run(table);
+        db.prepare(`
+            INSERT INTO _metadata (table_name, schema_json, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+        `).run(table, JSON.stringify(schema));
+
+        const registry = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = '_table_registry'").get();
+        if (registry) {
+            db.prepare(`
+                UPDATE _table_registry SET schema_json = ?, updated_at = CURRENT_TIMESTAMP WHERE table_name = ?
+            `).run(JSON.stringify(schema), table);
+        }
+    }
+
+    /**
+     * Add the change to the shared database's schema history
+     * @private
+     */
+    async recordSchemaChanges(dbName, plan, changeType) {
+        if (dbName !== DATABASE.SHARED_DB_NAME) {
+            return;
+        }
+        for (const table of plan.tables) {
+            await this.databaseManager.recordSchemaChange(
+                table,
+                changeType,
+                plan.previousSchemas[table],
+                plan.schemas[table],
+                `migration:${plan.id}`
+            );
+        }
+    }
+}
+
+module.exports = MigrationEngine;
@@ -0,0 +1,475 @@
+/**
+ * Operational transformation for shared plain-text documents
+ *
+ * TextOperation describes an edit as a walk over the whole document: retain n
+ * characters, insert a string, or delete n characters. Two operations made on
+ * the same text can be transformed against each other so that applying them
+ * in either order gives the same result.
+ *
+ * OperationClient is the client side of the protocol CollaborationModule
+ * serves. A client has at most one change in flight; edits made while it
+ * waits are composed into a buffer and sent after the acknowledgement. Each
+ * change carries the client's version vector (how many changes of every
+ * client it has applied), which tells the server what the change was made
+ * without.
+ */
+
+class TextOperation {
+    constructor() {
+        // Retains are positive numbers, deletes negative numbers, inserts strings
+        this.ops = [];
+        // Length of the text the operation applies to, and of the result
+        this.baseLength = 0;
+        this.targetLength = 0;
+    }
+
+    static isRetain(op) {
+        return typeof op === 'number' && op > 0;
+    }
+
+    static isInsert(op) {
+        return typeof op === 'string';
+    }
+
+    static isDelete(op) {
+        return typeof op === 'number' && op < 0;
+    }
+
+    /**
+     * Skip over n characters
+     * @param {number} n
+     * @returns {TextOperation}
+     */
+    retain(n) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error('retain expects a non-negative integer');
+        }
+        if (n === 0) {
+            return this;
+        }
+        this.baseLength += n;
+        this.targetLength += n;
+        if (TextOperation.isRetain(this.ops[this.ops.length - 1])) {
+            this.ops[this.ops.length - 1] += n;
+        } else {
+            this.ops.push(n);
+        }
+        return this;
+    }
+
+    /**
+     * Insert text at the current position
+     * @param {string} text
+     * @returns {TextOperation}
+     */
+    insert(text) {
+        if (typeof text !== 'string') {
+            throw new Error('insert expects a string');
+        }
+        if (text === '') {
+            return this;
+        }
+        this.targetLength += text.length;
+        const ops = this.ops;
+        const last = ops[ops.length - 1];
+        if (TextOperation.isInsert(last)) {
+            ops[ops.length - 1] += text;
+        } else if (TextOperation.isDelete(last)) {
+            // Keep inserts before deletes so equal edits have one representation
+            if (TextOperation.isInsert(ops[ops.length - 2])) {
+                ops[ops.length - 2] += text;
+            } else {
+                ops.splice(ops.length - 1, 0, text);
+            }
+        } else {
+            ops.push(text);
+        }
+        return this;
+    }
+
+    /**
+     * Delete n characters at the current position
+     * @param {number} n
+     * @returns {TextOperation}
+     */
+    delete(n) {
+        if (typeof n === 'string') {
+            n = n.length;
+        }
+        n = Math.abs(n);
+        if (!Number.isInteger(n)) {
+            throw new Error('delete expects an integer');
+        }
+        if (n === 0) {
+            return this;
+        }
+        this.baseLength += n;
+        if (TextOperation.isDelete(this.ops[this.ops.length - 1])) {
+            this.ops[this.ops.length - 1] -= n;
+        } else {
+            this.ops.push(-n);
+        }
+        return this;
+    }
+
+    /**
+     * Whether the operation leaves every text unchanged
+     * @returns {boolean}
+     */
+    isNoop() {
+        return this.ops.length === 0 || (this.ops.length === 1 && TextOperation.isRetain(this.ops[0]));
+    }
+
+    /**
+     * Apply the operation to a text
+     * @param {string} text - Must be baseLength characters long
+     * @returns {string}
+     */
+    apply(text) {
+        if (text.length !== this.baseLength) {
+            throw new Error(`The operation expects a text of length ${this.baseLength}, not ${text.length}`);
+        }
+        const parts = [];
+        let index = 0;
+        for (const op of this.ops) {
+            if (TextOperation.isRetain(op)) {
+                parts.push(text.slice(index, index + op));
+                index += op;
+            } else if (TextOperation.isInsert(op)) {
+                parts.push(op);
+            } else {
+                index -= op;
+            }
+        }
+        return parts.join('');
+    }
+
+    /**
+     * Where a position in the text before the operation ends up after it, for
+     * carets and remote cursors. Text inserted at the position goes before it.
+     * @param {number} index
+     * @returns {number}
+     */
+    transformIndex(index) {
+        let oldIndex = 0;
+        let newIndex = index;
+        for (const op of this.ops) {
+            if (oldIndex > index) {
+                break;
+            }
+            if (TextOperation.isRetain(op)) {
+                oldIndex += op;
+            } else if (TextOperation.isInsert(op)) {
+                newIndex += op.length;
+            } else {
+                newIndex -= Math.min(index - oldIndex, -op);
+                oldIndex -= op;
+            }
+        }
+        return newIndex;
+    }
+
+    /**
+     * One operation with the effect of this one followed by another
+     * @param {TextOperation} other - Applies to this operation's result
+     * @returns {TextOperation}
+     */
+    compose(other) {
+        if (this.targetLength !== other.baseLength) {
+            throw new Error('The second operation must apply to the result of the first');
+        }
+
+        const result = new TextOperation();
+        const ops1 = this.ops.slice();
+        const ops2 = other.ops.slice();
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isDelete(op1)) {
+                result.delete(op1);
+                op1 = ops1[i1++];
+                continue;
+            }
+            if (TextOperation.isInsert(op2)) {
+                result.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Operations of mismatched length cannot be composed');
+            }
+
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                const n = Math.min(op1, op2);
+                result.retain(n);
+                [op1, op2] = [op1 - n || ops1[i1++], op2 - n || ops2[i2++]];
+            } else if (TextOperation.isInsert(op1) && TextOperation.isDelete(op2)) {
+                const n = Math.min(op1.length, -op2);
+                [op1, op2] = [op1.slice(n) || ops1[i1++], op2 + n || ops2[i2++]];
+            } else if (TextOperation.isInsert(op1) && TextOperation.isRetain(op2)) {
+                const n = Math.min(op1.length, op2);
+                result.insert(op1.slice(0, n));
+                [op1, op2] = [op1.slice(n) || ops1[i1++], op2 - n || ops2[i2++]];
+            } else {
+                // op1 retains, op2 deletes
+                const n = Math.min(op1, -op2);
+                result.delete(n);
+                [op1, op2] = [op1 - n || ops1[i1++], op2 + n || ops2[i2++]];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Transform two operations made on the same text. When both insert at the
+     * same position, a's text comes first.
+     * @param {TextOperation} a
+     * @param {TextOperation} b
+     * @returns {[TextOperation, TextOperation]} a' applies after b, b' after a, with the same result
+     */
+    static transform(a, b) {
+        if (a.baseLength !== b.baseLength) {
+            throw new Error('Both operations must apply to the same text');
+        }
+
+        const aPrime = new TextOperation();
+        const bPrime = new TextOperation();
+        const ops1 = a.ops.slice();
+        const ops2 = b.ops.slice();
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isInsert(op1)) {
+                aPrime.insert(op1);
+                bPrime.retain(op1.length);
+                op1 = ops1[i1++];
+                continue;
+            }
+            if (TextOperation.isInsert(op2)) {
+                aPrime.retain(op2.length);
+                bPrime.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Operations of mismatched length cannot be transformed');
+            }
+
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                const n = Math.min(op1, op2);
+                aPrime.retain(n);
+                bPrime.retain(n);
+                [op1, op2] = [op1 - n || ops1[i1++], op2 - n || ops2[i2++]];
+            } else if (TextOperation.isDelete(op1) && TextOperation.isDelete(op2)) {
+                // Both deleted the same characters
+                const n = Math.min(-op1, -op2);
+                [op1, op2] = [op1 + n || ops1[i1++], op2 + n || ops2[i2++]];
+            } else if (TextOperation.isDelete(op1)) {
+                const n = Math.min(-op1, op2);
+                aPrime.delete(n);
+                [op1, op2] = [op1 + n || ops1[i1++], op2 - n || ops2[i2++]];
+            } else {
+                const n = Math.min(op1, -op2);
+                bPrime.delete(n);
+                [op1, op2] = [op1 - n || ops1[i1++], op2 + n || ops2[i2++]];
+            }
+        }
+        return [aPrime, bPrime];
+    }
+
+    /**
+     * @returns {Array<number|string>}
+     */
+    toJSON() {
+        return this.ops.slice();
+    }
+
+    /**
+     * @param {Array<number|string>} ops - Output of toJSON()
+     * @returns {TextOperation}
+     */
+    static fromJSON(ops) {
+        if (!Array.isArray(ops)) {
+            throw new Error('An operation is a list of retains, inserts and deletes');
+        }
+        const operation = new TextOperation();
+        for (const op of ops) {
+            if (TextOperation.isRetain(op)) {
+                operation.retain(op);
+            } else if (TextOperation.isInsert(op)) {
+                operation.insert(op);
+            } else if (TextOperation.isDelete(op)) {
+                operation.delete(op);
+            } else {
+                throw new Error(`Invalid operation component: ${JSON.stringify(op)}`);
+            }
+        }
+        return operation;
+    }
+
+    /**
+     * Operation for a position-based change
+     * @param {{type: 'insert'|'delete'|'replace', position: number, text?: string, length?: number}} change
+     * @param {number} textLength - Length of the text the change was made on
+     * @returns {TextOperation}
+     */
+    static fromChange(change, textLength) {
+        const position = change.position;
+        const removed = change.type === 'insert' ? 0 : change.length || 0;
+        if (!Number.isInteger(position) || position < 0 || position + removed > textLength) {
+            throw new Error(`Change at ${position} is outside the document`);
+        }
+
+        const operation = new TextOperation().retain(position);
+        if (change.type === 'insert') {
+            operation.insert(change.text || '');
+        } else if (change.type === 'delete') {
+            operation.delete(removed);
+        } else if (change.type === 'replace') {
+            operation.insert(change.text || '').delete(removed);
+        } else {
+            throw new Error(`Unknown change type: ${change.type}`);
+        }
+        return operation.retain(textLength - position - removed);
+    }
+
+    /**
+     * Operation that turns one text into another, replacing what lies between
+     * their common start and end. Editors that only report the new value use it.
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {TextOperation}
+     */
+    static fromDiff(oldText, newText) {
+        let prefix = 0;
+        const shorter = Math.min(oldText.length, newText.length);
+        while (prefix < shorter && oldText[prefix] === newText[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < shorter - prefix &&
+            oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        return new TextOperation()
+            .retain(prefix)
+            .insert(newText.slice(prefix, newText.length - suffix))
+            .delete(oldText.length - prefix - suffix)
+            .retain(suffix);
+    }
+}
+
+class OperationClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.clientId - Identifies this client's changes
+     * @param {string} [options.content=''] - Document text at the given version
+     * @param {number} [options.version=0] - Server version of that text
+     * @param {Object<string, number>} [options.vector={}] - Changes of each client included in it
+     * @param {function(Object): void} options.send - Sends a change to the server
+     */
+    constructor({ clientId, content = '', version = 0, vector = {}, send }) {
+        this.clientId = clientId;
+        this.content = content;
+        this.version = version;
+        this.vector = { ...vector };
+        this.send = send;
+        // The change the server hasn't acknowledged, and local edits made since
+        this.outstanding = null;
+        this.buffer = null;
+        this.sequence = this.vector[clientId] || 0;
+    }
+
+    /**
+     * 'synchronized', 'awaiting' (one change in flight) or 'buffering' (and more edits waiting)
+     * @returns {string}
+     */
+    get state() {
+        if (this.buffer) return 'buffering';
+        return this.outstanding ? 'awaiting' : 'synchronized';
+    }
+
+    /**
+     * Apply an edit made on this client
+     * @param {TextOperation} operation - Applies to the current content
+     */
+    applyLocal(operation) {
+        this.content = operation.apply(this.content);
+        if (this.buffer) {
+            this.buffer = this.buffer.compose(operation);
+        } else if (this.outstanding) {
+            this.buffer = operation;
+        } else {
+            this.outstanding = operation;
+            this.sendOutstanding();
+        }
+    }
+
+    /**
+     * Apply another client's change as the server ordered it
+     * @param {{operation: Array, clientId: string, clientSeq: number, version: number}} change
+     * @returns {TextOperation} What was applied to the content, after moving past our pending edits
+     */
+    receiveServer(change) {
+        let operation = TextOperation.fromJSON(change.operation);
+
+        // The server's change didn't include our pending edits; move both past each other
+        if (this.outstanding) {
+            [this.outstanding, operation] = TextOperation.transform(this.outstanding, operation);
+        }
+        if (this.buffer) {
+            [this.buffer, operation] = TextOperation.transform(this.buffer, operation);
+        }
+
+        this.content = operation.apply(this.content);
+        this.version = change.version;
+        this.vector[change.clientId] = change.clientSeq;
+        return operation;
+    }
+
+    /**
+     * The server applied our change in flight
+     * @param {{clientSeq: number, version: number}} ack
+     */
+    receiveAck(ack) {
+        if (!this.outstanding || ack.clientSeq !== this.sequence) {
+            return;
+        }
+        this.version = ack.version;
+        this.vector[this.clientId] = ack.clientSeq;
+        this.outstanding = this.buffer;
+        this.buffer = null;
+        if (this.outstanding) {
+            this.sendOutstanding();
+        }
+    }
+
+    /**
+     * @private
+     */
+    sendOutstanding() {
+        this.sequence++;
+        this.send({
+            clientId: this.clientId,
+            clientSeq: this.sequence,
+            vector: { ...this.vector },
+            baseVersion: this.version,
+            operation: this.outstanding.toJSON()
+        });
+    }
+}
+
+// The renderer edits shared documents with the same classes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TextOperation, OperationClient };
+} else if (typeof window !== 'undefined') {
+    window.TextOperation = TextOperation;
+    window.OperationClient = OperationClient;
+}
@@ -8,6 +8,7 @@ class SessionManager {
         this.sessions = new Map();
         this.sessionHistoryFile = null;
         this.maxHistoryItems = 50;
+        this.maxVersionsPerSession = 50;
     }
 
     async initialize() {
@@ -112,18 +113,55 @@ class SessionManager {
         return updatedSession;
     }
 
-    addCodeGeneration(sessionId, prompt, generatedCode, packages = []) {
+    /**
+     * Record a generated version of the session's code.
+     * Every call appends to session.versions so earlier versions can be restored.
+     * @param {string} sessionId - Session identifier
+     * @param {string} prompt - Original prompt of the app
+     * @param {string} generatedCode - Generated code
+     * @param {string[]} packages - Packages required by the code
+     * @param {Object} details - Optional version details
+     * @param {string} details.changeRequest - Refinement request that produced this version
+     * @param {string[]} details.changeHistory - All refinement requests applied since the original prompt
+     * @param {string} details.description - AI description of the code
+     * @param {string} details.source - 'generate', 'refine' or 'restore'
+     * @param {number} details.restoredFrom - Version number a restore copied
+     * @returns {Object|null} Updated session
+     */
+    addCodeGeneration(sessionId, prompt, generatedCode, packages = [], details = {}) {
         const session = this.sessions.get(sessionId);
         if (!session) {
             logger.warn('Attempted to add code to non-existent session', { sessionId });
             return null;
         }
 
+        const versions = [...(session.versions || [])];
+        const lastVersion = versions.length > 0 ? versions[versions.length - 1].version : 0;
+        versions.push({
+            version: lastVersion + 1,
+            prompt,
+            changeRequest: details.changeRequest || null,
+            changeHistory: details.changeHistory || [],
+            code: generatedCode,
+            packages,
+            description: details.description || '',
+            source: details.source || 'generate',
+            restoredFrom: details.restoredFrom || null,
+            timestamp: new Date().toISOString()
+        });
+
+        // Keep only the most recent versions per session
+        if (versions.length > this.maxVersionsPerSession) {
+            versions.splice(0, versions.length - this.maxVersionsPerSession);
+        }
+
         const updatedSession = {
             ...session,
             prompt,
             generatedCode,
             packages,
+            versions,
+            currentVersion: lastVersion + 1,
             lastModified: new Date().toISOString(),
             status: 'code_generated',
             metadata: {
@@ -137,6 +175,8 @@ class SessionManager {
         
         logger.info('Code generation added to session', { 
             sessionId, 
+            version: updatedSession.currentVersion,
+            source: details.source || 'generate',
             codeLength: generatedCode ? generatedCode.length : 0,
             packages: packages.length
         });
@@ -144,6 +184,61 @@ class SessionManager {
         return updatedSession;
     }
 
+    /**
+     * List the recorded code versions of a session, oldest first
+     * @param {string} sessionId - Session identifier
+     * @returns {Array|null} Versions without their code, or null if the session does not exist
+     */
+    getVersions(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        return (session.versions || []).map(({ code, ...version }) => ({
+            ...version,
+            codeLength: code ? code.length : 0,
+            current: version.version === session.currentVersion
+        }));
+    }
+
+    /**
+     * Get a single recorded version including its code
+     * @param {string} sessionId - Session identifier
+     * @param {number} version - Version number
+     * @returns {Object|null}
+     */
+    getVersion(sessionId, version) {
+        const session = this.sessions.get(sessionId);
+        if (!session || !session.versions) {
+            return null;
+        }
+        return session.versions.find(v => v.version === version) || null;
+    }
+
+    /**
+     * Make an earlier version current again. The restore is recorded as a new
+     * version so the history stays linear and nothing is lost.
+     * @param {string} sessionId - Session identifier
+     * @param {number} version - Version number to restore
+     * @returns {Object|null} Updated session, or null if the version does not exist
+     */
+    restoreVersion(sessionId, version) {
+        const target = this.getVersion(sessionId, version);
+        if (!target) {
+            logger.warn('Attempted to restore non-existent version', { sessionId, version });
+            return null;
+        }
+
+        return this.addCodeGeneration(sessionId, target.prompt, target.code, target.packages, {
+            changeRequest: target.changeRequest,
+            changeHistory: target.changeHistory,
+            description: target.description,
+            source: 'restore',
+            restoredFrom: version
+        });
+    }
+
     /**
      * Truncate string to max length with indicator
      */
@@ -334,6 +429,16 @@ class SessionManager {
             }
         }
 
+        // Validate code versions if present
+        if (session.versions) {
+            if (!Array.isArray(session.versions)) {
+                return { valid: false, error: 'Code versions must be an array' };
+            }
+            if (session.versions.length > this.maxVersionsPerSession) {
+                session.versions = session.versions.slice(-this.maxVersionsPerSession);
+            }
+        }
+
         // Sanitize potentially dangerous fields
         if (session.prompt && typeof session.prompt === 'string' && session.prompt.length > 50000) {
             session.prompt = session.prompt.substring(0, 50000);
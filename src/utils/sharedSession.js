@@ -0,0 +1,229 @@
+/**
+ * SharedSession
+ * Shares the builder with teammates on the LAN through CollaborationModule.
+ * The host shares two documents, the prompt and the generated code. Every
+ * participant's window edits them with an OperationClient; this class only
+ * carries messages between that window and the session:
+ *
+ *   hosting  The window takes part as the module's local participant, and
+ *            changes to the shared database go to the other participants as
+ *            {type: 'database-changed', events} with ChangeFeed events.
+ *   joined   Messages from the host are passed to the window as they arrive,
+ *            and the window's messages are sent to the host, which checks the
+ *            sender's role before applying them.
+ *
+ * Messages reach the window through the deliver function given to start or join.
+ */
+
+const logger = require('./logger');
+const CollaborationModule = require('../modules/CollaborationModule');
+const { DATABASE, SHARED_SESSION } = require('../config/constants');
+
+// Messages a window may send into the session
+const WINDOW_MESSAGES = ['document-change', 'cursor-update', 'selection-update', 'chat-message'];
+
+class SharedSession {
+    /**
+     * @param {ChangeFeed} changeFeed - Source of the shared database's changes
+     * @param {function(): CollaborationModule} [createModule] - A fresh module for each session
+     */
+    constructor(changeFeed, createModule = () => new CollaborationModule()) {
+        this.changeFeed = changeFeed;
+        this.createModule = createModule;
+        this.collaboration = null;
+        this.mode = null; // 'host' or 'guest' while a session is active
+        this.role = null;
+        this.joinLink = null;
+        this.documents = null; // {prompt, code} document ids
+        this.feedSubscription = null;
+    }
+
+    /**
+     * Host a session sharing the current prompt and code
+     * @param {Object} options
+     * @param {string} options.password - Gives editor access
+     * @param {string} [options.viewerPassword] - Gives read-only access
+     * @param {string} [options.name] - Session name
+     * @param {string} [options.displayName] - The host's name for the others
+     * @param {string} [options.prompt] - Initial prompt text
+     * @param {string} [options.code] - Initial code
+     * @param {number} [options.port]
+     * @param {function(Object): void} deliver - Receives the messages for the host's window
+     * @returns {Promise<{success: boolean, sessionId?: string, joinLink?: string, role?: string, documents?: Object, error?: string}>}
+     */
+    async start(options, deliver) {
+        if (this.collaboration) {
+            return { success: false, error: 'A shared session is already active' };
+        }
+        if (!options.password || options.password.length < SHARED_SESSION.MIN_PASSWORD_LENGTH) {
+            return { success: false, error: `The editor password needs at least ${SHARED_SESSION.MIN_PASSWORD_LENGTH} characters` };
+        }
+        if (options.viewerPassword && options.viewerPassword === options.password) {
+            return { success: false, error: 'The viewer password must differ from the editor password' };
+        }
+
+        const collaboration = this.createModule();
+        await collaboration.initialize({
+            port: options.port ?? SHARED_SESSION.PORT,
+            maxUsers: SHARED_SESSION.MAX_PARTICIPANTS,
+            autoSave: false
+        });
+        const started = await collaboration.startSession({
+            name: options.name || 'Builder session',
+            password: options.password,
+            viewerPassword: options.viewerPassword || null
+        });
+        if (!started.success) {
+            await collaboration.cleanup();
+            return started;
+        }
+
+        this.collaboration = collaboration;
+        this.mode = 'host';
+        this.role = 'editor';
+        this.joinLink = started.joinLink;
+        this.documents = {
+            prompt: collaboration.createSharedDocument(options.prompt || '', { name: 'prompt' }).id,
+            code: collaboration.createSharedDocument(options.code || '', { name: 'code' }).id
+        };
+        collaboration.addLocalParticipant({ name: options.displayName || 'Host', send: deliver });
+
+        // The host's window has a change feed of its own
+        this.feedSubscription = this.changeFeed.subscribe({
+            send: (channel, message) => {
+                const events = message.events.filter(event => event.database === DATABASE.SHARED_DB_NAME);
+                if (events.length > 0) {
+                    collaboration.broadcast({ type: 'database-changed', events }, collaboration.userId);
+                }
+            }
+        }).subscriptionId;
+
+        logger.info('Shared session started', { sessionId: started.sessionId, viewers: !!options.viewerPassword });
+        return { success: true, sessionId: started.sessionId, joinLink: this.joinLink, role: this.role, documents: this.documents };
+    }
+
+    /**
+     * Join a teammate's session
+     * @param {Object} options
+     * @param {string} options.joinLink
+     * @param {string} options.password - Editor or viewer password
+     * @param {string} [options.displayName]
+     * @param {function(Object): void} deliver - Receives the host's messages
+     * @returns {Promise<{success: boolean, sessionId?: string, error?: string}>} The role arrives with the session state
+     */
+    async join(options, deliver) {
+        if (this.collaboration) {
+            return { success: false, error: 'A shared session is already active' };
+        }
+
+        const collaboration = this.createModule();
+        await collaboration.initialize({ autoSave: false });
+        collaboration.on('host-message', (message) => {
+            if (message.type === 'session-state') {
+                this.role = message.you ? message.you.role : null;
+                this.documents = Object.fromEntries(message.documents.map(document => [document.name, document.id]));
+            }
+            deliver(message);
+            if (message.type === 'session-ended') {
+                this.stop();
+            }
+        });
+
+        try {
+            const joined = await collaboration.joinSession(options.joinLink, options.password, {
+                name: options.displayName,
+                relay: true
+            });
+            if (!joined.success) {
+                throw new Error(joined.error);
+            }
+            this.collaboration = collaboration;
+            this.mode = 'guest';
+            this.joinLink = options.joinLink;
+
+            collaboration.wsClient.on('close', () => {
+                if (this.collaboration === collaboration) {
+                    deliver({ type: 'session-ended', reason: 'The connection to the host was lost' });
+                    this.stop();
+                }
+            });
+
+            logger.info('Joined shared session', { sessionId: joined.sessionId });
+            return { success: true, sessionId: joined.sessionId };
+        } catch (error) {
+            await collaboration.cleanup();
+            // A wrong password or an unknown session is refused during the handshake
+            const refused = /Unexpected server response: 401/.test(error.error || error.message);
+            logger.warn('Failed to join shared session', { error: error.error || error.message });
+            return { success: false, error: refused ? 'The host refused the password or the session has ended' : (error.error || error.message) };
+        }
+    }
+
+    /**
+     * Pass a message from the window into the session
+     * @param {Object} message - One of WINDOW_MESSAGES
+     * @returns {{success: boolean, error?: string}}
+     */
+    send(message) {
+        if (!this.collaboration) {
+            return { success: false, error: 'No shared session is active' };
+        }
+        if (!WINDOW_MESSAGES.includes(message.type)) {
+            return { success: false, error: `Unknown session message: ${message.type}` };
+        }
+        if (message.type === 'document-change' && this.role !== 'editor') {
+            return { success: false, error: 'You joined this session as a viewer' };
+        }
+
+        if (this.mode === 'host') {
+            // Checked and applied like a participant's message
+            this.collaboration.handleMessage(JSON.stringify(message), this.collaboration.userId);
+        } else {
+            this.collaboration.sendMessage(message);
+        }
+        return { success: true };
+    }
+
+    /**
+     * Leave the session, or end it when hosting
+     * @returns {Promise<{success: boolean, ended: boolean}>}
+     */
+    async stop() {
+        const collaboration = this.collaboration;
+        if (!collaboration) {
+            return { success: true, ended: false };
+        }
+
+        if (this.feedSubscription) {
+            this.changeFeed.unsubscribe(this.feedSubscription);
+        }
+        this.collaboration = null;
+        this.mode = null;
+        this.role = null;
+        this.joinLink = null;
+        this.documents = null;
+        this.feedSubscription = null;
+
+        await collaboration.cleanup();
+        logger.info('Shared session closed');
+        return { success: true, ended: true };
+    }
+
+    /**
+     * @returns {{active: boolean, mode: string|null, role: string|null, joinLink: string|null, documents: Object|null, participants: Object[]}}
+     */
+    getStatus() {
+        return {
+            active: !!this.collaboration,
+            mode: this.mode,
+            role: this.role,
+            joinLink: this.joinLink,
+            documents: this.documents,
+            participants: this.mode === 'host' ? this.collaboration.listParticipants() : []
+        };
+    }
+}
+
+SharedSession.WINDOW_MESSAGES = WINDOW_MESSAGES;
+
+module.exports = SharedSession;
@@ -0,0 +1,122 @@
+/**
+ * Streaming Code Parser
+ * Incrementally extracts the "code" field from a partially received AI response
+ * so the renderer can preview generated code while the model is still writing it.
+ *
+ * The full response is still parsed by jsonParser once the stream completes;
+ * this parser only produces a best-effort live view of the code string.
+ */
+class StreamingCodeParser {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Reset parser state so the instance can be reused for a new stream
+     */
+    reset() {
+        this.buffer = '';
+        this.position = 0;
+        this.state = 'seeking'; // seeking -> in_code -> complete
+        this.code = '';
+    }
+
+    /**
+     * Feed a chunk of raw response text into the parser
+     * @param {string} chunk - Raw text delta from the model
+     * @returns {{delta: string, code: string, complete: boolean}} Newly decoded code and running totals
+     */
+    push(chunk) {
+        if (typeof chunk !== 'string' || chunk.length === 0 || this.state === 'complete') {
+            return { delta: '', code: this.code, complete: this.state === 'complete' };
+        }
+
+        this.buffer += chunk;
+
+        if (this.state === 'seeking') {
+            const match = /"code"\s*:\s*"/.exec(this.buffer.slice(this.position));
+            if (!match) {
+                return { delta: '', code: this.code, complete: false };
+            }
+            this.position += match.index + match[0].length;
+            this.state = 'in_code';
+        }
+
+        const delta = this.decodeAvailable();
+        this.code += delta;
+
+        return { delta, code: this.code, complete: this.state === 'complete' };
+    }
+
+    /**
+     * Decode as much of the JSON string value as the buffer currently allows.
+     * Escape sequences split across chunk boundaries are left for the next push.
+     * @private
+     */
+    decodeAvailable() {
+        let decoded = '';
+        const buffer = this.buffer;
+
+        while (this.position < buffer.length) {
+            const char = buffer[this.position];
+
+            if (char === '"') {
+                this.state = 'complete';
+                this.position++;
+                break;
+            }
+
+            if (char !== '\\') {
+                // Claude occasionally emits literal newlines inside strings - keep them as-is
+                decoded += char;
+                this.position++;
+                continue;
+            }
+
+            // Escape sequence - wait for the rest of it if it is incomplete
+            if (this.position + 1 >= buffer.length) {
+                break;
+            }
+
+            const escaped = buffer[this.position + 1];
+            if (escaped === 'u') {
+                const hex = buffer.slice(this.position + 2, this.position + 6);
+                if (hex.length < 4) {
+                    break;
+                }
+                const codePoint = parseInt(hex, 16);
+                decoded += isNaN(codePoint) ? '' : String.fromCharCode(codePoint);
+                this.position += 6;
+                continue;
+            }
+
+            decoded += StreamingCodeParser.ESCAPES[escaped] !== undefined
+                ? StreamingCodeParser.ESCAPES[escaped]
+                : escaped;
+            this.position += 2;
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Get the full raw text received so far
+     * @returns {string}
+     */
+    getBuffer() {
+        return this.buffer;
+    }
+}
+
+StreamingCodeParser.ESCAPES = {
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    b: '\b',
+    f: '\f',
+    '"': '"',
+    '\\': '\\',
+    '/': '/'
+};
+
+module.exports = StreamingCodeParser;
@@ -0,0 +1,313 @@
+/**
+ * Text Diff
+ * Line-based diff (Myers algorithm) used to show what changed between two
+ * versions of generated code.
+ */
+class TextDiff {
+    constructor(options = {}) {
+        // Beyond this many edits the diff degrades to "replace everything"
+        // so pathological inputs cannot stall the main process
+        this.maxEdits = options.maxEdits || 2000;
+    }
+
+    /**
+     * Split text into lines, normalising line endings
+     * @param {string} text
+     * @returns {string[]}
+     */
+    splitLines(text) {
+        if (!text) {
+            return [];
+        }
+        return String(text).replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    /**
+     * Compute a line diff between two texts
+     * @param {string} oldText - Previous version
+     * @param {string} newText - New version
+     * @returns {Array<{type: 'equal'|'add'|'remove', value: string, oldNumber: number|null, newNumber: number|null}>}
+     */
+    diffLines(oldText, newText) {
+        const a = this.splitLines(oldText);
+        const b = this.splitLines(newText);
+
+        // Trim common prefix and suffix - regenerated code usually keeps most lines
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+               a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const middleA = a.slice(prefix, a.length - suffix);
+        const middleB = b.slice(prefix, b.length - suffix);
+        const middle = this.myers(middleA, middleB);
+
+        const ops = [];
+        for (let i = 0; i < prefix; i++) {
+            ops.push({ type: 'equal', value: a[i], oldNumber: i + 1, newNumber: i + 1 });
+        }
+
+        let oldLine = prefix;
+        let newLine = prefix;
+        for (const op of middle) {
+            if (op.type === 'equal') {
+                ops.push({ type: 'equal', value: op.value, oldNumber: ++oldLine, newNumber: ++newLine });
+            } else if (op.type === 'remove') {
+                ops.push({ type: 'remove', value: op.value, oldNumber: ++oldLine, newNumber: null });
+            } else {
+                ops.push({ type: 'add', value: op.value, oldNumber: null, newNumber: ++newLine });
+            }
+        }
+
+        for (let i = 0; i < suffix; i++) {
+            ops.push({
+                type: 'equal',
+                value: a[a.length - suffix + i],
+                oldNumber: ++oldLine,
+                newNumber: ++newLine
+            });
+        }
+
+        return ops;
+    }
+
+    /**
+     * Myers shortest edit script over two line arrays
+     * @private
+     */
+    myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0 && m === 0) {
+            return [];
+        }
+
+        const max = Math.min(n + m, this.maxEdits);
+        const offset = max + 1;
+        const v = new Array(2 * max + 3).fill(0);
+        const trace = [];
+        let found = false;
+
+        for (let d = 0; d <= max && !found; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                    x = v[offset + k + 1];
+                } else {
+                    x = v[offset + k - 1] + 1;
+                }
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        if (!found) {
+            return [
+                ...a.map(value => ({ type: 'remove', value })),
+                ...b.map(value => ({ type: 'add', value }))
+            ];
+        }
+
+        // Walk the trace backwards to recover the edit script
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const vd = trace[d];
+            const k = x - y;
+            let prevK;
+            if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+                prevK = k + 1;
+            } else {
+                prevK = k - 1;
+            }
+            const prevX = vd[offset + prevK];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push({ type: 'equal', value: a[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    ops.push({ type: 'add', value: b[y - 1] });
+                } else {
+                    ops.push({ type: 'remove', value: a[x - 1] });
+                }
+            }
+            x = prevX;
+            y = prevY;
+        }
+
+        return ops.reverse();
+    }
+
+    /**
+     * Count added, removed and unchanged lines
+     * @param {Array} ops - Output of diffLines()
+     * @returns {{added: number, removed: number, unchanged: number}}
+     */
+    summarize(ops) {
+        return ops.reduce((summary, op) => {
+            if (op.type === 'add') summary.added++;
+            else if (op.type === 'remove') summary.removed++;
+            else summary.unchanged++;
+            return summary;
+        }, { added: 0, removed: 0, unchanged: 0 });
+    }
+
+    /**
+     * Render diff operations in unified diff format
+     * @param {Array} ops - Output of diffLines()
+     * @param {Object} options
+     * @param {number} options.context - Unchanged lines to keep around each change
+     * @param {string} options.oldLabel - Header label for the old version
+     * @param {string} options.newLabel - Header label for the new version
+     * @returns {string} Unified diff, or an empty string when nothing changed
+     */
+    toUnified(ops, options = {}) {
+        const { context = 3, oldLabel = 'previous', newLabel = 'current' } = options;
+
+        const changeIndexes = [];
+        ops.forEach((op, index) => {
+            if (op.type !== 'equal') changeIndexes.push(index);
+        });
+        if (changeIndexes.length === 0) {
+            return '';
+        }
+
+        // Group changes whose context windows overlap into hunks
+        const hunks = [];
+        let start = Math.max(0, changeIndexes[0] - context);
+        let end = Math.min(ops.length - 1, changeIndexes[0] + context);
+        for (const index of changeIndexes.slice(1)) {
+            if (index - context <= end + 1) {
+                end = Math.min(ops.length - 1, index + context);
+            } else {
+                hunks.push([start, end]);
+                start = Math.max(0, index - context);
+                end = Math.min(ops.length - 1, index + context);
+            }
+        }
+        hunks.push([start, end]);
+
+        const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+        for (const [hunkStart, hunkEnd] of hunks) {
+            const slice = ops.slice(hunkStart, hunkEnd + 1);
+            const oldCount = slice.filter(op => op.type !== 'add').length;
+            const newCount = slice.filter(op => op.type !== 'remove').length;
+            const oldStart = this.firstLineNumber(ops, hunkStart, 'oldNumber');
+            const newStart = this.firstLineNumber(ops, hunkStart, 'newNumber');
+
+            lines.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+            for (const op of slice) {
+                const marker = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+                lines.push(marker + op.value);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Arrange diff operations in rows for a side-by-side view. Removed and
+     * added lines of one change are paired up, so a line that was edited
+     * sits next to its new version.
+     * @param {Array} ops - Output of diffLines()
+     * @param {Object} options
+     * @param {number} options.context - Unchanged lines to keep around each change; longer runs become one 'skip' row
+     * @returns {Array<{type: 'equal'|'change'|'remove'|'add'|'skip', left: {number: number, text: string}|null, right: {number: number, text: string}|null, count?: number}>}
+     */
+    toSideBySide(ops, options = {}) {
+        const { context = 3 } = options;
+        const rows = [];
+
+        let i = 0;
+        while (i < ops.length) {
+            if (ops[i].type === 'equal') {
+                const run = [];
+                while (i < ops.length && ops[i].type === 'equal') {
+                    run.push(ops[i++]);
+                }
+                const keepBefore = rows.length > 0 ? context : 0;
+                const keepAfter = i < ops.length ? context : 0;
+                if (run.length > keepBefore + keepAfter) {
+                    run.slice(0, keepBefore).forEach(op => rows.push(this.equalRow(op)));
+                    rows.push({ type: 'skip', left: null, right: null, count: run.length - keepBefore - keepAfter });
+                    run.slice(run.length - keepAfter).forEach(op => rows.push(this.equalRow(op)));
+                } else {
+                    run.forEach(op => rows.push(this.equalRow(op)));
+                }
+                continue;
+            }
+
+            const removed = [];
+            const added = [];
+            while (i < ops.length && ops[i].type !== 'equal') {
+                (ops[i].type === 'remove' ? removed : added).push(ops[i++]);
+            }
+            for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+                const type = removed[j] && added[j] ? 'change' : removed[j] ? 'remove' : 'add';
+                rows.push({
+                    type,
+                    left: removed[j] ? { number: removed[j].oldNumber, text: removed[j].value } : null,
+                    right: added[j] ? { number: added[j].newNumber, text: added[j].value } : null
+                });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * @private
+     */
+    equalRow(op) {
+        return {
+            type: 'equal',
+            left: { number: op.oldNumber, text: op.value },
+            right: { number: op.newNumber, text: op.value }
+        };
+    }
+
+    /**
+     * Line number a hunk starts at on one side of the diff
+     * @private
+     */
+    firstLineNumber(ops, fromIndex, key) {
+        for (let i = fromIndex; i < ops.length; i++) {
+            if (ops[i][key] !== null) {
+                return ops[i][key];
+            }
+        }
+        // Hunk only contains lines from the other side - count what came before
+        let last = 0;
+        for (let i = fromIndex - 1; i >= 0; i--) {
+            if (ops[i][key] !== null) {
+                last = ops[i][key];
+                break;
+            }
+        }
+        return last + 1;
+    }
+}
+
+// Export both instance and class for testability
+const instance = new TextDiff();
+module.exports = instance;
+module.exports.TextDiff = TextDiff;
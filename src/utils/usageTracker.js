@@ -0,0 +1,257 @@
+/**
+ * AI Usage Tracker
+ * Records input/output tokens and estimated cost for every model call,
+ * attributes them to the session and app that caused the call, and
+ * enforces the daily budgets from the `ai.budgets` configuration.
+ * @module utils/usageTracker
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+const enhancedConfigManager = require('./enhancedConfigManager');
+
+class UsageTracker {
+    constructor() {
+        this.databaseManager = null;
+        // Carries {operation, sessionId, appId, usage} through the async work of one request
+        this.context = new AsyncLocalStorage();
+    }
+
+    /**
+     * Attach the database manager that owns the shared database
+     * @param {Object} databaseManager - DatabaseManager instance
+     */
+    initialize(databaseManager) {
+        this.databaseManager = databaseManager;
+    }
+
+    /**
+     * Wrap a provider client so every messages.create / messages.stream call is recorded
+     * @param {Object} client - Provider with an Anthropic-style messages API
+     * @param {string} providerName - Provider name stored with each record
+     * @returns {Object} Client with the same API
+     */
+    wrapClient(client, providerName = client.name) {
+        if (!client || !client.messages) {
+            return client;
+        }
+
+        const wrapped = Object.create(client);
+        wrapped.messages = {
+            create: async (params) => {
+                const message = await client.messages.create(params);
+                await this.recordMessage(message, params, providerName);
+                return message;
+            },
+            stream: (params) => {
+                const stream = client.messages.stream(params);
+                stream.finalMessage()
+                    .then(message => this.recordMessage(message, params, providerName))
+                    .catch(() => { /* Failed and cancelled streams have no usage to record */ });
+                return stream;
+            }
+        };
+        return wrapped;
+    }
+
+    /**
+     * Run work with usage attribution. Model calls made inside `fn` are recorded
+     * against the given operation, session and app.
+     * @param {Object} context
+     * @param {string} context.operation - e.g. 'generate-code'
+     * @param {string} context.sessionId - Optional session ID
+     * @param {string} context.appId - Optional app ID
+     * @param {Function} fn - Async work
+     * @returns {Promise<{result: any, usage: Object}>} The work's result and the usage it caused
+     */
+    async track(context, fn) {
+        const store = {
+            operation: context.operation,
+            sessionId: context.sessionId || null,
+            appId: context.appId || null,
+            usage: { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 }
+        };
+        const result = await this.context.run(store, fn);
+        return { result, usage: store.usage };
+    }
+
+    /**
+     * Price a call using the longest `ai.pricing` prefix that matches the model
+     * @param {string} model - Model name
+     * @param {number} inputTokens
+     * @param {number} outputTokens
+     * @returns {number} Estimated cost in USD
+     */
+    estimateCost(model, inputTokens, outputTokens) {
+        const pricing = enhancedConfigManager.get('ai.pricing') || {};
+        const prefix = Object.keys(pricing)
+            .filter(key => model && model.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (!prefix) {
+            return 0;
+        }
+
+        const price = pricing[prefix];
+        return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+    }
+
+    /**
+     * Record the usage reported on a provider message
+     * @private
+     */
+    async recordMessage(message, params, providerName) {
+        const usage = (message && message.usage) || {};
+        try {
+            await this.record({
+                provider: providerName,
+                model: (message && message.model) || params.model,
+                inputTokens: usage.input_tokens || 0,
+                outputTokens: usage.output_tokens || 0
+            });
+        } catch (error) {
+            // Accounting must never fail the call it is accounting for
+            logger.warn('Failed to record AI usage', { error: error.message });
+        }
+    }
+
+    /**
+     * Record one model call against the current tracking context
+     * @param {Object} entry - {provider, model, inputTokens, outputTokens}
+     * @returns {Promise<Object>} The stored record
+     */
+    async record(entry) {
+        const store = this.context.getStore();
+        const record = {
+            operation: store ? store.operation : 'other',
+            sessionId: store ? store.sessionId : null,
+            appId: store ? store.appId : null,
+            provider: entry.provider || null,
+            model: entry.model || null,
+            inputTokens: entry.inputTokens || 0,
+            outputTokens: entry.outputTokens || 0,
+            costUsd: this.estimateCost(entry.model, entry.inputTokens || 0, entry.outputTokens || 0)
+        };
+
+        if (store) {
+            store.usage.calls++;
+            store.usage.inputTokens += record.inputTokens;
+            store.usage.outputTokens += record.outputTokens;
+            store.usage.costUsd += record.costUsd;
+        }
+
+        if (this.databaseManager) {
+            await this.databaseManager.recordAIUsage(record);
+        }
+
+        logger.debug('AI usage recorded', {
+            operation: record.operation,
+            model: record.model,
+            inputTokens: record.inputTokens,
+            outputTokens: record.outputTokens
+        });
+        return record;
+    }
+
+    /**
+     * Configured daily limits
+     * @returns {{dailyCostUsd: number|null, dailyTokens: number|null}}
+     */
+    getBudgets() {
+        return {
+            dailyCostUsd: enhancedConfigManager.get('ai.budgets.dailyCostUsd') ?? null,
+            dailyTokens: enhancedConfigManager.get('ai.budgets.dailyTokens') ?? null
+        };
+    }
+
+    /**
+     * Update the daily limits and persist them to the user configuration
+     * @param {Object} budgets - {dailyCostUsd, dailyTokens}; 0 or null removes a limit
+     * @returns {Promise<{success: boolean, budgets?: Object, error?: string}>}
+     */
+    async setBudgets(budgets) {
+        for (const key of ['dailyCostUsd', 'dailyTokens']) {
+            if (budgets[key] === undefined) continue;
+            const value = budgets[key] ? budgets[key] : null;
+            const result = await enhancedConfigManager.set(`ai.budgets.${key}`, value, { persist: true });
+            if (!result.success) {
+                return { success: false, error: result.error };
+            }
+        }
+        return { success: true, budgets: this.getBudgets() };
+    }
+
+    /**
+     * Check today's spend against the daily budgets
+     * @returns {Promise<{allowed: boolean, reason?: string, today: Object, budgets: Object}>}
+     */
+    async checkBudget() {
+        const budgets = this.getBudgets();
+        const today = await this.getTodayTotals();
+        const tokens = today.inputTokens + today.outputTokens;
+
+        if (budgets.dailyCostUsd !== null && today.costUsd >= budgets.dailyCostUsd) {
+            return {
+                allowed: false,
+                reason: `Daily AI budget of $${budgets.dailyCostUsd.toFixed(2)} reached ($${today.costUsd.toFixed(2)} spent today)`,
+                today,
+                budgets
+            };
+        }
+        if (budgets.dailyTokens !== null && tokens >= budgets.dailyTokens) {
+            return {
+                allowed: false,
+                reason: `Daily AI token budget of ${budgets.dailyTokens.toLocaleString()} reached (${tokens.toLocaleString()} used today)`,
+                today,
+                budgets
+            };
+        }
+        return { allowed: true, today, budgets };
+    }
+
+    /**
+     * Totals for the current local day
+     * @returns {Promise<Object>} {calls, inputTokens, outputTokens, costUsd}
+     */
+    async getTodayTotals() {
+        const empty = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+        if (!this.databaseManager) {
+            return empty;
+        }
+        const result = await this.databaseManager.getAIUsageTotals();
+        return result.success ? result.totals : empty;
+    }
+
+    /**
+     * Usage report with budget status
+     * @param {Object} options - {days, limit}
+     * @returns {Promise<{success: boolean, report?: Object, error?: string}>}
+     */
+    async getReport(options = {}) {
+        if (!this.databaseManager) {
+            return { success: false, error: 'Usage tracking not initialized' };
+        }
+
+        const result = await this.databaseManager.getAIUsageReport(options);
+        if (!result.success) {
+            return result;
+        }
+
+        const budget = await this.checkBudget();
+        return {
+            success: true,
+            report: {
+                ...result.report,
+                today: budget.today,
+                budgets: budget.budgets,
+                budgetExceeded: !budget.allowed,
+                budgetReason: budget.reason || null
+            }
+        };
+    }
+}
+
+// Export singleton instance and class
+const instance = new UsageTracker();
+module.exports = instance;
+module.exports.UsageTracker = UsageTracker;
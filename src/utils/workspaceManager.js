@@ -0,0 +1,528 @@
+/**
+ * WorkspaceManager
+ * Named layouts of the multi-app runtime, kept in the shared database.
+ *
+ * A workspace records which registered apps are open and how they are laid
+ * out, but not their code: panels reference an app_id, and the current code is
+ * read from _app_registry when the workspace is opened.
+ *
+ *   { layout: 'grid'|'stack'|'tabs'|'dock', activeAppId,
+ *     panels: [{appId, size: {width, height}|null, detached?: true}], dock }
+ *
+ * Detached panels are apps popped out into their own windows. dock is the
+ * split-pane tree of the docked apps (see renderer/components/DockLayout.js),
+ * kept whatever the current layout so switching back to 'dock' restores it.
+ *
+ * One workspace is active at a time; the renderer restores it on startup.
+ * Exports are JSON files that carry the layout and the names of its apps.
+ *
+ * The bounds of an app's own window are kept per app rather than per
+ * workspace, so the app reopens where it was in any workspace.
+ */
+
+const logger = require('./logger');
+const { DATABASE } = require('../config/constants');
+
+const WORKSPACES = DATABASE.WORKSPACES;
+const LAYOUTS = ['grid', 'stack', 'tabs', 'dock'];
+const NAME_PATTERN = /^[a-zA-Z0-9 _.()-]{1,100}$/;
+
+class WorkspaceManager {
+    /**
+     * @param {DatabaseManager} databaseManager - Holds the shared database
+     */
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+    }
+
+    /**
+     * Shared database connection with the registry and workspace tables in place
+     * @private
+     */
+    async connect() {
+        const db = await this.databaseManager.connectDatabase(DATABASE.SHARED_DB_NAME);
+        await this.databaseManager.initializeSharedDatabase();
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS _workspaces (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                state_json TEXT NOT NULL,
+                is_active INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS _app_window_bounds (
+                app_id TEXT PRIMARY KEY,
+                bounds_json TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        return db;
+    }
+
+    /**
+     * Check a workspace state and drop anything it does not use
+     * @param {Object} state - {layout, activeAppId, panels, dock}
+     * @returns {{layout: string, activeAppId: string|null, panels: Array<{appId: string, size: Object|null}>, dock: Object|null}}
+     */
+    normalizeState(state) {
+        if (!state || typeof state !== 'object') {
+            throw new Error('Workspace state must be an object');
+        }
+        const layout = state.layout === undefined ? 'grid' : state.layout;
+        if (!LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown layout '${layout}'`);
+        }
+        const panels = Array.isArray(state.panels) ? state.panels : [];
+        if (panels.length > WORKSPACES.MAX_PANELS) {
+            throw new Error(`A workspace can hold at most ${WORKSPACES.MAX_PANELS} apps`);
+        }
+
+        const seen = new Set();
+        const normalized = panels.map(panel => {
+            if (!panel || typeof panel.appId !== 'string' || !/^[a-zA-Z0-9_-]{1,100}$/.test(panel.appId)) {
+                throw new Error('Every panel needs a valid appId');
+            }
+            if (seen.has(panel.appId)) {
+                throw new Error(`App '${panel.appId}' appears twice in the workspace`);
+            }
+            seen.add(panel.appId);
+
+            const size = panel.size && typeof panel.size === 'object' ? {
+                width: this.normalizeDimension(panel.size.width),
+                height: this.normalizeDimension(panel.size.height)
+            } : null;
+            return {
+                appId: panel.appId,
+                size: size && (size.width || size.height) ? size : null,
+                ...(panel.detached === true ? { detached: true } : {})
+            };
+        });
+
+        const activeAppId = seen.has(state.activeAppId) ? state.activeAppId : null;
+        const docked = new Set(normalized.filter(panel => !panel.detached).map(panel => panel.appId));
+        return { layout, activeAppId, panels: normalized, dock: this.normalizeDock(state.dock, docked, 0) };
+    }
+
+    /**
+     * Check a dock tree, keeping panels of docked apps (each once) and splits
+     * that still divide at least two of them
+     * @param {Object} node - {type: 'panel', appId} or {type: 'split', direction, sizes, children}
+     * @param {Set<string>} appIds - Docked apps not placed yet
+     * @param {number} depth
+     * @returns {Object|null}
+     * @private
+     */
+    normalizeDock(node, appIds, depth) {
+        if (!node || typeof node !== 'object' || depth > WORKSPACES.MAX_DOCK_DEPTH) {
+            return null;
+        }
+
+        if (node.type === 'panel') {
+            if (!appIds.has(node.appId)) {
+                return null;
+            }
+            appIds.delete(node.appId);
+            return { type: 'panel', appId: node.appId };
+        }
+
+        if (node.type !== 'split' || !Array.isArray(node.children) || !['row', 'column'].includes(node.direction)) {
+            return null;
+        }
+
+        const children = [];
+        const sizes = [];
+        node.children.forEach((child, index) => {
+            const normalized = this.normalizeDock(child, appIds, depth + 1);
+            if (normalized) {
+                const size = Array.isArray(node.sizes) ? node.sizes[index] : null;
+                children.push(normalized);
+                sizes.push(Number.isFinite(size) && size > 0 ? size : 1 / node.children.length);
+            }
+        });
+
+        if (children.length <= 1) {
+            return children[0] || null;
+        }
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        return { type: 'split', direction: node.direction, sizes: sizes.map(size => size / total), children };
+    }
+
+    /**
+     * @private
+     */
+    normalizeDimension(value) {
+        return Number.isFinite(value) && value > 0 ? Math.round(Math.min(value, 10000)) : null;
+    }
+
+    /**
+     * @private
+     */
+    validateName(name) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim())) {
+            throw new Error('Workspace names may only contain letters, digits, spaces and _ . ( ) -');
+        }
+        return name.trim();
+    }
+
+    /**
+     * @private
+     */
+    findWorkspace(db, name) {
+        return db.prepare('SELECT * FROM _workspaces WHERE name = ?').get(name);
+    }
+
+    /**
+     * @private
+     */
+    summarize(row) {
+        const state = JSON.parse(row.state_json);
+        return {
+            id: row.id,
+            name: row.name,
+            active: row.is_active === 1,
+            layout: state.layout,
+            appIds: state.panels.map(panel => panel.appId),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * All workspaces, by name
+     * @returns {Promise<{success: boolean, workspaces?: Object[], error?: string}>}
+     */
+    async listWorkspaces() {
+        try {
+            const db = await this.connect();
+            const rows = db.prepare('SELECT * FROM _workspaces ORDER BY name COLLATE NOCASE').all();
+            return { success: true, workspaces: rows.map(row => this.summarize(row)) };
+        } catch (error) {
+            logger.error('Failed to list workspaces', { error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * A workspace with the registry entries of its apps, ready to open.
+     * Apps that are no longer registered are listed in `missing` and left out of the panels.
+     * @param {string} name - Workspace name
+     * @returns {Promise<{success: boolean, workspace?: Object, error?: string}>}
+     *   workspace: {name, active, layout, activeAppId, panels: [{appId, size, appName, description, code}], missing}
+     */
+    async getWorkspace(name) {
+        try {
+            const db = await this.connect();
+            const row = this.findWorkspace(db, name);
+            if (!row) {
+                return { success: false, error: `Workspace '${name}' not found` };
+            }
+
+            const state = JSON.parse(row.state_json);
+            const findApp = db.prepare('SELECT app_name, description, generated_code FROM _app_registry WHERE app_id = ?');
+            const panels = [];
+            const missing = [];
+            for (const panel of state.panels) {
+                const app = findApp.get(panel.appId);
+                if (!app) {
+                    missing.push(panel.appId);
+                    continue;
+                }
+                panels.push({
+                    ...panel,
+                    appName: app.app_name,
+                    description: app.description,
+                    code: app.generated_code
+                });
+            }
+
+            return {
+                success: true,
+                workspace: {
+                    name: row.name,
+                    active: row.is_active === 1,
+                    layout: state.layout,
+                    activeAppId: missing.includes(state.activeAppId) ? null : state.activeAppId,
+                    panels,
+                    dock: state.dock || null,
+                    missing
+                }
+            };
+        } catch (error) {
+            logger.error('Failed to get workspace', { name, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The active workspace, creating an empty default one the first time
+     * @returns {Promise<{success: boolean, workspace?: Object, error?: string}>}
+     */
+    async getActiveWorkspace() {
+        try {
+            const db = await this.connect();
+            let row = db.prepare('SELECT name FROM _workspaces WHERE is_active = 1').get() ||
+                db.prepare('SELECT name FROM _workspaces ORDER BY updated_at DESC, id DESC LIMIT 1').get();
+
+            if (!row) {
+                const created = await this.saveWorkspace(WORKSPACES.DEFAULT_NAME, { layout: 'grid', panels: [] });
+                if (!created.success) {
+                    return created;
+                }
+                row = { name: WORKSPACES.DEFAULT_NAME };
+            }
+
+            await this.activateWorkspace(row.name);
+            return await this.getWorkspace(row.name);
+        } catch (error) {
+            logger.error('Failed to get active workspace', { error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Create or overwrite a workspace
+     * @param {string} name - Workspace name
+     * @param {Object} state - {layout, activeAppId, panels: [{appId, size, detached}], dock}
+     * @returns {Promise<{success: boolean, workspace?: Object, error?: string}>} workspace as listWorkspaces returns it
+     */
+    async saveWorkspace(name, state) {
+        try {
+            const workspaceName = this.validateName(name);
+            const normalized = this.normalizeState(state);
+            const db = await this.connect();
+
+            if (!this.findWorkspace(db, workspaceName)) {
+                const { count } = db.prepare('SELECT COUNT(*) AS count FROM _workspaces').get();
+                if (count >= WORKSPACES.MAX_WORKSPACES) {
+                    return { success: false, error: `Maximum number of workspaces (${WORKSPACES.MAX_WORKSPACES}) reached` };
+                }
+            }
+
+            db.prepare(`
+                INSERT INTO _workspaces (name, state_json) VALUES (?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    state_json = excluded.state_json,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(workspaceName, JSON.stringify(normalized));
+
+            return { success: true, workspace: this.summarize(this.findWorkspace(db, workspaceName)) };
+        } catch (error) {
+            logger.error('Failed to save workspace', { name, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Make a workspace the one restored on startup
+     * @param {string} name - Workspace name
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async activateWorkspace(name) {
+        try {
+            const db = await this.connect();
+            if (!this.findWorkspace(db, name)) {
+                return { success: false, error: `Workspace '${name}' not found` };
+            }
+
+            db.transaction(() => {
+                db.prepare('UPDATE _workspaces SET is_active = 0 WHERE is_active = 1').run();
+                db.prepare('UPDATE _workspaces SET is_active = 1 WHERE name = ?').run(name);
+            })();
+            return { success: true };
+        } catch (error) {
+            logger.error('Failed to activate workspace', { name, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Copy a workspace under a new name
+     * @param {string} name - Workspace to copy
+     * @param {string} newName - Name of the copy
+     * @returns {Promise<{success: boolean, workspace?: Object, error?: string}>}
+     */
+    async duplicateWorkspace(name, newName) {
+        try {
+            const db = await this.connect();
+            const row = this.findWorkspace(db, name);
+            if (!row) {
+                return { success: false, error: `Workspace '${name}' not found` };
+            }
+            if (this.findWorkspace(db, this.validateName(newName))) {
+                return { success: false, error: `A workspace named '${newName.trim()}' already exists` };
+            }
+
+            return await this.saveWorkspace(newName, JSON.parse(row.state_json));
+        } catch (error) {
+            logger.error('Failed to duplicate workspace', { name, newName, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async renameWorkspace(name, newName) {
+        try {
+            const workspaceName = this.validateName(newName);
+            const db = await this.connect();
+            if (!this.findWorkspace(db, name)) {
+                return { success: false, error: `Workspace '${name}' not found` };
+            }
+            if (name !== workspaceName && this.findWorkspace(db, workspaceName)) {
+                return { success: false, error: `A workspace named '${workspaceName}' already exists` };
+            }
+
+            db.prepare('UPDATE _workspaces SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?').run(workspaceName, name);
+            return { success: true, name: workspaceName };
+        } catch (error) {
+            logger.error('Failed to rename workspace', { name, newName, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a workspace. The apps it referenced stay registered.
+     * @param {string} name - Workspace name
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async deleteWorkspace(name) {
+        try {
+            const db = await this.connect();
+            const result = db.prepare('DELETE FROM _workspaces WHERE name = ?').run(name);
+            if (result.changes === 0) {
+                return { success: false, error: `Workspace '${name}' not found` };
+            }
+            return { success: true };
+        } catch (error) {
+            logger.error('Failed to delete workspace', { name, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Portable description of a workspace: its layout and the names of its apps
+     * @param {string} name - Workspace name
+     * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+     */
+    async exportWorkspace(name) {
+        try {
+            const db = await this.connect();
+            const row = this.findWorkspace(db, name);
+            if (!row) {
+                return { success: false, error: `Workspace '${name}' not found` };
+            }
+
+            const state = JSON.parse(row.state_json);
+            const findApp = db.prepare('SELECT app_name, description FROM _app_registry WHERE app_id = ?');
+            const apps = state.panels.map(panel => {
+                const app = findApp.get(panel.appId) || {};
+                return { appId: panel.appId, appName: app.app_name || null, description: app.description || null };
+            });
+
+            return {
+                success: true,
+                data: {
+                    type: 'workspace',
+                    version: WORKSPACES.EXPORT_VERSION,
+                    name: row.name,
+                    exportedAt: new Date().toISOString(),
+                    state,
+                    apps
+                }
+            };
+        } catch (error) {
+            logger.error('Failed to export workspace', { name, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add an exported workspace. The name gets a numeric suffix when it is taken.
+     * @param {Object} data - As exportWorkspace returns it
+     * @returns {Promise<{success: boolean, workspace?: Object, missing?: string[], error?: string}>}
+     *   missing lists apps of the export that are not registered here
+     */
+    async importWorkspace(data) {
+        try {
+            if (!data || data.type !== 'workspace' || data.version !== WORKSPACES.EXPORT_VERSION) {
+                return { success: false, error: 'Not a workspace export' };
+            }
+
+            const baseName = this.validateName(data.name);
+            const state = this.normalizeState(data.state);
+            const db = await this.connect();
+
+            let name = baseName;
+            for (let suffix = 2; this.findWorkspace(db, name); suffix++) {
+                name = `${baseName} (${suffix})`;
+            }
+
+            const findApp = db.prepare('SELECT 1 FROM _app_registry WHERE app_id = ?');
+            const missing = state.panels.map(panel => panel.appId).filter(appId => !findApp.get(appId));
+
+            const result = await this.saveWorkspace(name, state);
+            return result.success ? { ...result, missing } : result;
+        } catch (error) {
+            logger.error('Failed to import workspace', { error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Where an app's window was when it last closed
+     * @param {string} appId
+     * @returns {Promise<{success: boolean, bounds?: Object|null, error?: string}>}
+     *   bounds is {x, y, width, height, maximized}, or null when the app never had a window
+     */
+    async getAppWindowBounds(appId) {
+        try {
+            const db = await this.connect();
+            const row = db.prepare('SELECT bounds_json FROM _app_window_bounds WHERE app_id = ?').get(appId);
+            return { success: true, bounds: row ? JSON.parse(row.bounds_json) : null };
+        } catch (error) {
+            logger.error('Failed to get app window bounds', { appId, error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remember where an app's window is
+     * @param {string} appId
+     * @param {{x: number, y: number, width: number, height: number, maximized: boolean}} bounds - Screen pixels;
+     *   the size before maximizing when maximized
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async saveAppWindowBounds(appId, bounds) {
+        try {
+            if (!bounds || ![bounds.x, bounds.y].every(Number.isFinite) ||
+                !this.normalizeDimension(bounds.width) || !this.normalizeDimension(bounds.height)) {
+                throw new Error('Window bounds need a position and a size');
+            }
+            const normalized = {
+                x: Math.round(bounds.x),
+                y: Math.round(bounds.y),
+                width: this.normalizeDimension(bounds.width),
+                height: this.normalizeDimension(bounds.height),
+                maximized: bounds.maximized === true
+            };
+
+            const db = await this.connect();
+            db.prepare(`
+                INSERT INTO _app_window_bounds (app_id, bounds_json) VALUES (?, ?)
+                ON CONFLICT(app_id) DO UPDATE SET
+                    bounds_json = excluded.bounds_json,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(appId, JSON.stringify(normalized));
+            return { success: true };
+        } catch (error) {
+            logger.error('Failed to save app window bounds', { appId, error });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = WorkspaceManager;
@@ -20,7 +20,9 @@ describe('API Integration End-to-End Tests', () => {
             args: [path.join(__dirname, '..', '..', 'src', 'main.js')],
             env: {
                 NODE_ENV: 'test',
-                USE_MOCK_API: 'true'
+                USE_MOCK_API: 'true',
+                // Replay canned responses from tests/fixtures/ai instead of calling a real model
+                APP_AI_PROVIDER: 'fixture'
             }
         });
 
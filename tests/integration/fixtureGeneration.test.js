@@ -0,0 +1,67 @@
+const path = require('path');
+const CodeGenerationModule = require('../../src/modules/CodeGenerationModule');
+const AISchemaGenerator = require('../../src/utils/aiSchemaGenerator');
+const systemMonitor = require('../../src/utils/systemMonitor');
+const cacheManager = require('../../src/utils/advancedCache');
+const configManager = require('../../src/utils/configManager');
+const defaultConfig = require('../../src/config/default.json');
+const { FixtureReplayProvider } = require('../../src/providers');
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'ai');
+
+describe('Generation pipeline with the fixture provider', () => {
+    let provider;
+    let module;
+
+    beforeEach(() => {
+        jest.spyOn(configManager, 'get').mockImplementation((key) => defaultConfig[key]);
+        jest.spyOn(systemMonitor, 'checkResourceLimits').mockResolvedValue({ safe: true });
+        cacheManager.clear();
+        provider = new FixtureReplayProvider({ path: FIXTURE_PATH, chunkSize: 128 });
+        module = new CodeGenerationModule(provider);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should generate code offline', async () => {
+        const result = await module.generateCode('Build me a todo list');
+
+        expect(result.success).toBe(true);
+        expect(result.data.code).toContain("createTable('todos'");
+        expect(result.data.description).toMatch(/todo/i);
+    });
+
+    test('should stream code offline', async () => {
+        const events = [];
+        const result = await module.generateCodeStream('Build me a todo list', 'stream_fixture', (e) => events.push(e.type));
+
+        expect(result.success).toBe(true);
+        expect(events).toContain('token');
+        expect(events[events.length - 1]).toBe('complete');
+    });
+
+    test('should refine code offline', async () => {
+        const first = await module.generateCode('Build me a todo list');
+        const refined = await module.refineCode({
+            originalPrompt: 'Build me a todo list',
+            previousCode: first.data.code,
+            previousPackages: first.data.packages,
+            previousDescription: first.data.description,
+            changeRequest: 'Add a delete button to each item'
+        });
+
+        expect(refined.success).toBe(true);
+        expect(refined.data.code).toContain('deleteData');
+        expect(refined.data.code).not.toBe(first.data.code);
+    });
+
+    test('should generate database schemas offline', async () => {
+        const generator = new AISchemaGenerator(provider);
+        const result = await generator.generateSchema('A store with products');
+
+        expect(result.success).toBe(true);
+        expect(Object.keys(result.schema.tables)).toEqual(['products']);
+    });
+});
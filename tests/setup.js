@@ -77,4 +77,12 @@ global.console = {
   info: jest.fn(),
   warn: jest.fn(),
   error: jest.fn()
-};
\ No newline at end of file
+};
+// better-sqlite3 hands its SqliteError class to the native addon on first use, and the addon is
+// shared by every suite in the process. Reset it so each suite's errors are Errors of its own
+// realm, whichever suite opened a database first (toThrow() checks instanceof Error).
+const sqliteAddon = require('bindings')({
+  bindings: 'better_sqlite3.node',
+  module_root: path.dirname(require.resolve('better-sqlite3-multiple-ciphers/package.json'))
+});
+sqliteAddon.isInitialized = false;
@@ -0,0 +1,185 @@
+const path = require('path');
+const nock = require('nock');
+const providerRegistry = require('../../src/providers');
+const {
+    ProviderRegistry,
+    BaseProvider,
+    FixtureReplayProvider,
+    OpenAICompatibleProvider
+} = require('../../src/providers');
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'ai');
+
+const request = (content, extra = {}) => ({
+    model: 'claude-test',
+    max_tokens: 100,
+    system: 'You are a code generator.',
+    messages: [{ role: 'user', content }],
+    ...extra
+});
+
+describe('AI Providers', () => {
+    describe('ProviderRegistry', () => {
+        test('should register the built-in providers', () => {
+            const names = providerRegistry.list().map(p => p.name);
+            expect(names).toEqual(expect.arrayContaining(['anthropic', 'openai', 'fixture']));
+            expect(providerRegistry.requiresApiKey('anthropic')).toBe(true);
+            expect(providerRegistry.requiresApiKey('fixture')).toBe(false);
+        });
+
+        test('should default to the anthropic provider', () => {
+            expect(providerRegistry.getActiveName()).toBe('anthropic');
+        });
+
+        test('should create custom providers by name', () => {
+            const registry = new ProviderRegistry();
+            class EchoProvider extends BaseProvider {
+                async createMessage(params) {
+                    return BaseProvider.toMessage(params.messages[0].content);
+                }
+            }
+            registry.register('echo', (options) => new EchoProvider(options));
+
+            expect(registry.create('echo')).toBeInstanceOf(EchoProvider);
+            expect(() => registry.create('missing')).toThrow(/Unknown AI provider 'missing'/);
+        });
+    });
+
+    describe('FixtureReplayProvider', () => {
+        let provider;
+
+        beforeEach(() => {
+            provider = new FixtureReplayProvider({ path: FIXTURE_PATH });
+        });
+
+        test('should replay the fixture matching the prompt', async () => {
+            const message = await provider.messages.create(request('Create a todo list app'));
+            const data = JSON.parse(message.content[0].text);
+
+            expect(message.model).toBe('fixture:code-todo-app');
+            expect(data.code).toContain("createTable('todos'");
+            expect(message.usage).toEqual({ input_tokens: 1800, output_tokens: 700 });
+        });
+
+        test('should be deterministic for the same request', async () => {
+            const first = await provider.messages.create(request('Create a todo list app'));
+            provider.reset();
+            const second = await provider.messages.create(request('Create a todo list app'));
+            expect(second).toEqual(first);
+        });
+
+        test('should fall back to the default fixture', async () => {
+            const message = await provider.messages.create(request('Something unrelated'));
+            expect(message.model).toBe('fixture:default');
+        });
+
+        test('should fail clearly when no fixture matches and there is no default', async () => {
+            const strict = new FixtureReplayProvider({
+                fixtures: [{ name: 'only', match: { contains: 'weather' }, response: 'x' }]
+            });
+            await expect(strict.messages.create(request('todo'))).rejects.toMatchObject({ code: 'FIXTURE_NOT_FOUND' });
+        });
+
+        test('should play response sequences and simulated errors', async () => {
+            const sequenced = new FixtureReplayProvider({
+                fixtures: [
+                    { name: 'flaky', match: { contains: 'flaky' }, responses: ['first', 'second'] },
+                    { name: 'down', match: { regex: '^overload' }, error: { status: 529, message: 'Overloaded' } }
+                ]
+            });
+
+            const texts = [];
+            for (let i = 0; i < 3; i++) {
+                texts.push(BaseProvider.textOf(await sequenced.messages.create(request('flaky'))));
+            }
+            expect(texts).toEqual(['first', 'second', 'second']);
+            await expect(sequenced.messages.create(request('overloaded'))).rejects.toMatchObject({ status: 529 });
+        });
+
+        test('should stream the fixture text in chunks', async () => {
+            const streaming = new FixtureReplayProvider({ path: FIXTURE_PATH, chunkSize: 50 });
+            const stream = streaming.messages.stream(request('Create a todo list app'));
+            const chunks = [];
+            stream.on('text', (text) => chunks.push(text));
+
+            const message = await stream.finalMessage();
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(chunks.join('')).toBe(message.content[0].text);
+        });
+
+        test('should stop streaming when aborted', async () => {
+            const streaming = new FixtureReplayProvider({ path: FIXTURE_PATH, chunkSize: 10 });
+            const stream = streaming.messages.stream(request('Create a todo list app'));
+            stream.on('text', () => stream.abort());
+
+            await expect(stream.finalMessage()).rejects.toMatchObject({ name: 'AbortError' });
+            expect(stream.aborted).toBe(true);
+        });
+    });
+
+    describe('OpenAICompatibleProvider', () => {
+        const endpoint = 'http://localhost:11434/v1';
+
+        afterEach(() => {
+            nock.cleanAll();
+        });
+
+        test('should translate requests and responses', async () => {
+            let body;
+            nock('http://localhost:11434')
+                .post('/v1/chat/completions', (b) => { body = b; return true; })
+                .matchHeader('authorization', 'Bearer local-key')
+                .reply(200, {
+                    id: 'chatcmpl-1',
+                    model: 'llama3.1',
+                    choices: [{ message: { role: 'assistant', content: '{"code":"x"}' }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 12, completion_tokens: 5 }
+                });
+
+            const provider = new OpenAICompatibleProvider({ endpoint, model: 'llama3.1', apiKey: 'local-key', maxTokens: 50 });
+            const message = await provider.messages.create(request('hello'));
+
+            expect(body).toMatchObject({
+                model: 'llama3.1',
+                max_tokens: 50,
+                stream: false,
+                messages: [
+                    { role: 'system', content: 'You are a code generator.' },
+                    { role: 'user', content: 'hello' }
+                ]
+            });
+            expect(message.content[0].text).toBe('{"code":"x"}');
+            expect(message.usage).toEqual({ input_tokens: 12, output_tokens: 5 });
+            expect(message.stop_reason).toBe('end_turn');
+        });
+
+        test('should surface HTTP errors with a status', async () => {
+            nock('http://localhost:11434').post('/v1/chat/completions').reply(503, 'busy');
+            const provider = new OpenAICompatibleProvider({ endpoint });
+
+            await expect(provider.messages.create(request('hello'))).rejects.toMatchObject({ status: 503 });
+        });
+
+        test('should parse server-sent event streams', async () => {
+            const events = [
+                { choices: [{ delta: { content: '{"code":' } }] },
+                { choices: [{ delta: { content: '"abc"}' }, finish_reason: 'stop' }] },
+                { choices: [], usage: { prompt_tokens: 3, completion_tokens: 4 } }
+            ].map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+            nock('http://localhost:11434')
+                .post('/v1/chat/completions')
+                .reply(200, events, { 'Content-Type': 'text/event-stream' });
+
+            const provider = new OpenAICompatibleProvider({ endpoint, model: 'llama3.1' });
+            const stream = provider.messages.stream(request('hello'));
+            const chunks = [];
+            stream.on('text', (text) => chunks.push(text));
+            const message = await stream.finalMessage();
+
+            expect(chunks).toEqual(['{"code":', '"abc"}']);
+            expect(message.content[0].text).toBe('{"code":"abc"}');
+            expect(message.usage).toEqual({ input_tokens: 3, output_tokens: 4 });
+        });
+    });
+});
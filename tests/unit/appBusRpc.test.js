@@ -0,0 +1,114 @@
+// AppManager is a renderer script; its script-tag neighbours are globals there
+global.DockLayout = require('../../src/renderer/components/DockLayout');
+global.AppPanel = require('../../src/renderer/components/AppPanel');
+const AppManager = require('../../src/renderer/components/AppManager');
+
+describe('appBus calls through AppManager', () => {
+    let manager;
+
+    const addPanel = (appId, exposedMethods = []) => {
+        const panel = {
+            id: `panel-${appId}`,
+            appId,
+            appName: `App ${appId}`,
+            exposedMethods,
+            deliverCall: jest.fn(),
+            deliverResult: jest.fn(),
+            sendMessage: jest.fn()
+        };
+        manager.panels.set(panel.id, panel);
+        return panel;
+    };
+
+    const call = (sourceAppId, targetAppId, method, callId, params = {}) => ({
+        type: 'app-bus-call', sourceAppId, targetAppId, method, params, callId, timeout: 1000
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        manager = new AppManager();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('passes a call to the target and its result back to the caller', () => {
+        const caller = addPanel('orders');
+        const target = addPanel('customers', ['getSelectedCustomer']);
+
+        manager.handlePanelMessage(call('orders', 'customers', 'getSelectedCustomer', 'orders:1', { full: true }));
+        expect(target.deliverCall).toHaveBeenCalledWith({
+            callId: 'orders:1', sourceAppId: 'orders', method: 'getSelectedCustomer', params: { full: true }
+        });
+
+        // Only the called app may answer
+        manager.handlePanelMessage({ type: 'app-bus-return', sourceAppId: 'orders', callId: 'orders:1', result: 'forged' });
+        expect(caller.deliverResult).not.toHaveBeenCalled();
+
+        manager.handlePanelMessage({ type: 'app-bus-return', sourceAppId: 'customers', callId: 'orders:1', result: { id: 7 } });
+        expect(caller.deliverResult).toHaveBeenCalledWith({ callId: 'orders:1', result: { id: 7 } });
+        expect(manager.pendingCalls.size).toBe(0);
+    });
+
+    test('fails calls to apps that are not running or do not expose the method', () => {
+        const caller = addPanel('orders');
+        const target = addPanel('customers', ['getSelectedCustomer']);
+
+        manager.handlePanelMessage(call('orders', 'invoices', 'getTotal', 'orders:1'));
+        manager.handlePanelMessage(call('orders', 'customers', 'deleteAll', 'orders:2'));
+
+        expect(target.deliverCall).not.toHaveBeenCalled();
+        expect(caller.deliverResult).toHaveBeenCalledWith({ callId: 'orders:1', error: "App 'invoices' is not running" });
+        expect(caller.deliverResult).toHaveBeenCalledWith({ callId: 'orders:2', error: "App 'customers' does not expose 'deleteAll'" });
+    });
+
+    test('fails pending calls when the called app closes and forgets them after the timeout', () => {
+        const caller = addPanel('orders');
+        const target = addPanel('customers', ['getSelectedCustomer']);
+        addPanel('reports', ['getTotals']);
+
+        manager.handlePanelMessage(call('orders', 'customers', 'getSelectedCustomer', 'orders:1'));
+        manager.handlePanelMessage(call('orders', 'reports', 'getTotals', 'orders:2'));
+        manager.failPendingCalls(target.appId);
+
+        expect(caller.deliverResult).toHaveBeenCalledWith({ callId: 'orders:1', error: "App 'customers' closed before answering" });
+        expect(manager.pendingCalls.has('orders:2')).toBe(true);
+
+        jest.advanceTimersByTime(1000);
+        expect(manager.pendingCalls.size).toBe(0);
+    });
+
+    test('lists the other running apps and their methods for discovery', () => {
+        const caller = addPanel('orders', ['getOrder']);
+        addPanel('customers', ['getSelectedCustomer']);
+        manager.detachedApps.set('reports', { appId: 'reports', appName: 'Reports', windowId: 3 });
+        manager.handleAppWindowMessage({ type: 'app-bus-expose', sourceAppId: 'reports', methods: ['getTotals'] });
+
+        manager.handlePanelMessage({ type: 'app-bus-discover', sourceAppId: 'orders', callId: 'orders:1' });
+
+        expect(caller.deliverResult).toHaveBeenCalledWith({
+            callId: 'orders:1',
+            result: [
+                { appId: 'customers', appName: 'App customers', methods: ['getSelectedCustomer'], detached: false },
+                { appId: 'reports', appName: 'Reports', methods: ['getTotals'], detached: true }
+            ]
+        });
+    });
+
+    test('sends calls for apps in their own windows through the window host', async () => {
+        addPanel('orders');
+        manager.windowHost = { appBusSend: jest.fn(async () => ({ success: true, delivered: 1 })) };
+        manager.detachedApps.set('reports', { appId: 'reports', appName: 'Reports', windowId: 3, methods: ['getTotals'] });
+
+        manager.handlePanelMessage(call('orders', 'reports', 'getTotals', 'orders:1'));
+        expect(manager.windowHost.appBusSend).toHaveBeenCalledWith({
+            type: 'app-bus-call', sourceAppId: 'orders', targetAppId: 'reports',
+            callId: 'orders:1', method: 'getTotals', params: {}, timeout: 1000
+        });
+
+        // The reports window answers a docked caller through the main window
+        manager.handleAppWindowMessage({ type: 'app-bus-return', sourceAppId: 'reports', callId: 'orders:1', result: 42 });
+        expect(manager.findPanelsByAppId('orders')[0].deliverResult).toHaveBeenCalledWith({ callId: 'orders:1', result: 42 });
+    });
+});
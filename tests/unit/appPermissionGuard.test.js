@@ -0,0 +1,129 @@
+const AppPermissionGuard = require('../../src/renderer/components/AppPermissionGuard');
+
+describe('AppPermissionGuard', () => {
+    const app = { appId: 'app_notes', appName: 'Notes' };
+    let decisions;
+    let api;
+    let prompt;
+    let guard;
+
+    beforeEach(() => {
+        // Tables owned by another app need a stored decision
+        decisions = new Map();
+        const owners = { tasks: 'app_tasks', notes: 'app_notes', shared_tags: null };
+        api = {
+            checkAppTableAccess: jest.fn(async (appId, table, access) => {
+                const owner = owners[table] ?? null;
+                if (!owner || owner === appId) return { success: true, allowed: true, owner };
+                const decision = decisions.get(`${appId}:${table}`);
+                return decision ? { success: true, allowed: decision[access], owner } : { success: true, allowed: false, prompt: true, owner };
+            }),
+            setAppTablePermission: jest.fn(async (appId, table, permissions) => {
+                decisions.set(`${appId}:${table}`, permissions);
+                return { success: true };
+            }),
+            claimAppTable: jest.fn(async () => ({ success: true })),
+            reportAppAccessDenied: jest.fn(async () => ({ success: true }))
+        };
+        prompt = jest.fn(async () => ({ read: true, write: false, schema: false }));
+        guard = new AppPermissionGuard(api, { prompt });
+    });
+
+    test('should work out the tables a request touches', () => {
+        expect(AppPermissionGuard.requiredAccess('queryData', { tableName: 'tasks' })).toEqual([{ table: 'tasks', access: 'read' }]);
+        expect(AppPermissionGuard.requiredAccess('createTable', { tableName: 'tasks' })).toEqual([{ table: 'tasks', access: 'schema' }]);
+        expect(AppPermissionGuard.requiredAccess('transaction', {
+            operations: [{ op: 'insert', table: 'orders' }, { op: 'delete', table: 'stock', id: 1 }]
+        })).toEqual([{ table: 'orders', access: 'write' }, { table: 'stock', access: 'write' }]);
+        expect(AppPermissionGuard.requiredAccess('listTables', {})).toEqual([]);
+
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM tasks t JOIN notes n ON n.task_id = t.id')).toEqual([
+            { table: 'tasks', access: 'read' }, { table: 'notes', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess('INSERT INTO archive SELECT * FROM tasks')).toEqual([
+            { table: 'archive', access: 'write' }, { table: 'tasks', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess('DELETE FROM tasks WHERE id IN (SELECT task_id FROM notes)')).toEqual([
+            { table: 'tasks', access: 'write' }, { table: 'notes', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess('UPDATE "tasks" SET done = 1')).toEqual([{ table: 'tasks', access: 'write' }]);
+        expect(AppPermissionGuard.sqlAccess('CREATE INDEX idx_due ON tasks(due)')).toEqual([{ table: 'tasks', access: 'schema' }]);
+        expect(AppPermissionGuard.sqlAccess('DROP TABLE IF EXISTS tasks')).toEqual([{ table: 'tasks', access: 'schema' }]);
+    });
+
+    test('should find every table of comma joins, quoted names and subqueries', () => {
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM notes, secrets')).toEqual([
+            { table: 'notes', access: 'read' }, { table: 'secrets', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM notes n JOIN tags t ON t.note_id = n.id, main.secrets s WHERE s.id IN (1, 2)')).toEqual([
+            { table: 'notes', access: 'read' }, { table: 'secrets', access: 'read' }, { table: 'tags', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM (notes, secrets)')).toEqual([
+            { table: 'notes', access: 'read' }, { table: 'secrets', access: 'read' }
+        ]);
+
+        expect(AppPermissionGuard.sqlAccess('DELETE FROM "my notes" WHERE id = 1')).toEqual([{ table: 'my notes', access: 'write' }]);
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM [task list], `old notes`, "say ""hi"""')).toEqual([
+            { table: 'task list', access: 'read' }, { table: 'old notes', access: 'read' }, { table: 'say "hi"', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess("SELECT 'FROM secrets' AS label FROM notes -- FROM secrets")).toEqual([{ table: 'notes', access: 'read' }]);
+
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM (SELECT id FROM notes, secrets) x, tags WHERE x.id = tags.id')).toEqual([
+            { table: 'tags', access: 'read' }, { table: 'notes', access: 'read' }, { table: 'secrets', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess('WITH recent AS (SELECT * FROM notes) DELETE FROM secrets WHERE id IN (SELECT id FROM recent)')).toEqual([
+            { table: 'notes', access: 'read' }, { table: 'secrets', access: 'write' }, { table: 'recent', access: 'read' }
+        ]);
+        expect(AppPermissionGuard.sqlAccess('INSERT INTO notes (id) VALUES (1) ON CONFLICT(id) DO UPDATE SET id = 2')).toEqual([
+            { table: 'notes', access: 'write' }
+        ]);
+
+        // Tables that can't be told apart reject the statement
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM')).toBeNull();
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM notes, WHERE 1')).toBeNull();
+        expect(AppPermissionGuard.sqlAccess('SELECT * FROM "notes')).toBeNull();
+    });
+
+    test('should refuse a query whose tables it cannot work out', async () => {
+        await expect(guard.authorize(app, 'executeQuery', { sql: 'SELECT * FROM notes, ?' }))
+            .rejects.toThrow("Permission denied: could not tell which tables the query of app 'Notes' uses");
+        await expect(guard.authorize(app, 'executeQuery', { sql: 'SELECT * FROM notes, tasks' })).resolves.toBeUndefined();
+        expect(prompt).toHaveBeenCalledWith(expect.objectContaining({ tableName: 'tasks', access: 'read' }));
+    });
+
+    test('should allow own and unowned tables without asking', async () => {
+        await guard.authorize(app, 'updateData', { tableName: 'notes', id: 1 });
+        await guard.authorize(app, 'executeQuery', { sql: 'DELETE FROM shared_tags' });
+        await guard.authorize(app, 'queryData', { tableName: 'notes' });
+
+        expect(prompt).not.toHaveBeenCalled();
+        // Granted accesses are cached for the session
+        expect(api.checkAppTableAccess).toHaveBeenCalledTimes(3);
+    });
+
+    test('should ask once for a table of another app and enforce the answer', async () => {
+        await Promise.all([
+            guard.authorize(app, 'queryData', { tableName: 'tasks' }),
+            guard.authorize(app, 'aggregate', { tableName: 'tasks' })
+        ]);
+        expect(prompt).toHaveBeenCalledTimes(1);
+        expect(prompt).toHaveBeenCalledWith({ appId: 'app_notes', appName: 'Notes', tableName: 'tasks', owner: 'app_tasks', access: 'read' });
+        expect(api.setAppTablePermission).toHaveBeenCalledWith('app_notes', 'tasks', { read: true, write: false, schema: false });
+
+        await expect(guard.authorize(app, 'transaction', { operations: [{ op: 'insert', table: 'notes' }, { op: 'delete', table: 'tasks', id: 3 }] }))
+            .rejects.toThrow("Permission denied: app 'Notes' may not write to table 'tasks'");
+        expect(prompt).toHaveBeenCalledTimes(1);
+        expect(api.reportAppAccessDenied).toHaveBeenCalledWith({ appId: 'app_notes', tableName: 'tasks', access: 'write', method: 'transaction' });
+    });
+
+    test('should deny everything when the user refuses and keep internal tables read-only', async () => {
+        prompt.mockResolvedValue(null);
+        await expect(guard.authorize(app, 'deleteData', { tableName: 'tasks', id: 1 })).rejects.toThrow(/may not write to table 'tasks'/);
+        expect(decisions.get('app_notes:tasks')).toEqual({ read: false, write: false, schema: false });
+
+        await guard.authorize(app, 'executeQuery', { sql: 'SELECT * FROM _app_registry' });
+        await expect(guard.authorize(app, 'executeQuery', { sql: 'UPDATE _app_permissions SET can_write = 1' }))
+            .rejects.toThrow(/may not write to table '_app_permissions'/);
+        expect(api.reportAppAccessDenied).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,165 @@
+const path = require('path');
+const fs = require('fs').promises;
+const AuditModule = require('../../src/modules/AuditModule');
+
+// Stands in for secureStorage
+const createKeyStore = () => {
+    const values = new Map();
+    return {
+        isAvailable: true,
+        values,
+        retrieve: async (key) => values.get(key) || null,
+        store: async (key, value) => { values.set(key, value); }
+    };
+};
+
+describe('Audit log hash chain', () => {
+    let logPath;
+    let keyStore;
+    let audit;
+
+    const start = async () => {
+        const module = new AuditModule();
+        await module.initialize({ logPath, keyStore, encryptionEnabled: false, includeSystemInfo: false });
+        return module;
+    };
+
+    const editLines = async (file, edit) => {
+        const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+        await fs.writeFile(file, edit(lines).join('\n') + '\n');
+    };
+
+    beforeEach(async () => {
+        logPath = path.join(__dirname, '..', 'temp', `audit_${Date.now()}`);
+        keyStore = createKeyStore();
+        audit = await start();
+        for (let i = 1; i <= 3; i++) {
+            await audit.logAccess('table', 'read', { row: i });
+        }
+    });
+
+    afterEach(async () => {
+        await audit.cleanup();
+        await fs.rm(logPath, { recursive: true, force: true });
+    });
+
+    test('binds entries across rotated, compressed files and restarts with a key from the key store', async () => {
+        await audit.rotateLog();
+        await audit.logSecurity('login_failed', { user: 'ada' });
+        await audit.cleanup();
+
+        audit = await start();
+        await audit.logAccess('table', 'write', { row: 4 });
+
+        const files = await audit.getLogFiles();
+        expect(files.filter(file => file.endsWith('.log.gz'))).toHaveLength(1);
+        expect(keyStore.values.get('audit_signing_key')).toMatch(/^[0-9a-f]{64}$/);
+
+        const result = await audit.verifyChain();
+        // 3 headers, initialization entries, 4 accesses and the login
+        expect(result).toMatchObject({ success: true, valid: true, firstSequence: 1, firstProblem: null });
+        expect(result.verified).toBe(result.lastSequence);
+        expect(result.checkpoints).toBe(2);
+    });
+
+    test('reports the first changed entry', async () => {
+        await editLines(audit.currentLogFile, lines => lines.map(line => line.replace('"row":2', '"row":20')));
+
+        const result = await audit.verifyChain();
+        expect(result.valid).toBe(false);
+        expect(result.firstProblem).toEqual({
+            type: 'tampered',
+            file: path.basename(audit.currentLogFile),
+            line: 4,
+            seq: 4,
+            reason: 'Entry 4 was changed after it was written'
+        });
+    });
+
+    test('rejects unchained lines inside the chain but accepts files written before it', async () => {
+        await fs.writeFile(path.join(logPath, 'audit_0000-legacy.log'), JSON.stringify({ version: '1.0' }) + '\n' + JSON.stringify({ id: 'log_old', event: 'old' }) + '\n');
+        expect(await audit.verifyChain()).toMatchObject({ valid: true, legacy: 2 });
+
+        const forged = JSON.stringify({ id: 'log_forged', category: 'access', event: 'read_table', data: { row: 99 } });
+        await editLines(audit.currentLogFile, lines => [...lines.slice(0, 3), forged, ...lines.slice(3)]);
+
+        const result = await audit.verifyChain();
+        expect(result.valid).toBe(false);
+        expect(result.firstProblem).toEqual({
+            type: 'tampered',
+            file: path.basename(audit.currentLogFile),
+            line: 4,
+            seq: 4,
+            reason: `Line 4 of ${path.basename(audit.currentLogFile)} is not part of the chain`
+        });
+    });
+
+    test('reports entries removed from the middle of the chain', async () => {
+        await editLines(audit.currentLogFile, lines => lines.filter((line, index) => index !== 2));
+
+        const result = await audit.verifyChain();
+        expect(result.firstProblem).toMatchObject({ type: 'missing', seq: 3, line: 3, reason: '1 entry is missing before entry 4' });
+    });
+
+    test('catches entries cut off the end with exported checkpoints and rejects forged ones', async () => {
+        const exportFile = path.join(logPath, 'anchor.json');
+        const exported = await audit.exportCheckpoints(exportFile);
+        expect(exported).toEqual({ success: true, filePath: exportFile, count: 1 });
+
+        await editLines(audit.currentLogFile, lines => lines.slice(0, 3));
+        await fs.rm(path.join(logPath, 'checkpoints.jsonl'));
+
+        expect((await audit.verifyChain()).valid).toBe(true);
+        const result = await audit.verifyChain({ checkpointFile: exportFile });
+        expect(result.firstProblem).toMatchObject({ type: 'missing', seq: 4, reason: expect.stringMatching(/^Entries 4 to 5 are missing/) });
+
+        const anchor = JSON.parse(await fs.readFile(exportFile, 'utf8'));
+        anchor.checkpoints[0].seq = 3;
+        const forged = await audit.verifyChain({ checkpoints: anchor.checkpoints });
+        expect(forged.firstProblem).toMatchObject({ type: 'tampered', reason: 'The checkpoint at entry 3 has an invalid signature' });
+    });
+
+    test('reports missing entries when every log file was deleted', async () => {
+        await audit.cleanup();
+        for (const file of await audit.getLogFiles()) {
+            await fs.rm(file);
+        }
+
+        const result = await audit.verifyChain();
+        expect(result.valid).toBe(false);
+        expect(result.firstProblem).toMatchObject({
+            type: 'missing',
+            reason: expect.stringMatching(/^Entries up to 5 are missing: no chained entries are left/)
+        });
+    });
+
+    test('leaves entries unsigned, and says so, without secure storage', async () => {
+        await audit.cleanup();
+        keyStore.isAvailable = false;
+        audit = await start();
+        await audit.logAccess('table', 'read', { row: 5 });
+
+        const lines = (await fs.readFile(audit.currentLogFile, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+        expect(lines.some(entry => entry.hash || entry.seq)).toBe(false);
+        expect(lines.some(entry => entry.event === 'audit_chain_disabled')).toBe(true);
+        expect((await fs.readdir(logPath)).filter(file => !file.startsWith('audit_') && file !== 'checkpoints.jsonl')).toEqual([]);
+
+        expect(await audit.verifyChain()).toEqual({
+            success: false,
+            valid: false,
+            signed: false,
+            firstProblem: null,
+            error: 'Secure storage is unavailable, so audit entries are not signed'
+        });
+    });
+
+    test('does not accept a chain rewritten with another key', async () => {
+        await audit.cleanup();
+        keyStore.values.set('audit_signing_key', 'f'.repeat(64));
+        audit = await start();
+
+        const result = await audit.verifyChain();
+        expect(result.firstProblem).toMatchObject({ type: 'tampered', seq: 1, line: 1 });
+        expect((await audit.verifyLogIntegrity(audit.currentLogFile)).valid).toBe(true);
+    });
+});
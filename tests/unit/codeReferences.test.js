@@ -0,0 +1,34 @@
+const codeReferences = require('../../src/utils/codeReferences');
+
+describe('CodeReferences', () => {
+    const schemas = {
+        tasks: { columns: { title: { type: 'string' }, done: { type: 'boolean' }, due_date: { type: 'date' } } },
+        projects: { columns: { name: { type: 'string' } } }
+    };
+
+    test('finds the API methods, tables and columns app code uses', () => {
+        const code = `
+            const rows = await window.electronAPI.queryData('tasks', { where: { done: false } });
+            rows.forEach(row => list.append(row.title));
+            await window.electronAPI.insertData("notes", { text });
+            const watch = window.electronAPI.watchQuery;
+        `;
+
+        expect(codeReferences.extract(code, schemas)).toEqual({
+            apiCalls: ['insertData', 'queryData'],
+            tables: ['notes', 'tasks'],
+            columns: ['tasks.done', 'tasks.title']
+        });
+    });
+
+    test('reports what a new version starts and stops referring to', () => {
+        const oldCode = "electronAPI.queryData('tasks', { orderBy: 'due_date' }).then(rows => rows.map(r => r.title));";
+        const newCode = "electronAPI.search('tasks', term).then(rows => rows.map(r => r.title + r.done));\nelectronAPI.queryData('projects');";
+
+        expect(codeReferences.compare(oldCode, newCode, schemas)).toEqual({
+            apiCalls: { added: ['search'], removed: [] },
+            tables: { added: ['projects'], removed: [] },
+            columns: { added: ['tasks.done'], removed: ['tasks.due_date'] }
+        });
+    });
+});
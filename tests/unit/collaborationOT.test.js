@@ -0,0 +1,179 @@
+const CollaborationModule = require('../../src/modules/CollaborationModule');
+const { TextOperation, OperationClient } = require('../../src/utils/operationalTransform');
+
+// Seeded generator (mulberry32) so every run interleaves the same way
+const seededRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * N clients editing one document through a host. Messages wait in FIFO
+ * queues per client, to the host and back. Each step either edits a random
+ * client's copy or delivers the next message of a random queue, so edits are
+ * made on stale copies and cross each other in flight. At the end every
+ * queue is drained.
+ */
+async function simulate({ clients: count, steps, seed, initial = 'The quick brown fox' }) {
+    const random = seededRandom(seed);
+    const pick = (n) => Math.floor(random() * n);
+
+    const host = new CollaborationModule();
+    host.isHost = true;
+    const document = host.createSharedDocument(initial, { name: 'notes.txt' });
+
+    const toHost = new Map();
+    const fromHost = new Map();
+    const clients = [];
+    for (let i = 0; i < count; i++) {
+        const clientId = `client${i}`;
+        toHost.set(clientId, []);
+        fromHost.set(clientId, []);
+        clients.push(new OperationClient({
+            clientId,
+            content: document.content,
+            version: document.version,
+            send: (change) => toHost.get(clientId).push(change)
+        }));
+    }
+
+    // The host acknowledges to the sender and forwards to everyone else
+    host.sendMessage = (message, userId) => fromHost.get(userId).push(message);
+    host.broadcast = (message, excludeUserId) => {
+        clients.filter(client => client.clientId !== excludeUserId)
+            .forEach(client => fromHost.get(client.clientId).push(message));
+    };
+
+    const edit = (client) => {
+        const length = client.content.length;
+        const position = pick(length + 1);
+        const text = `${client.clientId.slice(-1)}${'abc'[pick(3)]}`.slice(0, 1 + pick(2));
+        const removed = Math.min(pick(4), length - position);
+        const type = removed === 0 ? 'insert' : ['insert', 'delete', 'replace'][pick(3)];
+        client.applyLocal(TextOperation.fromChange({ type, position, text, length: removed }, length));
+    };
+
+    const deliver = async (queues) => {
+        const waiting = queues.filter(([, queue]) => queue.length > 0);
+        if (waiting.length === 0) {
+            return false;
+        }
+        const [clientId, queue, direction] = waiting[pick(waiting.length)];
+        const message = queue.shift();
+        if (direction === 'up') {
+            const result = await host.applyDocumentChange(document.id, message, clientId);
+            expect(result.success).toBe(true);
+        } else {
+            const client = clients.find(c => c.clientId === clientId);
+            if (message.type === 'document-change-ack') {
+                client.receiveAck(message);
+            } else {
+                client.receiveServer(message.change);
+            }
+        }
+        return true;
+    };
+    const queues = () => [
+        ...[...toHost].map(([clientId, queue]) => [clientId, queue, 'up']),
+        ...[...fromHost].map(([clientId, queue]) => [clientId, queue, 'down'])
+    ];
+
+    for (let step = 0; step < steps; step++) {
+        if (random() < 0.45) {
+            edit(clients[pick(count)]);
+        } else {
+            await deliver(queues());
+        }
+    }
+    while (await deliver(queues())) {
+        // Drain
+    }
+
+    return { host, document, clients };
+}
+
+describe('Collaborative editing with operational transformation', () => {
+    test.each([
+        [2, 11], [3, 12], [4, 13], [5, 14], [8, 15]
+    ])('%i clients converge on the host document (seed %i)', async (count, seed) => {
+        for (let round = 0; round < 6; round++) {
+            const { document, clients, host } = await simulate({ clients: count, steps: 250, seed: seed * 100 + round });
+
+            clients.forEach(client => {
+                expect(client.state).toBe('synchronized');
+                expect(client.content).toBe(document.content);
+                expect(client.version).toBe(document.version);
+                // The host applied every change the client sent, once
+                expect(document.vector[client.clientId] || 0).toBe(client.sequence);
+            });
+            expect(host.changes.get(document.id)).toHaveLength(document.version - 1);
+        }
+    });
+
+    test('replays the same interleaving for the same seed', async () => {
+        const first = await simulate({ clients: 4, steps: 200, seed: 7 });
+        const second = await simulate({ clients: 4, steps: 200, seed: 7 });
+        expect(second.document.content).toBe(first.document.content);
+        expect(second.document.version).toBe(first.document.version);
+    });
+
+    test('keeps both concurrent inserts and deletes overlapping text once', async () => {
+        const host = new CollaborationModule();
+        host.isHost = true;
+        host.sendMessage = jest.fn();
+        host.broadcast = jest.fn();
+        const document = host.createSharedDocument('Hello world');
+
+        // Both made on version 1, without seeing each other
+        await host.applyDocumentChange(document.id, { type: 'insert', position: 5, text: ',', baseVersion: 1 }, 'alice');
+        await host.applyDocumentChange(document.id, { type: 'insert', position: 11, text: '!', baseVersion: 1 }, 'bob');
+        expect(document.content).toBe('Hello, world!');
+
+        await host.applyDocumentChange(document.id, { type: 'delete', position: 5, length: 7, baseVersion: 3 }, 'alice');
+        await host.applyDocumentChange(document.id, { type: 'replace', position: 7, length: 5, text: 'there', baseVersion: 3 }, 'bob');
+        expect(document.content).toBe('Hellothere!');
+    });
+
+    test('acknowledges a resent change without applying it twice and rejects gaps', async () => {
+        const host = new CollaborationModule();
+        host.isHost = true;
+        host.sendMessage = jest.fn();
+        host.broadcast = jest.fn();
+        const document = host.createSharedDocument('abc');
+        const change = { clientSeq: 1, vector: {}, operation: new TextOperation().retain(3).insert('d').toJSON() };
+
+        await host.applyDocumentChange(document.id, change, 'alice');
+        await host.applyDocumentChange(document.id, change, 'alice');
+        expect(document.content).toBe('abcd');
+        expect(host.broadcast).toHaveBeenCalledTimes(1);
+        expect(host.sendMessage).toHaveBeenLastCalledWith({ type: 'document-change-ack', documentId: document.id, clientSeq: 1, version: 2 }, 'alice');
+
+        const gap = await host.applyDocumentChange(document.id, { ...change, clientSeq: 3, vector: { alice: 1 } }, 'alice');
+        expect(gap).toEqual({ success: false, error: 'Change 3 from alice arrived before change 2' });
+    });
+
+    test('composes and transforms operations', () => {
+        const a = TextOperation.fromChange({ type: 'replace', position: 0, length: 3, text: 'One' }, 9);
+        const b = TextOperation.fromChange({ type: 'insert', position: 9, text: ' four' }, 9);
+        const [aPrime, bPrime] = TextOperation.transform(a, b);
+
+        expect(aPrime.apply(b.apply('one two 3'))).toBe('One two 3 four');
+        expect(bPrime.apply(a.apply('one two 3'))).toBe('One two 3 four');
+        expect(a.compose(bPrime).apply('one two 3')).toBe('One two 3 four');
+        expect(() => a.apply('short')).toThrow('The operation expects a text of length 9, not 5');
+        expect(TextOperation.fromJSON(a.toJSON()).toJSON()).toEqual(['One', -3, 6]);
+    });
+
+    test('builds an operation from two texts and moves positions past it', () => {
+        const operation = TextOperation.fromDiff('let a = 1;', 'let alpha = 1;');
+
+        expect(operation.apply('let a = 1;')).toBe('let alpha = 1;');
+        expect(operation.toJSON()).toEqual([5, 'lpha', 5]);
+        expect(TextOperation.fromDiff('same', 'same').toJSON()).toEqual([4]);
+        expect(operation.transformIndex(2)).toBe(2);
+        expect(operation.transformIndex(5)).toBe(9);
+        expect(TextOperation.fromDiff('abcdef', 'af').transformIndex(4)).toBe(1);
+    });
+});
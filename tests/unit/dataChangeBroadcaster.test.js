@@ -0,0 +1,131 @@
+const DataChangeBroadcaster = require('../../src/renderer/components/DataChangeBroadcaster');
+
+describe('DataChangeBroadcaster', () => {
+    let broadcaster;
+
+    beforeEach(() => {
+        broadcaster = new DataChangeBroadcaster();
+    });
+
+    afterEach(() => {
+        broadcaster.destroy();
+    });
+
+    test('should deduplicate rapid changes to the same record', () => {
+        const received = [];
+        broadcaster.subscribeToTable('todos', change => received.push(change));
+
+        broadcaster.broadcast({ table: 'todos', action: 'update', id: 1, appId: 'app_1' });
+        broadcaster.broadcast({ table: 'todos', action: 'update', id: 1, appId: 'app_1' });
+        broadcaster.broadcast({ table: 'todos', action: 'update', id: 2, appId: 'app_1' });
+        broadcaster.flush();
+
+        expect(received.map(change => change.id)).toEqual([1, 2]);
+    });
+
+    test('should deliver a batch once to each subscriber of the tables it touched', () => {
+        const orders = jest.fn();
+        const both = jest.fn();
+        const other = jest.fn();
+        const all = jest.fn();
+        const messageBus = { publish: jest.fn() };
+        broadcaster.setMessageBus(messageBus);
+
+        broadcaster.subscribeToTable('orders', orders);
+        broadcaster.subscribeToTable('orders', both);
+        broadcaster.subscribeToTable('stock', both);
+        broadcaster.subscribeToTable('users', other);
+        broadcaster.subscribeToAll(all);
+
+        broadcaster.broadcast({
+            table: null,
+            tables: ['orders', 'stock'],
+            action: 'batch',
+            changes: [
+                { table: 'orders', action: 'insert', id: 12 },
+                { table: 'stock', action: 'update', id: 4 }
+            ],
+            appId: 'app_1'
+        });
+        broadcaster.flush();
+
+        expect(orders).toHaveBeenCalledTimes(1);
+        expect(both).toHaveBeenCalledTimes(1);
+        expect(other).not.toHaveBeenCalled();
+        expect(all).toHaveBeenCalledTimes(1);
+        expect(all.mock.calls[0][0].changes).toHaveLength(2);
+        expect(messageBus.publish.mock.calls.map(call => call[0]))
+            .toEqual(['data-change', 'data-change:orders', 'data-change:stock']);
+    });
+});
+
+describe('DataChangeBroadcaster change feed', () => {
+    let broadcaster;
+    let api;
+    let deliver;
+
+    beforeEach(async () => {
+        broadcaster = new DataChangeBroadcaster();
+        api = {
+            subscribeDbChanges: jest.fn(async (callback) => {
+                deliver = callback;
+                return { subscriptionId: 'feed_1', sequence: 4, unsubscribe: jest.fn() };
+            }),
+            dbChangesSince: jest.fn()
+        };
+        await broadcaster.connectChangeFeed(api);
+    });
+
+    afterEach(() => {
+        broadcaster.destroy();
+    });
+
+    const event = (sequence, op = 'update', id = sequence) => ({
+        sequence, database: 'app', table: 'todos', op, id, before: {}, after: { title: `t${sequence}` }
+    });
+    const receive = async (message) => {
+        deliver(message);
+        await broadcaster.changeFeed.queue;
+        broadcaster.flush();
+    };
+
+    test('should broadcast feed events and fetch missed ones', async () => {
+        const received = [];
+        broadcaster.subscribeToTable('todos', change => received.push(change));
+
+        await receive({ previousSequence: 4, events: [event(5)] });
+        expect(received[0]).toMatchObject({ table: 'todos', action: 'update', id: 5, sequence: 5, source: 'database', after: { title: 't5' } });
+
+        // Sequence 6 never arrived
+        api.dbChangesSince.mockResolvedValue({ success: true, events: [event(6), event(7)], sequence: 7 });
+        await receive({ previousSequence: 6, events: [event(7)] });
+
+        expect(api.dbChangesSince).toHaveBeenCalledWith(5, null);
+        expect(received.map(change => change.sequence)).toEqual([5, 6, 7]);
+        expect(broadcaster.getStats().changeFeedSequence).toBe(7);
+    });
+
+    test('should ask subscribers to resync when missed events are gone', async () => {
+        const received = [];
+        broadcaster.subscribeToTable('todos', change => received.push(change));
+
+        api.dbChangesSince.mockResolvedValue({ success: true, reset: true, events: [], sequence: 50 });
+        await receive({ previousSequence: 40, events: [event(41)] });
+
+        expect(received).toEqual([expect.objectContaining({ action: 'resync', tables: ['todos'] })]);
+        expect(broadcaster.changeFeed.lastSequence).toBe(50);
+    });
+
+    test('should not deliver an app write twice', async () => {
+        const received = [];
+        broadcaster.subscribeToAll(change => received.push(change));
+
+        broadcaster.broadcast({ table: 'todos', action: 'insert', id: 9, appId: 'app_1' });
+        await receive({ previousSequence: 4, events: [event(5, 'insert', 9), event(6, 'delete', 9)] });
+
+        expect(received.map(change => [change.action, change.source])).toEqual([
+            ['insert', undefined],
+            ['delete', 'database']
+        ]);
+    });
+});
@@ -0,0 +1,110 @@
+const DockLayout = require('../../src/renderer/components/DockLayout');
+
+describe('DockLayout', () => {
+    test('docks apps along the right of the layout in equal columns', () => {
+        const layout = new DockLayout();
+        layout.addPanel('a');
+        layout.addPanel('b');
+        layout.addPanel('c');
+
+        expect(layout.appIds()).toEqual(['a', 'b', 'c']);
+        expect(layout.root.direction).toBe('row');
+        layout.root.sizes.forEach(size => expect(size).toBeCloseTo(1 / 3));
+        expect(layout.addPanel('a')).toBe(false);
+    });
+
+    test('splits a panel and collapses the split when a panel leaves', () => {
+        const layout = new DockLayout();
+        layout.addPanel('a');
+        layout.addPanel('b');
+        layout.addPanel('c', 'b', 'bottom');
+
+        expect(layout.toJSON()).toEqual({
+            type: 'split',
+            direction: 'row',
+            sizes: [0.5, 0.5],
+            children: [
+                { type: 'panel', appId: 'a' },
+                {
+                    type: 'split',
+                    direction: 'column',
+                    sizes: [0.5, 0.5],
+                    children: [{ type: 'panel', appId: 'b' }, { type: 'panel', appId: 'c' }]
+                }
+            ]
+        });
+
+        layout.removePanel('b');
+        expect(layout.toJSON()).toEqual({
+            type: 'split',
+            direction: 'row',
+            sizes: [0.5, 0.5],
+            children: [{ type: 'panel', appId: 'a' }, { type: 'panel', appId: 'c' }]
+        });
+
+        layout.removePanel('a');
+        layout.removePanel('c');
+        expect(layout.root).toBeNull();
+    });
+
+    test('moves a panel to an edge of another panel', () => {
+        const layout = new DockLayout();
+        ['a', 'b', 'c'].forEach(appId => layout.addPanel(appId));
+
+        expect(layout.movePanel('c', 'a', 'top')).toBe(true);
+        expect(layout.appIds()).toEqual(['c', 'a', 'b']);
+        expect(layout.root.children[0]).toMatchObject({ type: 'split', direction: 'column' });
+
+        // Dropping a panel on itself changes nothing
+        expect(layout.movePanel('a', 'a', 'left')).toBe(false);
+        expect(() => layout.addPanel('d', 'a', 'middle')).toThrow("Unknown dock edge 'middle'");
+    });
+
+    test('resizes within the minimum size and lays out pixel rectangles', () => {
+        const layout = new DockLayout();
+        layout.addPanel('a');
+        layout.addPanel('b');
+
+        expect(layout.resize([], 0, 0.2)).toBeCloseTo(0.2);
+        expect(layout.resize([], 0, 0.5)).toBeCloseTo(0.25);
+        expect(layout.root.sizes[1]).toBeCloseTo(0.05);
+        expect(layout.resize([], 1, 0.1)).toBe(0);
+
+        layout.root.sizes = [0.5, 0.5];
+        const { panels, splitters } = layout.computeRects({ x: 0, y: 0, width: 206, height: 100 }, 6);
+        expect(panels.a).toEqual({ x: 0, y: 0, width: 100, height: 100 });
+        expect(panels.b).toEqual({ x: 106, y: 0, width: 100, height: 100 });
+        expect(splitters).toEqual([{ path: [], index: 0, direction: 'row', span: 200, x: 100, y: 0, width: 6, height: 100 }]);
+    });
+
+    test('restores a saved tree against the open apps', () => {
+        const saved = {
+            type: 'split',
+            direction: 'column',
+            sizes: [3, 1, 'wide'],
+            children: [
+                { type: 'panel', appId: 'a' },
+                { type: 'panel', appId: 'gone' },
+                { type: 'panel', appId: 'a' },
+                { type: 'window', appId: 'b' }
+            ]
+        };
+
+        const layout = DockLayout.fromJSON(saved, ['a', 'b']);
+        expect(layout.toJSON()).toEqual({
+            type: 'split',
+            direction: 'row',
+            sizes: [0.5, 0.5],
+            children: [{ type: 'panel', appId: 'a' }, { type: 'panel', appId: 'b' }]
+        });
+        expect(DockLayout.fromJSON(null).root).toBeNull();
+    });
+
+    test('picks the nearest edge of a drop target', () => {
+        const rect = { x: 100, y: 100, width: 200, height: 100 };
+        expect(DockLayout.edgeAt(rect, 110, 150)).toBe('left');
+        expect(DockLayout.edgeAt(rect, 290, 150)).toBe('right');
+        expect(DockLayout.edgeAt(rect, 200, 105)).toBe('top');
+        expect(DockLayout.edgeAt(rect, 200, 195)).toBe('bottom');
+    });
+});
@@ -0,0 +1,120 @@
+const LocalAppDatabase = require('../../src/renderer/components/LocalAppDatabase');
+
+describe('LocalAppDatabase', () => {
+    const snapshot = {
+        app: { app_id: 'app_tasks', app_name: 'Tasks', description: 'Track tasks' },
+        tables: {
+            tasks: {
+                schema: {
+                    columns: {
+                        title: { type: 'string', required: true, searchable: true },
+                        priority: { type: 'integer', default: 1 },
+                        done: { type: 'boolean' },
+                        tags: { type: 'json' }
+                    }
+                },
+                rows: [
+                    { id: 1, title: 'Write report', priority: 3, done: 0, tags: '["work"]', created_at: '2026-01-01 09:00:00', updated_at: '2026-01-01 09:00:00' },
+                    { id: 2, title: 'Buy milk', priority: 1, done: 1, tags: null, created_at: '2026-01-02 09:00:00', updated_at: '2026-01-02 09:00:00' },
+                    { id: 4, title: 'Review report draft', priority: 2, done: 0, tags: '[]', created_at: '2026-01-03 09:00:00', updated_at: '2026-01-03 09:00:00' }
+                ]
+            }
+        }
+    };
+
+    const memoryStorage = () => {
+        const storage = {
+            saved: null,
+            load: jest.fn(async () => storage.saved),
+            save: jest.fn(async (tables) => {
+                storage.saved = tables;
+            })
+        };
+        return storage;
+    };
+
+    let storage;
+    let changes;
+    let db;
+
+    beforeEach(async () => {
+        storage = memoryStorage();
+        changes = [];
+        db = new LocalAppDatabase({ snapshot, storage, onChange: change => changes.push(change) });
+        await db.open();
+    });
+
+    test('queries the exported rows with conditions, order and paging as the app reads them', async () => {
+        const open = await db.handle('queryData', {
+            tableName: 'tasks',
+            options: { where: { done: false, $or: [{ priority: { $gte: 3 } }, { title: { $like: '%DRAFT' } }] }, orderBy: 'priority DESC' }
+        });
+        expect(open.map(row => row.id)).toEqual([1, 4]);
+        expect(open[0]).toMatchObject({ done: false, tags: ['work'] });
+
+        expect(await db.queryData('tasks', { columns: ['title'], orderBy: 'id', limit: 1, offset: 1 })).toEqual([{ title: 'Buy milk' }]);
+        expect(await db.queryData('tasks', { where: { tags: null } })).toHaveLength(1);
+        expect(await db.queryData('missing')).toEqual([]);
+    });
+
+    test('writes like the builder and saves the tables after each write', async () => {
+        const inserted = await db.insertData('tasks', { title: 'Call Ann', done: true, tags: ['home'], unknown: 'x' });
+        expect(inserted).toMatchObject({ success: true, id: 5, data: { title: 'Call Ann', done: 1, tags: '["home"]' } });
+        expect(await db.insertData('tasks', { priority: 2 })).toEqual({ success: false, error: 'NOT NULL constraint failed: tasks.title' });
+
+        expect(await db.updateData('tasks', 5, { priority: '4' })).toEqual({ success: true, id: 5, changes: 1 });
+        expect(await db.deleteData('tasks', 2)).toEqual({ success: true, id: 2, changes: 1 });
+        await db.saving;
+
+        expect(changes.map(change => change.action)).toEqual(['insert', 'update', 'delete']);
+        expect(storage.saved.tasks.rows.map(row => row.id)).toEqual([1, 4, 5]);
+        expect(storage.saved.tasks.rows[2]).toMatchObject({ priority: 4, done: 1 });
+
+        // A reopened page continues from the saved tables, not the exported ones
+        const reopened = new LocalAppDatabase({ snapshot, storage });
+        await reopened.open();
+        expect((await reopened.queryData('tasks')).map(row => row.id)).toEqual([1, 4, 5]);
+        expect((await reopened.insertData('tasks', { title: 'Next' })).id).toBe(6);
+    });
+
+    test('rolls back a failed transaction as a whole', async () => {
+        const failed = await db.transaction([
+            { op: 'insert', table: 'tasks', data: { title: 'First' } },
+            { op: 'insert', table: 'tasks', data: { done: true } }
+        ]);
+        expect(failed).toMatchObject({ success: false, operationIndex: 1 });
+        expect(await db.queryData('tasks')).toHaveLength(3);
+        expect(changes).toEqual([]);
+
+        const done = await db.transaction([
+            { op: 'insert', table: 'tasks', data: { title: 'First' } },
+            { op: 'update', table: 'tasks', id: 1, data: { done: true } }
+        ]);
+        expect(done.results).toEqual([{ success: true, id: 5, changes: 1 }, { success: true, id: 1, changes: 1 }]);
+        expect(changes).toEqual([{
+            table: 'tasks',
+            tables: ['tasks'],
+            action: 'batch',
+            changes: [{ table: 'tasks', action: 'insert', id: 5 }, { table: 'tasks', action: 'update', id: 1 }]
+        }]);
+    });
+
+    test('aggregates and searches', async () => {
+        expect(await db.aggregate('tasks', { count: true, sum: 'priority', groupBy: 'done', orderBy: 'done' })).toEqual([
+            { done: 0, count: 2, sum_priority: 5 },
+            { done: 1, count: 1, sum_priority: 1 }
+        ]);
+        expect(await db.aggregate('tasks', { max: 'priority', having: { max_priority: { $gt: 5 } } })).toEqual([]);
+
+        const found = await db.search('tasks', 'report dra', { highlight: true });
+        expect(found.map(row => row.id)).toEqual([4]);
+        expect(found[0]._snippet).toBe('Review <mark>report</mark> <mark>draft</mark>');
+        await expect(db.search('tasks', 'report')).resolves.toHaveLength(2);
+    });
+
+    test('reports the builder-only methods as unavailable', async () => {
+        await expect(db.handle('executeQuery', { sql: 'SELECT 1' })).rejects.toThrow('executeQuery is not available in an exported app');
+        expect(await db.handle('listTables')).toEqual({ success: true, tables: ['tasks'], count: 1 });
+        expect((await db.handle('getAppInfo', { appId: 'app_tasks' })).app.app_name).toBe('Tasks');
+    });
+});
@@ -0,0 +1,92 @@
+const QueryWatcher = require('../../src/renderer/components/QueryWatcher');
+
+describe('QueryWatcher', () => {
+    let rows;
+    let query;
+    let delivered;
+    let watcher;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        rows = [{ id: 1, title: 'A', done: false }, { id: 2, title: 'B', done: false }];
+        query = jest.fn(async () => rows.map(row => ({ ...row })));
+        delivered = [];
+        watcher = new QueryWatcher({ query, deliver: (watchId, update) => delivered.push({ watchId, ...update }), debounce: 20 });
+    });
+
+    afterEach(() => {
+        watcher.clear();
+        jest.useRealTimers();
+    });
+
+    const settle = async () => {
+        await jest.advanceTimersByTimeAsync(25);
+    };
+
+    test('should deliver the initial rows and then only what changed', async () => {
+        await expect(watcher.watch('w1', 'todos', { where: { done: false } })).resolves.toEqual({ success: true, watchId: 'w1', count: 2 });
+        expect(delivered[0].diff).toMatchObject({ initial: true, added: rows, updated: [], removed: [], order: [1, 2], count: 2 });
+
+        rows = [{ id: 2, title: 'B2', done: false }, { id: 3, title: 'C', done: false }];
+        watcher.handleChange({ table: 'todos', action: 'update', id: 2 });
+        watcher.handleChange({ table: 'todos', action: 'insert', id: 3 });
+        await settle();
+
+        // Rapid changes cause a single re-query
+        expect(query).toHaveBeenCalledTimes(2);
+        expect(delivered[1].diff).toEqual({
+            added: [{ id: 3, title: 'C', done: false }],
+            updated: [{ id: 2, title: 'B2', done: false }],
+            removed: [{ id: 1, title: 'A', done: false }],
+            order: [2, 3],
+            initial: false,
+            count: 2
+        });
+
+        // A change that does not alter the result is not delivered
+        watcher.handleChange({ table: 'todos', action: 'update', id: 9 });
+        await settle();
+        expect(query).toHaveBeenCalledTimes(3);
+        expect(delivered).toHaveLength(2);
+    });
+
+    test('should only re-query watches on the changed tables', async () => {
+        await watcher.watch('w1', 'todos');
+        await watcher.watch('w2', 'notes', { columns: ['title'] });
+        expect(query).toHaveBeenLastCalledWith('notes', { columns: ['id', 'title'] });
+
+        watcher.handleChange({ table: null, tables: ['orders', 'notes'], action: 'batch' });
+        await settle();
+        expect(query.mock.calls.map(call => call[0])).toEqual(['todos', 'notes', 'notes']);
+
+        watcher.handleChange({ table: null, action: 'resync' });
+        await settle();
+        expect(query).toHaveBeenCalledTimes(5);
+    });
+
+    test('should stop delivering after unwatch or clear', async () => {
+        await watcher.watch('w1', 'todos');
+        await watcher.watch('w2', 'todos');
+        expect(watcher.unwatch('w1')).toBe(true);
+        expect(watcher.unwatch('w1')).toBe(false);
+
+        watcher.handleChange({ table: 'todos', action: 'insert' });
+        watcher.clear();
+        await settle();
+
+        expect(watcher.size).toBe(0);
+        expect(query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject the watch when the first query fails and report later failures', async () => {
+        query.mockRejectedValueOnce(new Error('no such table: todos'));
+        await expect(watcher.watch('w1', 'todos')).rejects.toThrow('no such table');
+        expect(watcher.size).toBe(0);
+
+        await watcher.watch('w2', 'todos');
+        query.mockRejectedValueOnce(new Error('database is locked'));
+        watcher.handleChange({ table: 'todos', action: 'insert' });
+        await settle();
+        expect(delivered[delivered.length - 1]).toEqual({ watchId: 'w2', error: 'database is locked' });
+    });
+});
@@ -0,0 +1,70 @@
+const sessionManager = require('../../src/utils/sessionManager');
+
+describe('SessionManager code versions', () => {
+    const sessionId = 'session_1700000000000_abc123';
+
+    beforeEach(() => {
+        sessionManager.sessions.clear();
+        jest.spyOn(sessionManager, 'saveSessionHistory').mockResolvedValue();
+        sessionManager.createSession(sessionId, 'Create a todo app');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should append a version for every generation', () => {
+        sessionManager.addCodeGeneration(sessionId, 'Create a todo app', 'v1', [], { description: 'Todo' });
+        const session = sessionManager.addCodeGeneration(sessionId, 'Create a todo app', 'v2', [], {
+            source: 'refine',
+            changeRequest: 'add a delete button',
+            changeHistory: ['add a delete button']
+        });
+
+        expect(session.currentVersion).toBe(2);
+        expect(session.generatedCode).toBe('v2');
+        expect(session.versions.map(v => v.source)).toEqual(['generate', 'refine']);
+        expect(session.versions[1].changeRequest).toBe('add a delete button');
+    });
+
+    test('should list versions without code', () => {
+        sessionManager.addCodeGeneration(sessionId, 'Create a todo app', 'first');
+        sessionManager.addCodeGeneration(sessionId, 'Create a todo app', 'second version');
+
+        const versions = sessionManager.getVersions(sessionId);
+        expect(versions).toHaveLength(2);
+        expect(versions[0].code).toBeUndefined();
+        expect(versions[1]).toMatchObject({ version: 2, codeLength: 14, current: true });
+        expect(sessionManager.getVersions('session_1_missing')).toBeNull();
+    });
+
+    test('should restore an earlier version as a new version', () => {
+        sessionManager.addCodeGeneration(sessionId, 'Create a todo app', 'v1', ['a'], { description: 'first' });
+        sessionManager.addCodeGeneration(sessionId, 'Create a todo app', 'v2', [], {
+            source: 'refine',
+            changeHistory: ['sortable']
+        });
+
+        const session = sessionManager.restoreVersion(sessionId, 1);
+        expect(session.currentVersion).toBe(3);
+        expect(session.generatedCode).toBe('v1');
+        expect(session.packages).toEqual(['a']);
+        expect(session.versions[2]).toMatchObject({ source: 'restore', restoredFrom: 1, changeHistory: [] });
+        expect(sessionManager.restoreVersion(sessionId, 99)).toBeNull();
+    });
+
+    test('should cap the number of stored versions', () => {
+        const originalMax = sessionManager.maxVersionsPerSession;
+        sessionManager.maxVersionsPerSession = 3;
+        try {
+            for (let i = 1; i <= 5; i++) {
+                sessionManager.addCodeGeneration(sessionId, 'Create a todo app', `v${i}`);
+            }
+            const session = sessionManager.getSession(sessionId);
+            expect(session.versions.map(v => v.version)).toEqual([3, 4, 5]);
+            expect(session.currentVersion).toBe(5);
+        } finally {
+            sessionManager.maxVersionsPerSession = originalMax;
+        }
+    });
+});
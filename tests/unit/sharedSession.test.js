@@ -0,0 +1,129 @@
+const EventEmitter = require('events');
+const ChangeFeed = require('../../src/utils/changeFeed');
+const SharedSession = require('../../src/utils/sharedSession');
+const { TextOperation, OperationClient } = require('../../src/utils/operationalTransform');
+
+// Resolves once a window received a matching message
+const waitFor = (messages, predicate, timeout = 2000) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+        const found = messages.find(predicate);
+        if (found) return resolve(found);
+        if (Date.now() - started > timeout) return reject(new Error('Timed out waiting for a session message'));
+        setTimeout(check, 10);
+    };
+    check();
+});
+
+describe('SharedSession', () => {
+    let databaseManager;
+    let host;
+    let guests;
+    let hostWindow;
+    let joinLink;
+
+    const join = async (password, displayName) => {
+        const guest = new SharedSession(null);
+        const window = [];
+        const result = await guest.join({ joinLink, password, displayName }, message => window.push(message));
+        guests.push(guest);
+        return { guest, window, result };
+    };
+
+    beforeEach(async () => {
+        databaseManager = new EventEmitter();
+        databaseManager.changeSequence = 0;
+        host = new SharedSession(new ChangeFeed(databaseManager));
+        guests = [];
+        hostWindow = [];
+
+        const started = await host.start({
+            password: 'editor-secret',
+            viewerPassword: 'viewer-secret',
+            displayName: 'Ada',
+            prompt: 'A task list',
+            code: 'render();',
+            port: 0
+        }, message => hostWindow.push(message));
+        expect(started).toMatchObject({ success: true, role: 'editor' });
+        // Connect over loopback whatever address the link names
+        joinLink = started.joinLink.replace(/^collab:\/\/[^:]+:/, 'collab://127.0.0.1:');
+    });
+
+    afterEach(async () => {
+        for (const guest of guests) {
+            await guest.stop();
+        }
+        await host.stop();
+    });
+
+    test('gives editors and viewers their role by password and keeps the passwords to itself', async () => {
+        const editor = await join('editor-secret', 'Grace');
+        const viewer = await join('viewer-secret', 'Linus');
+        expect(editor.result.success).toBe(true);
+        expect(viewer.result.success).toBe(true);
+
+        const editorState = await waitFor(editor.window, m => m.type === 'session-state');
+        const viewerState = await waitFor(viewer.window, m => m.type === 'session-state');
+        expect(editorState.you.role).toBe('editor');
+        expect(viewerState.you.role).toBe('viewer');
+        expect(editorState.documents.map(d => [d.name, d.content])).toEqual([['prompt', 'A task list'], ['code', 'render();']]);
+        expect(JSON.stringify(editorState)).not.toContain('secret');
+
+        const refused = await join('guessing', 'Mallory');
+        expect(refused.result).toEqual({ success: false, error: 'The host refused the password or the session has ended' });
+        expect(host.getStatus().participants.map(p => [p.name, p.role])).toEqual([['Ada', 'editor'], ['Grace', 'editor'], ['Linus', 'viewer']]);
+    });
+
+    test('applies an editor\'s change for everyone and refuses a viewer\'s', async () => {
+        const editor = await join('editor-secret', 'Grace');
+        const viewer = await join('viewer-secret', 'Linus');
+        const state = await waitFor(editor.window, m => m.type === 'session-state');
+        await waitFor(viewer.window, m => m.type === 'session-state');
+        const prompt = state.documents.find(d => d.name === 'prompt');
+
+        const client = new OperationClient({
+            clientId: state.you.id,
+            content: prompt.content,
+            version: prompt.version,
+            send: change => editor.guest.send({ type: 'document-change', documentId: prompt.id, change })
+        });
+        client.applyLocal(TextOperation.fromDiff(prompt.content, 'A task list with due dates'));
+
+        await waitFor(editor.window, m => m.type === 'document-change-ack');
+        const seen = await waitFor(viewer.window, m => m.type === 'document-changed');
+        await waitFor(hostWindow, m => m.type === 'document-changed');
+        expect(TextOperation.fromJSON(seen.change.operation).apply(prompt.content)).toBe('A task list with due dates');
+
+        // The viewer's window is stopped here, and the host stops a viewer that sends anyway
+        const change = { clientSeq: 1, vector: {}, operation: new TextOperation().delete(26).toJSON() };
+        expect(viewer.guest.send({ type: 'document-change', documentId: prompt.id, change }))
+            .toEqual({ success: false, error: 'You joined this session as a viewer' });
+        viewer.guest.collaboration.sendMessage({ type: 'document-change', documentId: prompt.id, change });
+        const denied = await waitFor(viewer.window, m => m.type === 'permission-denied');
+        expect(denied).toMatchObject({ action: 'document-change', documentId: prompt.id });
+        expect(host.collaboration.documents.get(prompt.id).content).toBe('A task list with due dates');
+
+        // Viewers still show where they are
+        viewer.guest.send({ type: 'cursor-update', documentId: prompt.id, position: { start: 2, end: 2 } });
+        const cursor = await waitFor(editor.window, m => m.type === 'cursor-updated');
+        expect(cursor).toMatchObject({ userId: viewer.guest.collaboration.userId, position: { start: 2, end: 2 } });
+    });
+
+    test('passes on shared database changes and tells participants when the session ends', async () => {
+        const editor = await join('editor-secret', 'Grace');
+        await waitFor(editor.window, m => m.type === 'session-state');
+
+        databaseManager.emit('changes', [
+            { sequence: 1, database: 'shared', table: 'tasks', op: 'insert', id: 7 },
+            { sequence: 2, database: 'scratch', table: 'notes', op: 'delete', id: 3 }
+        ]);
+        const changed = await waitFor(editor.window, m => m.type === 'database-changed');
+        expect(changed.events).toEqual([{ sequence: 1, database: 'shared', table: 'tasks', op: 'insert', id: 7 }]);
+        expect(hostWindow.some(m => m.type === 'database-changed')).toBe(false);
+
+        await host.stop();
+        await waitFor(editor.window, m => m.type === 'session-ended');
+        await waitFor([editor.guest], guest => !guest.getStatus().active);
+    });
+});
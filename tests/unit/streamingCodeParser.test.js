@@ -0,0 +1,67 @@
+const StreamingCodeParser = require('../../src/utils/streamingCodeParser');
+
+describe('StreamingCodeParser', () => {
+    const response = JSON.stringify({
+        packages: [],
+        code: 'const msg = "hi";\nroot.innerHTML = `<p>${msg}</p>`;\t// é',
+        description: 'Greeting'
+    });
+
+    test('should decode the code field when fed in one chunk', () => {
+        const parser = new StreamingCodeParser();
+        const result = parser.push(response);
+
+        expect(result.complete).toBe(true);
+        expect(result.code).toBe(JSON.parse(response).code);
+    });
+
+    test('should produce the same code when fed one character at a time', () => {
+        const parser = new StreamingCodeParser();
+        let code = '';
+        for (const char of response) {
+            code += parser.push(char).delta;
+        }
+
+        expect(code).toBe(JSON.parse(response).code);
+        expect(parser.state).toBe('complete');
+    });
+
+    test('should hold back escape sequences split across chunks', () => {
+        const parser = new StreamingCodeParser();
+        parser.push('{"packages": [], "code": "a\\');
+        expect(parser.code).toBe('a');
+
+        parser.push('u00');
+        expect(parser.code).toBe('a');
+
+        const result = parser.push('41b" , "description": "x"}');
+        expect(result.code).toBe('aAb');
+        expect(result.complete).toBe(true);
+    });
+
+    test('should wait until the code key arrives', () => {
+        const parser = new StreamingCodeParser();
+        expect(parser.push('{"packages": [], "co').delta).toBe('');
+        expect(parser.push('de": "x').delta).toBe('x');
+    });
+
+    test('should keep literal newlines emitted inside the string', () => {
+        const parser = new StreamingCodeParser();
+        const result = parser.push('{"code": "line1\nline2"}');
+        expect(result.code).toBe('line1\nline2');
+    });
+
+    test('should ignore input after the code field is complete', () => {
+        const parser = new StreamingCodeParser();
+        parser.push('{"code": "done"');
+        expect(parser.push(', "description": "more"}').delta).toBe('');
+        expect(parser.getBuffer()).toBe('{"code": "done"');
+    });
+
+    test('should reset state for reuse', () => {
+        const parser = new StreamingCodeParser();
+        parser.push('{"code": "first"}');
+        parser.reset();
+        expect(parser.push('{"code": "second"}').code).toBe('second');
+    });
+});
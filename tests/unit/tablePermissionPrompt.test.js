@@ -0,0 +1,61 @@
+const TablePermissionPrompt = require('../../src/renderer/components/TablePermissionPrompt');
+
+// Just enough of an element for the prompt
+const element = () => {
+    const listeners = {};
+    return {
+        style: {},
+        textContent: '',
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        click: () => listeners.click()
+    };
+};
+
+describe('TablePermissionPrompt', () => {
+    let elements;
+    let prompt;
+    const request = { appId: 'app_notes', appName: 'Notes', tableName: 'tasks', owner: 'app_tasks' };
+
+    beforeEach(() => {
+        elements = {
+            modal: element(),
+            message: element(),
+            allowButton: element(),
+            readButton: element(),
+            denyButton: element()
+        };
+        prompt = new TablePermissionPrompt(elements);
+    });
+
+    test('grants only the access the app asked for', async () => {
+        const read = prompt.prompt({ ...request, access: 'read' });
+        await Promise.resolve();
+        expect(elements.modal.style.display).toBe('flex');
+        expect(elements.readButton.style.display).toBe('none');
+        expect(elements.message.textContent).toBe('"Notes" wants to read the table "tasks", which belongs to app "app_tasks".');
+        elements.allowButton.click();
+        await expect(read).resolves.toEqual({ read: true, write: false, schema: false });
+        expect(elements.modal.style.display).toBe('none');
+
+        expect(TablePermissionPrompt.grantFor({ access: 'write' }, 'allow')).toEqual({ read: true, write: true, schema: false });
+        expect(TablePermissionPrompt.grantFor({ access: 'schema' }, 'allow')).toEqual({ read: true, write: true, schema: true });
+        expect(TablePermissionPrompt.grantFor({ access: 'schema' }, 'read')).toEqual({ read: true, write: false, schema: false });
+        expect(TablePermissionPrompt.grantFor({ access: 'write' }, 'deny')).toBeNull();
+    });
+
+    test('shows one prompt at a time', async () => {
+        const first = prompt.prompt({ ...request, access: 'write' });
+        const second = prompt.prompt({ ...request, tableName: 'projects', access: 'read' });
+        await Promise.resolve();
+        expect(elements.message.textContent).toContain('change data in the table "tasks"');
+        expect(elements.readButton.style.display).toBe('');
+
+        elements.readButton.click();
+        await expect(first).resolves.toEqual({ read: true, write: false, schema: false });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(elements.message.textContent).toContain('"projects"');
+
+        elements.denyButton.click();
+        await expect(second).resolves.toBeNull();
+    });
+});
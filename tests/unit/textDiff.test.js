@@ -0,0 +1,79 @@
+const textDiff = require('../../src/utils/textDiff');
+const { TextDiff } = require('../../src/utils/textDiff');
+
+describe('TextDiff', () => {
+    const apply = (ops) => ops.filter(op => op.type !== 'remove').map(op => op.value).join('\n');
+    const revert = (ops) => ops.filter(op => op.type !== 'add').map(op => op.value).join('\n');
+
+    test('should report no changes for identical text', () => {
+        const ops = textDiff.diffLines('a\nb\nc', 'a\nb\nc');
+        expect(textDiff.summarize(ops)).toEqual({ added: 0, removed: 0, unchanged: 3 });
+        expect(textDiff.toUnified(ops)).toBe('');
+    });
+
+    test('should detect added and removed lines', () => {
+        const ops = textDiff.diffLines('a\nb\nc\nd', 'a\nc\nd\ne');
+        expect(textDiff.summarize(ops)).toEqual({ added: 1, removed: 1, unchanged: 3 });
+        expect(ops.find(op => op.type === 'remove')).toMatchObject({ value: 'b', oldNumber: 2, newNumber: null });
+        expect(ops.find(op => op.type === 'add')).toMatchObject({ value: 'e', oldNumber: null, newNumber: 4 });
+    });
+
+    test('should reconstruct both sides from the edit script', () => {
+        const oldText = 'const a = 1;\nfunction f() {\n  return a;\n}\nf();';
+        const newText = 'const a = 2;\nconst b = 3;\nfunction f() {\n  return a + b;\n}\nf();\nconsole.log(f());';
+        const ops = textDiff.diffLines(oldText, newText);
+
+        expect(apply(ops)).toBe(newText);
+        expect(revert(ops)).toBe(oldText);
+    });
+
+    test('should handle empty inputs and normalise line endings', () => {
+        expect(textDiff.diffLines('', '')).toEqual([]);
+        expect(textDiff.summarize(textDiff.diffLines('', 'x\ny'))).toEqual({ added: 2, removed: 0, unchanged: 0 });
+        expect(textDiff.summarize(textDiff.diffLines('a\r\nb', 'a\nb'))).toEqual({ added: 0, removed: 0, unchanged: 2 });
+    });
+
+    test('should render unified hunks with context', () => {
+        const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+        const newText = ['1', '2', 'three', '4', '5', '6', '7', '8', '9', '10', '11'].join('\n');
+        const unified = textDiff.toUnified(textDiff.diffLines(oldText, newText), { context: 1 });
+
+        expect(unified.split('\n')).toEqual([
+            '--- previous',
+            '+++ current',
+            '@@ -2,3 +2,3 @@',
+            ' 2',
+            '-3',
+            '+three',
+            ' 4',
+            '@@ -10,1 +10,2 @@',
+            ' 10',
+            '+11'
+        ]);
+    });
+
+    test('should pair edited lines side by side and skip long unchanged runs', () => {
+        const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+        const newText = ['1', '2', 'three', '4', '5', '6', '7', '8', '9', '10', '11'].join('\n');
+        const rows = textDiff.toSideBySide(textDiff.diffLines(oldText, newText), { context: 1 });
+
+        expect(rows.map(row => [row.type, row.left && row.left.text, row.right && row.right.text, row.count])).toEqual([
+            ['skip', null, null, 1],
+            ['equal', '2', '2', undefined],
+            ['change', '3', 'three', undefined],
+            ['equal', '4', '4', undefined],
+            ['skip', null, null, 5],
+            ['equal', '10', '10', undefined],
+            ['add', null, '11', undefined]
+        ]);
+        expect(rows[6].right.number).toBe(11);
+    });
+
+    test('should fall back to a full replacement beyond the edit limit', () => {
+        const limited = new TextDiff({ maxEdits: 2 });
+        const ops = limited.diffLines('a\nb\nc', 'x\ny\nz');
+
+        expect(revert(ops)).toBe('a\nb\nc');
+        expect(apply(ops)).toBe('x\ny\nz');
+    });
+});
@@ -0,0 +1,113 @@
+const { UsageTracker } = require('../../src/utils/usageTracker');
+const enhancedConfigManager = require('../../src/utils/enhancedConfigManager');
+const { FixtureReplayProvider } = require('../../src/providers');
+
+const fixtures = [
+    { name: 'small', match: { contains: 'small' }, response: 'ok', usage: { input_tokens: 1000, output_tokens: 500 } }
+];
+
+const request = (content) => ({
+    model: 'claude-3-5-sonnet-20241022',
+    max_tokens: 100,
+    messages: [{ role: 'user', content }]
+});
+
+describe('UsageTracker', () => {
+    let tracker;
+    let databaseManager;
+    let todayTotals;
+
+    beforeEach(() => {
+        todayTotals = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+        databaseManager = {
+            recordAIUsage: jest.fn().mockResolvedValue({ success: true, id: 1 }),
+            getAIUsageTotals: jest.fn(async () => ({ success: true, totals: todayTotals }))
+        };
+        tracker = new UsageTracker();
+        tracker.initialize(databaseManager);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should price models by the longest matching prefix', () => {
+        jest.spyOn(enhancedConfigManager, 'get').mockImplementation((key) => key === 'ai.pricing' ? {
+            'claude': { input: 3, output: 15 },
+            'claude-3-5-haiku': { input: 0.8, output: 4 }
+        } : undefined);
+
+        expect(tracker.estimateCost('claude-3-5-sonnet-20241022', 1000000, 1000000)).toBeCloseTo(18);
+        expect(tracker.estimateCost('claude-3-5-haiku-20241022', 1000000, 0)).toBeCloseTo(0.8);
+        expect(tracker.estimateCost('llama3.1', 1000000, 1000000)).toBe(0);
+    });
+
+    test('should record calls made through a wrapped client against the tracked context', async () => {
+        const client = tracker.wrapClient(new FixtureReplayProvider({ fixtures }));
+
+        const { result, usage } = await tracker.track(
+            { operation: 'generate-code', sessionId: 'session_1_abc', appId: 'app_1' },
+            async () => {
+                await client.messages.create(request('small one'));
+                return client.messages.create(request('small two'));
+            }
+        );
+
+        expect(result.content[0].text).toBe('ok');
+        expect(usage.calls).toBe(2);
+        expect(usage.inputTokens).toBe(2000);
+        expect(usage.outputTokens).toBe(1000);
+        expect(databaseManager.recordAIUsage).toHaveBeenCalledTimes(2);
+        expect(databaseManager.recordAIUsage).toHaveBeenCalledWith(expect.objectContaining({
+            operation: 'generate-code',
+            sessionId: 'session_1_abc',
+            appId: 'app_1',
+            provider: 'fixture',
+            model: 'fixture:small',
+            inputTokens: 1000,
+            outputTokens: 500
+        }));
+    });
+
+    test('should record streamed calls once the stream finishes', async () => {
+        const client = tracker.wrapClient(new FixtureReplayProvider({ fixtures, chunkSize: 1 }));
+
+        const { usage } = await tracker.track({ operation: 'generate-code' }, async () => {
+            const stream = client.messages.stream(request('small'));
+            await stream.finalMessage();
+            // Let the recording callback run
+            await new Promise(resolve => setImmediate(resolve));
+        });
+
+        expect(usage.calls).toBe(1);
+        expect(databaseManager.recordAIUsage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not fail the call when recording fails', async () => {
+        databaseManager.recordAIUsage.mockRejectedValue(new Error('disk full'));
+        const client = tracker.wrapClient(new FixtureReplayProvider({ fixtures }));
+
+        await expect(client.messages.create(request('small'))).resolves.toBeTruthy();
+    });
+
+    test('should block once a daily budget is reached', async () => {
+        jest.spyOn(tracker, 'getBudgets').mockReturnValue({ dailyCostUsd: 1, dailyTokens: null });
+
+        todayTotals = { calls: 3, inputTokens: 100, outputTokens: 100, costUsd: 0.5 };
+        expect((await tracker.checkBudget()).allowed).toBe(true);
+
+        todayTotals = { calls: 9, inputTokens: 100, outputTokens: 100, costUsd: 1.2 };
+        const check = await tracker.checkBudget();
+        expect(check.allowed).toBe(false);
+        expect(check.reason).toMatch(/Daily AI budget of \$1\.00 reached/);
+    });
+
+    test('should treat 0 as removing a budget', async () => {
+        const set = jest.spyOn(enhancedConfigManager, 'set').mockResolvedValue({ success: true });
+
+        await tracker.setBudgets({ dailyCostUsd: 0, dailyTokens: 50000 });
+
+        expect(set).toHaveBeenCalledWith('ai.budgets.dailyCostUsd', null, { persist: true });
+        expect(set).toHaveBeenCalledWith('ai.budgets.dailyTokens', 50000, { persist: true });
+    });
+});
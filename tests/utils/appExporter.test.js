@@ -0,0 +1,80 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const AppExporter = require('../../src/utils/appExporter');
+const LocalAppDatabase = require('../../src/renderer/components/LocalAppDatabase');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('AppExporter', () => {
+    let dbManager;
+    let exporter;
+    let testDataPath;
+
+    const appDocument = '<!DOCTYPE html><html><body><script>document.body.textContent = "tasks </script>";</script></body></html>';
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `app_export_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        exporter = new AppExporter(dbManager);
+
+        await dbManager.registerApp('app_tasks', 'Team Tasks', 'Track tasks', null, 'document.body.textContent = "tasks";');
+        await dbManager.createTableWithOwner('shared', 'tasks', {
+            columns: { title: { type: 'string', required: true }, done: { type: 'boolean' } }
+        }, 'app_tasks', 'Tasks');
+        await dbManager.insertData('shared', 'tasks', { title: 'Write report', done: true });
+        await dbManager.createTable('shared', 'unrelated', { columns: { name: { type: 'string' } } });
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    const embedded = (html, id) => {
+        const match = html.match(new RegExp(`<script type="application/json" id="${id}">([^<]*)</script>`));
+        return JSON.parse(match[1]);
+    };
+
+    test('writes one HTML file with the app document, its tables and the local database', async () => {
+        const filePath = path.join(testDataPath, 'tasks.html');
+        const result = await exporter.exportApp('app_tasks', appDocument, { format: 'html', targetPath: filePath });
+        expect(result).toEqual({ success: true, path: filePath, format: 'html', tables: ['tasks'], rows: 1 });
+
+        const html = await fs.readFile(filePath, 'utf8');
+        expect(html).toContain('<title>Team Tasks</title>');
+        expect(html).toContain('class LocalAppDatabase');
+        expect(html).toContain('class QueryWatcher');
+        expect(embedded(html, 'app-document')).toBe(appDocument);
+
+        // The exported rows are stored values, which the local database reads like the builder
+        const snapshot = embedded(html, 'app-snapshot');
+        expect(snapshot.app).toEqual({ app_id: 'app_tasks', app_name: 'Team Tasks', description: 'Track tasks', version: 1 });
+        expect(Object.keys(snapshot.tables)).toEqual(['tasks']);
+        const db = new LocalAppDatabase({ snapshot });
+        await db.open();
+        expect(await db.queryData('tasks', { columns: ['title', 'done'] })).toEqual([{ title: 'Write report', done: true }]);
+    });
+
+    test('writes an Electron project around the same page', async () => {
+        const result = await exporter.exportApp('app_tasks', appDocument, { format: 'electron', targetPath: testDataPath });
+        const projectDir = path.join(testDataPath, 'team-tasks');
+        expect(result).toMatchObject({ success: true, path: projectDir, format: 'electron' });
+
+        expect((await fs.readdir(projectDir)).sort()).toEqual(['README.md', 'index.html', 'main.js', 'package.json']);
+        const packageJson = JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8'));
+        expect(packageJson).toMatchObject({ name: 'team-tasks', main: 'main.js', scripts: { start: 'electron .' } });
+        expect(packageJson.devDependencies.electron).toBeTruthy();
+        expect(await fs.readFile(path.join(projectDir, 'main.js'), 'utf8')).toContain("loadFile(path.join(__dirname, 'index.html'))");
+
+        // An existing project is not overwritten
+        expect(await exporter.exportApp('app_tasks', appDocument, { format: 'electron', targetPath: testDataPath }))
+            .toEqual({ success: false, error: `${projectDir} already exists` });
+    });
+
+    test('rejects unknown apps and formats', async () => {
+        expect(await exporter.exportApp('app_missing', appDocument, { format: 'html', targetPath: path.join(testDataPath, 'x.html') }))
+            .toEqual({ success: false, error: 'App not found' });
+        expect(await exporter.exportApp('app_tasks', appDocument, { format: 'zip', targetPath: testDataPath }))
+            .toEqual({ success: false, error: 'Unsupported export format: zip' });
+    });
+});
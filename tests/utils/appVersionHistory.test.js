@@ -0,0 +1,81 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const AppVersionHistory = require('../../src/utils/appVersionHistory');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('AppVersionHistory', () => {
+    let dbManager;
+    let history;
+    let testDataPath;
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `app_history_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+
+        await dbManager.registerApp('app_tasks', 'Team Tasks', 'Track tasks', 'A task list', 'render("v1");');
+        await dbManager.createTableWithOwner('shared', 'tasks', {
+            columns: { title: { type: 'string', required: true } }
+        }, 'app_tasks', 'Tasks');
+
+        history = new AppVersionHistory(dbManager);
+        expect(await history.initialize()).toEqual({ success: true, imported: 1 });
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    test('commits the code, prompt and schema of each version and lists them newest first', async () => {
+        await dbManager.updateAppCode('app_tasks', 'render("v2");');
+        const regenerated = await history.recordVersion('app_tasks', 'regenerate');
+        expect(regenerated.commit).toMatch(/^[0-9a-f]{7,40}$/);
+
+        // Nothing changed since the last version
+        expect(await history.recordVersion('app_tasks', 'edit')).toEqual({ success: true, commit: null });
+
+        const result = await history.getHistory('app_tasks');
+        expect(result.versions).toMatchObject([
+            { reason: 'regenerate', version: 2, current: true },
+            { reason: 'import', version: 1, current: false }
+        ]);
+
+        const first = await history.getVersion('app_tasks', result.versions[1].commit);
+        expect(first.version).toMatchObject({ code: 'render("v1");', prompt: 'A task list', app: { app_name: 'Team Tasks', version: 1 } });
+        expect(Object.keys(first.version.schema)).toEqual(['tasks']);
+
+        // The repository lives in the data directory, apart from any surrounding one
+        await expect(fs.access(path.join(testDataPath, 'app-history', '.git'))).resolves.toBeUndefined();
+    });
+
+    test('shows what a version changed compared with the one before it', async () => {
+        await dbManager.updateAppCode('app_tasks', 'render("v2");\nsave();');
+        const { commit } = await history.recordVersion('app_tasks', 'edit');
+
+        const diff = await history.diffVersion('app_tasks', commit);
+        expect(diff.files.map(file => file.file)).toEqual(['app.js', 'app.json']);
+        expect(diff.files[0].summary).toMatchObject({ added: 2, removed: 1 });
+        expect(diff.files[0].unified).toContain('+save();');
+    });
+
+    test('restores an earlier version as the active code and records the restore', async () => {
+        const [imported] = (await history.getHistory('app_tasks')).versions;
+        await dbManager.updateAppCode('app_tasks', 'render("broken");');
+        await history.recordVersion('app_tasks', 'regenerate');
+
+        const restored = await history.restoreVersion('app_tasks', imported.commit);
+        expect(restored).toMatchObject({ success: true, code: 'render("v1");', app: { version: 3 } });
+        expect((await dbManager.getAppInfo('app_tasks')).app.generated_code).toBe('render("v1");');
+
+        const { versions } = await history.getHistory('app_tasks');
+        expect(versions.map(version => version.reason)).toEqual(['restore', 'regenerate', 'import']);
+        expect(versions[0]).toMatchObject({ current: true, version: 3, restoredFrom: imported.commit });
+    });
+
+    test('rejects unknown versions and reasons', async () => {
+        expect(await history.getVersion('app_tasks', 'HEAD')).toEqual({ success: false, error: 'Invalid version: HEAD' });
+        expect((await history.restoreVersion('app_tasks', 'deadbeef')).success).toBe(false);
+        expect(await history.recordVersion('app_tasks', 'rewrite')).toEqual({ success: false, error: 'Unknown version reason: rewrite' });
+    });
+});
@@ -0,0 +1,109 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const ChangeFeed = require('../../src/utils/changeFeed');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('Change feed', () => {
+    let dbManager;
+    let testDataPath;
+    let events;
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `feed_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        events = [];
+        dbManager.on('changes', batch => events.push(...batch));
+
+        await dbManager.createTable('test_db', 'tasks', {
+            columns: {
+                title: { type: 'string', required: true },
+                done: { type: 'boolean' }
+            }
+        });
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    test('should emit row changes with before/after data for every write path', async () => {
+        const { id } = await dbManager.insertData('test_db', 'tasks', { title: 'Write docs', done: false });
+        await dbManager.updateData('test_db', 'tasks', id, { done: true });
+        await dbManager.executeSQL('test_db', 'UPDATE tasks SET title = ? WHERE id = ?', ['Write more docs', id]);
+        await dbManager.insertRows('test_db', 'tasks', [{ title: 'Review' }, { done: true }]);
+        await dbManager.deleteData('test_db', 'tasks', id);
+
+        expect(events.map(event => [event.sequence, event.table, event.op, event.id])).toEqual([
+            [1, 'tasks', 'insert', id],
+            [2, 'tasks', 'update', id],
+            [3, 'tasks', 'update', id],
+            [4, 'tasks', 'insert', id + 1],
+            [5, 'tasks', 'delete', id]
+        ]);
+        expect(events[0]).toMatchObject({ database: 'test_db', before: null, after: { title: 'Write docs', done: false } });
+        expect(events[1].before).toMatchObject({ done: false });
+        expect(events[1].after).toMatchObject({ title: 'Write docs', done: true });
+        expect(events[2].after.title).toBe('Write more docs');
+        expect(events[4]).toMatchObject({ after: null, before: { title: 'Write more docs', done: true } });
+    });
+
+    test('should publish transactions after commit and nothing after a rollback', async () => {
+        await expect(dbManager.transaction('test_db', [
+            { op: 'insert', table: 'tasks', data: { title: 'A' } },
+            { op: 'insert', table: 'tasks', data: {} }
+        ])).rejects.toMatchObject({ operationIndex: 1 });
+        expect(events).toHaveLength(0);
+
+        await dbManager.transaction('test_db', [
+            { op: 'insert', table: 'tasks', data: { title: 'A' } },
+            { op: 'insert', table: 'tasks', data: { title: 'B' } }
+        ]);
+        expect(events.map(event => event.after.title)).toEqual(['A', 'B']);
+
+        // Tables created later are captured too
+        await dbManager.createTable('test_db', 'notes', { columns: { body: { type: 'string' } } });
+        await dbManager.insertData('test_db', 'notes', { body: 'hi' });
+        expect(events[2]).toMatchObject({ sequence: 3, table: 'notes', op: 'insert' });
+    });
+
+    test('should filter per subscription, summarize large writes and catch up after a gap', async () => {
+        const feed = new ChangeFeed(dbManager);
+        const sent = [];
+        const sender = { send: (channel, message) => sent.push({ channel, message }) };
+        const flush = () => new Promise(resolve => setImmediate(resolve));
+
+        await dbManager.createTable('test_db', 'notes', { columns: { body: { type: 'string' } } });
+        const all = feed.subscribe(sender);
+        const notesOnly = feed.subscribe(sender, ['notes']);
+
+        await dbManager.insertData('test_db', 'tasks', { title: 'A' });
+        await dbManager.insertData('test_db', 'notes', { body: 'B' });
+        await flush();
+
+        expect(sent.map(({ message }) => [message.subscriptionId, message.previousSequence, message.events.map(e => e.sequence)])).toEqual([
+            [all.subscriptionId, 0, [1, 2]],
+            [notesOnly.subscriptionId, 0, [2]]
+        ]);
+        expect(sent[0].channel).toBe('db-change-feed');
+
+        // A subscriber that only saw sequence 1 can fetch what it missed
+        expect(feed.changesSince(1).events.map(event => event.sequence)).toEqual([2]);
+        expect(feed.changesSince(0, ['tasks']).events.map(event => event.table)).toEqual(['tasks']);
+
+        feed.unsubscribe(notesOnly.subscriptionId);
+        sent.length = 0;
+        await dbManager.insertRows('test_db', 'tasks', Array.from({ length: 600 }, (_, i) => ({ title: `t${i}` })));
+        await flush();
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0].message).toMatchObject({ previousSequence: 2, events: [{ op: 'bulk', table: 'tasks', count: 600, sequence: 3 }] });
+
+        // History no longer reaches back far enough
+        feed.history.splice(0, 1);
+        expect(feed.changesSince(0)).toMatchObject({ reset: true, sequence: 3 });
+
+        feed.destroy();
+    });
+});
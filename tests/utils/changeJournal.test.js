@@ -0,0 +1,121 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('Change journal', () => {
+    let dbManager;
+    let testDataPath;
+    const testDbName = 'journal_test';
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `journal_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        await dbManager.createTable(testDbName, 'tasks', {
+            columns: {
+                title: { type: 'string', required: true },
+                done: { type: 'boolean', default: false }
+            }
+        });
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    const rows = async () => (await dbManager.queryData(testDbName, 'tasks', { orderBy: 'id' })).data
+        .map(row => ({ id: row.id, title: row.title, done: row.done }));
+
+    test('should undo and redo inserts, updates, deletes and whole transactions', async () => {
+        const { id } = await dbManager.insertData(testDbName, 'tasks', { title: 'Write report' });
+        await dbManager.updateData(testDbName, 'tasks', id, { title: 'Write the report', done: true });
+        await dbManager.deleteData(testDbName, 'tasks', id);
+        await dbManager.transaction(testDbName, [
+            { op: 'insert', table: 'tasks', data: { title: 'A' } },
+            { op: 'insert', table: 'tasks', data: { title: 'B' } }
+        ]);
+        expect((await rows()).map(row => row.title)).toEqual(['A', 'B']);
+
+        const undoTransaction = await dbManager.undo(testDbName);
+        expect(undoTransaction).toMatchObject({ success: true, tables: ['tasks'] });
+        expect(undoTransaction.changes.map(change => change.action)).toEqual(['delete', 'delete']);
+        expect(await rows()).toEqual([]);
+
+        await dbManager.undo(testDbName);
+        expect(await rows()).toEqual([{ id, title: 'Write the report', done: true }]);
+        await dbManager.undo(testDbName);
+        expect(await rows()).toEqual([{ id, title: 'Write report', done: false }]);
+
+        await dbManager.redo(testDbName);
+        expect(await rows()).toEqual([{ id, title: 'Write the report', done: true }]);
+
+        const state = await dbManager.getJournalState(testDbName);
+        expect(state.undo).toMatchObject({ tables: ['tasks'] });
+        expect(state.redo).toMatchObject({ tables: ['tasks'] });
+
+        // A new write ends the redo history
+        await dbManager.insertData(testDbName, 'tasks', { title: 'C' });
+        expect(await dbManager.redo(testDbName)).toEqual({ success: false, error: 'Nothing to redo' });
+    });
+
+    test('should limit undo to the writes of one app and refuse to overwrite newer changes', async () => {
+        const { id } = await dbManager.insertData(testDbName, 'tasks', { title: 'Shared' }, { appId: 'app_notes' });
+        await dbManager.insertData(testDbName, 'tasks', { title: 'Other' }, { appId: 'app_tasks' });
+        await dbManager.updateData(testDbName, 'tasks', id, { title: 'Edited by notes' }, { appId: 'app_notes' });
+
+        // app_notes' latest write is the update, even though app_tasks wrote after its insert
+        await dbManager.undo(testDbName, { appId: 'app_notes' });
+        expect((await rows()).map(row => row.title)).toEqual(['Shared', 'Other']);
+
+        // Another app changes the row; undoing app_notes' insert would lose that change
+        await dbManager.updateData(testDbName, 'tasks', id, { done: true }, { appId: 'app_tasks' });
+        expect(await dbManager.undo(testDbName, { appId: 'app_notes' })).toEqual({
+            success: false,
+            error: "Cannot undo: row 1 of 'tasks' has changed since",
+            conflict: { table: 'tasks', id }
+        });
+        expect(await dbManager.undo(testDbName, { appId: 'app_calendar' })).toEqual({ success: false, error: 'Nothing to undo' });
+    });
+
+    test('should publish undone changes on the change feed without journaling them', async () => {
+        const { id } = await dbManager.insertData(testDbName, 'tasks', { title: 'Feed' });
+        const events = [];
+        dbManager.on('changes', batch => events.push(...batch));
+
+        await dbManager.undo(testDbName);
+        expect(events).toEqual([expect.objectContaining({ table: 'tasks', op: 'delete', id, after: null })]);
+
+        const { history } = await dbManager.getRowHistory(testDbName, 'tasks', id);
+        expect(history).toHaveLength(1);
+        expect(history[0]).toMatchObject({ op: 'insert', undone: true, before: null, after: { title: 'Feed', done: false } });
+    });
+
+    test('should list the history of a row with one entry per update', async () => {
+        const { id } = await dbManager.insertData(testDbName, 'tasks', { title: 'v1' }, { appId: 'app_tasks' });
+        await dbManager.updateData(testDbName, 'tasks', id, { title: 'v2' });
+        await dbManager.executeSQL(testDbName, 'UPDATE tasks SET done = 1 WHERE id = ?', [id]);
+
+        const { success, history } = await dbManager.getRowHistory(testDbName, 'tasks', id);
+        expect(success).toBe(true);
+        expect(history.map(entry => entry.op)).toEqual(['update', 'update', 'insert']);
+        expect(history[0]).toMatchObject({ before: { done: false }, after: { done: true }, appId: null, undone: false });
+        expect(history[1]).toMatchObject({ before: { title: 'v1' }, after: { title: 'v2' } });
+        expect(history[2].appId).toBe('app_tasks');
+    });
+
+    test('should prune entries past the retention period and stop journaling at 0 days', async () => {
+        await dbManager.insertData(testDbName, 'tasks', { title: 'Old' });
+        const db = await dbManager.connectDatabase(testDbName);
+        db.prepare('UPDATE _change_journal SET created_at = ?').run(Date.now() - 40 * 24 * 60 * 60 * 1000);
+        await dbManager.insertData(testDbName, 'tasks', { title: 'New' });
+
+        expect(dbManager.pruneJournals()).toBe(1);
+        expect(db.prepare('SELECT COUNT(*) AS count FROM _change_journal').get().count).toBe(1);
+
+        dbManager.setJournalRetention(0);
+        await dbManager.insertData(testDbName, 'tasks', { title: 'Not journaled' });
+        expect(db.prepare('SELECT COUNT(*) AS count FROM _change_journal').get().count).toBe(0);
+        expect(() => dbManager.setJournalRetention(-1)).toThrow('Journal retention must be a number of days');
+    });
+});
@@ -0,0 +1,116 @@
+const Database = require('better-sqlite3-multiple-ciphers');
+const DatabaseManager = require('../../src/utils/databaseManager');
+const DataExporter = require('../../src/utils/dataExporter');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('DataExporter', () => {
+    let dbManager;
+    let exporter;
+    let testDataPath;
+
+    const outputPath = (name) => path.join(testDataPath, name);
+    const readRows = (db, table) => db.prepare(`SELECT id, title, done, meta FROM ${table} ORDER BY id`).all();
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `export_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        exporter = new DataExporter(dbManager);
+
+        await dbManager.createTable('test_db', 'notes', {
+            columns: {
+                title: { type: 'string', required: true, searchable: true },
+                done: { type: 'boolean', default: false },
+                meta: { type: 'json' }
+            }
+        });
+        await dbManager.createTable('test_db', 'tags', { columns: { label: { type: 'string', unique: true } } });
+
+        const db = await dbManager.connectDatabase('test_db');
+        const insert = db.prepare('INSERT INTO notes (title, done, meta) VALUES (?, ?, ?)');
+        insert.run('Plain', 0, null);
+        insert.run('Quote " and, comma', 1, '{"pinned":true}');
+        insert.run("It's\nmultiline", 0, '[1,2]');
+        db.prepare('INSERT INTO tags (label) VALUES (?)').run('work');
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    test('should export one table to CSV', async () => {
+        const result = await exporter.exportToFile('test_db', outputPath('notes.csv'), { format: 'csv', table: 'notes' });
+
+        expect(result).toMatchObject({ success: true, format: 'csv', tables: ['notes'], rows: 3 });
+        const lines = (await fs.readFile(outputPath('notes.csv'), 'utf8')).split('\r\n');
+        expect(lines[0]).toBe('id,title,done,meta,created_at,updated_at');
+        expect(lines[1]).toMatch(/^1,Plain,false,,/);
+        expect(lines[2]).toMatch(/^2,"Quote "" and, comma",true,"{""pinned"":true}",/);
+        expect(lines[3]).toMatch(/^3,"It's\nmultiline",false,"\[1,2\]",/);
+        await expect(fs.access(outputPath('notes.csv.part'))).rejects.toThrow();
+    });
+
+    test('should export NDJSON with a table field for whole-database exports', async () => {
+        const single = await exporter.exportToFile('test_db', outputPath('notes.ndjson'), { format: 'ndjson', table: 'notes' });
+        expect(single.rows).toBe(3);
+        const rows = (await fs.readFile(outputPath('notes.ndjson'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(rows[1]).toMatchObject({ id: 2, done: true, meta: { pinned: true } });
+
+        const all = await exporter.exportToFile('test_db', outputPath('all.ndjson'), { format: 'ndjson' });
+        expect(all.tables).toEqual(['notes', 'tags']);
+        const lines = (await fs.readFile(outputPath('all.ndjson'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line._table)).toEqual(['notes', 'notes', 'notes', 'tags']);
+    });
+
+    test('should write a SQL dump that recreates the tables', async () => {
+        const result = await exporter.exportToFile('test_db', outputPath('dump.sql'), { format: 'sql' });
+        expect(result.rows).toBe(4);
+
+        const dump = await fs.readFile(outputPath('dump.sql'), 'utf8');
+        // Internal tables and the full-text index triggers stay out of the dump
+        expect(dump).not.toMatch(/_metadata|_fts_/);
+
+        const restored = new Database(':memory:');
+        restored.exec(dump);
+        expect(readRows(restored, 'notes')).toEqual([
+            { id: 1, title: 'Plain', done: 0, meta: null },
+            { id: 2, title: 'Quote " and, comma', done: 1, meta: '{"pinned":true}' },
+            { id: 3, title: "It's\nmultiline", done: 0, meta: '[1,2]' }
+        ]);
+        const trigger = restored.prepare("SELECT name FROM sqlite_master WHERE type = 'trigger'").get();
+        expect(trigger.name).toBe('update_notes_updated_at');
+        expect(() => restored.prepare('INSERT INTO tags (label) VALUES (?)').run('work')).toThrow(/UNIQUE/);
+        restored.close();
+    });
+
+    test('should copy tables into a standalone SQLite file', async () => {
+        const result = await exporter.exportToFile('test_db', outputPath('copy.sqlite'), { format: 'sqlite', table: 'notes' });
+        expect(result).toMatchObject({ success: true, tables: ['notes'], rows: 3 });
+
+        const copy = new Database(outputPath('copy.sqlite'), { readonly: true });
+        expect(readRows(copy, 'notes').map(row => row.title)).toEqual(['Plain', 'Quote " and, comma', "It's\nmultiline"]);
+        expect(copy.prepare("SELECT name FROM sqlite_master WHERE name = 'tags'").get()).toBeUndefined();
+        copy.close();
+    });
+
+    test('should stream JSON in the exportDatabase shape', async () => {
+        await exporter.exportToFile('test_db', outputPath('all.json'), { format: 'json' });
+
+        const exported = JSON.parse(await fs.readFile(outputPath('all.json'), 'utf8'));
+        const inMemory = (await dbManager.exportDatabase('test_db')).export;
+        expect(Object.keys(exported.tables)).toEqual(Object.keys(inMemory.tables));
+        expect(exported.tables.notes).toEqual(inMemory.tables.notes);
+    });
+
+    test('should reject invalid requests without leaving files behind', async () => {
+        expect((await exporter.exportToFile('test_db', outputPath('x.csv'), { format: 'csv' })).error).toBe('CSV export needs a table');
+        expect((await exporter.exportToFile('test_db', outputPath('x.xml'), { format: 'xml' })).error).toMatch(/Unsupported export format/);
+        expect((await exporter.exportToFile('test_db', outputPath('x.sql'), { format: 'sql', table: 'missing' })).error)
+            .toBe("Table 'missing' does not exist");
+
+        const files = await fs.readdir(testDataPath);
+        expect(files.filter(file => file.startsWith('x.'))).toEqual([]);
+    });
+});
@@ -0,0 +1,144 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const DataImporter = require('../../src/utils/dataImporter');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('DataImporter', () => {
+    let dbManager;
+    let importer;
+    let testDataPath;
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `import_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        importer = new DataImporter(dbManager);
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    const csv = [
+        'Name,Age,Score,Active,Joined,Notes',
+        'Ada,36,91.5,true,2024-01-15,"Likes ""math"", tea"',
+        'Linus,28,88,false,2024-02-01,"Line one',
+        'line two"',
+        'Grace,,79.25,TRUE,2024-03-10,',
+        'Broken,row'
+    ].join('\r\n');
+
+    test('should parse quoted CSV and infer column types', () => {
+        const preview = importer.preview('people.csv', csv);
+
+        expect(preview.success).toBe(true);
+        expect(preview.format).toBe('csv');
+        expect(preview.rowCount).toBe(3);
+        expect(preview.columns.map(c => [c.name, c.target, c.type, c.sqliteType])).toEqual([
+            ['Name', 'name', 'string', 'TEXT'],
+            ['Age', 'age', 'integer', 'INTEGER'],
+            ['Score', 'score', 'number', 'REAL'],
+            ['Active', 'active', 'boolean', 'INTEGER'],
+            ['Joined', 'joined', 'date', 'DATETIME'],
+            ['Notes', 'notes', 'string', 'TEXT']
+        ]);
+        expect(preview.sample[0].Notes).toBe('Likes "math", tea');
+        expect(preview.sample[1].Notes).toBe('Line one\r\nline two');
+        expect(preview.rejected).toEqual([{ row: 6, error: 'Expected 6 fields, found 2' }]);
+    });
+
+    test('should parse TSV, JSON and NDJSON', () => {
+        const tsv = importer.preview('items.tsv', 'sku\tqty\nA-1\t3\nA-2\t007\n');
+        expect(tsv.columns.map(c => c.type)).toEqual(['string', 'string']);
+
+        const json = importer.preview('items.json', JSON.stringify([{ sku: 'A', tags: ['x'] }, { sku: 'B', price: 2.5 }, 'oops']));
+        expect(json.columns.map(c => [c.name, c.type])).toEqual([['sku', 'string'], ['tags', 'json'], ['price', 'number']]);
+        expect(json.rejected).toEqual([{ row: 3, error: 'Expected an object' }]);
+
+        const ndjson = importer.preview('items.ndjson', '{"id": 7, "sku": "A"}\n\n{bad json}\n{"sku": "B"}\n');
+        expect(ndjson.rowCount).toBe(2);
+        expect(ndjson.columns.map(c => c.target)).toEqual([null, 'sku']);
+        expect(ndjson.rejected.map(r => r.row)).toEqual([3]);
+
+        expect(importer.preview('items.xlsx', 'x').error).toMatch(/Cannot detect the format/);
+    });
+
+    test('should create a table and import in batches, reporting rejected rows', async () => {
+        const preview = importer.preview('people.csv', csv);
+        const progress = [];
+
+        const result = await importer.importStaged('test_db', preview.importId, {
+            table: 'people',
+            createTable: true,
+            types: { age: 'integer' },
+            batchSize: 2,
+            onProgress: (update) => progress.push(update)
+        });
+
+        expect(result).toMatchObject({ success: true, table: 'people', created: true, total: 3, inserted: 3, rejectedCount: 1 });
+        expect(progress.map(p => p.processed)).toEqual([2, 3]);
+
+        const rows = (await dbManager.queryData('test_db', 'people', { orderBy: 'id' })).data;
+        expect(rows.map(row => [row.name, row.age, row.score, row.active])).toEqual([
+            ['Ada', 36, 91.5, true],
+            ['Linus', 28, 88, false],
+            ['Grace', null, 79.25, true]
+        ]);
+
+        // The staged rows are released after the import
+        expect((await importer.importStaged('test_db', preview.importId, { table: 'people' })).error).toMatch(/not found/);
+    });
+
+    test('should map columns onto an existing table and reject rows that do not fit', async () => {
+        await dbManager.createTable('test_db', 'contacts', {
+            columns: {
+                full_name: { type: 'string', required: true },
+                email: { type: 'string', unique: true },
+                age: { type: 'integer' }
+            }
+        });
+        await dbManager.insertData('test_db', 'contacts', { full_name: 'Existing', email: 'taken@example.com' });
+
+        const preview = importer.preview('contacts.csv', [
+            'Name,E-mail,Age,Ignored',
+            'Ann,ann@example.com,31,x',
+            ',nobody@example.com,20,x',
+            'Bob,bob@example.com,thirty,x',
+            'Cy,taken@example.com,40,x'
+        ].join('\n'));
+
+        const result = await importer.importStaged('test_db', preview.importId, {
+            table: 'contacts',
+            mapping: { Name: 'full_name', 'E-mail': 'email', Ignored: null }
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.inserted).toBe(1);
+        expect(result.rejected).toEqual([
+            { row: 3, error: "Column 'full_name' is required" },
+            { row: 4, error: `Column 'age': "thirty" is not an integer` },
+            { row: 5, error: expect.stringMatching(/UNIQUE/) }
+        ]);
+
+        const names = (await dbManager.queryData('test_db', 'contacts', { orderBy: 'id' })).data.map(row => row.full_name);
+        expect(names).toEqual(['Existing', 'Ann']);
+    });
+
+    test('should validate the target before writing anything', async () => {
+        await dbManager.createTable('test_db', 'contacts', { columns: { full_name: { type: 'string' } } });
+        const stage = () => importer.preview('contacts.csv', 'name,city\nAnn,Oslo\n').importId;
+
+        expect((await importer.importStaged('test_db', stage(), { table: 'contacts', mapping: { name: 'full_name' } })).error)
+            .toBe("Unknown column(s) in table 'contacts': city");
+        expect((await importer.importStaged('test_db', stage(), { table: 'contacts', createTable: true })).error)
+            .toBe("Table 'contacts' already exists");
+        expect((await importer.importStaged('test_db', stage(), { table: 'missing' })).error)
+            .toBe("Table 'missing' does not exist");
+        expect((await importer.importStaged('test_db', stage(), { table: 'dup', createTable: true, mapping: { city: 'name' } })).error)
+            .toBe("Column 'name' is mapped more than once");
+
+        const rows = (await dbManager.queryData('test_db', 'contacts')).data;
+        expect(rows).toHaveLength(0);
+    });
+});
@@ -214,6 +214,227 @@ describe('DatabaseManager', () => {
         });
     });
 
+    describe('Transactions', () => {
+        beforeEach(async () => {
+            await dbManager.createTable('test_db', 'accounts', {
+                columns: {
+                    owner: { type: 'string', required: true },
+                    balance: { type: 'integer', default: 0 }
+                }
+            });
+            await dbManager.insertData('test_db', 'accounts', { owner: 'alice', balance: 100 });
+            await dbManager.insertData('test_db', 'accounts', { owner: 'bob', balance: 20 });
+        });
+
+        const balances = async () => (await dbManager.queryData('test_db', 'accounts', { orderBy: 'id' }))
+            .data.map(row => [row.owner, row.balance]);
+
+        test('should apply all operations and return per-operation results', async () => {
+            const result = await dbManager.transaction('test_db', [
+                { op: 'update', table: 'accounts', id: 1, data: { balance: 70 } },
+                { op: 'update', table: 'accounts', id: 2, data: { balance: 50 } },
+                { op: 'insert', table: 'accounts', data: { owner: 'carol', balance: 5 } },
+                { op: 'delete', table: 'accounts', id: 99 }
+            ]);
+
+            expect(result.success).toBe(true);
+            expect(result.results).toEqual([
+                { success: true, id: 1, changes: 1 },
+                { success: true, id: 2, changes: 1 },
+                { success: true, id: 3, changes: 1 },
+                { success: true, id: 99, changes: 0 }
+            ]);
+            expect(result.changes.map(change => change.action)).toEqual(['update', 'update', 'insert', 'delete']);
+            expect(await balances()).toEqual([['alice', 70], ['bob', 50], ['carol', 5]]);
+        });
+
+        test('should roll back every write when one operation fails', async () => {
+            await expect(dbManager.transaction('test_db', [
+                { op: 'update', table: 'accounts', id: 1, data: { balance: 0 } },
+                { op: 'insert', table: 'accounts', data: { owner: 'dave' } },
+                { op: 'insert', table: 'missing_table', data: { owner: 'erin' } }
+            ])).rejects.toMatchObject({ operationIndex: 2 });
+
+            expect(await balances()).toEqual([['alice', 100], ['bob', 20]]);
+        });
+
+        test('should reject invalid operations before writing', async () => {
+            await expect(dbManager.transaction('test_db', [
+                { op: 'insert', table: 'accounts', data: { owner: 'dave' } },
+                { op: 'upsert', table: 'accounts', data: {} }
+            ])).rejects.toThrow('Operation 1 (upsert accounts) failed: Unsupported operation: upsert');
+            await expect(dbManager.transaction('test_db', [{ op: 'delete', table: 'accounts' }]))
+                .rejects.toThrow(/requires a positive integer id/);
+            await expect(dbManager.transaction('test_db', [])).rejects.toThrow(/non-empty array/);
+
+            expect(await balances()).toEqual([['alice', 100], ['bob', 20]]);
+        });
+    });
+
+    describe('Query Builder', () => {
+        beforeEach(async () => {
+            await dbManager.createTable('test_db', 'orders', {
+                columns: {
+                    customer: { type: 'string', required: true },
+                    status: { type: 'string' },
+                    total: { type: 'number' },
+                    paid: { type: 'boolean', default: false }
+                }
+            });
+            const orders = [
+                { customer: 'alice', status: 'open', total: 10, paid: 1 },
+                { customer: 'alice', status: 'closed', total: 30, paid: 1 },
+                { customer: 'bob', status: 'open', total: 5, paid: 0 },
+                { customer: 'bob', total: 50, paid: 0 },
+                { customer: 'carol', status: 'closed', total: 100, paid: 1 }
+            ];
+            for (const order of orders) {
+                await dbManager.insertData('test_db', 'orders', order);
+            }
+        });
+
+        test('should combine nested $and / $or groups', async () => {
+            const result = await dbManager.queryData('test_db', 'orders', {
+                where: {
+                    $or: [
+                        { status: 'open', total: { $gt: 8 } },
+                        { $and: [{ customer: 'carol' }, { total: { $gte: 100 } }] }
+                    ]
+                },
+                orderBy: 'total'
+            });
+
+            expect(result.data.map(row => row.total)).toEqual([10, 100]);
+        });
+
+        test('should support $ne, $nin, $between and $null', async () => {
+            const query = async (where) => (await dbManager.queryData('test_db', 'orders', { where, orderBy: 'id' }))
+                .data.map(row => row.total);
+
+            expect(await query({ status: { $ne: 'open' } })).toEqual([30, 50, 100]);
+            expect(await query({ customer: { $nin: ['alice', 'bob'] } })).toEqual([100]);
+            expect(await query({ customer: { $nin: [] } })).toHaveLength(5);
+            expect(await query({ customer: { $in: [] } })).toEqual([]);
+            expect(await query({ total: { $between: [10, 50] } })).toEqual([10, 30, 50]);
+            expect(await query({ status: { $null: true } })).toEqual([50]);
+            expect(await query({ status: null })).toEqual([50]);
+            expect(await query({ status: { $null: false }, paid: false })).toEqual([5]);
+        });
+
+        test('should project selected columns', async () => {
+            const result = await dbManager.queryData('test_db', 'orders', {
+                columns: ['customer', 'total'],
+                where: { customer: 'carol' }
+            });
+
+            expect(result.data).toEqual([{ customer: 'carol', total: 100 }]);
+        });
+
+        test('should reject unknown columns and operators', async () => {
+            await expect(dbManager.queryData('test_db', 'orders', { where: { missing: 1 } }))
+                .rejects.toThrow('Unknown column in query: missing');
+            await expect(dbManager.queryData('test_db', 'orders', { columns: ['total', 'secret'] }))
+                .rejects.toThrow(/secret/);
+            await expect(dbManager.queryData('test_db', 'orders', { orderBy: 'missing DESC' }))
+                .rejects.toThrow(/missing/);
+            await expect(dbManager.queryData('test_db', 'orders', { where: { total: { $regex: 'x' } } }))
+                .rejects.toThrow('Unsupported query operator: $regex');
+        });
+
+        test('should aggregate with groupBy and having', async () => {
+            const result = await dbManager.aggregate('test_db', 'orders', {
+                count: true,
+                sum: 'total',
+                max: 'total',
+                where: { paid: true },
+                groupBy: 'customer',
+                having: { count: { $gte: 1 }, sum_total: { $gt: 20 } },
+                orderBy: 'sum_total DESC'
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.data).toEqual([
+                { customer: 'carol', count: 1, sum_total: 100, max_total: 100 },
+                { customer: 'alice', count: 2, sum_total: 40, max_total: 30 }
+            ]);
+        });
+
+        test('should aggregate a whole table', async () => {
+            const result = await dbManager.aggregate('test_db', 'orders', {
+                count: 'status',
+                avg: 'total',
+                min: ['total', 'customer']
+            });
+
+            expect(result.data).toEqual([{ count_status: 4, avg_total: 39, min_total: 5, min_customer: 'alice' }]);
+        });
+
+        test('should validate aggregate columns', async () => {
+            await expect(dbManager.aggregate('test_db', 'orders', { sum: 'price' }))
+                .rejects.toThrow("Unknown column in table 'orders': price");
+            await expect(dbManager.aggregate('test_db', 'orders', { groupBy: 'customer' }))
+                .rejects.toThrow(/requires at least one/);
+            await expect(dbManager.aggregate('test_db', 'orders', { count: true, having: { total: { $gt: 1 } } }))
+                .rejects.toThrow(/having can only use/);
+        });
+    });
+
+    describe('Full-Text Search', () => {
+        beforeEach(async () => {
+            await dbManager.createTable('test_db', 'notes', {
+                columns: {
+                    title: { type: 'string', required: true, searchable: true },
+                    body: { type: 'string', searchable: true },
+                    pinned: { type: 'boolean', default: false }
+                }
+            });
+            await dbManager.insertData('test_db', 'notes', { title: 'Meeting agenda', body: 'Budget review and hiring plan' });
+            await dbManager.insertData('test_db', 'notes', { title: 'Groceries', body: 'Milk, eggs, café au lait' });
+            await dbManager.insertData('test_db', 'notes', { title: 'Budget', body: 'Quarterly budget <draft> for the budget meeting' });
+        });
+
+        test('should rank matching rows and keep the index in sync', async () => {
+            let result = await dbManager.search('test_db', 'notes', 'budget');
+            expect(result.data.map(row => row.title)).toEqual(['Budget', 'Meeting agenda']);
+            expect(result.data[0].pinned).toBe(false);
+            expect(typeof result.data[0]._rank).toBe('number');
+
+            await dbManager.updateData('test_db', 'notes', 2, { body: 'Budget for snacks' });
+            await dbManager.deleteData('test_db', 'notes', 1);
+
+            result = await dbManager.search('test_db', 'notes', 'budget');
+            expect(result.data.map(row => row.id).sort()).toEqual([2, 3]);
+            expect((await dbManager.search('test_db', 'notes', 'hiring')).data).toEqual([]);
+        });
+
+        test('should match word prefixes and ignore accents', async () => {
+            expect((await dbManager.search('test_db', 'notes', 'meet')).data).toHaveLength(2);
+            expect((await dbManager.search('test_db', 'notes', 'cafe')).data[0].title).toBe('Groceries');
+        });
+
+        test('should return escaped snippets when highlighting', async () => {
+            const result = await dbManager.search('test_db', 'notes', 'draft', { highlight: true });
+            expect(result.data[0]._snippet).toBe('Quarterly budget &lt;<mark>draft</mark>&gt; for the budget meeting');
+        });
+
+        test('should treat search syntax as plain text', async () => {
+            expect((await dbManager.search('test_db', 'notes', 'budget" OR "milk')).success).toBe(true);
+            expect((await dbManager.search('test_db', 'notes', 'title:milk NEAR(')).success).toBe(true);
+            expect((await dbManager.search('test_db', 'notes', '  ')).data).toEqual([]);
+        });
+
+        test('should require searchable columns and clean up with the table', async () => {
+            await dbManager.createTable('test_db', 'plain', { columns: { name: { type: 'string' } } });
+            await expect(dbManager.search('test_db', 'plain', 'x')).rejects.toThrow(/no searchable columns/);
+
+            await dbManager.dropTable('test_db', 'notes');
+            const db = await dbManager.connectDatabase('test_db');
+            const leftovers = db.prepare("SELECT name FROM sqlite_master WHERE name LIKE '%fts_notes%'").all();
+            expect(leftovers).toEqual([]);
+            expect((await dbManager.listTables('test_db')).tables).toEqual(['plain']);
+        });
+    });
+
     describe('Database Management', () => {
         test('should list tables in database', async () => {
             // Create test tables
@@ -330,6 +551,69 @@ describe('DatabaseManager', () => {
         });
     });
 
+    describe('AI Usage Accounting', () => {
+        test('should aggregate recorded usage by app, operation and day', async () => {
+            await dbManager.registerApp('app_usage_1', 'Usage App');
+            await dbManager.recordAIUsage({
+                operation: 'generate-code', provider: 'anthropic', model: 'claude-3-5-sonnet',
+                inputTokens: 1000, outputTokens: 200, costUsd: 0.006, sessionId: 'session_1_abc', appId: 'app_usage_1'
+            });
+            await dbManager.recordAIUsage({
+                operation: 'regenerate-app', provider: 'anthropic', model: 'claude-3-5-sonnet',
+                inputTokens: 500, outputTokens: 100, costUsd: 0.003, appId: 'app_usage_1'
+            });
+            await dbManager.recordAIUsage({
+                operation: 'generate-schema', provider: 'fixture', model: 'fixture:schema',
+                inputTokens: 10, outputTokens: 5, costUsd: 0
+            });
+
+            const totals = await dbManager.getAIUsageTotals();
+            expect(totals.success).toBe(true);
+            expect(totals.totals).toMatchObject({ calls: 3, inputTokens: 1510, outputTokens: 305 });
+            expect(totals.totals.costUsd).toBeCloseTo(0.009);
+
+            const { report } = await dbManager.getAIUsageReport({ days: 7 });
+            expect(report.byDay).toHaveLength(1);
+            expect(report.byApp).toEqual([
+                expect.objectContaining({ appId: 'app_usage_1', appName: 'Usage App', calls: 2, inputTokens: 1500 })
+            ]);
+            expect(report.bySession).toEqual([expect.objectContaining({ sessionId: 'session_1_abc', calls: 1 })]);
+            expect(report.byOperation.map(row => row.operation)).toEqual(['generate-code', 'regenerate-app', 'generate-schema']);
+        });
+    });
+
+    describe('App Table Permissions', () => {
+        test('should allow owners, ask for tables of other apps and apply stored decisions', async () => {
+            await dbManager.registerApp('app_tasks', 'Tasks');
+            await dbManager.registerApp('app_notes', 'Notes');
+            expect(await dbManager.createTable('shared', 'tasks', { columns: { title: { type: 'string' } } })).toMatchObject({ created: true });
+            await dbManager.createTable('shared', 'tags', { columns: { name: { type: 'string' } } });
+            // Apps claim only tables their createTable call made
+            expect(await dbManager.createTable('shared', 'tags', { columns: { name: { type: 'string' } } })).toEqual({ success: true, table: 'tags', created: false });
+            expect(await dbManager.claimTable('app_tasks', 'tasks')).toEqual({ success: true, owner: 'app_tasks' });
+            // An owned table cannot be claimed by another app
+            expect(await dbManager.claimTable('app_notes', 'tasks')).toEqual({ success: true, owner: 'app_tasks' });
+
+            expect(await dbManager.checkTableAccess('app_tasks', 'tasks', 'schema')).toMatchObject({ allowed: true });
+            expect(await dbManager.checkTableAccess('app_notes', 'tags', 'write')).toMatchObject({ allowed: true, owner: null });
+            expect(await dbManager.checkTableAccess('app_notes', 'tasks', 'read')).toEqual({
+                success: true, allowed: false, prompt: true, owner: 'app_tasks'
+            });
+
+            await dbManager.setTablePermission('app_notes', 'tasks', { read: true });
+            expect(await dbManager.checkTableAccess('app_notes', 'tasks', 'read')).toMatchObject({ allowed: true });
+            expect(await dbManager.checkTableAccess('app_notes', 'tasks', 'write')).toMatchObject({ allowed: false });
+            expect((await dbManager.checkTableAccess('app_notes', 'tasks', 'delete')).error).toBe('Unknown access type: delete');
+
+            const { manifest } = await dbManager.getAppPermissions('app_notes');
+            expect(manifest.tables).toEqual({ tasks: { read: true, write: false, schema: false, owner: false } });
+            expect((await dbManager.getAppPermissions('app_tasks')).manifest.tables.tasks.owner).toBe(true);
+
+            await dbManager.clearTablePermission('app_notes', 'tasks');
+            expect(await dbManager.checkTableAccess('app_notes', 'tasks', 'read')).toMatchObject({ prompt: true });
+        });
+    });
+
     describe('Performance', () => {
         test('should handle bulk data operations efficiently', async () => {
             const schema = {
@@ -0,0 +1,167 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const MigrationEngine = require('../../src/utils/migrationEngine');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('MigrationEngine', () => {
+    let dbManager;
+    let engine;
+    let testDataPath;
+    let db;
+
+    const columnsOf = (table) => db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    const indexesOf = (table) => db.prepare(`PRAGMA index_list(${table})`).all()
+        .filter(index => index.origin === 'c')
+        .map(index => index.name);
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `migrations_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        engine = new MigrationEngine(dbManager);
+
+        await dbManager.createTable('test_db', 'tasks', {
+            columns: {
+                title: { type: 'string', required: true },
+                code: { type: 'string', unique: true },
+                estimate: { type: 'string' }
+            }
+        });
+        await dbManager.insertData('test_db', 'tasks', { title: 'Write docs', code: 'T1', estimate: '3' });
+        await dbManager.insertData('test_db', 'tasks', { title: 'Fix bug', code: 'T2', estimate: '5' });
+        db = await dbManager.connectDatabase('test_db');
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    const addPriority = {
+        id: '001_add_priority',
+        name: 'Add priority',
+        up: [
+            { type: 'addColumn', table: 'tasks', column: 'priority', definition: { type: 'integer', default: 1 } },
+            { type: 'createIndex', table: 'tasks', columns: ['priority'] }
+        ]
+    };
+
+    test('should plan a migration without applying it', async () => {
+        const result = await engine.migrate('test_db', addPriority, { dryRun: true });
+
+        expect(result.success).toBe(true);
+        expect(result.dryRun).toBe(true);
+        expect(result.plan.statements).toEqual([
+            'ALTER TABLE "tasks" ADD COLUMN "priority" INTEGER DEFAULT 1',
+            'CREATE INDEX "idx_tasks_priority" ON "tasks" ("priority")'
+        ]);
+        expect(result.plan.down).toEqual([
+            { type: 'dropIndex', table: 'tasks', name: 'idx_tasks_priority' },
+            { type: 'dropColumn', table: 'tasks', column: 'priority' }
+        ]);
+        expect(columnsOf('tasks')).not.toContain('priority');
+        expect((await engine.listMigrations('test_db')).migrations).toEqual([]);
+    });
+
+    test('should back up, apply and record a migration', async () => {
+        const result = await engine.migrate('test_db', addPriority);
+
+        expect(result.success).toBe(true);
+        await expect(fs.access(result.backupPath)).resolves.toBeUndefined();
+        expect(columnsOf('tasks')).toContain('priority');
+        expect(indexesOf('tasks')).toEqual(['idx_tasks_priority']);
+
+        const rows = await dbManager.queryData('test_db', 'tasks', { where: { priority: 1 } });
+        expect(rows.data).toHaveLength(2);
+
+        const schema = await dbManager.getTableSchema(db, 'tasks');
+        expect(schema.columns.priority).toEqual({ type: 'integer', default: 1 });
+
+        const listed = await engine.listMigrations('test_db');
+        expect(listed.migrations.map(m => m.id)).toEqual(['001_add_priority']);
+
+        const again = await engine.migrate('test_db', addPriority, { backup: false });
+        expect(again.success).toBe(false);
+        expect(again.error).toMatch(/already been applied/);
+    });
+
+    test('should change a column type by rebuilding the table', async () => {
+        const result = await engine.migrate('test_db', {
+            id: '002_numeric_estimate',
+            up: [{ type: 'changeColumnType', table: 'tasks', column: 'estimate', newType: 'number' }]
+        }, { backup: false });
+
+        expect(result.success).toBe(true);
+        expect(result.plan.statements[0]).toMatch(/^CREATE TABLE "tasks__migrating"/);
+
+        const rows = (await dbManager.queryData('test_db', 'tasks', { orderBy: 'id' })).data;
+        expect(rows.map(row => [row.id, row.estimate])).toEqual([[1, 3], [2, 5]]);
+
+        // Constraints, autoincrement and the updated_at trigger survive the rebuild
+        await expect(dbManager.insertData('test_db', 'tasks', { title: 'Dup', code: 'T1' })).rejects.toMatchObject({ code: 'SQLITE_CONSTRAINT_UNIQUE' });
+        const inserted = await dbManager.insertData('test_db', 'tasks', { title: 'New', code: 'T3', estimate: 2.5 });
+        expect(inserted.id).toBe(3);
+        const trigger = db.prepare("SELECT name FROM sqlite_master WHERE type = 'trigger' AND tbl_name = 'tasks'").get();
+        expect(trigger.name).toBe('update_tasks_updated_at');
+    });
+
+    test('should roll back to a recorded migration', async () => {
+        await engine.migrate('test_db', addPriority, { backup: false });
+        await engine.migrate('test_db', {
+            id: '002_rename_and_drop',
+            up: [
+                { type: 'renameColumn', table: 'tasks', from: 'title', to: 'summary' },
+                { type: 'dropColumn', table: 'tasks', column: 'estimate' }
+            ]
+        }, { backup: false });
+        expect(columnsOf('tasks')).toEqual(['id', 'summary', 'code', 'created_at', 'updated_at', 'priority']);
+
+        const preview = await engine.rollback('test_db', '001_add_priority', { dryRun: true });
+        expect(preview.rolledBack).toEqual(['002_rename_and_drop']);
+        expect(columnsOf('tasks')).toContain('summary');
+
+        const result = await engine.rollback('test_db', '001_add_priority');
+        expect(result.success).toBe(true);
+        expect(result.backupPath).toBeTruthy();
+        expect(columnsOf('tasks')).toEqual(['id', 'title', 'code', 'created_at', 'updated_at', 'priority', 'estimate']);
+
+        const rows = (await dbManager.queryData('test_db', 'tasks', { orderBy: 'id' })).data;
+        expect(rows.map(row => [row.title, row.estimate])).toEqual([['Write docs', null], ['Fix bug', null]]);
+
+        await engine.rollback('test_db', null, { backup: false });
+        expect(columnsOf('tasks')).not.toContain('priority');
+        expect(indexesOf('tasks')).toEqual([]);
+        expect((await engine.listMigrations('test_db')).migrations).toEqual([]);
+    });
+
+    test('should leave the database unchanged when a step fails', async () => {
+        await dbManager.updateData('test_db', 'tasks', 2, { estimate: '3' });
+
+        const result = await engine.migrate('test_db', {
+            id: '003_unique_estimate',
+            up: [
+                { type: 'addColumn', table: 'tasks', column: 'done', definition: { type: 'boolean', default: false } },
+                { type: 'createIndex', table: 'tasks', columns: ['estimate'], unique: true }
+            ]
+        }, { backup: false });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/UNIQUE/);
+        expect(columnsOf('tasks')).not.toContain('done');
+        expect((await engine.listMigrations('test_db')).migrations).toEqual([]);
+    });
+
+    test('should reject invalid steps while planning', async () => {
+        const plan = (up) => engine.plan('test_db', { id: 'bad', up });
+
+        expect((await plan([{ type: 'dropColumn', table: 'tasks', column: 'missing' }])).error)
+            .toBe("Step 0 (dropColumn) failed: Unknown column 'missing' in 'tasks'");
+        expect((await plan([{ type: 'renameColumn', table: 'tasks', from: 'id', to: 'key' }])).error)
+            .toMatch(/managed by the database/);
+        expect((await plan([{ type: 'addColumn', table: 'tasks', column: 'owner', definition: { required: true } }])).error)
+            .toMatch(/needs a default value/);
+        expect((await plan([{ type: 'changeColumnType', table: 'nope', column: 'x', newType: 'integer' }])).error)
+            .toMatch(/Table 'nope' does not exist/);
+        expect((await engine.plan('test_db', { id: 'bad id!', up: [] })).error).toMatch(/Migration id/);
+    });
+});
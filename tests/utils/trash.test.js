@@ -0,0 +1,134 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('Trash', () => {
+    let dbManager;
+    let testDataPath;
+    const testDbName = 'shared';
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `trash_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        await dbManager.registerApp('app_notes', 'Notes');
+        await dbManager.createTableWithOwner(testDbName, 'notes', {
+            columns: {
+                title: { type: 'string', required: true, searchable: true },
+                body: { type: 'text' }
+            }
+        }, 'app_notes', 'Notes of the notes app');
+        await dbManager.createTable(testDbName, 'tags', { columns: { name: { type: 'string' } } });
+        await dbManager.recordTableRelationship('tags', 'notes', 'references');
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    test('should move a dropped table to the trash and restore it with its registry entry', async () => {
+        await dbManager.insertData(testDbName, 'notes', { title: 'Groceries', body: 'milk' });
+        const dropped = await dbManager.dropTable(testDbName, 'notes');
+        expect(dropped).toMatchObject({ success: true, table: 'notes', trashId: expect.any(Number) });
+
+        expect((await dbManager.listTables(testDbName)).tables).toEqual(['tags']);
+        const { items } = await dbManager.listTrash(testDbName);
+        expect(items).toEqual([expect.objectContaining({
+            id: dropped.trashId, kind: 'table', tableName: 'notes', appId: 'app_notes', rowCount: 1
+        })]);
+
+        const db = await dbManager.connectDatabase(testDbName);
+        expect(db.prepare("SELECT * FROM _table_registry WHERE table_name = 'notes'").get()).toBeUndefined();
+        expect(db.prepare('SELECT COUNT(*) AS count FROM _table_relationships').get().count).toBe(0);
+
+        expect(await dbManager.restoreFromTrash(testDbName, dropped.trashId)).toEqual({ success: true, kind: 'table', table: 'notes' });
+        expect((await dbManager.listTables(testDbName)).tables.sort()).toEqual(['notes', 'tags']);
+        expect((await dbManager.listTrash(testDbName)).items).toEqual([]);
+
+        expect(db.prepare("SELECT app_id, description FROM _table_registry WHERE table_name = 'notes'").get())
+            .toEqual({ app_id: 'app_notes', description: 'Notes of the notes app' });
+        expect(db.prepare('SELECT source_table, target_table FROM _table_relationships').all())
+            .toEqual([{ source_table: 'tags', target_table: 'notes' }]);
+        expect((await dbManager.search(testDbName, 'notes', 'groceries')).data).toHaveLength(1);
+
+        // The updated_at trigger and change capture work on the restored table
+        const { id } = await dbManager.insertData(testDbName, 'notes', { title: 'Second' });
+        expect((await dbManager.updateData(testDbName, 'notes', id, { title: 'Second note' })).success).toBe(true);
+    });
+
+    test('should keep a table searchable when moving it to the trash fails', async () => {
+        await dbManager.insertData(testDbName, 'notes', { title: 'Groceries', body: 'milk' });
+        // The first trash item is named _trash_1_notes, so the rename fails
+        const db = await dbManager.connectDatabase(testDbName);
+        db.exec('CREATE TABLE "_trash_1_notes" (id INTEGER)');
+
+        expect((await dbManager.dropTable(testDbName, 'notes')).success).toBe(false);
+        expect((await dbManager.listTrash(testDbName)).items).toEqual([]);
+        expect((await dbManager.search(testDbName, 'notes', 'groceries')).data).toHaveLength(1);
+    });
+
+    test('should restore under a new name when the old one is taken and drop permanently on request', async () => {
+        const { trashId } = await dbManager.dropTable(testDbName, 'notes');
+        await dbManager.createTable(testDbName, 'notes', { columns: { other: { type: 'string' } } });
+
+        expect(await dbManager.restoreFromTrash(testDbName, trashId))
+            .toEqual({ success: false, error: "A table named 'notes' already exists" });
+        expect(await dbManager.restoreFromTrash(testDbName, trashId, { newName: 'old_notes' }))
+            .toEqual({ success: true, kind: 'table', table: 'old_notes' });
+        const db = await dbManager.connectDatabase(testDbName);
+        expect(db.prepare("SELECT app_id FROM _table_registry WHERE table_name = 'old_notes'").get()).toEqual({ app_id: 'app_notes' });
+
+        expect(await dbManager.dropTable(testDbName, 'tags', { permanent: true })).toEqual({ success: true, table: 'tags' });
+        expect((await dbManager.listTrash(testDbName)).items).toEqual([]);
+        expect(await dbManager.restoreFromTrash(testDbName, 999)).toEqual({ success: false, error: 'Item not found in trash' });
+    });
+
+    test('should keep deleted rows as tombstones only when enabled', async () => {
+        const first = await dbManager.insertData(testDbName, 'tags', { name: 'work' });
+        await dbManager.deleteData(testDbName, 'tags', first.id);
+        expect((await dbManager.listTrash(testDbName)).items).toEqual([]);
+
+        dbManager.configureTrash({ keepDeletedRows: true });
+        const second = await dbManager.insertData(testDbName, 'tags', { name: 'home' });
+        await dbManager.deleteData(testDbName, 'tags', second.id, { appId: 'app_notes' });
+
+        const { items } = await dbManager.listTrash(testDbName);
+        expect(items).toEqual([expect.objectContaining({
+            kind: 'row', tableName: 'tags', rowId: second.id, appId: 'app_notes', row: expect.objectContaining({ name: 'home' })
+        })]);
+
+        expect(await dbManager.restoreFromTrash(testDbName, items[0].id)).toEqual({ success: true, kind: 'row', table: 'tags', id: second.id });
+        expect((await dbManager.queryData(testDbName, 'tags')).data.map(row => row.name)).toEqual(['home']);
+        expect(await dbManager.restoreFromTrash(testDbName, items[0].id)).toEqual({ success: false, error: 'Item not found in trash' });
+
+        // Undoing the restore deletes the row again without another tombstone
+        await dbManager.undo(testDbName);
+        expect((await dbManager.queryData(testDbName, 'tags')).data).toEqual([]);
+        expect((await dbManager.listTrash(testDbName)).items).toEqual([]);
+    });
+
+    test('should purge single items, the whole trash and items past the retention period', async () => {
+        const notes = await dbManager.dropTable(testDbName, 'notes');
+        const tags = await dbManager.dropTable(testDbName, 'tags');
+        const db = await dbManager.connectDatabase(testDbName);
+        const trashTables = () => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE '!_trash!_%' ESCAPE '!'")
+            .all().map(row => row.name);
+        expect(trashTables()).toHaveLength(2);
+
+        expect(await dbManager.purgeTrash(testDbName, notes.trashId)).toEqual({ success: true, purged: 1 });
+        expect(trashTables()).toEqual([`_trash_${tags.trashId}_tags`]);
+
+        // Backdate the remaining item past the retention period
+        db.prepare('UPDATE _trash SET deleted_at = ?').run(Date.now() - 31 * 24 * 60 * 60 * 1000);
+        expect(await dbManager.purgeExpiredTrash()).toEqual({ success: true, purged: 1 });
+        expect(trashTables()).toEqual([]);
+
+        await dbManager.createTable(testDbName, 'scratch', { columns: { name: { type: 'string' } } });
+        await dbManager.dropTable(testDbName, 'scratch');
+        expect(await dbManager.purgeExpiredTrash()).toEqual({ success: true, purged: 0 });
+        expect(await dbManager.purgeTrash(testDbName)).toEqual({ success: true, purged: 1 });
+
+        expect(() => dbManager.configureTrash({ retentionDays: -1 })).toThrow('Trash retention must be a number of days');
+    });
+});
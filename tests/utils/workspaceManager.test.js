@@ -0,0 +1,157 @@
+const DatabaseManager = require('../../src/utils/databaseManager');
+const WorkspaceManager = require('../../src/utils/workspaceManager');
+const path = require('path');
+const fs = require('fs').promises;
+
+describe('WorkspaceManager', () => {
+    let dbManager;
+    let workspaces;
+    let testDataPath;
+
+    beforeEach(async () => {
+        testDataPath = path.join(__dirname, '..', 'temp', `workspaces_${Date.now()}`);
+        await fs.mkdir(testDataPath, { recursive: true });
+        dbManager = new DatabaseManager(testDataPath);
+        workspaces = new WorkspaceManager(dbManager);
+        await dbManager.registerApp('app_notes', 'Notes', 'Take notes', null, 'document.body.textContent = "notes";');
+        await dbManager.registerApp('app_tasks', 'Tasks', 'Track tasks', null, 'document.body.textContent = "tasks";');
+    });
+
+    afterEach(async () => {
+        dbManager.closeAllConnections();
+        await fs.rm(testDataPath, { recursive: true, force: true });
+    });
+
+    const state = {
+        layout: 'tabs',
+        activeAppId: 'app_tasks',
+        panels: [
+            { appId: 'app_notes', size: { width: 480.4, height: -1 } },
+            { appId: 'app_tasks' }
+        ]
+    };
+
+    test('should create a default workspace and resolve app code from the registry', async () => {
+        const active = await workspaces.getActiveWorkspace();
+        expect(active.workspace).toMatchObject({ name: 'Default', active: true, layout: 'grid', panels: [] });
+
+        expect((await workspaces.saveWorkspace('Default', state)).success).toBe(true);
+        const { workspace } = await workspaces.getWorkspace('Default');
+        expect(workspace).toMatchObject({ layout: 'tabs', activeAppId: 'app_tasks', missing: [] });
+        expect(workspace.panels).toEqual([
+            { appId: 'app_notes', size: { width: 480, height: null }, appName: 'Notes', description: 'Take notes', code: 'document.body.textContent = "notes";' },
+            { appId: 'app_tasks', size: null, appName: 'Tasks', description: 'Track tasks', code: 'document.body.textContent = "tasks";' }
+        ]);
+
+        // The workspace stores references only, so regenerated code is picked up
+        await dbManager.updateAppCode('app_notes', 'document.body.textContent = "notes v2";');
+        expect((await workspaces.getWorkspace('Default')).workspace.panels[0].code).toBe('document.body.textContent = "notes v2";');
+        const db = await dbManager.connectDatabase('shared');
+        expect(db.prepare('SELECT state_json FROM _workspaces').get().state_json).not.toContain('document.body');
+    });
+
+    test('should reject invalid state', async () => {
+        expect(await workspaces.saveWorkspace('Bad', { layout: 'mosaic', panels: [] }))
+            .toEqual({ success: false, error: "Unknown layout 'mosaic'" });
+        expect(await workspaces.saveWorkspace('Bad', { panels: [{ appId: 'app_notes' }, { appId: 'app_notes' }] }))
+            .toEqual({ success: false, error: "App 'app_notes' appears twice in the workspace" });
+        expect((await workspaces.saveWorkspace('Bad/name', { panels: [] })).success).toBe(false);
+        expect((await workspaces.listWorkspaces()).workspaces).toEqual([]);
+    });
+
+    test('should keep the dock tree of the docked apps and mark detached apps', async () => {
+        await dbManager.registerApp('app_chart', 'Chart', 'Plot data', null, 'document.body.textContent = "chart";');
+        const saved = await workspaces.saveWorkspace('Dock', {
+            layout: 'dock',
+            panels: [{ appId: 'app_notes' }, { appId: 'app_tasks' }, { appId: 'app_chart', detached: true }],
+            dock: {
+                type: 'split',
+                direction: 'row',
+                sizes: [3, 1],
+                children: [
+                    { type: 'panel', appId: 'app_notes' },
+                    {
+                        type: 'split',
+                        direction: 'column',
+                        sizes: [0.5, 0.5],
+                        children: [{ type: 'panel', appId: 'app_tasks' }, { type: 'panel', appId: 'app_chart' }]
+                    }
+                ]
+            }
+        });
+        expect(saved.success).toBe(true);
+
+        // The detached app has no place in the dock, so its split collapses
+        const { workspace } = await workspaces.getWorkspace('Dock');
+        expect(workspace.layout).toBe('dock');
+        expect(workspace.panels.map(panel => [panel.appId, Boolean(panel.detached)]))
+            .toEqual([['app_notes', false], ['app_tasks', false], ['app_chart', true]]);
+        expect(workspace.dock).toEqual({
+            type: 'split',
+            direction: 'row',
+            sizes: [0.75, 0.25],
+            children: [{ type: 'panel', appId: 'app_notes' }, { type: 'panel', appId: 'app_tasks' }]
+        });
+
+        await workspaces.saveWorkspace('Dock', { layout: 'dock', panels: [{ appId: 'app_notes' }], dock: { type: 'window' } });
+        expect((await workspaces.getWorkspace('Dock')).workspace.dock).toBeNull();
+    });
+
+    test('should switch, duplicate, rename and delete workspaces', async () => {
+        await workspaces.saveWorkspace('Work', state);
+        await workspaces.saveWorkspace('Home', { layout: 'grid', panels: [{ appId: 'app_notes' }] });
+        await workspaces.activateWorkspace('Home');
+        expect((await workspaces.getActiveWorkspace()).workspace.name).toBe('Home');
+
+        expect((await workspaces.duplicateWorkspace('Work', 'Work copy')).workspace)
+            .toMatchObject({ name: 'Work copy', layout: 'tabs', appIds: ['app_notes', 'app_tasks'], active: false });
+        expect(await workspaces.duplicateWorkspace('Work', 'Home'))
+            .toEqual({ success: false, error: "A workspace named 'Home' already exists" });
+
+        expect(await workspaces.renameWorkspace('Work copy', 'Review')).toEqual({ success: true, name: 'Review' });
+        expect(await workspaces.deleteWorkspace('Work')).toEqual({ success: true });
+        expect((await workspaces.listWorkspaces()).workspaces.map(workspace => [workspace.name, workspace.active]))
+            .toEqual([['Home', true], ['Review', false]]);
+        expect(await workspaces.getWorkspace('Work')).toEqual({ success: false, error: "Workspace 'Work' not found" });
+    });
+
+    test('should export and import workspaces, reporting apps that are not registered', async () => {
+        await workspaces.saveWorkspace('Work', state);
+        const exported = await workspaces.exportWorkspace('Work');
+        expect(exported.data).toMatchObject({
+            type: 'workspace',
+            version: 1,
+            name: 'Work',
+            apps: [
+                { appId: 'app_notes', appName: 'Notes', description: 'Take notes' },
+                { appId: 'app_tasks', appName: 'Tasks', description: 'Track tasks' }
+            ]
+        });
+
+        const data = JSON.parse(JSON.stringify(exported.data));
+        data.state.panels.push({ appId: 'app_elsewhere' });
+        const imported = await workspaces.importWorkspace(data);
+        expect(imported).toMatchObject({ success: true, workspace: { name: 'Work (2)' }, missing: ['app_elsewhere'] });
+
+        const { workspace } = await workspaces.getWorkspace('Work (2)');
+        expect(workspace.panels.map(panel => panel.appId)).toEqual(['app_notes', 'app_tasks']);
+        expect(workspace.missing).toEqual(['app_elsewhere']);
+
+        expect(await workspaces.importWorkspace({ type: 'table' })).toEqual({ success: false, error: 'Not a workspace export' });
+    });
+
+    test('should remember app window bounds per app', async () => {
+        expect(await workspaces.getAppWindowBounds('app_notes')).toEqual({ success: true, bounds: null });
+
+        await workspaces.saveAppWindowBounds('app_notes', { x: -1600.4, y: 120, width: 800, height: 600 });
+        await workspaces.saveAppWindowBounds('app_notes', { x: 1920, y: 0, width: 1024.6, height: 768, maximized: true });
+        expect(await workspaces.getAppWindowBounds('app_notes')).toEqual({
+            success: true,
+            bounds: { x: 1920, y: 0, width: 1025, height: 768, maximized: true }
+        });
+        expect((await workspaces.getAppWindowBounds('app_tasks')).bounds).toBeNull();
+
+        expect(await workspaces.saveAppWindowBounds('app_tasks', { x: 0, y: 0, width: 0, height: 600 }))
+            .toEqual({ success: false, error: 'Window bounds need a position and a size' });
+    });
+});